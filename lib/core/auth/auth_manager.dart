@@ -1,52 +1,240 @@
+import 'dart:async';
+import 'dart:convert';
+
+import 'package:centabit/core/auth/identity_provider.dart';
+import 'package:centabit/core/auth/user_profile.dart';
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/data/local/user_data_migrator.dart';
 import 'package:shared_preferences/shared_preferences.dart';
 import 'package:uuid/uuid.dart';
 
-/// Manages anonymous user token and future OAuth integration
+/// Manages the profiles on this device and which one is active
+///
+/// **User ids**:
+/// - Anonymous: `anon_<uuid>`, created on first launch
+/// - Authenticated: provided by the [IdentityProvider] (e.g. `google_<id>`)
+///
+/// **Profiles**: Every user that ever used the app on this device stays in
+/// [profiles] (with its data) until the profile is deleted explicitly.
+/// Switching only changes the active user id.
+///
+/// Every LocalSource filters by the active user id, so after a user change
+/// the repositories have to be rebound (see `reloadUserScope`).
 class AuthManager {
-  static const String _anonymousUserIdKey = 'anonymous_user_id';
+  static const String _profilesKey = 'user_profiles';
+  static const String _activeUserIdKey = 'active_user_id';
+
+  // Single-user keys used before profiles existed (read once, then removed)
+  static const String _legacyAnonymousUserIdKey = 'anonymous_user_id';
+  static const String _legacyAuthenticatedUserIdKey = 'authenticated_user_id';
+  static const String _legacyDisplayNameKey = 'authenticated_display_name';
 
   final SharedPreferences _prefs;
+  final IdentityProvider _identityProvider;
+  final UserDataMigrator _dataMigrator;
   String? _currentUserId;
 
-  AuthManager(this._prefs);
+  final _profilesController = StreamController<List<UserProfile>>.broadcast();
+
+  AuthManager(this._prefs, this._identityProvider, this._dataMigrator);
 
-  /// Get or create anonymous user ID
+  /// Get the active user ID (creates an anonymous profile on first launch)
   Future<String> getCurrentUserId() async {
     if (_currentUserId != null) return _currentUserId!;
 
-    // Check if we already have an anonymous ID
-    _currentUserId = _prefs.getString(_anonymousUserIdKey);
+    _currentUserId = _prefs.getString(_activeUserIdKey);
+    if (_currentUserId != null) return _currentUserId!;
 
-    if (_currentUserId == null) {
-      // Create new anonymous user
-      _currentUserId = 'anon_${const Uuid().v4()}';
-      await _prefs.setString(_anonymousUserIdKey, _currentUserId!);
-    }
+    await _migrateLegacyKeys();
+    if (_currentUserId != null) return _currentUserId!;
+
+    // Create new anonymous user
+    final profile = _newAnonymousProfile();
+    await _saveProfiles([...profiles, profile]);
+    await _setActive(profile.userId);
 
     return _currentUserId!;
   }
 
-  /// Future: Switch to authenticated user (OAuth)
-  Future<void> signInWithGoogle() async {
-    // TODO: Implement Google Sign-In
-    // 1. Sign in with google_sign_in package
-    // 2. Get user ID from Google
-    // 3. Migrate anonymous data to new user ID
-    // 4. Update _currentUserId
-    // 5. Save to SharedPreferences
-    throw UnimplementedError('OAuth not implemented yet');
+  // ========================================
+  // Profiles
+  // ========================================
+
+  /// All profiles on this device (oldest first)
+  List<UserProfile> get profiles {
+    final json = _prefs.getString(_profilesKey);
+    if (json == null) return [];
+    return (jsonDecode(json) as List<dynamic>)
+        .map((p) => UserProfile.fromJson(p as Map<String, dynamic>))
+        .toList();
+  }
+
+  /// Emits the profile list after every change
+  Stream<List<UserProfile>> get profilesStream => _profilesController.stream;
+
+  /// Profile of the active user
+  UserProfile? get currentProfile {
+    for (final profile in profiles) {
+      if (profile.userId == _currentUserId) return profile;
+    }
+    return null;
+  }
+
+  /// Make [userId] the active profile
+  ///
+  /// Local switch only - signed-in profiles don't go through the identity
+  /// provider again.
+  Future<void> switchProfile(String userId) async {
+    if (!profiles.any((p) => p.userId == userId)) {
+      throw StateError('Profile not found on this device: $userId');
+    }
+    await _setActive(userId);
+  }
+
+  /// Change the display name of a profile
+  Future<void> renameProfile(String userId, String name) async {
+    await _saveProfiles([
+      for (final profile in profiles)
+        profile.userId == userId ? profile.copyWith(name: name) : profile,
+    ]);
+  }
+
+  /// Create a new empty anonymous profile and make it active
+  Future<UserProfile> createAnonymousProfile() async {
+    final profile = _newAnonymousProfile();
+    await _saveProfiles([...profiles, profile]);
+    await _setActive(profile.userId);
+    return profile;
+  }
+
+  /// Delete a profile and ALL of its local data
+  ///
+  /// The active profile can't be deleted - switch to another one first.
+  Future<void> deleteProfile(String userId) async {
+    if (userId == _currentUserId) {
+      throw StateError('Cannot delete the active profile');
+    }
+    await _dataMigrator.deleteUserData(userId);
+    await _saveProfiles(profiles.where((p) => p.userId != userId).toList());
+  }
+
+  // ========================================
+  // Sign-in
+  // ========================================
+
+  /// Sign in through the [IdentityProvider] and switch to that account
+  ///
+  /// When the active user is anonymous, their data is re-keyed to the
+  /// account (one Drift transaction) and queued for upload; the anonymous
+  /// profile is then removed since it no longer owns any data.
+  ///
+  /// Returns `null` if the user cancelled (nothing changes).
+  Future<AuthIdentity?> signIn() async {
+    final identity = await _identityProvider.signIn();
+    if (identity == null) return null;
+
+    final previousUserId = await getCurrentUserId();
+    var remaining = profiles;
+
+    if (previousUserId.startsWith('anon_') &&
+        previousUserId != identity.userId) {
+      final migrated = await _dataMigrator.migrate(
+        fromUserId: previousUserId,
+        toUserId: identity.userId,
+      );
+      AppLogger.instance.logWithContext(
+        message: '[AuthManager] Migrated anonymous data',
+        context: {'rows': migrated, 'userId': identity.userId},
+      );
+      remaining = remaining.where((p) => p.userId != previousUserId).toList();
+    }
+
+    final name = identity.displayName ?? identity.email;
+    final exists = remaining.any((p) => p.userId == identity.userId);
+    await _saveProfiles([
+      for (final profile in remaining)
+        profile.userId == identity.userId
+            ? profile.copyWith(name: name ?? profile.name)
+            : profile,
+      if (!exists)
+        UserProfile(
+          userId: identity.userId,
+          name: name,
+          createdAt: DateTime.now(),
+        ),
+    ]);
+    await _setActive(identity.userId);
+
+    return identity;
   }
 
   /// Sign out (back to anonymous)
+  ///
+  /// The account's profile and data stay on the device. The most recent
+  /// anonymous profile becomes active again, or a new one is created.
   Future<void> signOut() async {
-    // Create new anonymous ID
-    _currentUserId = 'anon_${const Uuid().v4()}';
-    await _prefs.setString(_anonymousUserIdKey, _currentUserId!);
+    await _identityProvider.signOut();
+
+    final anonymous = profiles.where((p) => p.userId.startsWith('anon_'));
+    if (anonymous.isNotEmpty) {
+      await _setActive(anonymous.last.userId);
+    } else {
+      await createAnonymousProfile();
+    }
   }
 
   /// Check if user is authenticated (vs anonymous)
   bool get isAuthenticated => _currentUserId?.startsWith('anon_') == false;
 
-  /// Get display name
-  String get displayName => isAuthenticated ? 'User' : 'Guest';
+  /// Name of the current profile (null when none was given)
+  String? get displayName => currentProfile?.name;
+
+  // ========================================
+  // Persistence
+  // ========================================
+
+  UserProfile _newAnonymousProfile() {
+    return UserProfile(
+      userId: 'anon_${const Uuid().v4()}',
+      createdAt: DateTime.now(),
+    );
+  }
+
+  Future<void> _setActive(String userId) async {
+    _currentUserId = userId;
+    await _prefs.setString(_activeUserIdKey, userId);
+    _profilesController.add(profiles); // Active marker changed
+  }
+
+  Future<void> _saveProfiles(List<UserProfile> profiles) async {
+    await _prefs.setString(
+      _profilesKey,
+      jsonEncode(profiles.map((p) => p.toJson()).toList()),
+    );
+    _profilesController.add(profiles);
+  }
+
+  /// Turn the pre-profile single-user keys into profiles
+  Future<void> _migrateLegacyKeys() async {
+    final anonymousId = _prefs.getString(_legacyAnonymousUserIdKey);
+    final authenticatedId = _prefs.getString(_legacyAuthenticatedUserIdKey);
+    if (anonymousId == null && authenticatedId == null) return;
+
+    final now = DateTime.now();
+    await _saveProfiles([
+      if (anonymousId != null)
+        UserProfile(userId: anonymousId, createdAt: now),
+      if (authenticatedId != null)
+        UserProfile(
+          userId: authenticatedId,
+          name: _prefs.getString(_legacyDisplayNameKey),
+          createdAt: now,
+        ),
+    ]);
+    await _setActive(authenticatedId ?? anonymousId!);
+
+    await _prefs.remove(_legacyAnonymousUserIdKey);
+    await _prefs.remove(_legacyAuthenticatedUserIdKey);
+    await _prefs.remove(_legacyDisplayNameKey);
+  }
 }
@@ -0,0 +1,38 @@
+import 'package:centabit/core/auth/identity_provider.dart';
+
+/// Local [IdentityProvider] for tests and development
+///
+/// Signs in instantly as [identity] without any platform plugin. Set
+/// [cancelNextSignIn] to simulate the user dismissing the account picker.
+class FakeIdentityProvider implements IdentityProvider {
+  final AuthIdentity identity;
+
+  /// When true, the next [signIn] returns `null` (then resets)
+  bool cancelNextSignIn = false;
+
+  /// Whether a fake session is active
+  bool isSignedIn = false;
+
+  FakeIdentityProvider({
+    this.identity = const AuthIdentity(
+      userId: 'fake_user',
+      email: 'demo@centabit.app',
+      displayName: 'Demo User',
+    ),
+  });
+
+  @override
+  Future<AuthIdentity?> signIn() async {
+    if (cancelNextSignIn) {
+      cancelNextSignIn = false;
+      return null;
+    }
+    isSignedIn = true;
+    return identity;
+  }
+
+  @override
+  Future<void> signOut() async {
+    isSignedIn = false;
+  }
+}
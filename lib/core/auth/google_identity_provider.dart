@@ -0,0 +1,27 @@
+import 'package:centabit/core/auth/identity_provider.dart';
+import 'package:google_sign_in/google_sign_in.dart';
+
+/// [IdentityProvider] backed by the google_sign_in package
+///
+/// User ids are the Google account id prefixed with `google_`.
+class GoogleIdentityProvider implements IdentityProvider {
+  final GoogleSignIn _googleSignIn;
+
+  GoogleIdentityProvider({GoogleSignIn? googleSignIn})
+    : _googleSignIn = googleSignIn ?? GoogleSignIn(scopes: ['email']);
+
+  @override
+  Future<AuthIdentity?> signIn() async {
+    final account = await _googleSignIn.signIn();
+    if (account == null) return null; // Cancelled by the user
+
+    return AuthIdentity(
+      userId: 'google_${account.id}',
+      email: account.email,
+      displayName: account.displayName,
+    );
+  }
+
+  @override
+  Future<void> signOut() => _googleSignIn.signOut();
+}
@@ -0,0 +1,27 @@
+/// Account returned by an [IdentityProvider] after a successful sign-in
+class AuthIdentity {
+  /// Stable user id used to scope local data (e.g. `google_1234`)
+  ///
+  /// Must never start with `anon_` - that prefix marks anonymous users.
+  final String userId;
+
+  final String? email;
+  final String? displayName;
+
+  const AuthIdentity({required this.userId, this.email, this.displayName});
+}
+
+/// Pluggable sign-in backend used by [AuthManager]
+///
+/// Implementations:
+/// - [GoogleIdentityProvider]: Google Sign-In (production)
+/// - [FakeIdentityProvider]: Local stand-in for tests and development
+abstract class IdentityProvider {
+  /// Run the provider's sign-in flow
+  ///
+  /// Returns `null` when the user cancels.
+  Future<AuthIdentity?> signIn();
+
+  /// End the provider session (next [signIn] asks for an account again)
+  Future<void> signOut();
+}
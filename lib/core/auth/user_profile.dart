@@ -0,0 +1,21 @@
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'user_profile.freezed.dart';
+part 'user_profile.g.dart';
+
+/// A user known on this device (anonymous or signed-in account)
+///
+/// Profiles are listed by AuthManager; each one owns the rows tagged with
+/// its [userId]. [name] is null until the identity provider or the user
+/// gives one; the UI then shows a localized default.
+@freezed
+abstract class UserProfile with _$UserProfile {
+  const factory UserProfile({
+    required String userId,
+    String? name,
+    required DateTime createdAt,
+  }) = _UserProfile;
+
+  factory UserProfile.fromJson(Map<String, dynamic> json) =>
+      _$UserProfileFromJson(json);
+}
@@ -1,25 +1,74 @@
 import 'package:centabit/core/auth/auth_manager.dart';
+import 'package:centabit/core/auth/google_identity_provider.dart';
+import 'package:centabit/core/auth/identity_provider.dart';
 import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/core/notifications/local_notifier.dart';
 import 'package:centabit/core/router/navigation/nav_cubit.dart';
+import 'package:centabit/data/alerts/budget_alert_service.dart';
+import 'package:centabit/data/backup/backup_restorer.dart';
+import 'package:centabit/data/backup/data_exporter.dart';
+import 'package:centabit/data/categorization/categorization_rule_engine.dart';
+import 'package:centabit/data/categorization/category_suggester.dart';
 import 'package:centabit/data/demo/demo_data_seeder.dart';
+import 'package:centabit/data/history/spending_history_service.dart';
+import 'package:centabit/data/import/statement_importer.dart';
+import 'package:centabit/data/local/alert_local_source.dart';
 import 'package:centabit/data/local/allocation_local_source.dart';
 import 'package:centabit/data/local/budget_local_source.dart';
+import 'package:centabit/data/local/budget_template_local_source.dart';
+import 'package:centabit/data/local/categorization_rule_local_source.dart';
 import 'package:centabit/data/local/category_local_source.dart';
 import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/exchange_rate_local_source.dart';
+import 'package:centabit/data/local/recurring_transaction_local_source.dart';
+import 'package:centabit/data/local/search_local_source.dart';
+import 'package:centabit/data/local/spending_history_local_source.dart';
+import 'package:centabit/data/local/sync_conflict_local_source.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
 import 'package:centabit/data/local/transaction_local_source.dart';
+import 'package:centabit/data/local/user_data_migrator.dart';
+import 'package:centabit/data/recurring/recurring_transaction_scheduler.dart';
+import 'package:centabit/data/repositories/alert_repository.dart';
 import 'package:centabit/data/repositories/allocation_repository.dart';
 import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/budget_template_repository.dart';
+import 'package:centabit/data/repositories/categorization_rule_repository.dart';
 import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/exchange_rate_repository.dart';
+import 'package:centabit/data/repositories/recurring_transaction_repository.dart';
+import 'package:centabit/data/repositories/search_repository.dart';
+import 'package:centabit/data/repositories/settings_repository.dart';
+import 'package:centabit/data/repositories/sync_conflict_repository.dart';
 import 'package:centabit/data/repositories/transaction_repository.dart';
+import 'package:centabit/data/sync/remote/http_sync_remote_source.dart';
+import 'package:centabit/data/sync/remote/in_memory_sync_remote_source.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/conflicts/sync_conflict_resolver.dart';
 import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:centabit/data/trash/deletion_service.dart';
+import 'package:centabit/data/trash/trash_service.dart';
+import 'package:centabit/features/alerts/presentation/cubits/alerts_cubit.dart';
+import 'package:centabit/features/auth/presentation/cubits/login_cubit.dart';
+import 'package:centabit/features/auth/presentation/cubits/profiles_cubit.dart';
+import 'package:centabit/features/backup/presentation/cubits/data_backup_cubit.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_details_cubit.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_form_cubit.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_list_cubit.dart';
+import 'package:centabit/features/budgets/presentation/cubits/budget_templates_cubit.dart';
 import 'package:centabit/features/categories/presentation/cubits/category_form_cubit.dart';
+import 'package:centabit/features/categories/presentation/cubits/categorization_rules_cubit.dart';
+import 'package:centabit/features/currency/presentation/cubits/exchange_rates_cubit.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/dashboard_cubit.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/date_filter_cubit.dart';
+import 'package:centabit/features/settings/presentation/cubits/settings_cubit.dart';
+import 'package:centabit/features/sync/presentation/cubits/sync_conflicts_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/saved_searches_cubit.dart';
 import 'package:centabit/features/transactions/presentation/cubits/transaction_form_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/transaction_import_cubit.dart';
 import 'package:centabit/features/transactions/presentation/cubits/transaction_list_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/upcoming_transactions_cubit.dart';
+import 'package:centabit/features/trash/presentation/cubits/trash_cubit.dart';
+import 'package:flutter/foundation.dart';
 import 'package:get_it/get_it.dart';
 import 'package:shared_preferences/shared_preferences.dart';
 
@@ -48,26 +97,38 @@ final getIt = GetIt.instance;
 ///
 /// Registers dependencies in order:
 /// 1. SharedPreferences (async initialization)
-/// 2. AuthManager (anonymous tokens + future OAuth)
-/// 3. Database (Drift SQLite)
-/// 4. LocalSources (userId-filtered data access)
-/// 5. Repositories (local-only, sync stubs for future API)
-/// 6. SyncManager (isolate-based background sync)
-/// 7. Cubits (depend on repositories)
+/// 2. Database (Drift SQLite)
+/// 3. AuthManager (anonymous tokens + pluggable sign-in)
+/// 4. SyncManager (isolate-based background sync)
+/// 5. Repositories (local-first, schedule sync after writes)
+/// 6. Cubits (depend on repositories)
+/// 7. User scope ([_pushUserScope]): LocalSources (userId-filtered data
+///    access) for the active profile
+///
+/// **User scope**: Only the LocalSources are bound to a userId; they live in
+/// a GetIt scope. When the active profile changes, [reloadUserScope]
+/// replaces them and rebinds the long-lived SyncManager and Repositories,
+/// whose streams then emit the new user's data (no app restart).
 ///
 /// **Architecture** (v5):
 /// ```
 /// Cubits → Repositories → LocalSources → Drift Database
-///                                      ↓
-///                                 SyncManager (isolate)
+///              ↓                          ↑
+///         SyncManager (isolate) → SyncEngine → SyncRemoteSource
 /// ```
 ///
 /// **Registered Components**:
-/// - AuthManager: Anonymous user tokens (with userId filtering)
+/// - AuthManager: Anonymous user tokens, sign-in via IdentityProvider
 /// - AppDatabase: Drift SQLite database
-/// - LocalSources: Transaction, Category, Budget, Allocation (userId-filtered)
-/// - Repositories: Local-only with sync stubs (ready for future API)
+/// - LocalSources: Transaction, Category, Budget, Allocation, SyncQueue,
+///   SyncConflict (userId-filtered)
 /// - SyncManager: Isolate-based background sync (periodic + manual)
+/// - Repositories: Local-first, queue every write for background sync
+/// - SyncConflictRepository: Conflicts waiting for the user's decision
+/// - BudgetAlertService: Fires budget alerts (inbox + local notifications)
+/// - TrashService: Restores or purges deleted records (auto-purge)
+/// - DeletionService: Deletes categories/budgets with their records
+/// - CategorySuggester: Category of past transactions with similar names
 /// - Cubits: NavCubit, TransactionListCubit, DashboardCubit, DateFilterCubit
 ///
 /// **Example Usage**:
@@ -87,76 +148,224 @@ Future<void> configureDependencies() async {
   getIt.registerLazySingleton<AppLogger>(() => AppLogger.instance);
 
   // ========================================
-  // Foundation (SharedPreferences, Auth)
+  // Foundation (SharedPreferences, Database, Auth)
   // ========================================
 
   // SharedPreferences (async initialization required)
   final prefs = await SharedPreferences.getInstance();
   getIt.registerLazySingleton<SharedPreferences>(() => prefs);
 
-  // Auth Manager (anonymous tokens + future OAuth)
-  getIt.registerLazySingleton<AuthManager>(
-    () => AuthManager(getIt<SharedPreferences>()),
+  // Drift database
+  getIt.registerLazySingleton<AppDatabase>(() => AppDatabase());
+
+  // Sign-in backend (swap for FakeIdentityProvider in tests)
+  getIt.registerLazySingleton<IdentityProvider>(
+    () => GoogleIdentityProvider(),
   );
 
-  // Get current userId (await here to ensure auth is ready)
-  final userId = await getIt<AuthManager>().getCurrentUserId();
+  // Auth Manager (anonymous tokens + sign-in with data migration)
+  getIt.registerLazySingleton<AuthManager>(
+    () => AuthManager(
+      getIt<SharedPreferences>(),
+      getIt<IdentityProvider>(),
+      UserDataMigrator(getIt<AppDatabase>()),
+    ),
+  );
 
   // ========================================
-  // Database Layer (Drift)
+  // Sync Manager (Isolate-Based)
   // ========================================
 
-  // Drift database
-  getIt.registerLazySingleton<AppDatabase>(() => AppDatabase());
+  // Remote backend from configuration, see [_syncRemoteSourceFactory]
+  getIt.registerLazySingleton<SyncManager>(
+    () => SyncManager(
+      database: getIt<AppDatabase>(),
+      authManager: getIt<AuthManager>(),
+      syncQueue: getIt<SyncQueueLocalSource>(),
+      remoteSourceFactory: _syncRemoteSourceFactory(),
+    ),
+  );
 
   // ========================================
-  // Local Data Sources (userId-filtered)
+  // Repositories (Local-First, Background Sync)
   // ========================================
 
-  getIt.registerLazySingleton<TransactionLocalSource>(
-    () => TransactionLocalSource(getIt<AppDatabase>(), userId),
+  getIt.registerLazySingleton<TransactionRepository>(
+    () => TransactionRepository(
+      getIt<TransactionLocalSource>(),
+      getIt<SyncQueueLocalSource>(),
+      getIt<SyncManager>(),
+    ),
   );
 
-  getIt.registerLazySingleton<CategoryLocalSource>(
-    () => CategoryLocalSource(getIt<AppDatabase>(), userId),
+  getIt.registerLazySingleton<CategoryRepository>(
+    () => CategoryRepository(
+      getIt<CategoryLocalSource>(),
+      getIt<SyncQueueLocalSource>(),
+      getIt<SyncManager>(),
+    ),
   );
 
-  getIt.registerLazySingleton<BudgetLocalSource>(
-    () => BudgetLocalSource(getIt<AppDatabase>(), userId),
+  getIt.registerLazySingleton<BudgetRepository>(
+    () => BudgetRepository(
+      getIt<BudgetLocalSource>(),
+      getIt<SyncQueueLocalSource>(),
+      getIt<SyncManager>(),
+    ),
   );
 
-  getIt.registerLazySingleton<AllocationLocalSource>(
-    () => AllocationLocalSource(getIt<AppDatabase>(), userId),
+  getIt.registerLazySingleton<AllocationRepository>(
+    () => AllocationRepository(
+      getIt<AllocationLocalSource>(),
+      getIt<SyncQueueLocalSource>(),
+      getIt<SyncManager>(),
+    ),
   );
 
-  // ========================================
-  // Repositories (Local-Only for Now)
-  // ========================================
+  getIt.registerLazySingleton<SyncConflictRepository>(
+    () => SyncConflictRepository(
+      getIt<SyncConflictLocalSource>(),
+      getIt<SyncConflictResolver>(),
+      getIt<SyncManager>(),
+    ),
+  );
 
-  getIt.registerLazySingleton<TransactionRepository>(
-    () => TransactionRepository(getIt<TransactionLocalSource>()),
+  getIt.registerLazySingleton<RecurringTransactionRepository>(
+    () => RecurringTransactionRepository(
+      getIt<RecurringTransactionLocalSource>(),
+    ),
   );
 
-  getIt.registerLazySingleton<CategoryRepository>(
-    () => CategoryRepository(getIt<CategoryLocalSource>()),
+  getIt.registerLazySingleton<BudgetTemplateRepository>(
+    () => BudgetTemplateRepository(
+      getIt<BudgetTemplateLocalSource>(),
+    ),
   );
 
-  getIt.registerLazySingleton<BudgetRepository>(
-    () => BudgetRepository(getIt<BudgetLocalSource>()),
+  getIt.registerLazySingleton<ExchangeRateRepository>(
+    () => ExchangeRateRepository(
+      getIt<ExchangeRateLocalSource>(),
+      getIt<SharedPreferences>(),
+    ),
   );
 
-  getIt.registerLazySingleton<AllocationRepository>(
-    () => AllocationRepository(getIt<AllocationLocalSource>()),
+  getIt.registerLazySingleton<AlertRepository>(
+    () => AlertRepository(getIt<AlertLocalSource>()),
   );
 
-  // ========================================
-  // Sync Manager (Isolate-Based)
-  // ========================================
+  getIt.registerLazySingleton<SearchRepository>(
+    () => SearchRepository(getIt<SearchLocalSource>()),
+  );
+
+  // One engine for every user of the rules, so their compiled regexes are
+  // shared (the repository recompiles them as the rules load)
+  getIt.registerLazySingleton<CategorizationRuleEngine>(
+    () => CategorizationRuleEngine(),
+  );
 
-  getIt.registerLazySingleton<SyncManager>(() => SyncManager());
+  getIt.registerLazySingleton<CategorizationRuleRepository>(
+    () => CategorizationRuleRepository(
+      getIt<CategorizationRuleLocalSource>(),
+      getIt<CategorizationRuleEngine>(),
+    ),
+  );
 
-  // Start periodic sync in background isolate
-  await getIt<SyncManager>().startPeriodicSync();
+  // Device settings; applies formats as soon as it is created
+  getIt.registerLazySingleton<SettingsRepository>(
+    () => SettingsRepository(getIt<SharedPreferences>()),
+  );
+
+  // Creates due occurrences of recurring series (startup, profile switch)
+  getIt.registerLazySingleton<RecurringTransactionScheduler>(
+    () => RecurringTransactionScheduler(
+      getIt<RecurringTransactionRepository>(),
+      getIt<TransactionRepository>(),
+      getIt<BudgetRepository>(),
+    ),
+  );
+
+  // Learns spending curves from ended budgets (startup, profile switch)
+  getIt.registerLazySingleton<SpendingHistoryService>(
+    () => SpendingHistoryService(
+      getIt<SpendingHistoryLocalSource>(),
+      getIt<BudgetRepository>(),
+      getIt<AllocationRepository>(),
+      getIt<TransactionRepository>(),
+      getIt<ExchangeRateRepository>(),
+    ),
+  );
+
+  getIt.registerLazySingleton<LocalNotifier>(() => LocalNotifier());
+
+  // Fires budget alerts when transactions change (started at startup)
+  getIt.registerLazySingleton<BudgetAlertService>(
+    () => BudgetAlertService(
+      getIt<AlertRepository>(),
+      getIt<BudgetRepository>(),
+      getIt<AllocationRepository>(),
+      getIt<TransactionRepository>(),
+      getIt<CategoryRepository>(),
+      getIt<ExchangeRateRepository>(),
+      getIt<SpendingHistoryService>(),
+      getIt<LocalNotifier>(),
+    ),
+  );
+
+  // Deleted records until restored or purged (expired ones at startup)
+  getIt.registerLazySingleton<TrashService>(
+    () => TrashService(
+      getIt<AppDatabase>(),
+      getIt<TransactionRepository>(),
+      getIt<BudgetRepository>(),
+      getIt<CategoryRepository>(),
+      getIt<AllocationRepository>(),
+    ),
+  );
+
+  // Category/budget deletion, with what references them
+  getIt.registerLazySingleton<DeletionService>(
+    () => DeletionService(
+      getIt<AppDatabase>(),
+      getIt<TransactionRepository>(),
+      getIt<BudgetRepository>(),
+      getIt<CategoryRepository>(),
+      getIt<AllocationRepository>(),
+      getIt<RecurringTransactionRepository>(),
+    ),
+  );
+
+  getIt.registerLazySingleton<StatementImporter>(
+    () => StatementImporter(
+      getIt<TransactionRepository>(),
+      getIt<CategorizationRuleRepository>(),
+      getIt<CategoryRepository>(),
+      getIt<BudgetRepository>(),
+      getIt<CategorizationRuleEngine>(),
+    ),
+  );
+
+  // Suggests categories in the transaction form
+  getIt.registerLazySingleton<CategorySuggester>(
+    () => CategorySuggester(getIt<TransactionRepository>()),
+  );
+
+  getIt.registerLazySingleton<DataExporter>(
+    () => DataExporter(
+      getIt<TransactionRepository>(),
+      getIt<BudgetRepository>(),
+      getIt<AllocationRepository>(),
+      getIt<CategoryRepository>(),
+      schemaVersion: getIt<AppDatabase>().schemaVersion,
+    ),
+  );
+
+  getIt.registerLazySingleton<BackupRestorer>(
+    () => BackupRestorer(
+      getIt<AppDatabase>(),
+      getIt<AuthManager>(),
+      getIt<SyncManager>(),
+    ),
+  );
 
   // ========================================
   // Cubits (Factories)
@@ -164,25 +373,107 @@ Future<void> configureDependencies() async {
 
   getIt.registerFactory<NavCubit>(() => NavCubit());
 
+  getIt.registerFactory<LoginCubit>(
+    () => LoginCubit(
+      getIt<AuthManager>(),
+      onUserChanged: reloadUserScope,
+    ),
+  );
+
+  getIt.registerFactory<ProfilesCubit>(
+    () => ProfilesCubit(
+      getIt<AuthManager>(),
+      onUserChanged: reloadUserScope,
+    ),
+  );
+
   // Tab cubit as singleton (survives page rebuilds for PageView)
   getIt.registerLazySingleton<TransactionListCubit>(
     () => TransactionListCubit(
       getIt<TransactionRepository>(),
       getIt<CategoryRepository>(),
+      getIt<BudgetRepository>(),
     ),
   );
 
+  // Singleton: shared by the search bar suggestions and the filter sheet
+  getIt.registerLazySingleton<SavedSearchesCubit>(
+    () => SavedSearchesCubit(getIt<SearchRepository>()),
+  );
+
   getIt.registerFactory<TransactionFormCubit>(
     () => TransactionFormCubit(
       getIt<TransactionRepository>(),
       getIt<BudgetRepository>(),
       getIt<CategoryRepository>(),
+      getIt<RecurringTransactionRepository>(),
+      getIt<RecurringTransactionScheduler>(),
+      getIt<ExchangeRateRepository>(),
+      getIt<SettingsRepository>(),
+      getIt<CategorizationRuleRepository>(),
+      getIt<CategorySuggester>(),
+      getIt<CategorizationRuleEngine>(),
+    ),
+  );
+
+  getIt.registerFactory<UpcomingTransactionsCubit>(
+    () => UpcomingTransactionsCubit(
+      getIt<RecurringTransactionRepository>(),
+    ),
+  );
+
+  getIt.registerFactory<TransactionImportCubit>(
+    () => TransactionImportCubit(getIt<StatementImporter>()),
+  );
+
+  getIt.registerFactory<DataBackupCubit>(
+    () => DataBackupCubit(
+      getIt<DataExporter>(),
+      getIt<BackupRestorer>(),
+      getIt<BudgetRepository>(),
+    ),
+  );
+
+  // App-wide (theme mode for MaterialApp, settings page)
+  getIt.registerLazySingleton<SettingsCubit>(
+    () => SettingsCubit(getIt<SettingsRepository>()),
+  );
+
+  getIt.registerFactory<AlertsCubit>(
+    () => AlertsCubit(
+      getIt<AlertRepository>(),
+      getIt<BudgetRepository>(),
+      getIt<ExchangeRateRepository>(),
+      getIt<BudgetAlertService>(),
+    ),
+  );
+
+  getIt.registerFactory<CategorizationRulesCubit>(
+    () => CategorizationRulesCubit(
+      getIt<CategorizationRuleRepository>(),
+      getIt<CategoryRepository>(),
+      getIt<BudgetRepository>(),
+    ),
+  );
+
+  getIt.registerFactory<TrashCubit>(
+    () => TrashCubit(
+      getIt<TrashService>(),
+      getIt<TransactionRepository>(),
+      getIt<BudgetRepository>(),
+      getIt<CategoryRepository>(),
+      getIt<AllocationRepository>(),
     ),
   );
 
+  getIt.registerFactory<ExchangeRatesCubit>(
+    () => ExchangeRatesCubit(getIt<ExchangeRateRepository>()),
+  );
+
   getIt.registerFactory<CategoryFormCubit>(
     () => CategoryFormCubit(
       getIt<CategoryRepository>(),
+      getIt<DeletionService>(),
     ),
   );
 
@@ -193,6 +484,8 @@ Future<void> configureDependencies() async {
       getIt<AllocationRepository>(),
       getIt<TransactionRepository>(),
       getIt<CategoryRepository>(),
+      getIt<ExchangeRateRepository>(),
+      getIt<SpendingHistoryService>(),
     ),
   );
 
@@ -216,6 +509,10 @@ Future<void> configureDependencies() async {
       getIt<BudgetRepository>(),
       getIt<AllocationRepository>(),
       getIt<CategoryRepository>(),
+      getIt<ExchangeRateRepository>(),
+      getIt<TransactionRepository>(),
+      getIt<SpendingHistoryService>(),
+      getIt<DeletionService>(),
     ),
   );
 
@@ -226,6 +523,24 @@ Future<void> configureDependencies() async {
       allocationRepository: getIt<AllocationRepository>(),
       transactionRepository: getIt<TransactionRepository>(),
       categoryRepository: getIt<CategoryRepository>(),
+      templateRepository: getIt<BudgetTemplateRepository>(),
+      exchangeRateRepository: getIt<ExchangeRateRepository>(),
+      spendingHistoryService: getIt<SpendingHistoryService>(),
+      alertRepository: getIt<AlertRepository>(),
+      deletionService: getIt<DeletionService>(),
+      trashService: getIt<TrashService>(),
+    ),
+  );
+
+  getIt.registerFactory<BudgetTemplatesCubit>(
+    () => BudgetTemplatesCubit(
+      getIt<BudgetTemplateRepository>(),
+    ),
+  );
+
+  getIt.registerFactory<SyncConflictsCubit>(
+    () => SyncConflictsCubit(
+      getIt<SyncConflictRepository>(),
     ),
   );
 
@@ -233,8 +548,8 @@ Future<void> configureDependencies() async {
   // Demo Data Seeder
   // ========================================
 
-  // Register demo data seeder
-  getIt.registerLazySingleton<DemoDataSeeder>(
+  // Factory: always seeds the active user's LocalSource
+  getIt.registerFactory<DemoDataSeeder>(
     () => DemoDataSeeder(
       database: getIt<AppDatabase>(),
       categoryLocalSource: getIt<CategoryLocalSource>(),
@@ -245,6 +560,163 @@ Future<void> configureDependencies() async {
     ),
   );
 
+  // Get current userId (await here to ensure auth is ready)
+  final userId = await getIt<AuthManager>().getCurrentUserId();
+  _pushUserScope(userId);
+
+  // Start periodic sync in background isolate
+  await getIt<SyncManager>().startPeriodicSync();
+
   // Seed demo data - force clear and reseed for development
   await getIt<DemoDataSeeder>().seedIfEmpty(forceClear: true);
+
+  // Remove what has been in the trash longer than the retention period
+  await getIt<TrashService>().purgeExpired(
+    getIt<SettingsRepository>().settings.trashRetentionDays,
+  );
+
+  // Create recurring transactions that came due while the app was closed
+  await getIt<RecurringTransactionScheduler>().materializeDue();
+
+  // Learn from budgets that ended (including the ones just seeded)
+  await getIt<SpendingHistoryService>().learn();
+
+  // Budget alerts: evaluate now and whenever transactions change
+  await getIt<LocalNotifier>().initialize();
+  getIt<BudgetAlertService>().start();
+}
+
+/// Sync API base URL, from `--dart-define=SYNC_API_URL=https://...`
+const String _syncApiUrl = String.fromEnvironment('SYNC_API_URL');
+
+/// Remote backend of the SyncManager, null to disable sync
+///
+/// Release builds sync only with the configured API. Debug builds without
+/// one fall back to the in-memory stand-in, which forgets everything on
+/// restart: a release build must never mark rows synced against it.
+SyncRemoteSourceFactory? _syncRemoteSourceFactory() {
+  if (_syncApiUrl.isNotEmpty) {
+    return () => HttpSyncRemoteSource(baseUrl: _syncApiUrl);
+  }
+  return kDebugMode ? InMemorySyncRemoteSource.new : null;
+}
+
+/// Name of the GetIt scope holding the userId-bound LocalSources
+const String _userScope = 'user';
+
+/// Rebind everything to the active AuthManager user
+///
+/// Call after the active user changed (sign-in, sign-out, profile switch).
+/// Replaces the LocalSources and rebinds the SyncManager and Repositories
+/// in place, so existing Cubits and widgets keep their subscriptions.
+Future<void> reloadUserScope() async {
+  final userId = await getIt<AuthManager>().getCurrentUserId();
+  await getIt.popScopesTill(_userScope);
+  _pushUserScope(userId);
+
+  final syncQueue = getIt<SyncQueueLocalSource>();
+  getIt<TransactionRepository>().bindUser(
+    getIt<TransactionLocalSource>(),
+    syncQueue,
+  );
+  getIt<CategoryRepository>().bindUser(getIt<CategoryLocalSource>(), syncQueue);
+  getIt<BudgetRepository>().bindUser(getIt<BudgetLocalSource>(), syncQueue);
+  getIt<AllocationRepository>().bindUser(
+    getIt<AllocationLocalSource>(),
+    syncQueue,
+  );
+  getIt<SyncConflictRepository>().bindUser(
+    getIt<SyncConflictLocalSource>(),
+    getIt<SyncConflictResolver>(),
+  );
+  getIt<RecurringTransactionRepository>().bindUser(
+    getIt<RecurringTransactionLocalSource>(),
+  );
+  getIt<BudgetTemplateRepository>().bindUser(
+    getIt<BudgetTemplateLocalSource>(),
+  );
+  getIt<ExchangeRateRepository>().bindUser(getIt<ExchangeRateLocalSource>());
+  getIt<SpendingHistoryService>().bindUser(
+    getIt<SpendingHistoryLocalSource>(),
+  );
+  getIt<AlertRepository>().bindUser(getIt<AlertLocalSource>());
+  getIt<SearchRepository>().bindUser(getIt<SearchLocalSource>());
+  getIt<CategorizationRuleRepository>().bindUser(
+    getIt<CategorizationRuleLocalSource>(),
+  );
+  getIt<SyncManager>().bindUser(syncQueue);
+
+  await getIt<TrashService>().purgeExpired(
+    getIt<SettingsRepository>().settings.trashRetentionDays,
+  );
+  await getIt<RecurringTransactionScheduler>().materializeDue();
+  await getIt<SpendingHistoryService>().learn();
+  // The new user's rules and data (transactions emit again as well)
+  getIt<BudgetAlertService>().start();
+}
+
+/// Register the LocalSources filtering by [userId] in a new GetIt scope
+void _pushUserScope(String userId) {
+  getIt.pushNewScope(scopeName: _userScope);
+
+  // ========================================
+  // Local Data Sources (userId-filtered)
+  // ========================================
+
+  getIt.registerLazySingleton<TransactionLocalSource>(
+    () => TransactionLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<CategoryLocalSource>(
+    () => CategoryLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<BudgetLocalSource>(
+    () => BudgetLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<AllocationLocalSource>(
+    () => AllocationLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<SyncQueueLocalSource>(
+    () => SyncQueueLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<SyncConflictLocalSource>(
+    () => SyncConflictLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<RecurringTransactionLocalSource>(
+    () => RecurringTransactionLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<BudgetTemplateLocalSource>(
+    () => BudgetTemplateLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<ExchangeRateLocalSource>(
+    () => ExchangeRateLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<SpendingHistoryLocalSource>(
+    () => SpendingHistoryLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<AlertLocalSource>(
+    () => AlertLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<SearchLocalSource>(
+    () => SearchLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  getIt.registerLazySingleton<CategorizationRuleLocalSource>(
+    () => CategorizationRuleLocalSource(getIt<AppDatabase>(), userId),
+  );
+
+  // Applies conflict decisions from the review screen (main isolate)
+  getIt.registerLazySingleton<SyncConflictResolver>(
+    () => SyncConflictResolver(getIt<AppDatabase>(), userId),
+  );
 }
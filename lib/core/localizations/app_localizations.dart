@@ -1,219 +1,2437 @@
+import 'dart:async';
+
 import 'package:flutter/foundation.dart';
-import 'package:flutter/material.dart';
-import 'package:centabit/core/localizations/app_localizations_en.dart';
+import 'package:flutter/widgets.dart';
+import 'package:flutter_localizations/flutter_localizations.dart';
+import 'package:intl/intl.dart' as intl;
+
+import 'app_localizations_ar.dart';
+import 'app_localizations_de.dart';
+import 'app_localizations_en.dart';
+import 'app_localizations_es.dart';
+import 'app_localizations_fr.dart';
 
-/// Abstract base class for app localizations.
+// ignore_for_file: type=lint
+
+/// Callers can lookup localized strings with an instance of AppLocalizations
+/// returned by `AppLocalizations.of(context)`.
 ///
-/// Provides a type-safe way to access localized strings throughout the app.
-/// Follow this pattern to maintain consistency with v0.4 and enable easy
-/// addition of new languages.
+/// Applications need to include `AppLocalizations.delegate()` in their app's
+/// `localizationDelegates` list, and the locales they support in the app's
+/// `supportedLocales` list. For example:
 ///
-/// **Usage in Widgets**:
 /// ```dart
-/// Text(AppLocalizations.of(context).bar)
-/// Text(AppLocalizations.of(context).activeBudget('December 2025'))
+/// import 'app_localizations.dart';
+///
+/// return MaterialApp(
+///   localizationsDelegates: AppLocalizations.localizationsDelegates,
+///   supportedLocales: AppLocalizations.supportedLocales,
+///   home: MyApplicationHome(),
+/// );
+/// ```
+///
+/// ## Update pubspec.yaml
+///
+/// Please make sure to update your pubspec.yaml to include the following
+/// packages:
+///
+/// ```yaml
+/// dependencies:
+///   # Internationalization support.
+///   flutter_localizations:
+///     sdk: flutter
+///   intl: any # Use the pinned version from flutter_localizations
+///
+///   # Rest of dependencies
 /// ```
 ///
-/// **Adding a New Language**:
-/// 1. Create `app_localizations_es.dart` extending `AppLocalizations`
-/// 2. Implement all getter methods with Spanish translations
-/// 3. Add to `load()` method below
-/// 4. Add `Locale('es', '')` to `supportedLocales` in main.dart
+/// ## iOS Applications
+///
+/// iOS applications define key application metadata, including supported
+/// locales, in an Info.plist file that is built into the application bundle.
+/// To configure the locales supported by your app, you’ll need to edit this
+/// file.
 ///
-/// **Current Languages**:
-/// - English (en) - Default
+/// First, open your project’s ios/Runner.xcworkspace Xcode workspace file.
+/// Then, in the Project Navigator, open the Info.plist file under the Runner
+/// project’s Runner folder.
 ///
-/// **Architecture Notes**:
-/// - Uses Flutter's built-in localization system
-/// - Each language is a separate class file
-/// - Loaded dynamically based on device/app locale
-/// - Accessed via `AppLocalizations.of(context)`
+/// Next, select the Information Property List item, select Add Item from the
+/// Editor menu, then select Localizations from the pop-up menu.
+///
+/// Select and expand the newly-created Localizations item then, for each
+/// locale your application supports, add a new item and select the locale
+/// you wish to add from the pop-up menu in the Value field. This list should
+/// be consistent with the languages listed in the AppLocalizations.supportedLocales
+/// property.
 abstract class AppLocalizations {
-  /// Returns the localized instance for the given context.
-  ///
-  /// This is the primary way to access translations in widgets.
-  ///
-  /// **Example**:
-  /// ```dart
-  /// @override
-  /// Widget build(BuildContext context) {
-  ///   final l10n = AppLocalizations.of(context);
-  ///   return Text(l10n.bar);
-  /// }
-  /// ```
-  ///
-  /// **Note**: Context must have MaterialApp with localizationsDelegates
-  /// configured, or this will throw.
+  AppLocalizations(String locale)
+    : localeName = intl.Intl.canonicalizedLocale(locale.toString());
+
+  final String localeName;
+
   static AppLocalizations of(BuildContext context) {
     return Localizations.of<AppLocalizations>(context, AppLocalizations)!;
   }
 
-  /// Creates localization delegate for MaterialApp.
-  ///
-  /// Add this to MaterialApp.localizationsDelegates:
-  /// ```dart
-  /// MaterialApp(
-  ///   localizationsDelegates: [
-  ///     AppLocalizations.delegate,
-  ///     GlobalMaterialLocalizations.delegate,
-  ///     GlobalWidgetsLocalizations.delegate,
-  ///     GlobalCupertinoLocalizations.delegate,
-  ///   ],
-  ///   supportedLocales: [
-  ///     Locale('en', ''),
-  ///   ],
-  ///   ...
-  /// )
-  /// ```
   static const LocalizationsDelegate<AppLocalizations> delegate =
       _AppLocalizationsDelegate();
 
-  // ========================================
-  // Dashboard Strings
-  // ========================================
+  /// A list of this localizations delegate along with the default localizations
+  /// delegates.
+  ///
+  /// Returns a list of localizations delegates containing this delegate along with
+  /// GlobalMaterialLocalizations.delegate, GlobalCupertinoLocalizations.delegate,
+  /// and GlobalWidgetsLocalizations.delegate.
+  ///
+  /// Additional delegates can be added by appending to this list in
+  /// MaterialApp. This list does not have to be used at all if a custom list
+  /// of delegates is preferred or required.
+  static const List<LocalizationsDelegate<dynamic>> localizationsDelegates =
+      <LocalizationsDelegate<dynamic>>[
+        delegate,
+        GlobalMaterialLocalizations.delegate,
+        GlobalCupertinoLocalizations.delegate,
+        GlobalWidgetsLocalizations.delegate,
+      ];
+
+  /// A list of this localizations delegate's supported locales.
+  static const List<Locale> supportedLocales = <Locale>[
+    Locale('en'),
+    Locale('ar'),
+    Locale('de'),
+    Locale('es'),
+    Locale('fr'),
+  ];
+
+  /// Name of this language, in this language (language picker in Settings)
+  ///
+  /// In en, this message translates to:
+  /// **'English'**
+  String get languageName;
 
-  /// "BAR" - Short form for Budget Available Ratio
+  /// Short form of Budget Adherence Ratio, label next to the BAR value
   ///
-  /// Used as label next to the BAR metric value.
+  /// In en, this message translates to:
+  /// **'BAR'**
   String get bar;
 
-  /// "Budget Available Ratio (BAR)" - Full name
+  /// Title of the dialog explaining BAR
   ///
-  /// Used as dialog title when explaining BAR.
+  /// In en, this message translates to:
+  /// **'Budget Adherence Ratio (BAR)'**
   String get barFull;
 
-  /// BAR definition text for info dialog
+  /// What BAR is (BAR info dialog)
   ///
-  /// Explains what BAR is and how it works.
+  /// In en, this message translates to:
+  /// **'BAR is a metric that helps you track if you're on pace with your spending. It compares how much you've spent versus how much time has passed in your budget period.'**
   String get barDefinition;
 
-  /// BAR usage explanation for info dialog
+  /// How to read the BAR value (BAR info dialog)
   ///
-  /// Explains how to interpret the BAR value.
+  /// In en, this message translates to:
+  /// **'The BAR value shows your spending rate relative to the budget timeline. A value of 1.0 means you're spending at exactly the expected pace.'**
   String get barUsageExplanation;
 
-  /// "Key Rule: Stay below 1.0" - BAR threshold guidance
+  /// BAR target guidance (BAR info dialog)
   ///
-  /// Shown in info dialog to explain the target BAR value.
+  /// In en, this message translates to:
+  /// **'Key Rule: Stay below 1.0'**
   String get barKeyRule;
 
-  /// Explanation of what higher/lower BAR values mean
+  /// What higher and lower BAR values mean, with examples (BAR info dialog)
   ///
-  /// Shown in info dialog with examples.
+  /// In en, this message translates to:
+  /// **'Higher than 1.0 means you're spending faster than planned and may run out of budget early. Lower than 1.0 means you're under-spending and have budget left over.\n\nExample:\n• BAR of 0.8: You're spending slower than planned (good!)\n• BAR of 1.0: Perfect pace\n• BAR of 1.2: You're overspending (warning!)\n• BAR of 1.5+: Significantly over budget (critical!)'**
   String get barHigherLowerExplanation;
 
-  /// "Updates in real-time..." - BAR update frequency note
+  /// When BAR is recalculated (BAR info dialog)
   ///
-  /// Tells users when BAR recalculates.
+  /// In en, this message translates to:
+  /// **'Updates in real-time as you add transactions or as time passes.'**
   String get barUpdateFrequency;
 
-  /// "Active Budget: {name}" - Budget title format
-  ///
-  /// Used to display the current budget name in the report section.
+  /// Name of the current budget in the dashboard report section
   ///
-  /// **Example**:
-  /// ```dart
-  /// Text(l10n.activeBudget('December 2025'))
-  /// // Output: "Active Budget: December 2025"
-  /// ```
+  /// In en, this message translates to:
+  /// **'Active Budget: {name}'**
   String activeBudget(String name);
 
-  /// "No data available" - Empty state message
+  /// Empty state when no budgets or data exist
   ///
-  /// Shown when no budgets or data exist.
+  /// In en, this message translates to:
+  /// **'No data available'**
   String get noData;
 
-  /// "Transactions" - Section header
+  /// Header of the dashboard's daily transactions section
   ///
-  /// Header for the daily transactions section.
+  /// In en, this message translates to:
+  /// **'Transactions'**
   String get transactionsForDate;
 
-  /// "No transactions for this date" - Empty state for date filter
+  /// Empty state when the selected date has no transactions
   ///
-  /// Shown when selected date has no transactions.
+  /// In en, this message translates to:
+  /// **'No transactions for this date'**
   String get noTransactionsForDate;
 
-  // ========================================
-  // Common UI Strings
-  // ========================================
-
-  /// "OK" - Generic confirmation button
+  /// Generic confirmation button
+  ///
+  /// In en, this message translates to:
+  /// **'OK'**
   String get ok;
 
-  /// "Cancel" - Generic cancel button
+  /// Generic cancel button
+  ///
+  /// In en, this message translates to:
+  /// **'Cancel'**
   String get cancel;
 
-  /// "GOT IT" - Dismissal button for info dialogs
+  /// Button dismissing an info dialog
+  ///
+  /// In en, this message translates to:
+  /// **'GOT IT'**
   String get gotIt;
 
-  /// "Delete" - Delete confirmation button
+  /// Delete button
+  ///
+  /// In en, this message translates to:
+  /// **'Delete'**
   String get delete;
 
-  /// "Are you sure?" - Generic confirmation question
+  /// Generic confirmation question
+  ///
+  /// In en, this message translates to:
+  /// **'Are you sure?'**
   String get areYouSure;
 
-  // ========================================
-  // Chart Strings
-  // ========================================
-
-  /// "Budget" - Legend label for budgeted amounts
+  /// Chart legend label for budgeted amounts
+  ///
+  /// In en, this message translates to:
+  /// **'Budget'**
   String get budget;
 
-  /// "Actual" - Legend label for actual spending
+  /// Chart legend label for actual spending
+  ///
+  /// In en, this message translates to:
+  /// **'Actual'**
   String get actual;
 
-  /// "Spending" - Generic spending label
+  /// Chart legend label for spent amounts
+  ///
+  /// In en, this message translates to:
+  /// **'Spending'**
   String get spending;
 
-  // ========================================
-  // Date/Time Strings
-  // ========================================
-
-  /// "Today" - Relative date for current day
+  /// Relative date for the current day
+  ///
+  /// In en, this message translates to:
+  /// **'Today'**
   String get today;
 
-  /// "Yesterday" - Relative date for previous day
+  /// Relative date for the previous day
+  ///
+  /// In en, this message translates to:
+  /// **'Yesterday'**
   String get yesterday;
-}
 
-/// Private delegate class for loading localizations.
-///
-/// Handles locale resolution and loading the appropriate language class.
-class _AppLocalizationsDelegate
-    extends LocalizationsDelegate<AppLocalizations> {
-  const _AppLocalizationsDelegate();
+  /// Transaction type: money going out
+  ///
+  /// In en, this message translates to:
+  /// **'Debit'**
+  String get debit;
 
-  /// Checks if the given locale is supported.
+  /// Transaction type: money coming in
   ///
-  /// Currently only English is supported.
-  /// Add new locales here as they're implemented.
-  @override
-  bool isSupported(Locale locale) {
-    return ['en'].contains(locale.languageCode);
-  }
+  /// In en, this message translates to:
+  /// **'Credit'**
+  String get credit;
 
-  /// Loads the appropriate localization class for the locale.
-  ///
-  /// **Adding a new language**:
-  /// ```dart
-  /// switch (locale.languageCode) {
-  ///   case 'en':
-  ///     return SynchronousFuture<AppLocalizations>(AppLocalizationsEn());
-  ///   case 'es':
-  ///     return SynchronousFuture<AppLocalizations>(AppLocalizationsEs());
-  ///   default:
-  ///     return SynchronousFuture<AppLocalizations>(AppLocalizationsEn());
-  /// }
-  /// ```
-  @override
-  Future<AppLocalizations> load(Locale locale) {
-    // For now, only English is supported
-    return SynchronousFuture<AppLocalizations>(AppLocalizationsEn());
-  }
+  /// Settings page title
+  ///
+  /// In en, this message translates to:
+  /// **'Settings'**
+  String get settingsTitle;
 
-  /// Whether localizations should be reloaded when locale changes.
+  /// Settings section header
   ///
-  /// Return false for performance - localizations are stateless.
-  @override
-  bool shouldReload(_AppLocalizationsDelegate old) => false;
+  /// In en, this message translates to:
+  /// **'Appearance'**
+  String get settingsAppearance;
+
+  /// In en, this message translates to:
+  /// **'Theme'**
+  String get settingsTheme;
+
+  /// Theme option: follow the device
+  ///
+  /// In en, this message translates to:
+  /// **'System'**
+  String get settingsThemeSystem;
+
+  /// In en, this message translates to:
+  /// **'Light'**
+  String get settingsThemeLight;
+
+  /// In en, this message translates to:
+  /// **'Dark'**
+  String get settingsThemeDark;
+
+  /// In en, this message translates to:
+  /// **'Language'**
+  String get settingsLanguage;
+
+  /// Language option: follow the device language
+  ///
+  /// In en, this message translates to:
+  /// **'Device language'**
+  String get settingsLanguageDevice;
+
+  /// Settings section header
+  ///
+  /// In en, this message translates to:
+  /// **'Amounts'**
+  String get settingsAmounts;
+
+  /// In en, this message translates to:
+  /// **'Currency'**
+  String get settingsCurrency;
+
+  /// Sample amount formatted with the current settings
+  ///
+  /// In en, this message translates to:
+  /// **'Preview: {amount}'**
+  String settingsCurrencyPreview(String amount);
+
+  /// Currency placement option: before the amount
+  ///
+  /// In en, this message translates to:
+  /// **'Before'**
+  String get settingsCurrencyBefore;
+
+  /// Currency placement option: after the amount
+  ///
+  /// In en, this message translates to:
+  /// **'After'**
+  String get settingsCurrencyAfter;
+
+  /// In en, this message translates to:
+  /// **'Number format'**
+  String get settingsNumberFormat;
+
+  /// Format option following the app language, with a sample
+  ///
+  /// In en, this message translates to:
+  /// **'{example} (language)'**
+  String settingsLanguageFormat(String example);
+
+  /// In en, this message translates to:
+  /// **'Currencies & exchange rates'**
+  String get settingsExchangeRates;
+
+  /// In en, this message translates to:
+  /// **'Default currency of this profile'**
+  String get settingsExchangeRatesSubtitle;
+
+  /// Settings section header
+  ///
+  /// In en, this message translates to:
+  /// **'Dates'**
+  String get settingsDates;
+
+  /// In en, this message translates to:
+  /// **'Date format'**
+  String get settingsDateFormat;
+
+  /// In en, this message translates to:
+  /// **'24-hour time'**
+  String get settings24HourTime;
+
+  /// In en, this message translates to:
+  /// **'First day of week'**
+  String get settingsFirstDayOfWeek;
+
+  /// Settings section header
+  ///
+  /// In en, this message translates to:
+  /// **'Transactions'**
+  String get settingsTransactions;
+
+  /// Transaction type preselected in the new transaction form
+  ///
+  /// In en, this message translates to:
+  /// **'Default type'**
+  String get settingsDefaultType;
+
+  /// In en, this message translates to:
+  /// **'Preselected for new transactions'**
+  String get settingsDefaultTypeSubtitle;
+
+  /// In en, this message translates to:
+  /// **'Reset to defaults'**
+  String get settingsReset;
+
+  /// Snackbar for a navigation bar action that isn't available yet
+  ///
+  /// In en, this message translates to:
+  /// **'Action coming soon'**
+  String get actionComingSoon;
+
+  /// Placeholder of the navigation search bar, by page searched
+  ///
+  /// In en, this message translates to:
+  /// **'{scope, select, transactions{Search transactions} other{Search}}'**
+  String searchHint(String scope, Object Search);
+
+  /// Edit action
+  ///
+  /// In en, this message translates to:
+  /// **'Edit'**
+  String get edit;
+
+  /// Copy (duplicate) action
+  ///
+  /// In en, this message translates to:
+  /// **'Copy'**
+  String get copy;
+
+  /// Save button
+  ///
+  /// In en, this message translates to:
+  /// **'Save'**
+  String get save;
+
+  /// Toast after swiping a transaction away
+  ///
+  /// In en, this message translates to:
+  /// **'Transaction deleted'**
+  String get transactionDeleted;
+
+  /// Toast after copying a transaction
+  ///
+  /// In en, this message translates to:
+  /// **'Transaction copied'**
+  String get transactionCopied;
+
+  /// In en, this message translates to:
+  /// **'Delete Transaction'**
+  String get deleteTransactionTitle;
+
+  /// In en, this message translates to:
+  /// **'Are you sure you want to delete this transaction?'**
+  String get deleteTransactionMessage;
+
+  /// Default label of a form's submit button
+  ///
+  /// In en, this message translates to:
+  /// **'Add'**
+  String get add;
+
+  /// In en, this message translates to:
+  /// **'Retry'**
+  String get retry;
+
+  /// In en, this message translates to:
+  /// **'Discard'**
+  String get discard;
+
+  /// In en, this message translates to:
+  /// **'Unknown error'**
+  String get unknownError;
+
+  /// Tooltip of the calendar button
+  ///
+  /// In en, this message translates to:
+  /// **'Select date'**
+  String get selectDate;
+
+  /// Tooltip/label of a currency picker
+  ///
+  /// In en, this message translates to:
+  /// **'Currency'**
+  String get currency;
+
+  /// In en, this message translates to:
+  /// **'Logout'**
+  String get logout;
+
+  /// Profiles page title and app bar tooltip
+  ///
+  /// In en, this message translates to:
+  /// **'Profiles'**
+  String get profilesTitle;
+
+  /// In en, this message translates to:
+  /// **'Just now'**
+  String get timeJustNow;
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 minute ago} other{{count} minutes ago}}'**
+  String timeMinutesAgo(int count);
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 hour ago} other{{count} hours ago}}'**
+  String timeHoursAgo(int count);
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 day ago} other{{count} days ago}}'**
+  String timeDaysAgo(int count);
+
+  /// Tooltip of the sync indicator
+  ///
+  /// In en, this message translates to:
+  /// **'Last synced: {time}'**
+  String syncLastSynced(String time);
+
+  /// In en, this message translates to:
+  /// **'Sync failed'**
+  String get syncFailed;
+
+  /// In en, this message translates to:
+  /// **'Sync Failed'**
+  String get syncFailedTitle;
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 conflict to review} other{{count} conflicts to review}}'**
+  String syncConflictsToReview(int count);
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 change not synced} other{{count} changes not synced}}'**
+  String syncChangesNotSynced(int count);
+
+  /// In en, this message translates to:
+  /// **'Changes Not Synced'**
+  String get syncChangesNotSyncedTitle;
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 change failed to sync after several attempts. It is still saved on this device.} other{{count} changes failed to sync after several attempts. They are still saved on this device.}}'**
+  String syncChangesNotSyncedMessage(int count);
+
+  /// Name field label
+  ///
+  /// In en, this message translates to:
+  /// **'Name'**
+  String get name;
+
+  /// In en, this message translates to:
+  /// **'Rename'**
+  String get rename;
+
+  /// Error shown in place of a page's content
+  ///
+  /// In en, this message translates to:
+  /// **'Error: {message}'**
+  String errorMessage(String message);
+
+  /// Tagline under the logo on the login page
+  ///
+  /// In en, this message translates to:
+  /// **'Every cent counts.'**
+  String get loginTagline;
+
+  /// In en, this message translates to:
+  /// **'Continue with Google'**
+  String get loginContinueWithGoogle;
+
+  /// In en, this message translates to:
+  /// **'Continue without account'**
+  String get loginContinueWithoutAccount;
+
+  /// In en, this message translates to:
+  /// **'Sign-in failed: {error}'**
+  String loginFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'New guest profile'**
+  String get profilesNewGuest;
+
+  /// In en, this message translates to:
+  /// **'Guest (this device only)'**
+  String get profilesGuestSubtitle;
+
+  /// Shown for a guest profile that has not been renamed
+  ///
+  /// In en, this message translates to:
+  /// **'Guest'**
+  String get profilesGuestName;
+
+  /// Shown for a signed-in profile without a name from the identity provider
+  ///
+  /// In en, this message translates to:
+  /// **'Account'**
+  String get profilesAccountName;
+
+  /// In en, this message translates to:
+  /// **'Signed in'**
+  String get profilesSignedIn;
+
+  /// In en, this message translates to:
+  /// **'Switch to another profile to delete this one'**
+  String get profilesDeleteActiveHint;
+
+  /// In en, this message translates to:
+  /// **'Delete Profile'**
+  String get profilesDeleteTitle;
+
+  /// In en, this message translates to:
+  /// **'Delete "{name}" and all of its transactions, budgets and categories from this device?'**
+  String profilesDeleteMessage(String name);
+
+  /// In en, this message translates to:
+  /// **'Delete "{name}" and all of its transactions, budgets and categories from this device? Guest data is not backed up and cannot be recovered.'**
+  String profilesDeleteGuestMessage(String name);
+
+  /// In en, this message translates to:
+  /// **'Rename Profile'**
+  String get profilesRenameTitle;
+
+  /// In en, this message translates to:
+  /// **'Failed to switch profile: {error}'**
+  String profilesSwitchFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to create profile: {error}'**
+  String profilesCreateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to rename profile: {error}'**
+  String profilesRenameFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to delete profile: {error}'**
+  String profilesDeleteFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'All dates'**
+  String get allDates;
+
+  /// A range of two formatted dates
+  ///
+  /// In en, this message translates to:
+  /// **'{start} – {end}'**
+  String dateRange(String start, String end);
+
+  /// In en, this message translates to:
+  /// **'All budgets'**
+  String get allBudgets;
+
+  /// Export & backup page title
+  ///
+  /// In en, this message translates to:
+  /// **'Export & Backup'**
+  String get backupTitle;
+
+  /// In en, this message translates to:
+  /// **'Export'**
+  String get backupExport;
+
+  /// In en, this message translates to:
+  /// **'Export CSV'**
+  String get backupExportCsv;
+
+  /// In en, this message translates to:
+  /// **'Export backup'**
+  String get backupExportBackup;
+
+  /// Title of the save file dialog
+  ///
+  /// In en, this message translates to:
+  /// **'Save export'**
+  String get backupSaveExport;
+
+  /// In en, this message translates to:
+  /// **'Saved {fileName}'**
+  String backupSaved(String fileName);
+
+  /// In en, this message translates to:
+  /// **'Restore'**
+  String get backupRestore;
+
+  /// In en, this message translates to:
+  /// **'Restore a backup file into this profile.'**
+  String get backupRestoreHint;
+
+  /// In en, this message translates to:
+  /// **'Restore backup'**
+  String get backupRestoreBackup;
+
+  /// In en, this message translates to:
+  /// **'Restore Backup'**
+  String get backupRestoreTitle;
+
+  /// Content of the backup file about to be restored
+  ///
+  /// In en, this message translates to:
+  /// **'Backup from {date} with {transactions, plural, =1{1 transaction} other{{transactions} transactions}}, {budgets, plural, =1{1 budget} other{{budgets} budgets}} and {categories, plural, =1{1 category} other{{categories} categories}}.'**
+  String backupRestoreSummary(String date, int transactions, int budgets, int categories);
+
+  /// In en, this message translates to:
+  /// **'This is a filtered backup: it can only be merged into the current data.'**
+  String get backupRestorePartialHint;
+
+  /// In en, this message translates to:
+  /// **'Replace deletes current data that is not in the backup. Merge keeps it, along with changes made after the backup.'**
+  String get backupRestoreModeHint;
+
+  /// In en, this message translates to:
+  /// **'Replace'**
+  String get backupReplace;
+
+  /// In en, this message translates to:
+  /// **'Merge'**
+  String get backupMerge;
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{Restored 1 item} other{Restored {count} items}}'**
+  String backupRestored(int count);
+
+  /// Appended to backupRestored: items kept because the current version is newer
+  ///
+  /// In en, this message translates to:
+  /// **', kept {count} newer'**
+  String backupRestoredKept(int count);
+
+  /// Appended to backupRestored: current items not in the backup
+  ///
+  /// In en, this message translates to:
+  /// **', removed {count}'**
+  String backupRestoredRemoved(int count);
+
+  /// In en, this message translates to:
+  /// **'Failed to export data: {error}'**
+  String backupExportFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to restore backup: {error}'**
+  String backupRestoreFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Not a Centabit backup file'**
+  String get backupNotABackup;
+
+  /// In en, this message translates to:
+  /// **'This backup was made by a newer version of Centabit'**
+  String get backupFromNewerVersion;
+
+  /// In en, this message translates to:
+  /// **'Backup file is damaged ({error})'**
+  String backupDamaged(String error);
+
+  /// In en, this message translates to:
+  /// **'A filtered backup can only be merged into the current data'**
+  String get backupPartialMergeOnly;
+
+  /// Currencies & exchange rates page title
+  ///
+  /// In en, this message translates to:
+  /// **'Currencies'**
+  String get exchangeRatesTitle;
+
+  /// In en, this message translates to:
+  /// **'Import rates'**
+  String get exchangeRatesImport;
+
+  /// In en, this message translates to:
+  /// **'Add rate'**
+  String get exchangeRatesAdd;
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{Imported 1 rate} other{Imported {count} rates}}'**
+  String exchangeRatesImported(int count);
+
+  /// In en, this message translates to:
+  /// **'Default currency'**
+  String get exchangeRatesDefaultCurrency;
+
+  /// In en, this message translates to:
+  /// **'New transactions, budgets and overviews'**
+  String get exchangeRatesDefaultCurrencySubtitle;
+
+  /// In en, this message translates to:
+  /// **'Exchange rates'**
+  String get exchangeRatesSection;
+
+  /// In en, this message translates to:
+  /// **'No rates yet. Amounts in other currencies are counted 1:1 until you add one.'**
+  String get exchangeRatesEmpty;
+
+  /// In en, this message translates to:
+  /// **'Updated {date}'**
+  String exchangeRatesUpdated(String date);
+
+  /// In en, this message translates to:
+  /// **'Delete Rate'**
+  String get exchangeRatesDeleteTitle;
+
+  /// In en, this message translates to:
+  /// **'Delete the {pair} rate? Amounts that need it are counted 1:1 until you add it again.'**
+  String exchangeRatesDeleteMessage(String pair);
+
+  /// In en, this message translates to:
+  /// **'Add Rate'**
+  String get exchangeRatesAddTitle;
+
+  /// In en, this message translates to:
+  /// **'Edit Rate'**
+  String get exchangeRatesEditTitle;
+
+  /// Label of the base currency of a rate (1 unit of EUR costs 1.08 USD)
+  ///
+  /// In en, this message translates to:
+  /// **'1 unit of'**
+  String get exchangeRatesUnitOf;
+
+  /// Label of the quote currency of a rate (1 unit of EUR costs 1.08 USD)
+  ///
+  /// In en, this message translates to:
+  /// **'Costs'**
+  String get exchangeRatesCosts;
+
+  /// In en, this message translates to:
+  /// **'Rate'**
+  String get exchangeRatesRate;
+
+  /// In en, this message translates to:
+  /// **'Pick two different currencies'**
+  String get exchangeRatesSameCurrency;
+
+  /// In en, this message translates to:
+  /// **'Rate must be greater than 0'**
+  String get exchangeRatesRatePositive;
+
+  /// In en, this message translates to:
+  /// **'Failed to save rate: {error}'**
+  String exchangeRatesSaveFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to delete rate: {error}'**
+  String exchangeRatesDeleteFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to import rates: {error}'**
+  String exchangeRatesImportFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to change default currency: {error}'**
+  String exchangeRatesDefaultCurrencyFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Line {line}: expected BASE,QUOTE,RATE'**
+  String exchangeRatesParseFields(int line);
+
+  /// In en, this message translates to:
+  /// **'Line {line}: currencies must be 3-letter codes like EUR'**
+  String exchangeRatesParseCodes(int line);
+
+  /// In en, this message translates to:
+  /// **'Line {line}: {currency} can't be priced in itself'**
+  String exchangeRatesParseSamePair(int line, String currency);
+
+  /// In en, this message translates to:
+  /// **'Line {line}: rate must be a number greater than 0'**
+  String exchangeRatesParseRate(int line);
+
+  /// In en, this message translates to:
+  /// **'Amount is required'**
+  String get amountRequired;
+
+  /// In en, this message translates to:
+  /// **'Amount must be greater than 0'**
+  String get amountPositive;
+
+  /// In en, this message translates to:
+  /// **'Budget name is required'**
+  String get budgetNameRequired;
+
+  /// In en, this message translates to:
+  /// **'Add at least one allocation'**
+  String get allocationsRequired;
+
+  /// In en, this message translates to:
+  /// **'Total allocations ({allocated}) exceed budget ({budget})'**
+  String allocationsExceedBudget(String allocated, String budget);
+
+  /// In en, this message translates to:
+  /// **'Duplicate categories found. Each category can only be allocated once'**
+  String get allocationsDuplicateCategory;
+
+  /// In en, this message translates to:
+  /// **'All allocation amounts must be greater than 0'**
+  String get allocationsAmountPositive;
+
+  /// In en, this message translates to:
+  /// **'Failed to create budget: {error}'**
+  String budgetCreateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to update budget: {error}'**
+  String budgetUpdateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to delete budget: {error}'**
+  String budgetDeleteFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to roll over budget: {error}'**
+  String budgetRollOverFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to save template: {error}'**
+  String templateSaveFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to rename template: {error}'**
+  String templateRenameFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to delete template: {error}'**
+  String templateDeleteFailed(String error);
+
+  /// Bar chart option of the budget details chart toggle
+  ///
+  /// In en, this message translates to:
+  /// **'Bar'**
+  String get chartBar;
+
+  /// Pie chart option of the budget details chart toggle
+  ///
+  /// In en, this message translates to:
+  /// **'Pie'**
+  String get chartPie;
+
+  /// In en, this message translates to:
+  /// **'{days, plural, =1{Upcoming • Starts tomorrow} other{Upcoming • Starts in {days} days}}'**
+  String budgetStatusUpcoming(int days);
+
+  /// In en, this message translates to:
+  /// **'{days, plural, =0{Active • Last day} =1{Active • 1 day left} other{Active • {days} days left}}'**
+  String budgetStatusActive(int days);
+
+  /// In en, this message translates to:
+  /// **'{days, plural, =1{Expired • Ended yesterday} other{Expired • Ended {days} days ago}}'**
+  String budgetStatusExpired(int days);
+
+  /// In en, this message translates to:
+  /// **'Error'**
+  String get error;
+
+  /// In en, this message translates to:
+  /// **'Create'**
+  String get create;
+
+  /// In en, this message translates to:
+  /// **'Update'**
+  String get update;
+
+  /// In en, this message translates to:
+  /// **'Amount'**
+  String get amount;
+
+  /// In en, this message translates to:
+  /// **'Enter amount'**
+  String get amountHint;
+
+  /// In en, this message translates to:
+  /// **'Category'**
+  String get category;
+
+  /// In en, this message translates to:
+  /// **'Please select a category'**
+  String get categoryRequired;
+
+  /// In en, this message translates to:
+  /// **'Select category'**
+  String get categorySelect;
+
+  /// In en, this message translates to:
+  /// **'No categories available. Create categories first.'**
+  String get categoriesNoneAvailable;
+
+  /// In en, this message translates to:
+  /// **'Create category'**
+  String get categoryCreate;
+
+  /// In en, this message translates to:
+  /// **'Create a category'**
+  String get categoryCreateFirst;
+
+  /// In en, this message translates to:
+  /// **'Unknown Category'**
+  String get unknownCategory;
+
+  /// In en, this message translates to:
+  /// **'Start Date'**
+  String get startDate;
+
+  /// In en, this message translates to:
+  /// **'Start date is required'**
+  String get startDateRequired;
+
+  /// In en, this message translates to:
+  /// **'End Date'**
+  String get endDate;
+
+  /// In en, this message translates to:
+  /// **'End date is required'**
+  String get endDateRequired;
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 transaction} other{{count} transactions}}'**
+  String transactionCount(int count);
+
+  /// Chart legend line: category name and its amount
+  ///
+  /// In en, this message translates to:
+  /// **'{label}: {amount}'**
+  String chartLegendEntry(String label, String amount);
+
+  /// In en, this message translates to:
+  /// **'No allocations to display'**
+  String get chartNoAllocations;
+
+  /// In en, this message translates to:
+  /// **'Budgets'**
+  String get budgetsTitle;
+
+  /// In en, this message translates to:
+  /// **'No budgets yet'**
+  String get budgetsEmpty;
+
+  /// In en, this message translates to:
+  /// **'Create your first budget to start tracking spending'**
+  String get budgetsEmptyMessage;
+
+  /// In en, this message translates to:
+  /// **'Tap the + button above to get started'**
+  String get budgetsEmptyHint;
+
+  /// In en, this message translates to:
+  /// **'Error Loading Budgets'**
+  String get budgetsLoadError;
+
+  /// In en, this message translates to:
+  /// **'Upcoming'**
+  String get budgetUpcoming;
+
+  /// In en, this message translates to:
+  /// **'Active'**
+  String get budgetActive;
+
+  /// In en, this message translates to:
+  /// **'Expired'**
+  String get budgetExpired;
+
+  /// Budget list tile: allocated amount out of the budget amount
+  ///
+  /// In en, this message translates to:
+  /// **'{allocated} / {total}'**
+  String budgetAllocatedOfTotal(String allocated, String total);
+
+  /// In en, this message translates to:
+  /// **'Budget Details'**
+  String get budgetDetailsTitle;
+
+  /// In en, this message translates to:
+  /// **'Save as template'**
+  String get budgetSaveAsTemplate;
+
+  /// In en, this message translates to:
+  /// **'Roll over to next period'**
+  String get budgetRollOverAction;
+
+  /// In en, this message translates to:
+  /// **'Breakdown'**
+  String get budgetBreakdown;
+
+  /// In en, this message translates to:
+  /// **'Allocations Breakdown'**
+  String get budgetAllocationsBreakdown;
+
+  /// In en, this message translates to:
+  /// **'Recent Transactions ({count})'**
+  String budgetRecentTransactions(int count);
+
+  /// In en, this message translates to:
+  /// **'Back to Budgets'**
+  String get budgetBackToBudgets;
+
+  /// In en, this message translates to:
+  /// **'No Data Yet'**
+  String get budgetNoDataTitle;
+
+  /// In en, this message translates to:
+  /// **'Add allocations and transactions to see details.'**
+  String get budgetNoDataMessage;
+
+  /// In en, this message translates to:
+  /// **'Delete Budget'**
+  String get budgetDeleteTitle;
+
+  /// In en, this message translates to:
+  /// **'Budget Summary'**
+  String get budgetSummary;
+
+  /// In en, this message translates to:
+  /// **'Total Budget'**
+  String get budgetTotal;
+
+  /// In en, this message translates to:
+  /// **'Allocated'**
+  String get budgetAllocated;
+
+  /// In en, this message translates to:
+  /// **'Spent'**
+  String get budgetSpent;
+
+  /// In en, this message translates to:
+  /// **'Remaining'**
+  String get budgetRemaining;
+
+  /// In en, this message translates to:
+  /// **'Unallocated'**
+  String get budgetUnallocated;
+
+  /// In en, this message translates to:
+  /// **'Budget Health (BAR): {value}'**
+  String budgetHealth(String value);
+
+  /// In en, this message translates to:
+  /// **'Overspending - adjust spending pace'**
+  String get barStatusOverspending;
+
+  /// In en, this message translates to:
+  /// **'Close to budget - monitor carefully'**
+  String get barStatusClose;
+
+  /// In en, this message translates to:
+  /// **'On track - spending within budget'**
+  String get barStatusOnTrack;
+
+  /// In en, this message translates to:
+  /// **'Create Budget'**
+  String get budgetCreate;
+
+  /// In en, this message translates to:
+  /// **'Update Budget'**
+  String get budgetUpdate;
+
+  /// In en, this message translates to:
+  /// **'Budget created successfully'**
+  String get budgetCreated;
+
+  /// In en, this message translates to:
+  /// **'Budget updated successfully'**
+  String get budgetUpdated;
+
+  /// In en, this message translates to:
+  /// **'Budget name'**
+  String get budgetName;
+
+  /// In en, this message translates to:
+  /// **'Budget name (e.g., December 2025)'**
+  String get budgetNameHint;
+
+  /// In en, this message translates to:
+  /// **'Total amount'**
+  String get budgetAmountHint;
+
+  /// In en, this message translates to:
+  /// **'Total Budget:'**
+  String get budgetTotalLabel;
+
+  /// In en, this message translates to:
+  /// **'Total Allocated:'**
+  String get budgetAllocatedLabel;
+
+  /// In en, this message translates to:
+  /// **'Unallocated:'**
+  String get budgetUnallocatedLabel;
+
+  /// In en, this message translates to:
+  /// **'Roll Over Budget'**
+  String get budgetRollOverTitle;
+
+  /// In en, this message translates to:
+  /// **'Roll Over'**
+  String get budgetRollOver;
+
+  /// In en, this message translates to:
+  /// **'Carry over unspent amounts'**
+  String get budgetCarryOver;
+
+  /// In en, this message translates to:
+  /// **'Adds what is left of each allocation'**
+  String get budgetCarryOverSubtitle;
+
+  /// In en, this message translates to:
+  /// **'Allocations'**
+  String get allocations;
+
+  /// In en, this message translates to:
+  /// **'No allocations yet. Pick a category above to add one.'**
+  String get allocationsEmpty;
+
+  /// In en, this message translates to:
+  /// **'All categories allocated'**
+  String get allocationsAllCategories;
+
+  /// In en, this message translates to:
+  /// **'Add an allocation'**
+  String get allocationAdd;
+
+  /// In en, this message translates to:
+  /// **'Add Allocation'**
+  String get allocationAddTitle;
+
+  /// In en, this message translates to:
+  /// **'Edit Allocation'**
+  String get allocationEditTitle;
+
+  /// In en, this message translates to:
+  /// **'Delete Allocation'**
+  String get allocationDelete;
+
+  /// In en, this message translates to:
+  /// **'Budgeted: {amount}'**
+  String allocationBudgeted(String amount);
+
+  /// In en, this message translates to:
+  /// **'Spent: {amount} ({percent})'**
+  String allocationSpent(String amount, String percent);
+
+  /// In en, this message translates to:
+  /// **'Remaining: {amount}'**
+  String allocationRemaining(String amount);
+
+  /// In en, this message translates to:
+  /// **'Budget Templates'**
+  String get templatesTitle;
+
+  /// In en, this message translates to:
+  /// **'No budget templates'**
+  String get templatesEmpty;
+
+  /// In en, this message translates to:
+  /// **'Open a budget and pick "Save as template"'**
+  String get templatesEmptyHint;
+
+  /// In en, this message translates to:
+  /// **'{amount} · {count, plural, =1{1 category} other{{count} categories}}'**
+  String templateSummary(String amount, int count);
+
+  /// In en, this message translates to:
+  /// **'Template name'**
+  String get templateName;
+
+  /// In en, this message translates to:
+  /// **'Save as Template'**
+  String get templateSaveTitle;
+
+  /// In en, this message translates to:
+  /// **'Template "{name}" saved'**
+  String templateSaved(String name);
+
+  /// In en, this message translates to:
+  /// **'Rename Template'**
+  String get templateRenameTitle;
+
+  /// In en, this message translates to:
+  /// **'Delete Template'**
+  String get templateDeleteTitle;
+
+  /// In en, this message translates to:
+  /// **'Delete "{name}"? Budgets created from it are kept.'**
+  String templateDeleteMessage(String name);
+
+  /// In en, this message translates to:
+  /// **'Name is required'**
+  String get nameRequired;
+
+  /// In en, this message translates to:
+  /// **'This action cannot be undone.'**
+  String get cannotBeUndone;
+
+  /// In en, this message translates to:
+  /// **'Category name'**
+  String get categoryName;
+
+  /// In en, this message translates to:
+  /// **'Category name already exists'**
+  String get categoryNameExists;
+
+  /// In en, this message translates to:
+  /// **'Add Category'**
+  String get categoryAdd;
+
+  /// In en, this message translates to:
+  /// **'Update Category'**
+  String get categoryUpdate;
+
+  /// In en, this message translates to:
+  /// **'Category created successfully'**
+  String get categoryCreated;
+
+  /// In en, this message translates to:
+  /// **'Category updated successfully'**
+  String get categoryUpdated;
+
+  /// In en, this message translates to:
+  /// **'Please select an icon'**
+  String get categoryIconRequired;
+
+  /// Icon search in the category form; icons are matched by their English names and tags
+  ///
+  /// In en, this message translates to:
+  /// **'Search icons...'**
+  String get categoryIconSearchHint;
+
+  /// In en, this message translates to:
+  /// **'Delete Category?'**
+  String get categoryDeleteTitle;
+
+  /// In en, this message translates to:
+  /// **'Failed to create category: {error}'**
+  String categoryCreateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to update category: {error}'**
+  String categoryUpdateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to delete category: {error}'**
+  String categoryDeleteFailed(String error);
+
+  /// Section title followed by the number of items in it
+  ///
+  /// In en, this message translates to:
+  /// **'{title} ({count})'**
+  String titleWithCount(String title, int count);
+
+  /// Abbreviated transaction count in small badges
+  ///
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 txn} other{{count} txns}}'**
+  String transactionCountShort(int count);
+
+  /// In en, this message translates to:
+  /// **'Hi {name}'**
+  String dashboardGreeting(String name);
+
+  /// Budget bar chart tooltip, e.g. Groceries (Budget): $400.00
+  ///
+  /// In en, this message translates to:
+  /// **'{category} ({series}): {amount}'**
+  String chartTooltip(String category, String series, String amount);
+
+  /// In en, this message translates to:
+  /// **'Spent: {amount}'**
+  String budgetSpentAmount(String amount);
+
+  /// In en, this message translates to:
+  /// **'Remaining: {amount}'**
+  String budgetRemainingAmount(String amount);
+
+  /// In en, this message translates to:
+  /// **'No exchange rate from {currencies} to {currency}: counted 1:1'**
+  String noExchangeRate(String currencies, String currency);
+
+  /// In en, this message translates to:
+  /// **'{month} Breakdown'**
+  String monthlyBreakdownTitle(String month);
+
+  /// In en, this message translates to:
+  /// **'Monthly Breakdown'**
+  String get monthlyBreakdownTitleGeneric;
+
+  /// In en, this message translates to:
+  /// **'Budgeted'**
+  String get monthlyBudgeted;
+
+  /// In en, this message translates to:
+  /// **'Unassigned'**
+  String get monthlyUnassigned;
+
+  /// In en, this message translates to:
+  /// **'Budgeted Transactions'**
+  String get monthlyBudgetedTransactions;
+
+  /// In en, this message translates to:
+  /// **'Unassigned Transactions'**
+  String get monthlyUnassignedTransactions;
+
+  /// In en, this message translates to:
+  /// **'No transactions in this category'**
+  String get monthlyNoTransactions;
+
+  /// In en, this message translates to:
+  /// **'View Full Breakdown'**
+  String get monthlyViewBreakdown;
+
+  /// In en, this message translates to:
+  /// **'Allocation'**
+  String get allocation;
+
+  /// In en, this message translates to:
+  /// **'Transaction'**
+  String get transaction;
+
+  /// In en, this message translates to:
+  /// **'Review Conflicts'**
+  String get conflictsTitle;
+
+  /// In en, this message translates to:
+  /// **'No conflicts to review'**
+  String get conflictsEmpty;
+
+  /// In en, this message translates to:
+  /// **'Detected {date}'**
+  String conflictDetected(String date);
+
+  /// In en, this message translates to:
+  /// **'This device'**
+  String get conflictThisDevice;
+
+  /// In en, this message translates to:
+  /// **'Other device'**
+  String get conflictOtherDevice;
+
+  /// In en, this message translates to:
+  /// **'Keep both'**
+  String get conflictKeepBoth;
+
+  /// In en, this message translates to:
+  /// **'Keep theirs'**
+  String get conflictKeepTheirs;
+
+  /// In en, this message translates to:
+  /// **'Keep mine'**
+  String get conflictKeepMine;
+
+  /// In en, this message translates to:
+  /// **'Deleted'**
+  String get conflictDeleted;
+
+  /// In en, this message translates to:
+  /// **'Kept'**
+  String get conflictKept;
+
+  /// Conflict card title: entity type and record name
+  ///
+  /// In en, this message translates to:
+  /// **'{type}: {name}'**
+  String conflictRecordTitle(String type, String name);
+
+  /// In en, this message translates to:
+  /// **'Failed to resolve conflict: {error}'**
+  String conflictResolveFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to skip occurrence: {error}'**
+  String occurrenceSkipFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to edit occurrence: {error}'**
+  String occurrenceEditFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to update series: {error}'**
+  String seriesUpdateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to delete series: {error}'**
+  String seriesDeleteFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to create transaction: {error}'**
+  String transactionCreateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to update transaction: {error}'**
+  String transactionUpdateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to delete transaction: {error}'**
+  String transactionDeleteFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to import transactions: {error}'**
+  String importFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to read {file}: {error}'**
+  String importReadFailed(String file, String error);
+
+  /// In en, this message translates to:
+  /// **'Pick an amount column'**
+  String get importPickAmountColumn;
+
+  /// In en, this message translates to:
+  /// **'Row {row}: date "{date}" doesn't match "{format}"'**
+  String importRowInvalidDate(int row, String date, String format);
+
+  /// In en, this message translates to:
+  /// **'Row {row}: "{text}" is not an amount'**
+  String importRowInvalidAmount(int row, String text);
+
+  /// In en, this message translates to:
+  /// **'Not an OFX file (no <OFX> tag)'**
+  String get importNotOfx;
+
+  /// In en, this message translates to:
+  /// **'Transaction {entry}: invalid date "{date}"'**
+  String importEntryInvalidDate(int entry, String date);
+
+  /// In en, this message translates to:
+  /// **'Transaction {entry}: invalid amount "{text}"'**
+  String importEntryInvalidAmount(int entry, String text);
+
+  /// In en, this message translates to:
+  /// **'Line {line}: invalid date "{date}"'**
+  String importLineInvalidDate(int line, String date);
+
+  /// In en, this message translates to:
+  /// **'Line {line}: invalid amount "{text}"'**
+  String importLineInvalidAmount(int line, String text);
+
+  /// Name of an imported transaction whose statement entry has none
+  ///
+  /// In en, this message translates to:
+  /// **'Imported transaction'**
+  String get importedTransactionName;
+
+  /// In en, this message translates to:
+  /// **'Done'**
+  String get done;
+
+  /// In en, this message translates to:
+  /// **'None'**
+  String get none;
+
+  /// In en, this message translates to:
+  /// **'Required'**
+  String get fieldRequired;
+
+  /// In en, this message translates to:
+  /// **'Notes (optional)'**
+  String get notesOptional;
+
+  /// In en, this message translates to:
+  /// **'Transactions'**
+  String get transactionsTitle;
+
+  /// In en, this message translates to:
+  /// **'No transactions yet'**
+  String get transactionsEmpty;
+
+  /// In en, this message translates to:
+  /// **'Transaction date'**
+  String get transactionDate;
+
+  /// In en, this message translates to:
+  /// **'Transaction time'**
+  String get transactionTime;
+
+  /// In en, this message translates to:
+  /// **'Transaction name'**
+  String get transactionName;
+
+  /// In en, this message translates to:
+  /// **'Transaction name is required'**
+  String get transactionNameRequired;
+
+  /// In en, this message translates to:
+  /// **'Add Transaction'**
+  String get transactionAddTitle;
+
+  /// In en, this message translates to:
+  /// **'Edit Transaction'**
+  String get transactionEditTitle;
+
+  /// In en, this message translates to:
+  /// **'Copy Transaction'**
+  String get transactionCopyTitle;
+
+  /// In en, this message translates to:
+  /// **'Transaction created successfully'**
+  String get transactionCreated;
+
+  /// In en, this message translates to:
+  /// **'Transaction updated successfully'**
+  String get transactionUpdated;
+
+  /// In en, this message translates to:
+  /// **'Delete Transaction?'**
+  String get transactionDeleteTitle;
+
+  /// In en, this message translates to:
+  /// **'No budget selected'**
+  String get budgetNoneSelected;
+
+  /// In en, this message translates to:
+  /// **'Repeat'**
+  String get repeat;
+
+  /// In en, this message translates to:
+  /// **'Never'**
+  String get repeatNever;
+
+  /// In en, this message translates to:
+  /// **'Daily'**
+  String get repeatDaily;
+
+  /// In en, this message translates to:
+  /// **'Weekly'**
+  String get repeatWeekly;
+
+  /// In en, this message translates to:
+  /// **'Monthly (same day)'**
+  String get repeatMonthly;
+
+  /// In en, this message translates to:
+  /// **'Last business day'**
+  String get repeatLastBusinessDay;
+
+  /// In en, this message translates to:
+  /// **'Every'**
+  String get repeatEvery;
+
+  /// In en, this message translates to:
+  /// **'Enter 1 or more'**
+  String get repeatIntervalInvalid;
+
+  /// In en, this message translates to:
+  /// **'day(s)'**
+  String get repeatUnitDays;
+
+  /// In en, this message translates to:
+  /// **'week(s)'**
+  String get repeatUnitWeeks;
+
+  /// In en, this message translates to:
+  /// **'month(s)'**
+  String get repeatUnitMonths;
+
+  /// In en, this message translates to:
+  /// **'Upcoming'**
+  String get upcomingTitle;
+
+  /// In en, this message translates to:
+  /// **'No recurring transactions'**
+  String get upcomingEmpty;
+
+  /// In en, this message translates to:
+  /// **'Pick "Repeat" when adding a transaction'**
+  String get upcomingEmptyHint;
+
+  /// Date of an occurrence changed on its own
+  ///
+  /// In en, this message translates to:
+  /// **'{date} · edited'**
+  String upcomingEdited(String date);
+
+  /// In en, this message translates to:
+  /// **'Skip'**
+  String get upcomingSkip;
+
+  /// In en, this message translates to:
+  /// **'Edit this one'**
+  String get upcomingEditOne;
+
+  /// In en, this message translates to:
+  /// **'Edit series'**
+  String get upcomingEditSeries;
+
+  /// In en, this message translates to:
+  /// **'Delete series'**
+  String get upcomingDeleteSeries;
+
+  /// In en, this message translates to:
+  /// **'Edit This Occurrence'**
+  String get upcomingEditOneTitle;
+
+  /// In en, this message translates to:
+  /// **'Edit Series'**
+  String get upcomingEditSeriesTitle;
+
+  /// In en, this message translates to:
+  /// **'Delete Series'**
+  String get upcomingDeleteSeriesTitle;
+
+  /// In en, this message translates to:
+  /// **'Stop repeating "{name}"? Transactions already created are kept.'**
+  String upcomingDeleteSeriesMessage(String name);
+
+  /// In en, this message translates to:
+  /// **'Import'**
+  String get importAction;
+
+  /// In en, this message translates to:
+  /// **'Import Statement'**
+  String get importTitle;
+
+  /// In en, this message translates to:
+  /// **'Import a bank statement'**
+  String get importPickTitle;
+
+  /// In en, this message translates to:
+  /// **'CSV, OFX/QFX or QIF export from your bank'**
+  String get importPickSubtitle;
+
+  /// In en, this message translates to:
+  /// **'Choose file'**
+  String get importChooseFile;
+
+  /// In en, this message translates to:
+  /// **'{file} · {count, plural, =1{1 entry} other{{count} entries}}'**
+  String importFileEntries(String file, int count);
+
+  /// In en, this message translates to:
+  /// **'Other file'**
+  String get importOtherFile;
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{Import 1 transaction} other{Import {count} transactions}}'**
+  String importSelected(int count);
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 transaction imported} other{{count} transactions imported}}'**
+  String importDone(int count);
+
+  /// In en, this message translates to:
+  /// **'Add categories from the transactions list'**
+  String get importDoneHint;
+
+  /// In en, this message translates to:
+  /// **'Already imported'**
+  String get importAlreadyImported;
+
+  /// In en, this message translates to:
+  /// **'Possible duplicate of "{name}" ({date})'**
+  String importPossibleDuplicate(String name, String date);
+
+  /// In en, this message translates to:
+  /// **'Column {number}'**
+  String importColumn(int number);
+
+  /// In en, this message translates to:
+  /// **'Separator'**
+  String get importSeparator;
+
+  /// In en, this message translates to:
+  /// **'Comma'**
+  String get importSeparatorComma;
+
+  /// In en, this message translates to:
+  /// **'Semicolon'**
+  String get importSeparatorSemicolon;
+
+  /// In en, this message translates to:
+  /// **'Tab'**
+  String get importSeparatorTab;
+
+  /// In en, this message translates to:
+  /// **'First row is a header'**
+  String get importHasHeader;
+
+  /// In en, this message translates to:
+  /// **'Date'**
+  String get importColumnDate;
+
+  /// In en, this message translates to:
+  /// **'Description'**
+  String get importColumnDescription;
+
+  /// In en, this message translates to:
+  /// **'Separate money out / in columns'**
+  String get importSeparateAmounts;
+
+  /// In en, this message translates to:
+  /// **'Money out'**
+  String get importColumnMoneyOut;
+
+  /// In en, this message translates to:
+  /// **'Money in'**
+  String get importColumnMoneyIn;
+
+  /// In en, this message translates to:
+  /// **'Amount (negative = money out)'**
+  String get importColumnAmount;
+
+  /// In en, this message translates to:
+  /// **'Date format'**
+  String get importDateFormat;
+
+  /// In en, this message translates to:
+  /// **'Decimal separator'**
+  String get importDecimalSeparator;
+
+  /// In en, this message translates to:
+  /// **'Point (1,234.56)'**
+  String get importDecimalPoint;
+
+  /// In en, this message translates to:
+  /// **'Comma (1.234,56)'**
+  String get importDecimalComma;
+
+  /// In en, this message translates to:
+  /// **'Preview'**
+  String get importPreview;
+
+  /// In en, this message translates to:
+  /// **'Well under budget! 🎉'**
+  String get barMessageUnder;
+
+  /// In en, this message translates to:
+  /// **'Slightly under budget ✓'**
+  String get barMessageGood;
+
+  /// In en, this message translates to:
+  /// **'Right on track ✓'**
+  String get barMessageOnTrack;
+
+  /// In en, this message translates to:
+  /// **'Slightly over budget ⚠️'**
+  String get barMessageWarning;
+
+  /// In en, this message translates to:
+  /// **'Significantly over budget! 🚨'**
+  String get barMessageOver;
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{Expected pace learned from your last budget} other{Expected pace learned from your last {count} budgets}}'**
+  String barCurveLearned(int count);
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{Default expected pace, personalized once a budget has ended} other{Default expected pace, personalized once {count} budgets have ended}}'**
+  String barCurveDefault(int count);
+
+  /// Pace (BAR) of one category of a budget
+  ///
+  /// In en, this message translates to:
+  /// **'BAR {value}'**
+  String paceBar(String value);
+
+  /// Forecast spending at the end of the budget period, when within budget
+  ///
+  /// In en, this message translates to:
+  /// **'Projected: {amount} by the end'**
+  String paceProjected(String amount);
+
+  /// Forecast spending at the end of the budget period, when over budget
+  ///
+  /// In en, this message translates to:
+  /// **'Projected: {amount}, {over} over'**
+  String paceProjectedOver(String amount, String over);
+
+  /// What can be spent per remaining day of the period without going over
+  ///
+  /// In en, this message translates to:
+  /// **'Safe to spend: {amount}/day'**
+  String paceSafeDaily(String amount);
+
+  /// Categories forecast to end the budget period over their allocation
+  ///
+  /// In en, this message translates to:
+  /// **'On pace to overspend: {names}'**
+  String paceCategoriesAtRisk(String names);
+
+  /// In en, this message translates to:
+  /// **'Alerts'**
+  String get alertsTitle;
+
+  /// In en, this message translates to:
+  /// **'Inbox'**
+  String get alertsInbox;
+
+  /// In en, this message translates to:
+  /// **'Rules'**
+  String get alertsRules;
+
+  /// In en, this message translates to:
+  /// **'Mark all as read'**
+  String get alertsMarkAllRead;
+
+  /// In en, this message translates to:
+  /// **'Clear read alerts'**
+  String get alertsClearRead;
+
+  /// In en, this message translates to:
+  /// **'No alerts. They show up here when one of your rules fires.'**
+  String get alertsInboxEmpty;
+
+  /// In en, this message translates to:
+  /// **'No rules yet. Add one to be alerted about your budgets.'**
+  String get alertsRulesEmpty;
+
+  /// In en, this message translates to:
+  /// **'Add rule'**
+  String get alertsAddRule;
+
+  /// In en, this message translates to:
+  /// **'Edit rule'**
+  String get alertsEditRule;
+
+  /// In en, this message translates to:
+  /// **'Alert when'**
+  String get alertsRuleType;
+
+  /// In en, this message translates to:
+  /// **'Enter a number greater than 0'**
+  String get alertsThresholdInvalid;
+
+  /// In en, this message translates to:
+  /// **'BAR is above'**
+  String get alertTypeBarAbove;
+
+  /// In en, this message translates to:
+  /// **'A category has used more than'**
+  String get alertTypeAllocationOver;
+
+  /// In en, this message translates to:
+  /// **'A budget ends within'**
+  String get alertTypeBudgetEnding;
+
+  /// In en, this message translates to:
+  /// **'An expense is at least'**
+  String get alertTypeLargeTransaction;
+
+  /// In en, this message translates to:
+  /// **'BAR'**
+  String get alertThresholdBar;
+
+  /// In en, this message translates to:
+  /// **'Percent of the allocation'**
+  String get alertThresholdPercent;
+
+  /// In en, this message translates to:
+  /// **'Days'**
+  String get alertThresholdDays;
+
+  /// In en, this message translates to:
+  /// **'Amount ({currency})'**
+  String alertThresholdAmount(String currency);
+
+  /// Summary of a rule in the rules list
+  ///
+  /// In en, this message translates to:
+  /// **'BAR above {threshold}'**
+  String alertRuleBarAbove(String threshold);
+
+  /// In en, this message translates to:
+  /// **'A category used over {percent}% of its allocation'**
+  String alertRuleAllocationOver(String percent);
+
+  /// In en, this message translates to:
+  /// **'{days, plural, =1{A budget ends within 1 day} other{A budget ends within {days} days}}'**
+  String alertRuleBudgetEnding(int days);
+
+  /// In en, this message translates to:
+  /// **'An expense of {amount} or more'**
+  String alertRuleLargeTransaction(String amount);
+
+  /// Fired alert, in the inbox and the notification
+  ///
+  /// In en, this message translates to:
+  /// **'{budget} is spending ahead of pace: BAR {bar} (above {threshold})'**
+  String alertBarAbove(String budget, String bar, String threshold);
+
+  /// In en, this message translates to:
+  /// **'{category} has used {percent}% of its allocation'**
+  String alertAllocationOver(String category, String percent);
+
+  /// In en, this message translates to:
+  /// **'{days, plural, =0{{budget} ends today} =1{{budget} ends tomorrow} other{{budget} ends in {days} days}}'**
+  String alertBudgetEnding(String budget, int days);
+
+  /// In en, this message translates to:
+  /// **'Large expense: {name} ({amount})'**
+  String alertLargeTransaction(String name, String amount);
+
+  /// In en, this message translates to:
+  /// **'Snooze budget for 1 day'**
+  String get alertsSnoozeDay;
+
+  /// In en, this message translates to:
+  /// **'Snooze budget for 7 days'**
+  String get alertsSnoozeWeek;
+
+  /// In en, this message translates to:
+  /// **'Mute budget'**
+  String get alertsMuteBudget;
+
+  /// In en, this message translates to:
+  /// **'Unmute alerts'**
+  String get alertsUnmute;
+
+  /// In en, this message translates to:
+  /// **'Dismiss'**
+  String get alertsDismiss;
+
+  /// In en, this message translates to:
+  /// **'Muted budgets'**
+  String get alertsMutedSection;
+
+  /// In en, this message translates to:
+  /// **'Muted'**
+  String get alertsMuted;
+
+  /// In en, this message translates to:
+  /// **'Snoozed until {date}'**
+  String alertsSnoozedUntil(String date);
+
+  /// In en, this message translates to:
+  /// **'Failed to update alerts: {error}'**
+  String alertsUpdateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to save rule: {error}'**
+  String alertsRuleSaveFailed(String error);
+
+  /// Transaction filter sheet title and filter button tooltip
+  ///
+  /// In en, this message translates to:
+  /// **'Filters'**
+  String get transactionFiltersTitle;
+
+  /// Transaction type filter: both debits and credits
+  ///
+  /// In en, this message translates to:
+  /// **'All'**
+  String get transactionFilterAll;
+
+  /// In en, this message translates to:
+  /// **'Categories'**
+  String get transactionFilterCategories;
+
+  /// In en, this message translates to:
+  /// **'Not in a budget'**
+  String get transactionFilterUnassigned;
+
+  /// In en, this message translates to:
+  /// **'Min amount'**
+  String get transactionFilterMinAmount;
+
+  /// In en, this message translates to:
+  /// **'Max amount'**
+  String get transactionFilterMaxAmount;
+
+  /// In en, this message translates to:
+  /// **'Only with notes'**
+  String get transactionFilterHasNotes;
+
+  /// In en, this message translates to:
+  /// **'Clear filters'**
+  String get transactionFiltersReset;
+
+  /// In en, this message translates to:
+  /// **'Apply'**
+  String get transactionFiltersApply;
+
+  /// In en, this message translates to:
+  /// **'No transactions match these filters'**
+  String get transactionFiltersNoMatch;
+
+  /// In en, this message translates to:
+  /// **'Saved searches'**
+  String get savedSearchesTitle;
+
+  /// In en, this message translates to:
+  /// **'Recent searches'**
+  String get recentSearchesTitle;
+
+  /// Button forgetting every recent search
+  ///
+  /// In en, this message translates to:
+  /// **'Clear'**
+  String get recentSearchesClear;
+
+  /// In en, this message translates to:
+  /// **'Save search'**
+  String get savedSearchSave;
+
+  /// Name field of the save search dialog
+  ///
+  /// In en, this message translates to:
+  /// **'Name'**
+  String get savedSearchName;
+
+  /// In en, this message translates to:
+  /// **'Saved search "{name}"'**
+  String savedSearchSaved(String name);
+
+  /// In en, this message translates to:
+  /// **'Failed to save search: {error}'**
+  String savedSearchSaveFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to update searches: {error}'**
+  String savedSearchUpdateFailed(String error);
+
+  /// Snackbar action restoring what was just deleted
+  ///
+  /// In en, this message translates to:
+  /// **'Undo'**
+  String get undo;
+
+  /// In en, this message translates to:
+  /// **'Budget deleted'**
+  String get budgetDeleted;
+
+  /// In en, this message translates to:
+  /// **'It will be moved to the trash, where you can restore it.'**
+  String get deleteMovesToTrash;
+
+  /// In en, this message translates to:
+  /// **'Trash'**
+  String get trashTitle;
+
+  /// In en, this message translates to:
+  /// **'The trash is empty'**
+  String get trashEmpty;
+
+  /// In en, this message translates to:
+  /// **'Empty trash'**
+  String get trashEmptyAction;
+
+  /// In en, this message translates to:
+  /// **'Empty the trash?'**
+  String get trashEmptyTitle;
+
+  /// In en, this message translates to:
+  /// **'Delete forever?'**
+  String get trashPurgeTitle;
+
+  /// In en, this message translates to:
+  /// **'Delete forever'**
+  String get trashPurge;
+
+  /// In en, this message translates to:
+  /// **'Restore'**
+  String get trashRestore;
+
+  /// In en, this message translates to:
+  /// **'{days, plural, =1{Items are deleted forever 1 day after they were deleted.} other{Items are deleted forever {days} days after they were deleted.}}'**
+  String trashRetentionNotice(int days);
+
+  /// In en, this message translates to:
+  /// **'Deleted {date}'**
+  String trashDeletedOn(String date);
+
+  /// In en, this message translates to:
+  /// **'Transaction'**
+  String get trashTypeTransaction;
+
+  /// In en, this message translates to:
+  /// **'Budget'**
+  String get trashTypeBudget;
+
+  /// In en, this message translates to:
+  /// **'Category'**
+  String get trashTypeCategory;
+
+  /// In en, this message translates to:
+  /// **'Allocation'**
+  String get trashTypeAllocation;
+
+  /// In en, this message translates to:
+  /// **'Failed to load the trash: {error}'**
+  String trashLoadFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Failed to update the trash: {error}'**
+  String trashUpdateFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Deleted items'**
+  String get settingsDeletedItems;
+
+  /// In en, this message translates to:
+  /// **'Restore or delete forever'**
+  String get settingsDeletedItemsSubtitle;
+
+  /// In en, this message translates to:
+  /// **'Keep deleted items'**
+  String get settingsTrashRetention;
+
+  /// In en, this message translates to:
+  /// **'{days, plural, =1{1 day} other{{days} days}}'**
+  String settingsTrashRetentionDays(int days);
+
+  /// In en, this message translates to:
+  /// **'Used by:'**
+  String get deleteUsedBy;
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 transaction} other{{count} transactions}}'**
+  String deleteImpactTransactions(int count);
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 budget allocation} other{{count} budget allocations}}'**
+  String deleteImpactAllocations(int count);
+
+  /// In en, this message translates to:
+  /// **'{count, plural, =1{1 recurring transaction} other{{count} recurring transactions}}'**
+  String deleteImpactRecurring(int count);
+
+  /// In en, this message translates to:
+  /// **'Delete them too'**
+  String get deleteDependentsToo;
+
+  /// In en, this message translates to:
+  /// **'Choose where'**
+  String get deleteChooseTarget;
+
+  /// In en, this message translates to:
+  /// **'Move them to another category'**
+  String get categoryDeleteReassign;
+
+  /// In en, this message translates to:
+  /// **'Keep them without a category'**
+  String get categoryDeleteUnassign;
+
+  /// In en, this message translates to:
+  /// **'Allocations need a category: unless moved, they are deleted.'**
+  String get categoryDeleteAllocationsNote;
+
+  /// In en, this message translates to:
+  /// **'Recurring transactions are never deleted: unless moved, they continue without a category.'**
+  String get categoryDeleteRecurringNote;
+
+  /// In en, this message translates to:
+  /// **'Move its transactions to another budget'**
+  String get budgetDeleteReassign;
+
+  /// In en, this message translates to:
+  /// **'Keep its transactions without a budget'**
+  String get budgetDeleteUnassign;
+
+  /// In en, this message translates to:
+  /// **'Its allocations are deleted with it.'**
+  String get budgetDeleteAllocationsNote;
+
+  /// In en, this message translates to:
+  /// **'Automatic color'**
+  String get categoryColorAutomatic;
+
+  /// In en, this message translates to:
+  /// **'Parent category'**
+  String get categoryParent;
+
+  /// In en, this message translates to:
+  /// **'None (top-level category)'**
+  String get categoryParentNone;
+
+  /// In en, this message translates to:
+  /// **'Merge'**
+  String get categoryMerge;
+
+  /// In en, this message translates to:
+  /// **'Merge “{name}” into'**
+  String categoryMergeTitle(String name);
+
+  /// In en, this message translates to:
+  /// **'Moving to the chosen category:'**
+  String get categoryMergeMoves;
+
+  /// In en, this message translates to:
+  /// **'“{name}” then goes to the trash, and its subcategories move to the chosen category when it can have some.'**
+  String categoryMergeMessage(String name);
+
+  /// In en, this message translates to:
+  /// **'Failed to merge category: {error}'**
+  String categoryMergeFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Its subcategories move to the category chosen above when it can have some, or become top-level categories.'**
+  String get categoryDeleteSubcategoriesNote;
+
+  /// In en, this message translates to:
+  /// **'Split across categories'**
+  String get transactionSplit;
+
+  /// In en, this message translates to:
+  /// **'Split'**
+  String get transactionSplitLines;
+
+  /// In en, this message translates to:
+  /// **'Add line'**
+  String get transactionSplitAddLine;
+
+  /// In en, this message translates to:
+  /// **'Remove line'**
+  String get transactionSplitRemoveLine;
+
+  /// In en, this message translates to:
+  /// **'Left to split: {amount}'**
+  String transactionSplitRemaining(String amount);
+
+  /// In en, this message translates to:
+  /// **'Choose a category for every line'**
+  String get transactionSplitCategoryRequired;
+
+  /// In en, this message translates to:
+  /// **'Every line needs an amount greater than 0'**
+  String get transactionSplitAmountPositive;
+
+  /// In en, this message translates to:
+  /// **'The lines must add up to the amount'**
+  String get transactionSplitSumMismatch;
+
+  /// Title of the categorization rules page and its settings entry
+  ///
+  /// In en, this message translates to:
+  /// **'Categorization rules'**
+  String get rulesTitle;
+
+  /// In en, this message translates to:
+  /// **'Fill in new and imported transactions'**
+  String get settingsRulesSubtitle;
+
+  /// In en, this message translates to:
+  /// **'Add rule'**
+  String get rulesAdd;
+
+  /// In en, this message translates to:
+  /// **'Edit rule'**
+  String get rulesEdit;
+
+  /// In en, this message translates to:
+  /// **'No rules yet. A rule sets the category, budget or name of the transactions you add or import, e.g. everything containing "uber" goes to Transport.'**
+  String get rulesEmpty;
+
+  /// In en, this message translates to:
+  /// **'Name contains'**
+  String get ruleNameContains;
+
+  /// In en, this message translates to:
+  /// **'Regular expression'**
+  String get ruleNameRegex;
+
+  /// In en, this message translates to:
+  /// **'Not a valid regular expression'**
+  String get ruleRegexInvalid;
+
+  /// In en, this message translates to:
+  /// **'Minimum amount'**
+  String get ruleMinAmount;
+
+  /// In en, this message translates to:
+  /// **'Maximum amount'**
+  String get ruleMaxAmount;
+
+  /// In en, this message translates to:
+  /// **'Must not be below the minimum'**
+  String get ruleAmountRangeInvalid;
+
+  /// In en, this message translates to:
+  /// **'Set category'**
+  String get ruleSetCategory;
+
+  /// In en, this message translates to:
+  /// **'Set budget'**
+  String get ruleSetBudget;
+
+  /// In en, this message translates to:
+  /// **'Don't change'**
+  String get ruleNoChange;
+
+  /// In en, this message translates to:
+  /// **'Rename to'**
+  String get ruleRenameTo;
+
+  /// In en, this message translates to:
+  /// **'Add a name or an amount to match'**
+  String get ruleConditionRequired;
+
+  /// In en, this message translates to:
+  /// **'Choose what the rule sets'**
+  String get ruleActionRequired;
+
+  /// In en, this message translates to:
+  /// **'Failed to save rule: {error}'**
+  String ruleSaveFailed(String error);
+
+  /// In en, this message translates to:
+  /// **'Rule saved'**
+  String get ruleSaved;
+
+  /// In en, this message translates to:
+  /// **'Create rule from this transaction'**
+  String get ruleCreateFromTransaction;
+
+  /// In en, this message translates to:
+  /// **'Name contains "{pattern}"'**
+  String ruleConditionContains(String pattern);
+
+  /// In en, this message translates to:
+  /// **'Name matches /{pattern}/'**
+  String ruleConditionMatches(String pattern);
+
+  /// In en, this message translates to:
+  /// **'Amount {min} to {max}'**
+  String ruleConditionAmountBetween(String min, String max);
+
+  /// In en, this message translates to:
+  /// **'Amount {min} or more'**
+  String ruleConditionAmountAtLeast(String min);
+
+  /// In en, this message translates to:
+  /// **'Amount up to {max}'**
+  String ruleConditionAmountAtMost(String max);
+
+  /// In en, this message translates to:
+  /// **'Rename to "{name}"'**
+  String ruleActionRename(String name);
+
+  /// Chip under the category field offering the category of similar past transactions
+  ///
+  /// In en, this message translates to:
+  /// **'Suggested: {name}'**
+  String categorySuggested(String name);
+}
+
+class _AppLocalizationsDelegate
+    extends LocalizationsDelegate<AppLocalizations> {
+  const _AppLocalizationsDelegate();
+
+  @override
+  Future<AppLocalizations> load(Locale locale) {
+    return SynchronousFuture<AppLocalizations>(lookupAppLocalizations(locale));
+  }
+
+  @override
+  bool isSupported(Locale locale) => <String>[
+    'ar',
+    'de',
+    'en',
+    'es',
+    'fr',
+  ].contains(locale.languageCode);
+
+  @override
+  bool shouldReload(_AppLocalizationsDelegate old) => false;
+}
+
+AppLocalizations lookupAppLocalizations(Locale locale) {
+  // Lookup logic when only language code is specified.
+  switch (locale.languageCode) {
+    case 'ar':
+      return AppLocalizationsAr();
+    case 'de':
+      return AppLocalizationsDe();
+    case 'en':
+      return AppLocalizationsEn();
+    case 'es':
+      return AppLocalizationsEs();
+    case 'fr':
+      return AppLocalizationsFr();
+  }
+
+  throw FlutterError(
+    'AppLocalizations.delegate failed to load unsupported locale "$locale". This is likely '
+    'an issue with the localizations generation tool. Please file an issue '
+    'on GitHub with a reproducible sample app and the gen-l10n configuration '
+    'that was used.',
+  );
 }
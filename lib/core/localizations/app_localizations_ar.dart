@@ -0,0 +1,2160 @@
+// ignore: unused_import
+import 'package:intl/intl.dart' as intl;
+import 'app_localizations.dart';
+
+// ignore_for_file: type=lint
+
+/// The translations for Arabic (`ar`).
+class AppLocalizationsAr extends AppLocalizations {
+  AppLocalizationsAr([String locale = 'ar']) : super(locale);
+
+  @override
+  String get languageName => 'العربية';
+
+  @override
+  String get bar => 'BAR';
+
+  @override
+  String get barFull => 'نسبة الالتزام بالميزانية (BAR)';
+
+  @override
+  String get barDefinition =>
+      '‏BAR مقياس يساعدك على معرفة ما إذا كان إنفاقك يسير بالوتيرة المناسبة. يقارن ما أنفقته بالوقت الذي مضى من فترة الميزانية.';
+
+  @override
+  String get barUsageExplanation =>
+      'تُظهر قيمة BAR وتيرة إنفاقك مقارنةً بالجدول الزمني للميزانية. القيمة 1.0 تعني أنك تنفق بالوتيرة المتوقعة تمامًا.';
+
+  @override
+  String get barKeyRule => 'القاعدة الأساسية: ابقَ دون 1.0';
+
+  @override
+  String get barHigherLowerExplanation =>
+      'أعلى من 1.0 يعني أنك تنفق أسرع من المخطط وقد تنفد ميزانيتك مبكرًا. أقل من 1.0 يعني أنك تنفق أقل وسيتبقى لديك جزء من الميزانية.\n\nمثال:\n• ‏BAR يساوي 0.8: تنفق أبطأ من المخطط (جيد!)\n• ‏BAR يساوي 1.0: وتيرة مثالية\n• ‏BAR يساوي 1.2: تنفق أكثر من اللازم (تنبيه!)\n• ‏BAR يساوي 1.5 أو أكثر: تجاوز كبير للميزانية (حرج!)';
+
+  @override
+  String get barUpdateFrequency =>
+      'يُحدَّث فورًا عند إضافة المعاملات ومع مرور الوقت.';
+
+  @override
+  String activeBudget(String name) {
+    return 'الميزانية النشطة: $name';
+  }
+
+  @override
+  String get noData => 'لا توجد بيانات';
+
+  @override
+  String get transactionsForDate => 'المعاملات';
+
+  @override
+  String get noTransactionsForDate => 'لا توجد معاملات في هذا التاريخ';
+
+  @override
+  String get ok => 'حسنًا';
+
+  @override
+  String get cancel => 'إلغاء';
+
+  @override
+  String get gotIt => 'فهمت';
+
+  @override
+  String get delete => 'حذف';
+
+  @override
+  String get areYouSure => 'هل أنت متأكد؟';
+
+  @override
+  String get budget => 'الميزانية';
+
+  @override
+  String get actual => 'الفعلي';
+
+  @override
+  String get spending => 'الإنفاق';
+
+  @override
+  String get today => 'اليوم';
+
+  @override
+  String get yesterday => 'أمس';
+
+  @override
+  String get debit => 'مصروف';
+
+  @override
+  String get credit => 'دخل';
+
+  @override
+  String get settingsTitle => 'الإعدادات';
+
+  @override
+  String get settingsAppearance => 'المظهر';
+
+  @override
+  String get settingsTheme => 'السمة';
+
+  @override
+  String get settingsThemeSystem => 'النظام';
+
+  @override
+  String get settingsThemeLight => 'فاتح';
+
+  @override
+  String get settingsThemeDark => 'داكن';
+
+  @override
+  String get settingsLanguage => 'اللغة';
+
+  @override
+  String get settingsLanguageDevice => 'لغة الجهاز';
+
+  @override
+  String get settingsAmounts => 'المبالغ';
+
+  @override
+  String get settingsCurrency => 'العملة';
+
+  @override
+  String settingsCurrencyPreview(String amount) {
+    return 'معاينة: $amount';
+  }
+
+  @override
+  String get settingsCurrencyBefore => 'قبل';
+
+  @override
+  String get settingsCurrencyAfter => 'بعد';
+
+  @override
+  String get settingsNumberFormat => 'تنسيق الأرقام';
+
+  @override
+  String settingsLanguageFormat(String example) {
+    return '$example (اللغة)';
+  }
+
+  @override
+  String get settingsExchangeRates => 'العملات وأسعار الصرف';
+
+  @override
+  String get settingsExchangeRatesSubtitle =>
+      'العملة الافتراضية لهذا الملف الشخصي';
+
+  @override
+  String get settingsDates => 'التواريخ';
+
+  @override
+  String get settingsDateFormat => 'تنسيق التاريخ';
+
+  @override
+  String get settings24HourTime => 'نظام 24 ساعة';
+
+  @override
+  String get settingsFirstDayOfWeek => 'أول أيام الأسبوع';
+
+  @override
+  String get settingsTransactions => 'المعاملات';
+
+  @override
+  String get settingsDefaultType => 'النوع الافتراضي';
+
+  @override
+  String get settingsDefaultTypeSubtitle => 'محدد مسبقًا للمعاملات الجديدة';
+
+  @override
+  String get settingsReset => 'استعادة الإعدادات الافتراضية';
+
+  @override
+  String get actionComingSoon => 'الإجراء قادم قريبًا';
+
+  @override
+  String searchHint(String scope, Object Search) {
+    String _temp0 = intl.Intl.selectLogic(scope, {
+      'transactions': 'ابحث في المعاملات',
+      'other': 'بحث',
+    });
+    return '$_temp0';
+  }
+
+  @override
+  String get edit => 'تعديل';
+
+  @override
+  String get copy => 'نسخ';
+
+  @override
+  String get save => 'حفظ';
+
+  @override
+  String get transactionDeleted => 'حُذفت المعاملة';
+
+  @override
+  String get transactionCopied => 'نُسخت المعاملة';
+
+  @override
+  String get deleteTransactionTitle => 'حذف المعاملة';
+
+  @override
+  String get deleteTransactionMessage => 'هل تريد بالتأكيد حذف هذه المعاملة؟';
+
+  @override
+  String get add => 'إضافة';
+
+  @override
+  String get retry => 'إعادة المحاولة';
+
+  @override
+  String get discard => 'تجاهل';
+
+  @override
+  String get unknownError => 'خطأ غير معروف';
+
+  @override
+  String get selectDate => 'اختر التاريخ';
+
+  @override
+  String get currency => 'العملة';
+
+  @override
+  String get logout => 'تسجيل الخروج';
+
+  @override
+  String get profilesTitle => 'الملفات الشخصية';
+
+  @override
+  String get timeJustNow => 'الآن';
+
+  @override
+  String timeMinutesAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'قبل $count دقيقة',
+      one: 'قبل دقيقة',
+      two: 'قبل دقيقتين',
+      few: 'قبل $count دقائق',
+      many: 'قبل $count دقيقة',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeHoursAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'قبل $count ساعة',
+      one: 'قبل ساعة',
+      two: 'قبل ساعتين',
+      few: 'قبل $count ساعات',
+      many: 'قبل $count ساعة',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeDaysAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'قبل $count يوم',
+      one: 'قبل يوم',
+      two: 'قبل يومين',
+      few: 'قبل $count أيام',
+      many: 'قبل $count يومًا',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncLastSynced(String time) {
+    return 'آخر مزامنة: $time';
+  }
+
+  @override
+  String get syncFailed => 'فشلت المزامنة';
+
+  @override
+  String get syncFailedTitle => 'فشلت المزامنة';
+
+  @override
+  String syncConflictsToReview(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count تعارض للمراجعة',
+      one: 'تعارض واحد للمراجعة',
+      two: 'تعارضان للمراجعة',
+      few: '$count تعارضات للمراجعة',
+      many: '$count تعارضًا للمراجعة',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncChangesNotSynced(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count تغيير غير متزامن',
+      one: 'تغيير واحد غير متزامن',
+      two: 'تغييران غير متزامنين',
+      few: '$count تغييرات غير متزامنة',
+      many: '$count تغييرًا غير متزامن',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get syncChangesNotSyncedTitle => 'تغييرات غير متزامنة';
+
+  @override
+  String syncChangesNotSyncedMessage(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'تعذّرت مزامنة $count تغيير بعد عدة محاولات. لا تزال محفوظة على هذا الجهاز.',
+      one: 'تعذّرت مزامنة تغيير واحد بعد عدة محاولات. لا يزال محفوظًا على هذا الجهاز.',
+      two: 'تعذّرت مزامنة تغييرين بعد عدة محاولات. لا يزالان محفوظين على هذا الجهاز.',
+      few: 'تعذّرت مزامنة $count تغييرات بعد عدة محاولات. لا تزال محفوظة على هذا الجهاز.',
+      many: 'تعذّرت مزامنة $count تغييرًا بعد عدة محاولات. لا تزال محفوظة على هذا الجهاز.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get name => 'الاسم';
+
+  @override
+  String get rename => 'إعادة التسمية';
+
+  @override
+  String errorMessage(String message) {
+    return 'خطأ: $message';
+  }
+
+  @override
+  String get loginTagline => 'كل سنت له قيمة.';
+
+  @override
+  String get loginContinueWithGoogle => 'المتابعة باستخدام Google';
+
+  @override
+  String get loginContinueWithoutAccount => 'المتابعة بدون حساب';
+
+  @override
+  String loginFailed(String error) {
+    return 'فشل تسجيل الدخول: $error';
+  }
+
+  @override
+  String get profilesNewGuest => 'ملف ضيف جديد';
+
+  @override
+  String get profilesGuestSubtitle => 'ضيف (هذا الجهاز فقط)';
+
+  @override
+  String get profilesGuestName => 'ضيف';
+
+  @override
+  String get profilesAccountName => 'حساب';
+
+  @override
+  String get profilesSignedIn => 'تم تسجيل الدخول';
+
+  @override
+  String get profilesDeleteActiveHint => 'انتقل إلى ملف آخر لحذف هذا الملف';
+
+  @override
+  String get profilesDeleteTitle => 'حذف الملف الشخصي';
+
+  @override
+  String profilesDeleteMessage(String name) {
+    return 'حذف "$name" وجميع معاملاته وميزانياته وفئاته من هذا الجهاز؟';
+  }
+
+  @override
+  String profilesDeleteGuestMessage(String name) {
+    return 'حذف "$name" وجميع معاملاته وميزانياته وفئاته من هذا الجهاز؟ بيانات الضيف غير منسوخة احتياطيًا ولا يمكن استعادتها.';
+  }
+
+  @override
+  String get profilesRenameTitle => 'إعادة تسمية الملف الشخصي';
+
+  @override
+  String profilesSwitchFailed(String error) {
+    return 'تعذّر تبديل الملف الشخصي: $error';
+  }
+
+  @override
+  String profilesCreateFailed(String error) {
+    return 'تعذّر إنشاء الملف الشخصي: $error';
+  }
+
+  @override
+  String profilesRenameFailed(String error) {
+    return 'تعذّرت إعادة تسمية الملف الشخصي: $error';
+  }
+
+  @override
+  String profilesDeleteFailed(String error) {
+    return 'تعذّر حذف الملف الشخصي: $error';
+  }
+
+  @override
+  String get allDates => 'كل التواريخ';
+
+  @override
+  String dateRange(String start, String end) {
+    return '$start – $end';
+  }
+
+  @override
+  String get allBudgets => 'كل الميزانيات';
+
+  @override
+  String get backupTitle => 'التصدير والنسخ الاحتياطي';
+
+  @override
+  String get backupExport => 'تصدير';
+
+  @override
+  String get backupExportCsv => 'تصدير CSV';
+
+  @override
+  String get backupExportBackup => 'تصدير نسخة احتياطية';
+
+  @override
+  String get backupSaveExport => 'حفظ التصدير';
+
+  @override
+  String backupSaved(String fileName) {
+    return 'تم حفظ $fileName';
+  }
+
+  @override
+  String get backupRestore => 'استعادة';
+
+  @override
+  String get backupRestoreHint =>
+      'استعد ملف نسخة احتياطية إلى هذا الملف الشخصي.';
+
+  @override
+  String get backupRestoreBackup => 'استعادة نسخة احتياطية';
+
+  @override
+  String get backupRestoreTitle => 'استعادة النسخة الاحتياطية';
+
+  @override
+  String backupRestoreSummary(String date, int transactions, int budgets, int categories) {
+    String _temp0 = intl.Intl.pluralLogic(
+      transactions,
+      locale: localeName,
+      other: '$transactions معاملة',
+      one: 'معاملة واحدة',
+      two: 'معاملتين',
+      few: '$transactions معاملات',
+      many: '$transactions معاملة',
+    );
+    String _temp1 = intl.Intl.pluralLogic(
+      budgets,
+      locale: localeName,
+      other: '$budgets ميزانية',
+      one: 'ميزانية واحدة',
+      two: 'ميزانيتين',
+      few: '$budgets ميزانيات',
+      many: '$budgets ميزانية',
+    );
+    String _temp2 = intl.Intl.pluralLogic(
+      categories,
+      locale: localeName,
+      other: '$categories فئة',
+      one: 'فئة واحدة',
+      two: 'فئتين',
+      few: '$categories فئات',
+      many: '$categories فئة',
+    );
+    return 'نسخة احتياطية بتاريخ $date تحتوي على $_temp0 و$_temp1 و$_temp2.';
+  }
+
+  @override
+  String get backupRestorePartialHint =>
+      'هذه نسخة احتياطية مصفّاة: يمكن دمجها مع البيانات الحالية فقط.';
+
+  @override
+  String get backupRestoreModeHint =>
+      'الاستبدال يحذف البيانات الحالية غير الموجودة في النسخة. الدمج يحتفظ بها وبالتغييرات التي أُجريت بعد النسخة.';
+
+  @override
+  String get backupReplace => 'استبدال';
+
+  @override
+  String get backupMerge => 'دمج';
+
+  @override
+  String backupRestored(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'تمت استعادة $count عنصر',
+      one: 'تمت استعادة عنصر واحد',
+      two: 'تمت استعادة عنصرين',
+      few: 'تمت استعادة $count عناصر',
+      many: 'تمت استعادة $count عنصرًا',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String backupRestoredKept(int count) {
+    return '، مع الإبقاء على $count أحدث';
+  }
+
+  @override
+  String backupRestoredRemoved(int count) {
+    return '، مع حذف $count';
+  }
+
+  @override
+  String backupExportFailed(String error) {
+    return 'تعذّر تصدير البيانات: $error';
+  }
+
+  @override
+  String backupRestoreFailed(String error) {
+    return 'تعذّرت استعادة النسخة الاحتياطية: $error';
+  }
+
+  @override
+  String get backupNotABackup => 'ليس ملف نسخة احتياطية من Centabit';
+
+  @override
+  String get backupFromNewerVersion =>
+      'أُنشئت هذه النسخة بإصدار أحدث من Centabit';
+
+  @override
+  String backupDamaged(String error) {
+    return 'ملف النسخة الاحتياطية تالف ($error)';
+  }
+
+  @override
+  String get backupPartialMergeOnly =>
+      'يمكن دمج النسخة الاحتياطية المصفّاة مع البيانات الحالية فقط';
+
+  @override
+  String get exchangeRatesTitle => 'العملات';
+
+  @override
+  String get exchangeRatesImport => 'استيراد الأسعار';
+
+  @override
+  String get exchangeRatesAdd => 'إضافة سعر';
+
+  @override
+  String exchangeRatesImported(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'تم استيراد $count سعر',
+      one: 'تم استيراد سعر واحد',
+      two: 'تم استيراد سعرين',
+      few: 'تم استيراد $count أسعار',
+      many: 'تم استيراد $count سعرًا',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get exchangeRatesDefaultCurrency => 'العملة الافتراضية';
+
+  @override
+  String get exchangeRatesDefaultCurrencySubtitle =>
+      'المعاملات والميزانيات والملخصات الجديدة';
+
+  @override
+  String get exchangeRatesSection => 'أسعار الصرف';
+
+  @override
+  String get exchangeRatesEmpty =>
+      'لا توجد أسعار بعد. تُحتسب المبالغ بالعملات الأخرى 1:1 حتى تضيف سعرًا.';
+
+  @override
+  String exchangeRatesUpdated(String date) {
+    return 'حُدّث في $date';
+  }
+
+  @override
+  String get exchangeRatesDeleteTitle => 'حذف السعر';
+
+  @override
+  String exchangeRatesDeleteMessage(String pair) {
+    return 'حذف سعر $pair؟ تُحتسب المبالغ التي تحتاجه 1:1 حتى تضيفه مجددًا.';
+  }
+
+  @override
+  String get exchangeRatesAddTitle => 'إضافة سعر';
+
+  @override
+  String get exchangeRatesEditTitle => 'تعديل السعر';
+
+  @override
+  String get exchangeRatesUnitOf => 'وحدة واحدة من';
+
+  @override
+  String get exchangeRatesCosts => 'تساوي';
+
+  @override
+  String get exchangeRatesRate => 'السعر';
+
+  @override
+  String get exchangeRatesSameCurrency => 'اختر عملتين مختلفتين';
+
+  @override
+  String get exchangeRatesRatePositive => 'يجب أن يكون السعر أكبر من 0';
+
+  @override
+  String exchangeRatesSaveFailed(String error) {
+    return 'تعذّر حفظ السعر: $error';
+  }
+
+  @override
+  String exchangeRatesDeleteFailed(String error) {
+    return 'تعذّر حذف السعر: $error';
+  }
+
+  @override
+  String exchangeRatesImportFailed(String error) {
+    return 'تعذّر استيراد الأسعار: $error';
+  }
+
+  @override
+  String exchangeRatesDefaultCurrencyFailed(String error) {
+    return 'تعذّر تغيير العملة الافتراضية: $error';
+  }
+
+  @override
+  String exchangeRatesParseFields(int line) {
+    return 'السطر $line: المتوقع BASE,QUOTE,RATE';
+  }
+
+  @override
+  String exchangeRatesParseCodes(int line) {
+    return 'السطر $line: يجب أن تكون العملات رموزًا من 3 أحرف مثل EUR';
+  }
+
+  @override
+  String exchangeRatesParseSamePair(int line, String currency) {
+    return 'السطر $line: لا يمكن تسعير $currency بنفسها';
+  }
+
+  @override
+  String exchangeRatesParseRate(int line) {
+    return 'السطر $line: يجب أن يكون السعر رقمًا أكبر من 0';
+  }
+
+  @override
+  String get amountRequired => 'المبلغ مطلوب';
+
+  @override
+  String get amountPositive => 'يجب أن يكون المبلغ أكبر من 0';
+
+  @override
+  String get budgetNameRequired => 'اسم الميزانية مطلوب';
+
+  @override
+  String get allocationsRequired => 'أضف تخصيصًا واحدًا على الأقل';
+
+  @override
+  String allocationsExceedBudget(String allocated, String budget) {
+    return 'إجمالي التخصيصات ($allocated) يتجاوز الميزانية ($budget)';
+  }
+
+  @override
+  String get allocationsDuplicateCategory =>
+      'توجد فئات مكررة. يمكن تخصيص كل فئة مرة واحدة فقط';
+
+  @override
+  String get allocationsAmountPositive =>
+      'يجب أن تكون جميع مبالغ التخصيص أكبر من 0';
+
+  @override
+  String budgetCreateFailed(String error) {
+    return 'تعذّر إنشاء الميزانية: $error';
+  }
+
+  @override
+  String budgetUpdateFailed(String error) {
+    return 'تعذّر تحديث الميزانية: $error';
+  }
+
+  @override
+  String budgetDeleteFailed(String error) {
+    return 'تعذّر حذف الميزانية: $error';
+  }
+
+  @override
+  String budgetRollOverFailed(String error) {
+    return 'تعذّر ترحيل الميزانية: $error';
+  }
+
+  @override
+  String templateSaveFailed(String error) {
+    return 'تعذّر حفظ القالب: $error';
+  }
+
+  @override
+  String templateRenameFailed(String error) {
+    return 'تعذّرت إعادة تسمية القالب: $error';
+  }
+
+  @override
+  String templateDeleteFailed(String error) {
+    return 'تعذّر حذف القالب: $error';
+  }
+
+  @override
+  String get chartBar => 'أعمدة';
+
+  @override
+  String get chartPie => 'دائري';
+
+  @override
+  String budgetStatusUpcoming(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'قادمة • تبدأ بعد $days يوم',
+      one: 'قادمة • تبدأ غدًا',
+      two: 'قادمة • تبدأ بعد يومين',
+      few: 'قادمة • تبدأ بعد $days أيام',
+      many: 'قادمة • تبدأ بعد $days يومًا',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusActive(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'نشطة • بقي $days يوم',
+      zero: 'نشطة • اليوم الأخير',
+      one: 'نشطة • بقي يوم واحد',
+      two: 'نشطة • بقي يومان',
+      few: 'نشطة • بقيت $days أيام',
+      many: 'نشطة • بقي $days يومًا',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusExpired(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'منتهية • انتهت قبل $days يوم',
+      one: 'منتهية • انتهت أمس',
+      two: 'منتهية • انتهت قبل يومين',
+      few: 'منتهية • انتهت قبل $days أيام',
+      many: 'منتهية • انتهت قبل $days يومًا',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get error => 'خطأ';
+
+  @override
+  String get create => 'إنشاء';
+
+  @override
+  String get update => 'تحديث';
+
+  @override
+  String get amount => 'المبلغ';
+
+  @override
+  String get amountHint => 'أدخل المبلغ';
+
+  @override
+  String get category => 'الفئة';
+
+  @override
+  String get categoryRequired => 'يرجى اختيار فئة';
+
+  @override
+  String get categorySelect => 'اختر فئة';
+
+  @override
+  String get categoriesNoneAvailable => 'لا توجد فئات. أنشئ فئات أولًا.';
+
+  @override
+  String get categoryCreate => 'إنشاء فئة';
+
+  @override
+  String get categoryCreateFirst => 'أنشئ فئة';
+
+  @override
+  String get unknownCategory => 'فئة غير معروفة';
+
+  @override
+  String get startDate => 'تاريخ البدء';
+
+  @override
+  String get startDateRequired => 'تاريخ البدء مطلوب';
+
+  @override
+  String get endDate => 'تاريخ الانتهاء';
+
+  @override
+  String get endDateRequired => 'تاريخ الانتهاء مطلوب';
+
+  @override
+  String transactionCount(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count معاملة',
+      one: 'معاملة واحدة',
+      two: 'معاملتان',
+      few: '$count معاملات',
+      many: '$count معاملة',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String chartLegendEntry(String label, String amount) {
+    return '$label: $amount';
+  }
+
+  @override
+  String get chartNoAllocations => 'لا توجد تخصيصات لعرضها';
+
+  @override
+  String get budgetsTitle => 'الميزانيات';
+
+  @override
+  String get budgetsEmpty => 'لا توجد ميزانيات بعد';
+
+  @override
+  String get budgetsEmptyMessage => 'أنشئ ميزانيتك الأولى لبدء تتبع الإنفاق';
+
+  @override
+  String get budgetsEmptyHint => 'اضغط على زر + أعلاه للبدء';
+
+  @override
+  String get budgetsLoadError => 'خطأ في تحميل الميزانيات';
+
+  @override
+  String get budgetUpcoming => 'قادمة';
+
+  @override
+  String get budgetActive => 'نشطة';
+
+  @override
+  String get budgetExpired => 'منتهية';
+
+  @override
+  String budgetAllocatedOfTotal(String allocated, String total) {
+    return '$allocated / $total';
+  }
+
+  @override
+  String get budgetDetailsTitle => 'تفاصيل الميزانية';
+
+  @override
+  String get budgetSaveAsTemplate => 'حفظ كقالب';
+
+  @override
+  String get budgetRollOverAction => 'ترحيل إلى الفترة التالية';
+
+  @override
+  String get budgetBreakdown => 'التفصيل';
+
+  @override
+  String get budgetAllocationsBreakdown => 'تفصيل التخصيصات';
+
+  @override
+  String budgetRecentTransactions(int count) {
+    return 'المعاملات الأخيرة ($count)';
+  }
+
+  @override
+  String get budgetBackToBudgets => 'العودة إلى الميزانيات';
+
+  @override
+  String get budgetNoDataTitle => 'لا توجد بيانات بعد';
+
+  @override
+  String get budgetNoDataMessage => 'أضف تخصيصات ومعاملات لعرض التفاصيل.';
+
+  @override
+  String get budgetDeleteTitle => 'حذف الميزانية';
+
+  @override
+  String get budgetSummary => 'ملخص الميزانية';
+
+  @override
+  String get budgetTotal => 'إجمالي الميزانية';
+
+  @override
+  String get budgetAllocated => 'المخصص';
+
+  @override
+  String get budgetSpent => 'المُنفق';
+
+  @override
+  String get budgetRemaining => 'المتبقي';
+
+  @override
+  String get budgetUnallocated => 'غير مخصص';
+
+  @override
+  String budgetHealth(String value) {
+    return 'صحة الميزانية (BAR): $value';
+  }
+
+  @override
+  String get barStatusOverspending => 'إنفاق زائد - عدّل وتيرة الإنفاق';
+
+  @override
+  String get barStatusClose => 'قريب من الميزانية - راقب بعناية';
+
+  @override
+  String get barStatusOnTrack => 'على المسار - الإنفاق ضمن الميزانية';
+
+  @override
+  String get budgetCreate => 'إنشاء الميزانية';
+
+  @override
+  String get budgetUpdate => 'تحديث الميزانية';
+
+  @override
+  String get budgetCreated => 'تم إنشاء الميزانية بنجاح';
+
+  @override
+  String get budgetUpdated => 'تم تحديث الميزانية بنجاح';
+
+  @override
+  String get budgetName => 'اسم الميزانية';
+
+  @override
+  String get budgetNameHint => 'اسم الميزانية (مثل ديسمبر 2025)';
+
+  @override
+  String get budgetAmountHint => 'المبلغ الإجمالي';
+
+  @override
+  String get budgetTotalLabel => 'إجمالي الميزانية:';
+
+  @override
+  String get budgetAllocatedLabel => 'إجمالي المخصص:';
+
+  @override
+  String get budgetUnallocatedLabel => 'غير مخصص:';
+
+  @override
+  String get budgetRollOverTitle => 'ترحيل الميزانية';
+
+  @override
+  String get budgetRollOver => 'ترحيل';
+
+  @override
+  String get budgetCarryOver => 'ترحيل المبالغ غير المنفقة';
+
+  @override
+  String get budgetCarryOverSubtitle => 'يضيف ما تبقى من كل تخصيص';
+
+  @override
+  String get allocations => 'التخصيصات';
+
+  @override
+  String get allocationsEmpty =>
+      'لا توجد تخصيصات بعد. اختر فئة أعلاه لإضافة تخصيص.';
+
+  @override
+  String get allocationsAllCategories => 'تم تخصيص جميع الفئات';
+
+  @override
+  String get allocationAdd => 'إضافة تخصيص';
+
+  @override
+  String get allocationAddTitle => 'إضافة تخصيص';
+
+  @override
+  String get allocationEditTitle => 'تعديل التخصيص';
+
+  @override
+  String get allocationDelete => 'حذف التخصيص';
+
+  @override
+  String allocationBudgeted(String amount) {
+    return 'المخطط: $amount';
+  }
+
+  @override
+  String allocationSpent(String amount, String percent) {
+    return 'المُنفق: $amount ($percent)';
+  }
+
+  @override
+  String allocationRemaining(String amount) {
+    return 'المتبقي: $amount';
+  }
+
+  @override
+  String get templatesTitle => 'قوالب الميزانية';
+
+  @override
+  String get templatesEmpty => 'لا توجد قوالب ميزانية';
+
+  @override
+  String get templatesEmptyHint => 'افتح ميزانية واختر "حفظ كقالب"';
+
+  @override
+  String templateSummary(String amount, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count فئة',
+      one: 'فئة واحدة',
+      two: 'فئتان',
+      few: '$count فئات',
+      many: '$count فئة',
+    );
+    return '$amount · $_temp0';
+  }
+
+  @override
+  String get templateName => 'اسم القالب';
+
+  @override
+  String get templateSaveTitle => 'حفظ كقالب';
+
+  @override
+  String templateSaved(String name) {
+    return 'تم حفظ القالب "$name"';
+  }
+
+  @override
+  String get templateRenameTitle => 'إعادة تسمية القالب';
+
+  @override
+  String get templateDeleteTitle => 'حذف القالب';
+
+  @override
+  String templateDeleteMessage(String name) {
+    return 'حذف "$name"؟ يُحتفظ بالميزانيات التي أُنشئت منه.';
+  }
+
+  @override
+  String get nameRequired => 'الاسم مطلوب';
+
+  @override
+  String get cannotBeUndone => 'لا يمكن التراجع عن هذا الإجراء.';
+
+  @override
+  String get categoryName => 'اسم الفئة';
+
+  @override
+  String get categoryNameExists => 'اسم الفئة موجود بالفعل';
+
+  @override
+  String get categoryAdd => 'إضافة فئة';
+
+  @override
+  String get categoryUpdate => 'تحديث الفئة';
+
+  @override
+  String get categoryCreated => 'تم إنشاء الفئة بنجاح';
+
+  @override
+  String get categoryUpdated => 'تم تحديث الفئة بنجاح';
+
+  @override
+  String get categoryIconRequired => 'يرجى اختيار أيقونة';
+
+  @override
+  String get categoryIconSearchHint => 'ابحث عن الأيقونات...';
+
+  @override
+  String get categoryDeleteTitle => 'حذف الفئة؟';
+
+  @override
+  String categoryCreateFailed(String error) {
+    return 'تعذّر إنشاء الفئة: $error';
+  }
+
+  @override
+  String categoryUpdateFailed(String error) {
+    return 'تعذّر تحديث الفئة: $error';
+  }
+
+  @override
+  String categoryDeleteFailed(String error) {
+    return 'تعذّر حذف الفئة: $error';
+  }
+
+  @override
+  String titleWithCount(String title, int count) {
+    return '$title ($count)';
+  }
+
+  @override
+  String transactionCountShort(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count معاملة',
+      one: 'معاملة',
+      two: 'معاملتان',
+      few: '$count معاملات',
+      many: '$count معاملة',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String dashboardGreeting(String name) {
+    return 'مرحبًا $name';
+  }
+
+  @override
+  String chartTooltip(String category, String series, String amount) {
+    return '$category ($series): $amount';
+  }
+
+  @override
+  String budgetSpentAmount(String amount) {
+    return 'المُنفق: $amount';
+  }
+
+  @override
+  String budgetRemainingAmount(String amount) {
+    return 'المتبقي: $amount';
+  }
+
+  @override
+  String noExchangeRate(String currencies, String currency) {
+    return 'لا يوجد سعر صرف من $currencies إلى $currency: يُحتسب 1:1';
+  }
+
+  @override
+  String monthlyBreakdownTitle(String month) {
+    return 'تفصيل $month';
+  }
+
+  @override
+  String get monthlyBreakdownTitleGeneric => 'التفصيل الشهري';
+
+  @override
+  String get monthlyBudgeted => 'ضمن الميزانية';
+
+  @override
+  String get monthlyUnassigned => 'غير مُسند';
+
+  @override
+  String get monthlyBudgetedTransactions => 'معاملات ضمن الميزانية';
+
+  @override
+  String get monthlyUnassignedTransactions => 'معاملات غير مُسندة';
+
+  @override
+  String get monthlyNoTransactions => 'لا توجد معاملات في هذه الفئة';
+
+  @override
+  String get monthlyViewBreakdown => 'عرض التفصيل الكامل';
+
+  @override
+  String get allocation => 'التخصيص';
+
+  @override
+  String get transaction => 'المعاملة';
+
+  @override
+  String get conflictsTitle => 'مراجعة التعارضات';
+
+  @override
+  String get conflictsEmpty => 'لا توجد تعارضات للمراجعة';
+
+  @override
+  String conflictDetected(String date) {
+    return 'اكتُشف في $date';
+  }
+
+  @override
+  String get conflictThisDevice => 'هذا الجهاز';
+
+  @override
+  String get conflictOtherDevice => 'جهاز آخر';
+
+  @override
+  String get conflictKeepBoth => 'الاحتفاظ بالاثنين';
+
+  @override
+  String get conflictKeepTheirs => 'الاحتفاظ بنسختهم';
+
+  @override
+  String get conflictKeepMine => 'الاحتفاظ بنسختي';
+
+  @override
+  String get conflictDeleted => 'محذوف';
+
+  @override
+  String get conflictKept => 'محتفظ به';
+
+  @override
+  String conflictRecordTitle(String type, String name) {
+    return '$type: $name';
+  }
+
+  @override
+  String conflictResolveFailed(String error) {
+    return 'تعذّر حل التعارض: $error';
+  }
+
+  @override
+  String occurrenceSkipFailed(String error) {
+    return 'تعذّر تخطي التكرار: $error';
+  }
+
+  @override
+  String occurrenceEditFailed(String error) {
+    return 'تعذّر تعديل التكرار: $error';
+  }
+
+  @override
+  String seriesUpdateFailed(String error) {
+    return 'تعذّر تحديث السلسلة: $error';
+  }
+
+  @override
+  String seriesDeleteFailed(String error) {
+    return 'تعذّر حذف السلسلة: $error';
+  }
+
+  @override
+  String transactionCreateFailed(String error) {
+    return 'تعذّر إنشاء المعاملة: $error';
+  }
+
+  @override
+  String transactionUpdateFailed(String error) {
+    return 'تعذّر تحديث المعاملة: $error';
+  }
+
+  @override
+  String transactionDeleteFailed(String error) {
+    return 'تعذّر حذف المعاملة: $error';
+  }
+
+  @override
+  String importFailed(String error) {
+    return 'تعذّر استيراد المعاملات: $error';
+  }
+
+  @override
+  String importReadFailed(String file, String error) {
+    return 'تعذّرت قراءة $file: $error';
+  }
+
+  @override
+  String get importPickAmountColumn => 'اختر عمود المبلغ';
+
+  @override
+  String importRowInvalidDate(int row, String date, String format) {
+    return 'الصف $row: التاريخ "$date" لا يطابق "$format"';
+  }
+
+  @override
+  String importRowInvalidAmount(int row, String text) {
+    return 'الصف $row: "$text" ليس مبلغًا';
+  }
+
+  @override
+  String get importNotOfx => 'ليس ملف OFX (لا يوجد وسم <OFX>)';
+
+  @override
+  String importEntryInvalidDate(int entry, String date) {
+    return 'المعاملة $entry: تاريخ غير صالح "$date"';
+  }
+
+  @override
+  String importEntryInvalidAmount(int entry, String text) {
+    return 'المعاملة $entry: مبلغ غير صالح "$text"';
+  }
+
+  @override
+  String importLineInvalidDate(int line, String date) {
+    return 'السطر $line: تاريخ غير صالح "$date"';
+  }
+
+  @override
+  String importLineInvalidAmount(int line, String text) {
+    return 'السطر $line: مبلغ غير صالح "$text"';
+  }
+
+  @override
+  String get importedTransactionName => 'معاملة مستوردة';
+
+  @override
+  String get done => 'تم';
+
+  @override
+  String get none => 'لا شيء';
+
+  @override
+  String get fieldRequired => 'مطلوب';
+
+  @override
+  String get notesOptional => 'ملاحظات (اختياري)';
+
+  @override
+  String get transactionsTitle => 'المعاملات';
+
+  @override
+  String get transactionsEmpty => 'لا توجد معاملات بعد';
+
+  @override
+  String get transactionDate => 'تاريخ المعاملة';
+
+  @override
+  String get transactionTime => 'وقت المعاملة';
+
+  @override
+  String get transactionName => 'اسم المعاملة';
+
+  @override
+  String get transactionNameRequired => 'اسم المعاملة مطلوب';
+
+  @override
+  String get transactionAddTitle => 'إضافة معاملة';
+
+  @override
+  String get transactionEditTitle => 'تعديل المعاملة';
+
+  @override
+  String get transactionCopyTitle => 'نسخ المعاملة';
+
+  @override
+  String get transactionCreated => 'تم إنشاء المعاملة بنجاح';
+
+  @override
+  String get transactionUpdated => 'تم تحديث المعاملة بنجاح';
+
+  @override
+  String get transactionDeleteTitle => 'حذف المعاملة؟';
+
+  @override
+  String get budgetNoneSelected => 'لم تُحدد ميزانية';
+
+  @override
+  String get repeat => 'التكرار';
+
+  @override
+  String get repeatNever => 'أبدًا';
+
+  @override
+  String get repeatDaily => 'يوميًا';
+
+  @override
+  String get repeatWeekly => 'أسبوعيًا';
+
+  @override
+  String get repeatMonthly => 'شهريًا (اليوم نفسه)';
+
+  @override
+  String get repeatLastBusinessDay => 'آخر يوم عمل';
+
+  @override
+  String get repeatEvery => 'كل';
+
+  @override
+  String get repeatIntervalInvalid => 'أدخل 1 أو أكثر';
+
+  @override
+  String get repeatUnitDays => 'يوم';
+
+  @override
+  String get repeatUnitWeeks => 'أسبوع';
+
+  @override
+  String get repeatUnitMonths => 'شهر';
+
+  @override
+  String get upcomingTitle => 'القادمة';
+
+  @override
+  String get upcomingEmpty => 'لا توجد معاملات متكررة';
+
+  @override
+  String get upcomingEmptyHint => 'اختر "التكرار" عند إضافة معاملة';
+
+  @override
+  String upcomingEdited(String date) {
+    return '$date · معدّلة';
+  }
+
+  @override
+  String get upcomingSkip => 'تخطي';
+
+  @override
+  String get upcomingEditOne => 'تعديل هذه فقط';
+
+  @override
+  String get upcomingEditSeries => 'تعديل السلسلة';
+
+  @override
+  String get upcomingDeleteSeries => 'حذف السلسلة';
+
+  @override
+  String get upcomingEditOneTitle => 'تعديل هذا التكرار';
+
+  @override
+  String get upcomingEditSeriesTitle => 'تعديل السلسلة';
+
+  @override
+  String get upcomingDeleteSeriesTitle => 'حذف السلسلة';
+
+  @override
+  String upcomingDeleteSeriesMessage(String name) {
+    return 'إيقاف تكرار "$name"؟ يُحتفظ بالمعاملات التي أُنشئت بالفعل.';
+  }
+
+  @override
+  String get importAction => 'استيراد';
+
+  @override
+  String get importTitle => 'استيراد كشف حساب';
+
+  @override
+  String get importPickTitle => 'استورد كشف حساب بنكي';
+
+  @override
+  String get importPickSubtitle => 'ملف CSV أو OFX/QFX أو QIF من بنكك';
+
+  @override
+  String get importChooseFile => 'اختر ملفًا';
+
+  @override
+  String importFileEntries(String file, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count قيد',
+      one: 'قيد واحد',
+      two: 'قيدان',
+      few: '$count قيود',
+      many: '$count قيدًا',
+    );
+    return '$file · $_temp0';
+  }
+
+  @override
+  String get importOtherFile => 'ملف آخر';
+
+  @override
+  String importSelected(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'استيراد $count معاملة',
+      one: 'استيراد معاملة واحدة',
+      two: 'استيراد معاملتين',
+      few: 'استيراد $count معاملات',
+      many: 'استيراد $count معاملة',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String importDone(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'تم استيراد $count معاملة',
+      one: 'تم استيراد معاملة واحدة',
+      two: 'تم استيراد معاملتين',
+      few: 'تم استيراد $count معاملات',
+      many: 'تم استيراد $count معاملة',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get importDoneHint => 'أضف الفئات من قائمة المعاملات';
+
+  @override
+  String get importAlreadyImported => 'مستوردة مسبقًا';
+
+  @override
+  String importPossibleDuplicate(String name, String date) {
+    return 'تكرار محتمل لـ "$name" ($date)';
+  }
+
+  @override
+  String importColumn(int number) {
+    return 'العمود $number';
+  }
+
+  @override
+  String get importSeparator => 'الفاصل';
+
+  @override
+  String get importSeparatorComma => 'فاصلة';
+
+  @override
+  String get importSeparatorSemicolon => 'فاصلة منقوطة';
+
+  @override
+  String get importSeparatorTab => 'علامة جدولة';
+
+  @override
+  String get importHasHeader => 'الصف الأول عناوين';
+
+  @override
+  String get importColumnDate => 'التاريخ';
+
+  @override
+  String get importColumnDescription => 'الوصف';
+
+  @override
+  String get importSeparateAmounts => 'أعمدة منفصلة للصادر / الوارد';
+
+  @override
+  String get importColumnMoneyOut => 'الصادر';
+
+  @override
+  String get importColumnMoneyIn => 'الوارد';
+
+  @override
+  String get importColumnAmount => 'المبلغ (السالب = صادر)';
+
+  @override
+  String get importDateFormat => 'تنسيق التاريخ';
+
+  @override
+  String get importDecimalSeparator => 'الفاصل العشري';
+
+  @override
+  String get importDecimalPoint => 'نقطة (1,234.56)';
+
+  @override
+  String get importDecimalComma => 'فاصلة (1.234,56)';
+
+  @override
+  String get importPreview => 'معاينة';
+
+  @override
+  String get barMessageUnder => 'أقل بكثير من الميزانية! 🎉';
+
+  @override
+  String get barMessageGood => 'أقل قليلًا من الميزانية ✓';
+
+  @override
+  String get barMessageOnTrack => 'على المسار تمامًا ✓';
+
+  @override
+  String get barMessageWarning => 'أعلى قليلًا من الميزانية ⚠️';
+
+  @override
+  String get barMessageOver => 'تجاوز كبير للميزانية! 🚨';
+
+  @override
+  String barCurveLearned(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'الوتيرة المتوقعة مستفادة من آخر $count ميزانية',
+      one: 'الوتيرة المتوقعة مستفادة من ميزانيتك الأخيرة',
+      two: 'الوتيرة المتوقعة مستفادة من ميزانيتيك الأخيرتين',
+      few: 'الوتيرة المتوقعة مستفادة من آخر $count ميزانيات',
+      many: 'الوتيرة المتوقعة مستفادة من آخر $count ميزانية',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String barCurveDefault(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'الوتيرة المتوقعة الافتراضية، تُخصَّص بعد انتهاء $count ميزانية',
+      one: 'الوتيرة المتوقعة الافتراضية، تُخصَّص بعد انتهاء ميزانية واحدة',
+      two: 'الوتيرة المتوقعة الافتراضية، تُخصَّص بعد انتهاء ميزانيتين',
+      few: 'الوتيرة المتوقعة الافتراضية، تُخصَّص بعد انتهاء $count ميزانيات',
+      many: 'الوتيرة المتوقعة الافتراضية، تُخصَّص بعد انتهاء $count ميزانية',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String paceBar(String value) {
+    return 'BAR $value';
+  }
+
+  @override
+  String paceProjected(String amount) {
+    return 'المتوقع: $amount في النهاية';
+  }
+
+  @override
+  String paceProjectedOver(String amount, String over) {
+    return 'المتوقع: $amount، بزيادة $over';
+  }
+
+  @override
+  String paceSafeDaily(String amount) {
+    return 'يمكنك إنفاق: $amount يوميًا';
+  }
+
+  @override
+  String paceCategoriesAtRisk(String names) {
+    return 'في طريقها لتجاوز الميزانية: $names';
+  }
+
+  @override
+  String get alertsTitle => 'التنبيهات';
+
+  @override
+  String get alertsInbox => 'الوارد';
+
+  @override
+  String get alertsRules => 'القواعد';
+
+  @override
+  String get alertsMarkAllRead => 'تعليم الكل كمقروء';
+
+  @override
+  String get alertsClearRead => 'مسح التنبيهات المقروءة';
+
+  @override
+  String get alertsInboxEmpty =>
+      'لا توجد تنبيهات. تظهر هنا عند تفعيل إحدى قواعدك.';
+
+  @override
+  String get alertsRulesEmpty =>
+      'لا توجد قواعد بعد. أضف قاعدة لتلقي تنبيهات حول ميزانياتك.';
+
+  @override
+  String get alertsAddRule => 'إضافة قاعدة';
+
+  @override
+  String get alertsEditRule => 'تعديل القاعدة';
+
+  @override
+  String get alertsRuleType => 'التنبيه عندما';
+
+  @override
+  String get alertsThresholdInvalid => 'أدخل رقمًا أكبر من 0';
+
+  @override
+  String get alertTypeBarAbove => 'يتجاوز BAR';
+
+  @override
+  String get alertTypeAllocationOver => 'استخدمت فئة أكثر من';
+
+  @override
+  String get alertTypeBudgetEnding => 'تنتهي ميزانية خلال';
+
+  @override
+  String get alertTypeLargeTransaction => 'مصروف لا يقل عن';
+
+  @override
+  String get alertThresholdBar => 'BAR';
+
+  @override
+  String get alertThresholdPercent => 'نسبة من المخصص';
+
+  @override
+  String get alertThresholdDays => 'أيام';
+
+  @override
+  String alertThresholdAmount(String currency) {
+    return 'المبلغ ($currency)';
+  }
+
+  @override
+  String alertRuleBarAbove(String threshold) {
+    return 'BAR أعلى من $threshold';
+  }
+
+  @override
+  String alertRuleAllocationOver(String percent) {
+    return 'فئة تجاوزت $percent% من مخصصها';
+  }
+
+  @override
+  String alertRuleBudgetEnding(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'ميزانية تنتهي خلال $days يوم',
+      one: 'ميزانية تنتهي خلال يوم واحد',
+      two: 'ميزانية تنتهي خلال يومين',
+      few: 'ميزانية تنتهي خلال $days أيام',
+      many: 'ميزانية تنتهي خلال $days يومًا',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertRuleLargeTransaction(String amount) {
+    return 'مصروف بقيمة $amount أو أكثر';
+  }
+
+  @override
+  String alertBarAbove(String budget, String bar, String threshold) {
+    return '$budget ينفق أسرع من المتوقع: BAR $bar (أعلى من $threshold)';
+  }
+
+  @override
+  String alertAllocationOver(String category, String percent) {
+    return 'استخدمت $category $percent% من مخصصها';
+  }
+
+  @override
+  String alertBudgetEnding(String budget, int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'تنتهي $budget خلال $days يوم',
+      zero: 'تنتهي $budget اليوم',
+      one: 'تنتهي $budget غدًا',
+      two: 'تنتهي $budget خلال يومين',
+      few: 'تنتهي $budget خلال $days أيام',
+      many: 'تنتهي $budget خلال $days يومًا',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertLargeTransaction(String name, String amount) {
+    return 'مصروف كبير: $name ($amount)';
+  }
+
+  @override
+  String get alertsSnoozeDay => 'تأجيل الميزانية يومًا واحدًا';
+
+  @override
+  String get alertsSnoozeWeek => 'تأجيل الميزانية 7 أيام';
+
+  @override
+  String get alertsMuteBudget => 'كتم الميزانية';
+
+  @override
+  String get alertsUnmute => 'إلغاء كتم التنبيهات';
+
+  @override
+  String get alertsDismiss => 'تجاهل';
+
+  @override
+  String get alertsMutedSection => 'الميزانيات المكتومة';
+
+  @override
+  String get alertsMuted => 'مكتومة';
+
+  @override
+  String alertsSnoozedUntil(String date) {
+    return 'مؤجلة حتى $date';
+  }
+
+  @override
+  String alertsUpdateFailed(String error) {
+    return 'تعذر تحديث التنبيهات: $error';
+  }
+
+  @override
+  String alertsRuleSaveFailed(String error) {
+    return 'تعذر حفظ القاعدة: $error';
+  }
+
+  @override
+  String get transactionFiltersTitle => 'عوامل التصفية';
+
+  @override
+  String get transactionFilterAll => 'الكل';
+
+  @override
+  String get transactionFilterCategories => 'الفئات';
+
+  @override
+  String get transactionFilterUnassigned => 'خارج الميزانية';
+
+  @override
+  String get transactionFilterMinAmount => 'الحد الأدنى للمبلغ';
+
+  @override
+  String get transactionFilterMaxAmount => 'الحد الأقصى للمبلغ';
+
+  @override
+  String get transactionFilterHasNotes => 'التي تحتوي على ملاحظات فقط';
+
+  @override
+  String get transactionFiltersReset => 'مسح عوامل التصفية';
+
+  @override
+  String get transactionFiltersApply => 'تطبيق';
+
+  @override
+  String get transactionFiltersNoMatch =>
+      'لا توجد معاملات تطابق عوامل التصفية هذه';
+
+  @override
+  String get savedSearchesTitle => 'عمليات البحث المحفوظة';
+
+  @override
+  String get recentSearchesTitle => 'عمليات البحث الأخيرة';
+
+  @override
+  String get recentSearchesClear => 'مسح';
+
+  @override
+  String get savedSearchSave => 'حفظ البحث';
+
+  @override
+  String get savedSearchName => 'الاسم';
+
+  @override
+  String savedSearchSaved(String name) {
+    return 'تم حفظ البحث "$name"';
+  }
+
+  @override
+  String savedSearchSaveFailed(String error) {
+    return 'تعذّر حفظ البحث: $error';
+  }
+
+  @override
+  String savedSearchUpdateFailed(String error) {
+    return 'تعذّر تحديث عمليات البحث: $error';
+  }
+
+  @override
+  String get undo => 'تراجع';
+
+  @override
+  String get budgetDeleted => 'تم حذف الميزانية';
+
+  @override
+  String get deleteMovesToTrash =>
+      'سيُنقل إلى سلة المحذوفات، حيث يمكنك استعادته.';
+
+  @override
+  String get trashTitle => 'سلة المحذوفات';
+
+  @override
+  String get trashEmpty => 'سلة المحذوفات فارغة';
+
+  @override
+  String get trashEmptyAction => 'إفراغ سلة المحذوفات';
+
+  @override
+  String get trashEmptyTitle => 'إفراغ سلة المحذوفات؟';
+
+  @override
+  String get trashPurgeTitle => 'حذف نهائي؟';
+
+  @override
+  String get trashPurge => 'حذف نهائي';
+
+  @override
+  String get trashRestore => 'استعادة';
+
+  @override
+  String trashRetentionNotice(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'تُحذف العناصر نهائيًا بعد $days يومًا من حذفها.',
+      one: 'تُحذف العناصر نهائيًا بعد يوم واحد من حذفها.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String trashDeletedOn(String date) {
+    return 'حُذف في $date';
+  }
+
+  @override
+  String get trashTypeTransaction => 'معاملة';
+
+  @override
+  String get trashTypeBudget => 'ميزانية';
+
+  @override
+  String get trashTypeCategory => 'فئة';
+
+  @override
+  String get trashTypeAllocation => 'تخصيص';
+
+  @override
+  String trashLoadFailed(String error) {
+    return 'تعذر تحميل سلة المحذوفات: $error';
+  }
+
+  @override
+  String trashUpdateFailed(String error) {
+    return 'تعذر تحديث سلة المحذوفات: $error';
+  }
+
+  @override
+  String get settingsDeletedItems => 'العناصر المحذوفة';
+
+  @override
+  String get settingsDeletedItemsSubtitle => 'استعادة أو حذف نهائي';
+
+  @override
+  String get settingsTrashRetention => 'الاحتفاظ بالعناصر المحذوفة';
+
+  @override
+  String settingsTrashRetentionDays(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: '$days يومًا',
+      one: 'يوم واحد',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteUsedBy => 'مستخدمة في:';
+
+  @override
+  String deleteImpactTransactions(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count معاملة',
+      zero: 'لا معاملات',
+      one: 'معاملة واحدة',
+      two: 'معاملتان',
+      few: '$count معاملات',
+      many: '$count معاملة',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactAllocations(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count تخصيص ميزانية',
+      zero: 'لا تخصيصات',
+      one: 'تخصيص ميزانية واحد',
+      two: 'تخصيصا ميزانية',
+      few: '$count تخصيصات ميزانية',
+      many: '$count تخصيصًا للميزانية',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactRecurring(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count معاملة متكررة',
+      zero: 'لا معاملات متكررة',
+      one: 'معاملة متكررة واحدة',
+      two: 'معاملتان متكررتان',
+      few: '$count معاملات متكررة',
+      many: '$count معاملة متكررة',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteDependentsToo => 'حذفها أيضًا';
+
+  @override
+  String get deleteChooseTarget => 'اختر الوجهة';
+
+  @override
+  String get categoryDeleteReassign => 'نقلها إلى فئة أخرى';
+
+  @override
+  String get categoryDeleteUnassign => 'إبقاؤها بدون فئة';
+
+  @override
+  String get categoryDeleteAllocationsNote =>
+      'تحتاج التخصيصات إلى فئة: ما لم تُنقل، تُحذف.';
+
+  @override
+  String get categoryDeleteRecurringNote =>
+      'لا تُحذف المعاملات المتكررة أبدًا: ما لم تُنقل، تستمر بدون فئة.';
+
+  @override
+  String get budgetDeleteReassign => 'نقل معاملاتها إلى ميزانية أخرى';
+
+  @override
+  String get budgetDeleteUnassign => 'إبقاء معاملاتها بدون ميزانية';
+
+  @override
+  String get budgetDeleteAllocationsNote => 'تُحذف تخصيصاتها معها.';
+
+  @override
+  String get categoryColorAutomatic => 'لون تلقائي';
+
+  @override
+  String get categoryParent => 'الفئة الأم';
+
+  @override
+  String get categoryParentNone => 'لا شيء (فئة رئيسية)';
+
+  @override
+  String get categoryMerge => 'دمج';
+
+  @override
+  String categoryMergeTitle(String name) {
+    return 'دمج «$name» في';
+  }
+
+  @override
+  String get categoryMergeMoves => 'يُنقل إلى الفئة المختارة:';
+
+  @override
+  String categoryMergeMessage(String name) {
+    return 'بعد ذلك تُنقل «$name» إلى سلة المهملات، وتنتقل فئاتها الفرعية إلى الفئة المختارة إن أمكن أن تكون لها فئات فرعية.';
+  }
+
+  @override
+  String categoryMergeFailed(String error) {
+    return 'تعذّر دمج الفئة: $error';
+  }
+
+  @override
+  String get categoryDeleteSubcategoriesNote =>
+      'تنتقل فئاتها الفرعية إلى الفئة المختارة أعلاه إن أمكن، وإلا تصبح فئات رئيسية.';
+
+  @override
+  String get transactionSplit => 'تقسيم على عدة فئات';
+
+  @override
+  String get transactionSplitLines => 'التقسيم';
+
+  @override
+  String get transactionSplitAddLine => 'إضافة سطر';
+
+  @override
+  String get transactionSplitRemoveLine => 'إزالة السطر';
+
+  @override
+  String transactionSplitRemaining(String amount) {
+    return 'المتبقي للتقسيم: $amount';
+  }
+
+  @override
+  String get transactionSplitCategoryRequired => 'اختر فئة لكل سطر';
+
+  @override
+  String get transactionSplitAmountPositive =>
+      'يجب أن يكون مبلغ كل سطر أكبر من 0';
+
+  @override
+  String get transactionSplitSumMismatch => 'يجب أن يساوي مجموع الأسطر المبلغ';
+
+  @override
+  String get rulesTitle => 'قواعد التصنيف';
+
+  @override
+  String get settingsRulesSubtitle => 'تملأ المعاملات الجديدة والمستوردة';
+
+  @override
+  String get rulesAdd => 'إضافة قاعدة';
+
+  @override
+  String get rulesEdit => 'تعديل القاعدة';
+
+  @override
+  String get rulesEmpty =>
+      'لا توجد قواعد بعد. تحدد القاعدة فئة المعاملات التي تضيفها أو تستوردها أو ميزانيتها أو اسمها، مثل: كل ما يحتوي على "uber" يذهب إلى النقل.';
+
+  @override
+  String get ruleNameContains => 'الاسم يحتوي على';
+
+  @override
+  String get ruleNameRegex => 'تعبير نمطي';
+
+  @override
+  String get ruleRegexInvalid => 'ليس تعبيرًا نمطيًا صالحًا';
+
+  @override
+  String get ruleMinAmount => 'الحد الأدنى للمبلغ';
+
+  @override
+  String get ruleMaxAmount => 'الحد الأقصى للمبلغ';
+
+  @override
+  String get ruleAmountRangeInvalid => 'يجب ألا يقل عن الحد الأدنى';
+
+  @override
+  String get ruleSetCategory => 'تعيين الفئة';
+
+  @override
+  String get ruleSetBudget => 'تعيين الميزانية';
+
+  @override
+  String get ruleNoChange => 'بدون تغيير';
+
+  @override
+  String get ruleRenameTo => 'إعادة التسمية إلى';
+
+  @override
+  String get ruleConditionRequired => 'أضف اسمًا أو مبلغًا للمطابقة';
+
+  @override
+  String get ruleActionRequired => 'اختر ما تعيّنه القاعدة';
+
+  @override
+  String ruleSaveFailed(String error) {
+    return 'تعذّر حفظ القاعدة: $error';
+  }
+
+  @override
+  String get ruleSaved => 'تم حفظ القاعدة';
+
+  @override
+  String get ruleCreateFromTransaction => 'إنشاء قاعدة من هذه المعاملة';
+
+  @override
+  String ruleConditionContains(String pattern) {
+    return 'الاسم يحتوي على "$pattern"';
+  }
+
+  @override
+  String ruleConditionMatches(String pattern) {
+    return 'الاسم يطابق /$pattern/';
+  }
+
+  @override
+  String ruleConditionAmountBetween(String min, String max) {
+    return 'المبلغ من $min إلى $max';
+  }
+
+  @override
+  String ruleConditionAmountAtLeast(String min) {
+    return 'المبلغ $min أو أكثر';
+  }
+
+  @override
+  String ruleConditionAmountAtMost(String max) {
+    return 'المبلغ حتى $max';
+  }
+
+  @override
+  String ruleActionRename(String name) {
+    return 'إعادة التسمية إلى "$name"';
+  }
+
+  @override
+  String categorySuggested(String name) {
+    return 'مقترحة: $name';
+  }
+}
@@ -0,0 +1,2092 @@
+// ignore: unused_import
+import 'package:intl/intl.dart' as intl;
+import 'app_localizations.dart';
+
+// ignore_for_file: type=lint
+
+/// The translations for German (`de`).
+class AppLocalizationsDe extends AppLocalizations {
+  AppLocalizationsDe([String locale = 'de']) : super(locale);
+
+  @override
+  String get languageName => 'Deutsch';
+
+  @override
+  String get bar => 'BAR';
+
+  @override
+  String get barFull => 'Budgettreue-Verhältnis (BAR)';
+
+  @override
+  String get barDefinition =>
+      'Der BAR ist eine Kennzahl, mit der du siehst, ob deine Ausgaben im Plan liegen. Er vergleicht, wie viel du ausgegeben hast, mit der Zeit, die von deinem Budgetzeitraum vergangen ist.';
+
+  @override
+  String get barUsageExplanation =>
+      'Der BAR-Wert zeigt dein Ausgabentempo im Verhältnis zum Budgetzeitraum. Ein Wert von 1,0 bedeutet, dass du genau im erwarteten Tempo ausgibst.';
+
+  @override
+  String get barKeyRule => 'Faustregel: Bleib unter 1,0';
+
+  @override
+  String get barHigherLowerExplanation =>
+      'Über 1,0 bedeutet, dass du schneller als geplant ausgibst und dein Budget früher aufbrauchen könntest. Unter 1,0 bedeutet, dass du weniger ausgibst und Budget übrig bleibt.\n\nBeispiel:\n• BAR 0,8: Du gibst langsamer aus als geplant (gut!)\n• BAR 1,0: Perfektes Tempo\n• BAR 1,2: Du gibst zu viel aus (Achtung!)\n• BAR 1,5+: Deutlich über dem Budget (kritisch!)';
+
+  @override
+  String get barUpdateFrequency =>
+      'Wird in Echtzeit aktualisiert, wenn du Buchungen hinzufügst oder Zeit vergeht.';
+
+  @override
+  String activeBudget(String name) {
+    return 'Aktives Budget: $name';
+  }
+
+  @override
+  String get noData => 'Keine Daten verfügbar';
+
+  @override
+  String get transactionsForDate => 'Buchungen';
+
+  @override
+  String get noTransactionsForDate => 'Keine Buchungen an diesem Tag';
+
+  @override
+  String get ok => 'OK';
+
+  @override
+  String get cancel => 'Abbrechen';
+
+  @override
+  String get gotIt => 'VERSTANDEN';
+
+  @override
+  String get delete => 'Löschen';
+
+  @override
+  String get areYouSure => 'Bist du sicher?';
+
+  @override
+  String get budget => 'Budget';
+
+  @override
+  String get actual => 'Ist';
+
+  @override
+  String get spending => 'Ausgaben';
+
+  @override
+  String get today => 'Heute';
+
+  @override
+  String get yesterday => 'Gestern';
+
+  @override
+  String get debit => 'Ausgabe';
+
+  @override
+  String get credit => 'Einnahme';
+
+  @override
+  String get settingsTitle => 'Einstellungen';
+
+  @override
+  String get settingsAppearance => 'Darstellung';
+
+  @override
+  String get settingsTheme => 'Design';
+
+  @override
+  String get settingsThemeSystem => 'System';
+
+  @override
+  String get settingsThemeLight => 'Hell';
+
+  @override
+  String get settingsThemeDark => 'Dunkel';
+
+  @override
+  String get settingsLanguage => 'Sprache';
+
+  @override
+  String get settingsLanguageDevice => 'Gerätesprache';
+
+  @override
+  String get settingsAmounts => 'Beträge';
+
+  @override
+  String get settingsCurrency => 'Währung';
+
+  @override
+  String settingsCurrencyPreview(String amount) {
+    return 'Vorschau: $amount';
+  }
+
+  @override
+  String get settingsCurrencyBefore => 'Davor';
+
+  @override
+  String get settingsCurrencyAfter => 'Danach';
+
+  @override
+  String get settingsNumberFormat => 'Zahlenformat';
+
+  @override
+  String settingsLanguageFormat(String example) {
+    return '$example (Sprache)';
+  }
+
+  @override
+  String get settingsExchangeRates => 'Währungen & Wechselkurse';
+
+  @override
+  String get settingsExchangeRatesSubtitle => 'Standardwährung dieses Profils';
+
+  @override
+  String get settingsDates => 'Datum';
+
+  @override
+  String get settingsDateFormat => 'Datumsformat';
+
+  @override
+  String get settings24HourTime => '24-Stunden-Format';
+
+  @override
+  String get settingsFirstDayOfWeek => 'Erster Wochentag';
+
+  @override
+  String get settingsTransactions => 'Buchungen';
+
+  @override
+  String get settingsDefaultType => 'Standardtyp';
+
+  @override
+  String get settingsDefaultTypeSubtitle => 'Vorausgewählt für neue Buchungen';
+
+  @override
+  String get settingsReset => 'Auf Standard zurücksetzen';
+
+  @override
+  String get actionComingSoon => 'Aktion folgt in Kürze';
+
+  @override
+  String searchHint(String scope, Object Search) {
+    String _temp0 = intl.Intl.selectLogic(scope, {
+      'transactions': 'Buchungen durchsuchen',
+      'other': 'Suchen',
+    });
+    return '$_temp0';
+  }
+
+  @override
+  String get edit => 'Bearbeiten';
+
+  @override
+  String get copy => 'Kopieren';
+
+  @override
+  String get save => 'Speichern';
+
+  @override
+  String get transactionDeleted => 'Buchung gelöscht';
+
+  @override
+  String get transactionCopied => 'Buchung kopiert';
+
+  @override
+  String get deleteTransactionTitle => 'Buchung löschen';
+
+  @override
+  String get deleteTransactionMessage =>
+      'Möchtest du diese Buchung wirklich löschen?';
+
+  @override
+  String get add => 'Hinzufügen';
+
+  @override
+  String get retry => 'Erneut versuchen';
+
+  @override
+  String get discard => 'Verwerfen';
+
+  @override
+  String get unknownError => 'Unbekannter Fehler';
+
+  @override
+  String get selectDate => 'Datum wählen';
+
+  @override
+  String get currency => 'Währung';
+
+  @override
+  String get logout => 'Abmelden';
+
+  @override
+  String get profilesTitle => 'Profile';
+
+  @override
+  String get timeJustNow => 'Gerade eben';
+
+  @override
+  String timeMinutesAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Vor $count Minuten',
+      one: 'Vor 1 Minute',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeHoursAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Vor $count Stunden',
+      one: 'Vor 1 Stunde',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeDaysAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Vor $count Tagen',
+      one: 'Vor 1 Tag',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncLastSynced(String time) {
+    return 'Zuletzt synchronisiert: $time';
+  }
+
+  @override
+  String get syncFailed => 'Synchronisierung fehlgeschlagen';
+
+  @override
+  String get syncFailedTitle => 'Synchronisierung fehlgeschlagen';
+
+  @override
+  String syncConflictsToReview(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Konflikte zu prüfen',
+      one: '1 Konflikt zu prüfen',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncChangesNotSynced(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Änderungen nicht synchronisiert',
+      one: '1 Änderung nicht synchronisiert',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get syncChangesNotSyncedTitle => 'Nicht synchronisierte Änderungen';
+
+  @override
+  String syncChangesNotSyncedMessage(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Änderungen konnten nach mehreren Versuchen nicht synchronisiert werden. Sie sind weiterhin auf diesem Gerät gespeichert.',
+      one: '1 Änderung konnte nach mehreren Versuchen nicht synchronisiert werden. Sie ist weiterhin auf diesem Gerät gespeichert.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get name => 'Name';
+
+  @override
+  String get rename => 'Umbenennen';
+
+  @override
+  String errorMessage(String message) {
+    return 'Fehler: $message';
+  }
+
+  @override
+  String get loginTagline => 'Jeder Cent zählt.';
+
+  @override
+  String get loginContinueWithGoogle => 'Weiter mit Google';
+
+  @override
+  String get loginContinueWithoutAccount => 'Ohne Konto fortfahren';
+
+  @override
+  String loginFailed(String error) {
+    return 'Anmeldung fehlgeschlagen: $error';
+  }
+
+  @override
+  String get profilesNewGuest => 'Neues Gastprofil';
+
+  @override
+  String get profilesGuestSubtitle => 'Gast (nur dieses Gerät)';
+
+  @override
+  String get profilesGuestName => 'Gast';
+
+  @override
+  String get profilesAccountName => 'Konto';
+
+  @override
+  String get profilesSignedIn => 'Angemeldet';
+
+  @override
+  String get profilesDeleteActiveHint =>
+      'Wechsle zu einem anderen Profil, um dieses zu löschen';
+
+  @override
+  String get profilesDeleteTitle => 'Profil löschen';
+
+  @override
+  String profilesDeleteMessage(String name) {
+    return '„$name“ mit allen Buchungen, Budgets und Kategorien von diesem Gerät löschen?';
+  }
+
+  @override
+  String profilesDeleteGuestMessage(String name) {
+    return '„$name“ mit allen Buchungen, Budgets und Kategorien von diesem Gerät löschen? Gastdaten werden nicht gesichert und können nicht wiederhergestellt werden.';
+  }
+
+  @override
+  String get profilesRenameTitle => 'Profil umbenennen';
+
+  @override
+  String profilesSwitchFailed(String error) {
+    return 'Profil konnte nicht gewechselt werden: $error';
+  }
+
+  @override
+  String profilesCreateFailed(String error) {
+    return 'Profil konnte nicht erstellt werden: $error';
+  }
+
+  @override
+  String profilesRenameFailed(String error) {
+    return 'Profil konnte nicht umbenannt werden: $error';
+  }
+
+  @override
+  String profilesDeleteFailed(String error) {
+    return 'Profil konnte nicht gelöscht werden: $error';
+  }
+
+  @override
+  String get allDates => 'Alle Tage';
+
+  @override
+  String dateRange(String start, String end) {
+    return '$start – $end';
+  }
+
+  @override
+  String get allBudgets => 'Alle Budgets';
+
+  @override
+  String get backupTitle => 'Export & Sicherung';
+
+  @override
+  String get backupExport => 'Exportieren';
+
+  @override
+  String get backupExportCsv => 'CSV exportieren';
+
+  @override
+  String get backupExportBackup => 'Sicherung exportieren';
+
+  @override
+  String get backupSaveExport => 'Export speichern';
+
+  @override
+  String backupSaved(String fileName) {
+    return '$fileName gespeichert';
+  }
+
+  @override
+  String get backupRestore => 'Wiederherstellen';
+
+  @override
+  String get backupRestoreHint =>
+      'Eine Sicherungsdatei in dieses Profil wiederherstellen.';
+
+  @override
+  String get backupRestoreBackup => 'Sicherung wiederherstellen';
+
+  @override
+  String get backupRestoreTitle => 'Sicherung wiederherstellen';
+
+  @override
+  String backupRestoreSummary(String date, int transactions, int budgets, int categories) {
+    String _temp0 = intl.Intl.pluralLogic(
+      transactions,
+      locale: localeName,
+      other: '$transactions Buchungen',
+      one: '1 Buchung',
+    );
+    String _temp1 = intl.Intl.pluralLogic(
+      budgets,
+      locale: localeName,
+      other: '$budgets Budgets',
+      one: '1 Budget',
+    );
+    String _temp2 = intl.Intl.pluralLogic(
+      categories,
+      locale: localeName,
+      other: '$categories Kategorien',
+      one: '1 Kategorie',
+    );
+    return 'Sicherung vom $date mit $_temp0, $_temp1 und $_temp2.';
+  }
+
+  @override
+  String get backupRestorePartialHint =>
+      'Dies ist eine gefilterte Sicherung: Sie kann nur mit den aktuellen Daten zusammengeführt werden.';
+
+  @override
+  String get backupRestoreModeHint =>
+      'Ersetzen löscht aktuelle Daten, die nicht in der Sicherung sind. Zusammenführen behält sie, ebenso wie Änderungen nach der Sicherung.';
+
+  @override
+  String get backupReplace => 'Ersetzen';
+
+  @override
+  String get backupMerge => 'Zusammenführen';
+
+  @override
+  String backupRestored(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Einträge wiederhergestellt',
+      one: '1 Eintrag wiederhergestellt',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String backupRestoredKept(int count) {
+    return ', $count neuere behalten';
+  }
+
+  @override
+  String backupRestoredRemoved(int count) {
+    return ', $count entfernt';
+  }
+
+  @override
+  String backupExportFailed(String error) {
+    return 'Daten konnten nicht exportiert werden: $error';
+  }
+
+  @override
+  String backupRestoreFailed(String error) {
+    return 'Sicherung konnte nicht wiederhergestellt werden: $error';
+  }
+
+  @override
+  String get backupNotABackup => 'Keine Centabit-Sicherungsdatei';
+
+  @override
+  String get backupFromNewerVersion =>
+      'Diese Sicherung wurde mit einer neueren Centabit-Version erstellt';
+
+  @override
+  String backupDamaged(String error) {
+    return 'Die Sicherungsdatei ist beschädigt ($error)';
+  }
+
+  @override
+  String get backupPartialMergeOnly =>
+      'Eine gefilterte Sicherung kann nur mit den aktuellen Daten zusammengeführt werden';
+
+  @override
+  String get exchangeRatesTitle => 'Währungen';
+
+  @override
+  String get exchangeRatesImport => 'Kurse importieren';
+
+  @override
+  String get exchangeRatesAdd => 'Kurs hinzufügen';
+
+  @override
+  String exchangeRatesImported(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Kurse importiert',
+      one: '1 Kurs importiert',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get exchangeRatesDefaultCurrency => 'Standardwährung';
+
+  @override
+  String get exchangeRatesDefaultCurrencySubtitle =>
+      'Neue Buchungen, Budgets und Übersichten';
+
+  @override
+  String get exchangeRatesSection => 'Wechselkurse';
+
+  @override
+  String get exchangeRatesEmpty =>
+      'Noch keine Kurse. Beträge in anderen Währungen zählen 1:1, bis du einen hinzufügst.';
+
+  @override
+  String exchangeRatesUpdated(String date) {
+    return 'Aktualisiert am $date';
+  }
+
+  @override
+  String get exchangeRatesDeleteTitle => 'Kurs löschen';
+
+  @override
+  String exchangeRatesDeleteMessage(String pair) {
+    return 'Den Kurs $pair löschen? Beträge, die ihn brauchen, zählen 1:1, bis du ihn wieder hinzufügst.';
+  }
+
+  @override
+  String get exchangeRatesAddTitle => 'Kurs hinzufügen';
+
+  @override
+  String get exchangeRatesEditTitle => 'Kurs bearbeiten';
+
+  @override
+  String get exchangeRatesUnitOf => '1 Einheit';
+
+  @override
+  String get exchangeRatesCosts => 'Kostet';
+
+  @override
+  String get exchangeRatesRate => 'Kurs';
+
+  @override
+  String get exchangeRatesSameCurrency => 'Wähle zwei verschiedene Währungen';
+
+  @override
+  String get exchangeRatesRatePositive => 'Der Kurs muss größer als 0 sein';
+
+  @override
+  String exchangeRatesSaveFailed(String error) {
+    return 'Kurs konnte nicht gespeichert werden: $error';
+  }
+
+  @override
+  String exchangeRatesDeleteFailed(String error) {
+    return 'Kurs konnte nicht gelöscht werden: $error';
+  }
+
+  @override
+  String exchangeRatesImportFailed(String error) {
+    return 'Kurse konnten nicht importiert werden: $error';
+  }
+
+  @override
+  String exchangeRatesDefaultCurrencyFailed(String error) {
+    return 'Standardwährung konnte nicht geändert werden: $error';
+  }
+
+  @override
+  String exchangeRatesParseFields(int line) {
+    return 'Zeile $line: BASIS,KURSWÄHRUNG,KURS erwartet';
+  }
+
+  @override
+  String exchangeRatesParseCodes(int line) {
+    return 'Zeile $line: Währungen müssen 3-stellige Codes wie EUR sein';
+  }
+
+  @override
+  String exchangeRatesParseSamePair(int line, String currency) {
+    return 'Zeile $line: $currency kann nicht in sich selbst notiert werden';
+  }
+
+  @override
+  String exchangeRatesParseRate(int line) {
+    return 'Zeile $line: Der Kurs muss eine Zahl größer als 0 sein';
+  }
+
+  @override
+  String get amountRequired => 'Betrag ist erforderlich';
+
+  @override
+  String get amountPositive => 'Der Betrag muss größer als 0 sein';
+
+  @override
+  String get budgetNameRequired => 'Budgetname ist erforderlich';
+
+  @override
+  String get allocationsRequired => 'Füge mindestens eine Zuteilung hinzu';
+
+  @override
+  String allocationsExceedBudget(String allocated, String budget) {
+    return 'Die Zuteilungen ($allocated) übersteigen das Budget ($budget)';
+  }
+
+  @override
+  String get allocationsDuplicateCategory =>
+      'Doppelte Kategorien gefunden. Jede Kategorie kann nur einmal zugeteilt werden';
+
+  @override
+  String get allocationsAmountPositive =>
+      'Alle zugeteilten Beträge müssen größer als 0 sein';
+
+  @override
+  String budgetCreateFailed(String error) {
+    return 'Budget konnte nicht erstellt werden: $error';
+  }
+
+  @override
+  String budgetUpdateFailed(String error) {
+    return 'Budget konnte nicht aktualisiert werden: $error';
+  }
+
+  @override
+  String budgetDeleteFailed(String error) {
+    return 'Budget konnte nicht gelöscht werden: $error';
+  }
+
+  @override
+  String budgetRollOverFailed(String error) {
+    return 'Budget konnte nicht übertragen werden: $error';
+  }
+
+  @override
+  String templateSaveFailed(String error) {
+    return 'Vorlage konnte nicht gespeichert werden: $error';
+  }
+
+  @override
+  String templateRenameFailed(String error) {
+    return 'Vorlage konnte nicht umbenannt werden: $error';
+  }
+
+  @override
+  String templateDeleteFailed(String error) {
+    return 'Vorlage konnte nicht gelöscht werden: $error';
+  }
+
+  @override
+  String get chartBar => 'Balken';
+
+  @override
+  String get chartPie => 'Kreis';
+
+  @override
+  String budgetStatusUpcoming(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Geplant • Beginnt in $days Tagen',
+      one: 'Geplant • Beginnt morgen',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusActive(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Aktiv • Noch $days Tage',
+      zero: 'Aktiv • Letzter Tag',
+      one: 'Aktiv • Noch 1 Tag',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusExpired(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Abgelaufen • Endete vor $days Tagen',
+      one: 'Abgelaufen • Endete gestern',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get error => 'Fehler';
+
+  @override
+  String get create => 'Erstellen';
+
+  @override
+  String get update => 'Aktualisieren';
+
+  @override
+  String get amount => 'Betrag';
+
+  @override
+  String get amountHint => 'Betrag eingeben';
+
+  @override
+  String get category => 'Kategorie';
+
+  @override
+  String get categoryRequired => 'Bitte wähle eine Kategorie';
+
+  @override
+  String get categorySelect => 'Kategorie wählen';
+
+  @override
+  String get categoriesNoneAvailable =>
+      'Keine Kategorien vorhanden. Erstelle zuerst Kategorien.';
+
+  @override
+  String get categoryCreate => 'Kategorie erstellen';
+
+  @override
+  String get categoryCreateFirst => 'Kategorie erstellen';
+
+  @override
+  String get unknownCategory => 'Unbekannte Kategorie';
+
+  @override
+  String get startDate => 'Startdatum';
+
+  @override
+  String get startDateRequired => 'Startdatum ist erforderlich';
+
+  @override
+  String get endDate => 'Enddatum';
+
+  @override
+  String get endDateRequired => 'Enddatum ist erforderlich';
+
+  @override
+  String transactionCount(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Buchungen',
+      one: '1 Buchung',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String chartLegendEntry(String label, String amount) {
+    return '$label: $amount';
+  }
+
+  @override
+  String get chartNoAllocations => 'Keine Zuteilungen vorhanden';
+
+  @override
+  String get budgetsTitle => 'Budgets';
+
+  @override
+  String get budgetsEmpty => 'Noch keine Budgets';
+
+  @override
+  String get budgetsEmptyMessage =>
+      'Erstelle dein erstes Budget, um deine Ausgaben zu verfolgen';
+
+  @override
+  String get budgetsEmptyHint => 'Tippe oben auf +, um loszulegen';
+
+  @override
+  String get budgetsLoadError => 'Fehler beim Laden der Budgets';
+
+  @override
+  String get budgetUpcoming => 'Geplant';
+
+  @override
+  String get budgetActive => 'Aktiv';
+
+  @override
+  String get budgetExpired => 'Abgelaufen';
+
+  @override
+  String budgetAllocatedOfTotal(String allocated, String total) {
+    return '$allocated / $total';
+  }
+
+  @override
+  String get budgetDetailsTitle => 'Budgetdetails';
+
+  @override
+  String get budgetSaveAsTemplate => 'Als Vorlage speichern';
+
+  @override
+  String get budgetRollOverAction => 'In den nächsten Zeitraum übertragen';
+
+  @override
+  String get budgetBreakdown => 'Aufschlüsselung';
+
+  @override
+  String get budgetAllocationsBreakdown => 'Aufschlüsselung der Zuteilungen';
+
+  @override
+  String budgetRecentTransactions(int count) {
+    return 'Letzte Buchungen ($count)';
+  }
+
+  @override
+  String get budgetBackToBudgets => 'Zurück zu den Budgets';
+
+  @override
+  String get budgetNoDataTitle => 'Noch keine Daten';
+
+  @override
+  String get budgetNoDataMessage =>
+      'Füge Zuteilungen und Buchungen hinzu, um Details zu sehen.';
+
+  @override
+  String get budgetDeleteTitle => 'Budget löschen';
+
+  @override
+  String get budgetSummary => 'Budgetübersicht';
+
+  @override
+  String get budgetTotal => 'Gesamtbudget';
+
+  @override
+  String get budgetAllocated => 'Zugeteilt';
+
+  @override
+  String get budgetSpent => 'Ausgegeben';
+
+  @override
+  String get budgetRemaining => 'Verbleibend';
+
+  @override
+  String get budgetUnallocated => 'Nicht zugeteilt';
+
+  @override
+  String budgetHealth(String value) {
+    return 'Budgetzustand (BAR): $value';
+  }
+
+  @override
+  String get barStatusOverspending =>
+      'Zu hohe Ausgaben – Ausgabentempo anpassen';
+
+  @override
+  String get barStatusClose => 'Nah am Budget – genau beobachten';
+
+  @override
+  String get barStatusOnTrack => 'Im Plan – Ausgaben im Budget';
+
+  @override
+  String get budgetCreate => 'Budget erstellen';
+
+  @override
+  String get budgetUpdate => 'Budget aktualisieren';
+
+  @override
+  String get budgetCreated => 'Budget erstellt';
+
+  @override
+  String get budgetUpdated => 'Budget aktualisiert';
+
+  @override
+  String get budgetName => 'Budgetname';
+
+  @override
+  String get budgetNameHint => 'Budgetname (z. B. Dezember 2025)';
+
+  @override
+  String get budgetAmountHint => 'Gesamtbetrag';
+
+  @override
+  String get budgetTotalLabel => 'Gesamtbudget:';
+
+  @override
+  String get budgetAllocatedLabel => 'Insgesamt zugeteilt:';
+
+  @override
+  String get budgetUnallocatedLabel => 'Nicht zugeteilt:';
+
+  @override
+  String get budgetRollOverTitle => 'Budget übertragen';
+
+  @override
+  String get budgetRollOver => 'Übertragen';
+
+  @override
+  String get budgetCarryOver => 'Nicht ausgegebene Beträge übernehmen';
+
+  @override
+  String get budgetCarryOverSubtitle => 'Fügt den Rest jeder Zuteilung hinzu';
+
+  @override
+  String get allocations => 'Zuteilungen';
+
+  @override
+  String get allocationsEmpty =>
+      'Noch keine Zuteilungen. Wähle oben eine Kategorie, um eine hinzuzufügen.';
+
+  @override
+  String get allocationsAllCategories => 'Alle Kategorien zugeteilt';
+
+  @override
+  String get allocationAdd => 'Zuteilung hinzufügen';
+
+  @override
+  String get allocationAddTitle => 'Zuteilung hinzufügen';
+
+  @override
+  String get allocationEditTitle => 'Zuteilung bearbeiten';
+
+  @override
+  String get allocationDelete => 'Zuteilung löschen';
+
+  @override
+  String allocationBudgeted(String amount) {
+    return 'Geplant: $amount';
+  }
+
+  @override
+  String allocationSpent(String amount, String percent) {
+    return 'Ausgegeben: $amount ($percent)';
+  }
+
+  @override
+  String allocationRemaining(String amount) {
+    return 'Verbleibend: $amount';
+  }
+
+  @override
+  String get templatesTitle => 'Budgetvorlagen';
+
+  @override
+  String get templatesEmpty => 'Keine Budgetvorlagen';
+
+  @override
+  String get templatesEmptyHint =>
+      'Öffne ein Budget und wähle „Als Vorlage speichern“';
+
+  @override
+  String templateSummary(String amount, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Kategorien',
+      one: '1 Kategorie',
+    );
+    return '$amount · $_temp0';
+  }
+
+  @override
+  String get templateName => 'Vorlagenname';
+
+  @override
+  String get templateSaveTitle => 'Als Vorlage speichern';
+
+  @override
+  String templateSaved(String name) {
+    return 'Vorlage „$name“ gespeichert';
+  }
+
+  @override
+  String get templateRenameTitle => 'Vorlage umbenennen';
+
+  @override
+  String get templateDeleteTitle => 'Vorlage löschen';
+
+  @override
+  String templateDeleteMessage(String name) {
+    return '„$name“ löschen? Daraus erstellte Budgets bleiben erhalten.';
+  }
+
+  @override
+  String get nameRequired => 'Name ist erforderlich';
+
+  @override
+  String get cannotBeUndone => 'Dies kann nicht rückgängig gemacht werden.';
+
+  @override
+  String get categoryName => 'Kategoriename';
+
+  @override
+  String get categoryNameExists => 'Kategoriename existiert bereits';
+
+  @override
+  String get categoryAdd => 'Kategorie hinzufügen';
+
+  @override
+  String get categoryUpdate => 'Kategorie aktualisieren';
+
+  @override
+  String get categoryCreated => 'Kategorie erstellt';
+
+  @override
+  String get categoryUpdated => 'Kategorie aktualisiert';
+
+  @override
+  String get categoryIconRequired => 'Bitte wähle ein Symbol';
+
+  @override
+  String get categoryIconSearchHint => 'Symbole suchen...';
+
+  @override
+  String get categoryDeleteTitle => 'Kategorie löschen?';
+
+  @override
+  String categoryCreateFailed(String error) {
+    return 'Kategorie konnte nicht erstellt werden: $error';
+  }
+
+  @override
+  String categoryUpdateFailed(String error) {
+    return 'Kategorie konnte nicht aktualisiert werden: $error';
+  }
+
+  @override
+  String categoryDeleteFailed(String error) {
+    return 'Kategorie konnte nicht gelöscht werden: $error';
+  }
+
+  @override
+  String titleWithCount(String title, int count) {
+    return '$title ($count)';
+  }
+
+  @override
+  String transactionCountShort(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Buch.',
+      one: '1 Buch.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String dashboardGreeting(String name) {
+    return 'Hallo $name';
+  }
+
+  @override
+  String chartTooltip(String category, String series, String amount) {
+    return '$category ($series): $amount';
+  }
+
+  @override
+  String budgetSpentAmount(String amount) {
+    return 'Ausgegeben: $amount';
+  }
+
+  @override
+  String budgetRemainingAmount(String amount) {
+    return 'Verbleibend: $amount';
+  }
+
+  @override
+  String noExchangeRate(String currencies, String currency) {
+    return 'Kein Wechselkurs von $currencies nach $currency: 1:1 gezählt';
+  }
+
+  @override
+  String monthlyBreakdownTitle(String month) {
+    return 'Aufschlüsselung $month';
+  }
+
+  @override
+  String get monthlyBreakdownTitleGeneric => 'Monatliche Aufschlüsselung';
+
+  @override
+  String get monthlyBudgeted => 'Budgetiert';
+
+  @override
+  String get monthlyUnassigned => 'Nicht zugeordnet';
+
+  @override
+  String get monthlyBudgetedTransactions => 'Budgetierte Buchungen';
+
+  @override
+  String get monthlyUnassignedTransactions => 'Nicht zugeordnete Buchungen';
+
+  @override
+  String get monthlyNoTransactions => 'Keine Buchungen in dieser Kategorie';
+
+  @override
+  String get monthlyViewBreakdown => 'Vollständige Aufschlüsselung';
+
+  @override
+  String get allocation => 'Zuteilung';
+
+  @override
+  String get transaction => 'Buchung';
+
+  @override
+  String get conflictsTitle => 'Konflikte prüfen';
+
+  @override
+  String get conflictsEmpty => 'Keine Konflikte zu prüfen';
+
+  @override
+  String conflictDetected(String date) {
+    return 'Erkannt am $date';
+  }
+
+  @override
+  String get conflictThisDevice => 'Dieses Gerät';
+
+  @override
+  String get conflictOtherDevice => 'Anderes Gerät';
+
+  @override
+  String get conflictKeepBoth => 'Beide behalten';
+
+  @override
+  String get conflictKeepTheirs => 'Andere behalten';
+
+  @override
+  String get conflictKeepMine => 'Meine behalten';
+
+  @override
+  String get conflictDeleted => 'Gelöscht';
+
+  @override
+  String get conflictKept => 'Behalten';
+
+  @override
+  String conflictRecordTitle(String type, String name) {
+    return '$type: $name';
+  }
+
+  @override
+  String conflictResolveFailed(String error) {
+    return 'Konflikt konnte nicht gelöst werden: $error';
+  }
+
+  @override
+  String occurrenceSkipFailed(String error) {
+    return 'Termin konnte nicht übersprungen werden: $error';
+  }
+
+  @override
+  String occurrenceEditFailed(String error) {
+    return 'Termin konnte nicht bearbeitet werden: $error';
+  }
+
+  @override
+  String seriesUpdateFailed(String error) {
+    return 'Serie konnte nicht aktualisiert werden: $error';
+  }
+
+  @override
+  String seriesDeleteFailed(String error) {
+    return 'Serie konnte nicht gelöscht werden: $error';
+  }
+
+  @override
+  String transactionCreateFailed(String error) {
+    return 'Buchung konnte nicht erstellt werden: $error';
+  }
+
+  @override
+  String transactionUpdateFailed(String error) {
+    return 'Buchung konnte nicht aktualisiert werden: $error';
+  }
+
+  @override
+  String transactionDeleteFailed(String error) {
+    return 'Buchung konnte nicht gelöscht werden: $error';
+  }
+
+  @override
+  String importFailed(String error) {
+    return 'Buchungen konnten nicht importiert werden: $error';
+  }
+
+  @override
+  String importReadFailed(String file, String error) {
+    return '$file konnte nicht gelesen werden: $error';
+  }
+
+  @override
+  String get importPickAmountColumn => 'Wähle eine Betragsspalte';
+
+  @override
+  String importRowInvalidDate(int row, String date, String format) {
+    return 'Zeile $row: Datum „$date“ passt nicht zu „$format“';
+  }
+
+  @override
+  String importRowInvalidAmount(int row, String text) {
+    return 'Zeile $row: „$text“ ist kein Betrag';
+  }
+
+  @override
+  String get importNotOfx => 'Keine OFX-Datei (kein <OFX>-Tag)';
+
+  @override
+  String importEntryInvalidDate(int entry, String date) {
+    return 'Buchung $entry: ungültiges Datum „$date“';
+  }
+
+  @override
+  String importEntryInvalidAmount(int entry, String text) {
+    return 'Buchung $entry: ungültiger Betrag „$text“';
+  }
+
+  @override
+  String importLineInvalidDate(int line, String date) {
+    return 'Zeile $line: ungültiges Datum „$date“';
+  }
+
+  @override
+  String importLineInvalidAmount(int line, String text) {
+    return 'Zeile $line: ungültiger Betrag „$text“';
+  }
+
+  @override
+  String get importedTransactionName => 'Importierte Buchung';
+
+  @override
+  String get done => 'Fertig';
+
+  @override
+  String get none => 'Keine';
+
+  @override
+  String get fieldRequired => 'Erforderlich';
+
+  @override
+  String get notesOptional => 'Notizen (optional)';
+
+  @override
+  String get transactionsTitle => 'Buchungen';
+
+  @override
+  String get transactionsEmpty => 'Noch keine Buchungen';
+
+  @override
+  String get transactionDate => 'Buchungsdatum';
+
+  @override
+  String get transactionTime => 'Buchungszeit';
+
+  @override
+  String get transactionName => 'Buchungsname';
+
+  @override
+  String get transactionNameRequired => 'Buchungsname ist erforderlich';
+
+  @override
+  String get transactionAddTitle => 'Buchung hinzufügen';
+
+  @override
+  String get transactionEditTitle => 'Buchung bearbeiten';
+
+  @override
+  String get transactionCopyTitle => 'Buchung kopieren';
+
+  @override
+  String get transactionCreated => 'Buchung erstellt';
+
+  @override
+  String get transactionUpdated => 'Buchung aktualisiert';
+
+  @override
+  String get transactionDeleteTitle => 'Buchung löschen?';
+
+  @override
+  String get budgetNoneSelected => 'Kein Budget ausgewählt';
+
+  @override
+  String get repeat => 'Wiederholen';
+
+  @override
+  String get repeatNever => 'Nie';
+
+  @override
+  String get repeatDaily => 'Täglich';
+
+  @override
+  String get repeatWeekly => 'Wöchentlich';
+
+  @override
+  String get repeatMonthly => 'Monatlich (gleicher Tag)';
+
+  @override
+  String get repeatLastBusinessDay => 'Letzter Werktag';
+
+  @override
+  String get repeatEvery => 'Alle';
+
+  @override
+  String get repeatIntervalInvalid => 'Gib 1 oder mehr ein';
+
+  @override
+  String get repeatUnitDays => 'Tag(e)';
+
+  @override
+  String get repeatUnitWeeks => 'Woche(n)';
+
+  @override
+  String get repeatUnitMonths => 'Monat(e)';
+
+  @override
+  String get upcomingTitle => 'Anstehend';
+
+  @override
+  String get upcomingEmpty => 'Keine wiederkehrenden Buchungen';
+
+  @override
+  String get upcomingEmptyHint =>
+      'Wähle „Wiederholen“ beim Hinzufügen einer Buchung';
+
+  @override
+  String upcomingEdited(String date) {
+    return '$date · bearbeitet';
+  }
+
+  @override
+  String get upcomingSkip => 'Überspringen';
+
+  @override
+  String get upcomingEditOne => 'Nur diese bearbeiten';
+
+  @override
+  String get upcomingEditSeries => 'Serie bearbeiten';
+
+  @override
+  String get upcomingDeleteSeries => 'Serie löschen';
+
+  @override
+  String get upcomingEditOneTitle => 'Diesen Termin bearbeiten';
+
+  @override
+  String get upcomingEditSeriesTitle => 'Serie bearbeiten';
+
+  @override
+  String get upcomingDeleteSeriesTitle => 'Serie löschen';
+
+  @override
+  String upcomingDeleteSeriesMessage(String name) {
+    return '„$name“ nicht mehr wiederholen? Bereits erstellte Buchungen bleiben erhalten.';
+  }
+
+  @override
+  String get importAction => 'Importieren';
+
+  @override
+  String get importTitle => 'Kontoauszug importieren';
+
+  @override
+  String get importPickTitle => 'Kontoauszug importieren';
+
+  @override
+  String get importPickSubtitle => 'CSV-, OFX/QFX- oder QIF-Export deiner Bank';
+
+  @override
+  String get importChooseFile => 'Datei wählen';
+
+  @override
+  String importFileEntries(String file, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Einträge',
+      one: '1 Eintrag',
+    );
+    return '$file · $_temp0';
+  }
+
+  @override
+  String get importOtherFile => 'Andere Datei';
+
+  @override
+  String importSelected(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Buchungen importieren',
+      one: '1 Buchung importieren',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String importDone(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Buchungen importiert',
+      one: '1 Buchung importiert',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get importDoneHint => 'Füge Kategorien in der Buchungsliste hinzu';
+
+  @override
+  String get importAlreadyImported => 'Bereits importiert';
+
+  @override
+  String importPossibleDuplicate(String name, String date) {
+    return 'Mögliches Duplikat von „$name“ ($date)';
+  }
+
+  @override
+  String importColumn(int number) {
+    return 'Spalte $number';
+  }
+
+  @override
+  String get importSeparator => 'Trennzeichen';
+
+  @override
+  String get importSeparatorComma => 'Komma';
+
+  @override
+  String get importSeparatorSemicolon => 'Semikolon';
+
+  @override
+  String get importSeparatorTab => 'Tabulator';
+
+  @override
+  String get importHasHeader => 'Erste Zeile ist eine Kopfzeile';
+
+  @override
+  String get importColumnDate => 'Datum';
+
+  @override
+  String get importColumnDescription => 'Beschreibung';
+
+  @override
+  String get importSeparateAmounts => 'Getrennte Spalten für Soll / Haben';
+
+  @override
+  String get importColumnMoneyOut => 'Soll';
+
+  @override
+  String get importColumnMoneyIn => 'Haben';
+
+  @override
+  String get importColumnAmount => 'Betrag (negativ = Ausgabe)';
+
+  @override
+  String get importDateFormat => 'Datumsformat';
+
+  @override
+  String get importDecimalSeparator => 'Dezimaltrennzeichen';
+
+  @override
+  String get importDecimalPoint => 'Punkt (1,234.56)';
+
+  @override
+  String get importDecimalComma => 'Komma (1.234,56)';
+
+  @override
+  String get importPreview => 'Vorschau';
+
+  @override
+  String get barMessageUnder => 'Deutlich unter dem Budget! 🎉';
+
+  @override
+  String get barMessageGood => 'Leicht unter dem Budget ✓';
+
+  @override
+  String get barMessageOnTrack => 'Genau im Plan ✓';
+
+  @override
+  String get barMessageWarning => 'Leicht über dem Budget ⚠️';
+
+  @override
+  String get barMessageOver => 'Deutlich über dem Budget! 🚨';
+
+  @override
+  String barCurveLearned(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Erwartetes Tempo aus deinen letzten $count Budgets gelernt',
+      one: 'Erwartetes Tempo aus deinem letzten Budget gelernt',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String barCurveDefault(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Standardtempo, personalisiert sobald $count Budgets abgelaufen sind',
+      one: 'Standardtempo, personalisiert sobald ein Budget abgelaufen ist',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String paceBar(String value) {
+    return 'BAR $value';
+  }
+
+  @override
+  String paceProjected(String amount) {
+    return 'Prognose: $amount am Ende';
+  }
+
+  @override
+  String paceProjectedOver(String amount, String over) {
+    return 'Prognose: $amount, $over zu viel';
+  }
+
+  @override
+  String paceSafeDaily(String amount) {
+    return 'Noch möglich: $amount/Tag';
+  }
+
+  @override
+  String paceCategoriesAtRisk(String names) {
+    return 'Auf dem Weg zur Überschreitung: $names';
+  }
+
+  @override
+  String get alertsTitle => 'Benachrichtigungen';
+
+  @override
+  String get alertsInbox => 'Eingang';
+
+  @override
+  String get alertsRules => 'Regeln';
+
+  @override
+  String get alertsMarkAllRead => 'Alle als gelesen markieren';
+
+  @override
+  String get alertsClearRead => 'Gelesene entfernen';
+
+  @override
+  String get alertsInboxEmpty =>
+      'Keine Benachrichtigungen. Sie erscheinen hier, wenn eine deiner Regeln auslöst.';
+
+  @override
+  String get alertsRulesEmpty =>
+      'Noch keine Regeln. Füge eine hinzu, um über deine Budgets benachrichtigt zu werden.';
+
+  @override
+  String get alertsAddRule => 'Regel hinzufügen';
+
+  @override
+  String get alertsEditRule => 'Regel bearbeiten';
+
+  @override
+  String get alertsRuleType => 'Benachrichtigen, wenn';
+
+  @override
+  String get alertsThresholdInvalid => 'Gib eine Zahl größer als 0 ein';
+
+  @override
+  String get alertTypeBarAbove => 'BAR liegt über';
+
+  @override
+  String get alertTypeAllocationOver =>
+      'Eine Kategorie hat mehr verbraucht als';
+
+  @override
+  String get alertTypeBudgetEnding => 'Ein Budget endet innerhalb von';
+
+  @override
+  String get alertTypeLargeTransaction => 'Eine Ausgabe beträgt mindestens';
+
+  @override
+  String get alertThresholdBar => 'BAR';
+
+  @override
+  String get alertThresholdPercent => 'Prozent der Zuweisung';
+
+  @override
+  String get alertThresholdDays => 'Tage';
+
+  @override
+  String alertThresholdAmount(String currency) {
+    return 'Betrag ($currency)';
+  }
+
+  @override
+  String alertRuleBarAbove(String threshold) {
+    return 'BAR über $threshold';
+  }
+
+  @override
+  String alertRuleAllocationOver(String percent) {
+    return 'Eine Kategorie über $percent % ihrer Zuweisung';
+  }
+
+  @override
+  String alertRuleBudgetEnding(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Ein Budget endet innerhalb von $days Tagen',
+      one: 'Ein Budget endet innerhalb von 1 Tag',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertRuleLargeTransaction(String amount) {
+    return 'Eine Ausgabe ab $amount';
+  }
+
+  @override
+  String alertBarAbove(String budget, String bar, String threshold) {
+    return '$budget gibt schneller aus als geplant: BAR $bar (über $threshold)';
+  }
+
+  @override
+  String alertAllocationOver(String category, String percent) {
+    return '$category hat $percent % der Zuweisung verbraucht';
+  }
+
+  @override
+  String alertBudgetEnding(String budget, int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: '$budget endet in $days Tagen',
+      zero: '$budget endet heute',
+      one: '$budget endet morgen',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertLargeTransaction(String name, String amount) {
+    return 'Große Ausgabe: $name ($amount)';
+  }
+
+  @override
+  String get alertsSnoozeDay => 'Budget 1 Tag pausieren';
+
+  @override
+  String get alertsSnoozeWeek => 'Budget 7 Tage pausieren';
+
+  @override
+  String get alertsMuteBudget => 'Budget stummschalten';
+
+  @override
+  String get alertsUnmute => 'Stummschaltung aufheben';
+
+  @override
+  String get alertsDismiss => 'Verwerfen';
+
+  @override
+  String get alertsMutedSection => 'Stummgeschaltete Budgets';
+
+  @override
+  String get alertsMuted => 'Stummgeschaltet';
+
+  @override
+  String alertsSnoozedUntil(String date) {
+    return 'Pausiert bis $date';
+  }
+
+  @override
+  String alertsUpdateFailed(String error) {
+    return 'Benachrichtigungen konnten nicht aktualisiert werden: $error';
+  }
+
+  @override
+  String alertsRuleSaveFailed(String error) {
+    return 'Regel konnte nicht gespeichert werden: $error';
+  }
+
+  @override
+  String get transactionFiltersTitle => 'Filter';
+
+  @override
+  String get transactionFilterAll => 'Alle';
+
+  @override
+  String get transactionFilterCategories => 'Kategorien';
+
+  @override
+  String get transactionFilterUnassigned => 'Ohne Budget';
+
+  @override
+  String get transactionFilterMinAmount => 'Mindestbetrag';
+
+  @override
+  String get transactionFilterMaxAmount => 'Höchstbetrag';
+
+  @override
+  String get transactionFilterHasNotes => 'Nur mit Notizen';
+
+  @override
+  String get transactionFiltersReset => 'Filter löschen';
+
+  @override
+  String get transactionFiltersApply => 'Anwenden';
+
+  @override
+  String get transactionFiltersNoMatch =>
+      'Keine Transaktionen entsprechen diesen Filtern';
+
+  @override
+  String get savedSearchesTitle => 'Gespeicherte Suchen';
+
+  @override
+  String get recentSearchesTitle => 'Letzte Suchen';
+
+  @override
+  String get recentSearchesClear => 'Löschen';
+
+  @override
+  String get savedSearchSave => 'Suche speichern';
+
+  @override
+  String get savedSearchName => 'Name';
+
+  @override
+  String savedSearchSaved(String name) {
+    return 'Suche „$name“ gespeichert';
+  }
+
+  @override
+  String savedSearchSaveFailed(String error) {
+    return 'Suche konnte nicht gespeichert werden: $error';
+  }
+
+  @override
+  String savedSearchUpdateFailed(String error) {
+    return 'Suchen konnten nicht aktualisiert werden: $error';
+  }
+
+  @override
+  String get undo => 'Rückgängig';
+
+  @override
+  String get budgetDeleted => 'Budget gelöscht';
+
+  @override
+  String get deleteMovesToTrash =>
+      'Der Eintrag wird in den Papierkorb verschoben und kann dort wiederhergestellt werden.';
+
+  @override
+  String get trashTitle => 'Papierkorb';
+
+  @override
+  String get trashEmpty => 'Der Papierkorb ist leer';
+
+  @override
+  String get trashEmptyAction => 'Papierkorb leeren';
+
+  @override
+  String get trashEmptyTitle => 'Papierkorb leeren?';
+
+  @override
+  String get trashPurgeTitle => 'Endgültig löschen?';
+
+  @override
+  String get trashPurge => 'Endgültig löschen';
+
+  @override
+  String get trashRestore => 'Wiederherstellen';
+
+  @override
+  String trashRetentionNotice(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Einträge werden $days Tage nach dem Löschen endgültig entfernt.',
+      one: 'Einträge werden 1 Tag nach dem Löschen endgültig entfernt.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String trashDeletedOn(String date) {
+    return 'Gelöscht am $date';
+  }
+
+  @override
+  String get trashTypeTransaction => 'Transaktion';
+
+  @override
+  String get trashTypeBudget => 'Budget';
+
+  @override
+  String get trashTypeCategory => 'Kategorie';
+
+  @override
+  String get trashTypeAllocation => 'Zuteilung';
+
+  @override
+  String trashLoadFailed(String error) {
+    return 'Papierkorb konnte nicht geladen werden: $error';
+  }
+
+  @override
+  String trashUpdateFailed(String error) {
+    return 'Papierkorb konnte nicht aktualisiert werden: $error';
+  }
+
+  @override
+  String get settingsDeletedItems => 'Gelöschte Einträge';
+
+  @override
+  String get settingsDeletedItemsSubtitle =>
+      'Wiederherstellen oder endgültig löschen';
+
+  @override
+  String get settingsTrashRetention => 'Gelöschte Einträge behalten';
+
+  @override
+  String settingsTrashRetentionDays(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: '$days Tage',
+      one: '1 Tag',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteUsedBy => 'Verwendet von:';
+
+  @override
+  String deleteImpactTransactions(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Transaktionen',
+      one: '1 Transaktion',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactAllocations(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count Budgetzuteilungen',
+      one: '1 Budgetzuteilung',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactRecurring(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count wiederkehrende Transaktionen',
+      one: '1 wiederkehrende Transaktion',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteDependentsToo => 'Ebenfalls löschen';
+
+  @override
+  String get deleteChooseTarget => 'Ziel wählen';
+
+  @override
+  String get categoryDeleteReassign => 'In eine andere Kategorie verschieben';
+
+  @override
+  String get categoryDeleteUnassign => 'Ohne Kategorie behalten';
+
+  @override
+  String get categoryDeleteAllocationsNote =>
+      'Zuteilungen brauchen eine Kategorie: Ohne Verschieben werden sie gelöscht.';
+
+  @override
+  String get categoryDeleteRecurringNote =>
+      'Wiederkehrende Transaktionen werden nie gelöscht: Ohne Verschieben laufen sie ohne Kategorie weiter.';
+
+  @override
+  String get budgetDeleteReassign =>
+      'Transaktionen in ein anderes Budget verschieben';
+
+  @override
+  String get budgetDeleteUnassign => 'Transaktionen ohne Budget behalten';
+
+  @override
+  String get budgetDeleteAllocationsNote =>
+      'Die Zuteilungen werden mitgelöscht.';
+
+  @override
+  String get categoryColorAutomatic => 'Automatische Farbe';
+
+  @override
+  String get categoryParent => 'Übergeordnete Kategorie';
+
+  @override
+  String get categoryParentNone => 'Keine (Hauptkategorie)';
+
+  @override
+  String get categoryMerge => 'Zusammenführen';
+
+  @override
+  String categoryMergeTitle(String name) {
+    return '„$name“ zusammenführen mit';
+  }
+
+  @override
+  String get categoryMergeMoves => 'In die gewählte Kategorie verschoben:';
+
+  @override
+  String categoryMergeMessage(String name) {
+    return '„$name“ kommt danach in den Papierkorb; ihre Unterkategorien werden der gewählten Kategorie untergeordnet, sofern diese welche haben kann.';
+  }
+
+  @override
+  String categoryMergeFailed(String error) {
+    return 'Kategorie konnte nicht zusammengeführt werden: $error';
+  }
+
+  @override
+  String get categoryDeleteSubcategoriesNote =>
+      'Ihre Unterkategorien werden der oben gewählten Kategorie untergeordnet, sofern diese welche haben kann, sonst zu Hauptkategorien.';
+
+  @override
+  String get transactionSplit => 'Auf Kategorien aufteilen';
+
+  @override
+  String get transactionSplitLines => 'Aufteilung';
+
+  @override
+  String get transactionSplitAddLine => 'Zeile hinzufügen';
+
+  @override
+  String get transactionSplitRemoveLine => 'Zeile entfernen';
+
+  @override
+  String transactionSplitRemaining(String amount) {
+    return 'Noch aufzuteilen: $amount';
+  }
+
+  @override
+  String get transactionSplitCategoryRequired =>
+      'Wähle für jede Zeile eine Kategorie';
+
+  @override
+  String get transactionSplitAmountPositive =>
+      'Jede Zeile braucht einen Betrag über 0';
+
+  @override
+  String get transactionSplitSumMismatch =>
+      'Die Zeilen müssen zusammen den Betrag ergeben';
+
+  @override
+  String get rulesTitle => 'Kategorisierungsregeln';
+
+  @override
+  String get settingsRulesSubtitle =>
+      'Füllen neue und importierte Transaktionen aus';
+
+  @override
+  String get rulesAdd => 'Regel hinzufügen';
+
+  @override
+  String get rulesEdit => 'Regel bearbeiten';
+
+  @override
+  String get rulesEmpty =>
+      'Noch keine Regeln. Eine Regel legt Kategorie, Budget oder Namen der Transaktionen fest, die du hinzufügst oder importierst, z. B. alles mit „uber“ kommt zu Transport.';
+
+  @override
+  String get ruleNameContains => 'Name enthält';
+
+  @override
+  String get ruleNameRegex => 'Regulärer Ausdruck';
+
+  @override
+  String get ruleRegexInvalid => 'Kein gültiger regulärer Ausdruck';
+
+  @override
+  String get ruleMinAmount => 'Mindestbetrag';
+
+  @override
+  String get ruleMaxAmount => 'Höchstbetrag';
+
+  @override
+  String get ruleAmountRangeInvalid => 'Darf nicht unter dem Minimum liegen';
+
+  @override
+  String get ruleSetCategory => 'Kategorie festlegen';
+
+  @override
+  String get ruleSetBudget => 'Budget festlegen';
+
+  @override
+  String get ruleNoChange => 'Nicht ändern';
+
+  @override
+  String get ruleRenameTo => 'Umbenennen in';
+
+  @override
+  String get ruleConditionRequired =>
+      'Gib einen Namen oder Betrag zum Erkennen an';
+
+  @override
+  String get ruleActionRequired => 'Wähle, was die Regel festlegt';
+
+  @override
+  String ruleSaveFailed(String error) {
+    return 'Regel konnte nicht gespeichert werden: $error';
+  }
+
+  @override
+  String get ruleSaved => 'Regel gespeichert';
+
+  @override
+  String get ruleCreateFromTransaction =>
+      'Regel aus dieser Transaktion erstellen';
+
+  @override
+  String ruleConditionContains(String pattern) {
+    return 'Name enthält „$pattern“';
+  }
+
+  @override
+  String ruleConditionMatches(String pattern) {
+    return 'Name passt zu /$pattern/';
+  }
+
+  @override
+  String ruleConditionAmountBetween(String min, String max) {
+    return 'Betrag $min bis $max';
+  }
+
+  @override
+  String ruleConditionAmountAtLeast(String min) {
+    return 'Betrag ab $min';
+  }
+
+  @override
+  String ruleConditionAmountAtMost(String max) {
+    return 'Betrag bis $max';
+  }
+
+  @override
+  String ruleActionRename(String name) {
+    return 'Umbenennen in „$name“';
+  }
+
+  @override
+  String categorySuggested(String name) {
+    return 'Vorschlag: $name';
+  }
+}
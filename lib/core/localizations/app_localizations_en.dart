@@ -1,22 +1,15 @@
-import 'package:centabit/core/localizations/app_localizations.dart';
-
-/// English language implementation of app localizations.
-///
-/// This class provides all English translations for the app.
-/// All strings are defined here in one place for easy management.
-///
-/// **Maintenance Notes**:
-/// - Keep strings concise but clear
-/// - Use proper punctuation and capitalization
-/// - Avoid technical jargon when possible
-/// - Test all strings in actual UI context
-///
-/// **String Organization**:
-/// Strings are grouped by feature/screen to match the abstract class.
+// ignore: unused_import
+import 'package:intl/intl.dart' as intl;
+import 'app_localizations.dart';
+
+// ignore_for_file: type=lint
+
+/// The translations for English (`en`).
 class AppLocalizationsEn extends AppLocalizations {
-  // ========================================
-  // Dashboard Strings
-  // ========================================
+  AppLocalizationsEn([String locale = 'en']) : super(locale);
+
+  @override
+  String get languageName => 'English';
 
   @override
   String get bar => 'BAR';
@@ -26,33 +19,27 @@ class AppLocalizationsEn extends AppLocalizations {
 
   @override
   String get barDefinition =>
-      'BAR is a metric that helps you track if you\'re on pace with your spending. '
-      'It compares how much you\'ve spent versus how much time has passed in your budget period.';
+      'BAR is a metric that helps you track if you\'re on pace with your spending. It compares how much you\'ve spent versus how much time has passed in your budget period.';
 
   @override
   String get barUsageExplanation =>
-      'The BAR value shows your spending rate relative to the budget timeline. '
-      'A value of 1.0 means you\'re spending at exactly the expected pace.';
+      'The BAR value shows your spending rate relative to the budget timeline. A value of 1.0 means you\'re spending at exactly the expected pace.';
 
   @override
   String get barKeyRule => 'Key Rule: Stay below 1.0';
 
   @override
   String get barHigherLowerExplanation =>
-      'Higher than 1.0 means you\'re spending faster than planned and may run out of budget early. '
-      'Lower than 1.0 means you\'re under-spending and have budget left over.\n\n'
-      'Example:\n'
-      '• BAR of 0.8: You\'re spending slower than planned (good!)\n'
-      '• BAR of 1.0: Perfect pace\n'
-      '• BAR of 1.2: You\'re overspending (warning!)\n'
-      '• BAR of 1.5+: Significantly over budget (critical!)';
+      'Higher than 1.0 means you\'re spending faster than planned and may run out of budget early. Lower than 1.0 means you\'re under-spending and have budget left over.\n\nExample:\n• BAR of 0.8: You\'re spending slower than planned (good!)\n• BAR of 1.0: Perfect pace\n• BAR of 1.2: You\'re overspending (warning!)\n• BAR of 1.5+: Significantly over budget (critical!)';
 
   @override
   String get barUpdateFrequency =>
       'Updates in real-time as you add transactions or as time passes.';
 
   @override
-  String activeBudget(String name) => 'Active Budget: $name';
+  String activeBudget(String name) {
+    return 'Active Budget: $name';
+  }
 
   @override
   String get noData => 'No data available';
@@ -63,10 +50,6 @@ class AppLocalizationsEn extends AppLocalizations {
   @override
   String get noTransactionsForDate => 'No transactions for this date';
 
-  // ========================================
-  // Common UI Strings
-  // ========================================
-
   @override
   String get ok => 'OK';
 
@@ -82,10 +65,6 @@ class AppLocalizationsEn extends AppLocalizations {
   @override
   String get areYouSure => 'Are you sure?';
 
-  // ========================================
-  // Chart Strings
-  // ========================================
-
   @override
   String get budget => 'Budget';
 
@@ -95,13 +74,2009 @@ class AppLocalizationsEn extends AppLocalizations {
   @override
   String get spending => 'Spending';
 
-  // ========================================
-  // Date/Time Strings
-  // ========================================
-
   @override
   String get today => 'Today';
 
   @override
   String get yesterday => 'Yesterday';
+
+  @override
+  String get debit => 'Debit';
+
+  @override
+  String get credit => 'Credit';
+
+  @override
+  String get settingsTitle => 'Settings';
+
+  @override
+  String get settingsAppearance => 'Appearance';
+
+  @override
+  String get settingsTheme => 'Theme';
+
+  @override
+  String get settingsThemeSystem => 'System';
+
+  @override
+  String get settingsThemeLight => 'Light';
+
+  @override
+  String get settingsThemeDark => 'Dark';
+
+  @override
+  String get settingsLanguage => 'Language';
+
+  @override
+  String get settingsLanguageDevice => 'Device language';
+
+  @override
+  String get settingsAmounts => 'Amounts';
+
+  @override
+  String get settingsCurrency => 'Currency';
+
+  @override
+  String settingsCurrencyPreview(String amount) {
+    return 'Preview: $amount';
+  }
+
+  @override
+  String get settingsCurrencyBefore => 'Before';
+
+  @override
+  String get settingsCurrencyAfter => 'After';
+
+  @override
+  String get settingsNumberFormat => 'Number format';
+
+  @override
+  String settingsLanguageFormat(String example) {
+    return '$example (language)';
+  }
+
+  @override
+  String get settingsExchangeRates => 'Currencies & exchange rates';
+
+  @override
+  String get settingsExchangeRatesSubtitle =>
+      'Default currency of this profile';
+
+  @override
+  String get settingsDates => 'Dates';
+
+  @override
+  String get settingsDateFormat => 'Date format';
+
+  @override
+  String get settings24HourTime => '24-hour time';
+
+  @override
+  String get settingsFirstDayOfWeek => 'First day of week';
+
+  @override
+  String get settingsTransactions => 'Transactions';
+
+  @override
+  String get settingsDefaultType => 'Default type';
+
+  @override
+  String get settingsDefaultTypeSubtitle => 'Preselected for new transactions';
+
+  @override
+  String get settingsReset => 'Reset to defaults';
+
+  @override
+  String get actionComingSoon => 'Action coming soon';
+
+  @override
+  String searchHint(String scope, Object Search) {
+    String _temp0 = intl.Intl.selectLogic(scope, {
+      'transactions': 'Search transactions',
+      'other': 'Search',
+    });
+    return '$_temp0';
+  }
+
+  @override
+  String get edit => 'Edit';
+
+  @override
+  String get copy => 'Copy';
+
+  @override
+  String get save => 'Save';
+
+  @override
+  String get transactionDeleted => 'Transaction deleted';
+
+  @override
+  String get transactionCopied => 'Transaction copied';
+
+  @override
+  String get deleteTransactionTitle => 'Delete Transaction';
+
+  @override
+  String get deleteTransactionMessage =>
+      'Are you sure you want to delete this transaction?';
+
+  @override
+  String get add => 'Add';
+
+  @override
+  String get retry => 'Retry';
+
+  @override
+  String get discard => 'Discard';
+
+  @override
+  String get unknownError => 'Unknown error';
+
+  @override
+  String get selectDate => 'Select date';
+
+  @override
+  String get currency => 'Currency';
+
+  @override
+  String get logout => 'Logout';
+
+  @override
+  String get profilesTitle => 'Profiles';
+
+  @override
+  String get timeJustNow => 'Just now';
+
+  @override
+  String timeMinutesAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count minutes ago',
+      one: '1 minute ago',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeHoursAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count hours ago',
+      one: '1 hour ago',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeDaysAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count days ago',
+      one: '1 day ago',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncLastSynced(String time) {
+    return 'Last synced: $time';
+  }
+
+  @override
+  String get syncFailed => 'Sync failed';
+
+  @override
+  String get syncFailedTitle => 'Sync Failed';
+
+  @override
+  String syncConflictsToReview(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count conflicts to review',
+      one: '1 conflict to review',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncChangesNotSynced(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count changes not synced',
+      one: '1 change not synced',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get syncChangesNotSyncedTitle => 'Changes Not Synced';
+
+  @override
+  String syncChangesNotSyncedMessage(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count changes failed to sync after several attempts. They are still saved on this device.',
+      one: '1 change failed to sync after several attempts. It is still saved on this device.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get name => 'Name';
+
+  @override
+  String get rename => 'Rename';
+
+  @override
+  String errorMessage(String message) {
+    return 'Error: $message';
+  }
+
+  @override
+  String get loginTagline => 'Every cent counts.';
+
+  @override
+  String get loginContinueWithGoogle => 'Continue with Google';
+
+  @override
+  String get loginContinueWithoutAccount => 'Continue without account';
+
+  @override
+  String loginFailed(String error) {
+    return 'Sign-in failed: $error';
+  }
+
+  @override
+  String get profilesNewGuest => 'New guest profile';
+
+  @override
+  String get profilesGuestSubtitle => 'Guest (this device only)';
+
+  @override
+  String get profilesGuestName => 'Guest';
+
+  @override
+  String get profilesAccountName => 'Account';
+
+  @override
+  String get profilesSignedIn => 'Signed in';
+
+  @override
+  String get profilesDeleteActiveHint =>
+      'Switch to another profile to delete this one';
+
+  @override
+  String get profilesDeleteTitle => 'Delete Profile';
+
+  @override
+  String profilesDeleteMessage(String name) {
+    return 'Delete "$name" and all of its transactions, budgets and categories from this device?';
+  }
+
+  @override
+  String profilesDeleteGuestMessage(String name) {
+    return 'Delete "$name" and all of its transactions, budgets and categories from this device? Guest data is not backed up and cannot be recovered.';
+  }
+
+  @override
+  String get profilesRenameTitle => 'Rename Profile';
+
+  @override
+  String profilesSwitchFailed(String error) {
+    return 'Failed to switch profile: $error';
+  }
+
+  @override
+  String profilesCreateFailed(String error) {
+    return 'Failed to create profile: $error';
+  }
+
+  @override
+  String profilesRenameFailed(String error) {
+    return 'Failed to rename profile: $error';
+  }
+
+  @override
+  String profilesDeleteFailed(String error) {
+    return 'Failed to delete profile: $error';
+  }
+
+  @override
+  String get allDates => 'All dates';
+
+  @override
+  String dateRange(String start, String end) {
+    return '$start – $end';
+  }
+
+  @override
+  String get allBudgets => 'All budgets';
+
+  @override
+  String get backupTitle => 'Export & Backup';
+
+  @override
+  String get backupExport => 'Export';
+
+  @override
+  String get backupExportCsv => 'Export CSV';
+
+  @override
+  String get backupExportBackup => 'Export backup';
+
+  @override
+  String get backupSaveExport => 'Save export';
+
+  @override
+  String backupSaved(String fileName) {
+    return 'Saved $fileName';
+  }
+
+  @override
+  String get backupRestore => 'Restore';
+
+  @override
+  String get backupRestoreHint => 'Restore a backup file into this profile.';
+
+  @override
+  String get backupRestoreBackup => 'Restore backup';
+
+  @override
+  String get backupRestoreTitle => 'Restore Backup';
+
+  @override
+  String backupRestoreSummary(String date, int transactions, int budgets, int categories) {
+    String _temp0 = intl.Intl.pluralLogic(
+      transactions,
+      locale: localeName,
+      other: '$transactions transactions',
+      one: '1 transaction',
+    );
+    String _temp1 = intl.Intl.pluralLogic(
+      budgets,
+      locale: localeName,
+      other: '$budgets budgets',
+      one: '1 budget',
+    );
+    String _temp2 = intl.Intl.pluralLogic(
+      categories,
+      locale: localeName,
+      other: '$categories categories',
+      one: '1 category',
+    );
+    return 'Backup from $date with $_temp0, $_temp1 and $_temp2.';
+  }
+
+  @override
+  String get backupRestorePartialHint =>
+      'This is a filtered backup: it can only be merged into the current data.';
+
+  @override
+  String get backupRestoreModeHint =>
+      'Replace deletes current data that is not in the backup. Merge keeps it, along with changes made after the backup.';
+
+  @override
+  String get backupReplace => 'Replace';
+
+  @override
+  String get backupMerge => 'Merge';
+
+  @override
+  String backupRestored(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Restored $count items',
+      one: 'Restored 1 item',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String backupRestoredKept(int count) {
+    return ', kept $count newer';
+  }
+
+  @override
+  String backupRestoredRemoved(int count) {
+    return ', removed $count';
+  }
+
+  @override
+  String backupExportFailed(String error) {
+    return 'Failed to export data: $error';
+  }
+
+  @override
+  String backupRestoreFailed(String error) {
+    return 'Failed to restore backup: $error';
+  }
+
+  @override
+  String get backupNotABackup => 'Not a Centabit backup file';
+
+  @override
+  String get backupFromNewerVersion =>
+      'This backup was made by a newer version of Centabit';
+
+  @override
+  String backupDamaged(String error) {
+    return 'Backup file is damaged ($error)';
+  }
+
+  @override
+  String get backupPartialMergeOnly =>
+      'A filtered backup can only be merged into the current data';
+
+  @override
+  String get exchangeRatesTitle => 'Currencies';
+
+  @override
+  String get exchangeRatesImport => 'Import rates';
+
+  @override
+  String get exchangeRatesAdd => 'Add rate';
+
+  @override
+  String exchangeRatesImported(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Imported $count rates',
+      one: 'Imported 1 rate',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get exchangeRatesDefaultCurrency => 'Default currency';
+
+  @override
+  String get exchangeRatesDefaultCurrencySubtitle =>
+      'New transactions, budgets and overviews';
+
+  @override
+  String get exchangeRatesSection => 'Exchange rates';
+
+  @override
+  String get exchangeRatesEmpty =>
+      'No rates yet. Amounts in other currencies are counted 1:1 until you add one.';
+
+  @override
+  String exchangeRatesUpdated(String date) {
+    return 'Updated $date';
+  }
+
+  @override
+  String get exchangeRatesDeleteTitle => 'Delete Rate';
+
+  @override
+  String exchangeRatesDeleteMessage(String pair) {
+    return 'Delete the $pair rate? Amounts that need it are counted 1:1 until you add it again.';
+  }
+
+  @override
+  String get exchangeRatesAddTitle => 'Add Rate';
+
+  @override
+  String get exchangeRatesEditTitle => 'Edit Rate';
+
+  @override
+  String get exchangeRatesUnitOf => '1 unit of';
+
+  @override
+  String get exchangeRatesCosts => 'Costs';
+
+  @override
+  String get exchangeRatesRate => 'Rate';
+
+  @override
+  String get exchangeRatesSameCurrency => 'Pick two different currencies';
+
+  @override
+  String get exchangeRatesRatePositive => 'Rate must be greater than 0';
+
+  @override
+  String exchangeRatesSaveFailed(String error) {
+    return 'Failed to save rate: $error';
+  }
+
+  @override
+  String exchangeRatesDeleteFailed(String error) {
+    return 'Failed to delete rate: $error';
+  }
+
+  @override
+  String exchangeRatesImportFailed(String error) {
+    return 'Failed to import rates: $error';
+  }
+
+  @override
+  String exchangeRatesDefaultCurrencyFailed(String error) {
+    return 'Failed to change default currency: $error';
+  }
+
+  @override
+  String exchangeRatesParseFields(int line) {
+    return 'Line $line: expected BASE,QUOTE,RATE';
+  }
+
+  @override
+  String exchangeRatesParseCodes(int line) {
+    return 'Line $line: currencies must be 3-letter codes like EUR';
+  }
+
+  @override
+  String exchangeRatesParseSamePair(int line, String currency) {
+    return 'Line $line: $currency can\'t be priced in itself';
+  }
+
+  @override
+  String exchangeRatesParseRate(int line) {
+    return 'Line $line: rate must be a number greater than 0';
+  }
+
+  @override
+  String get amountRequired => 'Amount is required';
+
+  @override
+  String get amountPositive => 'Amount must be greater than 0';
+
+  @override
+  String get budgetNameRequired => 'Budget name is required';
+
+  @override
+  String get allocationsRequired => 'Add at least one allocation';
+
+  @override
+  String allocationsExceedBudget(String allocated, String budget) {
+    return 'Total allocations ($allocated) exceed budget ($budget)';
+  }
+
+  @override
+  String get allocationsDuplicateCategory =>
+      'Duplicate categories found. Each category can only be allocated once';
+
+  @override
+  String get allocationsAmountPositive =>
+      'All allocation amounts must be greater than 0';
+
+  @override
+  String budgetCreateFailed(String error) {
+    return 'Failed to create budget: $error';
+  }
+
+  @override
+  String budgetUpdateFailed(String error) {
+    return 'Failed to update budget: $error';
+  }
+
+  @override
+  String budgetDeleteFailed(String error) {
+    return 'Failed to delete budget: $error';
+  }
+
+  @override
+  String budgetRollOverFailed(String error) {
+    return 'Failed to roll over budget: $error';
+  }
+
+  @override
+  String templateSaveFailed(String error) {
+    return 'Failed to save template: $error';
+  }
+
+  @override
+  String templateRenameFailed(String error) {
+    return 'Failed to rename template: $error';
+  }
+
+  @override
+  String templateDeleteFailed(String error) {
+    return 'Failed to delete template: $error';
+  }
+
+  @override
+  String get chartBar => 'Bar';
+
+  @override
+  String get chartPie => 'Pie';
+
+  @override
+  String budgetStatusUpcoming(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Upcoming • Starts in $days days',
+      one: 'Upcoming • Starts tomorrow',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusActive(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Active • $days days left',
+      zero: 'Active • Last day',
+      one: 'Active • 1 day left',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusExpired(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Expired • Ended $days days ago',
+      one: 'Expired • Ended yesterday',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get error => 'Error';
+
+  @override
+  String get create => 'Create';
+
+  @override
+  String get update => 'Update';
+
+  @override
+  String get amount => 'Amount';
+
+  @override
+  String get amountHint => 'Enter amount';
+
+  @override
+  String get category => 'Category';
+
+  @override
+  String get categoryRequired => 'Please select a category';
+
+  @override
+  String get categorySelect => 'Select category';
+
+  @override
+  String get categoriesNoneAvailable =>
+      'No categories available. Create categories first.';
+
+  @override
+  String get categoryCreate => 'Create category';
+
+  @override
+  String get categoryCreateFirst => 'Create a category';
+
+  @override
+  String get unknownCategory => 'Unknown Category';
+
+  @override
+  String get startDate => 'Start Date';
+
+  @override
+  String get startDateRequired => 'Start date is required';
+
+  @override
+  String get endDate => 'End Date';
+
+  @override
+  String get endDateRequired => 'End date is required';
+
+  @override
+  String transactionCount(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transactions',
+      one: '1 transaction',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String chartLegendEntry(String label, String amount) {
+    return '$label: $amount';
+  }
+
+  @override
+  String get chartNoAllocations => 'No allocations to display';
+
+  @override
+  String get budgetsTitle => 'Budgets';
+
+  @override
+  String get budgetsEmpty => 'No budgets yet';
+
+  @override
+  String get budgetsEmptyMessage =>
+      'Create your first budget to start tracking spending';
+
+  @override
+  String get budgetsEmptyHint => 'Tap the + button above to get started';
+
+  @override
+  String get budgetsLoadError => 'Error Loading Budgets';
+
+  @override
+  String get budgetUpcoming => 'Upcoming';
+
+  @override
+  String get budgetActive => 'Active';
+
+  @override
+  String get budgetExpired => 'Expired';
+
+  @override
+  String budgetAllocatedOfTotal(String allocated, String total) {
+    return '$allocated / $total';
+  }
+
+  @override
+  String get budgetDetailsTitle => 'Budget Details';
+
+  @override
+  String get budgetSaveAsTemplate => 'Save as template';
+
+  @override
+  String get budgetRollOverAction => 'Roll over to next period';
+
+  @override
+  String get budgetBreakdown => 'Breakdown';
+
+  @override
+  String get budgetAllocationsBreakdown => 'Allocations Breakdown';
+
+  @override
+  String budgetRecentTransactions(int count) {
+    return 'Recent Transactions ($count)';
+  }
+
+  @override
+  String get budgetBackToBudgets => 'Back to Budgets';
+
+  @override
+  String get budgetNoDataTitle => 'No Data Yet';
+
+  @override
+  String get budgetNoDataMessage =>
+      'Add allocations and transactions to see details.';
+
+  @override
+  String get budgetDeleteTitle => 'Delete Budget';
+
+  @override
+  String get budgetSummary => 'Budget Summary';
+
+  @override
+  String get budgetTotal => 'Total Budget';
+
+  @override
+  String get budgetAllocated => 'Allocated';
+
+  @override
+  String get budgetSpent => 'Spent';
+
+  @override
+  String get budgetRemaining => 'Remaining';
+
+  @override
+  String get budgetUnallocated => 'Unallocated';
+
+  @override
+  String budgetHealth(String value) {
+    return 'Budget Health (BAR): $value';
+  }
+
+  @override
+  String get barStatusOverspending => 'Overspending - adjust spending pace';
+
+  @override
+  String get barStatusClose => 'Close to budget - monitor carefully';
+
+  @override
+  String get barStatusOnTrack => 'On track - spending within budget';
+
+  @override
+  String get budgetCreate => 'Create Budget';
+
+  @override
+  String get budgetUpdate => 'Update Budget';
+
+  @override
+  String get budgetCreated => 'Budget created successfully';
+
+  @override
+  String get budgetUpdated => 'Budget updated successfully';
+
+  @override
+  String get budgetName => 'Budget name';
+
+  @override
+  String get budgetNameHint => 'Budget name (e.g., December 2025)';
+
+  @override
+  String get budgetAmountHint => 'Total amount';
+
+  @override
+  String get budgetTotalLabel => 'Total Budget:';
+
+  @override
+  String get budgetAllocatedLabel => 'Total Allocated:';
+
+  @override
+  String get budgetUnallocatedLabel => 'Unallocated:';
+
+  @override
+  String get budgetRollOverTitle => 'Roll Over Budget';
+
+  @override
+  String get budgetRollOver => 'Roll Over';
+
+  @override
+  String get budgetCarryOver => 'Carry over unspent amounts';
+
+  @override
+  String get budgetCarryOverSubtitle => 'Adds what is left of each allocation';
+
+  @override
+  String get allocations => 'Allocations';
+
+  @override
+  String get allocationsEmpty =>
+      'No allocations yet. Pick a category above to add one.';
+
+  @override
+  String get allocationsAllCategories => 'All categories allocated';
+
+  @override
+  String get allocationAdd => 'Add an allocation';
+
+  @override
+  String get allocationAddTitle => 'Add Allocation';
+
+  @override
+  String get allocationEditTitle => 'Edit Allocation';
+
+  @override
+  String get allocationDelete => 'Delete Allocation';
+
+  @override
+  String allocationBudgeted(String amount) {
+    return 'Budgeted: $amount';
+  }
+
+  @override
+  String allocationSpent(String amount, String percent) {
+    return 'Spent: $amount ($percent)';
+  }
+
+  @override
+  String allocationRemaining(String amount) {
+    return 'Remaining: $amount';
+  }
+
+  @override
+  String get templatesTitle => 'Budget Templates';
+
+  @override
+  String get templatesEmpty => 'No budget templates';
+
+  @override
+  String get templatesEmptyHint => 'Open a budget and pick "Save as template"';
+
+  @override
+  String templateSummary(String amount, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count categories',
+      one: '1 category',
+    );
+    return '$amount · $_temp0';
+  }
+
+  @override
+  String get templateName => 'Template name';
+
+  @override
+  String get templateSaveTitle => 'Save as Template';
+
+  @override
+  String templateSaved(String name) {
+    return 'Template "$name" saved';
+  }
+
+  @override
+  String get templateRenameTitle => 'Rename Template';
+
+  @override
+  String get templateDeleteTitle => 'Delete Template';
+
+  @override
+  String templateDeleteMessage(String name) {
+    return 'Delete "$name"? Budgets created from it are kept.';
+  }
+
+  @override
+  String get nameRequired => 'Name is required';
+
+  @override
+  String get cannotBeUndone => 'This action cannot be undone.';
+
+  @override
+  String get categoryName => 'Category name';
+
+  @override
+  String get categoryNameExists => 'Category name already exists';
+
+  @override
+  String get categoryAdd => 'Add Category';
+
+  @override
+  String get categoryUpdate => 'Update Category';
+
+  @override
+  String get categoryCreated => 'Category created successfully';
+
+  @override
+  String get categoryUpdated => 'Category updated successfully';
+
+  @override
+  String get categoryIconRequired => 'Please select an icon';
+
+  @override
+  String get categoryIconSearchHint => 'Search icons...';
+
+  @override
+  String get categoryDeleteTitle => 'Delete Category?';
+
+  @override
+  String categoryCreateFailed(String error) {
+    return 'Failed to create category: $error';
+  }
+
+  @override
+  String categoryUpdateFailed(String error) {
+    return 'Failed to update category: $error';
+  }
+
+  @override
+  String categoryDeleteFailed(String error) {
+    return 'Failed to delete category: $error';
+  }
+
+  @override
+  String titleWithCount(String title, int count) {
+    return '$title ($count)';
+  }
+
+  @override
+  String transactionCountShort(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count txns',
+      one: '1 txn',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String dashboardGreeting(String name) {
+    return 'Hi $name';
+  }
+
+  @override
+  String chartTooltip(String category, String series, String amount) {
+    return '$category ($series): $amount';
+  }
+
+  @override
+  String budgetSpentAmount(String amount) {
+    return 'Spent: $amount';
+  }
+
+  @override
+  String budgetRemainingAmount(String amount) {
+    return 'Remaining: $amount';
+  }
+
+  @override
+  String noExchangeRate(String currencies, String currency) {
+    return 'No exchange rate from $currencies to $currency: counted 1:1';
+  }
+
+  @override
+  String monthlyBreakdownTitle(String month) {
+    return '$month Breakdown';
+  }
+
+  @override
+  String get monthlyBreakdownTitleGeneric => 'Monthly Breakdown';
+
+  @override
+  String get monthlyBudgeted => 'Budgeted';
+
+  @override
+  String get monthlyUnassigned => 'Unassigned';
+
+  @override
+  String get monthlyBudgetedTransactions => 'Budgeted Transactions';
+
+  @override
+  String get monthlyUnassignedTransactions => 'Unassigned Transactions';
+
+  @override
+  String get monthlyNoTransactions => 'No transactions in this category';
+
+  @override
+  String get monthlyViewBreakdown => 'View Full Breakdown';
+
+  @override
+  String get allocation => 'Allocation';
+
+  @override
+  String get transaction => 'Transaction';
+
+  @override
+  String get conflictsTitle => 'Review Conflicts';
+
+  @override
+  String get conflictsEmpty => 'No conflicts to review';
+
+  @override
+  String conflictDetected(String date) {
+    return 'Detected $date';
+  }
+
+  @override
+  String get conflictThisDevice => 'This device';
+
+  @override
+  String get conflictOtherDevice => 'Other device';
+
+  @override
+  String get conflictKeepBoth => 'Keep both';
+
+  @override
+  String get conflictKeepTheirs => 'Keep theirs';
+
+  @override
+  String get conflictKeepMine => 'Keep mine';
+
+  @override
+  String get conflictDeleted => 'Deleted';
+
+  @override
+  String get conflictKept => 'Kept';
+
+  @override
+  String conflictRecordTitle(String type, String name) {
+    return '$type: $name';
+  }
+
+  @override
+  String conflictResolveFailed(String error) {
+    return 'Failed to resolve conflict: $error';
+  }
+
+  @override
+  String occurrenceSkipFailed(String error) {
+    return 'Failed to skip occurrence: $error';
+  }
+
+  @override
+  String occurrenceEditFailed(String error) {
+    return 'Failed to edit occurrence: $error';
+  }
+
+  @override
+  String seriesUpdateFailed(String error) {
+    return 'Failed to update series: $error';
+  }
+
+  @override
+  String seriesDeleteFailed(String error) {
+    return 'Failed to delete series: $error';
+  }
+
+  @override
+  String transactionCreateFailed(String error) {
+    return 'Failed to create transaction: $error';
+  }
+
+  @override
+  String transactionUpdateFailed(String error) {
+    return 'Failed to update transaction: $error';
+  }
+
+  @override
+  String transactionDeleteFailed(String error) {
+    return 'Failed to delete transaction: $error';
+  }
+
+  @override
+  String importFailed(String error) {
+    return 'Failed to import transactions: $error';
+  }
+
+  @override
+  String importReadFailed(String file, String error) {
+    return 'Failed to read $file: $error';
+  }
+
+  @override
+  String get importPickAmountColumn => 'Pick an amount column';
+
+  @override
+  String importRowInvalidDate(int row, String date, String format) {
+    return 'Row $row: date "$date" doesn\'t match "$format"';
+  }
+
+  @override
+  String importRowInvalidAmount(int row, String text) {
+    return 'Row $row: "$text" is not an amount';
+  }
+
+  @override
+  String get importNotOfx => 'Not an OFX file (no <OFX> tag)';
+
+  @override
+  String importEntryInvalidDate(int entry, String date) {
+    return 'Transaction $entry: invalid date "$date"';
+  }
+
+  @override
+  String importEntryInvalidAmount(int entry, String text) {
+    return 'Transaction $entry: invalid amount "$text"';
+  }
+
+  @override
+  String importLineInvalidDate(int line, String date) {
+    return 'Line $line: invalid date "$date"';
+  }
+
+  @override
+  String importLineInvalidAmount(int line, String text) {
+    return 'Line $line: invalid amount "$text"';
+  }
+
+  @override
+  String get importedTransactionName => 'Imported transaction';
+
+  @override
+  String get done => 'Done';
+
+  @override
+  String get none => 'None';
+
+  @override
+  String get fieldRequired => 'Required';
+
+  @override
+  String get notesOptional => 'Notes (optional)';
+
+  @override
+  String get transactionsTitle => 'Transactions';
+
+  @override
+  String get transactionsEmpty => 'No transactions yet';
+
+  @override
+  String get transactionDate => 'Transaction date';
+
+  @override
+  String get transactionTime => 'Transaction time';
+
+  @override
+  String get transactionName => 'Transaction name';
+
+  @override
+  String get transactionNameRequired => 'Transaction name is required';
+
+  @override
+  String get transactionAddTitle => 'Add Transaction';
+
+  @override
+  String get transactionEditTitle => 'Edit Transaction';
+
+  @override
+  String get transactionCopyTitle => 'Copy Transaction';
+
+  @override
+  String get transactionCreated => 'Transaction created successfully';
+
+  @override
+  String get transactionUpdated => 'Transaction updated successfully';
+
+  @override
+  String get transactionDeleteTitle => 'Delete Transaction?';
+
+  @override
+  String get budgetNoneSelected => 'No budget selected';
+
+  @override
+  String get repeat => 'Repeat';
+
+  @override
+  String get repeatNever => 'Never';
+
+  @override
+  String get repeatDaily => 'Daily';
+
+  @override
+  String get repeatWeekly => 'Weekly';
+
+  @override
+  String get repeatMonthly => 'Monthly (same day)';
+
+  @override
+  String get repeatLastBusinessDay => 'Last business day';
+
+  @override
+  String get repeatEvery => 'Every';
+
+  @override
+  String get repeatIntervalInvalid => 'Enter 1 or more';
+
+  @override
+  String get repeatUnitDays => 'day(s)';
+
+  @override
+  String get repeatUnitWeeks => 'week(s)';
+
+  @override
+  String get repeatUnitMonths => 'month(s)';
+
+  @override
+  String get upcomingTitle => 'Upcoming';
+
+  @override
+  String get upcomingEmpty => 'No recurring transactions';
+
+  @override
+  String get upcomingEmptyHint => 'Pick "Repeat" when adding a transaction';
+
+  @override
+  String upcomingEdited(String date) {
+    return '$date · edited';
+  }
+
+  @override
+  String get upcomingSkip => 'Skip';
+
+  @override
+  String get upcomingEditOne => 'Edit this one';
+
+  @override
+  String get upcomingEditSeries => 'Edit series';
+
+  @override
+  String get upcomingDeleteSeries => 'Delete series';
+
+  @override
+  String get upcomingEditOneTitle => 'Edit This Occurrence';
+
+  @override
+  String get upcomingEditSeriesTitle => 'Edit Series';
+
+  @override
+  String get upcomingDeleteSeriesTitle => 'Delete Series';
+
+  @override
+  String upcomingDeleteSeriesMessage(String name) {
+    return 'Stop repeating "$name"? Transactions already created are kept.';
+  }
+
+  @override
+  String get importAction => 'Import';
+
+  @override
+  String get importTitle => 'Import Statement';
+
+  @override
+  String get importPickTitle => 'Import a bank statement';
+
+  @override
+  String get importPickSubtitle => 'CSV, OFX/QFX or QIF export from your bank';
+
+  @override
+  String get importChooseFile => 'Choose file';
+
+  @override
+  String importFileEntries(String file, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count entries',
+      one: '1 entry',
+    );
+    return '$file · $_temp0';
+  }
+
+  @override
+  String get importOtherFile => 'Other file';
+
+  @override
+  String importSelected(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Import $count transactions',
+      one: 'Import 1 transaction',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String importDone(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transactions imported',
+      one: '1 transaction imported',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get importDoneHint => 'Add categories from the transactions list';
+
+  @override
+  String get importAlreadyImported => 'Already imported';
+
+  @override
+  String importPossibleDuplicate(String name, String date) {
+    return 'Possible duplicate of "$name" ($date)';
+  }
+
+  @override
+  String importColumn(int number) {
+    return 'Column $number';
+  }
+
+  @override
+  String get importSeparator => 'Separator';
+
+  @override
+  String get importSeparatorComma => 'Comma';
+
+  @override
+  String get importSeparatorSemicolon => 'Semicolon';
+
+  @override
+  String get importSeparatorTab => 'Tab';
+
+  @override
+  String get importHasHeader => 'First row is a header';
+
+  @override
+  String get importColumnDate => 'Date';
+
+  @override
+  String get importColumnDescription => 'Description';
+
+  @override
+  String get importSeparateAmounts => 'Separate money out / in columns';
+
+  @override
+  String get importColumnMoneyOut => 'Money out';
+
+  @override
+  String get importColumnMoneyIn => 'Money in';
+
+  @override
+  String get importColumnAmount => 'Amount (negative = money out)';
+
+  @override
+  String get importDateFormat => 'Date format';
+
+  @override
+  String get importDecimalSeparator => 'Decimal separator';
+
+  @override
+  String get importDecimalPoint => 'Point (1,234.56)';
+
+  @override
+  String get importDecimalComma => 'Comma (1.234,56)';
+
+  @override
+  String get importPreview => 'Preview';
+
+  @override
+  String get barMessageUnder => 'Well under budget! 🎉';
+
+  @override
+  String get barMessageGood => 'Slightly under budget ✓';
+
+  @override
+  String get barMessageOnTrack => 'Right on track ✓';
+
+  @override
+  String get barMessageWarning => 'Slightly over budget ⚠️';
+
+  @override
+  String get barMessageOver => 'Significantly over budget! 🚨';
+
+  @override
+  String barCurveLearned(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Expected pace learned from your last $count budgets',
+      one: 'Expected pace learned from your last budget',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String barCurveDefault(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Default expected pace, personalized once $count budgets have ended',
+      one: 'Default expected pace, personalized once a budget has ended',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String paceBar(String value) {
+    return 'BAR $value';
+  }
+
+  @override
+  String paceProjected(String amount) {
+    return 'Projected: $amount by the end';
+  }
+
+  @override
+  String paceProjectedOver(String amount, String over) {
+    return 'Projected: $amount, $over over';
+  }
+
+  @override
+  String paceSafeDaily(String amount) {
+    return 'Safe to spend: $amount/day';
+  }
+
+  @override
+  String paceCategoriesAtRisk(String names) {
+    return 'On pace to overspend: $names';
+  }
+
+  @override
+  String get alertsTitle => 'Alerts';
+
+  @override
+  String get alertsInbox => 'Inbox';
+
+  @override
+  String get alertsRules => 'Rules';
+
+  @override
+  String get alertsMarkAllRead => 'Mark all as read';
+
+  @override
+  String get alertsClearRead => 'Clear read alerts';
+
+  @override
+  String get alertsInboxEmpty =>
+      'No alerts. They show up here when one of your rules fires.';
+
+  @override
+  String get alertsRulesEmpty =>
+      'No rules yet. Add one to be alerted about your budgets.';
+
+  @override
+  String get alertsAddRule => 'Add rule';
+
+  @override
+  String get alertsEditRule => 'Edit rule';
+
+  @override
+  String get alertsRuleType => 'Alert when';
+
+  @override
+  String get alertsThresholdInvalid => 'Enter a number greater than 0';
+
+  @override
+  String get alertTypeBarAbove => 'BAR is above';
+
+  @override
+  String get alertTypeAllocationOver => 'A category has used more than';
+
+  @override
+  String get alertTypeBudgetEnding => 'A budget ends within';
+
+  @override
+  String get alertTypeLargeTransaction => 'An expense is at least';
+
+  @override
+  String get alertThresholdBar => 'BAR';
+
+  @override
+  String get alertThresholdPercent => 'Percent of the allocation';
+
+  @override
+  String get alertThresholdDays => 'Days';
+
+  @override
+  String alertThresholdAmount(String currency) {
+    return 'Amount ($currency)';
+  }
+
+  @override
+  String alertRuleBarAbove(String threshold) {
+    return 'BAR above $threshold';
+  }
+
+  @override
+  String alertRuleAllocationOver(String percent) {
+    return 'A category used over $percent% of its allocation';
+  }
+
+  @override
+  String alertRuleBudgetEnding(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'A budget ends within $days days',
+      one: 'A budget ends within 1 day',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertRuleLargeTransaction(String amount) {
+    return 'An expense of $amount or more';
+  }
+
+  @override
+  String alertBarAbove(String budget, String bar, String threshold) {
+    return '$budget is spending ahead of pace: BAR $bar (above $threshold)';
+  }
+
+  @override
+  String alertAllocationOver(String category, String percent) {
+    return '$category has used $percent% of its allocation';
+  }
+
+  @override
+  String alertBudgetEnding(String budget, int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: '$budget ends in $days days',
+      zero: '$budget ends today',
+      one: '$budget ends tomorrow',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertLargeTransaction(String name, String amount) {
+    return 'Large expense: $name ($amount)';
+  }
+
+  @override
+  String get alertsSnoozeDay => 'Snooze budget for 1 day';
+
+  @override
+  String get alertsSnoozeWeek => 'Snooze budget for 7 days';
+
+  @override
+  String get alertsMuteBudget => 'Mute budget';
+
+  @override
+  String get alertsUnmute => 'Unmute alerts';
+
+  @override
+  String get alertsDismiss => 'Dismiss';
+
+  @override
+  String get alertsMutedSection => 'Muted budgets';
+
+  @override
+  String get alertsMuted => 'Muted';
+
+  @override
+  String alertsSnoozedUntil(String date) {
+    return 'Snoozed until $date';
+  }
+
+  @override
+  String alertsUpdateFailed(String error) {
+    return 'Failed to update alerts: $error';
+  }
+
+  @override
+  String alertsRuleSaveFailed(String error) {
+    return 'Failed to save rule: $error';
+  }
+
+  @override
+  String get transactionFiltersTitle => 'Filters';
+
+  @override
+  String get transactionFilterAll => 'All';
+
+  @override
+  String get transactionFilterCategories => 'Categories';
+
+  @override
+  String get transactionFilterUnassigned => 'Not in a budget';
+
+  @override
+  String get transactionFilterMinAmount => 'Min amount';
+
+  @override
+  String get transactionFilterMaxAmount => 'Max amount';
+
+  @override
+  String get transactionFilterHasNotes => 'Only with notes';
+
+  @override
+  String get transactionFiltersReset => 'Clear filters';
+
+  @override
+  String get transactionFiltersApply => 'Apply';
+
+  @override
+  String get transactionFiltersNoMatch => 'No transactions match these filters';
+
+  @override
+  String get savedSearchesTitle => 'Saved searches';
+
+  @override
+  String get recentSearchesTitle => 'Recent searches';
+
+  @override
+  String get recentSearchesClear => 'Clear';
+
+  @override
+  String get savedSearchSave => 'Save search';
+
+  @override
+  String get savedSearchName => 'Name';
+
+  @override
+  String savedSearchSaved(String name) {
+    return 'Saved search "$name"';
+  }
+
+  @override
+  String savedSearchSaveFailed(String error) {
+    return 'Failed to save search: $error';
+  }
+
+  @override
+  String savedSearchUpdateFailed(String error) {
+    return 'Failed to update searches: $error';
+  }
+
+  @override
+  String get undo => 'Undo';
+
+  @override
+  String get budgetDeleted => 'Budget deleted';
+
+  @override
+  String get deleteMovesToTrash =>
+      'It will be moved to the trash, where you can restore it.';
+
+  @override
+  String get trashTitle => 'Trash';
+
+  @override
+  String get trashEmpty => 'The trash is empty';
+
+  @override
+  String get trashEmptyAction => 'Empty trash';
+
+  @override
+  String get trashEmptyTitle => 'Empty the trash?';
+
+  @override
+  String get trashPurgeTitle => 'Delete forever?';
+
+  @override
+  String get trashPurge => 'Delete forever';
+
+  @override
+  String get trashRestore => 'Restore';
+
+  @override
+  String trashRetentionNotice(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Items are deleted forever $days days after they were deleted.',
+      one: 'Items are deleted forever 1 day after they were deleted.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String trashDeletedOn(String date) {
+    return 'Deleted $date';
+  }
+
+  @override
+  String get trashTypeTransaction => 'Transaction';
+
+  @override
+  String get trashTypeBudget => 'Budget';
+
+  @override
+  String get trashTypeCategory => 'Category';
+
+  @override
+  String get trashTypeAllocation => 'Allocation';
+
+  @override
+  String trashLoadFailed(String error) {
+    return 'Failed to load the trash: $error';
+  }
+
+  @override
+  String trashUpdateFailed(String error) {
+    return 'Failed to update the trash: $error';
+  }
+
+  @override
+  String get settingsDeletedItems => 'Deleted items';
+
+  @override
+  String get settingsDeletedItemsSubtitle => 'Restore or delete forever';
+
+  @override
+  String get settingsTrashRetention => 'Keep deleted items';
+
+  @override
+  String settingsTrashRetentionDays(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: '$days days',
+      one: '1 day',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteUsedBy => 'Used by:';
+
+  @override
+  String deleteImpactTransactions(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transactions',
+      one: '1 transaction',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactAllocations(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count budget allocations',
+      one: '1 budget allocation',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactRecurring(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count recurring transactions',
+      one: '1 recurring transaction',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteDependentsToo => 'Delete them too';
+
+  @override
+  String get deleteChooseTarget => 'Choose where';
+
+  @override
+  String get categoryDeleteReassign => 'Move them to another category';
+
+  @override
+  String get categoryDeleteUnassign => 'Keep them without a category';
+
+  @override
+  String get categoryDeleteAllocationsNote =>
+      'Allocations need a category: unless moved, they are deleted.';
+
+  @override
+  String get categoryDeleteRecurringNote =>
+      'Recurring transactions are never deleted: unless moved, they continue without a category.';
+
+  @override
+  String get budgetDeleteReassign => 'Move its transactions to another budget';
+
+  @override
+  String get budgetDeleteUnassign => 'Keep its transactions without a budget';
+
+  @override
+  String get budgetDeleteAllocationsNote =>
+      'Its allocations are deleted with it.';
+
+  @override
+  String get categoryColorAutomatic => 'Automatic color';
+
+  @override
+  String get categoryParent => 'Parent category';
+
+  @override
+  String get categoryParentNone => 'None (top-level category)';
+
+  @override
+  String get categoryMerge => 'Merge';
+
+  @override
+  String categoryMergeTitle(String name) {
+    return 'Merge “$name” into';
+  }
+
+  @override
+  String get categoryMergeMoves => 'Moving to the chosen category:';
+
+  @override
+  String categoryMergeMessage(String name) {
+    return '“$name” then goes to the trash, and its subcategories move to the chosen category when it can have some.';
+  }
+
+  @override
+  String categoryMergeFailed(String error) {
+    return 'Failed to merge category: $error';
+  }
+
+  @override
+  String get categoryDeleteSubcategoriesNote =>
+      'Its subcategories move to the category chosen above when it can have some, or become top-level categories.';
+
+  @override
+  String get transactionSplit => 'Split across categories';
+
+  @override
+  String get transactionSplitLines => 'Split';
+
+  @override
+  String get transactionSplitAddLine => 'Add line';
+
+  @override
+  String get transactionSplitRemoveLine => 'Remove line';
+
+  @override
+  String transactionSplitRemaining(String amount) {
+    return 'Left to split: $amount';
+  }
+
+  @override
+  String get transactionSplitCategoryRequired =>
+      'Choose a category for every line';
+
+  @override
+  String get transactionSplitAmountPositive =>
+      'Every line needs an amount greater than 0';
+
+  @override
+  String get transactionSplitSumMismatch =>
+      'The lines must add up to the amount';
+
+  @override
+  String get rulesTitle => 'Categorization rules';
+
+  @override
+  String get settingsRulesSubtitle => 'Fill in new and imported transactions';
+
+  @override
+  String get rulesAdd => 'Add rule';
+
+  @override
+  String get rulesEdit => 'Edit rule';
+
+  @override
+  String get rulesEmpty =>
+      'No rules yet. A rule sets the category, budget or name of the transactions you add or import, e.g. everything containing "uber" goes to Transport.';
+
+  @override
+  String get ruleNameContains => 'Name contains';
+
+  @override
+  String get ruleNameRegex => 'Regular expression';
+
+  @override
+  String get ruleRegexInvalid => 'Not a valid regular expression';
+
+  @override
+  String get ruleMinAmount => 'Minimum amount';
+
+  @override
+  String get ruleMaxAmount => 'Maximum amount';
+
+  @override
+  String get ruleAmountRangeInvalid => 'Must not be below the minimum';
+
+  @override
+  String get ruleSetCategory => 'Set category';
+
+  @override
+  String get ruleSetBudget => 'Set budget';
+
+  @override
+  String get ruleNoChange => 'Don\'t change';
+
+  @override
+  String get ruleRenameTo => 'Rename to';
+
+  @override
+  String get ruleConditionRequired => 'Add a name or an amount to match';
+
+  @override
+  String get ruleActionRequired => 'Choose what the rule sets';
+
+  @override
+  String ruleSaveFailed(String error) {
+    return 'Failed to save rule: $error';
+  }
+
+  @override
+  String get ruleSaved => 'Rule saved';
+
+  @override
+  String get ruleCreateFromTransaction => 'Create rule from this transaction';
+
+  @override
+  String ruleConditionContains(String pattern) {
+    return 'Name contains "$pattern"';
+  }
+
+  @override
+  String ruleConditionMatches(String pattern) {
+    return 'Name matches /$pattern/';
+  }
+
+  @override
+  String ruleConditionAmountBetween(String min, String max) {
+    return 'Amount $min to $max';
+  }
+
+  @override
+  String ruleConditionAmountAtLeast(String min) {
+    return 'Amount $min or more';
+  }
+
+  @override
+  String ruleConditionAmountAtMost(String max) {
+    return 'Amount up to $max';
+  }
+
+  @override
+  String ruleActionRename(String name) {
+    return 'Rename to "$name"';
+  }
+
+  @override
+  String categorySuggested(String name) {
+    return 'Suggested: $name';
+  }
 }
@@ -0,0 +1,2096 @@
+// ignore: unused_import
+import 'package:intl/intl.dart' as intl;
+import 'app_localizations.dart';
+
+// ignore_for_file: type=lint
+
+/// The translations for Spanish Castilian (`es`).
+class AppLocalizationsEs extends AppLocalizations {
+  AppLocalizationsEs([String locale = 'es']) : super(locale);
+
+  @override
+  String get languageName => 'Español';
+
+  @override
+  String get bar => 'BAR';
+
+  @override
+  String get barFull => 'Ratio de cumplimiento del presupuesto (BAR)';
+
+  @override
+  String get barDefinition =>
+      'El BAR es una métrica que te ayuda a saber si llevas buen ritmo de gasto. Compara cuánto has gastado con cuánto tiempo ha pasado del periodo del presupuesto.';
+
+  @override
+  String get barUsageExplanation =>
+      'El valor del BAR muestra tu ritmo de gasto respecto al calendario del presupuesto. Un valor de 1,0 significa que gastas exactamente al ritmo previsto.';
+
+  @override
+  String get barKeyRule => 'Regla clave: mantente por debajo de 1,0';
+
+  @override
+  String get barHigherLowerExplanation =>
+      'Por encima de 1,0 significa que gastas más rápido de lo previsto y podrías agotar el presupuesto antes de tiempo. Por debajo de 1,0 significa que gastas menos y te sobrará presupuesto.\n\nEjemplo:\n• BAR de 0,8: gastas más despacio de lo previsto (¡bien!)\n• BAR de 1,0: ritmo perfecto\n• BAR de 1,2: estás gastando de más (¡atención!)\n• BAR de 1,5 o más: muy por encima del presupuesto (¡crítico!)';
+
+  @override
+  String get barUpdateFrequency =>
+      'Se actualiza en tiempo real al añadir transacciones o a medida que pasa el tiempo.';
+
+  @override
+  String activeBudget(String name) {
+    return 'Presupuesto activo: $name';
+  }
+
+  @override
+  String get noData => 'No hay datos disponibles';
+
+  @override
+  String get transactionsForDate => 'Transacciones';
+
+  @override
+  String get noTransactionsForDate => 'No hay transacciones en esta fecha';
+
+  @override
+  String get ok => 'Aceptar';
+
+  @override
+  String get cancel => 'Cancelar';
+
+  @override
+  String get gotIt => 'ENTENDIDO';
+
+  @override
+  String get delete => 'Eliminar';
+
+  @override
+  String get areYouSure => '¿Estás seguro?';
+
+  @override
+  String get budget => 'Presupuesto';
+
+  @override
+  String get actual => 'Real';
+
+  @override
+  String get spending => 'Gasto';
+
+  @override
+  String get today => 'Hoy';
+
+  @override
+  String get yesterday => 'Ayer';
+
+  @override
+  String get debit => 'Gasto';
+
+  @override
+  String get credit => 'Ingreso';
+
+  @override
+  String get settingsTitle => 'Ajustes';
+
+  @override
+  String get settingsAppearance => 'Apariencia';
+
+  @override
+  String get settingsTheme => 'Tema';
+
+  @override
+  String get settingsThemeSystem => 'Sistema';
+
+  @override
+  String get settingsThemeLight => 'Claro';
+
+  @override
+  String get settingsThemeDark => 'Oscuro';
+
+  @override
+  String get settingsLanguage => 'Idioma';
+
+  @override
+  String get settingsLanguageDevice => 'Idioma del dispositivo';
+
+  @override
+  String get settingsAmounts => 'Importes';
+
+  @override
+  String get settingsCurrency => 'Moneda';
+
+  @override
+  String settingsCurrencyPreview(String amount) {
+    return 'Vista previa: $amount';
+  }
+
+  @override
+  String get settingsCurrencyBefore => 'Antes';
+
+  @override
+  String get settingsCurrencyAfter => 'Después';
+
+  @override
+  String get settingsNumberFormat => 'Formato de número';
+
+  @override
+  String settingsLanguageFormat(String example) {
+    return '$example (idioma)';
+  }
+
+  @override
+  String get settingsExchangeRates => 'Monedas y tipos de cambio';
+
+  @override
+  String get settingsExchangeRatesSubtitle =>
+      'Moneda predeterminada de este perfil';
+
+  @override
+  String get settingsDates => 'Fechas';
+
+  @override
+  String get settingsDateFormat => 'Formato de fecha';
+
+  @override
+  String get settings24HourTime => 'Formato de 24 horas';
+
+  @override
+  String get settingsFirstDayOfWeek => 'Primer día de la semana';
+
+  @override
+  String get settingsTransactions => 'Transacciones';
+
+  @override
+  String get settingsDefaultType => 'Tipo predeterminado';
+
+  @override
+  String get settingsDefaultTypeSubtitle =>
+      'Preseleccionado en las nuevas transacciones';
+
+  @override
+  String get settingsReset => 'Restablecer valores predeterminados';
+
+  @override
+  String get actionComingSoon => 'Acción disponible próximamente';
+
+  @override
+  String searchHint(String scope, Object Search) {
+    String _temp0 = intl.Intl.selectLogic(scope, {
+      'transactions': 'Buscar transacciones',
+      'other': 'Buscar',
+    });
+    return '$_temp0';
+  }
+
+  @override
+  String get edit => 'Editar';
+
+  @override
+  String get copy => 'Copiar';
+
+  @override
+  String get save => 'Guardar';
+
+  @override
+  String get transactionDeleted => 'Transacción eliminada';
+
+  @override
+  String get transactionCopied => 'Transacción copiada';
+
+  @override
+  String get deleteTransactionTitle => 'Eliminar transacción';
+
+  @override
+  String get deleteTransactionMessage =>
+      '¿Seguro que quieres eliminar esta transacción?';
+
+  @override
+  String get add => 'Añadir';
+
+  @override
+  String get retry => 'Reintentar';
+
+  @override
+  String get discard => 'Descartar';
+
+  @override
+  String get unknownError => 'Error desconocido';
+
+  @override
+  String get selectDate => 'Seleccionar fecha';
+
+  @override
+  String get currency => 'Moneda';
+
+  @override
+  String get logout => 'Cerrar sesión';
+
+  @override
+  String get profilesTitle => 'Perfiles';
+
+  @override
+  String get timeJustNow => 'Ahora mismo';
+
+  @override
+  String timeMinutesAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Hace $count minutos',
+      one: 'Hace 1 minuto',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeHoursAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Hace $count horas',
+      one: 'Hace 1 hora',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeDaysAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Hace $count días',
+      one: 'Hace 1 día',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncLastSynced(String time) {
+    return 'Última sincronización: $time';
+  }
+
+  @override
+  String get syncFailed => 'Error de sincronización';
+
+  @override
+  String get syncFailedTitle => 'Error de sincronización';
+
+  @override
+  String syncConflictsToReview(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count conflictos por revisar',
+      one: '1 conflicto por revisar',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncChangesNotSynced(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count cambios sin sincronizar',
+      one: '1 cambio sin sincronizar',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get syncChangesNotSyncedTitle => 'Cambios sin sincronizar';
+
+  @override
+  String syncChangesNotSyncedMessage(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count cambios no se pudieron sincronizar tras varios intentos. Siguen guardados en este dispositivo.',
+      one: '1 cambio no se pudo sincronizar tras varios intentos. Sigue guardado en este dispositivo.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get name => 'Nombre';
+
+  @override
+  String get rename => 'Cambiar nombre';
+
+  @override
+  String errorMessage(String message) {
+    return 'Error: $message';
+  }
+
+  @override
+  String get loginTagline => 'Cada céntimo cuenta.';
+
+  @override
+  String get loginContinueWithGoogle => 'Continuar con Google';
+
+  @override
+  String get loginContinueWithoutAccount => 'Continuar sin cuenta';
+
+  @override
+  String loginFailed(String error) {
+    return 'Error al iniciar sesión: $error';
+  }
+
+  @override
+  String get profilesNewGuest => 'Nuevo perfil de invitado';
+
+  @override
+  String get profilesGuestSubtitle => 'Invitado (solo este dispositivo)';
+
+  @override
+  String get profilesGuestName => 'Invitado';
+
+  @override
+  String get profilesAccountName => 'Cuenta';
+
+  @override
+  String get profilesSignedIn => 'Sesión iniciada';
+
+  @override
+  String get profilesDeleteActiveHint =>
+      'Cambia a otro perfil para eliminar este';
+
+  @override
+  String get profilesDeleteTitle => 'Eliminar perfil';
+
+  @override
+  String profilesDeleteMessage(String name) {
+    return '¿Eliminar "$name" y todas sus transacciones, presupuestos y categorías de este dispositivo?';
+  }
+
+  @override
+  String profilesDeleteGuestMessage(String name) {
+    return '¿Eliminar "$name" y todas sus transacciones, presupuestos y categorías de este dispositivo? Los datos de invitado no tienen copia de seguridad y no se pueden recuperar.';
+  }
+
+  @override
+  String get profilesRenameTitle => 'Cambiar nombre del perfil';
+
+  @override
+  String profilesSwitchFailed(String error) {
+    return 'No se pudo cambiar de perfil: $error';
+  }
+
+  @override
+  String profilesCreateFailed(String error) {
+    return 'No se pudo crear el perfil: $error';
+  }
+
+  @override
+  String profilesRenameFailed(String error) {
+    return 'No se pudo cambiar el nombre del perfil: $error';
+  }
+
+  @override
+  String profilesDeleteFailed(String error) {
+    return 'No se pudo eliminar el perfil: $error';
+  }
+
+  @override
+  String get allDates => 'Todas las fechas';
+
+  @override
+  String dateRange(String start, String end) {
+    return '$start – $end';
+  }
+
+  @override
+  String get allBudgets => 'Todos los presupuestos';
+
+  @override
+  String get backupTitle => 'Exportar y copia de seguridad';
+
+  @override
+  String get backupExport => 'Exportar';
+
+  @override
+  String get backupExportCsv => 'Exportar CSV';
+
+  @override
+  String get backupExportBackup => 'Exportar copia de seguridad';
+
+  @override
+  String get backupSaveExport => 'Guardar exportación';
+
+  @override
+  String backupSaved(String fileName) {
+    return '$fileName guardado';
+  }
+
+  @override
+  String get backupRestore => 'Restaurar';
+
+  @override
+  String get backupRestoreHint =>
+      'Restaura un archivo de copia de seguridad en este perfil.';
+
+  @override
+  String get backupRestoreBackup => 'Restaurar copia de seguridad';
+
+  @override
+  String get backupRestoreTitle => 'Restaurar copia de seguridad';
+
+  @override
+  String backupRestoreSummary(String date, int transactions, int budgets, int categories) {
+    String _temp0 = intl.Intl.pluralLogic(
+      transactions,
+      locale: localeName,
+      other: '$transactions transacciones',
+      one: '1 transacción',
+    );
+    String _temp1 = intl.Intl.pluralLogic(
+      budgets,
+      locale: localeName,
+      other: '$budgets presupuestos',
+      one: '1 presupuesto',
+    );
+    String _temp2 = intl.Intl.pluralLogic(
+      categories,
+      locale: localeName,
+      other: '$categories categorías',
+      one: '1 categoría',
+    );
+    return 'Copia del $date con $_temp0, $_temp1 y $_temp2.';
+  }
+
+  @override
+  String get backupRestorePartialHint =>
+      'Es una copia filtrada: solo se puede combinar con los datos actuales.';
+
+  @override
+  String get backupRestoreModeHint =>
+      'Reemplazar elimina los datos actuales que no están en la copia. Combinar los conserva, junto con los cambios hechos después de la copia.';
+
+  @override
+  String get backupReplace => 'Reemplazar';
+
+  @override
+  String get backupMerge => 'Combinar';
+
+  @override
+  String backupRestored(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count elementos restaurados',
+      one: '1 elemento restaurado',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String backupRestoredKept(int count) {
+    return ', $count más recientes conservados';
+  }
+
+  @override
+  String backupRestoredRemoved(int count) {
+    return ', $count eliminados';
+  }
+
+  @override
+  String backupExportFailed(String error) {
+    return 'No se pudieron exportar los datos: $error';
+  }
+
+  @override
+  String backupRestoreFailed(String error) {
+    return 'No se pudo restaurar la copia de seguridad: $error';
+  }
+
+  @override
+  String get backupNotABackup =>
+      'No es un archivo de copia de seguridad de Centabit';
+
+  @override
+  String get backupFromNewerVersion =>
+      'Esta copia se hizo con una versión más reciente de Centabit';
+
+  @override
+  String backupDamaged(String error) {
+    return 'El archivo de copia de seguridad está dañado ($error)';
+  }
+
+  @override
+  String get backupPartialMergeOnly =>
+      'Una copia filtrada solo se puede combinar con los datos actuales';
+
+  @override
+  String get exchangeRatesTitle => 'Monedas';
+
+  @override
+  String get exchangeRatesImport => 'Importar tipos';
+
+  @override
+  String get exchangeRatesAdd => 'Añadir tipo';
+
+  @override
+  String exchangeRatesImported(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count tipos importados',
+      one: '1 tipo importado',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get exchangeRatesDefaultCurrency => 'Moneda predeterminada';
+
+  @override
+  String get exchangeRatesDefaultCurrencySubtitle =>
+      'Nuevas transacciones, presupuestos y resúmenes';
+
+  @override
+  String get exchangeRatesSection => 'Tipos de cambio';
+
+  @override
+  String get exchangeRatesEmpty =>
+      'Aún no hay tipos. Los importes en otras monedas cuentan 1:1 hasta que añadas uno.';
+
+  @override
+  String exchangeRatesUpdated(String date) {
+    return 'Actualizado el $date';
+  }
+
+  @override
+  String get exchangeRatesDeleteTitle => 'Eliminar tipo';
+
+  @override
+  String exchangeRatesDeleteMessage(String pair) {
+    return '¿Eliminar el tipo $pair? Los importes que lo necesiten cuentan 1:1 hasta que lo vuelvas a añadir.';
+  }
+
+  @override
+  String get exchangeRatesAddTitle => 'Añadir tipo';
+
+  @override
+  String get exchangeRatesEditTitle => 'Editar tipo';
+
+  @override
+  String get exchangeRatesUnitOf => '1 unidad de';
+
+  @override
+  String get exchangeRatesCosts => 'Cuesta';
+
+  @override
+  String get exchangeRatesRate => 'Tipo';
+
+  @override
+  String get exchangeRatesSameCurrency => 'Elige dos monedas distintas';
+
+  @override
+  String get exchangeRatesRatePositive => 'El tipo debe ser mayor que 0';
+
+  @override
+  String exchangeRatesSaveFailed(String error) {
+    return 'No se pudo guardar el tipo: $error';
+  }
+
+  @override
+  String exchangeRatesDeleteFailed(String error) {
+    return 'No se pudo eliminar el tipo: $error';
+  }
+
+  @override
+  String exchangeRatesImportFailed(String error) {
+    return 'No se pudieron importar los tipos: $error';
+  }
+
+  @override
+  String exchangeRatesDefaultCurrencyFailed(String error) {
+    return 'No se pudo cambiar la moneda predeterminada: $error';
+  }
+
+  @override
+  String exchangeRatesParseFields(int line) {
+    return 'Línea $line: se esperaba BASE,COTIZADA,TIPO';
+  }
+
+  @override
+  String exchangeRatesParseCodes(int line) {
+    return 'Línea $line: las monedas deben ser códigos de 3 letras como EUR';
+  }
+
+  @override
+  String exchangeRatesParseSamePair(int line, String currency) {
+    return 'Línea $line: $currency no se puede cotizar en sí misma';
+  }
+
+  @override
+  String exchangeRatesParseRate(int line) {
+    return 'Línea $line: el tipo debe ser un número mayor que 0';
+  }
+
+  @override
+  String get amountRequired => 'El importe es obligatorio';
+
+  @override
+  String get amountPositive => 'El importe debe ser mayor que 0';
+
+  @override
+  String get budgetNameRequired => 'El nombre del presupuesto es obligatorio';
+
+  @override
+  String get allocationsRequired => 'Añade al menos una asignación';
+
+  @override
+  String allocationsExceedBudget(String allocated, String budget) {
+    return 'El total asignado ($allocated) supera el presupuesto ($budget)';
+  }
+
+  @override
+  String get allocationsDuplicateCategory =>
+      'Hay categorías duplicadas. Cada categoría solo se puede asignar una vez';
+
+  @override
+  String get allocationsAmountPositive =>
+      'Todos los importes asignados deben ser mayores que 0';
+
+  @override
+  String budgetCreateFailed(String error) {
+    return 'No se pudo crear el presupuesto: $error';
+  }
+
+  @override
+  String budgetUpdateFailed(String error) {
+    return 'No se pudo actualizar el presupuesto: $error';
+  }
+
+  @override
+  String budgetDeleteFailed(String error) {
+    return 'No se pudo eliminar el presupuesto: $error';
+  }
+
+  @override
+  String budgetRollOverFailed(String error) {
+    return 'No se pudo renovar el presupuesto: $error';
+  }
+
+  @override
+  String templateSaveFailed(String error) {
+    return 'No se pudo guardar la plantilla: $error';
+  }
+
+  @override
+  String templateRenameFailed(String error) {
+    return 'No se pudo cambiar el nombre de la plantilla: $error';
+  }
+
+  @override
+  String templateDeleteFailed(String error) {
+    return 'No se pudo eliminar la plantilla: $error';
+  }
+
+  @override
+  String get chartBar => 'Barras';
+
+  @override
+  String get chartPie => 'Circular';
+
+  @override
+  String budgetStatusUpcoming(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Próximo • Empieza en $days días',
+      one: 'Próximo • Empieza mañana',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusActive(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Activo • Quedan $days días',
+      zero: 'Activo • Último día',
+      one: 'Activo • Queda 1 día',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusExpired(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Vencido • Terminó hace $days días',
+      one: 'Vencido • Terminó ayer',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get error => 'Error';
+
+  @override
+  String get create => 'Crear';
+
+  @override
+  String get update => 'Actualizar';
+
+  @override
+  String get amount => 'Importe';
+
+  @override
+  String get amountHint => 'Introduce el importe';
+
+  @override
+  String get category => 'Categoría';
+
+  @override
+  String get categoryRequired => 'Selecciona una categoría';
+
+  @override
+  String get categorySelect => 'Seleccionar categoría';
+
+  @override
+  String get categoriesNoneAvailable =>
+      'No hay categorías. Crea categorías primero.';
+
+  @override
+  String get categoryCreate => 'Crear categoría';
+
+  @override
+  String get categoryCreateFirst => 'Crea una categoría';
+
+  @override
+  String get unknownCategory => 'Categoría desconocida';
+
+  @override
+  String get startDate => 'Fecha de inicio';
+
+  @override
+  String get startDateRequired => 'La fecha de inicio es obligatoria';
+
+  @override
+  String get endDate => 'Fecha de fin';
+
+  @override
+  String get endDateRequired => 'La fecha de fin es obligatoria';
+
+  @override
+  String transactionCount(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transacciones',
+      one: '1 transacción',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String chartLegendEntry(String label, String amount) {
+    return '$label: $amount';
+  }
+
+  @override
+  String get chartNoAllocations => 'No hay asignaciones que mostrar';
+
+  @override
+  String get budgetsTitle => 'Presupuestos';
+
+  @override
+  String get budgetsEmpty => 'Aún no hay presupuestos';
+
+  @override
+  String get budgetsEmptyMessage =>
+      'Crea tu primer presupuesto para empezar a controlar tus gastos';
+
+  @override
+  String get budgetsEmptyHint => 'Pulsa el botón + de arriba para empezar';
+
+  @override
+  String get budgetsLoadError => 'Error al cargar los presupuestos';
+
+  @override
+  String get budgetUpcoming => 'Próximo';
+
+  @override
+  String get budgetActive => 'Activo';
+
+  @override
+  String get budgetExpired => 'Vencido';
+
+  @override
+  String budgetAllocatedOfTotal(String allocated, String total) {
+    return '$allocated / $total';
+  }
+
+  @override
+  String get budgetDetailsTitle => 'Detalles del presupuesto';
+
+  @override
+  String get budgetSaveAsTemplate => 'Guardar como plantilla';
+
+  @override
+  String get budgetRollOverAction => 'Renovar para el siguiente periodo';
+
+  @override
+  String get budgetBreakdown => 'Desglose';
+
+  @override
+  String get budgetAllocationsBreakdown => 'Desglose de asignaciones';
+
+  @override
+  String budgetRecentTransactions(int count) {
+    return 'Transacciones recientes ($count)';
+  }
+
+  @override
+  String get budgetBackToBudgets => 'Volver a presupuestos';
+
+  @override
+  String get budgetNoDataTitle => 'Aún no hay datos';
+
+  @override
+  String get budgetNoDataMessage =>
+      'Añade asignaciones y transacciones para ver los detalles.';
+
+  @override
+  String get budgetDeleteTitle => 'Eliminar presupuesto';
+
+  @override
+  String get budgetSummary => 'Resumen del presupuesto';
+
+  @override
+  String get budgetTotal => 'Presupuesto total';
+
+  @override
+  String get budgetAllocated => 'Asignado';
+
+  @override
+  String get budgetSpent => 'Gastado';
+
+  @override
+  String get budgetRemaining => 'Restante';
+
+  @override
+  String get budgetUnallocated => 'Sin asignar';
+
+  @override
+  String budgetHealth(String value) {
+    return 'Salud del presupuesto (BAR): $value';
+  }
+
+  @override
+  String get barStatusOverspending =>
+      'Gasto excesivo: ajusta el ritmo de gasto';
+
+  @override
+  String get barStatusClose => 'Cerca del límite: vigila de cerca';
+
+  @override
+  String get barStatusOnTrack => 'Vas bien: gasto dentro del presupuesto';
+
+  @override
+  String get budgetCreate => 'Crear presupuesto';
+
+  @override
+  String get budgetUpdate => 'Actualizar presupuesto';
+
+  @override
+  String get budgetCreated => 'Presupuesto creado correctamente';
+
+  @override
+  String get budgetUpdated => 'Presupuesto actualizado correctamente';
+
+  @override
+  String get budgetName => 'Nombre del presupuesto';
+
+  @override
+  String get budgetNameHint =>
+      'Nombre del presupuesto (p. ej., diciembre 2025)';
+
+  @override
+  String get budgetAmountHint => 'Importe total';
+
+  @override
+  String get budgetTotalLabel => 'Presupuesto total:';
+
+  @override
+  String get budgetAllocatedLabel => 'Total asignado:';
+
+  @override
+  String get budgetUnallocatedLabel => 'Sin asignar:';
+
+  @override
+  String get budgetRollOverTitle => 'Renovar presupuesto';
+
+  @override
+  String get budgetRollOver => 'Renovar';
+
+  @override
+  String get budgetCarryOver => 'Trasladar lo no gastado';
+
+  @override
+  String get budgetCarryOverSubtitle => 'Suma lo que queda de cada asignación';
+
+  @override
+  String get allocations => 'Asignaciones';
+
+  @override
+  String get allocationsEmpty =>
+      'Aún no hay asignaciones. Elige una categoría arriba para añadir una.';
+
+  @override
+  String get allocationsAllCategories => 'Todas las categorías están asignadas';
+
+  @override
+  String get allocationAdd => 'Añadir una asignación';
+
+  @override
+  String get allocationAddTitle => 'Añadir asignación';
+
+  @override
+  String get allocationEditTitle => 'Editar asignación';
+
+  @override
+  String get allocationDelete => 'Eliminar asignación';
+
+  @override
+  String allocationBudgeted(String amount) {
+    return 'Presupuestado: $amount';
+  }
+
+  @override
+  String allocationSpent(String amount, String percent) {
+    return 'Gastado: $amount ($percent)';
+  }
+
+  @override
+  String allocationRemaining(String amount) {
+    return 'Restante: $amount';
+  }
+
+  @override
+  String get templatesTitle => 'Plantillas de presupuesto';
+
+  @override
+  String get templatesEmpty => 'No hay plantillas de presupuesto';
+
+  @override
+  String get templatesEmptyHint =>
+      'Abre un presupuesto y elige "Guardar como plantilla"';
+
+  @override
+  String templateSummary(String amount, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count categorías',
+      one: '1 categoría',
+    );
+    return '$amount · $_temp0';
+  }
+
+  @override
+  String get templateName => 'Nombre de la plantilla';
+
+  @override
+  String get templateSaveTitle => 'Guardar como plantilla';
+
+  @override
+  String templateSaved(String name) {
+    return 'Plantilla "$name" guardada';
+  }
+
+  @override
+  String get templateRenameTitle => 'Cambiar nombre de la plantilla';
+
+  @override
+  String get templateDeleteTitle => 'Eliminar plantilla';
+
+  @override
+  String templateDeleteMessage(String name) {
+    return '¿Eliminar "$name"? Los presupuestos creados a partir de ella se conservan.';
+  }
+
+  @override
+  String get nameRequired => 'El nombre es obligatorio';
+
+  @override
+  String get cannotBeUndone => 'Esta acción no se puede deshacer.';
+
+  @override
+  String get categoryName => 'Nombre de la categoría';
+
+  @override
+  String get categoryNameExists => 'Ya existe una categoría con ese nombre';
+
+  @override
+  String get categoryAdd => 'Añadir categoría';
+
+  @override
+  String get categoryUpdate => 'Actualizar categoría';
+
+  @override
+  String get categoryCreated => 'Categoría creada correctamente';
+
+  @override
+  String get categoryUpdated => 'Categoría actualizada correctamente';
+
+  @override
+  String get categoryIconRequired => 'Selecciona un icono';
+
+  @override
+  String get categoryIconSearchHint => 'Buscar iconos...';
+
+  @override
+  String get categoryDeleteTitle => '¿Eliminar categoría?';
+
+  @override
+  String categoryCreateFailed(String error) {
+    return 'No se pudo crear la categoría: $error';
+  }
+
+  @override
+  String categoryUpdateFailed(String error) {
+    return 'No se pudo actualizar la categoría: $error';
+  }
+
+  @override
+  String categoryDeleteFailed(String error) {
+    return 'No se pudo eliminar la categoría: $error';
+  }
+
+  @override
+  String titleWithCount(String title, int count) {
+    return '$title ($count)';
+  }
+
+  @override
+  String transactionCountShort(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count trans.',
+      one: '1 trans.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String dashboardGreeting(String name) {
+    return 'Hola, $name';
+  }
+
+  @override
+  String chartTooltip(String category, String series, String amount) {
+    return '$category ($series): $amount';
+  }
+
+  @override
+  String budgetSpentAmount(String amount) {
+    return 'Gastado: $amount';
+  }
+
+  @override
+  String budgetRemainingAmount(String amount) {
+    return 'Restante: $amount';
+  }
+
+  @override
+  String noExchangeRate(String currencies, String currency) {
+    return 'No hay tipo de cambio de $currencies a $currency: se cuenta 1:1';
+  }
+
+  @override
+  String monthlyBreakdownTitle(String month) {
+    return 'Desglose de $month';
+  }
+
+  @override
+  String get monthlyBreakdownTitleGeneric => 'Desglose mensual';
+
+  @override
+  String get monthlyBudgeted => 'Presupuestado';
+
+  @override
+  String get monthlyUnassigned => 'Sin asignar';
+
+  @override
+  String get monthlyBudgetedTransactions => 'Transacciones presupuestadas';
+
+  @override
+  String get monthlyUnassignedTransactions => 'Transacciones sin asignar';
+
+  @override
+  String get monthlyNoTransactions => 'No hay transacciones en esta categoría';
+
+  @override
+  String get monthlyViewBreakdown => 'Ver desglose completo';
+
+  @override
+  String get allocation => 'Asignación';
+
+  @override
+  String get transaction => 'Transacción';
+
+  @override
+  String get conflictsTitle => 'Revisar conflictos';
+
+  @override
+  String get conflictsEmpty => 'No hay conflictos que revisar';
+
+  @override
+  String conflictDetected(String date) {
+    return 'Detectado el $date';
+  }
+
+  @override
+  String get conflictThisDevice => 'Este dispositivo';
+
+  @override
+  String get conflictOtherDevice => 'Otro dispositivo';
+
+  @override
+  String get conflictKeepBoth => 'Conservar ambos';
+
+  @override
+  String get conflictKeepTheirs => 'Conservar la otra';
+
+  @override
+  String get conflictKeepMine => 'Conservar la mía';
+
+  @override
+  String get conflictDeleted => 'Eliminado';
+
+  @override
+  String get conflictKept => 'Conservado';
+
+  @override
+  String conflictRecordTitle(String type, String name) {
+    return '$type: $name';
+  }
+
+  @override
+  String conflictResolveFailed(String error) {
+    return 'No se pudo resolver el conflicto: $error';
+  }
+
+  @override
+  String occurrenceSkipFailed(String error) {
+    return 'No se pudo omitir la repetición: $error';
+  }
+
+  @override
+  String occurrenceEditFailed(String error) {
+    return 'No se pudo editar la repetición: $error';
+  }
+
+  @override
+  String seriesUpdateFailed(String error) {
+    return 'No se pudo actualizar la serie: $error';
+  }
+
+  @override
+  String seriesDeleteFailed(String error) {
+    return 'No se pudo eliminar la serie: $error';
+  }
+
+  @override
+  String transactionCreateFailed(String error) {
+    return 'No se pudo crear la transacción: $error';
+  }
+
+  @override
+  String transactionUpdateFailed(String error) {
+    return 'No se pudo actualizar la transacción: $error';
+  }
+
+  @override
+  String transactionDeleteFailed(String error) {
+    return 'No se pudo eliminar la transacción: $error';
+  }
+
+  @override
+  String importFailed(String error) {
+    return 'No se pudieron importar las transacciones: $error';
+  }
+
+  @override
+  String importReadFailed(String file, String error) {
+    return 'No se pudo leer $file: $error';
+  }
+
+  @override
+  String get importPickAmountColumn => 'Elige una columna de importe';
+
+  @override
+  String importRowInvalidDate(int row, String date, String format) {
+    return 'Fila $row: la fecha "$date" no coincide con "$format"';
+  }
+
+  @override
+  String importRowInvalidAmount(int row, String text) {
+    return 'Fila $row: "$text" no es un importe';
+  }
+
+  @override
+  String get importNotOfx => 'No es un archivo OFX (falta la etiqueta <OFX>)';
+
+  @override
+  String importEntryInvalidDate(int entry, String date) {
+    return 'Transacción $entry: fecha no válida "$date"';
+  }
+
+  @override
+  String importEntryInvalidAmount(int entry, String text) {
+    return 'Transacción $entry: importe no válido "$text"';
+  }
+
+  @override
+  String importLineInvalidDate(int line, String date) {
+    return 'Línea $line: fecha no válida "$date"';
+  }
+
+  @override
+  String importLineInvalidAmount(int line, String text) {
+    return 'Línea $line: importe no válido "$text"';
+  }
+
+  @override
+  String get importedTransactionName => 'Transacción importada';
+
+  @override
+  String get done => 'Listo';
+
+  @override
+  String get none => 'Ninguna';
+
+  @override
+  String get fieldRequired => 'Obligatorio';
+
+  @override
+  String get notesOptional => 'Notas (opcional)';
+
+  @override
+  String get transactionsTitle => 'Transacciones';
+
+  @override
+  String get transactionsEmpty => 'Aún no hay transacciones';
+
+  @override
+  String get transactionDate => 'Fecha de la transacción';
+
+  @override
+  String get transactionTime => 'Hora de la transacción';
+
+  @override
+  String get transactionName => 'Nombre de la transacción';
+
+  @override
+  String get transactionNameRequired =>
+      'El nombre de la transacción es obligatorio';
+
+  @override
+  String get transactionAddTitle => 'Añadir transacción';
+
+  @override
+  String get transactionEditTitle => 'Editar transacción';
+
+  @override
+  String get transactionCopyTitle => 'Copiar transacción';
+
+  @override
+  String get transactionCreated => 'Transacción creada correctamente';
+
+  @override
+  String get transactionUpdated => 'Transacción actualizada correctamente';
+
+  @override
+  String get transactionDeleteTitle => '¿Eliminar transacción?';
+
+  @override
+  String get budgetNoneSelected => 'Sin presupuesto';
+
+  @override
+  String get repeat => 'Repetir';
+
+  @override
+  String get repeatNever => 'Nunca';
+
+  @override
+  String get repeatDaily => 'Cada día';
+
+  @override
+  String get repeatWeekly => 'Cada semana';
+
+  @override
+  String get repeatMonthly => 'Cada mes (mismo día)';
+
+  @override
+  String get repeatLastBusinessDay => 'Último día hábil';
+
+  @override
+  String get repeatEvery => 'Cada';
+
+  @override
+  String get repeatIntervalInvalid => 'Introduce 1 o más';
+
+  @override
+  String get repeatUnitDays => 'día(s)';
+
+  @override
+  String get repeatUnitWeeks => 'semana(s)';
+
+  @override
+  String get repeatUnitMonths => 'mes(es)';
+
+  @override
+  String get upcomingTitle => 'Próximas';
+
+  @override
+  String get upcomingEmpty => 'No hay transacciones periódicas';
+
+  @override
+  String get upcomingEmptyHint => 'Elige "Repetir" al añadir una transacción';
+
+  @override
+  String upcomingEdited(String date) {
+    return '$date · editada';
+  }
+
+  @override
+  String get upcomingSkip => 'Omitir';
+
+  @override
+  String get upcomingEditOne => 'Editar solo esta';
+
+  @override
+  String get upcomingEditSeries => 'Editar serie';
+
+  @override
+  String get upcomingDeleteSeries => 'Eliminar serie';
+
+  @override
+  String get upcomingEditOneTitle => 'Editar esta repetición';
+
+  @override
+  String get upcomingEditSeriesTitle => 'Editar serie';
+
+  @override
+  String get upcomingDeleteSeriesTitle => 'Eliminar serie';
+
+  @override
+  String upcomingDeleteSeriesMessage(String name) {
+    return '¿Dejar de repetir "$name"? Las transacciones ya creadas se conservan.';
+  }
+
+  @override
+  String get importAction => 'Importar';
+
+  @override
+  String get importTitle => 'Importar extracto';
+
+  @override
+  String get importPickTitle => 'Importa un extracto bancario';
+
+  @override
+  String get importPickSubtitle => 'Exportación CSV, OFX/QFX o QIF de tu banco';
+
+  @override
+  String get importChooseFile => 'Elegir archivo';
+
+  @override
+  String importFileEntries(String file, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count movimientos',
+      one: '1 movimiento',
+    );
+    return '$file · $_temp0';
+  }
+
+  @override
+  String get importOtherFile => 'Otro archivo';
+
+  @override
+  String importSelected(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Importar $count transacciones',
+      one: 'Importar 1 transacción',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String importDone(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transacciones importadas',
+      one: '1 transacción importada',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get importDoneHint =>
+      'Añade categorías desde la lista de transacciones';
+
+  @override
+  String get importAlreadyImported => 'Ya importada';
+
+  @override
+  String importPossibleDuplicate(String name, String date) {
+    return 'Posible duplicado de "$name" ($date)';
+  }
+
+  @override
+  String importColumn(int number) {
+    return 'Columna $number';
+  }
+
+  @override
+  String get importSeparator => 'Separador';
+
+  @override
+  String get importSeparatorComma => 'Coma';
+
+  @override
+  String get importSeparatorSemicolon => 'Punto y coma';
+
+  @override
+  String get importSeparatorTab => 'Tabulador';
+
+  @override
+  String get importHasHeader => 'La primera fila es un encabezado';
+
+  @override
+  String get importColumnDate => 'Fecha';
+
+  @override
+  String get importColumnDescription => 'Descripción';
+
+  @override
+  String get importSeparateAmounts =>
+      'Columnas separadas de salidas / entradas';
+
+  @override
+  String get importColumnMoneyOut => 'Salidas';
+
+  @override
+  String get importColumnMoneyIn => 'Entradas';
+
+  @override
+  String get importColumnAmount => 'Importe (negativo = salida)';
+
+  @override
+  String get importDateFormat => 'Formato de fecha';
+
+  @override
+  String get importDecimalSeparator => 'Separador decimal';
+
+  @override
+  String get importDecimalPoint => 'Punto (1,234.56)';
+
+  @override
+  String get importDecimalComma => 'Coma (1.234,56)';
+
+  @override
+  String get importPreview => 'Vista previa';
+
+  @override
+  String get barMessageUnder => '¡Muy por debajo del presupuesto! 🎉';
+
+  @override
+  String get barMessageGood => 'Algo por debajo del presupuesto ✓';
+
+  @override
+  String get barMessageOnTrack => 'Justo a buen ritmo ✓';
+
+  @override
+  String get barMessageWarning => 'Algo por encima del presupuesto ⚠️';
+
+  @override
+  String get barMessageOver => '¡Muy por encima del presupuesto! 🚨';
+
+  @override
+  String barCurveLearned(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Ritmo esperado aprendido de tus últimos $count presupuestos',
+      one: 'Ritmo esperado aprendido de tu último presupuesto',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String barCurveDefault(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Ritmo esperado predeterminado, personalizado cuando terminen $count presupuestos',
+      one: 'Ritmo esperado predeterminado, personalizado cuando termine un presupuesto',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String paceBar(String value) {
+    return 'BAR $value';
+  }
+
+  @override
+  String paceProjected(String amount) {
+    return 'Previsto: $amount al final';
+  }
+
+  @override
+  String paceProjectedOver(String amount, String over) {
+    return 'Previsto: $amount, $over de más';
+  }
+
+  @override
+  String paceSafeDaily(String amount) {
+    return 'Puedes gastar: $amount/día';
+  }
+
+  @override
+  String paceCategoriesAtRisk(String names) {
+    return 'En camino de excederse: $names';
+  }
+
+  @override
+  String get alertsTitle => 'Alertas';
+
+  @override
+  String get alertsInbox => 'Bandeja';
+
+  @override
+  String get alertsRules => 'Reglas';
+
+  @override
+  String get alertsMarkAllRead => 'Marcar todo como leído';
+
+  @override
+  String get alertsClearRead => 'Borrar alertas leídas';
+
+  @override
+  String get alertsInboxEmpty =>
+      'No hay alertas. Aparecen aquí cuando se activa una de tus reglas.';
+
+  @override
+  String get alertsRulesEmpty =>
+      'Aún no hay reglas. Añade una para recibir alertas sobre tus presupuestos.';
+
+  @override
+  String get alertsAddRule => 'Añadir regla';
+
+  @override
+  String get alertsEditRule => 'Editar regla';
+
+  @override
+  String get alertsRuleType => 'Avisar cuando';
+
+  @override
+  String get alertsThresholdInvalid => 'Introduce un número mayor que 0';
+
+  @override
+  String get alertTypeBarAbove => 'El BAR supera';
+
+  @override
+  String get alertTypeAllocationOver => 'Una categoría ha usado más de';
+
+  @override
+  String get alertTypeBudgetEnding => 'Un presupuesto termina en';
+
+  @override
+  String get alertTypeLargeTransaction => 'Un gasto es de al menos';
+
+  @override
+  String get alertThresholdBar => 'BAR';
+
+  @override
+  String get alertThresholdPercent => 'Porcentaje de la asignación';
+
+  @override
+  String get alertThresholdDays => 'Días';
+
+  @override
+  String alertThresholdAmount(String currency) {
+    return 'Importe ($currency)';
+  }
+
+  @override
+  String alertRuleBarAbove(String threshold) {
+    return 'BAR superior a $threshold';
+  }
+
+  @override
+  String alertRuleAllocationOver(String percent) {
+    return 'Una categoría supera el $percent% de su asignación';
+  }
+
+  @override
+  String alertRuleBudgetEnding(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Un presupuesto termina en $days días',
+      one: 'Un presupuesto termina en 1 día',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertRuleLargeTransaction(String amount) {
+    return 'Un gasto de $amount o más';
+  }
+
+  @override
+  String alertBarAbove(String budget, String bar, String threshold) {
+    return '$budget gasta por encima del ritmo: BAR $bar (supera $threshold)';
+  }
+
+  @override
+  String alertAllocationOver(String category, String percent) {
+    return '$category ha usado el $percent% de su asignación';
+  }
+
+  @override
+  String alertBudgetEnding(String budget, int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: '$budget termina en $days días',
+      zero: '$budget termina hoy',
+      one: '$budget termina mañana',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertLargeTransaction(String name, String amount) {
+    return 'Gasto elevado: $name ($amount)';
+  }
+
+  @override
+  String get alertsSnoozeDay => 'Posponer el presupuesto 1 día';
+
+  @override
+  String get alertsSnoozeWeek => 'Posponer el presupuesto 7 días';
+
+  @override
+  String get alertsMuteBudget => 'Silenciar presupuesto';
+
+  @override
+  String get alertsUnmute => 'Reactivar alertas';
+
+  @override
+  String get alertsDismiss => 'Descartar';
+
+  @override
+  String get alertsMutedSection => 'Presupuestos silenciados';
+
+  @override
+  String get alertsMuted => 'Silenciado';
+
+  @override
+  String alertsSnoozedUntil(String date) {
+    return 'Pospuesto hasta el $date';
+  }
+
+  @override
+  String alertsUpdateFailed(String error) {
+    return 'No se pudieron actualizar las alertas: $error';
+  }
+
+  @override
+  String alertsRuleSaveFailed(String error) {
+    return 'No se pudo guardar la regla: $error';
+  }
+
+  @override
+  String get transactionFiltersTitle => 'Filtros';
+
+  @override
+  String get transactionFilterAll => 'Todas';
+
+  @override
+  String get transactionFilterCategories => 'Categorías';
+
+  @override
+  String get transactionFilterUnassigned => 'Sin presupuesto';
+
+  @override
+  String get transactionFilterMinAmount => 'Importe mínimo';
+
+  @override
+  String get transactionFilterMaxAmount => 'Importe máximo';
+
+  @override
+  String get transactionFilterHasNotes => 'Solo con notas';
+
+  @override
+  String get transactionFiltersReset => 'Quitar filtros';
+
+  @override
+  String get transactionFiltersApply => 'Aplicar';
+
+  @override
+  String get transactionFiltersNoMatch =>
+      'Ninguna transacción coincide con estos filtros';
+
+  @override
+  String get savedSearchesTitle => 'Búsquedas guardadas';
+
+  @override
+  String get recentSearchesTitle => 'Búsquedas recientes';
+
+  @override
+  String get recentSearchesClear => 'Borrar';
+
+  @override
+  String get savedSearchSave => 'Guardar búsqueda';
+
+  @override
+  String get savedSearchName => 'Nombre';
+
+  @override
+  String savedSearchSaved(String name) {
+    return 'Búsqueda «$name» guardada';
+  }
+
+  @override
+  String savedSearchSaveFailed(String error) {
+    return 'No se pudo guardar la búsqueda: $error';
+  }
+
+  @override
+  String savedSearchUpdateFailed(String error) {
+    return 'No se pudieron actualizar las búsquedas: $error';
+  }
+
+  @override
+  String get undo => 'Deshacer';
+
+  @override
+  String get budgetDeleted => 'Presupuesto eliminado';
+
+  @override
+  String get deleteMovesToTrash =>
+      'Se moverá a la papelera, desde donde puedes restaurarlo.';
+
+  @override
+  String get trashTitle => 'Papelera';
+
+  @override
+  String get trashEmpty => 'La papelera está vacía';
+
+  @override
+  String get trashEmptyAction => 'Vaciar papelera';
+
+  @override
+  String get trashEmptyTitle => '¿Vaciar la papelera?';
+
+  @override
+  String get trashPurgeTitle => '¿Eliminar para siempre?';
+
+  @override
+  String get trashPurge => 'Eliminar para siempre';
+
+  @override
+  String get trashRestore => 'Restaurar';
+
+  @override
+  String trashRetentionNotice(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Los elementos se eliminan para siempre $days días después de borrarlos.',
+      one: 'Los elementos se eliminan para siempre 1 día después de borrarlos.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String trashDeletedOn(String date) {
+    return 'Eliminado el $date';
+  }
+
+  @override
+  String get trashTypeTransaction => 'Transacción';
+
+  @override
+  String get trashTypeBudget => 'Presupuesto';
+
+  @override
+  String get trashTypeCategory => 'Categoría';
+
+  @override
+  String get trashTypeAllocation => 'Asignación';
+
+  @override
+  String trashLoadFailed(String error) {
+    return 'No se pudo cargar la papelera: $error';
+  }
+
+  @override
+  String trashUpdateFailed(String error) {
+    return 'No se pudo actualizar la papelera: $error';
+  }
+
+  @override
+  String get settingsDeletedItems => 'Elementos eliminados';
+
+  @override
+  String get settingsDeletedItemsSubtitle =>
+      'Restaurar o eliminar para siempre';
+
+  @override
+  String get settingsTrashRetention => 'Conservar elementos eliminados';
+
+  @override
+  String settingsTrashRetentionDays(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: '$days días',
+      one: '1 día',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteUsedBy => 'Elementos vinculados:';
+
+  @override
+  String deleteImpactTransactions(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transacciones',
+      one: '1 transacción',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactAllocations(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count asignaciones de presupuesto',
+      one: '1 asignación de presupuesto',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactRecurring(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transacciones recurrentes',
+      one: '1 transacción recurrente',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteDependentsToo => 'Eliminarlas también';
+
+  @override
+  String get deleteChooseTarget => 'Elige dónde';
+
+  @override
+  String get categoryDeleteReassign => 'Moverlas a otra categoría';
+
+  @override
+  String get categoryDeleteUnassign => 'Conservarlas sin categoría';
+
+  @override
+  String get categoryDeleteAllocationsNote =>
+      'Las asignaciones necesitan una categoría: si no se mueven, se eliminan.';
+
+  @override
+  String get categoryDeleteRecurringNote =>
+      'Las transacciones recurrentes nunca se eliminan: si no se mueven, continúan sin categoría.';
+
+  @override
+  String get budgetDeleteReassign =>
+      'Mover sus transacciones a otro presupuesto';
+
+  @override
+  String get budgetDeleteUnassign =>
+      'Conservar sus transacciones sin presupuesto';
+
+  @override
+  String get budgetDeleteAllocationsNote =>
+      'Sus asignaciones se eliminan con él.';
+
+  @override
+  String get categoryColorAutomatic => 'Color automático';
+
+  @override
+  String get categoryParent => 'Categoría principal';
+
+  @override
+  String get categoryParentNone => 'Ninguna (categoría principal)';
+
+  @override
+  String get categoryMerge => 'Fusionar';
+
+  @override
+  String categoryMergeTitle(String name) {
+    return 'Fusionar «$name» con';
+  }
+
+  @override
+  String get categoryMergeMoves => 'Se mueve a la categoría elegida:';
+
+  @override
+  String categoryMergeMessage(String name) {
+    return 'Después, «$name» va a la papelera y sus subcategorías pasan a la categoría elegida si esta puede tenerlas.';
+  }
+
+  @override
+  String categoryMergeFailed(String error) {
+    return 'No se pudo fusionar la categoría: $error';
+  }
+
+  @override
+  String get categoryDeleteSubcategoriesNote =>
+      'Sus subcategorías pasan a la categoría elegida arriba si puede tenerlas, o se convierten en categorías principales.';
+
+  @override
+  String get transactionSplit => 'Dividir entre categorías';
+
+  @override
+  String get transactionSplitLines => 'División';
+
+  @override
+  String get transactionSplitAddLine => 'Añadir línea';
+
+  @override
+  String get transactionSplitRemoveLine => 'Quitar línea';
+
+  @override
+  String transactionSplitRemaining(String amount) {
+    return 'Por repartir: $amount';
+  }
+
+  @override
+  String get transactionSplitCategoryRequired =>
+      'Elige una categoría para cada línea';
+
+  @override
+  String get transactionSplitAmountPositive =>
+      'Cada línea necesita un importe mayor que 0';
+
+  @override
+  String get transactionSplitSumMismatch => 'Las líneas deben sumar el importe';
+
+  @override
+  String get rulesTitle => 'Reglas de categorización';
+
+  @override
+  String get settingsRulesSubtitle =>
+      'Completan las transacciones nuevas e importadas';
+
+  @override
+  String get rulesAdd => 'Añadir regla';
+
+  @override
+  String get rulesEdit => 'Editar regla';
+
+  @override
+  String get rulesEmpty =>
+      'Aún no hay reglas. Una regla asigna la categoría, el presupuesto o el nombre de las transacciones que añades o importas, p. ej. todo lo que contiene "uber" va a Transporte.';
+
+  @override
+  String get ruleNameContains => 'El nombre contiene';
+
+  @override
+  String get ruleNameRegex => 'Expresión regular';
+
+  @override
+  String get ruleRegexInvalid => 'No es una expresión regular válida';
+
+  @override
+  String get ruleMinAmount => 'Importe mínimo';
+
+  @override
+  String get ruleMaxAmount => 'Importe máximo';
+
+  @override
+  String get ruleAmountRangeInvalid => 'No puede ser menor que el mínimo';
+
+  @override
+  String get ruleSetCategory => 'Asignar categoría';
+
+  @override
+  String get ruleSetBudget => 'Asignar presupuesto';
+
+  @override
+  String get ruleNoChange => 'No cambiar';
+
+  @override
+  String get ruleRenameTo => 'Renombrar como';
+
+  @override
+  String get ruleConditionRequired => 'Añade un nombre o un importe que buscar';
+
+  @override
+  String get ruleActionRequired => 'Elige qué asigna la regla';
+
+  @override
+  String ruleSaveFailed(String error) {
+    return 'No se pudo guardar la regla: $error';
+  }
+
+  @override
+  String get ruleSaved => 'Regla guardada';
+
+  @override
+  String get ruleCreateFromTransaction =>
+      'Crear regla a partir de esta transacción';
+
+  @override
+  String ruleConditionContains(String pattern) {
+    return 'El nombre contiene "$pattern"';
+  }
+
+  @override
+  String ruleConditionMatches(String pattern) {
+    return 'El nombre coincide con /$pattern/';
+  }
+
+  @override
+  String ruleConditionAmountBetween(String min, String max) {
+    return 'Importe de $min a $max';
+  }
+
+  @override
+  String ruleConditionAmountAtLeast(String min) {
+    return 'Importe de $min o más';
+  }
+
+  @override
+  String ruleConditionAmountAtMost(String max) {
+    return 'Importe hasta $max';
+  }
+
+  @override
+  String ruleActionRename(String name) {
+    return 'Renombrar como "$name"';
+  }
+
+  @override
+  String categorySuggested(String name) {
+    return 'Sugerida: $name';
+  }
+}
@@ -0,0 +1,2098 @@
+// ignore: unused_import
+import 'package:intl/intl.dart' as intl;
+import 'app_localizations.dart';
+
+// ignore_for_file: type=lint
+
+/// The translations for French (`fr`).
+class AppLocalizationsFr extends AppLocalizations {
+  AppLocalizationsFr([String locale = 'fr']) : super(locale);
+
+  @override
+  String get languageName => 'Français';
+
+  @override
+  String get bar => 'BAR';
+
+  @override
+  String get barFull => 'Ratio de respect du budget (BAR)';
+
+  @override
+  String get barDefinition =>
+      'Le BAR est un indicateur qui vous aide à savoir si vos dépenses suivent le bon rythme. Il compare ce que vous avez dépensé au temps écoulé dans la période du budget.';
+
+  @override
+  String get barUsageExplanation =>
+      'La valeur du BAR indique votre rythme de dépenses par rapport au calendrier du budget. Une valeur de 1,0 signifie que vous dépensez exactement au rythme prévu.';
+
+  @override
+  String get barKeyRule => 'Règle clé : restez sous 1,0';
+
+  @override
+  String get barHigherLowerExplanation =>
+      'Au-dessus de 1,0, vous dépensez plus vite que prévu et risquez d\'épuiser votre budget trop tôt. En dessous de 1,0, vous dépensez moins et il vous restera du budget.\n\nExemple :\n• BAR de 0,8 : vous dépensez moins vite que prévu (bien !)\n• BAR de 1,0 : rythme parfait\n• BAR de 1,2 : vous dépensez trop (attention !)\n• BAR de 1,5 ou plus : nettement au-dessus du budget (critique !)';
+
+  @override
+  String get barUpdateFrequency =>
+      'Mis à jour en temps réel à chaque transaction ajoutée et au fil du temps.';
+
+  @override
+  String activeBudget(String name) {
+    return 'Budget actif : $name';
+  }
+
+  @override
+  String get noData => 'Aucune donnée disponible';
+
+  @override
+  String get transactionsForDate => 'Transactions';
+
+  @override
+  String get noTransactionsForDate => 'Aucune transaction à cette date';
+
+  @override
+  String get ok => 'OK';
+
+  @override
+  String get cancel => 'Annuler';
+
+  @override
+  String get gotIt => 'COMPRIS';
+
+  @override
+  String get delete => 'Supprimer';
+
+  @override
+  String get areYouSure => 'Êtes-vous sûr ?';
+
+  @override
+  String get budget => 'Budget';
+
+  @override
+  String get actual => 'Réel';
+
+  @override
+  String get spending => 'Dépenses';
+
+  @override
+  String get today => 'Aujourd\'hui';
+
+  @override
+  String get yesterday => 'Hier';
+
+  @override
+  String get debit => 'Débit';
+
+  @override
+  String get credit => 'Crédit';
+
+  @override
+  String get settingsTitle => 'Paramètres';
+
+  @override
+  String get settingsAppearance => 'Apparence';
+
+  @override
+  String get settingsTheme => 'Thème';
+
+  @override
+  String get settingsThemeSystem => 'Système';
+
+  @override
+  String get settingsThemeLight => 'Clair';
+
+  @override
+  String get settingsThemeDark => 'Sombre';
+
+  @override
+  String get settingsLanguage => 'Langue';
+
+  @override
+  String get settingsLanguageDevice => 'Langue de l\'appareil';
+
+  @override
+  String get settingsAmounts => 'Montants';
+
+  @override
+  String get settingsCurrency => 'Devise';
+
+  @override
+  String settingsCurrencyPreview(String amount) {
+    return 'Aperçu : $amount';
+  }
+
+  @override
+  String get settingsCurrencyBefore => 'Avant';
+
+  @override
+  String get settingsCurrencyAfter => 'Après';
+
+  @override
+  String get settingsNumberFormat => 'Format des nombres';
+
+  @override
+  String settingsLanguageFormat(String example) {
+    return '$example (langue)';
+  }
+
+  @override
+  String get settingsExchangeRates => 'Devises et taux de change';
+
+  @override
+  String get settingsExchangeRatesSubtitle => 'Devise par défaut de ce profil';
+
+  @override
+  String get settingsDates => 'Dates';
+
+  @override
+  String get settingsDateFormat => 'Format de date';
+
+  @override
+  String get settings24HourTime => 'Format 24 heures';
+
+  @override
+  String get settingsFirstDayOfWeek => 'Premier jour de la semaine';
+
+  @override
+  String get settingsTransactions => 'Transactions';
+
+  @override
+  String get settingsDefaultType => 'Type par défaut';
+
+  @override
+  String get settingsDefaultTypeSubtitle =>
+      'Présélectionné pour les nouvelles transactions';
+
+  @override
+  String get settingsReset => 'Rétablir les valeurs par défaut';
+
+  @override
+  String get actionComingSoon => 'Action bientôt disponible';
+
+  @override
+  String searchHint(String scope, Object Search) {
+    String _temp0 = intl.Intl.selectLogic(scope, {
+      'transactions': 'Rechercher des transactions',
+      'other': 'Rechercher',
+    });
+    return '$_temp0';
+  }
+
+  @override
+  String get edit => 'Modifier';
+
+  @override
+  String get copy => 'Copier';
+
+  @override
+  String get save => 'Enregistrer';
+
+  @override
+  String get transactionDeleted => 'Transaction supprimée';
+
+  @override
+  String get transactionCopied => 'Transaction copiée';
+
+  @override
+  String get deleteTransactionTitle => 'Supprimer la transaction';
+
+  @override
+  String get deleteTransactionMessage =>
+      'Voulez-vous vraiment supprimer cette transaction ?';
+
+  @override
+  String get add => 'Ajouter';
+
+  @override
+  String get retry => 'Réessayer';
+
+  @override
+  String get discard => 'Ignorer';
+
+  @override
+  String get unknownError => 'Erreur inconnue';
+
+  @override
+  String get selectDate => 'Choisir une date';
+
+  @override
+  String get currency => 'Devise';
+
+  @override
+  String get logout => 'Se déconnecter';
+
+  @override
+  String get profilesTitle => 'Profils';
+
+  @override
+  String get timeJustNow => 'À l\'instant';
+
+  @override
+  String timeMinutesAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Il y a $count minutes',
+      one: 'Il y a 1 minute',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeHoursAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Il y a $count heures',
+      one: 'Il y a 1 heure',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String timeDaysAgo(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Il y a $count jours',
+      one: 'Il y a 1 jour',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncLastSynced(String time) {
+    return 'Dernière synchronisation : $time';
+  }
+
+  @override
+  String get syncFailed => 'Échec de la synchronisation';
+
+  @override
+  String get syncFailedTitle => 'Échec de la synchronisation';
+
+  @override
+  String syncConflictsToReview(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count conflits à examiner',
+      one: '1 conflit à examiner',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String syncChangesNotSynced(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count modifications non synchronisées',
+      one: '1 modification non synchronisée',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get syncChangesNotSyncedTitle => 'Modifications non synchronisées';
+
+  @override
+  String syncChangesNotSyncedMessage(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count modifications n\'ont pas pu être synchronisées après plusieurs tentatives. Elles restent enregistrées sur cet appareil.',
+      one: '1 modification n\'a pas pu être synchronisée après plusieurs tentatives. Elle reste enregistrée sur cet appareil.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get name => 'Nom';
+
+  @override
+  String get rename => 'Renommer';
+
+  @override
+  String errorMessage(String message) {
+    return 'Erreur : $message';
+  }
+
+  @override
+  String get loginTagline => 'Chaque centime compte.';
+
+  @override
+  String get loginContinueWithGoogle => 'Continuer avec Google';
+
+  @override
+  String get loginContinueWithoutAccount => 'Continuer sans compte';
+
+  @override
+  String loginFailed(String error) {
+    return 'Échec de la connexion : $error';
+  }
+
+  @override
+  String get profilesNewGuest => 'Nouveau profil invité';
+
+  @override
+  String get profilesGuestSubtitle => 'Invité (cet appareil uniquement)';
+
+  @override
+  String get profilesGuestName => 'Invité';
+
+  @override
+  String get profilesAccountName => 'Compte';
+
+  @override
+  String get profilesSignedIn => 'Connecté';
+
+  @override
+  String get profilesDeleteActiveHint =>
+      'Passez à un autre profil pour supprimer celui-ci';
+
+  @override
+  String get profilesDeleteTitle => 'Supprimer le profil';
+
+  @override
+  String profilesDeleteMessage(String name) {
+    return 'Supprimer « $name » et toutes ses transactions, budgets et catégories de cet appareil ?';
+  }
+
+  @override
+  String profilesDeleteGuestMessage(String name) {
+    return 'Supprimer « $name » et toutes ses transactions, budgets et catégories de cet appareil ? Les données invité ne sont pas sauvegardées et ne pourront pas être récupérées.';
+  }
+
+  @override
+  String get profilesRenameTitle => 'Renommer le profil';
+
+  @override
+  String profilesSwitchFailed(String error) {
+    return 'Impossible de changer de profil : $error';
+  }
+
+  @override
+  String profilesCreateFailed(String error) {
+    return 'Impossible de créer le profil : $error';
+  }
+
+  @override
+  String profilesRenameFailed(String error) {
+    return 'Impossible de renommer le profil : $error';
+  }
+
+  @override
+  String profilesDeleteFailed(String error) {
+    return 'Impossible de supprimer le profil : $error';
+  }
+
+  @override
+  String get allDates => 'Toutes les dates';
+
+  @override
+  String dateRange(String start, String end) {
+    return '$start – $end';
+  }
+
+  @override
+  String get allBudgets => 'Tous les budgets';
+
+  @override
+  String get backupTitle => 'Export et sauvegarde';
+
+  @override
+  String get backupExport => 'Exporter';
+
+  @override
+  String get backupExportCsv => 'Exporter en CSV';
+
+  @override
+  String get backupExportBackup => 'Exporter une sauvegarde';
+
+  @override
+  String get backupSaveExport => 'Enregistrer l\'export';
+
+  @override
+  String backupSaved(String fileName) {
+    return '$fileName enregistré';
+  }
+
+  @override
+  String get backupRestore => 'Restaurer';
+
+  @override
+  String get backupRestoreHint =>
+      'Restaurer un fichier de sauvegarde dans ce profil.';
+
+  @override
+  String get backupRestoreBackup => 'Restaurer une sauvegarde';
+
+  @override
+  String get backupRestoreTitle => 'Restaurer la sauvegarde';
+
+  @override
+  String backupRestoreSummary(String date, int transactions, int budgets, int categories) {
+    String _temp0 = intl.Intl.pluralLogic(
+      transactions,
+      locale: localeName,
+      other: '$transactions transactions',
+      one: '1 transaction',
+    );
+    String _temp1 = intl.Intl.pluralLogic(
+      budgets,
+      locale: localeName,
+      other: '$budgets budgets',
+      one: '1 budget',
+    );
+    String _temp2 = intl.Intl.pluralLogic(
+      categories,
+      locale: localeName,
+      other: '$categories catégories',
+      one: '1 catégorie',
+    );
+    return 'Sauvegarde du $date avec $_temp0, $_temp1 et $_temp2.';
+  }
+
+  @override
+  String get backupRestorePartialHint =>
+      'Il s\'agit d\'une sauvegarde filtrée : elle ne peut être que fusionnée avec les données actuelles.';
+
+  @override
+  String get backupRestoreModeHint =>
+      'Remplacer supprime les données actuelles absentes de la sauvegarde. Fusionner les conserve, ainsi que les modifications faites après la sauvegarde.';
+
+  @override
+  String get backupReplace => 'Remplacer';
+
+  @override
+  String get backupMerge => 'Fusionner';
+
+  @override
+  String backupRestored(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count éléments restaurés',
+      one: '1 élément restauré',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String backupRestoredKept(int count) {
+    return ', $count plus récents conservés';
+  }
+
+  @override
+  String backupRestoredRemoved(int count) {
+    return ', $count supprimés';
+  }
+
+  @override
+  String backupExportFailed(String error) {
+    return 'Impossible d\'exporter les données : $error';
+  }
+
+  @override
+  String backupRestoreFailed(String error) {
+    return 'Impossible de restaurer la sauvegarde : $error';
+  }
+
+  @override
+  String get backupNotABackup =>
+      'Ce n\'est pas un fichier de sauvegarde Centabit';
+
+  @override
+  String get backupFromNewerVersion =>
+      'Cette sauvegarde a été créée par une version plus récente de Centabit';
+
+  @override
+  String backupDamaged(String error) {
+    return 'Le fichier de sauvegarde est endommagé ($error)';
+  }
+
+  @override
+  String get backupPartialMergeOnly =>
+      'Une sauvegarde filtrée ne peut être que fusionnée avec les données actuelles';
+
+  @override
+  String get exchangeRatesTitle => 'Devises';
+
+  @override
+  String get exchangeRatesImport => 'Importer des taux';
+
+  @override
+  String get exchangeRatesAdd => 'Ajouter un taux';
+
+  @override
+  String exchangeRatesImported(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count taux importés',
+      one: '1 taux importé',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get exchangeRatesDefaultCurrency => 'Devise par défaut';
+
+  @override
+  String get exchangeRatesDefaultCurrencySubtitle =>
+      'Nouvelles transactions, budgets et synthèses';
+
+  @override
+  String get exchangeRatesSection => 'Taux de change';
+
+  @override
+  String get exchangeRatesEmpty =>
+      'Aucun taux pour l\'instant. Les montants dans d\'autres devises comptent 1:1 tant que vous n\'en ajoutez pas.';
+
+  @override
+  String exchangeRatesUpdated(String date) {
+    return 'Mis à jour le $date';
+  }
+
+  @override
+  String get exchangeRatesDeleteTitle => 'Supprimer le taux';
+
+  @override
+  String exchangeRatesDeleteMessage(String pair) {
+    return 'Supprimer le taux $pair ? Les montants qui en dépendent comptent 1:1 jusqu\'à ce que vous l\'ajoutiez à nouveau.';
+  }
+
+  @override
+  String get exchangeRatesAddTitle => 'Ajouter un taux';
+
+  @override
+  String get exchangeRatesEditTitle => 'Modifier le taux';
+
+  @override
+  String get exchangeRatesUnitOf => '1 unité de';
+
+  @override
+  String get exchangeRatesCosts => 'Vaut';
+
+  @override
+  String get exchangeRatesRate => 'Taux';
+
+  @override
+  String get exchangeRatesSameCurrency => 'Choisissez deux devises différentes';
+
+  @override
+  String get exchangeRatesRatePositive => 'Le taux doit être supérieur à 0';
+
+  @override
+  String exchangeRatesSaveFailed(String error) {
+    return 'Impossible d\'enregistrer le taux : $error';
+  }
+
+  @override
+  String exchangeRatesDeleteFailed(String error) {
+    return 'Impossible de supprimer le taux : $error';
+  }
+
+  @override
+  String exchangeRatesImportFailed(String error) {
+    return 'Impossible d\'importer les taux : $error';
+  }
+
+  @override
+  String exchangeRatesDefaultCurrencyFailed(String error) {
+    return 'Impossible de changer la devise par défaut : $error';
+  }
+
+  @override
+  String exchangeRatesParseFields(int line) {
+    return 'Ligne $line : BASE,COTÉE,TAUX attendu';
+  }
+
+  @override
+  String exchangeRatesParseCodes(int line) {
+    return 'Ligne $line : les devises doivent être des codes à 3 lettres comme EUR';
+  }
+
+  @override
+  String exchangeRatesParseSamePair(int line, String currency) {
+    return 'Ligne $line : $currency ne peut pas être cotée en elle-même';
+  }
+
+  @override
+  String exchangeRatesParseRate(int line) {
+    return 'Ligne $line : le taux doit être un nombre supérieur à 0';
+  }
+
+  @override
+  String get amountRequired => 'Le montant est obligatoire';
+
+  @override
+  String get amountPositive => 'Le montant doit être supérieur à 0';
+
+  @override
+  String get budgetNameRequired => 'Le nom du budget est obligatoire';
+
+  @override
+  String get allocationsRequired => 'Ajoutez au moins une allocation';
+
+  @override
+  String allocationsExceedBudget(String allocated, String budget) {
+    return 'Le total alloué ($allocated) dépasse le budget ($budget)';
+  }
+
+  @override
+  String get allocationsDuplicateCategory =>
+      'Catégories en double. Chaque catégorie ne peut être allouée qu\'une fois';
+
+  @override
+  String get allocationsAmountPositive =>
+      'Tous les montants alloués doivent être supérieurs à 0';
+
+  @override
+  String budgetCreateFailed(String error) {
+    return 'Impossible de créer le budget : $error';
+  }
+
+  @override
+  String budgetUpdateFailed(String error) {
+    return 'Impossible de mettre à jour le budget : $error';
+  }
+
+  @override
+  String budgetDeleteFailed(String error) {
+    return 'Impossible de supprimer le budget : $error';
+  }
+
+  @override
+  String budgetRollOverFailed(String error) {
+    return 'Impossible de reconduire le budget : $error';
+  }
+
+  @override
+  String templateSaveFailed(String error) {
+    return 'Impossible d\'enregistrer le modèle : $error';
+  }
+
+  @override
+  String templateRenameFailed(String error) {
+    return 'Impossible de renommer le modèle : $error';
+  }
+
+  @override
+  String templateDeleteFailed(String error) {
+    return 'Impossible de supprimer le modèle : $error';
+  }
+
+  @override
+  String get chartBar => 'Barres';
+
+  @override
+  String get chartPie => 'Secteurs';
+
+  @override
+  String budgetStatusUpcoming(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'À venir • Commence dans $days jours',
+      one: 'À venir • Commence demain',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusActive(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Actif • $days jours restants',
+      zero: 'Actif • Dernier jour',
+      one: 'Actif • 1 jour restant',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String budgetStatusExpired(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Expiré • Terminé il y a $days jours',
+      one: 'Expiré • Terminé hier',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get error => 'Erreur';
+
+  @override
+  String get create => 'Créer';
+
+  @override
+  String get update => 'Mettre à jour';
+
+  @override
+  String get amount => 'Montant';
+
+  @override
+  String get amountHint => 'Saisissez un montant';
+
+  @override
+  String get category => 'Catégorie';
+
+  @override
+  String get categoryRequired => 'Veuillez choisir une catégorie';
+
+  @override
+  String get categorySelect => 'Choisir une catégorie';
+
+  @override
+  String get categoriesNoneAvailable =>
+      'Aucune catégorie disponible. Créez d\'abord des catégories.';
+
+  @override
+  String get categoryCreate => 'Créer une catégorie';
+
+  @override
+  String get categoryCreateFirst => 'Créer une catégorie';
+
+  @override
+  String get unknownCategory => 'Catégorie inconnue';
+
+  @override
+  String get startDate => 'Date de début';
+
+  @override
+  String get startDateRequired => 'La date de début est obligatoire';
+
+  @override
+  String get endDate => 'Date de fin';
+
+  @override
+  String get endDateRequired => 'La date de fin est obligatoire';
+
+  @override
+  String transactionCount(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transactions',
+      one: '1 transaction',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String chartLegendEntry(String label, String amount) {
+    return '$label : $amount';
+  }
+
+  @override
+  String get chartNoAllocations => 'Aucune allocation à afficher';
+
+  @override
+  String get budgetsTitle => 'Budgets';
+
+  @override
+  String get budgetsEmpty => 'Aucun budget pour l\'instant';
+
+  @override
+  String get budgetsEmptyMessage =>
+      'Créez votre premier budget pour suivre vos dépenses';
+
+  @override
+  String get budgetsEmptyHint =>
+      'Appuyez sur le bouton + ci-dessus pour commencer';
+
+  @override
+  String get budgetsLoadError => 'Erreur de chargement des budgets';
+
+  @override
+  String get budgetUpcoming => 'À venir';
+
+  @override
+  String get budgetActive => 'Actif';
+
+  @override
+  String get budgetExpired => 'Expiré';
+
+  @override
+  String budgetAllocatedOfTotal(String allocated, String total) {
+    return '$allocated / $total';
+  }
+
+  @override
+  String get budgetDetailsTitle => 'Détails du budget';
+
+  @override
+  String get budgetSaveAsTemplate => 'Enregistrer comme modèle';
+
+  @override
+  String get budgetRollOverAction => 'Reconduire sur la période suivante';
+
+  @override
+  String get budgetBreakdown => 'Répartition';
+
+  @override
+  String get budgetAllocationsBreakdown => 'Répartition des allocations';
+
+  @override
+  String budgetRecentTransactions(int count) {
+    return 'Transactions récentes ($count)';
+  }
+
+  @override
+  String get budgetBackToBudgets => 'Retour aux budgets';
+
+  @override
+  String get budgetNoDataTitle => 'Pas encore de données';
+
+  @override
+  String get budgetNoDataMessage =>
+      'Ajoutez des allocations et des transactions pour voir les détails.';
+
+  @override
+  String get budgetDeleteTitle => 'Supprimer le budget';
+
+  @override
+  String get budgetSummary => 'Résumé du budget';
+
+  @override
+  String get budgetTotal => 'Budget total';
+
+  @override
+  String get budgetAllocated => 'Alloué';
+
+  @override
+  String get budgetSpent => 'Dépensé';
+
+  @override
+  String get budgetRemaining => 'Restant';
+
+  @override
+  String get budgetUnallocated => 'Non alloué';
+
+  @override
+  String budgetHealth(String value) {
+    return 'Santé du budget (BAR) : $value';
+  }
+
+  @override
+  String get barStatusOverspending =>
+      'Dépassement : ajustez votre rythme de dépenses';
+
+  @override
+  String get barStatusClose => 'Proche du budget : surveillez de près';
+
+  @override
+  String get barStatusOnTrack => 'Dans les temps : dépenses dans le budget';
+
+  @override
+  String get budgetCreate => 'Créer le budget';
+
+  @override
+  String get budgetUpdate => 'Mettre à jour le budget';
+
+  @override
+  String get budgetCreated => 'Budget créé';
+
+  @override
+  String get budgetUpdated => 'Budget mis à jour';
+
+  @override
+  String get budgetName => 'Nom du budget';
+
+  @override
+  String get budgetNameHint => 'Nom du budget (ex. : décembre 2025)';
+
+  @override
+  String get budgetAmountHint => 'Montant total';
+
+  @override
+  String get budgetTotalLabel => 'Budget total :';
+
+  @override
+  String get budgetAllocatedLabel => 'Total alloué :';
+
+  @override
+  String get budgetUnallocatedLabel => 'Non alloué :';
+
+  @override
+  String get budgetRollOverTitle => 'Reconduire le budget';
+
+  @override
+  String get budgetRollOver => 'Reconduire';
+
+  @override
+  String get budgetCarryOver => 'Reporter les montants non dépensés';
+
+  @override
+  String get budgetCarryOverSubtitle =>
+      'Ajoute ce qui reste de chaque allocation';
+
+  @override
+  String get allocations => 'Allocations';
+
+  @override
+  String get allocationsEmpty =>
+      'Aucune allocation pour l\'instant. Choisissez une catégorie ci-dessus pour en ajouter une.';
+
+  @override
+  String get allocationsAllCategories => 'Toutes les catégories sont allouées';
+
+  @override
+  String get allocationAdd => 'Ajouter une allocation';
+
+  @override
+  String get allocationAddTitle => 'Ajouter une allocation';
+
+  @override
+  String get allocationEditTitle => 'Modifier l\'allocation';
+
+  @override
+  String get allocationDelete => 'Supprimer l\'allocation';
+
+  @override
+  String allocationBudgeted(String amount) {
+    return 'Prévu : $amount';
+  }
+
+  @override
+  String allocationSpent(String amount, String percent) {
+    return 'Dépensé : $amount ($percent)';
+  }
+
+  @override
+  String allocationRemaining(String amount) {
+    return 'Restant : $amount';
+  }
+
+  @override
+  String get templatesTitle => 'Modèles de budget';
+
+  @override
+  String get templatesEmpty => 'Aucun modèle de budget';
+
+  @override
+  String get templatesEmptyHint =>
+      'Ouvrez un budget et choisissez « Enregistrer comme modèle »';
+
+  @override
+  String templateSummary(String amount, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count catégories',
+      one: '1 catégorie',
+    );
+    return '$amount · $_temp0';
+  }
+
+  @override
+  String get templateName => 'Nom du modèle';
+
+  @override
+  String get templateSaveTitle => 'Enregistrer comme modèle';
+
+  @override
+  String templateSaved(String name) {
+    return 'Modèle « $name » enregistré';
+  }
+
+  @override
+  String get templateRenameTitle => 'Renommer le modèle';
+
+  @override
+  String get templateDeleteTitle => 'Supprimer le modèle';
+
+  @override
+  String templateDeleteMessage(String name) {
+    return 'Supprimer « $name » ? Les budgets créés à partir de ce modèle sont conservés.';
+  }
+
+  @override
+  String get nameRequired => 'Le nom est obligatoire';
+
+  @override
+  String get cannotBeUndone => 'Cette action est irréversible.';
+
+  @override
+  String get categoryName => 'Nom de la catégorie';
+
+  @override
+  String get categoryNameExists => 'Ce nom de catégorie existe déjà';
+
+  @override
+  String get categoryAdd => 'Ajouter une catégorie';
+
+  @override
+  String get categoryUpdate => 'Mettre à jour la catégorie';
+
+  @override
+  String get categoryCreated => 'Catégorie créée';
+
+  @override
+  String get categoryUpdated => 'Catégorie mise à jour';
+
+  @override
+  String get categoryIconRequired => 'Veuillez choisir une icône';
+
+  @override
+  String get categoryIconSearchHint => 'Rechercher des icônes...';
+
+  @override
+  String get categoryDeleteTitle => 'Supprimer la catégorie ?';
+
+  @override
+  String categoryCreateFailed(String error) {
+    return 'Impossible de créer la catégorie : $error';
+  }
+
+  @override
+  String categoryUpdateFailed(String error) {
+    return 'Impossible de mettre à jour la catégorie : $error';
+  }
+
+  @override
+  String categoryDeleteFailed(String error) {
+    return 'Impossible de supprimer la catégorie : $error';
+  }
+
+  @override
+  String titleWithCount(String title, int count) {
+    return '$title ($count)';
+  }
+
+  @override
+  String transactionCountShort(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count trans.',
+      one: '1 trans.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String dashboardGreeting(String name) {
+    return 'Bonjour $name';
+  }
+
+  @override
+  String chartTooltip(String category, String series, String amount) {
+    return '$category ($series) : $amount';
+  }
+
+  @override
+  String budgetSpentAmount(String amount) {
+    return 'Dépensé : $amount';
+  }
+
+  @override
+  String budgetRemainingAmount(String amount) {
+    return 'Restant : $amount';
+  }
+
+  @override
+  String noExchangeRate(String currencies, String currency) {
+    return 'Aucun taux de change de $currencies vers $currency : compté 1:1';
+  }
+
+  @override
+  String monthlyBreakdownTitle(String month) {
+    return 'Répartition de $month';
+  }
+
+  @override
+  String get monthlyBreakdownTitleGeneric => 'Répartition mensuelle';
+
+  @override
+  String get monthlyBudgeted => 'Budgétisé';
+
+  @override
+  String get monthlyUnassigned => 'Non affecté';
+
+  @override
+  String get monthlyBudgetedTransactions => 'Transactions budgétisées';
+
+  @override
+  String get monthlyUnassignedTransactions => 'Transactions non affectées';
+
+  @override
+  String get monthlyNoTransactions => 'Aucune transaction dans cette catégorie';
+
+  @override
+  String get monthlyViewBreakdown => 'Voir la répartition complète';
+
+  @override
+  String get allocation => 'Allocation';
+
+  @override
+  String get transaction => 'Transaction';
+
+  @override
+  String get conflictsTitle => 'Examiner les conflits';
+
+  @override
+  String get conflictsEmpty => 'Aucun conflit à examiner';
+
+  @override
+  String conflictDetected(String date) {
+    return 'Détecté le $date';
+  }
+
+  @override
+  String get conflictThisDevice => 'Cet appareil';
+
+  @override
+  String get conflictOtherDevice => 'Autre appareil';
+
+  @override
+  String get conflictKeepBoth => 'Garder les deux';
+
+  @override
+  String get conflictKeepTheirs => 'Garder l\'autre';
+
+  @override
+  String get conflictKeepMine => 'Garder la mienne';
+
+  @override
+  String get conflictDeleted => 'Supprimé';
+
+  @override
+  String get conflictKept => 'Conservé';
+
+  @override
+  String conflictRecordTitle(String type, String name) {
+    return '$type : $name';
+  }
+
+  @override
+  String conflictResolveFailed(String error) {
+    return 'Impossible de résoudre le conflit : $error';
+  }
+
+  @override
+  String occurrenceSkipFailed(String error) {
+    return 'Impossible d\'ignorer l\'occurrence : $error';
+  }
+
+  @override
+  String occurrenceEditFailed(String error) {
+    return 'Impossible de modifier l\'occurrence : $error';
+  }
+
+  @override
+  String seriesUpdateFailed(String error) {
+    return 'Impossible de mettre à jour la série : $error';
+  }
+
+  @override
+  String seriesDeleteFailed(String error) {
+    return 'Impossible de supprimer la série : $error';
+  }
+
+  @override
+  String transactionCreateFailed(String error) {
+    return 'Impossible de créer la transaction : $error';
+  }
+
+  @override
+  String transactionUpdateFailed(String error) {
+    return 'Impossible de mettre à jour la transaction : $error';
+  }
+
+  @override
+  String transactionDeleteFailed(String error) {
+    return 'Impossible de supprimer la transaction : $error';
+  }
+
+  @override
+  String importFailed(String error) {
+    return 'Impossible d\'importer les transactions : $error';
+  }
+
+  @override
+  String importReadFailed(String file, String error) {
+    return 'Impossible de lire $file : $error';
+  }
+
+  @override
+  String get importPickAmountColumn => 'Choisissez une colonne de montant';
+
+  @override
+  String importRowInvalidDate(int row, String date, String format) {
+    return 'Ligne $row : la date « $date » ne correspond pas à « $format »';
+  }
+
+  @override
+  String importRowInvalidAmount(int row, String text) {
+    return 'Ligne $row : « $text » n\'est pas un montant';
+  }
+
+  @override
+  String get importNotOfx =>
+      'Ce n\'est pas un fichier OFX (balise <OFX> absente)';
+
+  @override
+  String importEntryInvalidDate(int entry, String date) {
+    return 'Transaction $entry : date non valide « $date »';
+  }
+
+  @override
+  String importEntryInvalidAmount(int entry, String text) {
+    return 'Transaction $entry : montant non valide « $text »';
+  }
+
+  @override
+  String importLineInvalidDate(int line, String date) {
+    return 'Ligne $line : date non valide « $date »';
+  }
+
+  @override
+  String importLineInvalidAmount(int line, String text) {
+    return 'Ligne $line : montant non valide « $text »';
+  }
+
+  @override
+  String get importedTransactionName => 'Transaction importée';
+
+  @override
+  String get done => 'Terminé';
+
+  @override
+  String get none => 'Aucune';
+
+  @override
+  String get fieldRequired => 'Obligatoire';
+
+  @override
+  String get notesOptional => 'Notes (facultatif)';
+
+  @override
+  String get transactionsTitle => 'Transactions';
+
+  @override
+  String get transactionsEmpty => 'Aucune transaction pour l\'instant';
+
+  @override
+  String get transactionDate => 'Date de la transaction';
+
+  @override
+  String get transactionTime => 'Heure de la transaction';
+
+  @override
+  String get transactionName => 'Nom de la transaction';
+
+  @override
+  String get transactionNameRequired =>
+      'Le nom de la transaction est obligatoire';
+
+  @override
+  String get transactionAddTitle => 'Ajouter une transaction';
+
+  @override
+  String get transactionEditTitle => 'Modifier la transaction';
+
+  @override
+  String get transactionCopyTitle => 'Copier la transaction';
+
+  @override
+  String get transactionCreated => 'Transaction créée';
+
+  @override
+  String get transactionUpdated => 'Transaction mise à jour';
+
+  @override
+  String get transactionDeleteTitle => 'Supprimer la transaction ?';
+
+  @override
+  String get budgetNoneSelected => 'Aucun budget';
+
+  @override
+  String get repeat => 'Répéter';
+
+  @override
+  String get repeatNever => 'Jamais';
+
+  @override
+  String get repeatDaily => 'Tous les jours';
+
+  @override
+  String get repeatWeekly => 'Toutes les semaines';
+
+  @override
+  String get repeatMonthly => 'Tous les mois (même jour)';
+
+  @override
+  String get repeatLastBusinessDay => 'Dernier jour ouvré';
+
+  @override
+  String get repeatEvery => 'Tous les';
+
+  @override
+  String get repeatIntervalInvalid => 'Saisissez 1 ou plus';
+
+  @override
+  String get repeatUnitDays => 'jour(s)';
+
+  @override
+  String get repeatUnitWeeks => 'semaine(s)';
+
+  @override
+  String get repeatUnitMonths => 'mois';
+
+  @override
+  String get upcomingTitle => 'À venir';
+
+  @override
+  String get upcomingEmpty => 'Aucune transaction récurrente';
+
+  @override
+  String get upcomingEmptyHint =>
+      'Choisissez « Répéter » en ajoutant une transaction';
+
+  @override
+  String upcomingEdited(String date) {
+    return '$date · modifiée';
+  }
+
+  @override
+  String get upcomingSkip => 'Ignorer';
+
+  @override
+  String get upcomingEditOne => 'Modifier celle-ci';
+
+  @override
+  String get upcomingEditSeries => 'Modifier la série';
+
+  @override
+  String get upcomingDeleteSeries => 'Supprimer la série';
+
+  @override
+  String get upcomingEditOneTitle => 'Modifier cette occurrence';
+
+  @override
+  String get upcomingEditSeriesTitle => 'Modifier la série';
+
+  @override
+  String get upcomingDeleteSeriesTitle => 'Supprimer la série';
+
+  @override
+  String upcomingDeleteSeriesMessage(String name) {
+    return 'Arrêter de répéter « $name » ? Les transactions déjà créées sont conservées.';
+  }
+
+  @override
+  String get importAction => 'Importer';
+
+  @override
+  String get importTitle => 'Importer un relevé';
+
+  @override
+  String get importPickTitle => 'Importer un relevé bancaire';
+
+  @override
+  String get importPickSubtitle => 'Export CSV, OFX/QFX ou QIF de votre banque';
+
+  @override
+  String get importChooseFile => 'Choisir un fichier';
+
+  @override
+  String importFileEntries(String file, int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count opérations',
+      one: '1 opération',
+    );
+    return '$file · $_temp0';
+  }
+
+  @override
+  String get importOtherFile => 'Autre fichier';
+
+  @override
+  String importSelected(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Importer $count transactions',
+      one: 'Importer 1 transaction',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String importDone(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transactions importées',
+      one: '1 transaction importée',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get importDoneHint =>
+      'Ajoutez des catégories depuis la liste des transactions';
+
+  @override
+  String get importAlreadyImported => 'Déjà importée';
+
+  @override
+  String importPossibleDuplicate(String name, String date) {
+    return 'Doublon possible de « $name » ($date)';
+  }
+
+  @override
+  String importColumn(int number) {
+    return 'Colonne $number';
+  }
+
+  @override
+  String get importSeparator => 'Séparateur';
+
+  @override
+  String get importSeparatorComma => 'Virgule';
+
+  @override
+  String get importSeparatorSemicolon => 'Point-virgule';
+
+  @override
+  String get importSeparatorTab => 'Tabulation';
+
+  @override
+  String get importHasHeader => 'La première ligne est un en-tête';
+
+  @override
+  String get importColumnDate => 'Date';
+
+  @override
+  String get importColumnDescription => 'Libellé';
+
+  @override
+  String get importSeparateAmounts => 'Colonnes séparées débit / crédit';
+
+  @override
+  String get importColumnMoneyOut => 'Débit';
+
+  @override
+  String get importColumnMoneyIn => 'Crédit';
+
+  @override
+  String get importColumnAmount => 'Montant (négatif = débit)';
+
+  @override
+  String get importDateFormat => 'Format de date';
+
+  @override
+  String get importDecimalSeparator => 'Séparateur décimal';
+
+  @override
+  String get importDecimalPoint => 'Point (1,234.56)';
+
+  @override
+  String get importDecimalComma => 'Virgule (1.234,56)';
+
+  @override
+  String get importPreview => 'Aperçu';
+
+  @override
+  String get barMessageUnder => 'Bien en dessous du budget ! 🎉';
+
+  @override
+  String get barMessageGood => 'Légèrement sous le budget ✓';
+
+  @override
+  String get barMessageOnTrack => 'Pile dans les temps ✓';
+
+  @override
+  String get barMessageWarning => 'Légèrement au-dessus du budget ⚠️';
+
+  @override
+  String get barMessageOver => 'Nettement au-dessus du budget ! 🚨';
+
+  @override
+  String barCurveLearned(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Rythme attendu appris de vos $count derniers budgets',
+      one: 'Rythme attendu appris de votre dernier budget',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String barCurveDefault(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: 'Rythme attendu par défaut, personnalisé dès que $count budgets seront terminés',
+      one: 'Rythme attendu par défaut, personnalisé dès qu\'un budget sera terminé',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String paceBar(String value) {
+    return 'BAR $value';
+  }
+
+  @override
+  String paceProjected(String amount) {
+    return 'Prévision : $amount à la fin';
+  }
+
+  @override
+  String paceProjectedOver(String amount, String over) {
+    return 'Prévision : $amount, $over de trop';
+  }
+
+  @override
+  String paceSafeDaily(String amount) {
+    return 'Dépense possible : $amount/jour';
+  }
+
+  @override
+  String paceCategoriesAtRisk(String names) {
+    return 'En voie de dépassement : $names';
+  }
+
+  @override
+  String get alertsTitle => 'Alertes';
+
+  @override
+  String get alertsInbox => 'Boîte de réception';
+
+  @override
+  String get alertsRules => 'Règles';
+
+  @override
+  String get alertsMarkAllRead => 'Tout marquer comme lu';
+
+  @override
+  String get alertsClearRead => 'Effacer les alertes lues';
+
+  @override
+  String get alertsInboxEmpty =>
+      'Aucune alerte. Elles apparaissent ici quand une de vos règles se déclenche.';
+
+  @override
+  String get alertsRulesEmpty =>
+      'Aucune règle pour l\'instant. Ajoutez-en une pour être alerté sur vos budgets.';
+
+  @override
+  String get alertsAddRule => 'Ajouter une règle';
+
+  @override
+  String get alertsEditRule => 'Modifier la règle';
+
+  @override
+  String get alertsRuleType => 'Alerter quand';
+
+  @override
+  String get alertsThresholdInvalid => 'Saisissez un nombre supérieur à 0';
+
+  @override
+  String get alertTypeBarAbove => 'Le BAR dépasse';
+
+  @override
+  String get alertTypeAllocationOver => 'Une catégorie a utilisé plus de';
+
+  @override
+  String get alertTypeBudgetEnding => 'Un budget se termine dans';
+
+  @override
+  String get alertTypeLargeTransaction => 'Une dépense atteint au moins';
+
+  @override
+  String get alertThresholdBar => 'BAR';
+
+  @override
+  String get alertThresholdPercent => 'Pourcentage de l\'allocation';
+
+  @override
+  String get alertThresholdDays => 'Jours';
+
+  @override
+  String alertThresholdAmount(String currency) {
+    return 'Montant ($currency)';
+  }
+
+  @override
+  String alertRuleBarAbove(String threshold) {
+    return 'BAR supérieur à $threshold';
+  }
+
+  @override
+  String alertRuleAllocationOver(String percent) {
+    return 'Une catégorie dépasse $percent % de son allocation';
+  }
+
+  @override
+  String alertRuleBudgetEnding(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Un budget se termine dans $days jours',
+      one: 'Un budget se termine dans 1 jour',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertRuleLargeTransaction(String amount) {
+    return 'Une dépense de $amount ou plus';
+  }
+
+  @override
+  String alertBarAbove(String budget, String bar, String threshold) {
+    return '$budget dépense plus vite que prévu : BAR $bar (au-dessus de $threshold)';
+  }
+
+  @override
+  String alertAllocationOver(String category, String percent) {
+    return '$category a utilisé $percent % de son allocation';
+  }
+
+  @override
+  String alertBudgetEnding(String budget, int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: '$budget se termine dans $days jours',
+      zero: '$budget se termine aujourd\'hui',
+      one: '$budget se termine demain',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String alertLargeTransaction(String name, String amount) {
+    return 'Dépense importante : $name ($amount)';
+  }
+
+  @override
+  String get alertsSnoozeDay => 'Suspendre le budget 1 jour';
+
+  @override
+  String get alertsSnoozeWeek => 'Suspendre le budget 7 jours';
+
+  @override
+  String get alertsMuteBudget => 'Désactiver les alertes du budget';
+
+  @override
+  String get alertsUnmute => 'Réactiver les alertes';
+
+  @override
+  String get alertsDismiss => 'Ignorer';
+
+  @override
+  String get alertsMutedSection => 'Budgets sans alertes';
+
+  @override
+  String get alertsMuted => 'Désactivé';
+
+  @override
+  String alertsSnoozedUntil(String date) {
+    return 'Suspendu jusqu\'au $date';
+  }
+
+  @override
+  String alertsUpdateFailed(String error) {
+    return 'Échec de la mise à jour des alertes : $error';
+  }
+
+  @override
+  String alertsRuleSaveFailed(String error) {
+    return 'Échec de l\'enregistrement de la règle : $error';
+  }
+
+  @override
+  String get transactionFiltersTitle => 'Filtres';
+
+  @override
+  String get transactionFilterAll => 'Toutes';
+
+  @override
+  String get transactionFilterCategories => 'Catégories';
+
+  @override
+  String get transactionFilterUnassigned => 'Hors budget';
+
+  @override
+  String get transactionFilterMinAmount => 'Montant min.';
+
+  @override
+  String get transactionFilterMaxAmount => 'Montant max.';
+
+  @override
+  String get transactionFilterHasNotes => 'Avec notes uniquement';
+
+  @override
+  String get transactionFiltersReset => 'Effacer les filtres';
+
+  @override
+  String get transactionFiltersApply => 'Appliquer';
+
+  @override
+  String get transactionFiltersNoMatch =>
+      'Aucune transaction ne correspond à ces filtres';
+
+  @override
+  String get savedSearchesTitle => 'Recherches enregistrées';
+
+  @override
+  String get recentSearchesTitle => 'Recherches récentes';
+
+  @override
+  String get recentSearchesClear => 'Effacer';
+
+  @override
+  String get savedSearchSave => 'Enregistrer la recherche';
+
+  @override
+  String get savedSearchName => 'Nom';
+
+  @override
+  String savedSearchSaved(String name) {
+    return 'Recherche « $name » enregistrée';
+  }
+
+  @override
+  String savedSearchSaveFailed(String error) {
+    return 'Impossible d\'enregistrer la recherche : $error';
+  }
+
+  @override
+  String savedSearchUpdateFailed(String error) {
+    return 'Impossible de mettre à jour les recherches : $error';
+  }
+
+  @override
+  String get undo => 'Annuler';
+
+  @override
+  String get budgetDeleted => 'Budget supprimé';
+
+  @override
+  String get deleteMovesToTrash =>
+      'L\'élément sera déplacé dans la corbeille, d\'où vous pourrez le restaurer.';
+
+  @override
+  String get trashTitle => 'Corbeille';
+
+  @override
+  String get trashEmpty => 'La corbeille est vide';
+
+  @override
+  String get trashEmptyAction => 'Vider la corbeille';
+
+  @override
+  String get trashEmptyTitle => 'Vider la corbeille ?';
+
+  @override
+  String get trashPurgeTitle => 'Supprimer définitivement ?';
+
+  @override
+  String get trashPurge => 'Supprimer définitivement';
+
+  @override
+  String get trashRestore => 'Restaurer';
+
+  @override
+  String trashRetentionNotice(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: 'Les éléments sont supprimés définitivement $days jours après leur suppression.',
+      one: 'Les éléments sont supprimés définitivement 1 jour après leur suppression.',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String trashDeletedOn(String date) {
+    return 'Supprimé le $date';
+  }
+
+  @override
+  String get trashTypeTransaction => 'Transaction';
+
+  @override
+  String get trashTypeBudget => 'Budget';
+
+  @override
+  String get trashTypeCategory => 'Catégorie';
+
+  @override
+  String get trashTypeAllocation => 'Allocation';
+
+  @override
+  String trashLoadFailed(String error) {
+    return 'Impossible de charger la corbeille : $error';
+  }
+
+  @override
+  String trashUpdateFailed(String error) {
+    return 'Impossible de mettre à jour la corbeille : $error';
+  }
+
+  @override
+  String get settingsDeletedItems => 'Éléments supprimés';
+
+  @override
+  String get settingsDeletedItemsSubtitle =>
+      'Restaurer ou supprimer définitivement';
+
+  @override
+  String get settingsTrashRetention => 'Conserver les éléments supprimés';
+
+  @override
+  String settingsTrashRetentionDays(int days) {
+    String _temp0 = intl.Intl.pluralLogic(
+      days,
+      locale: localeName,
+      other: '$days jours',
+      one: '1 jour',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteUsedBy => 'Éléments liés :';
+
+  @override
+  String deleteImpactTransactions(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transactions',
+      one: '1 transaction',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactAllocations(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count allocations de budget',
+      one: '1 allocation de budget',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String deleteImpactRecurring(int count) {
+    String _temp0 = intl.Intl.pluralLogic(
+      count,
+      locale: localeName,
+      other: '$count transactions récurrentes',
+      one: '1 transaction récurrente',
+    );
+    return '$_temp0';
+  }
+
+  @override
+  String get deleteDependentsToo => 'Les supprimer aussi';
+
+  @override
+  String get deleteChooseTarget => 'Choisir où';
+
+  @override
+  String get categoryDeleteReassign => 'Les déplacer vers une autre catégorie';
+
+  @override
+  String get categoryDeleteUnassign => 'Les garder sans catégorie';
+
+  @override
+  String get categoryDeleteAllocationsNote =>
+      'Une allocation a besoin d\'une catégorie : si elles ne sont pas déplacées, elles sont supprimées.';
+
+  @override
+  String get categoryDeleteRecurringNote =>
+      'Les transactions récurrentes ne sont jamais supprimées : si elles ne sont pas déplacées, elles continuent sans catégorie.';
+
+  @override
+  String get budgetDeleteReassign =>
+      'Déplacer ses transactions vers un autre budget';
+
+  @override
+  String get budgetDeleteUnassign => 'Garder ses transactions sans budget';
+
+  @override
+  String get budgetDeleteAllocationsNote =>
+      'Ses allocations sont supprimées avec lui.';
+
+  @override
+  String get categoryColorAutomatic => 'Couleur automatique';
+
+  @override
+  String get categoryParent => 'Catégorie parente';
+
+  @override
+  String get categoryParentNone => 'Aucune (catégorie principale)';
+
+  @override
+  String get categoryMerge => 'Fusionner';
+
+  @override
+  String categoryMergeTitle(String name) {
+    return 'Fusionner « $name » avec';
+  }
+
+  @override
+  String get categoryMergeMoves => 'Déplacé vers la catégorie choisie :';
+
+  @override
+  String categoryMergeMessage(String name) {
+    return '« $name » passe ensuite à la corbeille, et ses sous-catégories passent sous la catégorie choisie si elle peut en avoir.';
+  }
+
+  @override
+  String categoryMergeFailed(String error) {
+    return 'Impossible de fusionner la catégorie : $error';
+  }
+
+  @override
+  String get categoryDeleteSubcategoriesNote =>
+      'Ses sous-catégories passent sous la catégorie choisie ci-dessus si elle peut en avoir, ou deviennent des catégories principales.';
+
+  @override
+  String get transactionSplit => 'Répartir entre catégories';
+
+  @override
+  String get transactionSplitLines => 'Répartition';
+
+  @override
+  String get transactionSplitAddLine => 'Ajouter une ligne';
+
+  @override
+  String get transactionSplitRemoveLine => 'Retirer la ligne';
+
+  @override
+  String transactionSplitRemaining(String amount) {
+    return 'Reste à répartir : $amount';
+  }
+
+  @override
+  String get transactionSplitCategoryRequired =>
+      'Choisissez une catégorie pour chaque ligne';
+
+  @override
+  String get transactionSplitAmountPositive =>
+      'Chaque ligne doit avoir un montant supérieur à 0';
+
+  @override
+  String get transactionSplitSumMismatch =>
+      'La somme des lignes doit être égale au montant';
+
+  @override
+  String get rulesTitle => 'Règles de catégorisation';
+
+  @override
+  String get settingsRulesSubtitle =>
+      'Complètent les transactions nouvelles et importées';
+
+  @override
+  String get rulesAdd => 'Ajouter une règle';
+
+  @override
+  String get rulesEdit => 'Modifier la règle';
+
+  @override
+  String get rulesEmpty =>
+      'Aucune règle pour l\'instant. Une règle définit la catégorie, le budget ou le nom des transactions que vous ajoutez ou importez, p. ex. tout ce qui contient « uber » va dans Transport.';
+
+  @override
+  String get ruleNameContains => 'Le nom contient';
+
+  @override
+  String get ruleNameRegex => 'Expression régulière';
+
+  @override
+  String get ruleRegexInvalid => 'Expression régulière non valide';
+
+  @override
+  String get ruleMinAmount => 'Montant minimum';
+
+  @override
+  String get ruleMaxAmount => 'Montant maximum';
+
+  @override
+  String get ruleAmountRangeInvalid => 'Ne peut pas être inférieur au minimum';
+
+  @override
+  String get ruleSetCategory => 'Définir la catégorie';
+
+  @override
+  String get ruleSetBudget => 'Définir le budget';
+
+  @override
+  String get ruleNoChange => 'Ne pas modifier';
+
+  @override
+  String get ruleRenameTo => 'Renommer en';
+
+  @override
+  String get ruleConditionRequired =>
+      'Ajoutez un nom ou un montant à reconnaître';
+
+  @override
+  String get ruleActionRequired => 'Choisissez ce que la règle définit';
+
+  @override
+  String ruleSaveFailed(String error) {
+    return 'Impossible d\'enregistrer la règle : $error';
+  }
+
+  @override
+  String get ruleSaved => 'Règle enregistrée';
+
+  @override
+  String get ruleCreateFromTransaction =>
+      'Créer une règle à partir de cette transaction';
+
+  @override
+  String ruleConditionContains(String pattern) {
+    return 'Le nom contient « $pattern »';
+  }
+
+  @override
+  String ruleConditionMatches(String pattern) {
+    return 'Le nom correspond à /$pattern/';
+  }
+
+  @override
+  String ruleConditionAmountBetween(String min, String max) {
+    return 'Montant de $min à $max';
+  }
+
+  @override
+  String ruleConditionAmountAtLeast(String min) {
+    return 'Montant de $min ou plus';
+  }
+
+  @override
+  String ruleConditionAmountAtMost(String max) {
+    return 'Montant jusqu\'à $max';
+  }
+
+  @override
+  String ruleActionRename(String name) {
+    return 'Renommer en « $name »';
+  }
+
+  @override
+  String categorySuggested(String name) {
+    return 'Suggérée : $name';
+  }
+}
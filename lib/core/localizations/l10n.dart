@@ -0,0 +1,36 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:flutter/widgets.dart';
+import 'package:intl/intl.dart';
+
+/// Localized strings for code without a BuildContext
+///
+/// Widgets use `AppLocalizations.of(context)`. Cubits (error messages) and
+/// formatters ("Today") use [current] instead, which follows the locale the
+/// app resolved: MainApp calls [setLocale] whenever it changes.
+///
+/// **Usage**:
+/// ```dart
+/// emit(BudgetListState.error(L10n.current.failedToDelete('$e')));
+/// ```
+class L10n {
+  L10n._(); // Private constructor to prevent instantiation
+
+  static AppLocalizations _current = lookupAppLocalizations(
+    const Locale('en'),
+  );
+
+  /// Strings of the app's current locale (English until [setLocale])
+  static AppLocalizations get current => _current;
+
+  /// Switch [current] to [locale], and make it intl's default locale so
+  /// `DateFormat` and `NumberFormat` follow it
+  static void setLocale(Locale locale) {
+    final localizations = lookupAppLocalizations(locale);
+    if (localizations.localeName == _current.localeName &&
+        Intl.defaultLocale == localizations.localeName) {
+      return;
+    }
+    _current = localizations;
+    Intl.defaultLocale = localizations.localeName;
+  }
+}
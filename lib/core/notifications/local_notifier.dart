@@ -0,0 +1,92 @@
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:flutter_local_notifications/flutter_local_notifications.dart';
+
+/// Shows local (on-device) notifications
+///
+/// Thin wrapper around flutter_local_notifications so callers (the budget
+/// alert service) don't deal with platform settings. Best-effort: a
+/// platform without support, or a denied permission, only logs a warning;
+/// the alert stays in the in-app inbox either way.
+///
+/// **Usage**:
+/// ```dart
+/// await notifier.initialize(); // once, at startup
+/// await notifier.show(id: alert.id, title: title, body: body);
+/// ```
+class LocalNotifier {
+  final FlutterLocalNotificationsPlugin _plugin;
+  bool _isInitialized = false;
+
+  static const _channelId = 'budget_alerts';
+  static const _channelName = 'Budget alerts';
+
+  LocalNotifier([FlutterLocalNotificationsPlugin? plugin])
+      : _plugin = plugin ?? FlutterLocalNotificationsPlugin();
+
+  /// Set up the plugin and ask for permission (Android 13+, iOS, macOS)
+  Future<void> initialize() async {
+    try {
+      const darwin = DarwinInitializationSettings();
+      await _plugin.initialize(
+        const InitializationSettings(
+          android: AndroidInitializationSettings('@mipmap/ic_launcher'),
+          iOS: darwin,
+          macOS: darwin,
+          linux: LinuxInitializationSettings(defaultActionName: 'Open'),
+        ),
+      );
+      await _plugin
+          .resolvePlatformSpecificImplementation<
+              AndroidFlutterLocalNotificationsPlugin>()
+          ?.requestNotificationsPermission();
+      await _plugin
+          .resolvePlatformSpecificImplementation<
+              IOSFlutterLocalNotificationsPlugin>()
+          ?.requestPermissions(alert: true, badge: true, sound: true);
+      await _plugin
+          .resolvePlatformSpecificImplementation<
+              MacOSFlutterLocalNotificationsPlugin>()
+          ?.requestPermissions(alert: true, badge: true, sound: true);
+      _isInitialized = true;
+    } catch (e, stackTrace) {
+      AppLogger.instance.warning(
+        '[LocalNotifier] Notifications unavailable',
+        error: e,
+        stackTrace: stackTrace,
+      );
+    }
+  }
+
+  /// Show a notification; [id] (e.g. the alert id) keeps one per alert
+  Future<void> show({
+    required String id,
+    required String title,
+    required String body,
+  }) async {
+    if (!_isInitialized) return;
+
+    try {
+      await _plugin.show(
+        id.hashCode & 0x7fffffff,
+        title,
+        body,
+        const NotificationDetails(
+          android: AndroidNotificationDetails(
+            _channelId,
+            _channelName,
+            importance: Importance.high,
+            priority: Priority.high,
+          ),
+          iOS: DarwinNotificationDetails(),
+          macOS: DarwinNotificationDetails(),
+        ),
+      );
+    } catch (e, stackTrace) {
+      AppLogger.instance.warning(
+        '[LocalNotifier] Failed to show notification',
+        error: e,
+        stackTrace: stackTrace,
+      );
+    }
+  }
+}
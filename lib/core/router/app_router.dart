@@ -4,9 +4,20 @@ import 'package:go_router/go_router.dart';
 import '../../core/di/injection.dart';
 import '../../core/router/navigation/custom_page_view_shell.dart';
 import '../../core/router/navigation/nav_cubit.dart';
+import '../../features/alerts/presentation/pages/alerts_page.dart';
 import '../../features/auth/presentation/pages/login_page.dart';
+import '../../features/auth/presentation/pages/profiles_page.dart';
+import '../../features/backup/presentation/pages/data_backup_page.dart';
 import '../../features/budgets/presentation/pages/budget_details_page.dart';
+import '../../features/budgets/presentation/pages/budget_templates_page.dart';
+import '../../features/categories/presentation/pages/categorization_rules_page.dart';
+import '../../features/currency/presentation/pages/exchange_rates_page.dart';
 import '../../features/dashboard/presentation/pages/monthly_overview_detail_page.dart';
+import '../../features/settings/presentation/pages/settings_page.dart';
+import '../../features/sync/presentation/pages/conflict_review_page.dart';
+import '../../features/transactions/presentation/pages/transaction_import_page.dart';
+import '../../features/transactions/presentation/pages/upcoming_transactions_page.dart';
+import '../../features/trash/presentation/pages/trash_page.dart';
 
 /// Application router configuration using go_router
 ///
@@ -59,6 +70,73 @@ class AppRouter {
               return BudgetDetailsPage(budgetId: id);
             },
           ),
+          // Sync conflict review sub-route
+          GoRoute(
+            path: 'sync-conflicts',
+            name: 'sync-conflicts',
+            builder: (context, state) => const ConflictReviewPage(),
+          ),
+          // Profile switching sub-route
+          GoRoute(
+            path: 'profiles',
+            name: 'profiles',
+            builder: (context, state) => const ProfilesPage(),
+          ),
+          // Data export and backup restore sub-route
+          GoRoute(
+            path: 'backup',
+            name: 'backup',
+            builder: (context, state) => const DataBackupPage(),
+          ),
+          // App settings sub-route
+          GoRoute(
+            path: 'settings',
+            name: 'settings',
+            builder: (context, state) => const SettingsPage(),
+          ),
+          // Default currency and exchange rates sub-route
+          GoRoute(
+            path: 'exchange-rates',
+            name: 'exchange-rates',
+            builder: (context, state) => const ExchangeRatesPage(),
+          ),
+          // Budget templates sub-route (not under budgets/ - that path
+          // takes a budget ID)
+          GoRoute(
+            path: 'budget-templates',
+            name: 'budget-templates',
+            builder: (context, state) => const BudgetTemplatesPage(),
+          ),
+          // Upcoming recurring transactions sub-route
+          GoRoute(
+            path: 'upcoming',
+            name: 'upcoming',
+            builder: (context, state) => const UpcomingTransactionsPage(),
+          ),
+          // Bank statement import sub-route
+          GoRoute(
+            path: 'import-transactions',
+            name: 'import-transactions',
+            builder: (context, state) => const TransactionImportPage(),
+          ),
+          // Budget alerts (inbox and rules) sub-route
+          GoRoute(
+            path: 'alerts',
+            name: 'alerts',
+            builder: (context, state) => const AlertsPage(),
+          ),
+          // Categorization rules for new transactions sub-route
+          GoRoute(
+            path: 'categorization-rules',
+            name: 'categorization-rules',
+            builder: (context, state) => const CategorizationRulesPage(),
+          ),
+          // Deleted records (restore or purge) sub-route
+          GoRoute(
+            path: 'trash',
+            name: 'trash',
+            builder: (context, state) => const TrashPage(),
+          ),
         ],
       ),
     ],
@@ -1,5 +1,6 @@
 import 'dart:ui';
 
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/router/navigation/nav_cubit.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
@@ -87,9 +88,9 @@ class NavActionButton extends StatelessWidget {
         break;
       default:
         ScaffoldMessenger.of(context).showSnackBar(
-          const SnackBar(
-            content: Text('Action coming soon'),
-            duration: Duration(milliseconds: 800),
+          SnackBar(
+            content: Text(AppLocalizations.of(context).actionComingSoon),
+            duration: const Duration(milliseconds: 800),
           ),
         );
         break;
@@ -34,6 +34,10 @@ class NavState {
   /// Optional filter action widget for search bar (e.g., CustomDatePicker)
   final Widget? filterActionWidget;
 
+  /// Optional suggestions shown above the search bar in search mode
+  /// (e.g., recent and saved searches)
+  final Widget? searchSuggestionsWidget;
+
   const NavState({
     required this.selectedIndex,
     required this.previousIndex,
@@ -44,6 +48,7 @@ class NavState {
     this.searchScope = '',
     this.isNavBarVisible = true,
     this.filterActionWidget,
+    this.searchSuggestionsWidget,
   });
 
   /// Create a copy of this state with optional field replacements
@@ -57,6 +62,7 @@ class NavState {
     String? searchScope,
     bool? isNavBarVisible,
     Widget? filterActionWidget,
+    Widget? searchSuggestionsWidget,
   }) {
     return NavState(
       selectedIndex: selectedIndex ?? this.selectedIndex,
@@ -68,6 +74,8 @@ class NavState {
       searchScope: searchScope ?? this.searchScope,
       isNavBarVisible: isNavBarVisible ?? this.isNavBarVisible,
       filterActionWidget: filterActionWidget ?? this.filterActionWidget,
+      searchSuggestionsWidget:
+          searchSuggestionsWidget ?? this.searchSuggestionsWidget,
     );
   }
 }
@@ -125,6 +133,11 @@ class NavCubit extends Cubit<NavState> {
     emit(state.copyWith(filterActionWidget: widget));
   }
 
+  /// Set search suggestions widget shown in search mode (called by pages)
+  void setSearchSuggestions(Widget? widget) {
+    emit(state.copyWith(searchSuggestionsWidget: widget));
+  }
+
   /// Enable or disable search capability for the current page
   void enableSearch(bool enabled, {String scope = ''}) {
     emit(state.copyWith(searchEnabled: enabled, searchScope: scope));
@@ -14,7 +14,9 @@ import 'package:go_router/go_router.dart';
 ///
 /// 2. **Searchable Nav** (when searchEnabled=true):
 ///    - **Navigation Mode** (default): Nav bar prominent, search minimized
-///    - **Search Mode**: Search bar enlarged, nav bar scaled down
+///    - **Search Mode**: Search bar enlarged, nav bar scaled down, and the
+///      page's search suggestions (NavState.searchSuggestionsWidget) above
+///      the search bar
 ///    - Smooth 300ms animations between states
 ///
 /// Stack layout with:
@@ -69,6 +71,18 @@ class _SearchableNavContainerState extends State<SearchableNavContainer> {
           mainAxisAlignment: MainAxisAlignment.center,
           // crossAxisAlignment: CrossAxisAlignment.center,
           children: [
+            // Page-provided suggestions (e.g., recent and saved searches)
+            AnimatedSize(
+              duration: const Duration(milliseconds: 200),
+              curve: Curves.easeInOut,
+              child: navState.isSearching &&
+                      navState.searchSuggestionsWidget != null
+                  ? SizedBox(
+                      width: 300,
+                      child: navState.searchSuggestionsWidget,
+                    )
+                  : const SizedBox(width: 300),
+            ),
             // Search bar - always present, scales to 0 when not enabled
             GestureDetector(
               onTap: navState.isSearching || !navState.searchEnabled
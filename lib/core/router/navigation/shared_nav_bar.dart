@@ -15,6 +15,9 @@ import 'package:google_nav_bar/google_nav_bar.dart';
 /// following the v0.4 semantic pattern where nav and action are siblings.
 /// Includes glassmorphic styling with backdrop blur.
 ///
+/// Both rows follow the text direction: in right-to-left locales the tabs
+/// run from the right and the action button sits on the left.
+///
 /// **Usage**:
 /// - With StatefulNavigationShell: `SharedNavBar(navigationShell: shell, actionType: type)`
 /// - With PageView: `SharedNavBar(selectedIndex: 0, actionType: type, onTabChange: callback)`
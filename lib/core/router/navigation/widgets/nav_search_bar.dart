@@ -1,5 +1,6 @@
 import 'dart:async';
 
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/router/navigation/nav_cubit.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
@@ -10,9 +11,13 @@ import 'package:flutter_bloc/flutter_bloc.dart';
 ///
 /// Layout:
 /// - Pill-shaped search input (white background)
-///   - "Search" placeholder on left
-///   - X clear button on right (inside the pill)
-/// - Circular dark calendar/filter button (separate, on far right)
+///   - "Search" placeholder at the start
+///   - X clear button at the end (inside the pill)
+/// - Circular dark calendar/filter button (separate, at the far end)
+///
+/// The text follows NavState.searchQuery when it is set elsewhere (e.g. a
+/// search suggestion picked). Submitting from the keyboard leaves search
+/// mode, keeping the results.
 class NavSearchBar extends StatefulWidget {
   const NavSearchBar({super.key, required this.focusNode});
   final FocusNode focusNode;
@@ -38,6 +43,14 @@ class _NavSearchBarState extends State<NavSearchBar> {
     super.dispose();
   }
 
+  void _submit(String value) {
+    _debounceTimer?.cancel();
+    final navCubit = context.read<NavCubit>();
+    navCubit.updateSearchQuery(value);
+    if (navCubit.state.isSearching) navCubit.toggleSearchMode();
+    widget.focusNode.unfocus();
+  }
+
   void _clearSearch() {
     _controller.clear();
     context.read<NavCubit>().updateSearchQuery('');
@@ -51,7 +64,14 @@ class _NavSearchBarState extends State<NavSearchBar> {
     final spacing = theme.extension<AppSpacing>()!;
     final radius = theme.extension<AppRadius>()!;
 
-    return BlocBuilder<NavCubit, NavState>(
+    return BlocConsumer<NavCubit, NavState>(
+      listenWhen: (prev, curr) => prev.searchQuery != curr.searchQuery,
+      listener: (context, navState) {
+        if (navState.searchQuery == _controller.text) return;
+        _debounceTimer?.cancel();
+        _controller.text = navState.searchQuery;
+        setState(() {});
+      },
       builder: (context, navState) {
         return Row(
           spacing: spacing.md,
@@ -72,14 +92,16 @@ class _NavSearchBarState extends State<NavSearchBar> {
                     );
                     setState(() {});
                   },
+                  onSubmitted: _submit,
+                  textInputAction: TextInputAction.search,
                   // textAlignVertical: TextAlignVertical.center,
                   expands: true,
                   maxLines: null,
                   focusNode: widget.focusNode,
                   decoration: InputDecoration(
-                    hintText: navState.searchScope.isNotEmpty
-                        ? 'Search ${navState.searchScope}'
-                        : 'Search',
+                    hintText: AppLocalizations.of(
+                      context,
+                    ).searchHint(navState.searchScope),
                     hintStyle: .new(fontSize: 14, fontWeight: FontWeight.w400),
 
                     border: OutlineInputBorder(
@@ -0,0 +1,55 @@
+import 'package:flutter/painting.dart';
+
+/// Colors of categories in charts and pickers
+///
+/// A category the user picked a color for is drawn in it
+/// (`CategoryModel.colorHex`); any other gets one of the [palette] derived
+/// from its ID, so it keeps the same color from one chart, budget or launch
+/// to the next instead of depending on its position in a list.
+class CategoryColors {
+  CategoryColors._(); // Private constructor to prevent instantiation
+
+  /// Colors offered by the picker, also used for automatic colors
+  static const palette = [
+    Color(0xffe03131), // Red
+    Color(0xffc2255c), // Pink
+    Color(0xff9c36b5), // Grape
+    Color(0xff6741d9), // Violet
+    Color(0xff3b5bdb), // Indigo
+    Color(0xff1971c2), // Blue
+    Color(0xff0c8599), // Cyan
+    Color(0xff099268), // Teal
+    Color(0xff2f9e44), // Green
+    Color(0xff66a80f), // Lime
+    Color(0xfff08c00), // Yellow
+    Color(0xffe8590c), // Orange
+  ];
+
+  /// Color of the category [id] with the chosen [colorHex], if any
+  static Color of(String id, String? colorHex) {
+    return parse(colorHex) ?? palette[_stableHash(id) % palette.length];
+  }
+
+  /// `#RRGGBB` → opaque color, null when [hex] isn't one
+  static Color? parse(String? hex) {
+    if (hex == null || !RegExp(r'^#[0-9a-fA-F]{6}$').hasMatch(hex)) {
+      return null;
+    }
+    return Color(0xff000000 | int.parse(hex.substring(1), radix: 16));
+  }
+
+  /// Opaque color → `#RRGGBB`, as stored in `CategoryModel.colorHex`
+  static String toHex(Color color) {
+    final rgb = color.toARGB32() & 0xffffff;
+    return '#${rgb.toRadixString(16).padLeft(6, '0')}';
+  }
+
+  // String.hashCode isn't guaranteed to be the same across runs
+  static int _stableHash(String value) {
+    var hash = 0;
+    for (final unit in value.codeUnits) {
+      hash = (hash * 31 + unit) & 0x7fffffff;
+    }
+    return hash;
+  }
+}
@@ -0,0 +1,33 @@
+import 'package:flutter/widgets.dart';
+
+/// Tabler icons that point along the reading direction
+///
+/// Same glyphs as `TablerIcons.arrowLeft`, `chevronRight`, … but with
+/// `matchTextDirection`, so they are mirrored in right-to-left locales
+/// (Arabic): [back] points right there. Use these for navigation arrows.
+class DirectionalIcons {
+  DirectionalIcons._(); // Private constructor to prevent instantiation
+
+  static const String _fontFamily = 'TablerIcons';
+
+  /// Back navigation (`TablerIcons.arrowLeft` in left-to-right locales)
+  static const back = IconData(
+    0xe9d8,
+    fontFamily: _fontFamily,
+    matchTextDirection: true,
+  );
+
+  /// "Go to" / "see more" (`TablerIcons.arrowRight` in left-to-right locales)
+  static const forward = IconData(
+    0xe9fd,
+    fontFamily: _fontFamily,
+    matchTextDirection: true,
+  );
+
+  /// Opens a sub-page (`TablerIcons.chevronRight` in left-to-right locales)
+  static const chevronForward = IconData(
+    0xedfd,
+    fontFamily: _fontFamily,
+    matchTextDirection: true,
+  );
+}
@@ -0,0 +1,153 @@
+import 'package:intl/intl.dart';
+
+/// Where the currency goes relative to the amount
+enum CurrencyPlacement { before, after }
+
+/// How the currency is shown: symbol ("€") or ISO 4217 code ("EUR")
+enum CurrencyDisplay { symbol, code }
+
+/// Thousands and decimal separators of displayed amounts
+enum DecimalStyle {
+  /// Separators of the app's language (1,234.56 in English, 1.234,56 in
+  /// German)
+  locale,
+
+  /// 1,234.56
+  pointDecimal,
+
+  /// 1.234,56
+  commaDecimal,
+
+  /// 1 234,56
+  spaceComma,
+}
+
+/// Utility class for displaying amounts in their currency
+///
+/// Amounts are stored with an ISO 4217 code (`currencyCode` on transactions
+/// and budgets). Symbols and decimal digits come from intl's currency data,
+/// so `JPY` amounts show no decimals. Placement, symbol/code and separators
+/// follow the user's settings ([configure], called by SettingsRepository);
+/// [DecimalStyle.locale] separators follow intl's default locale (the app
+/// language, see `L10n.setLocale`).
+class CurrencyFormatter {
+  CurrencyFormatter._(); // Private constructor to prevent instantiation
+
+  /// Currency of rows created before currencies existed
+  static const String fallbackCurrency = 'USD';
+
+  /// Currencies offered in pickers (rates can be entered for any code)
+  static const List<String> commonCurrencies = [
+    'USD',
+    'EUR',
+    'GBP',
+    'JPY',
+    'CHF',
+    'CAD',
+    'AUD',
+    'CNY',
+    'INR',
+    'SEK',
+    'NOK',
+    'DKK',
+    'PLN',
+    'MXN',
+    'BRL',
+    'ZAR',
+  ];
+
+  static CurrencyPlacement _placement = CurrencyPlacement.before;
+  static CurrencyDisplay _display = CurrencyDisplay.symbol;
+  static DecimalStyle _decimalStyle = DecimalStyle.locale;
+
+  static final Map<String, NumberFormat> _currencyFormats = {};
+  static final Map<String, NumberFormat> _numberFormats = {};
+
+  /// Apply the user's display settings to every later [format] call
+  static void configure({
+    required CurrencyPlacement placement,
+    required CurrencyDisplay display,
+    required DecimalStyle decimalStyle,
+  }) {
+    _placement = placement;
+    _display = display;
+    _decimalStyle = decimalStyle;
+  }
+
+  /// Format [amount] with the symbol (or code) of [currencyCode].
+  ///
+  /// Example (default settings):
+  /// ```dart
+  /// CurrencyFormatter.format(12.5, 'EUR'); // "€12.50"
+  /// CurrencyFormatter.format(1200, 'JPY'); // "¥1,200"
+  /// ```
+  ///
+  /// With the currency after the amount and [DecimalStyle.commaDecimal]:
+  /// `format(1234.5, 'EUR')` → "1.234,50 €"
+  static String format(double amount, String currencyCode) {
+    final number = formatNumber(
+      amount.abs(),
+      decimalDigits: _currencyFormat(currencyCode).decimalDigits ?? 2,
+    );
+    final unit = _display == CurrencyDisplay.code
+        ? currencyCode
+        : symbol(currencyCode);
+    final sign = amount < 0 ? '-' : '';
+
+    if (_placement == CurrencyPlacement.after) return '$sign$number $unit';
+    // Letters ("USD", "CHF") need a space before the digits, "$" doesn't
+    final gap = RegExp(r'[A-Za-z]$').hasMatch(unit) ? ' ' : '';
+    return '$sign$unit$gap$number';
+  }
+
+  /// Format [value] with the user's separators, without a currency
+  ///
+  /// Example: `formatNumber(1234.5)` → "1,234.50"
+  /// ([DecimalStyle.pointDecimal])
+  static String formatNumber(double value, {int decimalDigits = 2}) {
+    if (_decimalStyle == DecimalStyle.locale) {
+      return _numberFormat(decimalDigits, Intl.getCurrentLocale())
+          .format(value);
+    }
+
+    final formatted = _numberFormat(decimalDigits, 'en_US').format(value);
+    return switch (_decimalStyle) {
+      DecimalStyle.locale || DecimalStyle.pointDecimal => formatted,
+      DecimalStyle.commaDecimal => _withSeparators(formatted, '.', ','),
+      DecimalStyle.spaceComma => _withSeparators(formatted, '\u00A0', ','),
+    };
+  }
+
+  /// Symbol of [currencyCode] (the code itself when intl has none)
+  ///
+  /// Example: `symbol('GBP')` → "£"
+  static String symbol(String currencyCode) {
+    return _currencyFormat(currencyCode).currencySymbol;
+  }
+
+  /// Swap the `,` and `.` of an en_US-formatted number
+  static String _withSeparators(String number, String group, String decimal) {
+    return number.splitMapJoin(
+      RegExp('[,.]'),
+      onMatch: (m) => m[0] == ',' ? group : decimal,
+      onNonMatch: (text) => text,
+    );
+  }
+
+  static NumberFormat _currencyFormat(String currencyCode) {
+    return _currencyFormats.putIfAbsent(
+      currencyCode,
+      () => NumberFormat.simpleCurrency(name: currencyCode),
+    );
+  }
+
+  static NumberFormat _numberFormat(int decimalDigits, String locale) {
+    return _numberFormats.putIfAbsent(
+      '$locale/$decimalDigits',
+      () => NumberFormat.decimalPatternDigits(
+        locale: locale,
+        decimalDigits: decimalDigits,
+      ),
+    );
+  }
+}
@@ -1,12 +1,81 @@
+import 'package:centabit/core/localizations/l10n.dart';
 import 'package:intl/intl.dart';
 
+/// Order of day, month and year in displayed dates
+enum DateStyle {
+  /// Order and month names of the app's language (Dec 18, 2025 in
+  /// English, 18 déc. 2025 in French)
+  locale,
+
+  /// Dec 18, 2025
+  monthDayYear,
+
+  /// 18 Dec 2025
+  dayMonthYear,
+
+  /// 2025-12-18
+  yearMonthDay,
+}
+
 /// Utility class for consistent date formatting across the app
 ///
 /// Provides standardized date formatting methods used throughout the application
 /// for displaying transaction dates, header labels, and time information.
+/// Date order, 12/24-hour time and the first day of the week follow the
+/// user's settings ([configure], called by SettingsRepository). Month names
+/// and "Today"/"Yesterday" are in the app language (`L10n`).
 class DateFormatter {
   DateFormatter._(); // Private constructor to prevent instantiation
 
+  static DateStyle _dateStyle = DateStyle.locale;
+  static bool _use24HourTime = false;
+  static int _firstDayOfWeek = DateTime.monday;
+
+  /// Apply the user's date settings to every later call
+  ///
+  /// [firstDayOfWeek] is [DateTime.monday] … [DateTime.sunday].
+  static void configure({
+    required DateStyle dateStyle,
+    required bool use24HourTime,
+    required int firstDayOfWeek,
+  }) {
+    _dateStyle = dateStyle;
+    _use24HourTime = use24HourTime;
+    _firstDayOfWeek = firstDayOfWeek;
+  }
+
+  /// First day of the week, [DateTime.monday] … [DateTime.sunday]
+  static int get firstDayOfWeek => _firstDayOfWeek;
+
+  /// Pattern of dates in lists ("Dec 18, 25")
+  ///
+  /// [DateStyle.locale] patterns are intl skeletons, localized by
+  /// `DateFormat`.
+  static String get _compactDatePattern => switch (_dateStyle) {
+        DateStyle.locale => DateFormat.YEAR_ABBR_MONTH_DAY,
+        DateStyle.monthDayYear => 'MMM d, yy',
+        DateStyle.dayMonthYear => 'd MMM yy',
+        DateStyle.yearMonthDay => 'y-MM-dd',
+      };
+
+  /// Pattern of standalone dates ("Dec 18, 2025")
+  static String get _datePattern => switch (_dateStyle) {
+        DateStyle.locale => DateFormat.YEAR_ABBR_MONTH_DAY,
+        DateStyle.monthDayYear => 'MMM d, y',
+        DateStyle.dayMonthYear => 'd MMM y',
+        DateStyle.yearMonthDay => 'y-MM-dd',
+      };
+
+  /// Pattern of headers ("December 18, 2025")
+  static String get _longDatePattern => switch (_dateStyle) {
+        DateStyle.locale => DateFormat.YEAR_MONTH_DAY,
+        DateStyle.monthDayYear => 'MMMM d, y',
+        DateStyle.dayMonthYear => 'd MMMM y',
+        DateStyle.yearMonthDay => 'y-MM-dd',
+      };
+
+  static String get _timePattern => _use24HourTime ? 'HH:mm' : 'hh:mm a';
+
   /// Format transaction date with smart relative strings.
   ///
   /// Returns:
@@ -25,14 +94,14 @@ class DateFormatter {
     final yesterday = today.subtract(const Duration(days: 1));
     final transactionDate = DateTime(date.year, date.month, date.day);
 
-    final timeStr = DateFormat('hh:mm a').format(date);
+    final timeStr = formatTime(date);
 
     if (transactionDate == today) {
-      return "Today | $timeStr";
+      return "${L10n.current.today} | $timeStr";
     } else if (transactionDate == yesterday) {
-      return "Yesterday | $timeStr";
+      return "${L10n.current.yesterday} | $timeStr";
     } else {
-      return "${DateFormat('MMM d, yy').format(date)} | $timeStr";
+      return "${DateFormat(_compactDatePattern).format(date)} | $timeStr";
     }
   }
 
@@ -55,14 +124,27 @@ class DateFormatter {
     final normalizedDate = DateTime(date.year, date.month, date.day);
 
     if (normalizedDate == today) {
-      return "Today";
+      return L10n.current.today;
     } else if (normalizedDate == yesterday) {
-      return "Yesterday";
+      return L10n.current.yesterday;
     } else {
-      return DateFormat('MMMM d, y').format(date);
+      return DateFormat(_longDatePattern).format(date);
     }
   }
 
+  /// Format a date on its own (no relative strings, no time).
+  ///
+  /// Returns: "Dec 18, 2025", "18 Dec 2025" or "2025-12-18"
+  ///
+  /// Example:
+  /// ```dart
+  /// final start = DateFormatter.formatDate(budget.startDate);
+  /// // Returns: "Dec 1, 2025"
+  /// ```
+  static String formatDate(DateTime date) {
+    return DateFormat(_datePattern).format(date);
+  }
+
   /// Normalize date to start of day (strip time component).
   ///
   /// Converts a DateTime to midnight of the same day, removing hours,
@@ -79,7 +161,7 @@ class DateFormatter {
 
   /// Format time only (no date component).
   ///
-  /// Returns: "02:30 PM", "09:15 AM"
+  /// Returns: "02:30 PM", "09:15 AM" (or "14:30", "09:15" in 24-hour time)
   ///
   /// Example:
   /// ```dart
@@ -87,6 +169,6 @@ class DateFormatter {
   /// // Returns: "02:30 PM"
   /// ```
   static String formatTime(DateTime date) {
-    return DateFormat('hh:mm a').format(date);
+    return DateFormat(_timePattern).format(date);
   }
 }
@@ -0,0 +1,43 @@
+/// Markers of the matched terms in full-text search results
+///
+/// The database wraps every match between [start] and [end], control
+/// characters that can't be typed into a transaction, and the UI splits the
+/// text on them with [split].
+class SearchHighlight {
+  SearchHighlight._();
+
+  static const String start = '\u0002';
+  static const String end = '\u0003';
+
+  /// [text] without its markers
+  static String strip(String text) =>
+      text.replaceAll(start, '').replaceAll(end, '');
+
+  /// Whether [text] has at least one match
+  static bool hasMatch(String text) => text.contains(start);
+
+  /// [text] cut into consecutive parts, flagged when they are a match
+  static List<({String text, bool isMatch})> split(String text) {
+    final parts = <({String text, bool isMatch})>[];
+    var isMatch = false;
+    var buffer = StringBuffer();
+
+    void flush() {
+      if (buffer.isNotEmpty) {
+        parts.add((text: buffer.toString(), isMatch: isMatch));
+        buffer = StringBuffer();
+      }
+    }
+
+    for (final char in text.split('')) {
+      if (char == start || char == end) {
+        flush();
+        isMatch = char == start;
+      } else {
+        buffer.write(char);
+      }
+    }
+    flush();
+    return parts;
+  }
+}
@@ -0,0 +1,26 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:flutter/material.dart';
+
+/// Confirm a deletion with [message] and an Undo action running [onUndo]
+///
+/// Deleted records stay in the trash, so undoing restores them. Shown on
+/// the app's ScaffoldMessenger: it stays up if the page is popped right
+/// after.
+void showUndoSnackBar(
+  BuildContext context, {
+  required String message,
+  required VoidCallback onUndo,
+}) {
+  final messenger = ScaffoldMessenger.of(context);
+  messenger
+    ..hideCurrentSnackBar()
+    ..showSnackBar(
+      SnackBar(
+        content: Text(message),
+        action: SnackBarAction(
+          label: AppLocalizations.of(context).undo,
+          onPressed: onUndo,
+        ),
+      ),
+    );
+}
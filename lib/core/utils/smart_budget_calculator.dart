@@ -1,5 +1,7 @@
 import 'dart:math' as math;
 
+import 'package:centabit/core/localizations/l10n.dart';
+
 /// Smart Budget Adherence Ratio (BAR) Calculator
 ///
 /// Combines front-loaded spending curve with adaptive learning from historical data.
@@ -13,6 +15,8 @@ import 'dart:math' as math;
 /// 1. Front-loaded curve (expects more spending early in period - payday effect)
 /// 2. Historical learning (adapts to user's actual spending patterns)
 /// 3. Blended approach (70% historical, 30% front-loaded curve)
+/// 4. Forecast (projected end-of-period spending along the same curve, and
+///    what can safely be spent per remaining day)
 ///
 /// **Usage:**
 /// ```dart
@@ -233,19 +237,19 @@ class SmartBudgetCalculator {
 
     if (bar < 0.85) {
       status = BARStatus.under;
-      message = 'Well under budget! 🎉';
+      message = L10n.current.barMessageUnder;
     } else if (bar < 0.95) {
       status = BARStatus.good;
-      message = 'Slightly under budget ✓';
+      message = L10n.current.barMessageGood;
     } else if (bar <= 1.05) {
       status = BARStatus.onTrack;
-      message = 'Right on track ✓';
+      message = L10n.current.barMessageOnTrack;
     } else if (bar <= 1.15) {
       status = BARStatus.warning;
-      message = 'Slightly over budget ⚠️';
+      message = L10n.current.barMessageWarning;
     } else {
       status = BARStatus.over;
-      message = 'Significantly over budget! 🚨';
+      message = L10n.current.barMessageOver;
     }
 
     return BARResult(bar: bar, status: status, message: message);
@@ -290,14 +294,78 @@ class SmartBudgetCalculator {
 
     final result = calculateBAR(actualSpent, expectedSpent);
 
+    // Keep the current pace along the same curve until the end: spending
+    // stays at `bar` times what the curve expects
+    final expectedAtEnd = calculateExpectedSpending(
+      totalDays,
+      totalDays,
+      totalBudget,
+      historicalData,
+    );
+    final projectedSpent = expectedSpent > 0
+        ? actualSpent * expectedAtEnd / expectedSpent
+        : actualSpent; // Nothing to extrapolate from yet
+
+    final remaining = math.max(0.0, totalBudget - actualSpent);
+    final daysRemaining = math.max(0, totalDays - daysElapsed);
+
     return BARCalculation(
       bar: result.bar,
       status: result.status,
       message: result.message,
       expectedSpent: expectedSpent,
       actualSpent: actualSpent,
-      remaining: math.max(0, totalBudget - actualSpent),
-      daysRemaining: math.max(0, totalDays - daysElapsed),
+      remaining: remaining,
+      daysRemaining: daysRemaining,
+      projectedSpent: projectedSpent,
+      projectedOverspend: math.max(0, projectedSpent - totalBudget),
+      safeDailySpend: remaining / math.max(1, daysRemaining),
+    );
+  }
+
+  /// [calculate] for a budget period from [startDate] to [endDate]
+  /// (inclusive) as of [now]
+  ///
+  /// Counts the current day as elapsed: before the period nothing has
+  /// elapsed, after it everything has.
+  ///
+  /// **Example:**
+  /// ```dart
+  /// final pace = calculator.calculateForPeriod(
+  ///   startDate: budget.startDate,
+  ///   endDate: budget.endDate,
+  ///   now: DateTime.now(),
+  ///   actualSpent: 800,
+  ///   totalBudget: 1500,
+  /// );
+  /// print('Projected: ${pace.projectedSpent.toStringAsFixed(2)}');
+  /// ```
+  BARCalculation calculateForPeriod({
+    required DateTime startDate,
+    required DateTime endDate,
+    required DateTime now,
+    required double actualSpent,
+    required double totalBudget,
+    List<HistoricalSpendingPeriod>? historicalData,
+  }) {
+    // Calculate total days in budget period (inclusive)
+    final totalDays = endDate.difference(startDate).inDays + 1;
+
+    final int daysElapsed;
+    if (now.isBefore(startDate)) {
+      daysElapsed = 0;
+    } else if (now.isAfter(endDate)) {
+      daysElapsed = totalDays;
+    } else {
+      daysElapsed = now.difference(startDate).inDays + 1;
+    }
+
+    return calculate(
+      daysElapsed: daysElapsed,
+      totalDays: totalDays,
+      actualSpent: actualSpent,
+      totalBudget: totalBudget,
+      historicalData: historicalData,
     );
   }
 }
@@ -352,6 +420,16 @@ class BARCalculation extends BARResult {
   /// Days remaining in period
   final int daysRemaining;
 
+  /// Spending expected by the end of the period if the pace holds
+  final double projectedSpent;
+
+  /// Amount [projectedSpent] exceeds the budget by (0 if it doesn't)
+  final double projectedOverspend;
+
+  /// Amount that can be spent each remaining day without exceeding the
+  /// budget ([remaining] over [daysRemaining], at least one day)
+  final double safeDailySpend;
+
   const BARCalculation({
     required super.bar,
     required super.status,
@@ -360,7 +438,13 @@ class BARCalculation extends BARResult {
     required this.actualSpent,
     required this.remaining,
     required this.daysRemaining,
+    required this.projectedSpent,
+    required this.projectedOverspend,
+    required this.safeDailySpend,
   });
+
+  /// Whether spending is on course to exceed the budget
+  bool get isProjectedOver => projectedOverspend > 0;
 }
 
 /// Historical spending period data for adaptive learning
@@ -0,0 +1,306 @@
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
+import 'package:centabit/data/currency/currency_converter.dart';
+import 'package:centabit/data/models/alert_model.dart';
+import 'package:centabit/data/models/alert_rule_model.dart';
+import 'package:centabit/data/models/allocation_model.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/models/transaction_split_model.dart';
+import 'package:uuid/uuid.dart';
+
+/// Everything [AlertRuleEngine.evaluate] looks at, gathered by the caller
+class AlertSnapshot {
+  final List<AlertRuleModel> rules;
+  final List<BudgetModel> budgets;
+  final List<AllocationModel> allocations;
+
+  /// At least the transactions of running budgets and those created after
+  /// the large-transaction rules (the caller needn't load the history)
+  final List<TransactionModel> transactions;
+  final List<CategoryModel> categories;
+  final List<AlertMuteModel> mutes;
+
+  /// Converts transaction amounts to the budget's (or default) currency
+  final CurrencyConverter converter;
+
+  /// Currency large transactions are compared in
+  final String defaultCurrency;
+
+  /// Learned spending curves for a budget's BAR (none by default)
+  final List<HistoricalSpendingPeriod> Function(BudgetModel budget)?
+      historyFor;
+
+  const AlertSnapshot({
+    required this.rules,
+    required this.budgets,
+    required this.allocations,
+    required this.transactions,
+    required this.categories,
+    required this.mutes,
+    required this.converter,
+    required this.defaultCurrency,
+    this.historyFor,
+  });
+}
+
+/// Decides which budget alerts fire, without side effects
+///
+/// Pure function of an [AlertSnapshot] and the injected [clock], so it can
+/// be checked without a database or timers.
+///
+/// **Per enabled rule** (only budgets running at [clock] and not muted):
+/// - `barAbove`: the budget's BAR is above the threshold
+/// - `allocationOverPercent`: a category spent more than threshold percent
+///   of its allocation
+/// - `budgetEndingSoon`: the budget ends in threshold days or fewer
+/// - `largeTransaction`: an expense of at least threshold in the default
+///   currency, created after the rule (so a new rule doesn't flag history)
+///
+/// Spending is net of credits, converted to the budget's currency, as on
+/// the dashboard.
+///
+/// Returns every alert whose condition holds, already fired or not: the
+/// caller drops those whose [AlertModel.dedupeKey] was recorded before.
+/// Ids derive from rule id + dedupe key (UUID v5), so the same alert
+/// always gets the same id.
+///
+/// **Usage**:
+/// ```dart
+/// final engine = AlertRuleEngine(clock: () => DateTime(2025, 3, 28));
+/// final alerts = engine.evaluate(snapshot);
+/// ```
+class AlertRuleEngine {
+  final DateTime Function() _clock;
+  final SmartBudgetCalculator _barCalculator;
+
+  AlertRuleEngine({
+    DateTime Function()? clock,
+    SmartBudgetCalculator? barCalculator,
+  })  : _clock = clock ?? DateTime.now,
+        _barCalculator = barCalculator ?? SmartBudgetCalculator();
+
+  /// Current time as the engine sees it (callers snapshotting data for
+  /// [evaluate] use it too)
+  DateTime Function() get clock => _clock;
+
+  /// Alerts whose condition holds in [snapshot] at the current clock time
+  List<AlertModel> evaluate(AlertSnapshot snapshot) {
+    final now = _clock();
+    final mutedBudgetIds = {
+      for (final mute in snapshot.mutes)
+        if (mute.isActiveAt(now)) mute.budgetId,
+    };
+    final budgets = snapshot.budgets
+        .where((b) => !now.isBefore(b.startDate) && !now.isAfter(b.endDate))
+        .where((b) => !mutedBudgetIds.contains(b.id))
+        .toList();
+
+    final alerts = <AlertModel>[];
+    for (final rule in snapshot.rules.where((r) => r.isEnabled)) {
+      switch (rule.type) {
+        case AlertRuleType.barAbove:
+          for (final budget in budgets) {
+            final alert = _checkBar(rule, budget, snapshot, now);
+            if (alert != null) alerts.add(alert);
+          }
+        case AlertRuleType.allocationOverPercent:
+          for (final budget in budgets) {
+            alerts.addAll(_checkAllocations(rule, budget, snapshot, now));
+          }
+        case AlertRuleType.budgetEndingSoon:
+          for (final budget in budgets) {
+            final alert = _checkEnding(rule, budget, now);
+            if (alert != null) alerts.add(alert);
+          }
+        case AlertRuleType.largeTransaction:
+          alerts.addAll(
+            _checkTransactions(rule, snapshot, mutedBudgetIds, now),
+          );
+      }
+    }
+    return alerts;
+  }
+
+  AlertModel? _checkBar(
+    AlertRuleModel rule,
+    BudgetModel budget,
+    AlertSnapshot snapshot,
+    DateTime now,
+  ) {
+    final allocated = snapshot.allocations
+        .where((a) => a.budgetId == budget.id)
+        .fold<double>(0, (sum, a) => sum + a.amount);
+    if (allocated <= 0) return null;
+
+    final pace = _barCalculator.calculateForPeriod(
+      startDate: budget.startDate,
+      endDate: budget.endDate,
+      now: now,
+      actualSpent: _spent(
+        snapshot,
+        budget,
+        (line) => line.budgetId == budget.id,
+      ),
+      totalBudget: allocated,
+      historicalData: snapshot.historyFor?.call(budget),
+    );
+    if (pace.bar <= rule.threshold) return null;
+
+    return _alert(
+      rule,
+      key: 'bar:${rule.id}:${budget.id}',
+      budget: budget,
+      subject: budget.name,
+      value: pace.bar,
+      now: now,
+    );
+  }
+
+  List<AlertModel> _checkAllocations(
+    AlertRuleModel rule,
+    BudgetModel budget,
+    AlertSnapshot snapshot,
+    DateTime now,
+  ) {
+    final alerts = <AlertModel>[];
+    for (final allocation in snapshot.allocations) {
+      if (allocation.budgetId != budget.id || allocation.amount <= 0) {
+        continue;
+      }
+
+      final spent = _spent(
+        snapshot,
+        budget,
+        (line) =>
+            line.budgetId == budget.id &&
+            line.categoryId == allocation.categoryId,
+      );
+      final percent = spent / allocation.amount * 100;
+      if (percent <= rule.threshold) continue;
+
+      final category = snapshot.categories
+          .where((c) => c.id == allocation.categoryId)
+          .firstOrNull;
+      alerts.add(
+        _alert(
+          rule,
+          key: 'allocation:${rule.id}:${allocation.id}',
+          budget: budget,
+          subject: category?.name ?? budget.name,
+          value: percent,
+          now: now,
+        ),
+      );
+    }
+    return alerts;
+  }
+
+  AlertModel? _checkEnding(
+    AlertRuleModel rule,
+    BudgetModel budget,
+    DateTime now,
+  ) {
+    final today = DateTime(now.year, now.month, now.day);
+    final lastDay = DateTime(
+      budget.endDate.year,
+      budget.endDate.month,
+      budget.endDate.day,
+    );
+    final daysLeft = lastDay.difference(today).inDays;
+    if (daysLeft < 0 || daysLeft > rule.threshold) return null;
+
+    return _alert(
+      rule,
+      key: 'ending:${rule.id}:${budget.id}',
+      budget: budget,
+      subject: budget.name,
+      value: daysLeft.toDouble(),
+      now: now,
+    );
+  }
+
+  List<AlertModel> _checkTransactions(
+    AlertRuleModel rule,
+    AlertSnapshot snapshot,
+    Set<String> mutedBudgetIds,
+    DateTime now,
+  ) {
+    final alerts = <AlertModel>[];
+    for (final transaction in snapshot.transactions) {
+      if (transaction.type != TransactionType.debit) continue;
+      if (transaction.createdAt.isBefore(rule.createdAt)) continue;
+      // A split transaction's budget is its first line's that has one
+      final budgetId =
+          transaction.lines.map((line) => line.budgetId).nonNulls.firstOrNull;
+      if (mutedBudgetIds.contains(budgetId)) continue;
+
+      final amount = snapshot.converter.convert(
+        transaction.amount,
+        from: transaction.currencyCode,
+        to: snapshot.defaultCurrency,
+      );
+      if (amount < rule.threshold) continue;
+
+      final budget =
+          snapshot.budgets.where((b) => b.id == budgetId).firstOrNull;
+      alerts.add(
+        _alert(
+          rule,
+          key: 'transaction:${rule.id}:${transaction.id}',
+          budget: budget,
+          subject: transaction.name,
+          value: amount,
+          currencyCode: snapshot.defaultCurrency,
+          now: now,
+        ),
+      );
+    }
+    return alerts;
+  }
+
+  /// Net spending in [budget]'s currency of the transaction lines (split
+  /// lines, or whole transactions) that pass [test]
+  double _spent(
+    AlertSnapshot snapshot,
+    BudgetModel budget,
+    bool Function(TransactionSplitModel line) test,
+  ) {
+    var spent = 0.0;
+    for (final transaction in snapshot.transactions) {
+      for (final line in transaction.lines.where(test)) {
+        final amount = snapshot.converter.convert(
+          line.amount,
+          from: transaction.currencyCode,
+          to: budget.currencyCode,
+        );
+        spent += transaction.type == TransactionType.credit ? -amount : amount;
+      }
+    }
+    return spent;
+  }
+
+  AlertModel _alert(
+    AlertRuleModel rule, {
+    required String key,
+    required BudgetModel? budget,
+    required String subject,
+    required double value,
+    String? currencyCode,
+    required DateTime now,
+  }) {
+    return AlertModel(
+      id: const Uuid().v5(rule.id, key),
+      ruleId: rule.id,
+      type: rule.type,
+      dedupeKey: key,
+      budgetId: budget?.id,
+      budgetName: budget?.name,
+      subject: subject,
+      value: value,
+      threshold: rule.threshold,
+      currencyCode: currencyCode,
+      createdAt: now,
+    );
+  }
+}
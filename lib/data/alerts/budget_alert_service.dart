@@ -0,0 +1,201 @@
+import 'dart:async';
+
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/core/notifications/local_notifier.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/data/alerts/alert_rule_engine.dart';
+import 'package:centabit/data/history/spending_history_service.dart';
+import 'package:centabit/data/models/alert_model.dart';
+import 'package:centabit/data/models/alert_rule_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/repositories/alert_repository.dart';
+import 'package:centabit/data/repositories/allocation_repository.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/exchange_rate_repository.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+
+/// Fires budget alerts when transactions change
+///
+/// **Flow** ([evaluate]):
+/// 1. Snapshot rules, mutes and the transactions the rules look at (from
+///    the database), and budgets, allocations and categories (repository
+///    caches)
+/// 2. Let [AlertRuleEngine] decide which alerts hold
+/// 3. Record those not fired before (inbox) and show a local notification
+///    for each
+///
+/// [start] re-evaluates each time `changesStream` emits, debounced so
+/// the other caches catch up first (they refresh separately, e.g. after a
+/// profile switch rebinds every repository). Call [evaluate] directly after
+/// a rule changes.
+class BudgetAlertService {
+  final AlertRepository _alertRepository;
+  final BudgetRepository _budgetRepository;
+  final AllocationRepository _allocationRepository;
+  final TransactionRepository _transactionRepository;
+  final CategoryRepository _categoryRepository;
+  final ExchangeRateRepository _exchangeRateRepository;
+  final SpendingHistoryService _spendingHistory;
+  final LocalNotifier _notifier;
+  final AlertRuleEngine _engine;
+
+  /// Quiet time after a change before rules are evaluated
+  static const Duration debounce = Duration(milliseconds: 500);
+
+  StreamSubscription? _transactionsSubscription;
+  Timer? _debounceTimer;
+  Future<int> _lastRun = Future.value(0);
+
+  BudgetAlertService(
+    this._alertRepository,
+    this._budgetRepository,
+    this._allocationRepository,
+    this._transactionRepository,
+    this._categoryRepository,
+    this._exchangeRateRepository,
+    this._spendingHistory,
+    this._notifier, {
+    AlertRuleEngine? engine,
+  }) : _engine = engine ?? AlertRuleEngine();
+
+  /// Evaluate shortly, then after every transaction change (calling it
+  /// again, e.g. after a profile switch, only schedules an evaluation)
+  void start() {
+    _transactionsSubscription ??=
+        _transactionRepository.changesStream.listen((_) => _schedule());
+    _schedule();
+  }
+
+  void _schedule() {
+    _debounceTimer?.cancel();
+    _debounceTimer = Timer(debounce, evaluate);
+  }
+
+  /// Fire the alerts whose condition holds and that didn't fire before
+  ///
+  /// Runs one at a time (a run started meanwhile waits), so an alert is
+  /// never notified twice. Returns the number of alerts fired.
+  Future<int> evaluate() {
+    return _lastRun = _lastRun.then((_) => _evaluate());
+  }
+
+  Future<int> _evaluate() async {
+    try {
+      final rules = await _alertRepository.getRules();
+      if (rules.every((r) => !r.isEnabled)) return 0;
+
+      final candidates = _engine.evaluate(
+        AlertSnapshot(
+          rules: rules,
+          budgets: _budgetRepository.budgets,
+          allocations: _allocationRepository.allocations,
+          transactions: await _watchedTransactions(rules),
+          categories: _categoryRepository.categories,
+          mutes: await _alertRepository.getMutes(),
+          converter: _exchangeRateRepository.converter,
+          defaultCurrency: _exchangeRateRepository.defaultCurrency,
+          historyFor: _spendingHistory.historyFor,
+        ),
+      );
+
+      final firedKeys = await _alertRepository.getFiredKeys();
+      var fired = 0;
+      for (final alert in candidates) {
+        if (firedKeys.contains(alert.dedupeKey)) continue;
+        if (!await _alertRepository.recordAlert(alert)) continue;
+
+        fired++;
+        final l10n = L10n.current;
+        await _notifier.show(
+          id: alert.id,
+          title: alert.budgetName ?? l10n.alertsTitle,
+          body: describe(l10n, alert),
+        );
+      }
+
+      if (fired > 0) {
+        AppLogger.instance.logWithContext(
+          message: '[BudgetAlertService] Fired alerts',
+          context: {'fired': fired},
+        );
+      }
+      return fired;
+    } catch (e, stackTrace) {
+      AppLogger.instance.error(
+        '[BudgetAlertService] Failed to evaluate alert rules',
+        error: e,
+        stackTrace: stackTrace,
+      );
+      return 0;
+    }
+  }
+
+  /// Transactions the enabled [rules] can flag: those of running budgets,
+  /// and those created since the oldest large-transaction rule
+  ///
+  /// "Running" is judged by the engine's clock, so a budget the engine
+  /// treats as running always has its transactions in the snapshot.
+  Future<List<TransactionModel>> _watchedTransactions(
+    List<AlertRuleModel> rules,
+  ) async {
+    final now = _engine.clock();
+    final byId = <String, TransactionModel>{};
+
+    for (final budget in _budgetRepository.budgets) {
+      if (now.isBefore(budget.startDate) || now.isAfter(budget.endDate)) {
+        continue;
+      }
+      final transactions =
+          await _transactionRepository.getTransactionsForBudget(budget.id);
+      for (final t in transactions) {
+        byId[t.id] = t;
+      }
+    }
+
+    final largeRuleDates = [
+      for (final rule in rules)
+        if (rule.isEnabled && rule.type == AlertRuleType.largeTransaction)
+          rule.createdAt,
+    ]..sort();
+    if (largeRuleDates.isNotEmpty) {
+      final transactions = await _transactionRepository
+          .getTransactionsCreatedSince(largeRuleDates.first);
+      for (final t in transactions) {
+        byId[t.id] = t;
+      }
+    }
+
+    return byId.values.toList();
+  }
+
+  /// Message of [alert], for notifications and the inbox
+  static String describe(AppLocalizations l10n, AlertModel alert) {
+    return switch (alert.type) {
+      AlertRuleType.barAbove => l10n.alertBarAbove(
+          alert.subject,
+          CurrencyFormatter.formatNumber(alert.value),
+          CurrencyFormatter.formatNumber(alert.threshold),
+        ),
+      AlertRuleType.allocationOverPercent => l10n.alertAllocationOver(
+          alert.subject,
+          CurrencyFormatter.formatNumber(alert.value, decimalDigits: 0),
+        ),
+      AlertRuleType.budgetEndingSoon => l10n.alertBudgetEnding(
+          alert.subject,
+          alert.value.round(),
+        ),
+      AlertRuleType.largeTransaction => l10n.alertLargeTransaction(
+          alert.subject,
+          CurrencyFormatter.format(alert.value, alert.currencyCode ?? 'USD'),
+        ),
+    };
+  }
+
+  void dispose() {
+    _debounceTimer?.cancel();
+    _transactionsSubscription?.cancel();
+  }
+}
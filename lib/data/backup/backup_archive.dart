@@ -0,0 +1,128 @@
+import 'dart:convert';
+
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/models/allocation_model.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+
+/// Thrown when a backup file can't be restored ([message] is localized,
+/// shown as is)
+class BackupFormatException implements Exception {
+  final String message;
+
+  const BackupFormatException(this.message);
+
+  @override
+  String toString() => 'BackupFormatException: $message';
+}
+
+/// Versioned JSON backup of one user's data
+///
+/// Entities are stored with the freezed models' `toJson`, so a backup is
+/// independent of the user and device it was made on.
+///
+/// **Versions**:
+/// - [version]: layout of the backup file itself ([currentVersion] when
+///   written by this build)
+/// - [schemaVersion]: database schema of the app that wrote it
+///
+/// Both are checked on restore: a backup written by a newer app may hold
+/// fields this build would silently drop, so it's refused.
+///
+/// [isPartial] backups (filtered by date range or budget) can only be
+/// merged, never replace the current data.
+class BackupArchive {
+  /// Backup file layout written by this build
+  static const int currentVersion = 1;
+
+  /// Identifies Centabit backups among other JSON files
+  static const String _appMarker = 'centabit';
+
+  final int version;
+  final int schemaVersion;
+  final DateTime exportedAt;
+  final bool isPartial;
+  final List<CategoryModel> categories;
+  final List<BudgetModel> budgets;
+  final List<AllocationModel> allocations;
+  final List<TransactionModel> transactions;
+
+  const BackupArchive({
+    this.version = currentVersion,
+    required this.schemaVersion,
+    required this.exportedAt,
+    required this.isPartial,
+    required this.categories,
+    required this.budgets,
+    required this.allocations,
+    required this.transactions,
+  });
+
+  /// Read a backup file
+  ///
+  /// Throws [BackupFormatException] if [content] isn't a Centabit backup or
+  /// was written by a newer backup layout.
+  factory BackupArchive.decode(String content) {
+    final Object? json;
+    try {
+      json = jsonDecode(content);
+    } on FormatException {
+      throw BackupFormatException(L10n.current.backupNotABackup);
+    }
+    if (json is! Map<String, dynamic> || json['app'] != _appMarker) {
+      throw BackupFormatException(L10n.current.backupNotABackup);
+    }
+
+    final version = json['version'];
+    if (version is! int || version > currentVersion) {
+      throw BackupFormatException(L10n.current.backupFromNewerVersion);
+    }
+
+    try {
+      return BackupArchive(
+        version: version,
+        schemaVersion: json['schemaVersion'] as int,
+        exportedAt: DateTime.parse(json['exportedAt'] as String),
+        isPartial: json['isPartial'] as bool? ?? false,
+        categories: _list(json['categories'], CategoryModel.fromJson),
+        budgets: _list(json['budgets'], BudgetModel.fromJson),
+        allocations: _list(json['allocations'], AllocationModel.fromJson),
+        transactions: _list(json['transactions'], TransactionModel.fromJson),
+      );
+    } catch (e) {
+      throw BackupFormatException(L10n.current.backupDamaged('$e'));
+    }
+  }
+
+  /// Pretty-printed JSON file content
+  String encode() => const JsonEncoder.withIndent('  ').convert(toJson());
+
+  Map<String, dynamic> toJson() => {
+        'app': _appMarker,
+        'version': version,
+        'schemaVersion': schemaVersion,
+        'exportedAt': exportedAt.toIso8601String(),
+        'isPartial': isPartial,
+        'categories': [for (final c in categories) c.toJson()],
+        'budgets': [for (final b in budgets) b.toJson()],
+        'allocations': [for (final a in allocations) a.toJson()],
+        'transactions': [for (final t in transactions) t.toJson()],
+      };
+
+  int get entityCount =>
+      categories.length +
+      budgets.length +
+      allocations.length +
+      transactions.length;
+
+  static List<T> _list<T>(
+    Object? json,
+    T Function(Map<String, dynamic>) fromJson,
+  ) {
+    return [
+      for (final item in (json as List<dynamic>? ?? const []))
+        fromJson(item as Map<String, dynamic>),
+    ];
+  }
+}
@@ -0,0 +1,364 @@
+import 'dart:convert';
+
+import 'package:centabit/core/auth/auth_manager.dart';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/data/backup/backup_archive.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/models/transaction_split_model.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:centabit/data/sync/sync_operation.dart';
+import 'package:drift/drift.dart';
+import 'package:uuid/uuid.dart';
+
+/// How a backup is combined with the current data
+enum RestoreMode {
+  /// Current data not in the backup is deleted; backup rows win
+  replace,
+
+  /// Backup rows are added; rows changed since the backup keep the change
+  merge,
+}
+
+/// Result of a restore
+typedef RestoreSummary = ({int restored, int skipped, int removed});
+
+/// Restores a [BackupArchive] into the active user's data
+///
+/// Everything runs in ONE Drift transaction: a restore that fails half way
+/// leaves the data untouched. Repository streams pick the rows up on their
+/// own, and every written row is queued for upload like a local edit.
+///
+/// **Steps**:
+/// 1. Check versions ([RestoreMode.replace] also needs a full backup)
+/// 2. Give new IDs to backup rows whose ID belongs to another profile on
+///    this device (backup of profile A restored into profile B), updating
+///    the references to them
+/// 3. [RestoreMode.replace]: soft delete current rows missing from the
+///    backup
+/// 4. Upsert categories, budgets, allocations, then transactions (parents
+///    first); [RestoreMode.merge] skips rows updated since the backup
+class BackupRestorer {
+  final AppDatabase _db;
+  final AuthManager _authManager;
+  final SyncManager _syncManager;
+
+  BackupRestorer(this._db, this._authManager, this._syncManager);
+
+  /// Restore [archive] with [mode]
+  ///
+  /// Throws [BackupFormatException] if the backup can't be restored.
+  Future<RestoreSummary> restore(
+    BackupArchive archive, {
+    required RestoreMode mode,
+  }) async {
+    if (archive.schemaVersion > _db.schemaVersion) {
+      throw BackupFormatException(L10n.current.backupFromNewerVersion);
+    }
+    if (mode == RestoreMode.replace && archive.isPartial) {
+      throw BackupFormatException(L10n.current.backupPartialMergeOnly);
+    }
+
+    final userId = await _authManager.getCurrentUserId();
+    final summary = await _db.transaction(
+      () => _restore(archive, userId: userId, mode: mode),
+    );
+
+    AppLogger.instance.logWithContext(
+      message: '[BackupRestorer] Restored backup',
+      context: {
+        'mode': mode.name,
+        'restored': summary.restored,
+        'skipped': summary.skipped,
+        'removed': summary.removed,
+      },
+    );
+    _syncManager.scheduleSync();
+    return summary;
+  }
+
+  Future<RestoreSummary> _restore(
+    BackupArchive archive, {
+    required String userId,
+    required RestoreMode mode,
+  }) async {
+    final queue = SyncQueueLocalSource(_db, userId);
+    final now = DateTime.now();
+    var restored = 0;
+    var skipped = 0;
+    var removed = 0;
+
+    final categories = await _rowsById(_db.categories, (c) => c.id);
+    final budgets = await _rowsById(_db.budgets, (b) => b.id);
+    final allocations = await _rowsById(_db.allocations, (a) => a.id);
+    final transactions = await _rowsById(_db.transactions, (t) => t.id);
+
+    // Step 2: IDs taken by another profile
+    final newIds = <String, String>{};
+    void reassignForeign<D>(
+      Iterable<String> ids,
+      Map<String, D> rows,
+      String Function(D) userIdOf,
+    ) {
+      for (final id in ids) {
+        final row = rows[id];
+        if (row != null && userIdOf(row) != userId) {
+          newIds[id] = const Uuid().v4();
+        }
+      }
+    }
+
+    reassignForeign(
+      archive.categories.map((c) => c.id),
+      categories,
+      (c) => c.userId,
+    );
+    reassignForeign(
+      archive.budgets.map((b) => b.id),
+      budgets,
+      (b) => b.userId,
+    );
+    reassignForeign(
+      archive.allocations.map((a) => a.id),
+      allocations,
+      (a) => a.userId,
+    );
+    reassignForeign(
+      archive.transactions.map((t) => t.id),
+      transactions,
+      (t) => t.userId,
+    );
+    String idOf(String id) => newIds[id] ?? id;
+
+    // Backup row last updated at [updatedAt] replaces the current one
+    // (replace mode, or merge when the backup's copy is newer)
+    bool shouldWrite(DateTime? currentUpdatedAt, DateTime updatedAt) {
+      if (currentUpdatedAt == null || mode == RestoreMode.replace) {
+        return true;
+      }
+      return updatedAt.isAfter(currentUpdatedAt);
+    }
+
+    // Step 3: remove current rows the backup doesn't have (children first)
+    if (mode == RestoreMode.replace) {
+      final keep = {
+        for (final t in archive.transactions) idOf(t.id),
+        for (final a in archive.allocations) idOf(a.id),
+        for (final b in archive.budgets) idOf(b.id),
+        for (final c in archive.categories) idOf(c.id),
+      };
+      bool isStale(String id, String rowUserId, bool isDeleted) =>
+          rowUserId == userId && !isDeleted && !keep.contains(id);
+
+      for (final row in transactions.values) {
+        if (!isStale(row.id, row.userId, row.isDeleted)) continue;
+        await _write(
+          _db.transactions,
+          queue,
+          SyncEntityType.transaction,
+          row.copyWith(isDeleted: true, isSynced: false, updatedAt: now),
+          SyncOperation.delete,
+        );
+        removed++;
+      }
+      for (final row in allocations.values) {
+        if (!isStale(row.id, row.userId, row.isDeleted)) continue;
+        await _write(
+          _db.allocations,
+          queue,
+          SyncEntityType.allocation,
+          row.copyWith(isDeleted: true, isSynced: false, updatedAt: now),
+          SyncOperation.delete,
+        );
+        removed++;
+      }
+      for (final row in budgets.values) {
+        if (!isStale(row.id, row.userId, row.isDeleted)) continue;
+        await _write(
+          _db.budgets,
+          queue,
+          SyncEntityType.budget,
+          row.copyWith(isDeleted: true, isSynced: false, updatedAt: now),
+          SyncOperation.delete,
+        );
+        removed++;
+      }
+      for (final row in categories.values) {
+        if (!isStale(row.id, row.userId, row.isDeleted)) continue;
+        await _write(
+          _db.categories,
+          queue,
+          SyncEntityType.category,
+          row.copyWith(isDeleted: true, isSynced: false, updatedAt: now),
+          SyncOperation.delete,
+        );
+        removed++;
+      }
+    }
+
+    // Step 4: upsert backup rows (parents first)
+    for (final model in archive.categories) {
+      final id = idOf(model.id);
+      final existing = categories[id];
+      if (!shouldWrite(existing?.updatedAt, model.updatedAt)) {
+        skipped++;
+        continue;
+      }
+      await _write(
+        _db.categories,
+        queue,
+        SyncEntityType.category,
+        Category(
+          id: id,
+          userId: userId,
+          name: model.name,
+          iconName: model.iconName,
+          colorHex: model.colorHex ?? '',
+          parentId: model.parentId == null ? null : idOf(model.parentId!),
+          createdAt: model.createdAt,
+          updatedAt: model.updatedAt,
+          isSynced: false,
+          isDeleted: false,
+        ),
+        existing == null ? SyncOperation.create : SyncOperation.update,
+      );
+      restored++;
+    }
+
+    for (final model in archive.budgets) {
+      final id = idOf(model.id);
+      final existing = budgets[id];
+      if (!shouldWrite(existing?.updatedAt, model.updatedAt)) {
+        skipped++;
+        continue;
+      }
+      await _write(
+        _db.budgets,
+        queue,
+        SyncEntityType.budget,
+        Budget(
+          id: id,
+          userId: userId,
+          name: model.name,
+          amount: model.amount,
+          currencyCode: model.currencyCode,
+          startDate: model.startDate,
+          endDate: model.endDate,
+          createdAt: model.createdAt,
+          updatedAt: model.updatedAt,
+          isSynced: false,
+          isDeleted: false,
+        ),
+        existing == null ? SyncOperation.create : SyncOperation.update,
+      );
+      restored++;
+    }
+
+    for (final model in archive.allocations) {
+      final id = idOf(model.id);
+      final existing = allocations[id];
+      if (!shouldWrite(existing?.updatedAt, model.updatedAt)) {
+        skipped++;
+        continue;
+      }
+      await _write(
+        _db.allocations,
+        queue,
+        SyncEntityType.allocation,
+        Allocation(
+          id: id,
+          userId: userId,
+          budgetId: idOf(model.budgetId),
+          categoryId: idOf(model.categoryId),
+          amount: model.amount,
+          createdAt: model.createdAt,
+          updatedAt: model.updatedAt,
+          isSynced: false,
+          isDeleted: false,
+        ),
+        existing == null ? SyncOperation.create : SyncOperation.update,
+      );
+      restored++;
+    }
+
+    for (final model in archive.transactions) {
+      // Unbalanced lines fail the whole restore (nothing is written)
+      model.splits.checkAddUpTo(model.amount);
+      final id = idOf(model.id);
+      final existing = transactions[id];
+      if (!shouldWrite(existing?.updatedAt, model.updatedAt)) {
+        skipped++;
+        continue;
+      }
+      await _write(
+        _db.transactions,
+        queue,
+        SyncEntityType.transaction,
+        Transaction(
+          id: id,
+          userId: userId,
+          name: model.name,
+          amount: model.amount,
+          currencyCode: model.currencyCode,
+          type: model.type.name,
+          transactionDate: model.transactionDate,
+          categoryId: newIds[model.categoryId] ?? model.categoryId,
+          budgetId: newIds[model.budgetId] ?? model.budgetId,
+          notes: model.notes,
+          // Series are device-local and not part of backups
+          recurringId: existing?.recurringId,
+          splits: model.splits.isEmpty
+              ? null
+              : jsonEncode([
+                  for (final line in model.splits)
+                    line
+                        .copyWith(
+                          categoryId: newIds[line.categoryId] ??
+                              line.categoryId,
+                          budgetId: newIds[line.budgetId] ?? line.budgetId,
+                        )
+                        .toJson(),
+                ]),
+          createdAt: model.createdAt,
+          updatedAt: model.updatedAt,
+          isSynced: false,
+          isDeleted: false,
+        ),
+        existing == null ? SyncOperation.create : SyncOperation.update,
+      );
+      restored++;
+    }
+
+    return (restored: restored, skipped: skipped, removed: removed);
+  }
+
+  /// All rows of [table] (every user) by ID
+  Future<Map<String, D>> _rowsById<T extends Table, D>(
+    TableInfo<T, D> table,
+    String Function(D) idOf,
+  ) async {
+    final rows = await _db.select(table).get();
+    return {for (final row in rows) idOf(row): row};
+  }
+
+  /// Upsert [row] and queue it for upload
+  Future<void> _write<T extends Table, D extends DataClass>(
+    TableInfo<T, D> table,
+    SyncQueueLocalSource queue,
+    SyncEntityType entityType,
+    D row,
+    SyncOperation operation,
+  ) async {
+    await _db.into(table).insertOnConflictUpdate(row as Insertable<D>);
+
+    final json = row.toJson();
+    await queue.enqueue(
+      entityType: entityType.name,
+      entityId: json['id'] as String,
+      operation: operation.name,
+      payload: jsonEncode(json),
+    );
+  }
+}
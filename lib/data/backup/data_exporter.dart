@@ -0,0 +1,257 @@
+import 'dart:convert';
+import 'dart:typed_data';
+
+import 'package:archive/archive.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/backup/backup_archive.dart';
+import 'package:centabit/data/models/allocation_model.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/repositories/allocation_repository.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+import 'package:intl/intl.dart';
+
+/// File formats of [DataExporter.export]
+enum ExportFormat {
+  /// Zip of one CSV per entity type, for spreadsheets
+  csv,
+
+  /// Versioned JSON [BackupArchive], restorable
+  backup,
+}
+
+/// Exported file, ready to be saved
+typedef ExportFile = ({String fileName, Uint8List bytes});
+
+/// What to include in an export
+///
+/// - [from] / [to]: transactions dated within these days (inclusive) and
+///   budgets overlapping them
+/// - [budgetId]: only this budget, its allocations and its transactions
+///
+/// Categories are always exported in full (everything else refers to them).
+class ExportFilter {
+  final DateTime? from;
+  final DateTime? to;
+  final String? budgetId;
+
+  const ExportFilter({this.from, this.to, this.budgetId});
+
+  /// True when everything is exported
+  bool get isEmpty => from == null && to == null && budgetId == null;
+
+  bool includesBudget(BudgetModel budget) {
+    if (budgetId != null && budget.id != budgetId) return false;
+    return _overlaps(budget.startDate, budget.endDate);
+  }
+
+  bool _overlaps(DateTime start, DateTime end) {
+    if (from != null && end.isBefore(DateFormatter.normalizeToDay(from!))) {
+      return false;
+    }
+    if (to != null) {
+      final dayAfter = DateFormatter.normalizeToDay(to!).add(
+        const Duration(days: 1),
+      );
+      if (!start.isBefore(dayAfter)) return false;
+    }
+    return true;
+  }
+}
+
+/// Exports the active user's data as CSV files or a [BackupArchive]
+///
+/// Reads the repositories' cached lists, and queries the transactions of
+/// the filter's days, so exports reflect exactly what the app shows
+/// (deleted rows are left out).
+///
+/// **Formats** ([export]):
+/// - [exportCsvZip]: `transactions.csv`, `budgets.csv`, `allocations.csv`
+///   and `categories.csv` in one zip, for spreadsheets
+/// - [createBackup]: versioned JSON, restorable with `BackupRestorer`
+class DataExporter {
+  final TransactionRepository _transactionRepository;
+  final BudgetRepository _budgetRepository;
+  final AllocationRepository _allocationRepository;
+  final CategoryRepository _categoryRepository;
+
+  /// Database schema version written into backups
+  final int schemaVersion;
+
+  static final _dateFormat = DateFormat('yyyy-MM-dd');
+
+  DataExporter(
+    this._transactionRepository,
+    this._budgetRepository,
+    this._allocationRepository,
+    this._categoryRepository, {
+    required this.schemaVersion,
+  });
+
+  /// File in [format] with everything matching [filter]
+  Future<ExportFile> export(ExportFormat format, ExportFilter filter) async {
+    final date = _dateFormat.format(DateTime.now());
+    return switch (format) {
+      ExportFormat.csv => (
+          fileName: 'centabit-export-$date.zip',
+          bytes: await exportCsvZip(filter),
+        ),
+      ExportFormat.backup => (
+          fileName: 'centabit-backup-$date.json',
+          bytes: utf8.encode((await createBackup(filter)).encode()),
+        ),
+    };
+  }
+
+  /// Backup of everything matching [filter]
+  Future<BackupArchive> createBackup([
+    ExportFilter filter = const ExportFilter(),
+  ]) async {
+    final budgets = _budgets(filter);
+    return BackupArchive(
+      schemaVersion: schemaVersion,
+      exportedAt: DateTime.now(),
+      isPartial: !filter.isEmpty,
+      categories: _categoryRepository.categories,
+      budgets: budgets,
+      allocations: _allocations(budgets),
+      transactions: await _transactions(filter),
+    );
+  }
+
+  /// Zip of one CSV file per entity type
+  Future<Uint8List> exportCsvZip([
+    ExportFilter filter = const ExportFilter(),
+  ]) async {
+    final budgets = _budgets(filter);
+    final files = {
+      'transactions.csv': _transactionsCsv(await _transactions(filter)),
+      'budgets.csv': _budgetsCsv(budgets),
+      'allocations.csv': _allocationsCsv(_allocations(budgets)),
+      'categories.csv': _categoriesCsv(_categoryRepository.categories),
+    };
+
+    final archive = Archive();
+    for (final MapEntry(key: name, value: content) in files.entries) {
+      archive.addFile(ArchiveFile.string(name, content));
+    }
+    return ZipEncoder().encodeBytes(archive);
+  }
+
+  List<BudgetModel> _budgets(ExportFilter filter) =>
+      _budgetRepository.budgets.where(filter.includesBudget).toList();
+
+  List<AllocationModel> _allocations(List<BudgetModel> budgets) {
+    final budgetIds = {for (final b in budgets) b.id};
+    return _allocationRepository.allocations
+        .where((a) => budgetIds.contains(a.budgetId))
+        .toList();
+  }
+
+  /// Transactions matching [filter], oldest first
+  Future<List<TransactionModel>> _transactions(ExportFilter filter) async {
+    final from = filter.from;
+    final to = filter.to;
+    // An open end of the filter queries up to a date no transaction reaches
+    final transactions = await _transactionRepository.getTransactionsInRange(
+      from != null ? DateFormatter.normalizeToDay(from) : DateTime(0),
+      to != null
+          ? DateFormatter.normalizeToDay(to).add(const Duration(days: 1))
+          : DateTime(10000),
+      budgetId: filter.budgetId,
+    );
+    return transactions.reversed.toList();
+  }
+
+  String _transactionsCsv(List<TransactionModel> transactions) {
+    final categoryNames = _categoryNames();
+    final budgetNames = {
+      for (final b in _budgetRepository.budgets) b.id: b.name,
+    };
+
+    return _encodeCsv([
+      ['Date', 'Name', 'Type', 'Amount', 'Category', 'Budget', 'Notes', 'ID'],
+      for (final t in transactions)
+        [
+          _dateFormat.format(t.transactionDate),
+          t.name,
+          t.type.name,
+          // Signed like a bank statement: money out is negative
+          (t.type == TransactionType.debit ? -t.amount : t.amount)
+              .toStringAsFixed(2),
+          // Split: the categories and budgets of its lines
+          {for (final line in t.lines) ?categoryNames[line.categoryId]}
+              .join('; '),
+          {for (final line in t.lines) ?budgetNames[line.budgetId]}
+              .join('; '),
+          t.notes ?? '',
+          t.id,
+        ],
+    ]);
+  }
+
+  String _budgetsCsv(List<BudgetModel> budgets) {
+    return _encodeCsv([
+      ['Name', 'Start date', 'End date', 'Amount', 'ID'],
+      for (final b in budgets)
+        [
+          b.name,
+          _dateFormat.format(b.startDate),
+          _dateFormat.format(b.endDate),
+          b.amount.toStringAsFixed(2),
+          b.id,
+        ],
+    ]);
+  }
+
+  String _allocationsCsv(List<AllocationModel> allocations) {
+    final categoryNames = _categoryNames();
+    final budgetNames = {
+      for (final b in _budgetRepository.budgets) b.id: b.name,
+    };
+
+    return _encodeCsv([
+      ['Budget', 'Category', 'Amount', 'Budget ID', 'Category ID', 'ID'],
+      for (final a in allocations)
+        [
+          budgetNames[a.budgetId] ?? '',
+          categoryNames[a.categoryId] ?? '',
+          a.amount.toStringAsFixed(2),
+          a.budgetId,
+          a.categoryId,
+          a.id,
+        ],
+    ]);
+  }
+
+  String _categoriesCsv(List<CategoryModel> categories) {
+    final categoryNames = _categoryNames();
+    return _encodeCsv([
+      ['Name', 'Parent', 'Icon', 'Color', 'ID'],
+      for (final c in categories)
+        [
+          c.name,
+          categoryNames[c.parentId] ?? '',
+          c.iconName,
+          c.colorHex ?? '',
+          c.id,
+        ],
+    ]);
+  }
+
+  Map<String?, String> _categoryNames() =>
+      {for (final c in _categoryRepository.categories) c.id: c.name};
+
+  /// RFC 4180 CSV (quoted when a value holds a comma, quote or newline)
+  static String _encodeCsv(List<List<String>> rows) {
+    String escape(String value) {
+      if (!value.contains(RegExp(r'[",\r\n]'))) return value;
+      return '"${value.replaceAll('"', '""')}"';
+    }
+
+    return rows.map((row) => row.map(escape).join(',')).join('\r\n');
+  }
+}
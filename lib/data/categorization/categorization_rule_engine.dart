@@ -0,0 +1,155 @@
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/categorization_rule_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+
+/// Category and budget a rule fills in, once checked against the live
+/// categories and budgets (null when it sets none or it's gone)
+typedef RuleTargets = ({String? categoryId, String? budgetId});
+
+/// Applies categorization rules to new transactions, without side effects
+///
+/// Rules are tried oldest first; the first enabled one whose conditions
+/// hold applies, the others are ignored. Applying never overrides a
+/// choice: only a missing category or budget is filled in, with the
+/// rule's when it still exists (a budget must also cover the transaction's
+/// date). A rule's new name replaces the name. Split transactions are left
+/// alone, their lines carry the categories.
+///
+/// Regex patterns are compiled by [compile], which the repository calls
+/// with every list of rules it loads, and reused for every transaction:
+/// the engine is a singleton shared by the repository and its users.
+///
+/// **Usage**:
+/// ```dart
+/// final engine = getIt<CategorizationRuleEngine>();
+/// final categorized = engine.apply(
+///   transaction,
+///   rules: ruleRepository.rules,
+///   categories: categoryRepository.categories,
+///   budgets: budgetRepository.budgets,
+/// );
+/// ```
+class CategorizationRuleEngine {
+  /// Compiled regex of each pattern of the loaded rules (null: invalid)
+  Map<String, RegExp?> _patterns = {};
+
+  /// First enabled rule in [rules] matching [name] and [amount], if any
+  ///
+  /// A null [amount] (not entered yet) fails rules with an amount range.
+  CategorizationRuleModel? match(
+    List<CategorizationRuleModel> rules, {
+    required String name,
+    double? amount,
+  }) {
+    for (final rule in rules) {
+      if (rule.isEnabled &&
+          rule.hasCondition &&
+          _matchesName(rule, name) &&
+          _matchesAmount(rule, amount)) {
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  /// [rule]'s category and budget, kept only if they still exist (and the
+  /// budget covers [date])
+  RuleTargets targetsOf(
+    CategorizationRuleModel rule, {
+    required DateTime date,
+    required List<CategoryModel> categories,
+    required List<BudgetModel> budgets,
+  }) {
+    final categoryId = rule.categoryId;
+    final budgetId = rule.budgetId;
+    return (
+      categoryId: categories.any((c) => c.id == categoryId)
+          ? categoryId
+          : null,
+      budgetId: budgets.any((b) =>
+              b.id == budgetId &&
+              !date.isBefore(b.startDate) &&
+              !date.isAfter(b.endDate))
+          ? budgetId
+          : null,
+    );
+  }
+
+  /// [transaction] with the first matching rule in [rules] applied
+  TransactionModel apply(
+    TransactionModel transaction, {
+    required List<CategorizationRuleModel> rules,
+    required List<CategoryModel> categories,
+    required List<BudgetModel> budgets,
+  }) {
+    if (transaction.isSplit) return transaction;
+
+    final rule = match(
+      rules,
+      name: transaction.name,
+      amount: transaction.amount,
+    );
+    if (rule == null) return transaction;
+
+    final targets = targetsOf(
+      rule,
+      date: transaction.transactionDate,
+      categories: categories,
+      budgets: budgets,
+    );
+    final rename = rule.rename?.trim() ?? '';
+    return transaction.copyWith(
+      name: rename.isEmpty ? transaction.name : rename,
+      categoryId: transaction.categoryId ?? targets.categoryId,
+      budgetId: transaction.budgetId ?? targets.budgetId,
+    );
+  }
+
+  /// Whether [pattern] is a valid regular expression (rule editor)
+  static bool isValidRegex(String pattern) => _regex(pattern) != null;
+
+  /// Compile the regex patterns of freshly loaded [rules]
+  ///
+  /// Replaces the patterns of the previous rules; those still in use are
+  /// not compiled again.
+  void compile(List<CategorizationRuleModel> rules) {
+    final previous = _patterns;
+    _patterns = {};
+    for (final rule in rules) {
+      final pattern = rule.namePattern;
+      if (!rule.isRegex || pattern == null || pattern.isEmpty) continue;
+      _patterns[pattern] = previous.containsKey(pattern)
+          ? previous[pattern]
+          : _regex(pattern);
+    }
+  }
+
+  bool _matchesName(CategorizationRuleModel rule, String name) {
+    final pattern = rule.namePattern;
+    if (pattern == null || pattern.isEmpty) return true;
+    if (!rule.isRegex) {
+      return name.toLowerCase().contains(pattern.toLowerCase());
+    }
+    // An invalid expression never matches (the editor refuses them).
+    // Rules that didn't go through [compile] are compiled on first use.
+    final regex = _patterns.putIfAbsent(pattern, () => _regex(pattern));
+    return regex?.hasMatch(name) ?? false;
+  }
+
+  bool _matchesAmount(CategorizationRuleModel rule, double? amount) {
+    final min = rule.minAmount;
+    final max = rule.maxAmount;
+    if (min == null && max == null) return true;
+    if (amount == null) return false;
+    return (min == null || amount >= min) && (max == null || amount <= max);
+  }
+
+  static RegExp? _regex(String pattern) {
+    try {
+      return RegExp(pattern, caseSensitive: false, unicode: true);
+    } on FormatException {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import 'package:centabit/data/import/duplicate_detector.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+
+/// Suggests a category for a transaction name from past transactions
+///
+/// Past transactions sharing a word with the name (3 letters or more) are
+/// compared with [DuplicateDetector.nameSimilarity]; each one at least
+/// [threshold] similar votes for its category with its similarity. The
+/// category with the most votes is suggested, so "Starbucks Seattle"
+/// gets the category "STARBUCKS #1234" and "Starbucks" were usually given.
+class CategorySuggester {
+  final TransactionRepository _transactionRepository;
+  final double threshold;
+
+  CategorySuggester(this._transactionRepository, {this.threshold = 0.6});
+
+  /// ID of the category suggested for [name], null when no past
+  /// transaction is similar enough
+  Future<String?> suggest(String name) async {
+    final words = _words(name);
+    if (words.isEmpty) return null;
+
+    final history =
+        await _transactionRepository.getCategorizedByNameWords(words);
+    final votes = <String, double>{};
+    for (final transaction in history) {
+      final categoryId = transaction.categoryId;
+      if (categoryId == null) continue;
+
+      final score = DuplicateDetector.nameSimilarity(name, transaction.name);
+      if (score < threshold) continue;
+      votes[categoryId] = (votes[categoryId] ?? 0) + score;
+    }
+    if (votes.isEmpty) return null;
+
+    return votes.entries.reduce((a, b) => b.value > a.value ? b : a).key;
+  }
+
+  /// Distinct words of [name] worth searching: letters only (safe in a
+  /// LIKE pattern), 3 or more
+  static List<String> _words(String name) {
+    return name
+        .toLowerCase()
+        .split(RegExp(r'[^\p{L}]+', unicode: true))
+        .where((word) => word.length >= 3)
+        .toSet()
+        .toList();
+  }
+}
@@ -0,0 +1,69 @@
+import 'package:centabit/data/models/exchange_rate_model.dart';
+
+/// Converts amounts between currencies with the user's exchange rates
+///
+/// **Rate lookup** ([rateOf]):
+/// 1. Same currency: 1
+/// 2. A rate for the pair, or for the reverse pair (`1 / rate`)
+/// 3. Through one other currency: with EUR→USD and USD→GBP entered,
+///    EUR→GBP is `EUR→USD × USD→GBP`
+///
+/// An amount that can't be converted (no rate found) is counted 1:1, so
+/// totals never drop spending; [missingRates] lists the currencies this
+/// happens for, for the UI to point out.
+///
+/// **Example**:
+/// ```dart
+/// final converter = CurrencyConverter([eurUsd]); // 1 EUR = 1.08 USD
+/// converter.convert(10, from: 'EUR', to: 'USD'); // 10.8
+/// converter.convert(10.8, from: 'USD', to: 'EUR'); // 10.0
+/// ```
+class CurrencyConverter {
+  /// from → to → rate, both directions
+  final Map<String, Map<String, double>> _rates = {};
+
+  CurrencyConverter(Iterable<ExchangeRateModel> rates) {
+    for (final rate in rates) {
+      _rates.putIfAbsent(rate.baseCode, () => {})[rate.quoteCode] = rate.rate;
+    }
+    // Reverse rates only where the user didn't enter that direction too
+    for (final rate in rates) {
+      _rates
+          .putIfAbsent(rate.quoteCode, () => {})
+          .putIfAbsent(rate.baseCode, () => 1 / rate.rate);
+    }
+  }
+
+  /// Converter without rates (every currency counted 1:1)
+  CurrencyConverter.empty() : this(const []);
+
+  /// Units of [to] per unit of [from], or null if no rate leads there
+  double? rateOf(String from, String to) {
+    if (from == to) return 1;
+
+    final fromRates = _rates[from];
+    if (fromRates == null) return null;
+
+    final direct = fromRates[to];
+    if (direct != null) return direct;
+
+    for (final MapEntry(key: via, value: toVia) in fromRates.entries) {
+      final viaToTarget = _rates[via]?[to];
+      if (viaToTarget != null) return toVia * viaToTarget;
+    }
+    return null;
+  }
+
+  /// [amount] in [from] expressed in [to] (1:1 when there's no rate)
+  double convert(double amount, {required String from, required String to}) {
+    return amount * (rateOf(from, to) ?? 1);
+  }
+
+  /// Currencies among [currencies] that can't be converted into [to]
+  Set<String> missingRates(Iterable<String> currencies, String to) {
+    return {
+      for (final currency in currencies)
+        if (rateOf(currency, to) == null) currency,
+    };
+  }
+}
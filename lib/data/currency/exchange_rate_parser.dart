@@ -0,0 +1,94 @@
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/models/exchange_rate_model.dart';
+
+/// Thrown when an exchange rate file can't be parsed
+///
+/// [message] is localized and names the offending line, so it can be shown
+/// as is.
+class ExchangeRateParseException implements Exception {
+  final String message;
+
+  const ExchangeRateParseException(this.message);
+
+  @override
+  String toString() => 'ExchangeRateParseException: $message';
+}
+
+/// Parses exchange rate files: one `BASE,QUOTE,RATE` line per rate
+///
+/// ```
+/// base,quote,rate
+/// EUR,USD,1.08
+/// GBP;USD;1.27
+/// # JPY is priced the other way round
+/// USD	JPY	151.2
+/// ```
+///
+/// - Separators: comma, semicolon or tab
+/// - A first line whose rate isn't a number is a header (skipped)
+/// - Blank lines and lines starting with `#` are ignored
+/// - Codes are ISO 4217 (case-insensitive); rates must be > 0
+///
+/// A pair listed twice keeps its last rate.
+class ExchangeRateParser {
+  static final _separator = RegExp(r'[,;\t]');
+  static final _currencyCode = RegExp(r'^[A-Z]{3}$');
+
+  const ExchangeRateParser();
+
+  /// All rates in [content], dated [updatedAt] (defaults to now)
+  ///
+  /// Throws [ExchangeRateParseException] on the first invalid line.
+  List<ExchangeRateModel> parse(String content, {DateTime? updatedAt}) {
+    final date = updatedAt ?? DateTime.now();
+    final rates = <(String, String), ExchangeRateModel>{};
+    final lines = content.split(RegExp(r'\r?\n'));
+    var isFirstLine = true;
+
+    for (var i = 0; i < lines.length; i++) {
+      final line = lines[i].trim();
+      if (line.isEmpty || line.startsWith('#')) continue;
+
+      final lineNumber = i + 1;
+      final fields = line.split(_separator).map((f) => f.trim()).toList();
+      if (fields.length != 3) {
+        throw ExchangeRateParseException(
+          L10n.current.exchangeRatesParseFields(lineNumber),
+        );
+      }
+
+      final rate = double.tryParse(fields[2]);
+      final isHeader = isFirstLine && rate == null;
+      isFirstLine = false;
+      if (isHeader) continue;
+
+      final baseCode = fields[0].toUpperCase();
+      final quoteCode = fields[1].toUpperCase();
+      if (!_currencyCode.hasMatch(baseCode) ||
+          !_currencyCode.hasMatch(quoteCode)) {
+        throw ExchangeRateParseException(
+          L10n.current.exchangeRatesParseCodes(lineNumber),
+        );
+      }
+      if (baseCode == quoteCode) {
+        throw ExchangeRateParseException(
+          L10n.current.exchangeRatesParseSamePair(lineNumber, baseCode),
+        );
+      }
+      if (rate == null || rate <= 0) {
+        throw ExchangeRateParseException(
+          L10n.current.exchangeRatesParseRate(lineNumber),
+        );
+      }
+
+      rates[(baseCode, quoteCode)] = ExchangeRateModel(
+        baseCode: baseCode,
+        quoteCode: quoteCode,
+        rate: rate,
+        updatedAt: date,
+      );
+    }
+
+    return rates.values.toList();
+  }
+}
@@ -0,0 +1,222 @@
+import 'dart:async';
+import 'dart:convert';
+
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
+import 'package:centabit/data/local/database.dart' as db;
+import 'package:centabit/data/local/spending_history_local_source.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/spending_period_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/repositories/allocation_repository.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/exchange_rate_repository.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+
+/// Learns how the user spends over a budget period, for a personalized BAR
+///
+/// [learn] turns each ended budget into a [SpendingPeriodModel]: how much
+/// of it had been spent (net of credits, in the budget's currency) by each
+/// day of its period. The periods are stored, and [historyFor] hands them
+/// to [SmartBudgetCalculator], which blends them with its front-loaded
+/// curve once there are [SmartBudgetCalculator.minHistoricalPeriods].
+///
+/// Runs at startup and after a profile switch (see
+/// `configureDependencies`/`reloadUserScope`): a budget that ends, or a
+/// past transaction edited, while the app is open is picked up on the next
+/// run. Budgets without allocations or transactions teach nothing and are
+/// left out.
+///
+/// **Usage**:
+/// ```dart
+/// final calculation = calculator.calculate(
+///   // ...
+///   historicalData: spendingHistory.historyFor(budget),
+/// );
+/// ```
+class SpendingHistoryService {
+  SpendingHistoryLocalSource _localSource;
+  final BudgetRepository _budgetRepository;
+  final AllocationRepository _allocationRepository;
+  final TransactionRepository _transactionRepository;
+  final ExchangeRateRepository _exchangeRateRepository;
+
+  /// Most recent ended budgets learned from (and fed to the calculator)
+  static const int maxPeriods = 6;
+
+  final _historyController =
+      StreamController<List<SpendingPeriodModel>>.broadcast();
+  StreamSubscription? _dbSubscription;
+  List<SpendingPeriodModel> _latestPeriods = [];
+
+  SpendingHistoryService(
+    this._localSource,
+    this._budgetRepository,
+    this._allocationRepository,
+    this._transactionRepository,
+    this._exchangeRateRepository,
+  ) {
+    _subscribeToLocalChanges();
+  }
+
+  /// Public stream of the learned periods, oldest first
+  Stream<List<SpendingPeriodModel>> get historyStream =>
+      _historyController.stream;
+
+  /// Synchronous getter for immediate access
+  List<SpendingPeriodModel> get periods => _latestPeriods;
+
+  /// Subscribe to Drift's reactive query
+  void _subscribeToLocalChanges() {
+    _dbSubscription = _localSource.watchAllPeriods().listen((dbPeriods) {
+      _latestPeriods = dbPeriods.map(_mapToModel).toList();
+      _historyController.add(_latestPeriods);
+    });
+  }
+
+  /// Switch to another user's history (active profile changed)
+  void bindUser(SpendingHistoryLocalSource localSource) {
+    _localSource = localSource;
+    _dbSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
+  /// Periods to learn [budget]'s BAR from, oldest first
+  ///
+  /// Only budgets that ended before [budget] started count, so an ended
+  /// budget is never measured against itself or later spending.
+  List<HistoricalSpendingPeriod> historyFor(BudgetModel budget) {
+    final earlier = _latestPeriods
+        .where((p) => p.endDate.isBefore(budget.startDate))
+        .toList();
+    return earlier
+        .skip(earlier.length > maxPeriods ? earlier.length - maxPeriods : 0)
+        .map((p) => p.toHistoricalPeriod())
+        .toList();
+  }
+
+  /// Learn the [maxPeriods] most recent budgets ended before [now]
+  /// (defaults to the current time), replacing what was learned before
+  ///
+  /// Returns the number of periods stored.
+  Future<int> learn({DateTime? now}) async {
+    final cutoff = now ?? DateTime.now();
+    final learned = <SpendingPeriodModel>[];
+
+    for (final budget in await _budgetRepository.getEndedBudgets(cutoff)) {
+      final period = await _learnBudget(budget, cutoff);
+      if (period != null) learned.add(period);
+      if (learned.length == maxPeriods) break;
+    }
+
+    await _localSource.replacePeriods(learned.map(_mapToInsert).toList());
+
+    AppLogger.instance.logWithContext(
+      message: '[SpendingHistoryService] Learned spending history',
+      context: {'periods': learned.length},
+    );
+    return learned.length;
+  }
+
+  /// Spending curve of [budget], or null if it has nothing to teach
+  Future<SpendingPeriodModel?> _learnBudget(
+    BudgetModel budget,
+    DateTime now,
+  ) async {
+    final allocations =
+        await _allocationRepository.fetchAllocationsForBudget(budget.id);
+    final totalBudget = allocations.fold<double>(
+      0,
+      (sum, allocation) => sum + allocation.amount,
+    );
+    if (totalBudget <= 0) return null;
+
+    // Same selection as the BAR: linked to the budget, within its period
+    final transactions =
+        (await _transactionRepository.getTransactionsForBudget(budget.id))
+            .where((t) =>
+                !t.transactionDate.isBefore(budget.startDate) &&
+                !t.transactionDate.isAfter(budget.endDate))
+            .toList();
+    if (transactions.isEmpty) return null;
+
+    // Net spending per day of the period (1-based, like `daysElapsed`)
+    final converter = _exchangeRateRepository.converter;
+    final spentByDay = <int, double>{};
+    for (final transaction in transactions) {
+      final day =
+          transaction.transactionDate.difference(budget.startDate).inDays + 1;
+      // Of a split transaction, only its lines in the budget
+      final amount = converter.convert(
+        transaction.lines
+            .where((line) => line.budgetId == budget.id)
+            .fold<double>(0, (sum, line) => sum + line.amount),
+        from: transaction.currencyCode,
+        to: budget.currencyCode,
+      );
+      spentByDay[day] = (spentByDay[day] ?? 0) +
+          (transaction.type == TransactionType.credit ? -amount : amount);
+    }
+
+    // Cumulative, anchored at day 0 and the last day for interpolation
+    final totalDays = budget.endDate.difference(budget.startDate).inDays + 1;
+    final checkpoints = [const SpendingCheckpoint(day: 0, spent: 0)];
+    var spent = 0.0;
+    for (final day in spentByDay.keys.toList()..sort()) {
+      spent += spentByDay[day]!;
+      checkpoints.add(SpendingCheckpoint(day: day, spent: spent));
+    }
+    if (checkpoints.last.day < totalDays) {
+      checkpoints.add(SpendingCheckpoint(day: totalDays, spent: spent));
+    }
+
+    return SpendingPeriodModel(
+      budgetId: budget.id,
+      startDate: budget.startDate,
+      endDate: budget.endDate,
+      totalBudget: totalBudget,
+      checkpoints: checkpoints,
+      updatedAt: now,
+    );
+  }
+
+  /// Map Drift entity → Domain model
+  SpendingPeriodModel _mapToModel(db.SpendingPeriod dbPeriod) {
+    final checkpoints = (jsonDecode(dbPeriod.checkpoints) as List)
+        .cast<List<dynamic>>()
+        .map((pair) => SpendingCheckpoint(
+              day: pair[0] as int,
+              spent: (pair[1] as num).toDouble(),
+            ))
+        .toList();
+    return SpendingPeriodModel(
+      budgetId: dbPeriod.budgetId,
+      startDate: dbPeriod.startDate,
+      endDate: dbPeriod.endDate,
+      totalBudget: dbPeriod.totalBudget,
+      checkpoints: checkpoints,
+      updatedAt: dbPeriod.updatedAt,
+    );
+  }
+
+  /// Map Domain model → Drift insert companion
+  db.SpendingPeriodsCompanion _mapToInsert(SpendingPeriodModel model) {
+    return db.SpendingPeriodsCompanion.insert(
+      userId: _localSource.userId,
+      budgetId: model.budgetId,
+      startDate: model.startDate,
+      endDate: model.endDate,
+      totalBudget: model.totalBudget,
+      checkpoints: jsonEncode([
+        for (final checkpoint in model.checkpoints)
+          [checkpoint.day, checkpoint.spent],
+      ]),
+      updatedAt: model.updatedAt,
+    );
+  }
+
+  void dispose() {
+    _dbSubscription?.cancel();
+    _historyController.close();
+  }
+}
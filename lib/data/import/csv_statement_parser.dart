@@ -0,0 +1,220 @@
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:intl/intl.dart';
+
+/// Where the values of a transaction are in a CSV statement
+///
+/// Banks lay out their CSV exports differently, so the user maps the
+/// columns once per file (indexes are 0-based).
+///
+/// **Amounts** come either from one signed column ([amountColumn]) or from
+/// separate money out/in columns ([debitColumn]/[creditColumn]).
+///
+/// **Example** (`Date;Description;Amount` with `31.12.2025;Rent;-1.200,00`):
+/// ```dart
+/// const mapping = CsvColumnMapping(
+///   dateColumn: 0,
+///   nameColumn: 1,
+///   amountColumn: 2,
+///   dateFormat: 'dd.MM.yyyy',
+///   decimalSeparator: ',',
+///   delimiter: ';',
+/// );
+/// ```
+class CsvColumnMapping {
+  final int dateColumn;
+  final int nameColumn;
+
+  /// Signed amount (negative = money out)
+  final int? amountColumn;
+
+  /// Money out, used when there's no [amountColumn]
+  final int? debitColumn;
+
+  /// Money in, used when there's no [amountColumn]
+  final int? creditColumn;
+
+  final int? notesColumn;
+
+  /// `DateFormat` pattern of the date column (e.g. `dd/MM/yyyy`)
+  final String dateFormat;
+
+  /// `.` or `,`
+  final String decimalSeparator;
+
+  final String delimiter;
+
+  /// First row holds column titles, not a transaction
+  final bool hasHeader;
+
+  const CsvColumnMapping({
+    required this.dateColumn,
+    required this.nameColumn,
+    this.amountColumn,
+    this.debitColumn,
+    this.creditColumn,
+    this.notesColumn,
+    this.dateFormat = 'yyyy-MM-dd',
+    this.decimalSeparator = '.',
+    this.delimiter = ',',
+    this.hasHeader = true,
+  });
+
+  /// Whether the mapping can produce amounts
+  bool get hasAmount =>
+      amountColumn != null || debitColumn != null || creditColumn != null;
+}
+
+/// Parses CSV statements with a user-defined [CsvColumnMapping]
+///
+/// Rows without any amount (balance or summary lines some banks add) are
+/// skipped; rows with an unreadable date or amount fail the whole parse,
+/// naming the row, so the user can fix the mapping.
+class CsvStatementParser implements StatementParser {
+  final CsvColumnMapping mapping;
+
+  const CsvStatementParser(this.mapping);
+
+  @override
+  List<TransactionModel> parse(String content) {
+    if (!mapping.hasAmount) {
+      throw StatementParseException(L10n.current.importPickAmountColumn);
+    }
+
+    final rows = readRows(content, delimiter: mapping.delimiter);
+    final dateFormat = DateFormat(mapping.dateFormat);
+    final transactions = <TransactionModel>[];
+
+    for (var i = mapping.hasHeader ? 1 : 0; i < rows.length; i++) {
+      final row = rows[i];
+      final rowNumber = i + 1;
+      String field(int? column) =>
+          (column != null && column < row.length) ? row[column].trim() : '';
+
+      final signedAmount = _signedAmount(field, rowNumber);
+      if (signedAmount == null) continue; // Balance/summary line
+
+      final dateText = field(mapping.dateColumn);
+      final DateTime date;
+      try {
+        date = dateFormat.parseStrict(dateText);
+      } on FormatException {
+        throw StatementParseException(
+          L10n.current.importRowInvalidDate(
+            rowNumber,
+            dateText,
+            mapping.dateFormat,
+          ),
+        );
+      }
+
+      transactions.add(statementTransaction(
+        date: date,
+        signedAmount: signedAmount,
+        name: field(mapping.nameColumn),
+        notes: field(mapping.notesColumn),
+      ));
+    }
+
+    return transactions;
+  }
+
+  /// Signed amount of a row, or null if all amount cells are empty
+  double? _signedAmount(String Function(int?) field, int rowNumber) {
+    double? read(int? column) {
+      final text = field(column);
+      if (text.isEmpty) return null;
+      final amount = parseStatementAmount(
+        text,
+        decimalSeparator: mapping.decimalSeparator,
+      );
+      if (amount == null) {
+        throw StatementParseException(
+          L10n.current.importRowInvalidAmount(rowNumber, text),
+        );
+      }
+      return amount;
+    }
+
+    if (mapping.amountColumn != null) return read(mapping.amountColumn);
+
+    final debit = read(mapping.debitColumn);
+    final credit = read(mapping.creditColumn);
+    if (debit == null && credit == null) return null;
+    // Some banks sign the debit column, some don't
+    return (credit?.abs() ?? 0) - (debit?.abs() ?? 0);
+  }
+
+  /// Split CSV [content] into rows of fields
+  ///
+  /// RFC 4180: quoted fields may contain the delimiter, line breaks and
+  /// doubled quotes. Empty lines are dropped.
+  static List<List<String>> readRows(
+    String content, {
+    String delimiter = ',',
+  }) {
+    final rows = <List<String>>[];
+    var row = <String>[];
+    final field = StringBuffer();
+    var inQuotes = false;
+
+    void endField() {
+      row.add(field.toString());
+      field.clear();
+    }
+
+    void endRow() {
+      endField();
+      if (row.length > 1 || row.first.trim().isNotEmpty) rows.add(row);
+      row = <String>[];
+    }
+
+    // Drop the byte order mark Excel puts in front of UTF-8 exports
+    final text = content.startsWith('\uFEFF') ? content.substring(1) : content;
+
+    for (var i = 0; i < text.length; i++) {
+      final char = text[i];
+      if (inQuotes) {
+        if (char == '"') {
+          if (i + 1 < text.length && text[i + 1] == '"') {
+            field.write('"');
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          field.write(char);
+        }
+      } else if (char == '"') {
+        inQuotes = true;
+      } else if (char == delimiter) {
+        endField();
+      } else if (char == '\n') {
+        endRow();
+      } else if (char != '\r') {
+        field.write(char);
+      }
+    }
+    if (field.isNotEmpty || row.isNotEmpty) endRow();
+
+    return rows;
+  }
+
+  /// Most likely delimiter of [content]: `,`, `;` or tab, whichever is
+  /// most frequent on the first line
+  static String detectDelimiter(String content) {
+    final firstLine = content.split('\n').first;
+    const candidates = [',', ';', '\t'];
+    var best = candidates.first;
+    var bestCount = 0;
+    for (final candidate in candidates) {
+      final count = candidate.allMatches(firstLine).length;
+      if (count > bestCount) {
+        best = candidate;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+}
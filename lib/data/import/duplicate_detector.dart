@@ -0,0 +1,88 @@
+import 'package:centabit/data/models/transaction_model.dart';
+
+/// Finds existing transactions that an imported one probably duplicates
+///
+/// A match needs all of:
+/// - Same type and amount (to the cent)
+/// - Date within [dayTolerance] days (banks post a few days after the
+///   purchase the user recorded)
+/// - Similar name ([nameSimilarity] ≥ [nameThreshold])
+///
+/// Names on statements are noisy ("CARD 1234 STARBUCKS SEATTLE WA" for
+/// "Starbucks"), so a name contained in the other counts as identical.
+class DuplicateDetector {
+  final int dayTolerance;
+  final double nameThreshold;
+
+  const DuplicateDetector({this.dayTolerance = 2, this.nameThreshold = 0.6});
+
+  /// Best match for [candidate] in [existing], or null if none is close
+  TransactionModel? findDuplicate(
+    TransactionModel candidate,
+    Iterable<TransactionModel> existing,
+  ) {
+    TransactionModel? best;
+    var bestScore = 0.0;
+
+    for (final transaction in existing) {
+      if (transaction.type != candidate.type) continue;
+      if ((transaction.amount - candidate.amount).abs() >= 0.005) continue;
+      if (_daysApart(transaction.transactionDate, candidate.transactionDate) >
+          dayTolerance) {
+        continue;
+      }
+
+      final score = nameSimilarity(transaction.name, candidate.name);
+      if (score >= nameThreshold && score > bestScore) {
+        best = transaction;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /// Similarity of two names from 0 (unrelated) to 1 (same)
+  ///
+  /// Dice coefficient of the letter pairs, ignoring case, digits and
+  /// punctuation. 1 when one name contains the other.
+  static double nameSimilarity(String a, String b) {
+    final left = _normalize(a);
+    final right = _normalize(b);
+    if (left.isEmpty || right.isEmpty) return 0.0;
+    if (left.contains(right) || right.contains(left)) return 1.0;
+
+    final leftPairs = _pairs(left);
+    final rightPairs = _pairs(right);
+    if (leftPairs.isEmpty || rightPairs.isEmpty) return 0.0;
+
+    final total = leftPairs.length + rightPairs.length;
+    var shared = 0;
+    for (final pair in leftPairs) {
+      if (rightPairs.remove(pair)) shared++; // Each pair matches once
+    }
+    return 2 * shared / total;
+  }
+
+  static String _normalize(String name) {
+    return name
+        .toLowerCase()
+        .replaceAll(RegExp(r'[^\p{L}\s]', unicode: true), ' ')
+        .replaceAll(RegExp(r'\s+'), ' ')
+        .trim();
+  }
+
+  /// Adjacent letter pairs of each word
+  static List<String> _pairs(String text) {
+    return [
+      for (final word in text.split(' '))
+        for (var i = 0; i < word.length - 1; i++) word.substring(i, i + 2),
+    ];
+  }
+
+  static int _daysApart(DateTime a, DateTime b) {
+    final dayA = DateTime.utc(a.year, a.month, a.day);
+    final dayB = DateTime.utc(b.year, b.month, b.day);
+    return dayA.difference(dayB).inDays.abs();
+  }
+}
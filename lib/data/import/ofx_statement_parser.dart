@@ -0,0 +1,105 @@
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:uuid/uuid.dart';
+
+/// Parses OFX/QFX statements (SGML 1.x and XML 2.x)
+///
+/// Reads every `<STMTTRN>` aggregate (bank and credit card statements):
+/// - `DTPOSTED` → transaction date (time kept when present)
+/// - `TRNAMT` → signed amount
+/// - `NAME` (or `PAYEE`) → name, `MEMO` → notes
+/// - `FITID` → transaction ID
+///
+/// `FITID` is the bank's unique ID for the entry, so transaction IDs are
+/// derived from it (UUID v5, like recurring occurrences): importing the
+/// same statement twice yields the same IDs and `StatementImporter`
+/// recognizes the entries as already imported.
+class OfxStatementParser implements StatementParser {
+  /// Namespace for IDs derived from `ACCTID` + `FITID`
+  static const _fitIdNamespace = '0b6e8f3c-7c1e-4d5a-9a43-2f1d6c8e9b70';
+
+  const OfxStatementParser();
+
+  @override
+  List<TransactionModel> parse(String content) {
+    if (!content.contains('<OFX>')) {
+      throw StatementParseException(L10n.current.importNotOfx);
+    }
+
+    final accountId = _value(content, 'ACCTID') ?? '';
+    final blocks = RegExp(r'<STMTTRN>(.*?)</STMTTRN>', dotAll: true)
+        .allMatches(content)
+        .map((m) => m.group(1)!)
+        .toList();
+
+    final transactions = <TransactionModel>[];
+    for (var i = 0; i < blocks.length; i++) {
+      final block = blocks[i];
+      final entry = i + 1;
+
+      final postedText = _value(block, 'DTPOSTED');
+      final date = postedText == null ? null : _parseDate(postedText);
+      if (date == null) {
+        throw StatementParseException(
+          L10n.current.importEntryInvalidDate(entry, postedText ?? ''),
+        );
+      }
+
+      final amountText = _value(block, 'TRNAMT') ?? '';
+      // Some banks write decimal commas despite the spec
+      final amount = parseStatementAmount(amountText.replaceAll(',', '.'));
+      if (amount == null) {
+        throw StatementParseException(
+          L10n.current.importEntryInvalidAmount(entry, amountText),
+        );
+      }
+
+      final fitId = _value(block, 'FITID');
+      transactions.add(statementTransaction(
+        id: fitId == null
+            ? null
+            : const Uuid().v5(_fitIdNamespace, '$accountId/$fitId'),
+        date: date,
+        signedAmount: amount,
+        name: _value(block, 'NAME') ?? _value(block, 'PAYEE') ?? '',
+        notes: _value(block, 'MEMO'),
+      ));
+    }
+
+    return transactions;
+  }
+
+  /// Value of the first `<TAG>` in [text]
+  ///
+  /// Works for both SGML (`<NAME>Coffee` + line break) and XML
+  /// (`<NAME>Coffee</NAME>`) elements.
+  static String? _value(String text, String tag) {
+    final match = RegExp('<$tag>([^<\r\n]*)').firstMatch(text);
+    final value = match?.group(1)?.trim();
+    return (value == null || value.isEmpty) ? null : _unescape(value);
+  }
+
+  static String _unescape(String value) {
+    return value
+        .replaceAll('&lt;', '<')
+        .replaceAll('&gt;', '>')
+        .replaceAll('&quot;', '"')
+        .replaceAll('&apos;', "'")
+        .replaceAll('&amp;', '&');
+  }
+
+  /// OFX date: `YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]`
+  ///
+  /// The time zone suffix is ignored: the date as printed on the statement
+  /// is what the user expects to see.
+  static DateTime? _parseDate(String value) {
+    final match =
+        RegExp(r'^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?')
+            .firstMatch(value);
+    if (match == null) return null;
+
+    int part(int group) => int.parse(match.group(group) ?? '0');
+    return DateTime(part(1), part(2), part(3), part(4), part(5), part(6));
+  }
+}
@@ -0,0 +1,113 @@
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+
+/// Parses QIF (Quicken Interchange Format) statements
+///
+/// Records are blocks of one-letter fields ended by `^`:
+/// - `D` → date, `T` (or `U`) → signed amount
+/// - `P` → payee (name), `M` → memo (notes)
+///
+/// Other fields (categories, splits, check numbers) and header lines
+/// (`!Type:Bank`, `!Account`) are ignored.
+///
+/// **Dates** are written month-first by US software (`12/31'25`) and
+/// day-first elsewhere (`31/12/2025`). The order is detected per file: if
+/// any date starts with a number above 12, the file is read day-first.
+class QifStatementParser implements StatementParser {
+  const QifStatementParser();
+
+  @override
+  List<TransactionModel> parse(String content) {
+    final records = _readRecords(content);
+    final dayFirst = records.any((r) {
+      final parts = _dateParts(r.fields['D'] ?? '');
+      return parts != null && parts[0] <= 31 && parts[0] > 12;
+    });
+
+    final transactions = <TransactionModel>[];
+    for (final record in records) {
+      final dateText = record.fields['D'];
+      if (dateText == null) continue; // Account or category list entry
+
+      final date = _parseDate(dateText, dayFirst: dayFirst);
+      if (date == null) {
+        throw StatementParseException(
+          L10n.current.importLineInvalidDate(record.line, dateText),
+        );
+      }
+
+      final amountText = record.fields['T'] ?? record.fields['U'] ?? '';
+      final amount = parseStatementAmount(amountText);
+      if (amount == null) {
+        throw StatementParseException(
+          L10n.current.importLineInvalidAmount(record.line, amountText),
+        );
+      }
+
+      transactions.add(statementTransaction(
+        date: date,
+        signedAmount: amount,
+        name: record.fields['P'] ?? '',
+        notes: record.fields['M'],
+      ));
+    }
+
+    return transactions;
+  }
+
+  /// Split [content] into records (first value of each field letter)
+  static List<({int line, Map<String, String> fields})> _readRecords(
+    String content,
+  ) {
+    final records = <({int line, Map<String, String> fields})>[];
+    var fields = <String, String>{};
+    var recordLine = 1;
+
+    final lines = content.split('\n');
+    for (var i = 0; i < lines.length; i++) {
+      final line = lines[i].trimRight();
+      if (line.isEmpty || line.startsWith('!')) continue;
+
+      if (line.startsWith('^')) {
+        if (fields.isNotEmpty) {
+          records.add((line: recordLine, fields: fields));
+        }
+        fields = {};
+        continue;
+      }
+
+      if (fields.isEmpty) recordLine = i + 1;
+      fields.putIfAbsent(line[0], () => line.substring(1).trim());
+    }
+    if (fields.isNotEmpty) records.add((line: recordLine, fields: fields));
+
+    return records;
+  }
+
+  /// Numbers of a QIF date (`12/31/2025`, `12/31'25`, `31.12.2025`,
+  /// `2025-12-31`), in file order
+  static List<int>? _dateParts(String value) {
+    final parts = value
+        .replaceAll(' ', '')
+        .split(RegExp(r"[/.'\-]"))
+        .map(int.tryParse)
+        .toList();
+    if (parts.length != 3 || parts.contains(null)) return null;
+    return parts.cast<int>();
+  }
+
+  static DateTime? _parseDate(String value, {required bool dayFirst}) {
+    final parts = _dateParts(value);
+    if (parts == null) return null;
+
+    final (year, month, day) = parts[0] > 999
+        ? (parts[0], parts[1], parts[2]) // ISO
+        : dayFirst
+            ? (parts[2], parts[1], parts[0])
+            : (parts[2], parts[0], parts[1]);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    return DateTime(year < 100 ? 2000 + year : year, month, day);
+  }
+}
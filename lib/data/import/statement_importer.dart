@@ -0,0 +1,107 @@
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/data/categorization/categorization_rule_engine.dart';
+import 'package:centabit/data/import/duplicate_detector.dart';
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/data/models/import_candidate_model.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/categorization_rule_repository.dart';
+import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+
+/// Imports bank statements (CSV, OFX, QIF) into transactions
+///
+/// **Flow**:
+/// 1. [preview]: parse the file (any [StatementParser]), flag entries
+///    that are already recorded and apply the categorization rules
+/// 2. User reviews the candidates (deselects duplicates, etc.)
+/// 3. [import]: create the selected transactions in one Drift transaction
+///    (`TransactionRepository.createTransactions`)
+///
+/// Statements carry no category or budget: imported transactions get those
+/// of the first matching rule ([CategorizationRuleEngine]), or none.
+class StatementImporter {
+  final TransactionRepository _transactionRepository;
+  final CategorizationRuleRepository _ruleRepository;
+  final CategoryRepository _categoryRepository;
+  final BudgetRepository _budgetRepository;
+  final DuplicateDetector _duplicateDetector;
+  final CategorizationRuleEngine _ruleEngine;
+
+  StatementImporter(
+    this._transactionRepository,
+    this._ruleRepository,
+    this._categoryRepository,
+    this._budgetRepository,
+    this._ruleEngine, {
+    DuplicateDetector duplicateDetector = const DuplicateDetector(),
+  }) : _duplicateDetector = duplicateDetector;
+
+  /// Parse [content] and flag duplicates
+  ///
+  /// - Entries whose transaction ID already exists (OFX re-import) are
+  ///   marked [ImportCandidateModel.isAlreadyImported] and deselected,
+  ///   also when the user deleted the transaction since
+  /// - Likely duplicates of existing transactions are deselected
+  /// - The others are categorized (and maybe renamed) by the rules, after
+  ///   duplicates were looked for under the statement's names
+  ///
+  /// Throws [StatementParseException] if the file can't be parsed.
+  Future<List<ImportCandidateModel>> preview(
+    String content,
+    StatementParser parser,
+  ) async {
+    final parsed = parser.parse(content);
+    if (parsed.isEmpty) return [];
+
+    // Only transactions around the statement's dates can be duplicates
+    final tolerance = Duration(days: _duplicateDetector.dayTolerance + 1);
+    final dates = parsed.map((t) => t.transactionDate).toList()..sort();
+    final existing = await _transactionRepository.getTransactionsInRange(
+      dates.first.subtract(tolerance),
+      dates.last.add(tolerance),
+    );
+    final rules = await _ruleRepository.getRules();
+    final candidates = <ImportCandidateModel>[];
+
+    for (final transaction in parsed) {
+      final previous =
+          await _transactionRepository.getTransactionById(transaction.id);
+      final duplicateOf =
+          previous ?? _duplicateDetector.findDuplicate(transaction, existing);
+
+      candidates.add(ImportCandidateModel(
+        transaction: _ruleEngine.apply(
+          transaction,
+          rules: rules,
+          categories: _categoryRepository.categories,
+          budgets: _budgetRepository.budgets,
+        ),
+        duplicateOf: duplicateOf,
+        isAlreadyImported: previous != null,
+        isSelected: duplicateOf == null,
+      ));
+    }
+
+    return candidates;
+  }
+
+  /// Create the selected candidates' transactions
+  ///
+  /// Returns the number of transactions created.
+  Future<int> import(List<ImportCandidateModel> candidates) async {
+    final transactions = [
+      for (final candidate in candidates)
+        if (candidate.isSelected && !candidate.isAlreadyImported)
+          candidate.transaction,
+    ];
+    if (transactions.isEmpty) return 0;
+
+    await _transactionRepository.createTransactions(transactions);
+
+    AppLogger.instance.logWithContext(
+      message: '[StatementImporter] Imported transactions',
+      context: {'created': transactions.length},
+    );
+    return transactions.length;
+  }
+}
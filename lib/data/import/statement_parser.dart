@@ -0,0 +1,96 @@
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+
+/// Bank statement file formats understood by the importer
+enum StatementFormat {
+  csv,
+
+  /// Open Financial Exchange, SGML (1.x) or XML (2.x), including QFX
+  ofx,
+
+  /// Quicken Interchange Format
+  qif;
+
+  /// Extensions offered in the file picker
+  static const fileExtensions = ['csv', 'txt', 'ofx', 'qfx', 'qif'];
+
+  /// Format of [fileName] by extension, or null if unsupported
+  static StatementFormat? fromFileName(String fileName) {
+    return switch (fileName.split('.').last.toLowerCase()) {
+      'csv' || 'txt' => StatementFormat.csv,
+      'ofx' || 'qfx' => StatementFormat.ofx,
+      'qif' => StatementFormat.qif,
+      _ => null,
+    };
+  }
+}
+
+/// Parses the text of a bank statement into transactions
+///
+/// Parsed transactions are new and unsaved (no category or budget yet):
+/// `StatementImporter` flags duplicates and the user reviews them first.
+abstract class StatementParser {
+  /// Transactions of [content] in file order
+  ///
+  /// Throws [StatementParseException] if [content] isn't a valid statement.
+  List<TransactionModel> parse(String content);
+}
+
+/// Thrown when a statement can't be parsed
+///
+/// [message] is localized and names the offending row/record, so it can be
+/// shown as is.
+class StatementParseException implements Exception {
+  final String message;
+
+  const StatementParseException(this.message);
+
+  @override
+  String toString() => 'StatementParseException: $message';
+}
+
+/// Transaction for one statement entry
+///
+/// Statements use signed amounts: negative = money out
+/// ([TransactionType.debit]), positive = money in
+/// ([TransactionType.credit]). [id] is set by formats with stable entry
+/// IDs (see `OfxStatementParser`).
+TransactionModel statementTransaction({
+  String? id,
+  required DateTime date,
+  required double signedAmount,
+  required String name,
+  String? notes,
+}) {
+  final transaction = TransactionModel.create(
+    name: name.trim().isEmpty
+        ? L10n.current.importedTransactionName
+        : name.trim(),
+    amount: signedAmount.abs(),
+    type: signedAmount < 0 ? TransactionType.debit : TransactionType.credit,
+    transactionDate: date,
+    notes: (notes == null || notes.trim().isEmpty) ? null : notes.trim(),
+  );
+  return id == null ? transaction : transaction.copyWith(id: id);
+}
+
+/// Parse an amount as written in statements, or null if it isn't one
+///
+/// Ignores currency symbols and thousands separators. A minus sign
+/// (leading or trailing) or accounting parentheses make it negative.
+/// [decimalSeparator] is `.` or `,`.
+double? parseStatementAmount(String value, {String decimalSeparator = '.'}) {
+  final text = value.trim();
+  if (text.isEmpty) return null;
+
+  final negative = text.contains('-') ||
+      text.contains('\u2212') || // Unicode minus
+      (text.startsWith('(') && text.endsWith(')'));
+  final number = text
+      .replaceAll(RegExp('[^0-9${RegExp.escape(decimalSeparator)}]'), '')
+      .replaceAll(decimalSeparator, '.');
+
+  final amount = double.tryParse(number);
+  if (amount == null) return null;
+  return negative ? -amount : amount;
+}
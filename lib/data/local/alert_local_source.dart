@@ -0,0 +1,149 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for budget alerts with userId filtering
+///
+/// Covers the alert rules, the alerts they fired (inbox) and the per-budget
+/// mutes. All device-local: alerts are derived from synced data on each
+/// device.
+class AlertLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  AlertLocalSource(this._db, this.userId);
+
+  // ========================================
+  // Rules
+  // ========================================
+
+  /// Reactive stream of all rules FOR THIS USER, oldest first
+  Stream<List<AlertRule>> watchAllRules() {
+    return (_db.select(_db.alertRules)
+          ..where((r) => r.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([(r) => OrderingTerm.asc(r.createdAt)]))
+        .watch();
+  }
+
+  /// Get all rules (non-reactive) FOR THIS USER
+  Future<List<AlertRule>> getAllRules() {
+    return (_db.select(_db.alertRules)
+          ..where((r) => r.userId.equals(userId))) // CRITICAL: Filter by userId
+        .get();
+  }
+
+  /// Create or replace a rule FOR THIS USER (userId automatically added)
+  Future<void> saveRule(AlertRulesCompanion rule) {
+    final withUser = rule.copyWith(userId: Value(userId));
+    return _db.into(_db.alertRules).insertOnConflictUpdate(withUser);
+  }
+
+  /// Delete a rule FOR THIS USER (alerts it fired stay in the inbox)
+  Future<void> deleteRule(String id) {
+    return (_db.delete(_db.alertRules)
+          ..where((r) =>
+              r.userId.equals(userId) & // CRITICAL: Filter by userId
+              r.id.equals(id)))
+        .go();
+  }
+
+  // ========================================
+  // Alerts (inbox)
+  // ========================================
+
+  /// Reactive stream of the alerts not dismissed FOR THIS USER, newest
+  /// first
+  Stream<List<Alert>> watchInbox() {
+    return (_db.select(_db.alerts)
+          ..where((a) =>
+              a.userId.equals(userId) & // CRITICAL: Filter by userId
+              a.isDismissed.equals(false))
+          ..orderBy([(a) => OrderingTerm.desc(a.createdAt)]))
+        .watch();
+  }
+
+  /// Dedupe keys of every alert ever fired FOR THIS USER, dismissed ones
+  /// included
+  Future<Set<String>> getFiredKeys() async {
+    final query = _db.selectOnly(_db.alerts)
+      ..addColumns([_db.alerts.dedupeKey])
+      ..where(_db.alerts.userId.equals(userId)); // CRITICAL: Filter
+    final rows = await query.get();
+    return rows.map((row) => row.read(_db.alerts.dedupeKey)!).toSet();
+  }
+
+  /// Record a fired alert FOR THIS USER (userId automatically added)
+  ///
+  /// Returns false if an alert with the same dedupe key already exists.
+  Future<bool> insertAlert(AlertsCompanion alert) {
+    final withUser = alert.copyWith(userId: Value(userId));
+    return _db.transaction(() async {
+      final existing = await (_db.select(_db.alerts)
+            ..where((a) =>
+                a.userId.equals(userId) & // CRITICAL: Filter by userId
+                a.dedupeKey.equals(alert.dedupeKey.value)))
+          .getSingleOrNull();
+      if (existing != null) return false;
+
+      await _db.into(_db.alerts).insert(withUser);
+      return true;
+    });
+  }
+
+  /// Mark alerts read FOR THIS USER (all unread ones without [id])
+  Future<void> markRead({String? id}) {
+    return (_db.update(_db.alerts)
+          ..where((a) {
+            var filter = a.userId.equals(userId) & // CRITICAL: Filter
+                a.isRead.equals(false);
+            if (id != null) filter = filter & a.id.equals(id);
+            return filter;
+          }))
+        .write(const AlertsCompanion(isRead: Value(true)));
+  }
+
+  /// Hide alerts from the inbox FOR THIS USER (all read ones without
+  /// [id]); rows are kept so they don't fire again
+  Future<void> dismiss({String? id}) {
+    return (_db.update(_db.alerts)
+          ..where((a) =>
+              a.userId.equals(userId) & // CRITICAL: Filter by userId
+              (id != null ? a.id.equals(id) : a.isRead.equals(true))))
+        .write(const AlertsCompanion(
+          isRead: Value(true),
+          isDismissed: Value(true),
+        ));
+  }
+
+  // ========================================
+  // Mutes
+  // ========================================
+
+  /// Reactive stream of all budget mutes FOR THIS USER
+  Stream<List<AlertMute>> watchAllMutes() {
+    return (_db.select(_db.alertMutes)
+          ..where((m) => m.userId.equals(userId))) // CRITICAL: Filter by userId
+        .watch();
+  }
+
+  /// Get all budget mutes (non-reactive) FOR THIS USER
+  Future<List<AlertMute>> getAllMutes() {
+    return (_db.select(_db.alertMutes)
+          ..where((m) => m.userId.equals(userId))) // CRITICAL: Filter by userId
+        .get();
+  }
+
+  /// Snooze or mute a budget FOR THIS USER (replaces an earlier mute)
+  Future<void> saveMute(AlertMutesCompanion mute) {
+    final withUser = mute.copyWith(userId: Value(userId));
+    return _db.into(_db.alertMutes).insertOnConflictUpdate(withUser);
+  }
+
+  /// Unmute a budget FOR THIS USER
+  Future<void> deleteMute(String budgetId) {
+    return (_db.delete(_db.alertMutes)
+          ..where((m) =>
+              m.userId.equals(userId) & // CRITICAL: Filter by userId
+              m.budgetId.equals(budgetId)))
+        .go();
+  }
+}
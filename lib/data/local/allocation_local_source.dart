@@ -74,6 +74,12 @@ class AllocationLocalSource {
     return _db.into(_db.allocations).insert(withUser);
   }
 
+  /// Run [action] in one Drift transaction (writes to the sync queue
+  /// made inside it join in)
+  Future<T> runInTransaction<T>(Future<T> Function() action) {
+    return _db.transaction(action);
+  }
+
   /// Update allocation (userId check for security)
   Future<void> updateAllocation(Allocation allocation) {
     if (allocation.userId != userId) {
@@ -82,13 +88,17 @@ class AllocationLocalSource {
     return _db.update(_db.allocations).replace(allocation);
   }
 
-  /// Soft delete FOR THIS USER
-  Future<void> deleteAllocation(String id) {
+  /// Soft delete FOR THIS USER, stamped [at] (now by default)
+  Future<void> deleteAllocation(String id, {DateTime? at}) {
     return (_db.update(_db.allocations)
           ..where((a) =>
               a.userId.equals(userId) & // CRITICAL: Filter by userId
               a.id.equals(id)))
-        .write(const AllocationsCompanion(isDeleted: Value(true)));
+        .write(AllocationsCompanion(
+          isDeleted: const Value(true),
+          isSynced: const Value(false), // Deletion still has to be pushed
+          updatedAt: Value(at ?? DateTime.now()),
+        ));
   }
 
   /// Delete all allocations for a budget FOR THIS USER
@@ -97,7 +107,54 @@ class AllocationLocalSource {
           ..where((a) =>
               a.userId.equals(userId) & // CRITICAL: Filter by userId
               a.budgetId.equals(budgetId)))
-        .write(const AllocationsCompanion(isDeleted: Value(true)));
+        .write(AllocationsCompanion(
+          isDeleted: const Value(true),
+          isSynced: const Value(false), // Deletion still has to be pushed
+          updatedAt: Value(DateTime.now()),
+        ));
+  }
+
+  /// Soft-deleted allocations FOR THIS USER, most recently deleted first
+  Future<List<Allocation>> getDeletedAllocations() {
+    return (_db.select(_db.allocations)
+          ..where((a) =>
+              a.userId.equals(userId) & // CRITICAL: Filter by userId
+              a.isDeleted.equals(true))
+          ..orderBy([(a) => OrderingTerm.desc(a.updatedAt)]))
+        .get();
+  }
+
+  /// Undo a soft delete FOR THIS USER
+  Future<void> restoreAllocation(String id) {
+    return (_db.update(_db.allocations)
+          ..where((a) =>
+              a.userId.equals(userId) & // CRITICAL: Filter by userId
+              a.id.equals(id)))
+        .write(AllocationsCompanion(
+          isDeleted: const Value(false),
+          isSynced: const Value(false), // Restore still has to be pushed
+          updatedAt: Value(DateTime.now()),
+        ));
+  }
+
+  /// Permanently remove a soft-deleted allocation FOR THIS USER
+  Future<int> purgeAllocation(String id) {
+    return (_db.delete(_db.allocations)
+          ..where((a) =>
+              a.userId.equals(userId) & // CRITICAL: Filter by userId
+              a.isDeleted.equals(true) &
+              a.id.equals(id)))
+        .go();
+  }
+
+  /// Permanently remove the allocations deleted before [cutoff] FOR THIS USER
+  Future<int> purgeAllocationsDeletedBefore(DateTime cutoff) {
+    return (_db.delete(_db.allocations)
+          ..where((a) =>
+              a.userId.equals(userId) & // CRITICAL: Filter by userId
+              a.isDeleted.equals(true) &
+              a.updatedAt.isSmallerThanValue(cutoff)))
+        .go();
   }
 
   /// Get unsynced allocations FOR THIS USER
@@ -120,4 +177,19 @@ class AllocationLocalSource {
           lastSyncedAt: Value(DateTime.now()),
         ));
   }
+
+  /// Upsert a row pulled from the server FOR THIS USER
+  ///
+  /// Stored as already synced so the next push doesn't send it straight back.
+  Future<void> upsertSyncedAllocation(Allocation allocation) {
+    if (allocation.userId != userId) {
+      throw Exception('Cannot sync allocation for different user');
+    }
+    return _db.into(_db.allocations).insertOnConflictUpdate(
+          allocation.copyWith(
+            isSynced: true,
+            lastSyncedAt: Value(DateTime.now()),
+          ),
+        );
+  }
 }
@@ -70,6 +70,12 @@ class BudgetLocalSource {
     return _db.into(_db.budgets).insert(withUser);
   }
 
+  /// Run [action] in one Drift transaction (writes to the sync queue
+  /// made inside it join in)
+  Future<T> runInTransaction<T>(Future<T> Function() action) {
+    return _db.transaction(action);
+  }
+
   /// Update budget (userId check for security)
   Future<void> updateBudget(Budget budget) {
     if (budget.userId != userId) {
@@ -78,13 +84,60 @@ class BudgetLocalSource {
     return _db.update(_db.budgets).replace(budget);
   }
 
-  /// Soft delete FOR THIS USER
-  Future<void> deleteBudget(String id) {
+  /// Soft delete FOR THIS USER, stamped [at] (now by default)
+  Future<void> deleteBudget(String id, {DateTime? at}) {
     return (_db.update(_db.budgets)
           ..where((b) =>
               b.userId.equals(userId) & // CRITICAL: Filter by userId
               b.id.equals(id)))
-        .write(const BudgetsCompanion(isDeleted: Value(true)));
+        .write(BudgetsCompanion(
+          isDeleted: const Value(true),
+          isSynced: const Value(false), // Deletion still has to be pushed
+          updatedAt: Value(at ?? DateTime.now()),
+        ));
+  }
+
+  /// Soft-deleted budgets FOR THIS USER, most recently deleted first
+  Future<List<Budget>> getDeletedBudgets() {
+    return (_db.select(_db.budgets)
+          ..where((b) =>
+              b.userId.equals(userId) & // CRITICAL: Filter by userId
+              b.isDeleted.equals(true))
+          ..orderBy([(b) => OrderingTerm.desc(b.updatedAt)]))
+        .get();
+  }
+
+  /// Undo a soft delete FOR THIS USER
+  Future<void> restoreBudget(String id) {
+    return (_db.update(_db.budgets)
+          ..where((b) =>
+              b.userId.equals(userId) & // CRITICAL: Filter by userId
+              b.id.equals(id)))
+        .write(BudgetsCompanion(
+          isDeleted: const Value(false),
+          isSynced: const Value(false), // Restore still has to be pushed
+          updatedAt: Value(DateTime.now()),
+        ));
+  }
+
+  /// Permanently remove a soft-deleted budget FOR THIS USER
+  Future<int> purgeBudget(String id) {
+    return (_db.delete(_db.budgets)
+          ..where((b) =>
+              b.userId.equals(userId) & // CRITICAL: Filter by userId
+              b.isDeleted.equals(true) &
+              b.id.equals(id)))
+        .go();
+  }
+
+  /// Permanently remove the budgets deleted before [cutoff] FOR THIS USER
+  Future<int> purgeBudgetsDeletedBefore(DateTime cutoff) {
+    return (_db.delete(_db.budgets)
+          ..where((b) =>
+              b.userId.equals(userId) & // CRITICAL: Filter by userId
+              b.isDeleted.equals(true) &
+              b.updatedAt.isSmallerThanValue(cutoff)))
+        .go();
   }
 
   /// Get unsynced budgets FOR THIS USER
@@ -107,4 +160,19 @@ class BudgetLocalSource {
           lastSyncedAt: Value(DateTime.now()),
         ));
   }
+
+  /// Upsert a row pulled from the server FOR THIS USER
+  ///
+  /// Stored as already synced so the next push doesn't send it straight back.
+  Future<void> upsertSyncedBudget(Budget budget) {
+    if (budget.userId != userId) {
+      throw Exception('Cannot sync budget for different user');
+    }
+    return _db.into(_db.budgets).insertOnConflictUpdate(
+          budget.copyWith(
+            isSynced: true,
+            lastSyncedAt: Value(DateTime.now()),
+          ),
+        );
+  }
 }
@@ -0,0 +1,81 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for budget templates with userId filtering
+///
+/// Covers the templates and their allocations. Templates are device-local
+/// (not synced), so deletes are hard deletes.
+class BudgetTemplateLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  BudgetTemplateLocalSource(this._db, this.userId);
+
+  // ========================================
+  // Templates
+  // ========================================
+
+  /// Reactive stream of all templates FOR THIS USER
+  Stream<List<BudgetTemplate>> watchAllTemplates() {
+    return (_db.select(_db.budgetTemplates)
+          ..where((t) => t.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([(t) => OrderingTerm.asc(t.name)]))
+        .watch();
+  }
+
+  /// Create template with its allocations (userId automatically added)
+  Future<void> createTemplate(
+    BudgetTemplatesCompanion template,
+    List<BudgetTemplateAllocationsCompanion> allocations,
+  ) {
+    return _db.transaction(() async {
+      await _db
+          .into(_db.budgetTemplates)
+          .insert(template.copyWith(userId: Value(userId)));
+      for (final allocation in allocations) {
+        await _db
+            .into(_db.budgetTemplateAllocations)
+            .insert(allocation.copyWith(userId: Value(userId)));
+      }
+    });
+  }
+
+  /// Rename template FOR THIS USER
+  Future<void> renameTemplate(String id, String name) {
+    return (_db.update(_db.budgetTemplates)
+          ..where((t) =>
+              t.userId.equals(userId) & // CRITICAL: Filter by userId
+              t.id.equals(id)))
+        .write(BudgetTemplatesCompanion(
+          name: Value(name),
+          updatedAt: Value(DateTime.now()),
+        ));
+  }
+
+  /// Delete template and its allocations FOR THIS USER
+  Future<void> deleteTemplate(String id) {
+    return _db.transaction(() async {
+      await (_db.delete(_db.budgetTemplateAllocations)
+            ..where((a) =>
+                a.userId.equals(userId) & // CRITICAL: Filter by userId
+                a.templateId.equals(id)))
+          .go();
+      await (_db.delete(_db.budgetTemplates)
+            ..where((t) =>
+                t.userId.equals(userId) & // CRITICAL: Filter by userId
+                t.id.equals(id)))
+          .go();
+    });
+  }
+
+  // ========================================
+  // Template allocations
+  // ========================================
+
+  /// Reactive stream of all template allocations FOR THIS USER
+  Stream<List<BudgetTemplateAllocation>> watchAllAllocations() {
+    return (_db.select(_db.budgetTemplateAllocations)
+          ..where((a) => a.userId.equals(userId))) // CRITICAL: Filter by userId
+        .watch();
+  }
+}
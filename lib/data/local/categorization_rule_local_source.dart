@@ -0,0 +1,46 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for categorization rules with userId filtering
+///
+/// Rules are device-local, like alert rules: they shape how this device
+/// fills in new transactions, and the transactions they fill in sync.
+class CategorizationRuleLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  CategorizationRuleLocalSource(this._db, this.userId);
+
+  /// Reactive stream of all rules FOR THIS USER, oldest first (the order
+  /// they're tried in)
+  Stream<List<CategorizationRule>> watchAllRules() {
+    return (_db.select(_db.categorizationRules)
+          ..where((r) => r.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([(r) => OrderingTerm.asc(r.createdAt)]))
+        .watch();
+  }
+
+  /// Get all rules (non-reactive) FOR THIS USER, oldest first
+  Future<List<CategorizationRule>> getAllRules() {
+    return (_db.select(_db.categorizationRules)
+          ..where((r) => r.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([(r) => OrderingTerm.asc(r.createdAt)]))
+        .get();
+  }
+
+  /// Create or replace a rule FOR THIS USER (userId automatically added)
+  Future<void> saveRule(CategorizationRulesCompanion rule) {
+    final withUser = rule.copyWith(userId: Value(userId));
+    return _db.into(_db.categorizationRules).insertOnConflictUpdate(withUser);
+  }
+
+  /// Delete a rule FOR THIS USER (transactions it filled in keep their
+  /// values)
+  Future<void> deleteRule(String id) {
+    return (_db.delete(_db.categorizationRules)
+          ..where((r) =>
+              r.userId.equals(userId) & // CRITICAL: Filter by userId
+              r.id.equals(id)))
+        .go();
+  }
+}
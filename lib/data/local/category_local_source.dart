@@ -46,6 +46,12 @@ class CategoryLocalSource {
     return _db.into(_db.categories).insert(withUser);
   }
 
+  /// Run [action] in one Drift transaction (writes to the sync queue
+  /// made inside it join in)
+  Future<T> runInTransaction<T>(Future<T> Function() action) {
+    return _db.transaction(action);
+  }
+
   /// Update category (userId check for security)
   Future<void> updateCategory(Category category) {
     if (category.userId != userId) {
@@ -54,13 +60,60 @@ class CategoryLocalSource {
     return _db.update(_db.categories).replace(category);
   }
 
-  /// Soft delete FOR THIS USER
-  Future<void> deleteCategory(String id) {
+  /// Soft delete FOR THIS USER, stamped [at] (now by default)
+  Future<void> deleteCategory(String id, {DateTime? at}) {
     return (_db.update(_db.categories)
           ..where((c) =>
               c.userId.equals(userId) & // CRITICAL: Filter by userId
               c.id.equals(id)))
-        .write(const CategoriesCompanion(isDeleted: Value(true)));
+        .write(CategoriesCompanion(
+          isDeleted: const Value(true),
+          isSynced: const Value(false), // Deletion still has to be pushed
+          updatedAt: Value(at ?? DateTime.now()),
+        ));
+  }
+
+  /// Soft-deleted categories FOR THIS USER, most recently deleted first
+  Future<List<Category>> getDeletedCategories() {
+    return (_db.select(_db.categories)
+          ..where((c) =>
+              c.userId.equals(userId) & // CRITICAL: Filter by userId
+              c.isDeleted.equals(true))
+          ..orderBy([(c) => OrderingTerm.desc(c.updatedAt)]))
+        .get();
+  }
+
+  /// Undo a soft delete FOR THIS USER
+  Future<void> restoreCategory(String id) {
+    return (_db.update(_db.categories)
+          ..where((c) =>
+              c.userId.equals(userId) & // CRITICAL: Filter by userId
+              c.id.equals(id)))
+        .write(CategoriesCompanion(
+          isDeleted: const Value(false),
+          isSynced: const Value(false), // Restore still has to be pushed
+          updatedAt: Value(DateTime.now()),
+        ));
+  }
+
+  /// Permanently remove a soft-deleted category FOR THIS USER
+  Future<int> purgeCategory(String id) {
+    return (_db.delete(_db.categories)
+          ..where((c) =>
+              c.userId.equals(userId) & // CRITICAL: Filter by userId
+              c.isDeleted.equals(true) &
+              c.id.equals(id)))
+        .go();
+  }
+
+  /// Permanently remove the categories deleted before [cutoff] FOR THIS USER
+  Future<int> purgeCategoriesDeletedBefore(DateTime cutoff) {
+    return (_db.delete(_db.categories)
+          ..where((c) =>
+              c.userId.equals(userId) & // CRITICAL: Filter by userId
+              c.isDeleted.equals(true) &
+              c.updatedAt.isSmallerThanValue(cutoff)))
+        .go();
   }
 
   /// Get unsynced categories FOR THIS USER
@@ -83,4 +136,19 @@ class CategoryLocalSource {
           lastSyncedAt: Value(DateTime.now()),
         ));
   }
+
+  /// Upsert a row pulled from the server FOR THIS USER
+  ///
+  /// Stored as already synced so the next push doesn't send it straight back.
+  Future<void> upsertSyncedCategory(Category category) {
+    if (category.userId != userId) {
+      throw Exception('Cannot sync category for different user');
+    }
+    return _db.into(_db.categories).insertOnConflictUpdate(
+          category.copyWith(
+            isSynced: true,
+            lastSyncedAt: Value(DateTime.now()),
+          ),
+        );
+  }
 }
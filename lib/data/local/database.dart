@@ -3,20 +3,35 @@ import 'package:drift/drift.dart';
 import 'package:drift/native.dart';
 import 'package:path_provider/path_provider.dart';
 import 'package:path/path.dart' as p;
+import 'package:centabit/data/local/schema_migrations.dart';
+import 'package:centabit/data/local/transaction_search_index.dart';
 
 part 'database.g.dart';
 
 // Transactions table
+//
+// Indexed for keyset pagination and date windows (newest first), and for
+// budget scoped queries and totals
+@TableIndex(
+  name: 'transactions_by_date',
+  columns: {#userId, #transactionDate, #id},
+)
+@TableIndex(name: 'transactions_by_budget', columns: {#userId, #budgetId})
 class Transactions extends Table {
   TextColumn get id => text()();
   TextColumn get userId => text()(); // CRITICAL: Filter by userId
   TextColumn get name => text()();
   RealColumn get amount => real()();
+  TextColumn get currencyCode =>
+      text().withDefault(const Constant('USD'))(); // ISO 4217
   TextColumn get type => text()();
   DateTimeColumn get transactionDate => dateTime()();
   TextColumn get categoryId => text().nullable()();
   TextColumn get budgetId => text().nullable()();
   TextColumn get notes => text().nullable()();
+  TextColumn get recurringId => text().nullable()(); // Series it was materialized from
+  TextColumn get splits =>
+      text().nullable()(); // JSON-encoded split lines, null = not split
   DateTimeColumn get createdAt => dateTime()();
   DateTimeColumn get updatedAt => dateTime()();
 
@@ -40,7 +55,12 @@ class Categories extends Table {
   TextColumn get userId => text()(); // CRITICAL: Filter by userId
   TextColumn get name => text()();
   TextColumn get iconName => text()();
+
+  /// `#RRGGBB`, or empty for an automatic color
   TextColumn get colorHex => text()();
+
+  /// Parent category of a subcategory
+  TextColumn get parentId => text().nullable()();
   DateTimeColumn get createdAt => dateTime()();
   DateTimeColumn get updatedAt => dateTime()();
 
@@ -64,6 +84,8 @@ class Budgets extends Table {
   TextColumn get userId => text()(); // CRITICAL: Filter by userId
   TextColumn get name => text()();
   RealColumn get amount => real()();
+  TextColumn get currencyCode =>
+      text().withDefault(const Constant('USD'))(); // Base currency, ISO 4217
   DateTimeColumn get startDate => dateTime()();
   DateTimeColumn get endDate => dateTime()();
   DateTimeColumn get createdAt => dateTime()();
@@ -107,6 +129,216 @@ class Allocations extends Table {
   ];
 }
 
+// Recurring transaction series (materialized into Transactions on startup)
+class RecurringTransactions extends Table {
+  TextColumn get id => text()();
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get name => text()();
+  RealColumn get amount => real()();
+  TextColumn get currencyCode =>
+      text().withDefault(const Constant('USD'))(); // ISO 4217
+  TextColumn get type => text()();
+  TextColumn get categoryId => text().nullable()();
+  TextColumn get notes => text().nullable()();
+  TextColumn get frequency => text()(); // "daily" | "weekly" | "monthly" | "lastBusinessDay"
+  IntColumn get interval => integer().withDefault(const Constant(1))();
+  IntColumn get dayOfMonth => integer().nullable()(); // Monthly only
+  DateTimeColumn get startDate => dateTime()();
+  DateTimeColumn get endDate => dateTime().nullable()();
+  DateTimeColumn get nextOccurrence =>
+      dateTime().nullable()(); // null = series finished
+  DateTimeColumn get createdAt => dateTime()();
+  DateTimeColumn get updatedAt => dateTime()();
+
+  @override
+  Set<Column> get primaryKey => {id};
+
+  @override
+  List<Set<Column>> get uniqueKeys => [
+    {userId, id},
+  ];
+}
+
+// Single occurrences of a series that were skipped or edited
+class RecurrenceExceptions extends Table {
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get recurringId => text()();
+  DateTimeColumn get occurrenceDate => dateTime()();
+  BoolColumn get isSkipped => boolean().withDefault(const Constant(false))();
+  TextColumn get name => text().nullable()(); // null = series value
+  RealColumn get amount => real().nullable()(); // null = series value
+
+  @override
+  Set<Column> get primaryKey => {userId, recurringId, occurrenceDate};
+}
+
+// Named budget setups (amount + allocations) reused for new budgets
+class BudgetTemplates extends Table {
+  TextColumn get id => text()();
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get name => text()();
+  RealColumn get amount => real()();
+  DateTimeColumn get createdAt => dateTime()();
+  DateTimeColumn get updatedAt => dateTime()();
+
+  @override
+  Set<Column> get primaryKey => {id};
+
+  @override
+  List<Set<Column>> get uniqueKeys => [
+    {userId, id},
+  ];
+}
+
+// Category amounts stored with a budget template
+class BudgetTemplateAllocations extends Table {
+  TextColumn get id => text()();
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get templateId => text()();
+  TextColumn get categoryId => text()();
+  RealColumn get amount => real()();
+
+  @override
+  Set<Column> get primaryKey => {id};
+}
+
+// Exchange rates entered or imported by the user (device-local, offline)
+class ExchangeRates extends Table {
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get baseCode => text()(); // ISO 4217
+  TextColumn get quoteCode => text()(); // ISO 4217
+  RealColumn get rate => real()(); // 1 baseCode = rate quoteCode
+  DateTimeColumn get updatedAt => dateTime()();
+
+  @override
+  Set<Column> get primaryKey => {userId, baseCode, quoteCode};
+}
+
+// Spending curve of each ended budget, learned for the BAR calculation
+class SpendingPeriods extends Table {
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get budgetId => text()();
+  DateTimeColumn get startDate => dateTime()();
+  DateTimeColumn get endDate => dateTime()();
+  RealColumn get totalBudget => real()(); // Allocated, budget currency
+  TextColumn get checkpoints => text()(); // JSON-encoded [[day, spent], …]
+  DateTimeColumn get updatedAt => dateTime()();
+
+  @override
+  Set<Column> get primaryKey => {userId, budgetId};
+}
+
+// Budget alert rules configured by the user (device-local)
+class AlertRules extends Table {
+  TextColumn get id => text()();
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get type => text()(); // AlertRuleType name
+  RealColumn get threshold => real()(); // BAR, percent, days or amount
+  BoolColumn get isEnabled => boolean().withDefault(const Constant(true))();
+  DateTimeColumn get createdAt => dateTime()();
+  DateTimeColumn get updatedAt => dateTime()();
+
+  @override
+  Set<Column> get primaryKey => {id};
+
+  @override
+  List<Set<Column>> get uniqueKeys => [
+    {userId, id},
+  ];
+}
+
+// Alerts fired by the rules (in-app inbox)
+class Alerts extends Table {
+  TextColumn get id => text()();
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get ruleId => text()();
+  TextColumn get type => text()(); // AlertRuleType name
+  TextColumn get dedupeKey => text()(); // One alert per rule and subject
+  TextColumn get budgetId => text().nullable()();
+  TextColumn get budgetName => text().nullable()();
+  TextColumn get subject => text()(); // Budget, category or transaction name
+  RealColumn get value => real()(); // Measured BAR, percent, days or amount
+  RealColumn get threshold => real()();
+  TextColumn get currencyCode => text().nullable()(); // ISO 4217, amounts
+  DateTimeColumn get createdAt => dateTime()();
+  BoolColumn get isRead => boolean().withDefault(const Constant(false))();
+  BoolColumn get isDismissed =>
+      boolean().withDefault(const Constant(false))(); // Kept for dedupe
+
+  @override
+  Set<Column> get primaryKey => {id};
+
+  @override
+  List<Set<Column>> get uniqueKeys => [
+    {userId, dedupeKey},
+  ];
+}
+
+// Budgets whose alerts are snoozed (until a date) or muted
+class AlertMutes extends Table {
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get budgetId => text()();
+  DateTimeColumn get mutedUntil => dateTime().nullable()(); // null = muted
+
+  @override
+  Set<Column> get primaryKey => {userId, budgetId};
+}
+
+// Rules filling in new transactions' category, budget or name
+// (device-local)
+class CategorizationRules extends Table {
+  TextColumn get id => text()();
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get namePattern => text().nullable()(); // null = any name
+  BoolColumn get isRegex => boolean().withDefault(const Constant(false))();
+  RealColumn get minAmount => real().nullable()();
+  RealColumn get maxAmount => real().nullable()();
+  TextColumn get categoryId => text().nullable()();
+  TextColumn get budgetId => text().nullable()();
+  TextColumn get rename => text().nullable()();
+  BoolColumn get isEnabled => boolean().withDefault(const Constant(true))();
+  DateTimeColumn get createdAt => dateTime()(); // Oldest rule applies first
+  DateTimeColumn get updatedAt => dateTime()();
+
+  @override
+  Set<Column> get primaryKey => {id};
+
+  @override
+  List<Set<Column>> get uniqueKeys => [
+    {userId, id},
+  ];
+}
+
+// Recent search bar queries (device-local)
+@DataClassName('SearchHistoryEntry')
+class SearchHistory extends Table {
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get query => text()();
+  DateTimeColumn get usedAt => dateTime()(); // Last run, orders the list
+
+  @override
+  Set<Column> get primaryKey => {userId, query};
+}
+
+// Named searches pinned by the user, with their filters (device-local)
+@DataClassName('SavedSearch')
+class SavedSearches extends Table {
+  TextColumn get id => text()();
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get name => text()();
+  TextColumn get filter => text()(); // JSON-encoded TransactionFilter
+  DateTimeColumn get createdAt => dateTime()();
+  DateTimeColumn get updatedAt => dateTime()();
+
+  @override
+  Set<Column> get primaryKey => {id};
+
+  @override
+  List<Set<Column>> get uniqueKeys => [
+    {userId, id},
+  ];
+}
+
 // Sync queue for offline changes
 class SyncQueue extends Table {
   IntColumn get id => integer().autoIncrement()();
@@ -117,26 +349,124 @@ class SyncQueue extends Table {
   TextColumn get payload => text()(); // JSON-encoded entity
   DateTimeColumn get createdAt => dateTime()();
   IntColumn get retryCount => integer().withDefault(const Constant(0))();
+  TextColumn get status =>
+      text().withDefault(const Constant('pending'))(); // "pending" | "dead_letter"
+  DateTimeColumn get lastAttemptAt => dateTime().nullable()();
+  TextColumn get lastError => text().nullable()();
+}
+
+// Sync cursors (last pulled server position per entity type)
+class SyncCursors extends Table {
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get entityType => text()(); // "transaction", "budget", etc.
+  TextColumn get cursor => text()(); // Opaque value returned by the server
+  DateTimeColumn get updatedAt => dateTime()();
+
+  @override
+  Set<Column> get primaryKey => {userId, entityType};
+}
+
+// Last copy of each row agreed with the server (base for three-way merges)
+class SyncSnapshots extends Table {
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get entityType => text()();
+  TextColumn get entityId => text()();
+  TextColumn get payload => text()(); // JSON-encoded entity
+  DateTimeColumn get updatedAt => dateTime()();
+
+  @override
+  Set<Column> get primaryKey => {userId, entityType, entityId};
+}
+
+// Sync conflicts waiting for the user to decide
+class SyncConflicts extends Table {
+  IntColumn get id => integer().autoIncrement()();
+  TextColumn get userId => text()(); // CRITICAL: Filter by userId
+  TextColumn get entityType => text()();
+  TextColumn get entityId => text()();
+  TextColumn get localPayload => text()(); // JSON-encoded local version
+  TextColumn get remotePayload => text()(); // JSON-encoded server version
+  TextColumn get conflictingFields => text()(); // JSON-encoded field names
+  DateTimeColumn get detectedAt => dateTime()();
 }
 
 // Database class
 @DriftDatabase(
-  tables: [Transactions, Categories, Budgets, Allocations, SyncQueue],
+  tables: [
+    Transactions,
+    Categories,
+    Budgets,
+    Allocations,
+    SyncQueue,
+    SyncCursors,
+    SyncSnapshots,
+    SyncConflicts,
+    RecurringTransactions,
+    RecurrenceExceptions,
+    BudgetTemplates,
+    BudgetTemplateAllocations,
+    ExchangeRates,
+    SpendingPeriods,
+    AlertRules,
+    Alerts,
+    AlertMutes,
+    SearchHistory,
+    SavedSearches,
+    CategorizationRules,
+  ],
 )
 class AppDatabase extends _$AppDatabase {
   AppDatabase() : super(_openConnection());
 
+  /// Open the database at an explicit [file]
+  ///
+  /// Used by the sync isolate, which can't resolve the documents directory
+  /// itself (path_provider needs platform channels).
+  AppDatabase.forFile(File file) : super(_openFile(file));
+
+  /// Open the database on [executor] (tests, e.g. in memory)
+  AppDatabase.forExecutor(super.executor);
+
+  @override
+  int get schemaVersion => 15;
+
+  /// Schema upgrades run step by step, see `schema_migrations.dart`
+  ///
+  /// The full-text index isn't a Drift table, so it's created separately
+  /// (see [TransactionSearchIndex]).
   @override
-  int get schemaVersion => 1;
+  MigrationStrategy get migration => MigrationStrategy(
+    onCreate: (m) async {
+      await m.createAll();
+      await TransactionSearchIndex.create(this);
+    },
+    onUpgrade: (m, from, to) => runSchemaMigrations(m, from: from, to: to),
+  );
+
+  /// Location of the SQLite file on this device
+  static Future<File> databaseFile() async {
+    final dbFolder = await getApplicationDocumentsDirectory();
+    return File(p.join(dbFolder.path, 'centabit.sqlite'));
+  }
 
   static LazyDatabase _openConnection() {
     return LazyDatabase(() async {
-      final dbFolder = await getApplicationDocumentsDirectory();
-      final file = File(p.join(dbFolder.path, 'centabit.sqlite'));
-      return NativeDatabase(file);
+      return _openFile(await databaseFile());
     });
   }
 
+  /// WAL + busy timeout so the UI isolate and the sync isolate can share
+  /// the same file without "database is locked" errors.
+  static QueryExecutor _openFile(File file) {
+    return NativeDatabase(
+      file,
+      setup: (rawDb) {
+        rawDb.execute('PRAGMA journal_mode = WAL;');
+        rawDb.execute('PRAGMA busy_timeout = 5000;');
+      },
+    );
+  }
+
   /// Clear all data from all tables (for development/testing)
   Future<void> clearAllData() async {
     await transaction(() async {
@@ -145,6 +475,21 @@ class AppDatabase extends _$AppDatabase {
       await delete(budgets).go();
       await delete(allocations).go();
       await delete(syncQueue).go();
+      await delete(syncCursors).go();
+      await delete(syncSnapshots).go();
+      await delete(syncConflicts).go();
+      await delete(recurringTransactions).go();
+      await delete(recurrenceExceptions).go();
+      await delete(budgetTemplates).go();
+      await delete(budgetTemplateAllocations).go();
+      await delete(exchangeRates).go();
+      await delete(spendingPeriods).go();
+      await delete(alertRules).go();
+      await delete(alerts).go();
+      await delete(alertMutes).go();
+      await delete(searchHistory).go();
+      await delete(savedSearches).go();
+      await delete(categorizationRules).go();
     });
   }
 }
@@ -0,0 +1,45 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for exchange rates with userId filtering
+///
+/// Rates are device-local (not synced) and keyed by their currency pair,
+/// so saving a pair again replaces its rate.
+class ExchangeRateLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  ExchangeRateLocalSource(this._db, this.userId);
+
+  /// Reactive stream of all rates FOR THIS USER
+  Stream<List<ExchangeRate>> watchAllRates() {
+    return (_db.select(_db.exchangeRates)
+          ..where((r) => r.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([
+            (r) => OrderingTerm.asc(r.baseCode),
+            (r) => OrderingTerm.asc(r.quoteCode),
+          ]))
+        .watch();
+  }
+
+  /// Insert or replace rates (userId automatically added), all or none
+  Future<void> upsertRates(List<ExchangeRatesCompanion> rates) {
+    return _db.transaction(() async {
+      for (final rate in rates) {
+        await _db
+            .into(_db.exchangeRates)
+            .insertOnConflictUpdate(rate.copyWith(userId: Value(userId)));
+      }
+    });
+  }
+
+  /// Delete the rate of a currency pair FOR THIS USER
+  Future<void> deleteRate(String baseCode, String quoteCode) {
+    return (_db.delete(_db.exchangeRates)
+          ..where((r) =>
+              r.userId.equals(userId) & // CRITICAL: Filter by userId
+              r.baseCode.equals(baseCode) &
+              r.quoteCode.equals(quoteCode)))
+        .go();
+  }
+}
@@ -0,0 +1,129 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for recurring transaction series with userId filtering
+///
+/// Covers the series and their per-occurrence exceptions (skipped or edited
+/// occurrences). Series are device-local: only the transactions they
+/// materialize are synced.
+class RecurringTransactionLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  RecurringTransactionLocalSource(this._db, this.userId);
+
+  // ========================================
+  // Series
+  // ========================================
+
+  /// Reactive stream of all series FOR THIS USER
+  Stream<List<RecurringTransaction>> watchAllSeries() {
+    return (_db.select(_db.recurringTransactions)
+          ..where((r) => r.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([(r) => OrderingTerm.asc(r.nextOccurrence)]))
+        .watch();
+  }
+
+  /// Get all series (non-reactive) FOR THIS USER
+  Future<List<RecurringTransaction>> getAllSeries() {
+    return (_db.select(_db.recurringTransactions)
+          ..where((r) => r.userId.equals(userId))) // CRITICAL: Filter by userId
+        .get();
+  }
+
+  /// Get single series FOR THIS USER
+  Future<RecurringTransaction?> getSeriesById(String id) {
+    return (_db.select(_db.recurringTransactions)
+          ..where((r) =>
+              r.userId.equals(userId) & // CRITICAL: Filter by userId
+              r.id.equals(id)))
+        .getSingleOrNull();
+  }
+
+  /// Create series (userId automatically added)
+  Future<void> createSeries(RecurringTransactionsCompanion series) {
+    final withUser = series.copyWith(userId: Value(userId));
+    return _db.into(_db.recurringTransactions).insert(withUser);
+  }
+
+  /// Update series (userId check for security)
+  Future<void> updateSeries(RecurringTransaction series) {
+    if (series.userId != userId) {
+      throw Exception('Cannot update recurring transaction for different user');
+    }
+    return _db.update(_db.recurringTransactions).replace(series);
+  }
+
+  /// Move a series to its next occurrence FOR THIS USER
+  Future<void> setNextOccurrence(String id, DateTime? nextOccurrence) {
+    return (_db.update(_db.recurringTransactions)
+          ..where((r) =>
+              r.userId.equals(userId) & // CRITICAL: Filter by userId
+              r.id.equals(id)))
+        .write(RecurringTransactionsCompanion(
+          nextOccurrence: Value(nextOccurrence),
+        ));
+  }
+
+  /// Delete series and its exceptions FOR THIS USER
+  ///
+  /// Hard delete (series aren't synced). Transactions already materialized
+  /// are kept.
+  Future<void> deleteSeries(String id) {
+    return _db.transaction(() async {
+      await (_db.delete(_db.recurrenceExceptions)
+            ..where((e) =>
+                e.userId.equals(userId) & // CRITICAL: Filter by userId
+                e.recurringId.equals(id)))
+          .go();
+      await (_db.delete(_db.recurringTransactions)
+            ..where((r) =>
+                r.userId.equals(userId) & // CRITICAL: Filter by userId
+                r.id.equals(id)))
+          .go();
+    });
+  }
+
+  // ========================================
+  // Exceptions (single occurrences)
+  // ========================================
+
+  /// Reactive stream of all occurrence exceptions FOR THIS USER
+  Stream<List<RecurrenceException>> watchAllExceptions() {
+    return (_db.select(_db.recurrenceExceptions)
+          ..where((e) => e.userId.equals(userId))) // CRITICAL: Filter by userId
+        .watch();
+  }
+
+  /// Get the exceptions of one series (non-reactive) FOR THIS USER
+  Future<List<RecurrenceException>> getExceptions(String recurringId) {
+    return (_db.select(_db.recurrenceExceptions)
+          ..where((e) =>
+              e.userId.equals(userId) & // CRITICAL: Filter by userId
+              e.recurringId.equals(recurringId)))
+        .get();
+  }
+
+  /// Skip or edit one occurrence FOR THIS USER (replaces earlier changes)
+  Future<void> saveException(RecurrenceExceptionsCompanion exception) {
+    final withUser = exception.copyWith(userId: Value(userId));
+    return _db.into(_db.recurrenceExceptions).insertOnConflictUpdate(withUser);
+  }
+
+  /// Drop exceptions of a series FOR THIS USER
+  ///
+  /// With [until], only those up to that date (inclusive) - called once the
+  /// occurrences are materialized. Without it, all of them (schedule changed).
+  Future<void> deleteExceptions(String recurringId, {DateTime? until}) {
+    return (_db.delete(_db.recurrenceExceptions)
+          ..where((e) {
+            var filter = e.userId.equals(userId) & // CRITICAL: Filter by userId
+                e.recurringId.equals(recurringId);
+            if (until != null) {
+              filter = filter & e.occurrenceDate.isSmallerOrEqualValue(until);
+            }
+            return filter;
+          }))
+        .go();
+  }
+}
@@ -0,0 +1,152 @@
+import 'package:centabit/data/local/database.steps.dart';
+import 'package:centabit/data/local/transaction_search_index.dart';
+import 'package:drift/drift.dart';
+
+/// Step-by-step schema upgrades, one per version they upgrade to
+///
+/// An install on version 2 opening a version 6 build runs steps 3, 4, 5
+/// and 6 in order (see [runSchemaMigrations]), so every path between two
+/// versions goes through the same, individually written steps.
+///
+/// Each step gets the schema of its own version (`database.steps.dart`,
+/// generated from the snapshots in `drift_schemas/`), never the current
+/// tables: a table created at v5 is created as it was at v5, and the
+/// columns later steps add to it don't exist yet.
+///
+/// **Adding a schema change**:
+/// 1. Change the table in `database.dart` and bump `schemaVersion`
+/// 2. Run `dart run drift_dev make-migrations` to snapshot the new schema,
+///    regenerate `database.steps.dart` and the migration tests
+/// 3. Add the step for the new version here
+///
+/// Steps must never be edited once released: installs that already ran
+/// them won't run them again.
+final OnUpgrade _steps = stepByStep(
+  from1To2: _addSyncCursors,
+  from2To3: _addSyncQueueStatus,
+  from3To4: _addSyncConflicts,
+  from4To5: _addRecurringTransactions,
+  from5To6: _addBudgetTemplates,
+  from6To7: _addCurrencies,
+  from7To8: _addSpendingPeriods,
+  from8To9: _addBudgetAlerts,
+  from9To10: _addSearches,
+  from10To11: _addTransactionSearchIndex,
+  from11To12: _addTransactionIndexes,
+  from12To13: _addCategoryParents,
+  from13To14: _addTransactionSplits,
+  from14To15: _addCategorizationRules,
+);
+
+/// Run every step after [from] up to [to]
+///
+/// Throws [UnsupportedError] when the database was written by a newer build
+/// (downgrade).
+Future<void> runSchemaMigrations(
+  Migrator m, {
+  required int from,
+  required int to,
+}) async {
+  if (from > to) {
+    throw UnsupportedError(
+      'Database schema v$from is newer than this build (v$to)',
+    );
+  }
+
+  await _steps(m, from, to);
+}
+
+/// v2: per-entity pull cursors for incremental sync
+Future<void> _addSyncCursors(Migrator m, Schema2 schema) async {
+  await m.createTable(schema.syncCursors);
+}
+
+/// v3: retry status of queued sync operations
+Future<void> _addSyncQueueStatus(Migrator m, Schema3 schema) async {
+  await m.addColumn(schema.syncQueue, schema.syncQueue.status);
+  await m.addColumn(schema.syncQueue, schema.syncQueue.lastAttemptAt);
+  await m.addColumn(schema.syncQueue, schema.syncQueue.lastError);
+}
+
+/// v4: last synced copies and detected sync conflicts
+Future<void> _addSyncConflicts(Migrator m, Schema4 schema) async {
+  await m.createTable(schema.syncSnapshots);
+  await m.createTable(schema.syncConflicts);
+}
+
+/// v5: recurring series, their exceptions, and the series a transaction
+/// was created from
+Future<void> _addRecurringTransactions(Migrator m, Schema5 schema) async {
+  await m.addColumn(schema.transactions, schema.transactions.recurringId);
+  await m.createTable(schema.recurringTransactions);
+  await m.createTable(schema.recurrenceExceptions);
+}
+
+/// v6: budget templates
+Future<void> _addBudgetTemplates(Migrator m, Schema6 schema) async {
+  await m.createTable(schema.budgetTemplates);
+  await m.createTable(schema.budgetTemplateAllocations);
+}
+
+/// v7: currency of transactions, budgets and series, and exchange rates
+///
+/// Existing rows get the `USD` default, the only currency the app knew.
+Future<void> _addCurrencies(Migrator m, Schema7 schema) async {
+  await m.addColumn(schema.transactions, schema.transactions.currencyCode);
+  await m.addColumn(schema.budgets, schema.budgets.currencyCode);
+  await m.addColumn(
+    schema.recurringTransactions,
+    schema.recurringTransactions.currencyCode,
+  );
+  await m.createTable(schema.exchangeRates);
+}
+
+/// v8: spending curves learned from ended budgets
+Future<void> _addSpendingPeriods(Migrator m, Schema8 schema) async {
+  await m.createTable(schema.spendingPeriods);
+}
+
+/// v9: budget alert rules, fired alerts and per-budget mutes
+Future<void> _addBudgetAlerts(Migrator m, Schema9 schema) async {
+  await m.createTable(schema.alertRules);
+  await m.createTable(schema.alerts);
+  await m.createTable(schema.alertMutes);
+}
+
+/// v10: search bar history and saved searches
+Future<void> _addSearches(Migrator m, Schema10 schema) async {
+  await m.createTable(schema.searchHistory);
+  await m.createTable(schema.savedSearches);
+}
+
+/// v11: full-text index of transactions, built from the existing rows
+Future<void> _addTransactionSearchIndex(Migrator m, Schema11 schema) async {
+  await TransactionSearchIndex.create(m.database);
+}
+
+/// v12: transaction indexes for paginated, windowed and budget queries
+Future<void> _addTransactionIndexes(Migrator m, Schema12 schema) async {
+  await m.createIndex(schema.transactionsByDate);
+  await m.createIndex(schema.transactionsByBudget);
+}
+
+/// v13: parent of subcategories, and automatic category colors
+///
+/// Categories were all created with the `#000000` placeholder, never chosen
+/// by the user: they become automatic (empty).
+Future<void> _addCategoryParents(Migrator m, Schema13 schema) async {
+  await m.addColumn(schema.categories, schema.categories.parentId);
+  await m.database.customStatement(
+    "UPDATE categories SET color_hex = '' WHERE color_hex = '#000000'",
+  );
+}
+
+/// v14: split lines of transactions
+Future<void> _addTransactionSplits(Migrator m, Schema14 schema) async {
+  await m.addColumn(schema.transactions, schema.transactions.splits);
+}
+
+/// v15: rules categorizing new and imported transactions
+Future<void> _addCategorizationRules(Migrator m, Schema15 schema) async {
+  await m.createTable(schema.categorizationRules);
+}
@@ -0,0 +1,92 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for search history and saved searches with userId
+/// filtering
+///
+/// Both are device-local: they describe how this device is used, not the
+/// user's financial data.
+class SearchLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  SearchLocalSource(this._db, this.userId);
+
+  // ========================================
+  // History
+  // ========================================
+
+  /// Reactive stream of the [limit] most recent queries FOR THIS USER,
+  /// newest first
+  Stream<List<SearchHistoryEntry>> watchHistory({required int limit}) {
+    return (_db.select(_db.searchHistory)
+          ..where((h) => h.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([(h) => OrderingTerm.desc(h.usedAt)])
+          ..limit(limit))
+        .watch();
+  }
+
+  /// Record [query] as just used FOR THIS USER, keeping the [keep] most
+  /// recent queries
+  Future<void> touchQuery(String query, {required int keep}) {
+    return _db.transaction(() async {
+      await _db.into(_db.searchHistory).insertOnConflictUpdate(
+            SearchHistoryCompanion.insert(
+              userId: userId,
+              query: query,
+              usedAt: DateTime.now(),
+            ),
+          );
+
+      final kept = _db.selectOnly(_db.searchHistory)
+        ..addColumns([_db.searchHistory.query])
+        ..where(_db.searchHistory.userId.equals(userId)) // CRITICAL: Filter
+        ..orderBy([OrderingTerm.desc(_db.searchHistory.usedAt)])
+        ..limit(keep);
+      await (_db.delete(_db.searchHistory)
+            ..where((h) =>
+                h.userId.equals(userId) & // CRITICAL: Filter by userId
+                h.query.isNotInQuery(kept)))
+          .go();
+    });
+  }
+
+  /// Forget one query FOR THIS USER (all of them without [query])
+  Future<void> deleteHistory({String? query}) {
+    return (_db.delete(_db.searchHistory)
+          ..where((h) {
+            var filter = h.userId.equals(userId); // CRITICAL: Filter
+            if (query != null) filter = filter & h.query.equals(query);
+            return filter;
+          }))
+        .go();
+  }
+
+  // ========================================
+  // Saved searches
+  // ========================================
+
+  /// Reactive stream of all saved searches FOR THIS USER, by name
+  Stream<List<SavedSearch>> watchSavedSearches() {
+    return (_db.select(_db.savedSearches)
+          ..where((s) => s.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([(s) => OrderingTerm.asc(s.name.lower())]))
+        .watch();
+  }
+
+  /// Create or replace a saved search FOR THIS USER (userId automatically
+  /// added)
+  Future<void> saveSearch(SavedSearchesCompanion search) {
+    final withUser = search.copyWith(userId: Value(userId));
+    return _db.into(_db.savedSearches).insertOnConflictUpdate(withUser);
+  }
+
+  /// Delete a saved search FOR THIS USER
+  Future<void> deleteSavedSearch(String id) {
+    return (_db.delete(_db.savedSearches)
+          ..where((s) =>
+              s.userId.equals(userId) & // CRITICAL: Filter by userId
+              s.id.equals(id)))
+        .go();
+  }
+}
@@ -0,0 +1,37 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for learned spending curves with userId filtering
+///
+/// One row per ended budget. The rows are derived from budgets and
+/// transactions (device-local, not synced) and are replaced as a whole
+/// each time they are learned again.
+class SpendingHistoryLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  SpendingHistoryLocalSource(this._db, this.userId);
+
+  /// Reactive stream of all periods FOR THIS USER, oldest first
+  Stream<List<SpendingPeriod>> watchAllPeriods() {
+    return (_db.select(_db.spendingPeriods)
+          ..where((p) => p.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([(p) => OrderingTerm.asc(p.endDate)]))
+        .watch();
+  }
+
+  /// Replace every period FOR THIS USER with [periods] (userId
+  /// automatically added), all or none
+  Future<void> replacePeriods(List<SpendingPeriodsCompanion> periods) {
+    return _db.transaction(() async {
+      await (_db.delete(_db.spendingPeriods)
+            ..where((p) => p.userId.equals(userId))) // CRITICAL: Filter
+          .go();
+      for (final period in periods) {
+        await _db
+            .into(_db.spendingPeriods)
+            .insert(period.copyWith(userId: Value(userId)));
+      }
+    });
+  }
+}
@@ -0,0 +1,78 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for unresolved sync conflicts with userId filtering
+///
+/// Conflicts are recorded by the sync engine when a conflict strategy can't
+/// decide on its own, and removed once the user has picked a version.
+class SyncConflictLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  SyncConflictLocalSource(this._db, this.userId);
+
+  /// Reactive stream of open conflicts FOR THIS USER
+  Stream<List<SyncConflict>> watchConflicts() {
+    return (_db.select(_db.syncConflicts)
+          ..where((c) => c.userId.equals(userId)) // CRITICAL: Filter by userId
+          ..orderBy([(c) => OrderingTerm.desc(c.detectedAt)]))
+        .watch();
+  }
+
+  /// Get open conflicts (non-reactive) FOR THIS USER
+  Future<List<SyncConflict>> getConflicts() {
+    return (_db.select(_db.syncConflicts)
+          ..where((c) => c.userId.equals(userId))) // CRITICAL: Filter by userId
+        .get();
+  }
+
+  /// Get single conflict FOR THIS USER
+  Future<SyncConflict?> getConflictById(int id) {
+    return (_db.select(_db.syncConflicts)
+          ..where((c) =>
+              c.userId.equals(userId) & // CRITICAL: Filter by userId
+              c.id.equals(id)))
+        .getSingleOrNull();
+  }
+
+  /// Record a conflict FOR THIS USER
+  ///
+  /// Replaces any open conflict for the same entity, so the user always
+  /// decides against the latest server version.
+  Future<void> saveConflict({
+    required String entityType,
+    required String entityId,
+    required String localPayload,
+    required String remotePayload,
+    required String conflictingFields,
+  }) {
+    return _db.transaction(() async {
+      await (_db.delete(_db.syncConflicts)
+            ..where((c) =>
+                c.userId.equals(userId) & // CRITICAL: Filter by userId
+                c.entityType.equals(entityType) &
+                c.entityId.equals(entityId)))
+          .go();
+      await _db.into(_db.syncConflicts).insert(
+            SyncConflictsCompanion.insert(
+              userId: userId,
+              entityType: entityType,
+              entityId: entityId,
+              localPayload: localPayload,
+              remotePayload: remotePayload,
+              conflictingFields: conflictingFields,
+              detectedAt: DateTime.now(),
+            ),
+          );
+    });
+  }
+
+  /// Remove a resolved conflict FOR THIS USER
+  Future<void> deleteConflict(int id) {
+    return (_db.delete(_db.syncConflicts)
+          ..where((c) =>
+              c.userId.equals(userId) & // CRITICAL: Filter by userId
+              c.id.equals(id)))
+        .go();
+  }
+}
@@ -0,0 +1,35 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for sync pull cursors with userId filtering
+///
+/// Stores the last server position pulled per entity type, so each sync
+/// only downloads records changed since the previous run.
+class SyncCursorLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  SyncCursorLocalSource(this._db, this.userId);
+
+  /// Get the stored cursor for an entity type FOR THIS USER
+  Future<String?> getCursor(String entityType) async {
+    final row = await (_db.select(_db.syncCursors)
+          ..where((c) =>
+              c.userId.equals(userId) & // CRITICAL: Filter by userId
+              c.entityType.equals(entityType)))
+        .getSingleOrNull();
+    return row?.cursor;
+  }
+
+  /// Save the cursor for an entity type FOR THIS USER
+  Future<void> saveCursor(String entityType, String cursor) {
+    return _db.into(_db.syncCursors).insertOnConflictUpdate(
+          SyncCursorsCompanion.insert(
+            userId: userId,
+            entityType: entityType,
+            cursor: cursor,
+            updatedAt: DateTime.now(),
+          ),
+        );
+  }
+}
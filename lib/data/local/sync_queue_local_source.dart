@@ -0,0 +1,144 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for the sync queue with userId filtering
+///
+/// Every local create/update/delete is recorded here by the repositories and
+/// replayed against the backend by the SyncQueueProcessor.
+///
+/// **Entry states** (`status` column):
+/// - `pending`: Waiting to be pushed (possibly backing off after failures)
+/// - `dead_letter`: Gave up after too many failures, needs user action
+class SyncQueueLocalSource {
+  static const String statusPending = 'pending';
+  static const String statusDeadLetter = 'dead_letter';
+
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  SyncQueueLocalSource(this._db, this.userId);
+
+  /// Record a local change FOR THIS USER
+  Future<void> enqueue({
+    required String entityType,
+    required String entityId,
+    required String operation,
+    required String payload,
+  }) {
+    return _db.into(_db.syncQueue).insert(
+          SyncQueueCompanion.insert(
+            userId: userId,
+            entityType: entityType,
+            entityId: entityId,
+            operation: operation,
+            payload: payload,
+            createdAt: DateTime.now(),
+          ),
+        );
+  }
+
+  /// Run [action] in one Drift transaction
+  ///
+  /// Row writes made inside it through other LocalSources join in, so no
+  /// write from another isolate lands between its statements.
+  Future<T> runInTransaction<T>(Future<T> Function() action) {
+    return _db.transaction(action);
+  }
+
+  /// Pending entries in replay order FOR THIS USER
+  Future<List<SyncQueueData>> getPendingEntries() {
+    return (_db.select(_db.syncQueue)
+          ..where((q) =>
+              q.userId.equals(userId) & // CRITICAL: Filter by userId
+              q.status.equals(statusPending))
+          ..orderBy([(q) => OrderingTerm.asc(q.id)]))
+        .get();
+  }
+
+  /// Whether any entry (pending or dead-lettered) exists for an entity
+  /// FOR THIS USER
+  Future<bool> hasEntryFor(String entityType, String entityId) async {
+    final entry = await (_db.select(_db.syncQueue)
+          ..where((q) =>
+              q.userId.equals(userId) & // CRITICAL: Filter by userId
+              q.entityType.equals(entityType) &
+              q.entityId.equals(entityId))
+          ..limit(1))
+        .getSingleOrNull();
+    return entry != null;
+  }
+
+  /// Reactive stream of dead-lettered entries FOR THIS USER
+  Stream<List<SyncQueueData>> watchDeadLetters() {
+    return (_db.select(_db.syncQueue)
+          ..where((q) =>
+              q.userId.equals(userId) & // CRITICAL: Filter by userId
+              q.status.equals(statusDeadLetter))
+          ..orderBy([(q) => OrderingTerm.asc(q.id)]))
+        .watch();
+  }
+
+  /// Remove an entry once it has been pushed FOR THIS USER
+  Future<void> removeEntry(int id) {
+    return (_db.delete(_db.syncQueue)
+          ..where((q) =>
+              q.userId.equals(userId) & // CRITICAL: Filter by userId
+              q.id.equals(id)))
+        .go();
+  }
+
+  /// Drop every queued change for an entity FOR THIS USER
+  ///
+  /// Used when conflict resolution replaces the local changes.
+  Future<void> removeEntriesFor(String entityType, String entityId) {
+    return (_db.delete(_db.syncQueue)
+          ..where((q) =>
+              q.userId.equals(userId) & // CRITICAL: Filter by userId
+              q.entityType.equals(entityType) &
+              q.entityId.equals(entityId)))
+        .go();
+  }
+
+  /// Record a failed attempt FOR THIS USER
+  ///
+  /// Increments `retryCount`; moves the entry to `dead_letter` when
+  /// [deadLetter] is true.
+  Future<void> markFailed(
+    SyncQueueData entry, {
+    required String error,
+    bool deadLetter = false,
+  }) {
+    return (_db.update(_db.syncQueue)
+          ..where((q) =>
+              q.userId.equals(userId) & // CRITICAL: Filter by userId
+              q.id.equals(entry.id)))
+        .write(SyncQueueCompanion(
+          retryCount: Value(entry.retryCount + 1),
+          lastAttemptAt: Value(DateTime.now()),
+          lastError: Value(error),
+          status: Value(deadLetter ? statusDeadLetter : statusPending),
+        ));
+  }
+
+  /// Move all dead-lettered entries back to pending FOR THIS USER
+  Future<void> requeueDeadLetters() {
+    return (_db.update(_db.syncQueue)
+          ..where((q) =>
+              q.userId.equals(userId) & // CRITICAL: Filter by userId
+              q.status.equals(statusDeadLetter)))
+        .write(const SyncQueueCompanion(
+          retryCount: Value(0),
+          lastAttemptAt: Value(null),
+          status: Value(statusPending),
+        ));
+  }
+
+  /// Drop all dead-lettered entries FOR THIS USER
+  Future<void> discardDeadLetters() {
+    return (_db.delete(_db.syncQueue)
+          ..where((q) =>
+              q.userId.equals(userId) & // CRITICAL: Filter by userId
+              q.status.equals(statusDeadLetter)))
+        .go();
+  }
+}
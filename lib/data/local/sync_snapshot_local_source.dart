@@ -0,0 +1,41 @@
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+
+/// Local data source for sync snapshots with userId filtering
+///
+/// Keeps the last version of each row that both this device and the server
+/// agreed on. Used as the common ancestor when merging conflicting edits.
+class SyncSnapshotLocalSource {
+  final AppDatabase _db;
+  final String userId; // CRITICAL: Injected userId for filtering
+
+  SyncSnapshotLocalSource(this._db, this.userId);
+
+  /// Get the snapshot payload for an entity FOR THIS USER
+  Future<String?> getSnapshot(String entityType, String entityId) async {
+    final row = await (_db.select(_db.syncSnapshots)
+          ..where((s) =>
+              s.userId.equals(userId) & // CRITICAL: Filter by userId
+              s.entityType.equals(entityType) &
+              s.entityId.equals(entityId)))
+        .getSingleOrNull();
+    return row?.payload;
+  }
+
+  /// Save the snapshot payload for an entity FOR THIS USER
+  Future<void> saveSnapshot(
+    String entityType,
+    String entityId,
+    String payload,
+  ) {
+    return _db.into(_db.syncSnapshots).insertOnConflictUpdate(
+          SyncSnapshotsCompanion.insert(
+            userId: userId,
+            entityType: entityType,
+            entityId: entityId,
+            payload: payload,
+            updatedAt: DateTime.now(),
+          ),
+        );
+  }
+}
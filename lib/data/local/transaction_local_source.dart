@@ -1,37 +1,413 @@
 import 'package:drift/drift.dart';
 import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/transaction_search_index.dart';
+import 'package:centabit/data/models/transaction_filter.dart';
+import 'package:centabit/core/utils/search_highlight.dart';
+
+/// A transaction row matching a [TransactionFilter], with its search
+/// highlights (see `TransactionSearchHit`)
+typedef FilteredTransactionRow = ({
+  Transaction row,
+  String? nameHighlight,
+  String? notesSnippet,
+});
+
+/// A page of [FilteredTransactionRow]s, and where the next one starts
+typedef FilteredTransactionPage = ({
+  List<FilteredTransactionRow> rows,
+  TransactionCursor? next,
+});
+
+/// Sum of the transactions (or their split lines) of one budget, category,
+/// currency and type
+typedef TransactionTotalRow = ({
+  String? budgetId,
+  String? categoryId,
+  String currencyCode,
+  String type,
+  double amount,
+  int count,
+});
 
 /// Local data source for transactions with userId filtering
 ///
 /// All queries are automatically filtered by userId for security and multi-user support.
+///
+/// Nothing loads every row: lists are paged ([getFilteredPage]) or scoped
+/// to a date window or a budget, and totals are computed by SQL
+/// ([getTotals]).
+///
+/// A split transaction has no category or budget of its own (see the
+/// `splits` column): it belongs to a category or budget when one of its
+/// lines does, and its totals are the lines'.
 class TransactionLocalSource {
   final AppDatabase _db;
   final String userId; // CRITICAL: Injected userId for filtering
 
   TransactionLocalSource(this._db, this.userId);
 
-  /// Reactive stream of all non-deleted transactions FOR THIS USER
-  Stream<List<Transaction>> watchAllTransactions() {
-    return (_db.select(_db.transactions)
-          ..where((t) =>
-              t.userId.equals(userId) & // CRITICAL: Filter by userId
-              t.isDeleted.equals(false))
-          ..orderBy([(t) => OrderingTerm.desc(t.transactionDate)]))
-        .watch();
+  /// Emits after every write to the transactions table (any user's rows:
+  /// listeners re-run their own, filtered queries)
+  Stream<void> watchChanges() {
+    return _db
+        .tableUpdates(TableUpdateQuery.onTable(_db.transactions))
+        .map((_) {});
   }
 
   /// Reactive stream filtered by date FOR THIS USER
   Stream<List<Transaction>> watchTransactionsByDate(DateTime date) {
     final startOfDay = DateTime(date.year, date.month, date.day);
     final endOfDay = startOfDay.add(const Duration(days: 1));
+    return watchTransactionsInRange(startOfDay, endOfDay);
+  }
+
+  /// Reactive stream of non-deleted transactions dated from [start]
+  /// (inclusive) to [end] (exclusive) FOR THIS USER, newest first
+  Stream<List<Transaction>> watchTransactionsInRange(
+    DateTime start,
+    DateTime end,
+  ) {
+    return _inRange(start, end).watch();
+  }
+
+  /// Non-deleted transactions dated from [start] (inclusive) to [end]
+  /// (exclusive) FOR THIS USER, newest first, of one budget if [budgetId]
+  Future<List<Transaction>> getTransactionsInRange(
+    DateTime start,
+    DateTime end, {
+    String? budgetId,
+  }) {
+    return _inRange(start, end, budgetId: budgetId).get();
+  }
+
+  SimpleSelectStatement<$TransactionsTable, Transaction> _inRange(
+    DateTime start,
+    DateTime end, {
+    String? budgetId,
+  }) {
+    return _db.select(_db.transactions)
+      ..where((t) {
+        var where = t.userId.equals(userId) & // CRITICAL: Filter by userId
+            t.isDeleted.equals(false) &
+            t.transactionDate.isBiggerOrEqualValue(start) &
+            t.transactionDate.isSmallerThanValue(end);
+        if (budgetId != null) where = where & _inBudget(t, budgetId);
+        return where;
+      })
+      ..orderBy([(t) => OrderingTerm.desc(t.transactionDate)]);
+  }
 
+  /// Non-deleted transactions created at or after [since] FOR THIS USER
+  Future<List<Transaction>> getTransactionsCreatedSince(DateTime since) {
     return (_db.select(_db.transactions)
           ..where((t) =>
               t.userId.equals(userId) & // CRITICAL: Filter by userId
               t.isDeleted.equals(false) &
-              t.transactionDate.isBiggerOrEqualValue(startOfDay) &
-              t.transactionDate.isSmallerThanValue(endOfDay)))
-        .watch();
+              t.createdAt.isBiggerOrEqualValue(since)))
+        .get();
+  }
+
+  /// Sums of non-deleted transactions FOR THIS USER, one per budget,
+  /// category, currency and type
+  ///
+  /// Narrowed to the dates from [start] (inclusive) to [end] (exclusive),
+  /// one budget and one type when given. Split transactions count with
+  /// each of their lines, under the line's budget and category.
+  Future<List<TransactionTotalRow>> getTotals({
+    DateTime? start,
+    DateTime? end,
+    String? budgetId,
+    String? type,
+  }) async {
+    final t = _db.transactions;
+
+    var where = t.userId.equals(userId) & // CRITICAL: Filter by userId
+        t.isDeleted.equals(false);
+    if (start != null) {
+      where = where & t.transactionDate.isBiggerOrEqualValue(start);
+    }
+    if (end != null) where = where & t.transactionDate.isSmallerThanValue(end);
+    if (type != null) where = where & t.type.equals(type);
+
+    // Qualified columns: json_each() has an id and a type of its own
+    final criteria = GenerationContext.fromDb(_db)..hasMultipleTables = true;
+    where.writeInto(criteria);
+
+    // Unsplit rows, then one row per split line; the budget is matched
+    // on the result, where lines have theirs
+    final rows = await _db.customSelect(
+      'SELECT budget_id, category_id, currency_code, type, '
+      'SUM(amount) AS amount, COUNT(DISTINCT id) AS count FROM ('
+      'SELECT transactions.id AS id, transactions.budget_id AS budget_id, '
+      'transactions.category_id AS category_id, '
+      'transactions.currency_code AS currency_code, '
+      'transactions.type AS type, transactions.amount AS amount '
+      'FROM transactions '
+      'WHERE transactions.splits IS NULL AND ${criteria.sql} '
+      'UNION ALL '
+      'SELECT transactions.id, '
+      "json_extract(line.value, '\$.budgetId'), "
+      "json_extract(line.value, '\$.categoryId'), "
+      'transactions.currency_code, transactions.type, '
+      "json_extract(line.value, '\$.amount') "
+      'FROM transactions, json_each(transactions.splits) AS line '
+      'WHERE ${criteria.sql}'
+      ') '
+      '${budgetId != null ? 'WHERE budget_id = ? ' : ''}'
+      'GROUP BY budget_id, category_id, currency_code, type',
+      variables: [
+        ...criteria.introducedVariables,
+        ...criteria.introducedVariables,
+        if (budgetId != null) Variable.withString(budgetId),
+      ],
+      readsFrom: {t},
+    ).get();
+
+    return [
+      for (final row in rows)
+        (
+          budgetId: row.readNullable<String>('budget_id'),
+          categoryId: row.readNullable<String>('category_id'),
+          currencyCode: row.read<String>('currency_code'),
+          type: row.read<String>('type'),
+          amount: row.readNullable<double>('amount') ?? 0,
+          count: row.read<int>('count'),
+        ),
+    ];
+  }
+
+  /// A page of non-deleted transactions matching [filter] FOR THIS USER
+  ///
+  /// Every criterion is part of the SQL query. Pages are keyset based:
+  /// the rows after [after] (the previous page's `next`), at most [limit],
+  /// so a page deep into years of history costs the same as the first.
+  /// [through] stretches the page to every row dated on or after that day
+  /// (scrolling to a date).
+  ///
+  /// Without a search text, rows are newest first. With one, it's a
+  /// full-text search (see [TransactionSearchIndex] and
+  /// [TransactionSearchQuery]) ranked by relevance, with highlights; when
+  /// nothing matches, it's retried with the indexed words closest to the
+  /// searched ones (typos), and the next pages keep that expression.
+  Future<FilteredTransactionPage> getFilteredPage(
+    TransactionFilter filter, {
+    TransactionCursor? after,
+    required int limit,
+    DateTime? through,
+  }) async {
+    final query = TransactionSearchQuery.parse(filter.query);
+    if (query == null) {
+      return _datePage(filter, after: after, limit: limit, through: through);
+    }
+
+    final match = after?.match ?? query.toMatch();
+    final page = await _searchPage(filter, match, after: after, limit: limit);
+    if (after != null || page.rows.isNotEmpty) return page;
+
+    final alternatives = <String, List<String>>{};
+    for (final term in query.terms.where((term) => term.length >= 3)) {
+      final similar = await TransactionSearchIndex.similarTerms(
+        _db,
+        term,
+        userId: userId, // CRITICAL: Filter by userId
+      );
+      if (similar.isNotEmpty) alternatives[term] = similar;
+    }
+    if (alternatives.isEmpty) return page;
+    return _searchPage(
+      filter,
+      query.toMatch(alternatives: alternatives),
+      limit: limit,
+    );
+  }
+
+  /// Page of rows matching [filter], newest first
+  Future<FilteredTransactionPage> _datePage(
+    TransactionFilter filter, {
+    TransactionCursor? after,
+    required int limit,
+    DateTime? through,
+  }) async {
+    Expression<bool> where($TransactionsTable t) {
+      var where = _matches(t, filter);
+      if (after != null) {
+        where = where &
+            (t.transactionDate.isSmallerThanValue(after.date) |
+                (t.transactionDate.equals(after.date) &
+                    t.id.isSmallerThanValue(after.id)));
+      }
+      return where;
+    }
+
+    var rowLimit = limit;
+    if (through != null) {
+      final day = DateTime(through.year, through.month, through.day);
+      final count = _db.transactions.id.count();
+      final toDay = await (_db.selectOnly(_db.transactions)
+            ..addColumns([count])
+            ..where(
+              where(_db.transactions) &
+                  _db.transactions.transactionDate.isBiggerOrEqualValue(day),
+            ))
+          .map((row) => row.read(count) ?? 0)
+          .getSingle();
+      if (toDay > rowLimit) rowLimit = toDay;
+    }
+
+    // One row more than asked tells whether there's a next page
+    final rows = await (_db.select(_db.transactions)
+          ..where(where)
+          ..orderBy([
+            (t) => OrderingTerm.desc(t.transactionDate),
+            (t) => OrderingTerm.desc(t.id),
+          ])
+          ..limit(rowLimit + 1))
+        .get();
+    final page = rows.take(rowLimit).toList();
+
+    return (
+      rows: [
+        for (final row in page)
+          (row: row, nameHighlight: null, notesSnippet: null),
+      ],
+      next: rows.length > rowLimit
+          ? (
+              date: page.last.transactionDate,
+              id: page.last.id,
+              rank: null,
+              match: null,
+            )
+          : null,
+    );
+  }
+
+  /// Page of rows matching the FTS5 expression [match] and the criteria of
+  /// [filter], best match first
+  Future<FilteredTransactionPage> _searchPage(
+    TransactionFilter filter,
+    String match, {
+    TransactionCursor? after,
+    required int limit,
+  }) async {
+    const fts = TransactionSearchIndex.table;
+    const start = SearchHighlight.start;
+    const end = SearchHighlight.end;
+
+    // Render the criteria with table-qualified columns, since the FTS
+    // table has columns of the same names
+    final criteria = GenerationContext.fromDb(_db)..hasMultipleTables = true;
+    _matches(_db.transactions, filter).writeInto(criteria);
+
+    // bm25() only exists within the full-text query, so the keyset over
+    // (score, date, id) is applied around it
+    final keyset = after == null
+        ? ''
+        : 'WHERE score > ? OR (score = ? AND (transaction_date < ? '
+            'OR (transaction_date = ? AND id < ?))) ';
+
+    final rows = await _db.customSelect(
+      'SELECT * FROM ('
+      'SELECT transactions.*, '
+      "highlight($fts, ${TransactionSearchIndex.nameColumn}, "
+      "'$start', '$end') AS name_highlight, "
+      "snippet($fts, ${TransactionSearchIndex.notesColumn}, "
+      "'$start', '$end', '…', 12) AS notes_snippet, "
+      '${TransactionSearchIndex.rank} AS score '
+      'FROM $fts JOIN transactions ON transactions.rowid = $fts.rowid '
+      'WHERE $fts MATCH ? AND ${criteria.sql}'
+      ') $keyset'
+      'ORDER BY score, transaction_date DESC, id DESC '
+      'LIMIT ?',
+      variables: [
+        Variable.withString(match),
+        ...criteria.introducedVariables,
+        if (after != null) ...[
+          Variable.withReal(after.rank ?? 0),
+          Variable.withReal(after.rank ?? 0),
+          Variable<DateTime>(after.date),
+          Variable<DateTime>(after.date),
+          Variable.withString(after.id),
+        ],
+        Variable.withInt(limit + 1),
+      ],
+      readsFrom: {_db.transactions, _db.categories},
+    ).get();
+
+    final hits = <FilteredTransactionRow>[];
+    for (final row in rows.take(limit)) {
+      hits.add((
+        row: await _db.transactions.map(row.data),
+        nameHighlight: row.read<String>('name_highlight'),
+        notesSnippet: switch (row.read<String>('notes_snippet')) {
+          final snippet when SearchHighlight.hasMatch(snippet) => snippet,
+          _ => null,
+        },
+      ));
+    }
+
+    return (
+      rows: hits,
+      next: rows.length > limit
+          ? (
+              date: hits.last.row.transactionDate,
+              id: hits.last.row.id,
+              rank: rows[limit - 1].read<double>('score'),
+              match: match,
+            )
+          : null,
+    );
+  }
+
+  /// Every criterion of [filter] but the search text (matched by the
+  /// full-text index)
+  Expression<bool> _matches($TransactionsTable t, TransactionFilter filter) {
+    var where = t.userId.equals(userId) & // CRITICAL: Filter by userId
+        t.isDeleted.equals(false);
+
+    final type = filter.type;
+    if (type != null) where = where & t.type.equals(type.name);
+
+    if (filter.categoryIds.isNotEmpty) {
+      where = where &
+          (t.categoryId.isIn(filter.categoryIds) |
+              _SplitLineIn(t.splits, 'categoryId', filter.categoryIds));
+    }
+
+    final budgetId = filter.budgetId;
+    if (filter.unassignedOnly) {
+      // Split: when a line has no budget
+      where = where &
+          t.budgetId.isNull() &
+          (t.splits.isNull() | _SplitLineIn(t.splits, 'budgetId', const []));
+    } else if (budgetId != null) {
+      where = where & _inBudget(t, budgetId);
+    }
+
+    final minAmount = filter.minAmount;
+    if (minAmount != null) {
+      where = where & t.amount.isBiggerOrEqualValue(minAmount);
+    }
+    final maxAmount = filter.maxAmount;
+    if (maxAmount != null) {
+      where = where & t.amount.isSmallerOrEqualValue(maxAmount);
+    }
+
+    final startDate = filter.startDate;
+    if (startDate != null) {
+      final startOfDay =
+          DateTime(startDate.year, startDate.month, startDate.day);
+      where = where & t.transactionDate.isBiggerOrEqualValue(startOfDay);
+    }
+    final endDate = filter.endDate;
+    if (endDate != null) {
+      final endOfDay = DateTime(endDate.year, endDate.month, endDate.day + 1);
+      where = where & t.transactionDate.isSmallerThanValue(endOfDay);
+    }
+
+    if (filter.hasNotes) {
+      where = where & t.notes.isNotNull() & t.notes.trim().equals('').not();
+    }
+    return where;
   }
 
   /// Get single transaction FOR THIS USER
@@ -43,6 +419,89 @@ class TransactionLocalSource {
         .getSingleOrNull();
   }
 
+  /// Get non-deleted transactions linked to a budget FOR THIS USER, oldest
+  /// first
+  Future<List<Transaction>> getTransactionsByBudget(String budgetId) {
+    return _byBudget(budgetId).get();
+  }
+
+  /// Reactive stream of non-deleted transactions linked to a budget FOR
+  /// THIS USER, oldest first
+  Stream<List<Transaction>> watchTransactionsByBudget(String budgetId) {
+    return _byBudget(budgetId).watch();
+  }
+
+  SimpleSelectStatement<$TransactionsTable, Transaction> _byBudget(
+    String budgetId,
+  ) {
+    return _db.select(_db.transactions)
+      ..where((t) =>
+          t.userId.equals(userId) & // CRITICAL: Filter by userId
+          t.isDeleted.equals(false) &
+          _inBudget(t, budgetId))
+      ..orderBy([(t) => OrderingTerm.asc(t.transactionDate)]);
+  }
+
+  /// Get non-deleted transactions of a category FOR THIS USER
+  Future<List<Transaction>> getTransactionsByCategory(String categoryId) {
+    return (_db.select(_db.transactions)
+          ..where((t) =>
+              t.userId.equals(userId) & // CRITICAL: Filter by userId
+              t.isDeleted.equals(false) &
+              _inCategory(t, categoryId)))
+        .get();
+  }
+
+  /// The [limit] newest non-deleted transactions with a category FOR THIS
+  /// USER whose name contains one of [words]
+  ///
+  /// [words] are matched with LIKE, so they mustn't contain `%` or `_`.
+  Future<List<Transaction>> getCategorizedByNameWords(
+    List<String> words, {
+    required int limit,
+  }) {
+    return (_db.select(_db.transactions)
+          ..where((t) =>
+              t.userId.equals(userId) & // CRITICAL: Filter by userId
+              t.isDeleted.equals(false) &
+              t.categoryId.isNotNull() &
+              Expression.or([for (final w in words) t.name.like('%$w%')]))
+          ..orderBy([(t) => OrderingTerm.desc(t.transactionDate)])
+          ..limit(limit))
+        .get();
+  }
+
+  /// The transaction, or one of its split lines, is in budget [budgetId]
+  Expression<bool> _inBudget($TransactionsTable t, String budgetId) {
+    return t.budgetId.equals(budgetId) |
+        _SplitLineIn(t.splits, 'budgetId', [budgetId]);
+  }
+
+  /// The transaction, or one of its split lines, is in category
+  /// [categoryId]
+  Expression<bool> _inCategory($TransactionsTable t, String categoryId) {
+    return t.categoryId.equals(categoryId) |
+        _SplitLineIn(t.splits, 'categoryId', [categoryId]);
+  }
+
+  /// Number of non-deleted transactions FOR THIS USER, of one category
+  /// and/or one budget when given
+  Future<int> countTransactions({String? categoryId, String? budgetId}) {
+    final t = _db.transactions;
+    final count = t.id.count();
+
+    var where = t.userId.equals(userId) & // CRITICAL: Filter by userId
+        t.isDeleted.equals(false);
+    if (categoryId != null) where = where & _inCategory(t, categoryId);
+    if (budgetId != null) where = where & _inBudget(t, budgetId);
+
+    return (_db.selectOnly(t)
+          ..addColumns([count])
+          ..where(where))
+        .map((row) => row.read(count) ?? 0)
+        .getSingle();
+  }
+
   /// Create transaction (userId automatically added)
   Future<void> createTransaction(TransactionsCompanion transaction) {
     // Ensure userId is set
@@ -50,6 +509,14 @@ class TransactionLocalSource {
     return _db.into(_db.transactions).insert(withUser);
   }
 
+  /// Run [action] in one Drift transaction
+  ///
+  /// Writes made inside [action] through other LocalSources of the same
+  /// database (e.g. the sync queue) join the transaction too.
+  Future<T> runInTransaction<T>(Future<T> Function() action) {
+    return _db.transaction(action);
+  }
+
   /// Update transaction (userId check for security)
   Future<void> updateTransaction(Transaction transaction) {
     if (transaction.userId != userId) {
@@ -58,13 +525,65 @@ class TransactionLocalSource {
     return _db.update(_db.transactions).replace(transaction);
   }
 
-  /// Soft delete FOR THIS USER
-  Future<void> deleteTransaction(String id) {
+  /// Soft delete FOR THIS USER, stamped [at] (now by default)
+  Future<void> deleteTransaction(String id, {DateTime? at}) {
+    return (_db.update(_db.transactions)
+          ..where((t) =>
+              t.userId.equals(userId) & // CRITICAL: Filter by userId
+              t.id.equals(id)))
+        .write(TransactionsCompanion(
+          isDeleted: const Value(true),
+          isSynced: const Value(false), // Deletion still has to be pushed
+          updatedAt: Value(at ?? DateTime.now()),
+        ));
+  }
+
+  /// Soft-deleted transactions FOR THIS USER, most recently deleted first
+  ///
+  /// `updatedAt` is when the row was deleted (nothing edits a deleted row).
+  Future<List<Transaction>> getDeletedTransactions() {
+    return (_db.select(_db.transactions)
+          ..where((t) =>
+              t.userId.equals(userId) & // CRITICAL: Filter by userId
+              t.isDeleted.equals(true))
+          ..orderBy([(t) => OrderingTerm.desc(t.updatedAt)]))
+        .get();
+  }
+
+  /// Undo a soft delete FOR THIS USER
+  Future<void> restoreTransaction(String id) {
     return (_db.update(_db.transactions)
           ..where((t) =>
               t.userId.equals(userId) & // CRITICAL: Filter by userId
               t.id.equals(id)))
-        .write(const TransactionsCompanion(isDeleted: Value(true)));
+        .write(TransactionsCompanion(
+          isDeleted: const Value(false),
+          isSynced: const Value(false), // Restore still has to be pushed
+          updatedAt: Value(DateTime.now()),
+        ));
+  }
+
+  /// Permanently remove a soft-deleted transaction FOR THIS USER
+  ///
+  /// Live rows are never removed. A deletion not pushed yet is still sent:
+  /// its sync queue entry holds a snapshot of the row.
+  Future<int> purgeTransaction(String id) {
+    return (_db.delete(_db.transactions)
+          ..where((t) =>
+              t.userId.equals(userId) & // CRITICAL: Filter by userId
+              t.isDeleted.equals(true) &
+              t.id.equals(id)))
+        .go();
+  }
+
+  /// Permanently remove the transactions deleted before [cutoff] FOR THIS USER
+  Future<int> purgeTransactionsDeletedBefore(DateTime cutoff) {
+    return (_db.delete(_db.transactions)
+          ..where((t) =>
+              t.userId.equals(userId) & // CRITICAL: Filter by userId
+              t.isDeleted.equals(true) &
+              t.updatedAt.isSmallerThanValue(cutoff)))
+        .go();
   }
 
   /// Get unsynced transactions FOR THIS USER
@@ -87,4 +606,52 @@ class TransactionLocalSource {
           lastSyncedAt: Value(DateTime.now()),
         ));
   }
+
+  /// Upsert a row pulled from the server FOR THIS USER
+  ///
+  /// Stored as already synced so the next push doesn't send it straight back.
+  Future<void> upsertSyncedTransaction(Transaction transaction) {
+    if (transaction.userId != userId) {
+      throw Exception('Cannot sync transaction for different user');
+    }
+    return _db.into(_db.transactions).insertOnConflictUpdate(
+          transaction.copyWith(
+            isSynced: true,
+            lastSyncedAt: Value(DateTime.now()),
+          ),
+        );
+  }
+}
+
+/// Whether one of the split lines stored in [splits] has its [field]
+/// (`categoryId` or `budgetId`) among [values], or unset when [values] is
+/// empty
+///
+/// False for a transaction that isn't split (null [splits]).
+class _SplitLineIn extends Expression<bool> {
+  final Expression<String> splits;
+  final String field;
+  final List<String> values;
+
+  const _SplitLineIn(this.splits, this.field, this.values);
+
+  @override
+  Precedence get precedence => Precedence.primary;
+
+  @override
+  void writeInto(GenerationContext context) {
+    context.buffer.write('EXISTS (SELECT 1 FROM json_each(');
+    splits.writeInto(context);
+    context.buffer.write(") WHERE json_extract(value, '\$.$field') ");
+    if (values.isEmpty) {
+      context.buffer.write('IS NULL)');
+      return;
+    }
+    context.buffer.write('IN (');
+    for (var i = 0; i < values.length; i++) {
+      if (i > 0) context.buffer.write(', ');
+      Variable.withString(values[i]).writeInto(context);
+    }
+    context.buffer.write('))');
+  }
 }
@@ -0,0 +1,242 @@
+import 'dart:math' as math;
+import 'package:drift/drift.dart';
+
+/// Full-text index of transactions (SQLite FTS5), kept in sync by triggers
+///
+/// `transactions_fts` holds the name, notes and category name of every
+/// live transaction, under the transaction's rowid so a match joins back
+/// to its row without a lookup by id. Triggers on `transactions` and
+/// `categories` keep it current whatever writes them (repositories, sync,
+/// backup restore, profile migration), so no caller has to maintain it.
+///
+/// Not part of the Drift schema: created by [create] from `onCreate` and
+/// the v11 migration step.
+class TransactionSearchIndex {
+  TransactionSearchIndex._();
+
+  static const String table = 'transactions_fts';
+
+  /// Terms of the index with their document counts (fuzzy matching)
+  static const String vocabularyTable = 'transactions_fts_vocab';
+
+  /// Relevance of a match, lower is better: name hits weigh the most,
+  /// then category, then notes
+  static const String rank = 'bm25($table, 10.0, 2.0, 5.0)';
+
+  /// Column numbers, for `highlight()` and `snippet()`
+  static const int nameColumn = 0;
+  static const int notesColumn = 1;
+
+  /// Indexed text of transaction `row` (a `new.` or table alias)
+  static String _indexedValues(String row) =>
+      '$row.rowid, $row.name, coalesce($row.notes, \'\'), '
+      'coalesce((SELECT c.name FROM categories c '
+      'WHERE c.id = $row.category_id AND c.user_id = $row.user_id), \'\')';
+
+  /// Re-index transaction `new` (after an insert or update)
+  static final String _reindexNew = '''
+DELETE FROM $table WHERE rowid = new.rowid;
+INSERT INTO $table(rowid, name, notes, category)
+  SELECT ${_indexedValues('new')} WHERE NOT new.is_deleted;''';
+
+  /// Set the category text of category `row`'s transactions to [name]
+  static String _renameCategory(String row, String name) => '''
+UPDATE $table SET category = $name WHERE rowid IN (
+  SELECT rowid FROM transactions
+  WHERE category_id = $row.id AND user_id = $row.user_id
+);''';
+
+  static final List<String> _statements = [
+    // Diacritics and case folded, so "cafe" finds "Café"; the prefix
+    // indexes keep short prefix queries fast on large tables
+    '''
+CREATE VIRTUAL TABLE IF NOT EXISTS $table USING fts5(
+  name, notes, category,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '2 3'
+)''',
+    "CREATE VIRTUAL TABLE IF NOT EXISTS $vocabularyTable "
+        "USING fts5vocab($table, 'row')",
+    // Category renames update the transactions of the category
+    'CREATE INDEX IF NOT EXISTS transactions_category_idx '
+        'ON transactions (user_id, category_id)',
+    '''
+CREATE TRIGGER IF NOT EXISTS transactions_fts_insert
+AFTER INSERT ON transactions BEGIN
+$_reindexNew
+END''',
+    '''
+CREATE TRIGGER IF NOT EXISTS transactions_fts_update
+AFTER UPDATE OF name, notes, category_id, user_id, is_deleted
+ON transactions BEGIN
+$_reindexNew
+END''',
+    '''
+CREATE TRIGGER IF NOT EXISTS transactions_fts_delete
+AFTER DELETE ON transactions BEGIN
+DELETE FROM $table WHERE rowid = old.rowid;
+END''',
+    // Covers a category synced in after its transactions
+    '''
+CREATE TRIGGER IF NOT EXISTS categories_fts_insert
+AFTER INSERT ON categories BEGIN
+${_renameCategory('new', 'new.name')}
+END''',
+    '''
+CREATE TRIGGER IF NOT EXISTS categories_fts_update
+AFTER UPDATE OF name ON categories BEGIN
+${_renameCategory('new', 'new.name')}
+END''',
+    '''
+CREATE TRIGGER IF NOT EXISTS categories_fts_delete
+AFTER DELETE ON categories BEGIN
+${_renameCategory('old', "''")}
+END''',
+  ];
+
+  /// Create the index and its triggers, and index existing transactions
+  static Future<void> create(GeneratedDatabase db) async {
+    for (final statement in _statements) {
+      await db.customStatement(statement);
+    }
+    await rebuild(db);
+  }
+
+  /// Re-index every live transaction from scratch
+  static Future<void> rebuild(GeneratedDatabase db) async {
+    await db.customStatement('DELETE FROM $table');
+    await db.customStatement(
+      'INSERT INTO $table(rowid, name, notes, category) '
+      'SELECT ${_indexedValues('t')} FROM transactions t '
+      'WHERE NOT t.is_deleted',
+    );
+  }
+
+  /// Terms of [userId]'s transactions within a few typos of [term], most
+  /// used first
+  ///
+  /// Only terms starting with the same letter are considered, which keeps
+  /// the lookup to a small slice of the vocabulary. The vocabulary covers
+  /// every profile on the device, so each term is checked against
+  /// [userId]'s rows before it's suggested.
+  static Future<List<String>> similarTerms(
+    GeneratedDatabase db,
+    String term, {
+    required String userId,
+    int limit = 5,
+  }) async {
+    final maxEdits = term.length <= 5 ? 1 : 2;
+    final first = term.codeUnitAt(0);
+    final rows = await db.customSelect(
+      'SELECT term FROM $vocabularyTable '
+      'WHERE term >= ? AND term < ? AND length(term) BETWEEN ? AND ? '
+      'ORDER BY doc DESC',
+      variables: [
+        Variable.withString(String.fromCharCode(first)),
+        Variable.withString(String.fromCharCode(first + 1)),
+        Variable.withInt(term.length - maxEdits),
+        Variable.withInt(term.length + maxEdits),
+      ],
+    ).get();
+
+    final similar = <String>[];
+    for (final row in rows) {
+      final candidate = row.read<String>('term');
+      if (candidate == term || _editDistance(term, candidate) > maxEdits) {
+        continue;
+      }
+      if (!await _isIndexedFor(db, candidate, userId)) continue;
+
+      similar.add(candidate);
+      if (similar.length == limit) break;
+    }
+    return similar;
+  }
+
+  /// Whether one of [userId]'s transactions has [term] indexed
+  static Future<bool> _isIndexedFor(
+    GeneratedDatabase db,
+    String term,
+    String userId,
+  ) async {
+    final row = await db.customSelect(
+      'SELECT 1 FROM $table f JOIN transactions t ON t.rowid = f.rowid '
+      'WHERE $table MATCH ? AND t.user_id = ? LIMIT 1',
+      variables: [
+        Variable.withString('"$term"'),
+        Variable.withString(userId),
+      ],
+    ).getSingleOrNull();
+    return row != null;
+  }
+
+  /// Levenshtein distance between [a] and [b]
+  static int _editDistance(String a, String b) {
+    var previous = List<int>.generate(b.length + 1, (j) => j);
+    for (var i = 1; i <= a.length; i++) {
+      final current = List<int>.filled(b.length + 1, i);
+      for (var j = 1; j <= b.length; j++) {
+        final substitution = a[i - 1] == b[j - 1] ? 0 : 1;
+        current[j] = math.min(
+          math.min(current[j - 1] + 1, previous[j] + 1),
+          previous[j - 1] + substitution,
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
+
+/// A search text turned into an FTS5 query
+///
+/// Words match as prefixes ("gro" finds "groceries") and quoted text as an
+/// exact phrase; every part must match. Punctuation is ignored, so user
+/// input can't produce an invalid FTS5 query.
+class TransactionSearchQuery {
+  /// Words matched as prefixes, lowercased
+  final List<String> terms;
+
+  /// Quoted phrases, as their lowercased words separated by spaces
+  final List<String> phrases;
+
+  const TransactionSearchQuery._(this.terms, this.phrases);
+
+  static final _phrasePattern = RegExp(r'"([^"]*)"?');
+  static final _wordPattern = RegExp(r'[\p{L}\p{N}\p{M}]+', unicode: true);
+
+  /// Parse [input]; null when it has no words
+  static TransactionSearchQuery? parse(String input) {
+    List<String> words(String text) => _wordPattern
+        .allMatches(text.toLowerCase())
+        .map((match) => match[0]!)
+        .toList();
+
+    final phrases = _phrasePattern
+        .allMatches(input)
+        .map((match) => words(match[1]!).join(' '))
+        .where((phrase) => phrase.isNotEmpty)
+        .toList();
+    final terms = words(input.replaceAll(_phrasePattern, ' '));
+
+    if (terms.isEmpty && phrases.isEmpty) return null;
+    return TransactionSearchQuery._(terms, phrases);
+  }
+
+  /// The FTS5 MATCH expression
+  ///
+  /// [alternatives] widens a term to similar indexed terms (fuzzy
+  /// matching), matched exactly.
+  String toMatch({Map<String, List<String>> alternatives = const {}}) {
+    String term(String word) {
+      final similar = alternatives[word] ?? const [];
+      if (similar.isEmpty) return '"$word"*';
+      return '("$word"* OR ${similar.map((s) => '"$s"').join(' OR ')})';
+    }
+
+    return [
+      ...phrases.map((phrase) => '"$phrase"'),
+      ...terms.map(term),
+    ].join(' ');
+  }
+}
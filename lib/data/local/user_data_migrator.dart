@@ -0,0 +1,311 @@
+import 'dart:convert';
+
+import 'package:drift/drift.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_operation.dart';
+
+/// Bulk operations on all local data of one user
+///
+/// Used by AuthManager:
+/// - [migrate]: move an anonymous user's data to a signed-in account
+/// - [deleteUserData]: remove everything of a deleted profile
+///
+/// Each operation runs in ONE Drift transaction, so a user's data is never
+/// left half moved or half deleted.
+///
+/// **Migration steps**:
+/// 1. Re-key Transactions, Categories, Budgets and Allocations and flag them
+///    unsynced (the account on the server doesn't have them yet)
+/// 2. Re-key SyncQueue entries, including the `userId` inside each payload
+/// 3. Queue an upload for every row without a pending entry
+/// 4. Re-key recurring series, their exceptions, budget templates, alert
+///    rules, alerts and mutes, search history, saved searches and
+///    categorization rules (device-local, not synced)
+/// 5. Drop sync cursors, snapshots and conflicts - they describe the
+///    anonymous user's server data, not the account's
+class UserDataMigrator {
+  final AppDatabase _db;
+
+  UserDataMigrator(this._db);
+
+  /// Re-key all rows of [fromUserId] to [toUserId]
+  ///
+  /// Returns the number of entity rows migrated.
+  Future<int> migrate({
+    required String fromUserId,
+    required String toUserId,
+  }) {
+    return _db.transaction(() async {
+      var migrated = 0;
+
+      migrated += await (_db.update(_db.transactions)
+            ..where((t) => t.userId.equals(fromUserId)))
+          .write(TransactionsCompanion(
+            userId: Value(toUserId),
+            isSynced: const Value(false),
+          ));
+      migrated += await (_db.update(_db.categories)
+            ..where((c) => c.userId.equals(fromUserId)))
+          .write(CategoriesCompanion(
+            userId: Value(toUserId),
+            isSynced: const Value(false),
+          ));
+      migrated += await (_db.update(_db.budgets)
+            ..where((b) => b.userId.equals(fromUserId)))
+          .write(BudgetsCompanion(
+            userId: Value(toUserId),
+            isSynced: const Value(false),
+          ));
+      migrated += await (_db.update(_db.allocations)
+            ..where((a) => a.userId.equals(fromUserId)))
+          .write(AllocationsCompanion(
+            userId: Value(toUserId),
+            isSynced: const Value(false),
+          ));
+
+      // Recurring series are device-local - only re-keyed
+      await (_db.update(_db.recurringTransactions)
+            ..where((r) => r.userId.equals(fromUserId)))
+          .write(RecurringTransactionsCompanion(userId: Value(toUserId)));
+      await (_db.update(_db.recurrenceExceptions)
+            ..where((e) => e.userId.equals(fromUserId)))
+          .write(RecurrenceExceptionsCompanion(userId: Value(toUserId)));
+
+      // Budget templates are device-local too
+      await (_db.update(_db.budgetTemplates)
+            ..where((t) => t.userId.equals(fromUserId)))
+          .write(BudgetTemplatesCompanion(userId: Value(toUserId)));
+      await (_db.update(_db.budgetTemplateAllocations)
+            ..where((a) => a.userId.equals(fromUserId)))
+          .write(BudgetTemplateAllocationsCompanion(userId: Value(toUserId)));
+
+      // Exchange rates too; the pair is part of the key, so rates moved in
+      // replace the ones [toUserId] already had for the same pair
+      final rates = await (_db.select(_db.exchangeRates)
+            ..where((r) => r.userId.equals(fromUserId)))
+          .get();
+      for (final rate in rates) {
+        await _db
+            .into(_db.exchangeRates)
+            .insertOnConflictUpdate(rate.copyWith(userId: toUserId));
+      }
+      await (_db.delete(_db.exchangeRates)
+            ..where((r) => r.userId.equals(fromUserId)))
+          .go();
+
+      // Learned spending curves are derived data: dropped here, learned
+      // again from the moved budgets once [toUserId] is active
+      await (_db.delete(_db.spendingPeriods)
+            ..where((p) => p.userId.equals(fromUserId)))
+          .go();
+
+      // Budget alerts are device-local; an alert [toUserId] already got
+      // for the same rule and subject is kept instead of the moved one
+      await (_db.update(_db.alertRules)
+            ..where((r) => r.userId.equals(fromUserId)))
+          .write(AlertRulesCompanion(userId: Value(toUserId)));
+      final alerts = await (_db.select(_db.alerts)
+            ..where((a) => a.userId.equals(fromUserId)))
+          .get();
+      for (final alert in alerts) {
+        await _db.into(_db.alerts).insert(
+              alert.copyWith(userId: toUserId),
+              mode: InsertMode.insertOrIgnore,
+            );
+      }
+      await (_db.delete(_db.alerts)
+            ..where((a) => a.userId.equals(fromUserId)))
+          .go();
+      final mutes = await (_db.select(_db.alertMutes)
+            ..where((m) => m.userId.equals(fromUserId)))
+          .get();
+      for (final mute in mutes) {
+        await _db
+            .into(_db.alertMutes)
+            .insertOnConflictUpdate(mute.copyWith(userId: toUserId));
+      }
+      await (_db.delete(_db.alertMutes)
+            ..where((m) => m.userId.equals(fromUserId)))
+          .go();
+
+      // Search history is keyed by query; the newer use wins
+      final history = await (_db.select(_db.searchHistory)
+            ..where((h) => h.userId.equals(fromUserId)))
+          .get();
+      for (final entry in history) {
+        final existing = await (_db.select(_db.searchHistory)
+              ..where((h) =>
+                  h.userId.equals(toUserId) & h.query.equals(entry.query)))
+            .getSingleOrNull();
+        if (existing != null && existing.usedAt.isAfter(entry.usedAt)) {
+          continue;
+        }
+        await _db
+            .into(_db.searchHistory)
+            .insertOnConflictUpdate(entry.copyWith(userId: toUserId));
+      }
+      await (_db.delete(_db.searchHistory)
+            ..where((h) => h.userId.equals(fromUserId)))
+          .go();
+      await (_db.update(_db.savedSearches)
+            ..where((s) => s.userId.equals(fromUserId)))
+          .write(SavedSearchesCompanion(userId: Value(toUserId)));
+      await (_db.update(_db.categorizationRules)
+            ..where((r) => r.userId.equals(fromUserId)))
+          .write(CategorizationRulesCompanion(userId: Value(toUserId)));
+
+      await _rekeyQueue(fromUserId, toUserId);
+
+      // Parents first, so the server receives referenced rows before
+      // the rows referencing them
+      final queue = SyncQueueLocalSource(_db, toUserId);
+      await _enqueueUploads(
+        queue,
+        SyncEntityType.category,
+        await (_db.select(_db.categories)
+              ..where((c) => c.userId.equals(toUserId)))
+            .get(),
+      );
+      await _enqueueUploads(
+        queue,
+        SyncEntityType.budget,
+        await (_db.select(_db.budgets)..where((b) => b.userId.equals(toUserId)))
+            .get(),
+      );
+      await _enqueueUploads(
+        queue,
+        SyncEntityType.allocation,
+        await (_db.select(_db.allocations)
+              ..where((a) => a.userId.equals(toUserId)))
+            .get(),
+      );
+      await _enqueueUploads(
+        queue,
+        SyncEntityType.transaction,
+        await (_db.select(_db.transactions)
+              ..where((t) => t.userId.equals(toUserId)))
+            .get(),
+      );
+
+      await (_db.delete(_db.syncCursors)
+            ..where((c) => c.userId.equals(fromUserId)))
+          .go();
+      await (_db.delete(_db.syncSnapshots)
+            ..where((s) => s.userId.equals(fromUserId)))
+          .go();
+      await (_db.delete(_db.syncConflicts)
+            ..where((c) => c.userId.equals(fromUserId)))
+          .go();
+
+      return migrated;
+    });
+  }
+
+  /// Delete every row of [userId] in every table
+  Future<void> deleteUserData(String userId) {
+    return _db.transaction(() async {
+      await (_db.delete(_db.transactions)
+            ..where((t) => t.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.allocations)
+            ..where((a) => a.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.budgets)..where((b) => b.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.categories)
+            ..where((c) => c.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.syncQueue)..where((q) => q.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.syncCursors)
+            ..where((c) => c.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.syncSnapshots)
+            ..where((s) => s.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.syncConflicts)
+            ..where((c) => c.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.recurrenceExceptions)
+            ..where((e) => e.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.recurringTransactions)
+            ..where((r) => r.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.budgetTemplateAllocations)
+            ..where((a) => a.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.budgetTemplates)
+            ..where((t) => t.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.exchangeRates)
+            ..where((r) => r.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.spendingPeriods)
+            ..where((p) => p.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.alertRules)
+            ..where((r) => r.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.alerts)..where((a) => a.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.alertMutes)
+            ..where((m) => m.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.searchHistory)
+            ..where((h) => h.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.savedSearches)
+            ..where((s) => s.userId.equals(userId)))
+          .go();
+      await (_db.delete(_db.categorizationRules)
+            ..where((r) => r.userId.equals(userId)))
+          .go();
+    });
+  }
+
+  /// Move queue entries to [toUserId], rewriting the payload's `userId`
+  Future<void> _rekeyQueue(String fromUserId, String toUserId) async {
+    final entries = await (_db.select(_db.syncQueue)
+          ..where((q) => q.userId.equals(fromUserId)))
+        .get();
+
+    for (final entry in entries) {
+      String payload;
+      try {
+        final json = jsonDecode(entry.payload) as Map<String, dynamic>;
+        payload = jsonEncode({...json, 'userId': toUserId});
+      } catch (_) {
+        payload = entry.payload; // Undecodable - dead-lettered on push anyway
+      }
+
+      await (_db.update(_db.syncQueue)..where((q) => q.id.equals(entry.id)))
+          .write(SyncQueueCompanion(
+            userId: Value(toUserId),
+            payload: Value(payload),
+          ));
+    }
+  }
+
+  /// Queue a create for each row that has no queued change yet
+  Future<void> _enqueueUploads(
+    SyncQueueLocalSource queue,
+    SyncEntityType entityType,
+    List<DataClass> rows,
+  ) async {
+    for (final row in rows) {
+      final json = row.toJson();
+      final id = json['id'] as String;
+      if (await queue.hasEntryFor(entityType.name, id)) continue;
+
+      await queue.enqueue(
+        entityType: entityType.name,
+        entityId: id,
+        operation: SyncOperation.create.name,
+        payload: jsonEncode(json),
+      );
+    }
+  }
+}
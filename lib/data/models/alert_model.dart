@@ -0,0 +1,67 @@
+import 'package:centabit/data/models/alert_rule_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'alert_model.freezed.dart';
+
+/// A budget alert fired by an [AlertRuleModel], listed in the alert inbox.
+///
+/// Names are copied when the alert fires, so the inbox still reads right
+/// after the budget, category or transaction was renamed or deleted.
+///
+/// **Dedupe**: [dedupeKey] identifies the rule and subject (e.g. the rule
+/// and the allocation). An alert with the same key never fires twice;
+/// dismissed alerts are only hidden so they keep their key.
+@freezed
+abstract class AlertModel with _$AlertModel {
+  const factory AlertModel({
+    required String id,
+
+    /// Rule that fired
+    required String ruleId,
+    required AlertRuleType type,
+
+    /// Rule + subject, unique per user
+    required String dedupeKey,
+
+    /// Budget concerned (null for a transaction outside any budget)
+    String? budgetId,
+    String? budgetName,
+
+    /// Name of the budget, category or transaction concerned
+    required String subject,
+
+    /// Measured BAR, percent, days left or amount
+    required double value,
+
+    /// Rule threshold when it fired
+    required double threshold,
+
+    /// ISO 4217 code of [value] and [threshold] for amounts
+    String? currencyCode,
+    required DateTime createdAt,
+    @Default(false) bool isRead,
+    @Default(false) bool isDismissed,
+  }) = _AlertModel;
+}
+
+/// Alerts of one budget snoozed until [mutedUntil], or muted until the
+/// user unmutes them ([mutedUntil] null).
+///
+/// Rules don't fire for the budget meanwhile; conditions still true
+/// afterwards fire then.
+@freezed
+abstract class AlertMuteModel with _$AlertMuteModel {
+  const factory AlertMuteModel({
+    required String budgetId,
+    DateTime? mutedUntil,
+  }) = _AlertMuteModel;
+}
+
+/// Extension methods for AlertMuteModel
+extension AlertMuteModelExtensions on AlertMuteModel {
+  /// Muted for good (not just snoozed)
+  bool get isMuted => mutedUntil == null;
+
+  /// Whether the budget's alerts are silenced at [now]
+  bool isActiveAt(DateTime now) => mutedUntil?.isAfter(now) ?? true;
+}
@@ -0,0 +1,581 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'alert_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$AlertModel {
+
+ String get id;/// Rule that fired
+ String get ruleId; AlertRuleType get type;/// Rule + subject, unique per user
+ String get dedupeKey;/// Budget concerned (null for a transaction outside any budget)
+ String? get budgetId; String? get budgetName;/// Name of the budget, category or transaction concerned
+ String get subject;/// Measured BAR, percent, days left or amount
+ double get value;/// Rule threshold when it fired
+ double get threshold;/// ISO 4217 code of [value] and [threshold] for amounts
+ String? get currencyCode; DateTime get createdAt; bool get isRead; bool get isDismissed;
+/// Create a copy of AlertModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$AlertModelCopyWith<AlertModel> get copyWith => _$AlertModelCopyWithImpl<AlertModel>(this as AlertModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is AlertModel&&(identical(other.id, id) || other.id == id)&&(identical(other.ruleId, ruleId) || other.ruleId == ruleId)&&(identical(other.type, type) || other.type == type)&&(identical(other.dedupeKey, dedupeKey) || other.dedupeKey == dedupeKey)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.budgetName, budgetName) || other.budgetName == budgetName)&&(identical(other.subject, subject) || other.subject == subject)&&(identical(other.value, value) || other.value == value)&&(identical(other.threshold, threshold) || other.threshold == threshold)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.isRead, isRead) || other.isRead == isRead)&&(identical(other.isDismissed, isDismissed) || other.isDismissed == isDismissed));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,ruleId,type,dedupeKey,budgetId,budgetName,subject,value,threshold,currencyCode,createdAt,isRead,isDismissed);
+
+@override
+String toString() {
+  return 'AlertModel(id: $id, ruleId: $ruleId, type: $type, dedupeKey: $dedupeKey, budgetId: $budgetId, budgetName: $budgetName, subject: $subject, value: $value, threshold: $threshold, currencyCode: $currencyCode, createdAt: $createdAt, isRead: $isRead, isDismissed: $isDismissed)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $AlertModelCopyWith<$Res>  {
+  factory $AlertModelCopyWith(AlertModel value, $Res Function(AlertModel) _then) = _$AlertModelCopyWithImpl;
+@useResult
+$Res call({
+ String id, String ruleId, AlertRuleType type, String dedupeKey, String? budgetId, String? budgetName, String subject, double value, double threshold, String? currencyCode, DateTime createdAt, bool isRead, bool isDismissed
+});
+
+
+
+
+}
+/// @nodoc
+class _$AlertModelCopyWithImpl<$Res>
+    implements $AlertModelCopyWith<$Res> {
+  _$AlertModelCopyWithImpl(this._self, this._then);
+
+  final AlertModel _self;
+  final $Res Function(AlertModel) _then;
+
+/// Create a copy of AlertModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? ruleId = null,Object? type = null,Object? dedupeKey = null,Object? budgetId = freezed,Object? budgetName = freezed,Object? subject = null,Object? value = null,Object? threshold = null,Object? currencyCode = freezed,Object? createdAt = null,Object? isRead = null,Object? isDismissed = null,}) {
+  return _then(_self.copyWith(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,ruleId: null == ruleId ? _self.ruleId : ruleId // ignore: cast_nullable_to_non_nullable
+as String,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as AlertRuleType,dedupeKey: null == dedupeKey ? _self.dedupeKey : dedupeKey // ignore: cast_nullable_to_non_nullable
+as String,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String?,budgetName: freezed == budgetName ? _self.budgetName : budgetName // ignore: cast_nullable_to_non_nullable
+as String?,subject: null == subject ? _self.subject : subject // ignore: cast_nullable_to_non_nullable
+as String,value: null == value ? _self.value : value // ignore: cast_nullable_to_non_nullable
+as double,threshold: null == threshold ? _self.threshold : threshold // ignore: cast_nullable_to_non_nullable
+as double,currencyCode: freezed == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String?,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,isRead: null == isRead ? _self.isRead : isRead // ignore: cast_nullable_to_non_nullable
+as bool,isDismissed: null == isDismissed ? _self.isDismissed : isDismissed // ignore: cast_nullable_to_non_nullable
+as bool,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [AlertModel].
+extension AlertModelPatterns on AlertModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _AlertModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _AlertModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _AlertModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _AlertModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _AlertModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _AlertModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  String ruleId,  AlertRuleType type,  String dedupeKey,  String? budgetId,  String? budgetName,  String subject,  double value,  double threshold,  String? currencyCode,  DateTime createdAt,  bool isRead,  bool isDismissed)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _AlertModel() when $default != null:
+return $default(_that.id,_that.ruleId,_that.type,_that.dedupeKey,_that.budgetId,_that.budgetName,_that.subject,_that.value,_that.threshold,_that.currencyCode,_that.createdAt,_that.isRead,_that.isDismissed);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  String ruleId,  AlertRuleType type,  String dedupeKey,  String? budgetId,  String? budgetName,  String subject,  double value,  double threshold,  String? currencyCode,  DateTime createdAt,  bool isRead,  bool isDismissed)  $default,) {final _that = this;
+switch (_that) {
+case _AlertModel():
+return $default(_that.id,_that.ruleId,_that.type,_that.dedupeKey,_that.budgetId,_that.budgetName,_that.subject,_that.value,_that.threshold,_that.currencyCode,_that.createdAt,_that.isRead,_that.isDismissed);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  String ruleId,  AlertRuleType type,  String dedupeKey,  String? budgetId,  String? budgetName,  String subject,  double value,  double threshold,  String? currencyCode,  DateTime createdAt,  bool isRead,  bool isDismissed)?  $default,) {final _that = this;
+switch (_that) {
+case _AlertModel() when $default != null:
+return $default(_that.id,_that.ruleId,_that.type,_that.dedupeKey,_that.budgetId,_that.budgetName,_that.subject,_that.value,_that.threshold,_that.currencyCode,_that.createdAt,_that.isRead,_that.isDismissed);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _AlertModel implements AlertModel {
+  const _AlertModel({required this.id, required this.ruleId, required this.type, required this.dedupeKey, this.budgetId, this.budgetName, required this.subject, required this.value, required this.threshold, this.currencyCode, required this.createdAt, this.isRead = false, this.isDismissed = false});
+  
+
+@override final  String id;
+/// Rule that fired
+@override final  String ruleId;
+@override final  AlertRuleType type;
+/// Rule + subject, unique per user
+@override final  String dedupeKey;
+/// Budget concerned (null for a transaction outside any budget)
+@override final  String? budgetId;
+@override final  String? budgetName;
+/// Name of the budget, category or transaction concerned
+@override final  String subject;
+/// Measured BAR, percent, days left or amount
+@override final  double value;
+/// Rule threshold when it fired
+@override final  double threshold;
+/// ISO 4217 code of [value] and [threshold] for amounts
+@override final  String? currencyCode;
+@override final  DateTime createdAt;
+@override@JsonKey() final  bool isRead;
+@override@JsonKey() final  bool isDismissed;
+
+/// Create a copy of AlertModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$AlertModelCopyWith<_AlertModel> get copyWith => __$AlertModelCopyWithImpl<_AlertModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _AlertModel&&(identical(other.id, id) || other.id == id)&&(identical(other.ruleId, ruleId) || other.ruleId == ruleId)&&(identical(other.type, type) || other.type == type)&&(identical(other.dedupeKey, dedupeKey) || other.dedupeKey == dedupeKey)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.budgetName, budgetName) || other.budgetName == budgetName)&&(identical(other.subject, subject) || other.subject == subject)&&(identical(other.value, value) || other.value == value)&&(identical(other.threshold, threshold) || other.threshold == threshold)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.isRead, isRead) || other.isRead == isRead)&&(identical(other.isDismissed, isDismissed) || other.isDismissed == isDismissed));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,ruleId,type,dedupeKey,budgetId,budgetName,subject,value,threshold,currencyCode,createdAt,isRead,isDismissed);
+
+@override
+String toString() {
+  return 'AlertModel(id: $id, ruleId: $ruleId, type: $type, dedupeKey: $dedupeKey, budgetId: $budgetId, budgetName: $budgetName, subject: $subject, value: $value, threshold: $threshold, currencyCode: $currencyCode, createdAt: $createdAt, isRead: $isRead, isDismissed: $isDismissed)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$AlertModelCopyWith<$Res> implements $AlertModelCopyWith<$Res> {
+  factory _$AlertModelCopyWith(_AlertModel value, $Res Function(_AlertModel) _then) = __$AlertModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String id, String ruleId, AlertRuleType type, String dedupeKey, String? budgetId, String? budgetName, String subject, double value, double threshold, String? currencyCode, DateTime createdAt, bool isRead, bool isDismissed
+});
+
+
+
+
+}
+/// @nodoc
+class __$AlertModelCopyWithImpl<$Res>
+    implements _$AlertModelCopyWith<$Res> {
+  __$AlertModelCopyWithImpl(this._self, this._then);
+
+  final _AlertModel _self;
+  final $Res Function(_AlertModel) _then;
+
+/// Create a copy of AlertModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? ruleId = null,Object? type = null,Object? dedupeKey = null,Object? budgetId = freezed,Object? budgetName = freezed,Object? subject = null,Object? value = null,Object? threshold = null,Object? currencyCode = freezed,Object? createdAt = null,Object? isRead = null,Object? isDismissed = null,}) {
+  return _then(_AlertModel(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,ruleId: null == ruleId ? _self.ruleId : ruleId // ignore: cast_nullable_to_non_nullable
+as String,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as AlertRuleType,dedupeKey: null == dedupeKey ? _self.dedupeKey : dedupeKey // ignore: cast_nullable_to_non_nullable
+as String,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String?,budgetName: freezed == budgetName ? _self.budgetName : budgetName // ignore: cast_nullable_to_non_nullable
+as String?,subject: null == subject ? _self.subject : subject // ignore: cast_nullable_to_non_nullable
+as String,value: null == value ? _self.value : value // ignore: cast_nullable_to_non_nullable
+as double,threshold: null == threshold ? _self.threshold : threshold // ignore: cast_nullable_to_non_nullable
+as double,currencyCode: freezed == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String?,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,isRead: null == isRead ? _self.isRead : isRead // ignore: cast_nullable_to_non_nullable
+as bool,isDismissed: null == isDismissed ? _self.isDismissed : isDismissed // ignore: cast_nullable_to_non_nullable
+as bool,
+  ));
+}
+
+
+}
+
+/// @nodoc
+mixin _$AlertMuteModel {
+
+ String get budgetId; DateTime? get mutedUntil;
+/// Create a copy of AlertMuteModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$AlertMuteModelCopyWith<AlertMuteModel> get copyWith => _$AlertMuteModelCopyWithImpl<AlertMuteModel>(this as AlertMuteModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is AlertMuteModel&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.mutedUntil, mutedUntil) || other.mutedUntil == mutedUntil));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,budgetId,mutedUntil);
+
+@override
+String toString() {
+  return 'AlertMuteModel(budgetId: $budgetId, mutedUntil: $mutedUntil)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $AlertMuteModelCopyWith<$Res>  {
+  factory $AlertMuteModelCopyWith(AlertMuteModel value, $Res Function(AlertMuteModel) _then) = _$AlertMuteModelCopyWithImpl;
+@useResult
+$Res call({
+ String budgetId, DateTime? mutedUntil
+});
+
+
+
+
+}
+/// @nodoc
+class _$AlertMuteModelCopyWithImpl<$Res>
+    implements $AlertMuteModelCopyWith<$Res> {
+  _$AlertMuteModelCopyWithImpl(this._self, this._then);
+
+  final AlertMuteModel _self;
+  final $Res Function(AlertMuteModel) _then;
+
+/// Create a copy of AlertMuteModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? budgetId = null,Object? mutedUntil = freezed,}) {
+  return _then(_self.copyWith(
+budgetId: null == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String,mutedUntil: freezed == mutedUntil ? _self.mutedUntil : mutedUntil // ignore: cast_nullable_to_non_nullable
+as DateTime?,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [AlertMuteModel].
+extension AlertMuteModelPatterns on AlertMuteModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _AlertMuteModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _AlertMuteModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _AlertMuteModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _AlertMuteModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _AlertMuteModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _AlertMuteModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String budgetId,  DateTime? mutedUntil)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _AlertMuteModel() when $default != null:
+return $default(_that.budgetId,_that.mutedUntil);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String budgetId,  DateTime? mutedUntil)  $default,) {final _that = this;
+switch (_that) {
+case _AlertMuteModel():
+return $default(_that.budgetId,_that.mutedUntil);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String budgetId,  DateTime? mutedUntil)?  $default,) {final _that = this;
+switch (_that) {
+case _AlertMuteModel() when $default != null:
+return $default(_that.budgetId,_that.mutedUntil);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _AlertMuteModel implements AlertMuteModel {
+  const _AlertMuteModel({required this.budgetId, this.mutedUntil});
+  
+
+@override final  String budgetId;
+@override final  DateTime? mutedUntil;
+
+/// Create a copy of AlertMuteModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$AlertMuteModelCopyWith<_AlertMuteModel> get copyWith => __$AlertMuteModelCopyWithImpl<_AlertMuteModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _AlertMuteModel&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.mutedUntil, mutedUntil) || other.mutedUntil == mutedUntil));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,budgetId,mutedUntil);
+
+@override
+String toString() {
+  return 'AlertMuteModel(budgetId: $budgetId, mutedUntil: $mutedUntil)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$AlertMuteModelCopyWith<$Res> implements $AlertMuteModelCopyWith<$Res> {
+  factory _$AlertMuteModelCopyWith(_AlertMuteModel value, $Res Function(_AlertMuteModel) _then) = __$AlertMuteModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String budgetId, DateTime? mutedUntil
+});
+
+
+
+
+}
+/// @nodoc
+class __$AlertMuteModelCopyWithImpl<$Res>
+    implements _$AlertMuteModelCopyWith<$Res> {
+  __$AlertMuteModelCopyWithImpl(this._self, this._then);
+
+  final _AlertMuteModel _self;
+  final $Res Function(_AlertMuteModel) _then;
+
+/// Create a copy of AlertMuteModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? budgetId = null,Object? mutedUntil = freezed,}) {
+  return _then(_AlertMuteModel(
+budgetId: null == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String,mutedUntil: freezed == mutedUntil ? _self.mutedUntil : mutedUntil // ignore: cast_nullable_to_non_nullable
+as DateTime?,
+  ));
+}
+
+
+}
+
+// dart format on
@@ -0,0 +1,79 @@
+import 'package:freezed_annotation/freezed_annotation.dart';
+import 'package:uuid/uuid.dart';
+
+part 'alert_rule_model.freezed.dart';
+
+/// What a budget alert rule watches; [AlertRuleModel.threshold] is read
+/// per type
+enum AlertRuleType {
+  /// A running budget's BAR is above the threshold (e.g. 1.2)
+  barAbove,
+
+  /// A category has used more than threshold percent of its allocation
+  /// (e.g. 90)
+  allocationOverPercent,
+
+  /// A running budget ends in threshold days or fewer (e.g. 3)
+  budgetEndingSoon,
+
+  /// A single expense of at least threshold, in the default currency
+  /// (e.g. 500)
+  largeTransaction,
+}
+
+/// Extension methods for AlertRuleType
+extension AlertRuleTypeExtensions on AlertRuleType {
+  /// Threshold a new rule of this type starts with
+  double get defaultThreshold => switch (this) {
+        AlertRuleType.barAbove => 1.2,
+        AlertRuleType.allocationOverPercent => 90,
+        AlertRuleType.budgetEndingSoon => 3,
+        AlertRuleType.largeTransaction => 500,
+      };
+}
+
+/// A user-configured condition that fires budget alerts.
+///
+/// Evaluated by `AlertRuleEngine` each time transactions change. A rule
+/// fires at most once per subject (budget, allocation or transaction):
+/// see `AlertModel.dedupeKey`. Rules are device-local (not synced).
+///
+/// **Example**:
+/// ```dart
+/// final rule = AlertRuleModel.create(
+///   type: AlertRuleType.allocationOverPercent,
+///   threshold: 100,
+/// );
+/// ```
+@freezed
+abstract class AlertRuleModel with _$AlertRuleModel {
+  const factory AlertRuleModel({
+    required String id,
+    required AlertRuleType type,
+
+    /// BAR, percent, days or amount, depending on [type]
+    required double threshold,
+
+    /// Disabled rules are kept but never fire
+    @Default(true) bool isEnabled,
+    required DateTime createdAt,
+    required DateTime updatedAt,
+  }) = _AlertRuleModel;
+
+  /// Creates a new rule with auto-generated ID and timestamps.
+  ///
+  /// [threshold] defaults to the type's `defaultThreshold`.
+  factory AlertRuleModel.create({
+    required AlertRuleType type,
+    double? threshold,
+  }) {
+    final now = DateTime.now();
+    return AlertRuleModel(
+      id: const Uuid().v4(),
+      type: type,
+      threshold: threshold ?? type.defaultThreshold,
+      createdAt: now,
+      updatedAt: now,
+    );
+  }
+}
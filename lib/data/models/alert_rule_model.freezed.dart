@@ -0,0 +1,290 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'alert_rule_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$AlertRuleModel {
+
+ String get id; AlertRuleType get type;/// BAR, percent, days or amount, depending on [type]
+ double get threshold;/// Disabled rules are kept but never fire
+ bool get isEnabled; DateTime get createdAt; DateTime get updatedAt;
+/// Create a copy of AlertRuleModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$AlertRuleModelCopyWith<AlertRuleModel> get copyWith => _$AlertRuleModelCopyWithImpl<AlertRuleModel>(this as AlertRuleModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is AlertRuleModel&&(identical(other.id, id) || other.id == id)&&(identical(other.type, type) || other.type == type)&&(identical(other.threshold, threshold) || other.threshold == threshold)&&(identical(other.isEnabled, isEnabled) || other.isEnabled == isEnabled)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,type,threshold,isEnabled,createdAt,updatedAt);
+
+@override
+String toString() {
+  return 'AlertRuleModel(id: $id, type: $type, threshold: $threshold, isEnabled: $isEnabled, createdAt: $createdAt, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $AlertRuleModelCopyWith<$Res>  {
+  factory $AlertRuleModelCopyWith(AlertRuleModel value, $Res Function(AlertRuleModel) _then) = _$AlertRuleModelCopyWithImpl;
+@useResult
+$Res call({
+ String id, AlertRuleType type, double threshold, bool isEnabled, DateTime createdAt, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class _$AlertRuleModelCopyWithImpl<$Res>
+    implements $AlertRuleModelCopyWith<$Res> {
+  _$AlertRuleModelCopyWithImpl(this._self, this._then);
+
+  final AlertRuleModel _self;
+  final $Res Function(AlertRuleModel) _then;
+
+/// Create a copy of AlertRuleModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? type = null,Object? threshold = null,Object? isEnabled = null,Object? createdAt = null,Object? updatedAt = null,}) {
+  return _then(_self.copyWith(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as AlertRuleType,threshold: null == threshold ? _self.threshold : threshold // ignore: cast_nullable_to_non_nullable
+as double,isEnabled: null == isEnabled ? _self.isEnabled : isEnabled // ignore: cast_nullable_to_non_nullable
+as bool,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [AlertRuleModel].
+extension AlertRuleModelPatterns on AlertRuleModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _AlertRuleModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _AlertRuleModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _AlertRuleModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _AlertRuleModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _AlertRuleModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _AlertRuleModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  AlertRuleType type,  double threshold,  bool isEnabled,  DateTime createdAt,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _AlertRuleModel() when $default != null:
+return $default(_that.id,_that.type,_that.threshold,_that.isEnabled,_that.createdAt,_that.updatedAt);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  AlertRuleType type,  double threshold,  bool isEnabled,  DateTime createdAt,  DateTime updatedAt)  $default,) {final _that = this;
+switch (_that) {
+case _AlertRuleModel():
+return $default(_that.id,_that.type,_that.threshold,_that.isEnabled,_that.createdAt,_that.updatedAt);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  AlertRuleType type,  double threshold,  bool isEnabled,  DateTime createdAt,  DateTime updatedAt)?  $default,) {final _that = this;
+switch (_that) {
+case _AlertRuleModel() when $default != null:
+return $default(_that.id,_that.type,_that.threshold,_that.isEnabled,_that.createdAt,_that.updatedAt);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _AlertRuleModel implements AlertRuleModel {
+  const _AlertRuleModel({required this.id, required this.type, required this.threshold, this.isEnabled = true, required this.createdAt, required this.updatedAt});
+  
+
+@override final  String id;
+@override final  AlertRuleType type;
+/// BAR, percent, days or amount, depending on [type]
+@override final  double threshold;
+/// Disabled rules are kept but never fire
+@override@JsonKey() final  bool isEnabled;
+@override final  DateTime createdAt;
+@override final  DateTime updatedAt;
+
+/// Create a copy of AlertRuleModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$AlertRuleModelCopyWith<_AlertRuleModel> get copyWith => __$AlertRuleModelCopyWithImpl<_AlertRuleModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _AlertRuleModel&&(identical(other.id, id) || other.id == id)&&(identical(other.type, type) || other.type == type)&&(identical(other.threshold, threshold) || other.threshold == threshold)&&(identical(other.isEnabled, isEnabled) || other.isEnabled == isEnabled)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,type,threshold,isEnabled,createdAt,updatedAt);
+
+@override
+String toString() {
+  return 'AlertRuleModel(id: $id, type: $type, threshold: $threshold, isEnabled: $isEnabled, createdAt: $createdAt, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$AlertRuleModelCopyWith<$Res> implements $AlertRuleModelCopyWith<$Res> {
+  factory _$AlertRuleModelCopyWith(_AlertRuleModel value, $Res Function(_AlertRuleModel) _then) = __$AlertRuleModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String id, AlertRuleType type, double threshold, bool isEnabled, DateTime createdAt, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class __$AlertRuleModelCopyWithImpl<$Res>
+    implements _$AlertRuleModelCopyWith<$Res> {
+  __$AlertRuleModelCopyWithImpl(this._self, this._then);
+
+  final _AlertRuleModel _self;
+  final $Res Function(_AlertRuleModel) _then;
+
+/// Create a copy of AlertRuleModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? type = null,Object? threshold = null,Object? isEnabled = null,Object? createdAt = null,Object? updatedAt = null,}) {
+  return _then(_AlertRuleModel(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as AlertRuleType,threshold: null == threshold ? _self.threshold : threshold // ignore: cast_nullable_to_non_nullable
+as double,isEnabled: null == isEnabled ? _self.isEnabled : isEnabled // ignore: cast_nullable_to_non_nullable
+as bool,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+
+}
+
+// dart format on
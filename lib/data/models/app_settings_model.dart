@@ -0,0 +1,65 @@
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:flutter/material.dart' show ThemeMode;
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'app_settings_model.freezed.dart';
+part 'app_settings_model.g.dart';
+
+/// Display and input preferences of this device
+///
+/// Stored as JSON in SharedPreferences by `SettingsRepository` and shared
+/// by all profiles (the default currency is per profile, see
+/// `ExchangeRateRepository`). Every field has a default, so settings saved
+/// by an older build load with the new fields at their defaults.
+///
+/// **Example**:
+/// ```dart
+/// final european = const AppSettingsModel().copyWith(
+///   currencyPlacement: CurrencyPlacement.after,
+///   decimalStyle: DecimalStyle.commaDecimal,
+///   dateStyle: DateStyle.dayMonthYear,
+///   use24HourTime: true,
+///   languageCode: 'fr',
+/// );
+/// ```
+@freezed
+abstract class AppSettingsModel with _$AppSettingsModel {
+  const factory AppSettingsModel({
+    /// Show "€" or "EUR" next to amounts
+    @Default(CurrencyDisplay.symbol) CurrencyDisplay currencyDisplay,
+
+    /// Currency before ("€12.50") or after ("12.50 €") the amount
+    @Default(CurrencyPlacement.before) CurrencyPlacement currencyPlacement,
+
+    /// Thousands and decimal separators
+    @Default(DecimalStyle.locale) DecimalStyle decimalStyle,
+
+    /// [DateTime.monday] … [DateTime.sunday]
+    @Default(DateTime.monday) int firstDayOfWeek,
+
+    /// Order of day, month and year
+    @Default(DateStyle.locale) DateStyle dateStyle,
+
+    /// "14:30" instead of "02:30 PM"
+    @Default(false) bool use24HourTime,
+
+    @Default(ThemeMode.system) ThemeMode themeMode,
+
+    /// Language of the app ("es", "ar", …), null to follow the device
+    String? languageCode,
+
+    /// Type preselected in the new transaction form
+    @Default(TransactionType.debit) TransactionType defaultTransactionType,
+
+    /// Days deleted records stay in the trash before being purged
+    @Default(30) int trashRetentionDays,
+  }) = _AppSettingsModel;
+
+  factory AppSettingsModel.fromJson(Map<String, dynamic> json) =>
+      _$AppSettingsModelFromJson(json);
+
+  /// Values offered for [trashRetentionDays]
+  static const List<int> trashRetentionChoices = [7, 14, 30, 90];
+}
@@ -0,0 +1,322 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'app_settings_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+
+/// @nodoc
+mixin _$AppSettingsModel {
+
+/// Show "€" or "EUR" next to amounts
+ CurrencyDisplay get currencyDisplay;/// Currency before ("€12.50") or after ("12.50 €") the amount
+ CurrencyPlacement get currencyPlacement;/// Thousands and decimal separators
+ DecimalStyle get decimalStyle;/// [DateTime.monday] … [DateTime.sunday]
+ int get firstDayOfWeek;/// Order of day, month and year
+ DateStyle get dateStyle;/// "14:30" instead of "02:30 PM"
+ bool get use24HourTime; ThemeMode get themeMode;/// Language of the app ("es", "ar", …), null to follow the device
+ String? get languageCode;/// Type preselected in the new transaction form
+ TransactionType get defaultTransactionType;/// Days deleted records stay in the trash before being purged
+ int get trashRetentionDays;
+/// Create a copy of AppSettingsModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$AppSettingsModelCopyWith<AppSettingsModel> get copyWith => _$AppSettingsModelCopyWithImpl<AppSettingsModel>(this as AppSettingsModel, _$identity);
+
+  /// Serializes this AppSettingsModel to a JSON map.
+  Map<String, dynamic> toJson();
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is AppSettingsModel&&(identical(other.currencyDisplay, currencyDisplay) || other.currencyDisplay == currencyDisplay)&&(identical(other.currencyPlacement, currencyPlacement) || other.currencyPlacement == currencyPlacement)&&(identical(other.decimalStyle, decimalStyle) || other.decimalStyle == decimalStyle)&&(identical(other.firstDayOfWeek, firstDayOfWeek) || other.firstDayOfWeek == firstDayOfWeek)&&(identical(other.dateStyle, dateStyle) || other.dateStyle == dateStyle)&&(identical(other.use24HourTime, use24HourTime) || other.use24HourTime == use24HourTime)&&(identical(other.themeMode, themeMode) || other.themeMode == themeMode)&&(identical(other.languageCode, languageCode) || other.languageCode == languageCode)&&(identical(other.defaultTransactionType, defaultTransactionType) || other.defaultTransactionType == defaultTransactionType)&&(identical(other.trashRetentionDays, trashRetentionDays) || other.trashRetentionDays == trashRetentionDays));
+}
+
+@JsonKey(includeFromJson: false, includeToJson: false)
+@override
+int get hashCode => Object.hash(runtimeType,currencyDisplay,currencyPlacement,decimalStyle,firstDayOfWeek,dateStyle,use24HourTime,themeMode,languageCode,defaultTransactionType,trashRetentionDays);
+
+@override
+String toString() {
+  return 'AppSettingsModel(currencyDisplay: $currencyDisplay, currencyPlacement: $currencyPlacement, decimalStyle: $decimalStyle, firstDayOfWeek: $firstDayOfWeek, dateStyle: $dateStyle, use24HourTime: $use24HourTime, themeMode: $themeMode, languageCode: $languageCode, defaultTransactionType: $defaultTransactionType, trashRetentionDays: $trashRetentionDays)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $AppSettingsModelCopyWith<$Res>  {
+  factory $AppSettingsModelCopyWith(AppSettingsModel value, $Res Function(AppSettingsModel) _then) = _$AppSettingsModelCopyWithImpl;
+@useResult
+$Res call({
+ CurrencyDisplay currencyDisplay, CurrencyPlacement currencyPlacement, DecimalStyle decimalStyle, int firstDayOfWeek, DateStyle dateStyle, bool use24HourTime, ThemeMode themeMode, String? languageCode, TransactionType defaultTransactionType, int trashRetentionDays
+});
+
+
+
+
+}
+/// @nodoc
+class _$AppSettingsModelCopyWithImpl<$Res>
+    implements $AppSettingsModelCopyWith<$Res> {
+  _$AppSettingsModelCopyWithImpl(this._self, this._then);
+
+  final AppSettingsModel _self;
+  final $Res Function(AppSettingsModel) _then;
+
+/// Create a copy of AppSettingsModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? currencyDisplay = null,Object? currencyPlacement = null,Object? decimalStyle = null,Object? firstDayOfWeek = null,Object? dateStyle = null,Object? use24HourTime = null,Object? themeMode = null,Object? languageCode = freezed,Object? defaultTransactionType = null,Object? trashRetentionDays = null,}) {
+  return _then(_self.copyWith(
+currencyDisplay: null == currencyDisplay ? _self.currencyDisplay : currencyDisplay // ignore: cast_nullable_to_non_nullable
+as CurrencyDisplay,currencyPlacement: null == currencyPlacement ? _self.currencyPlacement : currencyPlacement // ignore: cast_nullable_to_non_nullable
+as CurrencyPlacement,decimalStyle: null == decimalStyle ? _self.decimalStyle : decimalStyle // ignore: cast_nullable_to_non_nullable
+as DecimalStyle,firstDayOfWeek: null == firstDayOfWeek ? _self.firstDayOfWeek : firstDayOfWeek // ignore: cast_nullable_to_non_nullable
+as int,dateStyle: null == dateStyle ? _self.dateStyle : dateStyle // ignore: cast_nullable_to_non_nullable
+as DateStyle,use24HourTime: null == use24HourTime ? _self.use24HourTime : use24HourTime // ignore: cast_nullable_to_non_nullable
+as bool,themeMode: null == themeMode ? _self.themeMode : themeMode // ignore: cast_nullable_to_non_nullable
+as ThemeMode,languageCode: freezed == languageCode ? _self.languageCode : languageCode // ignore: cast_nullable_to_non_nullable
+as String?,defaultTransactionType: null == defaultTransactionType ? _self.defaultTransactionType : defaultTransactionType // ignore: cast_nullable_to_non_nullable
+as TransactionType,trashRetentionDays: null == trashRetentionDays ? _self.trashRetentionDays : trashRetentionDays // ignore: cast_nullable_to_non_nullable
+as int,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [AppSettingsModel].
+extension AppSettingsModelPatterns on AppSettingsModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _AppSettingsModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _AppSettingsModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _AppSettingsModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _AppSettingsModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _AppSettingsModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _AppSettingsModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( CurrencyDisplay currencyDisplay,  CurrencyPlacement currencyPlacement,  DecimalStyle decimalStyle,  int firstDayOfWeek,  DateStyle dateStyle,  bool use24HourTime,  ThemeMode themeMode,  String? languageCode,  TransactionType defaultTransactionType,  int trashRetentionDays)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _AppSettingsModel() when $default != null:
+return $default(_that.currencyDisplay,_that.currencyPlacement,_that.decimalStyle,_that.firstDayOfWeek,_that.dateStyle,_that.use24HourTime,_that.themeMode,_that.languageCode,_that.defaultTransactionType,_that.trashRetentionDays);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( CurrencyDisplay currencyDisplay,  CurrencyPlacement currencyPlacement,  DecimalStyle decimalStyle,  int firstDayOfWeek,  DateStyle dateStyle,  bool use24HourTime,  ThemeMode themeMode,  String? languageCode,  TransactionType defaultTransactionType,  int trashRetentionDays)  $default,) {final _that = this;
+switch (_that) {
+case _AppSettingsModel():
+return $default(_that.currencyDisplay,_that.currencyPlacement,_that.decimalStyle,_that.firstDayOfWeek,_that.dateStyle,_that.use24HourTime,_that.themeMode,_that.languageCode,_that.defaultTransactionType,_that.trashRetentionDays);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( CurrencyDisplay currencyDisplay,  CurrencyPlacement currencyPlacement,  DecimalStyle decimalStyle,  int firstDayOfWeek,  DateStyle dateStyle,  bool use24HourTime,  ThemeMode themeMode,  String? languageCode,  TransactionType defaultTransactionType,  int trashRetentionDays)?  $default,) {final _that = this;
+switch (_that) {
+case _AppSettingsModel() when $default != null:
+return $default(_that.currencyDisplay,_that.currencyPlacement,_that.decimalStyle,_that.firstDayOfWeek,_that.dateStyle,_that.use24HourTime,_that.themeMode,_that.languageCode,_that.defaultTransactionType,_that.trashRetentionDays);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+@JsonSerializable()
+
+class _AppSettingsModel implements AppSettingsModel {
+  const _AppSettingsModel({this.currencyDisplay = CurrencyDisplay.symbol, this.currencyPlacement = CurrencyPlacement.before, this.decimalStyle = DecimalStyle.locale, this.firstDayOfWeek = DateTime.monday, this.dateStyle = DateStyle.locale, this.use24HourTime = false, this.themeMode = ThemeMode.system, this.languageCode, this.defaultTransactionType = TransactionType.debit, this.trashRetentionDays = 30});
+  factory _AppSettingsModel.fromJson(Map<String, dynamic> json) => _$AppSettingsModelFromJson(json);
+
+/// Show "€" or "EUR" next to amounts
+@override@JsonKey() final  CurrencyDisplay currencyDisplay;
+/// Currency before ("€12.50") or after ("12.50 €") the amount
+@override@JsonKey() final  CurrencyPlacement currencyPlacement;
+/// Thousands and decimal separators
+@override@JsonKey() final  DecimalStyle decimalStyle;
+/// [DateTime.monday] … [DateTime.sunday]
+@override@JsonKey() final  int firstDayOfWeek;
+/// Order of day, month and year
+@override@JsonKey() final  DateStyle dateStyle;
+/// "14:30" instead of "02:30 PM"
+@override@JsonKey() final  bool use24HourTime;
+@override@JsonKey() final  ThemeMode themeMode;
+/// Language of the app ("es", "ar", …), null to follow the device
+@override final  String? languageCode;
+/// Type preselected in the new transaction form
+@override@JsonKey() final  TransactionType defaultTransactionType;
+/// Days deleted records stay in the trash before being purged
+@override@JsonKey() final  int trashRetentionDays;
+
+/// Create a copy of AppSettingsModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$AppSettingsModelCopyWith<_AppSettingsModel> get copyWith => __$AppSettingsModelCopyWithImpl<_AppSettingsModel>(this, _$identity);
+
+@override
+Map<String, dynamic> toJson() {
+  return _$AppSettingsModelToJson(this, );
+}
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _AppSettingsModel&&(identical(other.currencyDisplay, currencyDisplay) || other.currencyDisplay == currencyDisplay)&&(identical(other.currencyPlacement, currencyPlacement) || other.currencyPlacement == currencyPlacement)&&(identical(other.decimalStyle, decimalStyle) || other.decimalStyle == decimalStyle)&&(identical(other.firstDayOfWeek, firstDayOfWeek) || other.firstDayOfWeek == firstDayOfWeek)&&(identical(other.dateStyle, dateStyle) || other.dateStyle == dateStyle)&&(identical(other.use24HourTime, use24HourTime) || other.use24HourTime == use24HourTime)&&(identical(other.themeMode, themeMode) || other.themeMode == themeMode)&&(identical(other.languageCode, languageCode) || other.languageCode == languageCode)&&(identical(other.defaultTransactionType, defaultTransactionType) || other.defaultTransactionType == defaultTransactionType)&&(identical(other.trashRetentionDays, trashRetentionDays) || other.trashRetentionDays == trashRetentionDays));
+}
+
+@JsonKey(includeFromJson: false, includeToJson: false)
+@override
+int get hashCode => Object.hash(runtimeType,currencyDisplay,currencyPlacement,decimalStyle,firstDayOfWeek,dateStyle,use24HourTime,themeMode,languageCode,defaultTransactionType,trashRetentionDays);
+
+@override
+String toString() {
+  return 'AppSettingsModel(currencyDisplay: $currencyDisplay, currencyPlacement: $currencyPlacement, decimalStyle: $decimalStyle, firstDayOfWeek: $firstDayOfWeek, dateStyle: $dateStyle, use24HourTime: $use24HourTime, themeMode: $themeMode, languageCode: $languageCode, defaultTransactionType: $defaultTransactionType, trashRetentionDays: $trashRetentionDays)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$AppSettingsModelCopyWith<$Res> implements $AppSettingsModelCopyWith<$Res> {
+  factory _$AppSettingsModelCopyWith(_AppSettingsModel value, $Res Function(_AppSettingsModel) _then) = __$AppSettingsModelCopyWithImpl;
+@override @useResult
+$Res call({
+ CurrencyDisplay currencyDisplay, CurrencyPlacement currencyPlacement, DecimalStyle decimalStyle, int firstDayOfWeek, DateStyle dateStyle, bool use24HourTime, ThemeMode themeMode, String? languageCode, TransactionType defaultTransactionType, int trashRetentionDays
+});
+
+
+
+
+}
+/// @nodoc
+class __$AppSettingsModelCopyWithImpl<$Res>
+    implements _$AppSettingsModelCopyWith<$Res> {
+  __$AppSettingsModelCopyWithImpl(this._self, this._then);
+
+  final _AppSettingsModel _self;
+  final $Res Function(_AppSettingsModel) _then;
+
+/// Create a copy of AppSettingsModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? currencyDisplay = null,Object? currencyPlacement = null,Object? decimalStyle = null,Object? firstDayOfWeek = null,Object? dateStyle = null,Object? use24HourTime = null,Object? themeMode = null,Object? languageCode = freezed,Object? defaultTransactionType = null,Object? trashRetentionDays = null,}) {
+  return _then(_AppSettingsModel(
+currencyDisplay: null == currencyDisplay ? _self.currencyDisplay : currencyDisplay // ignore: cast_nullable_to_non_nullable
+as CurrencyDisplay,currencyPlacement: null == currencyPlacement ? _self.currencyPlacement : currencyPlacement // ignore: cast_nullable_to_non_nullable
+as CurrencyPlacement,decimalStyle: null == decimalStyle ? _self.decimalStyle : decimalStyle // ignore: cast_nullable_to_non_nullable
+as DecimalStyle,firstDayOfWeek: null == firstDayOfWeek ? _self.firstDayOfWeek : firstDayOfWeek // ignore: cast_nullable_to_non_nullable
+as int,dateStyle: null == dateStyle ? _self.dateStyle : dateStyle // ignore: cast_nullable_to_non_nullable
+as DateStyle,use24HourTime: null == use24HourTime ? _self.use24HourTime : use24HourTime // ignore: cast_nullable_to_non_nullable
+as bool,themeMode: null == themeMode ? _self.themeMode : themeMode // ignore: cast_nullable_to_non_nullable
+as ThemeMode,languageCode: freezed == languageCode ? _self.languageCode : languageCode // ignore: cast_nullable_to_non_nullable
+as String?,defaultTransactionType: null == defaultTransactionType ? _self.defaultTransactionType : defaultTransactionType // ignore: cast_nullable_to_non_nullable
+as TransactionType,trashRetentionDays: null == trashRetentionDays ? _self.trashRetentionDays : trashRetentionDays // ignore: cast_nullable_to_non_nullable
+as int,
+  ));
+}
+
+
+}
+
+// dart format on
@@ -0,0 +1,84 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+
+part of 'app_settings_model.dart';
+
+// **************************************************************************
+// JsonSerializableGenerator
+// **************************************************************************
+
+_AppSettingsModel _$AppSettingsModelFromJson(Map<String, dynamic> json) =>
+    _AppSettingsModel(
+      currencyDisplay:
+          $enumDecodeNullable(_$CurrencyDisplayEnumMap, json['currencyDisplay']) ??
+          CurrencyDisplay.symbol,
+      currencyPlacement:
+          $enumDecodeNullable(_$CurrencyPlacementEnumMap, json['currencyPlacement']) ?? CurrencyPlacement.before,
+      decimalStyle:
+          $enumDecodeNullable(_$DecimalStyleEnumMap, json['decimalStyle']) ??
+          DecimalStyle.locale,
+      firstDayOfWeek:
+          (json['firstDayOfWeek'] as num?)?.toInt() ??
+          DateTime.monday,
+      dateStyle:
+          $enumDecodeNullable(_$DateStyleEnumMap, json['dateStyle']) ??
+          DateStyle.locale,
+      use24HourTime: json['use24HourTime'] as bool? ?? false,
+      themeMode:
+          $enumDecodeNullable(_$ThemeModeEnumMap, json['themeMode']) ??
+          ThemeMode.system,
+      languageCode: json['languageCode'] as String?,
+      defaultTransactionType:
+          $enumDecodeNullable(_$TransactionTypeEnumMap, json['defaultTransactionType']) ?? TransactionType.debit,
+      trashRetentionDays: (json['trashRetentionDays'] as num?)?.toInt() ?? 30,
+    );
+
+Map<String, dynamic> _$AppSettingsModelToJson(_AppSettingsModel instance) =>
+    <String, dynamic>{
+      'currencyDisplay': _$CurrencyDisplayEnumMap[instance.currencyDisplay]!,
+      'currencyPlacement':
+          _$CurrencyPlacementEnumMap[instance.currencyPlacement]!,
+      'decimalStyle': _$DecimalStyleEnumMap[instance.decimalStyle]!,
+      'firstDayOfWeek': instance.firstDayOfWeek,
+      'dateStyle': _$DateStyleEnumMap[instance.dateStyle]!,
+      'use24HourTime': instance.use24HourTime,
+      'themeMode': _$ThemeModeEnumMap[instance.themeMode]!,
+      'languageCode': instance.languageCode,
+      'defaultTransactionType':
+          _$TransactionTypeEnumMap[instance.defaultTransactionType]!,
+      'trashRetentionDays': instance.trashRetentionDays,
+    };
+
+const _$CurrencyDisplayEnumMap = {
+  CurrencyDisplay.symbol: 'symbol',
+  CurrencyDisplay.code: 'code',
+};
+
+const _$CurrencyPlacementEnumMap = {
+  CurrencyPlacement.before: 'before',
+  CurrencyPlacement.after: 'after',
+};
+
+const _$DecimalStyleEnumMap = {
+  DecimalStyle.locale: 'locale',
+  DecimalStyle.pointDecimal: 'pointDecimal',
+  DecimalStyle.commaDecimal: 'commaDecimal',
+  DecimalStyle.spaceComma: 'spaceComma',
+};
+
+const _$DateStyleEnumMap = {
+  DateStyle.locale: 'locale',
+  DateStyle.monthDayYear: 'monthDayYear',
+  DateStyle.dayMonthYear: 'dayMonthYear',
+  DateStyle.yearMonthDay: 'yearMonthDay',
+};
+
+const _$ThemeModeEnumMap = {
+  ThemeMode.system: 'system',
+  ThemeMode.light: 'light',
+  ThemeMode.dark: 'dark',
+};
+
+const _$TransactionTypeEnumMap = {
+  TransactionType.credit: 'credit',
+  TransactionType.debit: 'debit',
+};
@@ -48,6 +48,12 @@ abstract class BudgetModel with _$BudgetModel {
     /// The sum of allocations may be less than this amount (unallocated funds).
     required double amount,
 
+    /// Base currency (ISO 4217 code) of [amount]
+    ///
+    /// Transactions in other currencies are converted into it for totals
+    /// and BAR, using the user's exchange rates.
+    @Default('USD') String currencyCode,
+
     /// Budget period start date (inclusive)
     ///
     /// Used in BAR calculation to determine time elapsed.
@@ -89,12 +95,14 @@ abstract class BudgetModel with _$BudgetModel {
     required double amount,
     required DateTime startDate,
     required DateTime endDate,
+    String currencyCode = 'USD',
   }) {
     final now = DateTime.now();
     return BudgetModel(
       id: const Uuid().v4(),
       name: name,
       amount: amount,
+      currencyCode: currencyCode,
       startDate: startDate,
       endDate: endDate,
       createdAt: now,
@@ -161,6 +169,63 @@ extension BudgetModelExtensions on BudgetModel {
     }
   }
 
+  /// Calculates the period that directly follows this budget's period.
+  ///
+  /// Budgets covering whole calendar months (start on the 1st, end on the
+  /// last day of a month) move by the same number of months, so a January
+  /// budget rolls over into all of February. Any other period moves by its
+  /// [totalDays]. Times of day are kept.
+  ///
+  /// **Example**:
+  /// ```dart
+  /// final next = budget.nextPeriod();
+  /// // Jan 1 - Jan 31 → Feb 1 - Feb 28
+  /// // Mar 3 - Mar 16 → Mar 17 - Mar 30
+  /// ```
+  ({DateTime startDate, DateTime endDate}) nextPeriod() {
+    final coversWholeMonths = startDate.day == 1 &&
+        DateTime(endDate.year, endDate.month, endDate.day + 1).day == 1;
+
+    if (coversWholeMonths) {
+      final months = (endDate.year - startDate.year) * 12 +
+          endDate.month -
+          startDate.month +
+          1;
+      return (
+        startDate: _shift(startDate, months: months),
+        endDate: _shift(
+          DateTime(endDate.year, endDate.month + months + 1, 0),
+          timeOf: endDate,
+        ),
+      );
+    }
+
+    final days = totalDays();
+    return (
+      startDate: _shift(startDate, days: days),
+      endDate: _shift(endDate, days: days),
+    );
+  }
+
+  /// [date] moved by [months]/[days] (calendar-based, DST safe), with the
+  /// time of day of [timeOf] (defaults to [date])
+  static DateTime _shift(
+    DateTime date, {
+    int months = 0,
+    int days = 0,
+    DateTime? timeOf,
+  }) {
+    final time = timeOf ?? date;
+    return DateTime(
+      date.year,
+      date.month + months,
+      date.day + days,
+      time.hour,
+      time.minute,
+      time.second,
+    );
+  }
+
   /// Returns a copy of this budget with updated timestamp.
   ///
   /// Convenience method for update operations.
@@ -21,7 +21,11 @@ mixin _$BudgetModel {
 ///
 /// This is distributed across categories via [AllocationModel]s.
 /// The sum of allocations may be less than this amount (unallocated funds).
- double get amount;/// Budget period start date (inclusive)
+ double get amount;/// Base currency (ISO 4217 code) of [amount]
+///
+/// Transactions in other currencies are converted into it for totals
+/// and BAR, using the user's exchange rates.
+ String get currencyCode;/// Budget period start date (inclusive)
 ///
 /// Used in BAR calculation to determine time elapsed.
 /// Should be at start of day (00:00:00).
@@ -44,16 +48,16 @@ $BudgetModelCopyWith<BudgetModel> get copyWith => _$BudgetModelCopyWithImpl<Budg
 
 @override
 bool operator ==(Object other) {
-  return identical(this, other) || (other.runtimeType == runtimeType&&other is BudgetModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is BudgetModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
 }
 
 @JsonKey(includeFromJson: false, includeToJson: false)
 @override
-int get hashCode => Object.hash(runtimeType,id,name,amount,startDate,endDate,createdAt,updatedAt);
+int get hashCode => Object.hash(runtimeType,id,name,amount,currencyCode,startDate,endDate,createdAt,updatedAt);
 
 @override
 String toString() {
-  return 'BudgetModel(id: $id, name: $name, amount: $amount, startDate: $startDate, endDate: $endDate, createdAt: $createdAt, updatedAt: $updatedAt)';
+  return 'BudgetModel(id: $id, name: $name, amount: $amount, currencyCode: $currencyCode, startDate: $startDate, endDate: $endDate, createdAt: $createdAt, updatedAt: $updatedAt)';
 }
 
 
@@ -64,7 +68,7 @@ abstract mixin class $BudgetModelCopyWith<$Res>  {
   factory $BudgetModelCopyWith(BudgetModel value, $Res Function(BudgetModel) _then) = _$BudgetModelCopyWithImpl;
 @useResult
 $Res call({
- String id, String name, double amount, DateTime startDate, DateTime endDate, DateTime createdAt, DateTime updatedAt
+ String id, String name, double amount, String currencyCode, DateTime startDate, DateTime endDate, DateTime createdAt, DateTime updatedAt
 });
 
 
@@ -81,12 +85,13 @@ class _$BudgetModelCopyWithImpl<$Res>
 
 /// Create a copy of BudgetModel
 /// with the given fields replaced by the non-null parameter values.
-@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? startDate = null,Object? endDate = null,Object? createdAt = null,Object? updatedAt = null,}) {
+@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? currencyCode = null,Object? startDate = null,Object? endDate = null,Object? createdAt = null,Object? updatedAt = null,}) {
   return _then(_self.copyWith(
 id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
 as String,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
 as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
-as double,startDate: null == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
+as double,currencyCode: null == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String,startDate: null == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
 as DateTime,endDate: null == endDate ? _self.endDate : endDate // ignore: cast_nullable_to_non_nullable
 as DateTime,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
 as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
@@ -175,10 +180,10 @@ return $default(_that);case _:
 /// }
 /// ```
 
-@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  DateTime startDate,  DateTime endDate,  DateTime createdAt,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  String currencyCode,  DateTime startDate,  DateTime endDate,  DateTime createdAt,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
 switch (_that) {
 case _BudgetModel() when $default != null:
-return $default(_that.id,_that.name,_that.amount,_that.startDate,_that.endDate,_that.createdAt,_that.updatedAt);case _:
+return $default(_that.id,_that.name,_that.amount,_that.currencyCode,_that.startDate,_that.endDate,_that.createdAt,_that.updatedAt);case _:
   return orElse();
 
 }
@@ -196,10 +201,10 @@ return $default(_that.id,_that.name,_that.amount,_that.startDate,_that.endDate,_
 /// }
 /// ```
 
-@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  DateTime startDate,  DateTime endDate,  DateTime createdAt,  DateTime updatedAt)  $default,) {final _that = this;
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  String currencyCode,  DateTime startDate,  DateTime endDate,  DateTime createdAt,  DateTime updatedAt)  $default,) {final _that = this;
 switch (_that) {
 case _BudgetModel():
-return $default(_that.id,_that.name,_that.amount,_that.startDate,_that.endDate,_that.createdAt,_that.updatedAt);case _:
+return $default(_that.id,_that.name,_that.amount,_that.currencyCode,_that.startDate,_that.endDate,_that.createdAt,_that.updatedAt);case _:
   throw StateError('Unexpected subclass');
 
 }
@@ -216,10 +221,10 @@ return $default(_that.id,_that.name,_that.amount,_that.startDate,_that.endDate,_
 /// }
 /// ```
 
-@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  String name,  double amount,  DateTime startDate,  DateTime endDate,  DateTime createdAt,  DateTime updatedAt)?  $default,) {final _that = this;
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  String name,  double amount,  String currencyCode,  DateTime startDate,  DateTime endDate,  DateTime createdAt,  DateTime updatedAt)?  $default,) {final _that = this;
 switch (_that) {
 case _BudgetModel() when $default != null:
-return $default(_that.id,_that.name,_that.amount,_that.startDate,_that.endDate,_that.createdAt,_that.updatedAt);case _:
+return $default(_that.id,_that.name,_that.amount,_that.currencyCode,_that.startDate,_that.endDate,_that.createdAt,_that.updatedAt);case _:
   return null;
 
 }
@@ -231,7 +236,7 @@ return $default(_that.id,_that.name,_that.amount,_that.startDate,_that.endDate,_
 @JsonSerializable()
 
 class _BudgetModel implements BudgetModel {
-  const _BudgetModel({required this.id, required this.name, required this.amount, required this.startDate, required this.endDate, required this.createdAt, required this.updatedAt});
+  const _BudgetModel({required this.id, required this.name, required this.amount, this.currencyCode = 'USD', required this.startDate, required this.endDate, required this.createdAt, required this.updatedAt});
   factory _BudgetModel.fromJson(Map<String, dynamic> json) => _$BudgetModelFromJson(json);
 
 /// Unique identifier (UUID v4)
@@ -243,6 +248,11 @@ class _BudgetModel implements BudgetModel {
 /// This is distributed across categories via [AllocationModel]s.
 /// The sum of allocations may be less than this amount (unallocated funds).
 @override final  double amount;
+/// Base currency (ISO 4217 code) of [amount]
+///
+/// Transactions in other currencies are converted into it for totals
+/// and BAR, using the user's exchange rates.
+@override@JsonKey() final  String currencyCode;
 /// Budget period start date (inclusive)
 ///
 /// Used in BAR calculation to determine time elapsed.
@@ -271,16 +281,16 @@ Map<String, dynamic> toJson() {
 
 @override
 bool operator ==(Object other) {
-  return identical(this, other) || (other.runtimeType == runtimeType&&other is _BudgetModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _BudgetModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
 }
 
 @JsonKey(includeFromJson: false, includeToJson: false)
 @override
-int get hashCode => Object.hash(runtimeType,id,name,amount,startDate,endDate,createdAt,updatedAt);
+int get hashCode => Object.hash(runtimeType,id,name,amount,currencyCode,startDate,endDate,createdAt,updatedAt);
 
 @override
 String toString() {
-  return 'BudgetModel(id: $id, name: $name, amount: $amount, startDate: $startDate, endDate: $endDate, createdAt: $createdAt, updatedAt: $updatedAt)';
+  return 'BudgetModel(id: $id, name: $name, amount: $amount, currencyCode: $currencyCode, startDate: $startDate, endDate: $endDate, createdAt: $createdAt, updatedAt: $updatedAt)';
 }
 
 
@@ -291,7 +301,7 @@ abstract mixin class _$BudgetModelCopyWith<$Res> implements $BudgetModelCopyWith
   factory _$BudgetModelCopyWith(_BudgetModel value, $Res Function(_BudgetModel) _then) = __$BudgetModelCopyWithImpl;
 @override @useResult
 $Res call({
- String id, String name, double amount, DateTime startDate, DateTime endDate, DateTime createdAt, DateTime updatedAt
+ String id, String name, double amount, String currencyCode, DateTime startDate, DateTime endDate, DateTime createdAt, DateTime updatedAt
 });
 
 
@@ -308,12 +318,13 @@ class __$BudgetModelCopyWithImpl<$Res>
 
 /// Create a copy of BudgetModel
 /// with the given fields replaced by the non-null parameter values.
-@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? startDate = null,Object? endDate = null,Object? createdAt = null,Object? updatedAt = null,}) {
+@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? currencyCode = null,Object? startDate = null,Object? endDate = null,Object? createdAt = null,Object? updatedAt = null,}) {
   return _then(_BudgetModel(
 id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
 as String,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
 as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
-as double,startDate: null == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
+as double,currencyCode: null == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String,startDate: null == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
 as DateTime,endDate: null == endDate ? _self.endDate : endDate // ignore: cast_nullable_to_non_nullable
 as DateTime,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
 as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
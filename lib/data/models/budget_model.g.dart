@@ -10,6 +10,7 @@ _BudgetModel _$BudgetModelFromJson(Map<String, dynamic> json) => _BudgetModel(
   id: json['id'] as String,
   name: json['name'] as String,
   amount: (json['amount'] as num).toDouble(),
+  currencyCode: json['currencyCode'] as String? ?? 'USD',
   startDate: DateTime.parse(json['startDate'] as String),
   endDate: DateTime.parse(json['endDate'] as String),
   createdAt: DateTime.parse(json['createdAt'] as String),
@@ -21,6 +22,7 @@ Map<String, dynamic> _$BudgetModelToJson(_BudgetModel instance) =>
       'id': instance.id,
       'name': instance.name,
       'amount': instance.amount,
+      'currencyCode': instance.currencyCode,
       'startDate': instance.startDate.toIso8601String(),
       'endDate': instance.endDate.toIso8601String(),
       'createdAt': instance.createdAt.toIso8601String(),
@@ -0,0 +1,82 @@
+import 'package:freezed_annotation/freezed_annotation.dart';
+import 'package:uuid/uuid.dart';
+
+part 'budget_template_model.freezed.dart';
+
+/// A named budget setup (total amount + category allocations) saved from an
+/// existing budget and reused when creating new ones.
+///
+/// Templates have no period: the dates are chosen when a budget is created
+/// from the template. Like recurring series, templates are device-local
+/// (not synced).
+///
+/// **Example**:
+/// ```dart
+/// final template = BudgetTemplateModel.create(
+///   name: 'Monthly essentials',
+///   amount: 2000.0,
+///   allocations: [
+///     BudgetTemplateAllocationModel.create(
+///       categoryId: groceriesId,
+///       amount: 600.0,
+///     ),
+///   ],
+/// );
+/// ```
+@freezed
+abstract class BudgetTemplateModel with _$BudgetTemplateModel {
+  const factory BudgetTemplateModel({
+    required String id,
+
+    /// Display name (e.g., "Monthly essentials")
+    required String name,
+
+    /// Total budget amount
+    required double amount,
+
+    /// Category amounts copied into new budgets
+    required List<BudgetTemplateAllocationModel> allocations,
+    required DateTime createdAt,
+    required DateTime updatedAt,
+  }) = _BudgetTemplateModel;
+
+  /// Creates a new template with auto-generated ID and timestamps.
+  factory BudgetTemplateModel.create({
+    required String name,
+    required double amount,
+    required List<BudgetTemplateAllocationModel> allocations,
+  }) {
+    final now = DateTime.now();
+    return BudgetTemplateModel(
+      id: const Uuid().v4(),
+      name: name,
+      amount: amount,
+      allocations: allocations,
+      createdAt: now,
+      updatedAt: now,
+    );
+  }
+}
+
+/// Category amount stored with a [BudgetTemplateModel]
+@freezed
+abstract class BudgetTemplateAllocationModel
+    with _$BudgetTemplateAllocationModel {
+  const factory BudgetTemplateAllocationModel({
+    required String id,
+    required String categoryId,
+    required double amount,
+  }) = _BudgetTemplateAllocationModel;
+
+  /// Creates a new template allocation with auto-generated ID.
+  factory BudgetTemplateAllocationModel.create({
+    required String categoryId,
+    required double amount,
+  }) {
+    return BudgetTemplateAllocationModel(
+      id: const Uuid().v4(),
+      categoryId: categoryId,
+      amount: amount,
+    );
+  }
+}
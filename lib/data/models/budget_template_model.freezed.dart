@@ -0,0 +1,562 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'budget_template_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$BudgetTemplateModel {
+
+ String get id;/// Display name (e.g., "Monthly essentials")
+ String get name;/// Total budget amount
+ double get amount;/// Category amounts copied into new budgets
+ List<BudgetTemplateAllocationModel> get allocations; DateTime get createdAt; DateTime get updatedAt;
+/// Create a copy of BudgetTemplateModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$BudgetTemplateModelCopyWith<BudgetTemplateModel> get copyWith => _$BudgetTemplateModelCopyWithImpl<BudgetTemplateModel>(this as BudgetTemplateModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is BudgetTemplateModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&const DeepCollectionEquality().equals(other.allocations, allocations)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,name,amount,const DeepCollectionEquality().hash(allocations),createdAt,updatedAt);
+
+@override
+String toString() {
+  return 'BudgetTemplateModel(id: $id, name: $name, amount: $amount, allocations: $allocations, createdAt: $createdAt, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $BudgetTemplateModelCopyWith<$Res>  {
+  factory $BudgetTemplateModelCopyWith(BudgetTemplateModel value, $Res Function(BudgetTemplateModel) _then) = _$BudgetTemplateModelCopyWithImpl;
+@useResult
+$Res call({
+ String id, String name, double amount, List<BudgetTemplateAllocationModel> allocations, DateTime createdAt, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class _$BudgetTemplateModelCopyWithImpl<$Res>
+    implements $BudgetTemplateModelCopyWith<$Res> {
+  _$BudgetTemplateModelCopyWithImpl(this._self, this._then);
+
+  final BudgetTemplateModel _self;
+  final $Res Function(BudgetTemplateModel) _then;
+
+/// Create a copy of BudgetTemplateModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? allocations = null,Object? createdAt = null,Object? updatedAt = null,}) {
+  return _then(_self.copyWith(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
+as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,allocations: null == allocations ? _self.allocations : allocations // ignore: cast_nullable_to_non_nullable
+as List<BudgetTemplateAllocationModel>,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [BudgetTemplateModel].
+extension BudgetTemplateModelPatterns on BudgetTemplateModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _BudgetTemplateModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _BudgetTemplateModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _BudgetTemplateModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _BudgetTemplateModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _BudgetTemplateModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _BudgetTemplateModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  List<BudgetTemplateAllocationModel> allocations,  DateTime createdAt,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _BudgetTemplateModel() when $default != null:
+return $default(_that.id,_that.name,_that.amount,_that.allocations,_that.createdAt,_that.updatedAt);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  List<BudgetTemplateAllocationModel> allocations,  DateTime createdAt,  DateTime updatedAt)  $default,) {final _that = this;
+switch (_that) {
+case _BudgetTemplateModel():
+return $default(_that.id,_that.name,_that.amount,_that.allocations,_that.createdAt,_that.updatedAt);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  String name,  double amount,  List<BudgetTemplateAllocationModel> allocations,  DateTime createdAt,  DateTime updatedAt)?  $default,) {final _that = this;
+switch (_that) {
+case _BudgetTemplateModel() when $default != null:
+return $default(_that.id,_that.name,_that.amount,_that.allocations,_that.createdAt,_that.updatedAt);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _BudgetTemplateModel implements BudgetTemplateModel {
+  const _BudgetTemplateModel({required this.id, required this.name, required this.amount, required final  List<BudgetTemplateAllocationModel> allocations, required this.createdAt, required this.updatedAt}): _allocations = allocations;
+  
+
+@override final  String id;
+/// Display name (e.g., "Monthly essentials")
+@override final  String name;
+/// Total budget amount
+@override final  double amount;
+/// Category amounts copied into new budgets
+ final  List<BudgetTemplateAllocationModel> _allocations;
+/// Category amounts copied into new budgets
+@override List<BudgetTemplateAllocationModel> get allocations {
+  if (_allocations is EqualUnmodifiableListView) return _allocations;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_allocations);
+}
+
+@override final  DateTime createdAt;
+@override final  DateTime updatedAt;
+
+/// Create a copy of BudgetTemplateModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$BudgetTemplateModelCopyWith<_BudgetTemplateModel> get copyWith => __$BudgetTemplateModelCopyWithImpl<_BudgetTemplateModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _BudgetTemplateModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&const DeepCollectionEquality().equals(other._allocations, _allocations)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,name,amount,const DeepCollectionEquality().hash(_allocations),createdAt,updatedAt);
+
+@override
+String toString() {
+  return 'BudgetTemplateModel(id: $id, name: $name, amount: $amount, allocations: $allocations, createdAt: $createdAt, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$BudgetTemplateModelCopyWith<$Res> implements $BudgetTemplateModelCopyWith<$Res> {
+  factory _$BudgetTemplateModelCopyWith(_BudgetTemplateModel value, $Res Function(_BudgetTemplateModel) _then) = __$BudgetTemplateModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String id, String name, double amount, List<BudgetTemplateAllocationModel> allocations, DateTime createdAt, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class __$BudgetTemplateModelCopyWithImpl<$Res>
+    implements _$BudgetTemplateModelCopyWith<$Res> {
+  __$BudgetTemplateModelCopyWithImpl(this._self, this._then);
+
+  final _BudgetTemplateModel _self;
+  final $Res Function(_BudgetTemplateModel) _then;
+
+/// Create a copy of BudgetTemplateModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? allocations = null,Object? createdAt = null,Object? updatedAt = null,}) {
+  return _then(_BudgetTemplateModel(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
+as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,allocations: null == allocations ? _self._allocations : allocations // ignore: cast_nullable_to_non_nullable
+as List<BudgetTemplateAllocationModel>,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+
+}
+
+/// @nodoc
+mixin _$BudgetTemplateAllocationModel {
+
+ String get id; String get categoryId; double get amount;
+/// Create a copy of BudgetTemplateAllocationModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$BudgetTemplateAllocationModelCopyWith<BudgetTemplateAllocationModel> get copyWith => _$BudgetTemplateAllocationModelCopyWithImpl<BudgetTemplateAllocationModel>(this as BudgetTemplateAllocationModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is BudgetTemplateAllocationModel&&(identical(other.id, id) || other.id == id)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.amount, amount) || other.amount == amount));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,categoryId,amount);
+
+@override
+String toString() {
+  return 'BudgetTemplateAllocationModel(id: $id, categoryId: $categoryId, amount: $amount)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $BudgetTemplateAllocationModelCopyWith<$Res>  {
+  factory $BudgetTemplateAllocationModelCopyWith(BudgetTemplateAllocationModel value, $Res Function(BudgetTemplateAllocationModel) _then) = _$BudgetTemplateAllocationModelCopyWithImpl;
+@useResult
+$Res call({
+ String id, String categoryId, double amount
+});
+
+
+
+
+}
+/// @nodoc
+class _$BudgetTemplateAllocationModelCopyWithImpl<$Res>
+    implements $BudgetTemplateAllocationModelCopyWith<$Res> {
+  _$BudgetTemplateAllocationModelCopyWithImpl(this._self, this._then);
+
+  final BudgetTemplateAllocationModel _self;
+  final $Res Function(BudgetTemplateAllocationModel) _then;
+
+/// Create a copy of BudgetTemplateAllocationModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? categoryId = null,Object? amount = null,}) {
+  return _then(_self.copyWith(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,categoryId: null == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [BudgetTemplateAllocationModel].
+extension BudgetTemplateAllocationModelPatterns on BudgetTemplateAllocationModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _BudgetTemplateAllocationModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _BudgetTemplateAllocationModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _BudgetTemplateAllocationModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _BudgetTemplateAllocationModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _BudgetTemplateAllocationModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _BudgetTemplateAllocationModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  String categoryId,  double amount)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _BudgetTemplateAllocationModel() when $default != null:
+return $default(_that.id,_that.categoryId,_that.amount);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  String categoryId,  double amount)  $default,) {final _that = this;
+switch (_that) {
+case _BudgetTemplateAllocationModel():
+return $default(_that.id,_that.categoryId,_that.amount);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  String categoryId,  double amount)?  $default,) {final _that = this;
+switch (_that) {
+case _BudgetTemplateAllocationModel() when $default != null:
+return $default(_that.id,_that.categoryId,_that.amount);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _BudgetTemplateAllocationModel implements BudgetTemplateAllocationModel {
+  const _BudgetTemplateAllocationModel({required this.id, required this.categoryId, required this.amount});
+  
+
+@override final  String id;
+@override final  String categoryId;
+@override final  double amount;
+
+/// Create a copy of BudgetTemplateAllocationModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$BudgetTemplateAllocationModelCopyWith<_BudgetTemplateAllocationModel> get copyWith => __$BudgetTemplateAllocationModelCopyWithImpl<_BudgetTemplateAllocationModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _BudgetTemplateAllocationModel&&(identical(other.id, id) || other.id == id)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.amount, amount) || other.amount == amount));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,categoryId,amount);
+
+@override
+String toString() {
+  return 'BudgetTemplateAllocationModel(id: $id, categoryId: $categoryId, amount: $amount)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$BudgetTemplateAllocationModelCopyWith<$Res> implements $BudgetTemplateAllocationModelCopyWith<$Res> {
+  factory _$BudgetTemplateAllocationModelCopyWith(_BudgetTemplateAllocationModel value, $Res Function(_BudgetTemplateAllocationModel) _then) = __$BudgetTemplateAllocationModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String id, String categoryId, double amount
+});
+
+
+
+
+}
+/// @nodoc
+class __$BudgetTemplateAllocationModelCopyWithImpl<$Res>
+    implements _$BudgetTemplateAllocationModelCopyWith<$Res> {
+  __$BudgetTemplateAllocationModelCopyWithImpl(this._self, this._then);
+
+  final _BudgetTemplateAllocationModel _self;
+  final $Res Function(_BudgetTemplateAllocationModel) _then;
+
+/// Create a copy of BudgetTemplateAllocationModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? categoryId = null,Object? amount = null,}) {
+  return _then(_BudgetTemplateAllocationModel(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,categoryId: null == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,
+  ));
+}
+
+
+}
+
+// dart format on
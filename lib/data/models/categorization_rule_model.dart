@@ -0,0 +1,90 @@
+import 'package:freezed_annotation/freezed_annotation.dart';
+import 'package:uuid/uuid.dart';
+
+part 'categorization_rule_model.freezed.dart';
+
+/// A user-defined rule filling in the category, budget or name of new
+/// transactions.
+///
+/// Conditions are combined (all must hold): the name contains
+/// [namePattern], or matches it as a regular expression when [isRegex]
+/// (both case-insensitive), and the amount is within [minAmount] and
+/// [maxAmount]. Applied by `CategorizationRuleEngine` to transactions
+/// created in the form or imported from a statement. Rules are
+/// device-local (not synced).
+///
+/// **Example**:
+/// ```dart
+/// final rule = CategorizationRuleModel.create(
+///   namePattern: 'starbucks',
+///   categoryId: 'coffee-id',
+///   rename: 'Starbucks',
+/// );
+/// ```
+@freezed
+abstract class CategorizationRuleModel with _$CategorizationRuleModel {
+  const factory CategorizationRuleModel({
+    required String id,
+
+    /// Text the name must contain (or match), null for any name
+    String? namePattern,
+
+    /// [namePattern] is a regular expression rather than plain text
+    @Default(false) bool isRegex,
+
+    /// Amount range, inclusive, in the transaction's own currency
+    double? minAmount,
+    double? maxAmount,
+
+    /// What the rule sets: category, budget, new name (null = unchanged)
+    String? categoryId,
+    String? budgetId,
+    String? rename,
+
+    /// Disabled rules are kept but never applied
+    @Default(true) bool isEnabled,
+    required DateTime createdAt,
+    required DateTime updatedAt,
+  }) = _CategorizationRuleModel;
+
+  /// Creates a new rule with auto-generated ID and timestamps.
+  factory CategorizationRuleModel.create({
+    String? namePattern,
+    bool isRegex = false,
+    double? minAmount,
+    double? maxAmount,
+    String? categoryId,
+    String? budgetId,
+    String? rename,
+  }) {
+    final now = DateTime.now();
+    return CategorizationRuleModel(
+      id: const Uuid().v4(),
+      namePattern: namePattern,
+      isRegex: isRegex,
+      minAmount: minAmount,
+      maxAmount: maxAmount,
+      categoryId: categoryId,
+      budgetId: budgetId,
+      rename: rename,
+      createdAt: now,
+      updatedAt: now,
+    );
+  }
+}
+
+/// Extension methods for CategorizationRuleModel
+extension CategorizationRuleExtensions on CategorizationRuleModel {
+  /// The rule tests the name or the amount (a rule without conditions
+  /// would apply to every transaction)
+  bool get hasCondition =>
+      (namePattern?.isNotEmpty ?? false) ||
+      minAmount != null ||
+      maxAmount != null;
+
+  /// The rule changes something when it applies
+  bool get hasAction =>
+      categoryId != null ||
+      budgetId != null ||
+      (rename?.isNotEmpty ?? false);
+}
@@ -0,0 +1,311 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'categorization_rule_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$CategorizationRuleModel {
+
+ String get id;/// Text the name must contain (or match), null for any name
+ String? get namePattern;/// [namePattern] is a regular expression rather than plain text
+ bool get isRegex;/// Amount range, inclusive, in the transaction's own currency
+ double? get minAmount; double? get maxAmount;/// What the rule sets: category, budget, new name (null = unchanged)
+ String? get categoryId; String? get budgetId; String? get rename;/// Disabled rules are kept but never applied
+ bool get isEnabled; DateTime get createdAt; DateTime get updatedAt;
+/// Create a copy of CategorizationRuleModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$CategorizationRuleModelCopyWith<CategorizationRuleModel> get copyWith => _$CategorizationRuleModelCopyWithImpl<CategorizationRuleModel>(this as CategorizationRuleModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is CategorizationRuleModel&&(identical(other.id, id) || other.id == id)&&(identical(other.namePattern, namePattern) || other.namePattern == namePattern)&&(identical(other.isRegex, isRegex) || other.isRegex == isRegex)&&(identical(other.minAmount, minAmount) || other.minAmount == minAmount)&&(identical(other.maxAmount, maxAmount) || other.maxAmount == maxAmount)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.rename, rename) || other.rename == rename)&&(identical(other.isEnabled, isEnabled) || other.isEnabled == isEnabled)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,namePattern,isRegex,minAmount,maxAmount,categoryId,budgetId,rename,isEnabled,createdAt,updatedAt);
+
+@override
+String toString() {
+  return 'CategorizationRuleModel(id: $id, namePattern: $namePattern, isRegex: $isRegex, minAmount: $minAmount, maxAmount: $maxAmount, categoryId: $categoryId, budgetId: $budgetId, rename: $rename, isEnabled: $isEnabled, createdAt: $createdAt, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $CategorizationRuleModelCopyWith<$Res>  {
+  factory $CategorizationRuleModelCopyWith(CategorizationRuleModel value, $Res Function(CategorizationRuleModel) _then) = _$CategorizationRuleModelCopyWithImpl;
+@useResult
+$Res call({
+ String id, String? namePattern, bool isRegex, double? minAmount, double? maxAmount, String? categoryId, String? budgetId, String? rename, bool isEnabled, DateTime createdAt, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class _$CategorizationRuleModelCopyWithImpl<$Res>
+    implements $CategorizationRuleModelCopyWith<$Res> {
+  _$CategorizationRuleModelCopyWithImpl(this._self, this._then);
+
+  final CategorizationRuleModel _self;
+  final $Res Function(CategorizationRuleModel) _then;
+
+/// Create a copy of CategorizationRuleModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? namePattern = freezed,Object? isRegex = null,Object? minAmount = freezed,Object? maxAmount = freezed,Object? categoryId = freezed,Object? budgetId = freezed,Object? rename = freezed,Object? isEnabled = null,Object? createdAt = null,Object? updatedAt = null,}) {
+  return _then(_self.copyWith(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,namePattern: freezed == namePattern ? _self.namePattern : namePattern // ignore: cast_nullable_to_non_nullable
+as String?,isRegex: null == isRegex ? _self.isRegex : isRegex // ignore: cast_nullable_to_non_nullable
+as bool,minAmount: freezed == minAmount ? _self.minAmount : minAmount // ignore: cast_nullable_to_non_nullable
+as double?,maxAmount: freezed == maxAmount ? _self.maxAmount : maxAmount // ignore: cast_nullable_to_non_nullable
+as double?,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String?,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String?,rename: freezed == rename ? _self.rename : rename // ignore: cast_nullable_to_non_nullable
+as String?,isEnabled: null == isEnabled ? _self.isEnabled : isEnabled // ignore: cast_nullable_to_non_nullable
+as bool,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [CategorizationRuleModel].
+extension CategorizationRuleModelPatterns on CategorizationRuleModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _CategorizationRuleModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _CategorizationRuleModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _CategorizationRuleModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _CategorizationRuleModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _CategorizationRuleModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _CategorizationRuleModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  String? namePattern,  bool isRegex,  double? minAmount,  double? maxAmount,  String? categoryId,  String? budgetId,  String? rename,  bool isEnabled,  DateTime createdAt,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _CategorizationRuleModel() when $default != null:
+return $default(_that.id,_that.namePattern,_that.isRegex,_that.minAmount,_that.maxAmount,_that.categoryId,_that.budgetId,_that.rename,_that.isEnabled,_that.createdAt,_that.updatedAt);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  String? namePattern,  bool isRegex,  double? minAmount,  double? maxAmount,  String? categoryId,  String? budgetId,  String? rename,  bool isEnabled,  DateTime createdAt,  DateTime updatedAt)  $default,) {final _that = this;
+switch (_that) {
+case _CategorizationRuleModel():
+return $default(_that.id,_that.namePattern,_that.isRegex,_that.minAmount,_that.maxAmount,_that.categoryId,_that.budgetId,_that.rename,_that.isEnabled,_that.createdAt,_that.updatedAt);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  String? namePattern,  bool isRegex,  double? minAmount,  double? maxAmount,  String? categoryId,  String? budgetId,  String? rename,  bool isEnabled,  DateTime createdAt,  DateTime updatedAt)?  $default,) {final _that = this;
+switch (_that) {
+case _CategorizationRuleModel() when $default != null:
+return $default(_that.id,_that.namePattern,_that.isRegex,_that.minAmount,_that.maxAmount,_that.categoryId,_that.budgetId,_that.rename,_that.isEnabled,_that.createdAt,_that.updatedAt);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _CategorizationRuleModel implements CategorizationRuleModel {
+  const _CategorizationRuleModel({required this.id, this.namePattern, this.isRegex = false, this.minAmount, this.maxAmount, this.categoryId, this.budgetId, this.rename, this.isEnabled = true, required this.createdAt, required this.updatedAt});
+  
+
+@override final  String id;
+/// Text the name must contain (or match), null for any name
+@override final  String? namePattern;
+/// [namePattern] is a regular expression rather than plain text
+@override@JsonKey() final  bool isRegex;
+/// Amount range, inclusive, in the transaction's own currency
+@override final  double? minAmount;
+@override final  double? maxAmount;
+/// What the rule sets: category, budget, new name (null = unchanged)
+@override final  String? categoryId;
+@override final  String? budgetId;
+@override final  String? rename;
+/// Disabled rules are kept but never applied
+@override@JsonKey() final  bool isEnabled;
+@override final  DateTime createdAt;
+@override final  DateTime updatedAt;
+
+/// Create a copy of CategorizationRuleModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$CategorizationRuleModelCopyWith<_CategorizationRuleModel> get copyWith => __$CategorizationRuleModelCopyWithImpl<_CategorizationRuleModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _CategorizationRuleModel&&(identical(other.id, id) || other.id == id)&&(identical(other.namePattern, namePattern) || other.namePattern == namePattern)&&(identical(other.isRegex, isRegex) || other.isRegex == isRegex)&&(identical(other.minAmount, minAmount) || other.minAmount == minAmount)&&(identical(other.maxAmount, maxAmount) || other.maxAmount == maxAmount)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.rename, rename) || other.rename == rename)&&(identical(other.isEnabled, isEnabled) || other.isEnabled == isEnabled)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,namePattern,isRegex,minAmount,maxAmount,categoryId,budgetId,rename,isEnabled,createdAt,updatedAt);
+
+@override
+String toString() {
+  return 'CategorizationRuleModel(id: $id, namePattern: $namePattern, isRegex: $isRegex, minAmount: $minAmount, maxAmount: $maxAmount, categoryId: $categoryId, budgetId: $budgetId, rename: $rename, isEnabled: $isEnabled, createdAt: $createdAt, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$CategorizationRuleModelCopyWith<$Res> implements $CategorizationRuleModelCopyWith<$Res> {
+  factory _$CategorizationRuleModelCopyWith(_CategorizationRuleModel value, $Res Function(_CategorizationRuleModel) _then) = __$CategorizationRuleModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String id, String? namePattern, bool isRegex, double? minAmount, double? maxAmount, String? categoryId, String? budgetId, String? rename, bool isEnabled, DateTime createdAt, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class __$CategorizationRuleModelCopyWithImpl<$Res>
+    implements _$CategorizationRuleModelCopyWith<$Res> {
+  __$CategorizationRuleModelCopyWithImpl(this._self, this._then);
+
+  final _CategorizationRuleModel _self;
+  final $Res Function(_CategorizationRuleModel) _then;
+
+/// Create a copy of CategorizationRuleModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? namePattern = freezed,Object? isRegex = null,Object? minAmount = freezed,Object? maxAmount = freezed,Object? categoryId = freezed,Object? budgetId = freezed,Object? rename = freezed,Object? isEnabled = null,Object? createdAt = null,Object? updatedAt = null,}) {
+  return _then(_CategorizationRuleModel(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,namePattern: freezed == namePattern ? _self.namePattern : namePattern // ignore: cast_nullable_to_non_nullable
+as String?,isRegex: null == isRegex ? _self.isRegex : isRegex // ignore: cast_nullable_to_non_nullable
+as bool,minAmount: freezed == minAmount ? _self.minAmount : minAmount // ignore: cast_nullable_to_non_nullable
+as double?,maxAmount: freezed == maxAmount ? _self.maxAmount : maxAmount // ignore: cast_nullable_to_non_nullable
+as double?,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String?,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String?,rename: freezed == rename ? _self.rename : rename // ignore: cast_nullable_to_non_nullable
+as String?,isEnabled: null == isEnabled ? _self.isEnabled : isEnabled // ignore: cast_nullable_to_non_nullable
+as bool,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+
+}
+
+// dart format on
@@ -10,6 +10,14 @@ abstract class CategoryModel with _$CategoryModel {
     required String id,
     required String name,
     required String iconName,
+
+    /// `#RRGGBB` chosen by the user; null for an automatic color (see
+    /// `CategoryColors.of`)
+    String? colorHex,
+
+    /// Category this one is a subcategory of (one level deep: a parent has
+    /// no parent itself)
+    String? parentId,
     required DateTime createdAt,
     required DateTime updatedAt,
   }) = _CategoryModel;
@@ -20,14 +28,36 @@ abstract class CategoryModel with _$CategoryModel {
   factory CategoryModel.create({
     required String name,
     required String iconName,
+    String? colorHex,
+    String? parentId,
   }) {
     final now = DateTime.now();
     return CategoryModel(
       id: const Uuid().v4(),
       name: name,
       iconName: iconName,
+      colorHex: colorHex,
+      parentId: parentId,
       createdAt: now,
       updatedAt: now,
     );
   }
 }
+
+/// Helpers for lists of categories with subcategories
+extension CategoryHierarchyExtensions on List<CategoryModel> {
+  /// Top-level categories, each followed by its subcategories (a
+  /// subcategory whose parent isn't in the list is listed as top-level)
+  List<CategoryModel> inHierarchyOrder() {
+    final ids = {for (final category in this) category.id};
+    bool isTopLevel(CategoryModel c) =>
+        c.parentId == null || !ids.contains(c.parentId);
+
+    return [
+      for (final parent in where(isTopLevel)) ...[
+        parent,
+        ...where((c) => !isTopLevel(c) && c.parentId == parent.id),
+      ],
+    ];
+  }
+}
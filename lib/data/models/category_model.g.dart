@@ -11,6 +11,8 @@ _CategoryModel _$CategoryModelFromJson(Map<String, dynamic> json) =>
       id: json['id'] as String,
       name: json['name'] as String,
       iconName: json['iconName'] as String,
+      colorHex: json['colorHex'] as String?,
+      parentId: json['parentId'] as String?,
       createdAt: DateTime.parse(json['createdAt'] as String),
       updatedAt: DateTime.parse(json['updatedAt'] as String),
     );
@@ -20,6 +22,8 @@ Map<String, dynamic> _$CategoryModelToJson(_CategoryModel instance) =>
       'id': instance.id,
       'name': instance.name,
       'iconName': instance.iconName,
+      'colorHex': instance.colorHex,
+      'parentId': instance.parentId,
       'createdAt': instance.createdAt.toIso8601String(),
       'updatedAt': instance.updatedAt.toIso8601String(),
     };
@@ -0,0 +1,37 @@
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'exchange_rate_model.freezed.dart';
+
+/// Exchange rate entered or imported by the user: 1 [baseCode] is worth
+/// [rate] [quoteCode].
+///
+/// Rates are stored locally and work offline; nothing fetches them. Like
+/// recurring series and budget templates, they are device-local (not
+/// synced). A rate also converts the other way (`1 / rate`), see
+/// `CurrencyConverter`.
+///
+/// **Example**:
+/// ```dart
+/// final rate = ExchangeRateModel(
+///   baseCode: 'EUR',
+///   quoteCode: 'USD',
+///   rate: 1.08, // 1 EUR = 1.08 USD
+///   updatedAt: DateTime.now(),
+/// );
+/// ```
+@freezed
+abstract class ExchangeRateModel with _$ExchangeRateModel {
+  const factory ExchangeRateModel({
+    /// ISO 4217 code of the currency being priced (e.g., "EUR")
+    required String baseCode,
+
+    /// ISO 4217 code the price is expressed in (e.g., "USD")
+    required String quoteCode,
+
+    /// Units of [quoteCode] per unit of [baseCode], always > 0
+    required double rate,
+
+    /// When the rate was last entered or imported
+    required DateTime updatedAt,
+  }) = _ExchangeRateModel;
+}
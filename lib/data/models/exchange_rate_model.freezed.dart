@@ -0,0 +1,288 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'exchange_rate_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$ExchangeRateModel {
+
+/// ISO 4217 code of the currency being priced (e.g., "EUR")
+ String get baseCode;/// ISO 4217 code the price is expressed in (e.g., "USD")
+ String get quoteCode;/// Units of [quoteCode] per unit of [baseCode], always > 0
+ double get rate;/// When the rate was last entered or imported
+ DateTime get updatedAt;
+/// Create a copy of ExchangeRateModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$ExchangeRateModelCopyWith<ExchangeRateModel> get copyWith => _$ExchangeRateModelCopyWithImpl<ExchangeRateModel>(this as ExchangeRateModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is ExchangeRateModel&&(identical(other.baseCode, baseCode) || other.baseCode == baseCode)&&(identical(other.quoteCode, quoteCode) || other.quoteCode == quoteCode)&&(identical(other.rate, rate) || other.rate == rate)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,baseCode,quoteCode,rate,updatedAt);
+
+@override
+String toString() {
+  return 'ExchangeRateModel(baseCode: $baseCode, quoteCode: $quoteCode, rate: $rate, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $ExchangeRateModelCopyWith<$Res>  {
+  factory $ExchangeRateModelCopyWith(ExchangeRateModel value, $Res Function(ExchangeRateModel) _then) = _$ExchangeRateModelCopyWithImpl;
+@useResult
+$Res call({
+ String baseCode, String quoteCode, double rate, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class _$ExchangeRateModelCopyWithImpl<$Res>
+    implements $ExchangeRateModelCopyWith<$Res> {
+  _$ExchangeRateModelCopyWithImpl(this._self, this._then);
+
+  final ExchangeRateModel _self;
+  final $Res Function(ExchangeRateModel) _then;
+
+/// Create a copy of ExchangeRateModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? baseCode = null,Object? quoteCode = null,Object? rate = null,Object? updatedAt = null,}) {
+  return _then(_self.copyWith(
+baseCode: null == baseCode ? _self.baseCode : baseCode // ignore: cast_nullable_to_non_nullable
+as String,quoteCode: null == quoteCode ? _self.quoteCode : quoteCode // ignore: cast_nullable_to_non_nullable
+as String,rate: null == rate ? _self.rate : rate // ignore: cast_nullable_to_non_nullable
+as double,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [ExchangeRateModel].
+extension ExchangeRateModelPatterns on ExchangeRateModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _ExchangeRateModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _ExchangeRateModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _ExchangeRateModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _ExchangeRateModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _ExchangeRateModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _ExchangeRateModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String baseCode,  String quoteCode,  double rate,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _ExchangeRateModel() when $default != null:
+return $default(_that.baseCode,_that.quoteCode,_that.rate,_that.updatedAt);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String baseCode,  String quoteCode,  double rate,  DateTime updatedAt)  $default,) {final _that = this;
+switch (_that) {
+case _ExchangeRateModel():
+return $default(_that.baseCode,_that.quoteCode,_that.rate,_that.updatedAt);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String baseCode,  String quoteCode,  double rate,  DateTime updatedAt)?  $default,) {final _that = this;
+switch (_that) {
+case _ExchangeRateModel() when $default != null:
+return $default(_that.baseCode,_that.quoteCode,_that.rate,_that.updatedAt);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _ExchangeRateModel implements ExchangeRateModel {
+  const _ExchangeRateModel({required this.baseCode, required this.quoteCode, required this.rate, required this.updatedAt});
+  
+
+/// ISO 4217 code of the currency being priced (e.g., "EUR")
+@override final  String baseCode;
+/// ISO 4217 code the price is expressed in (e.g., "USD")
+@override final  String quoteCode;
+/// Units of [quoteCode] per unit of [baseCode], always > 0
+@override final  double rate;
+/// When the rate was last entered or imported
+@override final  DateTime updatedAt;
+
+/// Create a copy of ExchangeRateModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$ExchangeRateModelCopyWith<_ExchangeRateModel> get copyWith => __$ExchangeRateModelCopyWithImpl<_ExchangeRateModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _ExchangeRateModel&&(identical(other.baseCode, baseCode) || other.baseCode == baseCode)&&(identical(other.quoteCode, quoteCode) || other.quoteCode == quoteCode)&&(identical(other.rate, rate) || other.rate == rate)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,baseCode,quoteCode,rate,updatedAt);
+
+@override
+String toString() {
+  return 'ExchangeRateModel(baseCode: $baseCode, quoteCode: $quoteCode, rate: $rate, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$ExchangeRateModelCopyWith<$Res> implements $ExchangeRateModelCopyWith<$Res> {
+  factory _$ExchangeRateModelCopyWith(_ExchangeRateModel value, $Res Function(_ExchangeRateModel) _then) = __$ExchangeRateModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String baseCode, String quoteCode, double rate, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class __$ExchangeRateModelCopyWithImpl<$Res>
+    implements _$ExchangeRateModelCopyWith<$Res> {
+  __$ExchangeRateModelCopyWithImpl(this._self, this._then);
+
+  final _ExchangeRateModel _self;
+  final $Res Function(_ExchangeRateModel) _then;
+
+/// Create a copy of ExchangeRateModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? baseCode = null,Object? quoteCode = null,Object? rate = null,Object? updatedAt = null,}) {
+  return _then(_ExchangeRateModel(
+baseCode: null == baseCode ? _self.baseCode : baseCode // ignore: cast_nullable_to_non_nullable
+as String,quoteCode: null == quoteCode ? _self.quoteCode : quoteCode // ignore: cast_nullable_to_non_nullable
+as String,rate: null == rate ? _self.rate : rate // ignore: cast_nullable_to_non_nullable
+as double,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+
+}
+
+// dart format on
@@ -0,0 +1,26 @@
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'import_candidate_model.freezed.dart';
+
+/// One parsed bank statement entry, waiting for review before import
+///
+/// Built by `StatementImporter.preview`. Likely duplicates start
+/// deselected; entries already imported can't be selected at all (their
+/// transaction ID exists).
+@freezed
+abstract class ImportCandidateModel with _$ImportCandidateModel {
+  const factory ImportCandidateModel({
+    /// Transaction to create (no category or budget yet)
+    required TransactionModel transaction,
+
+    /// Existing transaction this entry probably duplicates
+    TransactionModel? duplicateOf,
+
+    /// Same statement entry imported before (possibly deleted since)
+    required bool isAlreadyImported,
+
+    /// Included in the import
+    required bool isSelected,
+  }) = _ImportCandidateModel;
+}
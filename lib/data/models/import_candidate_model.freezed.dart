@@ -0,0 +1,288 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'import_candidate_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$ImportCandidateModel {
+
+/// Transaction to create (no category or budget yet)
+ TransactionModel get transaction;/// Existing transaction this entry probably duplicates
+ TransactionModel? get duplicateOf;/// Same statement entry imported before (possibly deleted since)
+ bool get isAlreadyImported;/// Included in the import
+ bool get isSelected;
+/// Create a copy of ImportCandidateModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$ImportCandidateModelCopyWith<ImportCandidateModel> get copyWith => _$ImportCandidateModelCopyWithImpl<ImportCandidateModel>(this as ImportCandidateModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is ImportCandidateModel&&(identical(other.transaction, transaction) || other.transaction == transaction)&&(identical(other.duplicateOf, duplicateOf) || other.duplicateOf == duplicateOf)&&(identical(other.isAlreadyImported, isAlreadyImported) || other.isAlreadyImported == isAlreadyImported)&&(identical(other.isSelected, isSelected) || other.isSelected == isSelected));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,transaction,duplicateOf,isAlreadyImported,isSelected);
+
+@override
+String toString() {
+  return 'ImportCandidateModel(transaction: $transaction, duplicateOf: $duplicateOf, isAlreadyImported: $isAlreadyImported, isSelected: $isSelected)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $ImportCandidateModelCopyWith<$Res>  {
+  factory $ImportCandidateModelCopyWith(ImportCandidateModel value, $Res Function(ImportCandidateModel) _then) = _$ImportCandidateModelCopyWithImpl;
+@useResult
+$Res call({
+ TransactionModel transaction, TransactionModel? duplicateOf, bool isAlreadyImported, bool isSelected
+});
+
+
+
+
+}
+/// @nodoc
+class _$ImportCandidateModelCopyWithImpl<$Res>
+    implements $ImportCandidateModelCopyWith<$Res> {
+  _$ImportCandidateModelCopyWithImpl(this._self, this._then);
+
+  final ImportCandidateModel _self;
+  final $Res Function(ImportCandidateModel) _then;
+
+/// Create a copy of ImportCandidateModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? transaction = null,Object? duplicateOf = freezed,Object? isAlreadyImported = null,Object? isSelected = null,}) {
+  return _then(_self.copyWith(
+transaction: null == transaction ? _self.transaction : transaction // ignore: cast_nullable_to_non_nullable
+as TransactionModel,duplicateOf: freezed == duplicateOf ? _self.duplicateOf : duplicateOf // ignore: cast_nullable_to_non_nullable
+as TransactionModel?,isAlreadyImported: null == isAlreadyImported ? _self.isAlreadyImported : isAlreadyImported // ignore: cast_nullable_to_non_nullable
+as bool,isSelected: null == isSelected ? _self.isSelected : isSelected // ignore: cast_nullable_to_non_nullable
+as bool,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [ImportCandidateModel].
+extension ImportCandidateModelPatterns on ImportCandidateModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _ImportCandidateModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _ImportCandidateModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _ImportCandidateModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _ImportCandidateModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _ImportCandidateModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _ImportCandidateModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( TransactionModel transaction,  TransactionModel? duplicateOf,  bool isAlreadyImported,  bool isSelected)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _ImportCandidateModel() when $default != null:
+return $default(_that.transaction,_that.duplicateOf,_that.isAlreadyImported,_that.isSelected);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( TransactionModel transaction,  TransactionModel? duplicateOf,  bool isAlreadyImported,  bool isSelected)  $default,) {final _that = this;
+switch (_that) {
+case _ImportCandidateModel():
+return $default(_that.transaction,_that.duplicateOf,_that.isAlreadyImported,_that.isSelected);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( TransactionModel transaction,  TransactionModel? duplicateOf,  bool isAlreadyImported,  bool isSelected)?  $default,) {final _that = this;
+switch (_that) {
+case _ImportCandidateModel() when $default != null:
+return $default(_that.transaction,_that.duplicateOf,_that.isAlreadyImported,_that.isSelected);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _ImportCandidateModel implements ImportCandidateModel {
+  const _ImportCandidateModel({required this.transaction, this.duplicateOf, required this.isAlreadyImported, required this.isSelected});
+  
+
+/// Transaction to create (no category or budget yet)
+@override final  TransactionModel transaction;
+/// Existing transaction this entry probably duplicates
+@override final  TransactionModel? duplicateOf;
+/// Same statement entry imported before (possibly deleted since)
+@override final  bool isAlreadyImported;
+/// Included in the import
+@override final  bool isSelected;
+
+/// Create a copy of ImportCandidateModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$ImportCandidateModelCopyWith<_ImportCandidateModel> get copyWith => __$ImportCandidateModelCopyWithImpl<_ImportCandidateModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _ImportCandidateModel&&(identical(other.transaction, transaction) || other.transaction == transaction)&&(identical(other.duplicateOf, duplicateOf) || other.duplicateOf == duplicateOf)&&(identical(other.isAlreadyImported, isAlreadyImported) || other.isAlreadyImported == isAlreadyImported)&&(identical(other.isSelected, isSelected) || other.isSelected == isSelected));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,transaction,duplicateOf,isAlreadyImported,isSelected);
+
+@override
+String toString() {
+  return 'ImportCandidateModel(transaction: $transaction, duplicateOf: $duplicateOf, isAlreadyImported: $isAlreadyImported, isSelected: $isSelected)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$ImportCandidateModelCopyWith<$Res> implements $ImportCandidateModelCopyWith<$Res> {
+  factory _$ImportCandidateModelCopyWith(_ImportCandidateModel value, $Res Function(_ImportCandidateModel) _then) = __$ImportCandidateModelCopyWithImpl;
+@override @useResult
+$Res call({
+ TransactionModel transaction, TransactionModel? duplicateOf, bool isAlreadyImported, bool isSelected
+});
+
+
+
+
+}
+/// @nodoc
+class __$ImportCandidateModelCopyWithImpl<$Res>
+    implements _$ImportCandidateModelCopyWith<$Res> {
+  __$ImportCandidateModelCopyWithImpl(this._self, this._then);
+
+  final _ImportCandidateModel _self;
+  final $Res Function(_ImportCandidateModel) _then;
+
+/// Create a copy of ImportCandidateModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? transaction = null,Object? duplicateOf = freezed,Object? isAlreadyImported = null,Object? isSelected = null,}) {
+  return _then(_ImportCandidateModel(
+transaction: null == transaction ? _self.transaction : transaction // ignore: cast_nullable_to_non_nullable
+as TransactionModel,duplicateOf: freezed == duplicateOf ? _self.duplicateOf : duplicateOf // ignore: cast_nullable_to_non_nullable
+as TransactionModel?,isAlreadyImported: null == isAlreadyImported ? _self.isAlreadyImported : isAlreadyImported // ignore: cast_nullable_to_non_nullable
+as bool,isSelected: null == isSelected ? _self.isSelected : isSelected // ignore: cast_nullable_to_non_nullable
+as bool,
+  ));
+}
+
+
+}
+
+// dart format on
@@ -2,3 +2,18 @@ export 'category_model.dart';
 export 'transaction_model.dart';
 export 'budget_model.dart';
 export 'allocation_model.dart';
+export 'sync_conflict_model.dart';
+export 'recurring_transaction_model.dart';
+export 'recurring_occurrence_model.dart';
+export 'budget_template_model.dart';
+export 'import_candidate_model.dart';
+export 'exchange_rate_model.dart';
+export 'app_settings_model.dart';
+export 'spending_period_model.dart';
+export 'alert_rule_model.dart';
+export 'alert_model.dart';
+export 'transaction_filter.dart';
+export 'saved_search_model.dart';
+export 'transaction_total.dart';
+export 'trash_item_model.dart';
+export 'categorization_rule_model.dart';
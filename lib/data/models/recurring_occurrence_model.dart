@@ -0,0 +1,24 @@
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'recurring_occurrence_model.freezed.dart';
+
+/// One upcoming (not yet materialized) occurrence of a recurring series
+///
+/// Series values with the occurrence's own edits applied. Skipped
+/// occurrences are not listed.
+@freezed
+abstract class RecurringOccurrenceModel with _$RecurringOccurrenceModel {
+  const factory RecurringOccurrenceModel({
+    required String recurringId,
+    required DateTime occurrenceDate,
+    required String name,
+    required double amount,
+    required TransactionType type,
+    String? categoryId,
+    @Default('USD') String currencyCode,
+
+    /// True when this occurrence was edited on its own ("edit this one")
+    required bool isEdited,
+  }) = _RecurringOccurrenceModel;
+}
@@ -0,0 +1,294 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'recurring_occurrence_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$RecurringOccurrenceModel {
+
+ String get recurringId; DateTime get occurrenceDate; String get name; double get amount; TransactionType get type; String? get categoryId; String get currencyCode;/// True when this occurrence was edited on its own ("edit this one")
+ bool get isEdited;
+/// Create a copy of RecurringOccurrenceModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$RecurringOccurrenceModelCopyWith<RecurringOccurrenceModel> get copyWith => _$RecurringOccurrenceModelCopyWithImpl<RecurringOccurrenceModel>(this as RecurringOccurrenceModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is RecurringOccurrenceModel&&(identical(other.recurringId, recurringId) || other.recurringId == recurringId)&&(identical(other.occurrenceDate, occurrenceDate) || other.occurrenceDate == occurrenceDate)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.type, type) || other.type == type)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.isEdited, isEdited) || other.isEdited == isEdited));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,recurringId,occurrenceDate,name,amount,type,categoryId,currencyCode,isEdited);
+
+@override
+String toString() {
+  return 'RecurringOccurrenceModel(recurringId: $recurringId, occurrenceDate: $occurrenceDate, name: $name, amount: $amount, type: $type, categoryId: $categoryId, currencyCode: $currencyCode, isEdited: $isEdited)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $RecurringOccurrenceModelCopyWith<$Res>  {
+  factory $RecurringOccurrenceModelCopyWith(RecurringOccurrenceModel value, $Res Function(RecurringOccurrenceModel) _then) = _$RecurringOccurrenceModelCopyWithImpl;
+@useResult
+$Res call({
+ String recurringId, DateTime occurrenceDate, String name, double amount, TransactionType type, String? categoryId, String currencyCode, bool isEdited
+});
+
+
+
+
+}
+/// @nodoc
+class _$RecurringOccurrenceModelCopyWithImpl<$Res>
+    implements $RecurringOccurrenceModelCopyWith<$Res> {
+  _$RecurringOccurrenceModelCopyWithImpl(this._self, this._then);
+
+  final RecurringOccurrenceModel _self;
+  final $Res Function(RecurringOccurrenceModel) _then;
+
+/// Create a copy of RecurringOccurrenceModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? recurringId = null,Object? occurrenceDate = null,Object? name = null,Object? amount = null,Object? type = null,Object? categoryId = freezed,Object? currencyCode = null,Object? isEdited = null,}) {
+  return _then(_self.copyWith(
+recurringId: null == recurringId ? _self.recurringId : recurringId // ignore: cast_nullable_to_non_nullable
+as String,occurrenceDate: null == occurrenceDate ? _self.occurrenceDate : occurrenceDate // ignore: cast_nullable_to_non_nullable
+as DateTime,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
+as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as TransactionType,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String?,currencyCode: null == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String,isEdited: null == isEdited ? _self.isEdited : isEdited // ignore: cast_nullable_to_non_nullable
+as bool,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [RecurringOccurrenceModel].
+extension RecurringOccurrenceModelPatterns on RecurringOccurrenceModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _RecurringOccurrenceModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _RecurringOccurrenceModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _RecurringOccurrenceModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _RecurringOccurrenceModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _RecurringOccurrenceModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _RecurringOccurrenceModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String recurringId,  DateTime occurrenceDate,  String name,  double amount,  TransactionType type,  String? categoryId,  String currencyCode,  bool isEdited)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _RecurringOccurrenceModel() when $default != null:
+return $default(_that.recurringId,_that.occurrenceDate,_that.name,_that.amount,_that.type,_that.categoryId,_that.currencyCode,_that.isEdited);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String recurringId,  DateTime occurrenceDate,  String name,  double amount,  TransactionType type,  String? categoryId,  String currencyCode,  bool isEdited)  $default,) {final _that = this;
+switch (_that) {
+case _RecurringOccurrenceModel():
+return $default(_that.recurringId,_that.occurrenceDate,_that.name,_that.amount,_that.type,_that.categoryId,_that.currencyCode,_that.isEdited);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String recurringId,  DateTime occurrenceDate,  String name,  double amount,  TransactionType type,  String? categoryId,  String currencyCode,  bool isEdited)?  $default,) {final _that = this;
+switch (_that) {
+case _RecurringOccurrenceModel() when $default != null:
+return $default(_that.recurringId,_that.occurrenceDate,_that.name,_that.amount,_that.type,_that.categoryId,_that.currencyCode,_that.isEdited);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _RecurringOccurrenceModel implements RecurringOccurrenceModel {
+  const _RecurringOccurrenceModel({required this.recurringId, required this.occurrenceDate, required this.name, required this.amount, required this.type, this.categoryId, this.currencyCode = 'USD', required this.isEdited});
+  
+
+@override final  String recurringId;
+@override final  DateTime occurrenceDate;
+@override final  String name;
+@override final  double amount;
+@override final  TransactionType type;
+@override final  String? categoryId;
+@override@JsonKey() final  String currencyCode;
+/// True when this occurrence was edited on its own ("edit this one")
+@override final  bool isEdited;
+
+/// Create a copy of RecurringOccurrenceModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$RecurringOccurrenceModelCopyWith<_RecurringOccurrenceModel> get copyWith => __$RecurringOccurrenceModelCopyWithImpl<_RecurringOccurrenceModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _RecurringOccurrenceModel&&(identical(other.recurringId, recurringId) || other.recurringId == recurringId)&&(identical(other.occurrenceDate, occurrenceDate) || other.occurrenceDate == occurrenceDate)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.type, type) || other.type == type)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.isEdited, isEdited) || other.isEdited == isEdited));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,recurringId,occurrenceDate,name,amount,type,categoryId,currencyCode,isEdited);
+
+@override
+String toString() {
+  return 'RecurringOccurrenceModel(recurringId: $recurringId, occurrenceDate: $occurrenceDate, name: $name, amount: $amount, type: $type, categoryId: $categoryId, currencyCode: $currencyCode, isEdited: $isEdited)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$RecurringOccurrenceModelCopyWith<$Res> implements $RecurringOccurrenceModelCopyWith<$Res> {
+  factory _$RecurringOccurrenceModelCopyWith(_RecurringOccurrenceModel value, $Res Function(_RecurringOccurrenceModel) _then) = __$RecurringOccurrenceModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String recurringId, DateTime occurrenceDate, String name, double amount, TransactionType type, String? categoryId, String currencyCode, bool isEdited
+});
+
+
+
+
+}
+/// @nodoc
+class __$RecurringOccurrenceModelCopyWithImpl<$Res>
+    implements _$RecurringOccurrenceModelCopyWith<$Res> {
+  __$RecurringOccurrenceModelCopyWithImpl(this._self, this._then);
+
+  final _RecurringOccurrenceModel _self;
+  final $Res Function(_RecurringOccurrenceModel) _then;
+
+/// Create a copy of RecurringOccurrenceModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? recurringId = null,Object? occurrenceDate = null,Object? name = null,Object? amount = null,Object? type = null,Object? categoryId = freezed,Object? currencyCode = null,Object? isEdited = null,}) {
+  return _then(_RecurringOccurrenceModel(
+recurringId: null == recurringId ? _self.recurringId : recurringId // ignore: cast_nullable_to_non_nullable
+as String,occurrenceDate: null == occurrenceDate ? _self.occurrenceDate : occurrenceDate // ignore: cast_nullable_to_non_nullable
+as DateTime,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
+as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as TransactionType,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String?,currencyCode: null == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String,isEdited: null == isEdited ? _self.isEdited : isEdited // ignore: cast_nullable_to_non_nullable
+as bool,
+  ));
+}
+
+
+}
+
+// dart format on
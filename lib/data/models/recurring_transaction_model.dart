@@ -0,0 +1,237 @@
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+import 'package:uuid/uuid.dart';
+
+part 'recurring_transaction_model.freezed.dart';
+part 'recurring_transaction_model.g.dart';
+
+/// A transaction that repeats on a schedule (rent, salary, subscriptions).
+///
+/// The series itself is not a transaction: `RecurringTransactionScheduler`
+/// materializes every due occurrence into a [TransactionModel] (with
+/// `recurringId` pointing back here) when the app starts.
+///
+/// **Schedule**:
+/// - [frequency] + [interval]: "every [interval] days/weeks/months"
+/// - [dayOfMonth]: day for [RecurrenceFrequency.monthly] (clamped to the
+///   month's length, so 31 means "last day" in shorter months)
+/// - Occurrences keep the time of day of [startDate]
+///
+/// **Example**:
+/// ```dart
+/// final rent = RecurringTransactionModel.create(
+///   name: 'Rent',
+///   amount: 1200.0,
+///   type: TransactionType.debit,
+///   frequency: RecurrenceFrequency.monthly,
+///   dayOfMonth: 1,
+///   startDate: DateTime(2026, 1, 1, 9),
+/// );
+/// ```
+@freezed
+abstract class RecurringTransactionModel with _$RecurringTransactionModel {
+  const factory RecurringTransactionModel({
+    required String id,
+    required String name,
+    required double amount,
+
+    /// ISO 4217 code of [amount], copied to every occurrence
+    @Default('USD') String currencyCode,
+    required TransactionType type,
+    String? categoryId,
+    String? notes,
+    required RecurrenceFrequency frequency,
+
+    /// Repeat every N periods (1 = every day/week/month)
+    required int interval,
+
+    /// Day of month for [RecurrenceFrequency.monthly]
+    int? dayOfMonth,
+
+    /// First possible occurrence (inclusive)
+    required DateTime startDate,
+
+    /// Last possible occurrence (inclusive), null = open-ended
+    DateTime? endDate,
+
+    /// Next occurrence not yet materialized, null once the series ended
+    DateTime? nextOccurrence,
+    required DateTime createdAt,
+    required DateTime updatedAt,
+  }) = _RecurringTransactionModel;
+
+  factory RecurringTransactionModel.fromJson(Map<String, dynamic> json) =>
+      _$RecurringTransactionModelFromJson(json);
+
+  /// Creates a new series with auto-generated ID and timestamps.
+  ///
+  /// [nextOccurrence] starts at the first occurrence on or after
+  /// [startDate].
+  factory RecurringTransactionModel.create({
+    required String name,
+    required double amount,
+    required TransactionType type,
+    String currencyCode = 'USD',
+    required RecurrenceFrequency frequency,
+    int interval = 1,
+    int? dayOfMonth,
+    required DateTime startDate,
+    DateTime? endDate,
+    String? categoryId,
+    String? notes,
+  }) {
+    final now = DateTime.now();
+    final series = RecurringTransactionModel(
+      id: const Uuid().v4(),
+      name: name,
+      amount: amount,
+      currencyCode: currencyCode,
+      type: type,
+      categoryId: categoryId,
+      notes: notes,
+      frequency: frequency,
+      interval: interval,
+      dayOfMonth: dayOfMonth,
+      startDate: startDate,
+      endDate: endDate,
+      createdAt: now,
+      updatedAt: now,
+    );
+    return series.copyWith(
+      nextOccurrence: series.occurrenceOnOrAfter(startDate),
+    );
+  }
+}
+
+/// How often a [RecurringTransactionModel] repeats
+enum RecurrenceFrequency {
+  daily,
+  weekly,
+
+  /// On [RecurringTransactionModel.dayOfMonth]
+  monthly,
+
+  /// Last Monday-Friday of the month
+  lastBusinessDay,
+}
+
+/// Schedule calculations for RecurringTransactionModel.
+///
+/// Occurrences are counted from [RecurringTransactionModel.startDate], so
+/// "every 2 weeks" stays on the same weekday and "every 3 months" on the
+/// same months no matter when the schedule is evaluated.
+extension RecurringTransactionModelExtensions on RecurringTransactionModel {
+  /// First occurrence on or after [date], or null if the series ends before
+  ///
+  /// Starts from the occurrence just before [date] rather than from
+  /// [startDate], so the cost doesn't grow with the series' age.
+  DateTime? occurrenceOnOrAfter(DateTime date) {
+    var n = _indexBefore(date);
+    var occurrence = _occurrence(n);
+    while (occurrence.isBefore(date) || occurrence.isBefore(startDate)) {
+      occurrence = _occurrence(++n);
+    }
+    return _withinEnd(occurrence);
+  }
+
+  /// Occurrence following [occurrence], or null if the series ends before
+  DateTime? occurrenceAfter(DateTime occurrence) {
+    return occurrenceOnOrAfter(occurrence.add(const Duration(minutes: 1)));
+  }
+
+  /// All occurrences from [nextOccurrence] up to [until] (inclusive)
+  List<DateTime> occurrencesUntil(DateTime until) {
+    final occurrences = <DateTime>[];
+    var occurrence = nextOccurrence;
+    while (occurrence != null && !occurrence.isAfter(until)) {
+      occurrences.add(occurrence);
+      occurrence = occurrenceAfter(occurrence);
+    }
+    return occurrences;
+  }
+
+  /// Index of an occurrence before [date] (0 when there's none), at most
+  /// a couple of periods before it
+  int _indexBefore(DateTime date) {
+    final elapsed = switch (frequency) {
+      RecurrenceFrequency.daily => _daysSinceStart(date) ~/ interval,
+      RecurrenceFrequency.weekly => _daysSinceStart(date) ~/ (7 * interval),
+      RecurrenceFrequency.monthly || RecurrenceFrequency.lastBusinessDay =>
+        _monthsSinceStart(date) ~/ interval,
+    };
+    // One period back: occurrence `elapsed` can fall on [date]'s day or
+    // month but later than [date]
+    return elapsed > 1 ? elapsed - 1 : 0;
+  }
+
+  /// Calendar days from [startDate] to [date] (DST-proof)
+  int _daysSinceStart(DateTime date) {
+    final start = DateTime.utc(startDate.year, startDate.month, startDate.day);
+    return DateTime.utc(date.year, date.month, date.day)
+        .difference(start)
+        .inDays;
+  }
+
+  /// Calendar months from [startDate] to [date]
+  int _monthsSinceStart(DateTime date) {
+    return (date.year - startDate.year) * 12 + date.month - startDate.month;
+  }
+
+  DateTime? _withinEnd(DateTime occurrence) {
+    if (endDate != null && occurrence.isAfter(endDate!)) return null;
+    return occurrence;
+  }
+
+  /// The [n]-th occurrence counted from [startDate]
+  ///
+  /// Month-based rules can land before [startDate] for n = 0 (e.g. day 1
+  /// when the series starts on the 15th); callers skip those.
+  DateTime _occurrence(int n) {
+    final start = startDate;
+    switch (frequency) {
+      case RecurrenceFrequency.daily:
+        return DateTime(
+          start.year,
+          start.month,
+          start.day + n * interval,
+          start.hour,
+          start.minute,
+        );
+      case RecurrenceFrequency.weekly:
+        return DateTime(
+          start.year,
+          start.month,
+          start.day + 7 * n * interval,
+          start.hour,
+          start.minute,
+        );
+      case RecurrenceFrequency.monthly:
+        final month = DateTime(start.year, start.month + n * interval);
+        final day = dayOfMonth ?? start.day;
+        return DateTime(
+          month.year,
+          month.month,
+          day.clamp(1, _daysInMonth(month.year, month.month)),
+          start.hour,
+          start.minute,
+        );
+      case RecurrenceFrequency.lastBusinessDay:
+        final month = DateTime(start.year, start.month + n * interval);
+        var day = _daysInMonth(month.year, month.month);
+        while (DateTime(month.year, month.month, day).weekday >
+            DateTime.friday) {
+          day--;
+        }
+        return DateTime(
+          month.year,
+          month.month,
+          day,
+          start.hour,
+          start.minute,
+        );
+    }
+  }
+
+  static int _daysInMonth(int year, int month) =>
+      DateTime(year, month + 1, 0).day;
+}
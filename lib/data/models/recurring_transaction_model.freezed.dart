@@ -0,0 +1,331 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'recurring_transaction_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+
+/// @nodoc
+mixin _$RecurringTransactionModel {
+
+ String get id; String get name; double get amount;/// ISO 4217 code of [amount], copied to every occurrence
+ String get currencyCode; TransactionType get type; String? get categoryId; String? get notes; RecurrenceFrequency get frequency;/// Repeat every N periods (1 = every day/week/month)
+ int get interval;/// Day of month for [RecurrenceFrequency.monthly]
+ int? get dayOfMonth;/// First possible occurrence (inclusive)
+ DateTime get startDate;/// Last possible occurrence (inclusive), null = open-ended
+ DateTime? get endDate;/// Next occurrence not yet materialized, null once the series ended
+ DateTime? get nextOccurrence; DateTime get createdAt; DateTime get updatedAt;
+/// Create a copy of RecurringTransactionModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$RecurringTransactionModelCopyWith<RecurringTransactionModel> get copyWith => _$RecurringTransactionModelCopyWithImpl<RecurringTransactionModel>(this as RecurringTransactionModel, _$identity);
+
+  /// Serializes this RecurringTransactionModel to a JSON map.
+  Map<String, dynamic> toJson();
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is RecurringTransactionModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.type, type) || other.type == type)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.notes, notes) || other.notes == notes)&&(identical(other.frequency, frequency) || other.frequency == frequency)&&(identical(other.interval, interval) || other.interval == interval)&&(identical(other.dayOfMonth, dayOfMonth) || other.dayOfMonth == dayOfMonth)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.nextOccurrence, nextOccurrence) || other.nextOccurrence == nextOccurrence)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+@JsonKey(includeFromJson: false, includeToJson: false)
+@override
+int get hashCode => Object.hash(runtimeType,id,name,amount,currencyCode,type,categoryId,notes,frequency,interval,dayOfMonth,startDate,endDate,nextOccurrence,createdAt,updatedAt);
+
+@override
+String toString() {
+  return 'RecurringTransactionModel(id: $id, name: $name, amount: $amount, currencyCode: $currencyCode, type: $type, categoryId: $categoryId, notes: $notes, frequency: $frequency, interval: $interval, dayOfMonth: $dayOfMonth, startDate: $startDate, endDate: $endDate, nextOccurrence: $nextOccurrence, createdAt: $createdAt, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $RecurringTransactionModelCopyWith<$Res>  {
+  factory $RecurringTransactionModelCopyWith(RecurringTransactionModel value, $Res Function(RecurringTransactionModel) _then) = _$RecurringTransactionModelCopyWithImpl;
+@useResult
+$Res call({
+ String id, String name, double amount, String currencyCode, TransactionType type, String? categoryId, String? notes, RecurrenceFrequency frequency, int interval, int? dayOfMonth, DateTime startDate, DateTime? endDate, DateTime? nextOccurrence, DateTime createdAt, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class _$RecurringTransactionModelCopyWithImpl<$Res>
+    implements $RecurringTransactionModelCopyWith<$Res> {
+  _$RecurringTransactionModelCopyWithImpl(this._self, this._then);
+
+  final RecurringTransactionModel _self;
+  final $Res Function(RecurringTransactionModel) _then;
+
+/// Create a copy of RecurringTransactionModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? currencyCode = null,Object? type = null,Object? categoryId = freezed,Object? notes = freezed,Object? frequency = null,Object? interval = null,Object? dayOfMonth = freezed,Object? startDate = null,Object? endDate = freezed,Object? nextOccurrence = freezed,Object? createdAt = null,Object? updatedAt = null,}) {
+  return _then(_self.copyWith(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
+as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,currencyCode: null == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as TransactionType,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String?,notes: freezed == notes ? _self.notes : notes // ignore: cast_nullable_to_non_nullable
+as String?,frequency: null == frequency ? _self.frequency : frequency // ignore: cast_nullable_to_non_nullable
+as RecurrenceFrequency,interval: null == interval ? _self.interval : interval // ignore: cast_nullable_to_non_nullable
+as int,dayOfMonth: freezed == dayOfMonth ? _self.dayOfMonth : dayOfMonth // ignore: cast_nullable_to_non_nullable
+as int?,startDate: null == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
+as DateTime,endDate: freezed == endDate ? _self.endDate : endDate // ignore: cast_nullable_to_non_nullable
+as DateTime?,nextOccurrence: freezed == nextOccurrence ? _self.nextOccurrence : nextOccurrence // ignore: cast_nullable_to_non_nullable
+as DateTime?,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [RecurringTransactionModel].
+extension RecurringTransactionModelPatterns on RecurringTransactionModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _RecurringTransactionModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _RecurringTransactionModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _RecurringTransactionModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _RecurringTransactionModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _RecurringTransactionModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _RecurringTransactionModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  String currencyCode,  TransactionType type,  String? categoryId,  String? notes,  RecurrenceFrequency frequency,  int interval,  int? dayOfMonth,  DateTime startDate,  DateTime? endDate,  DateTime? nextOccurrence,  DateTime createdAt,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _RecurringTransactionModel() when $default != null:
+return $default(_that.id,_that.name,_that.amount,_that.currencyCode,_that.type,_that.categoryId,_that.notes,_that.frequency,_that.interval,_that.dayOfMonth,_that.startDate,_that.endDate,_that.nextOccurrence,_that.createdAt,_that.updatedAt);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  String currencyCode,  TransactionType type,  String? categoryId,  String? notes,  RecurrenceFrequency frequency,  int interval,  int? dayOfMonth,  DateTime startDate,  DateTime? endDate,  DateTime? nextOccurrence,  DateTime createdAt,  DateTime updatedAt)  $default,) {final _that = this;
+switch (_that) {
+case _RecurringTransactionModel():
+return $default(_that.id,_that.name,_that.amount,_that.currencyCode,_that.type,_that.categoryId,_that.notes,_that.frequency,_that.interval,_that.dayOfMonth,_that.startDate,_that.endDate,_that.nextOccurrence,_that.createdAt,_that.updatedAt);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  String name,  double amount,  String currencyCode,  TransactionType type,  String? categoryId,  String? notes,  RecurrenceFrequency frequency,  int interval,  int? dayOfMonth,  DateTime startDate,  DateTime? endDate,  DateTime? nextOccurrence,  DateTime createdAt,  DateTime updatedAt)?  $default,) {final _that = this;
+switch (_that) {
+case _RecurringTransactionModel() when $default != null:
+return $default(_that.id,_that.name,_that.amount,_that.currencyCode,_that.type,_that.categoryId,_that.notes,_that.frequency,_that.interval,_that.dayOfMonth,_that.startDate,_that.endDate,_that.nextOccurrence,_that.createdAt,_that.updatedAt);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+@JsonSerializable()
+
+class _RecurringTransactionModel implements RecurringTransactionModel {
+  const _RecurringTransactionModel({required this.id, required this.name, required this.amount, this.currencyCode = 'USD', required this.type, this.categoryId, this.notes, required this.frequency, required this.interval, this.dayOfMonth, required this.startDate, this.endDate, this.nextOccurrence, required this.createdAt, required this.updatedAt});
+  factory _RecurringTransactionModel.fromJson(Map<String, dynamic> json) => _$RecurringTransactionModelFromJson(json);
+
+@override final  String id;
+@override final  String name;
+@override final  double amount;
+/// ISO 4217 code of [amount], copied to every occurrence
+@override@JsonKey() final  String currencyCode;
+@override final  TransactionType type;
+@override final  String? categoryId;
+@override final  String? notes;
+@override final  RecurrenceFrequency frequency;
+/// Repeat every N periods (1 = every day/week/month)
+@override final  int interval;
+/// Day of month for [RecurrenceFrequency.monthly]
+@override final  int? dayOfMonth;
+/// First possible occurrence (inclusive)
+@override final  DateTime startDate;
+/// Last possible occurrence (inclusive), null = open-ended
+@override final  DateTime? endDate;
+/// Next occurrence not yet materialized, null once the series ended
+@override final  DateTime? nextOccurrence;
+@override final  DateTime createdAt;
+@override final  DateTime updatedAt;
+
+/// Create a copy of RecurringTransactionModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$RecurringTransactionModelCopyWith<_RecurringTransactionModel> get copyWith => __$RecurringTransactionModelCopyWithImpl<_RecurringTransactionModel>(this, _$identity);
+
+@override
+Map<String, dynamic> toJson() {
+  return _$RecurringTransactionModelToJson(this, );
+}
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _RecurringTransactionModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.type, type) || other.type == type)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.notes, notes) || other.notes == notes)&&(identical(other.frequency, frequency) || other.frequency == frequency)&&(identical(other.interval, interval) || other.interval == interval)&&(identical(other.dayOfMonth, dayOfMonth) || other.dayOfMonth == dayOfMonth)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.nextOccurrence, nextOccurrence) || other.nextOccurrence == nextOccurrence)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+@JsonKey(includeFromJson: false, includeToJson: false)
+@override
+int get hashCode => Object.hash(runtimeType,id,name,amount,currencyCode,type,categoryId,notes,frequency,interval,dayOfMonth,startDate,endDate,nextOccurrence,createdAt,updatedAt);
+
+@override
+String toString() {
+  return 'RecurringTransactionModel(id: $id, name: $name, amount: $amount, currencyCode: $currencyCode, type: $type, categoryId: $categoryId, notes: $notes, frequency: $frequency, interval: $interval, dayOfMonth: $dayOfMonth, startDate: $startDate, endDate: $endDate, nextOccurrence: $nextOccurrence, createdAt: $createdAt, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$RecurringTransactionModelCopyWith<$Res> implements $RecurringTransactionModelCopyWith<$Res> {
+  factory _$RecurringTransactionModelCopyWith(_RecurringTransactionModel value, $Res Function(_RecurringTransactionModel) _then) = __$RecurringTransactionModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String id, String name, double amount, String currencyCode, TransactionType type, String? categoryId, String? notes, RecurrenceFrequency frequency, int interval, int? dayOfMonth, DateTime startDate, DateTime? endDate, DateTime? nextOccurrence, DateTime createdAt, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class __$RecurringTransactionModelCopyWithImpl<$Res>
+    implements _$RecurringTransactionModelCopyWith<$Res> {
+  __$RecurringTransactionModelCopyWithImpl(this._self, this._then);
+
+  final _RecurringTransactionModel _self;
+  final $Res Function(_RecurringTransactionModel) _then;
+
+/// Create a copy of RecurringTransactionModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? currencyCode = null,Object? type = null,Object? categoryId = freezed,Object? notes = freezed,Object? frequency = null,Object? interval = null,Object? dayOfMonth = freezed,Object? startDate = null,Object? endDate = freezed,Object? nextOccurrence = freezed,Object? createdAt = null,Object? updatedAt = null,}) {
+  return _then(_RecurringTransactionModel(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
+as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,currencyCode: null == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as TransactionType,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String?,notes: freezed == notes ? _self.notes : notes // ignore: cast_nullable_to_non_nullable
+as String?,frequency: null == frequency ? _self.frequency : frequency // ignore: cast_nullable_to_non_nullable
+as RecurrenceFrequency,interval: null == interval ? _self.interval : interval // ignore: cast_nullable_to_non_nullable
+as int,dayOfMonth: freezed == dayOfMonth ? _self.dayOfMonth : dayOfMonth // ignore: cast_nullable_to_non_nullable
+as int?,startDate: null == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
+as DateTime,endDate: freezed == endDate ? _self.endDate : endDate // ignore: cast_nullable_to_non_nullable
+as DateTime?,nextOccurrence: freezed == nextOccurrence ? _self.nextOccurrence : nextOccurrence // ignore: cast_nullable_to_non_nullable
+as DateTime?,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+
+}
+
+// dart format on
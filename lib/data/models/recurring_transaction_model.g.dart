@@ -0,0 +1,63 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+
+part of 'recurring_transaction_model.dart';
+
+// **************************************************************************
+// JsonSerializableGenerator
+// **************************************************************************
+
+_RecurringTransactionModel _$RecurringTransactionModelFromJson(
+  Map<String, dynamic> json,
+) => _RecurringTransactionModel(
+  id: json['id'] as String,
+  name: json['name'] as String,
+  amount: (json['amount'] as num).toDouble(),
+  currencyCode: json['currencyCode'] as String? ?? 'USD',
+  type: $enumDecode(_$TransactionTypeEnumMap, json['type']),
+  categoryId: json['categoryId'] as String?,
+  notes: json['notes'] as String?,
+  frequency: $enumDecode(_$RecurrenceFrequencyEnumMap, json['frequency']),
+  interval: (json['interval'] as num).toInt(),
+  dayOfMonth: (json['dayOfMonth'] as num?)?.toInt(),
+  startDate: DateTime.parse(json['startDate'] as String),
+  endDate: json['endDate'] == null
+      ? null
+      : DateTime.parse(json['endDate'] as String),
+  nextOccurrence: json['nextOccurrence'] == null
+      ? null
+      : DateTime.parse(json['nextOccurrence'] as String),
+  createdAt: DateTime.parse(json['createdAt'] as String),
+  updatedAt: DateTime.parse(json['updatedAt'] as String),
+);
+
+Map<String, dynamic> _$RecurringTransactionModelToJson(
+  _RecurringTransactionModel instance,
+) => <String, dynamic>{
+  'id': instance.id,
+  'name': instance.name,
+  'amount': instance.amount,
+  'currencyCode': instance.currencyCode,
+  'type': _$TransactionTypeEnumMap[instance.type]!,
+  'categoryId': instance.categoryId,
+  'notes': instance.notes,
+  'frequency': _$RecurrenceFrequencyEnumMap[instance.frequency]!,
+  'interval': instance.interval,
+  'dayOfMonth': instance.dayOfMonth,
+  'startDate': instance.startDate.toIso8601String(),
+  'endDate': instance.endDate?.toIso8601String(),
+  'nextOccurrence': instance.nextOccurrence?.toIso8601String(),
+  'createdAt': instance.createdAt.toIso8601String(),
+  'updatedAt': instance.updatedAt.toIso8601String(),
+};
+
+const _$TransactionTypeEnumMap = {
+  TransactionType.credit: 'credit',
+  TransactionType.debit: 'debit',
+};
+
+const _$RecurrenceFrequencyEnumMap = {
+  RecurrenceFrequency.daily: 'daily',
+  RecurrenceFrequency.weekly: 'weekly',
+  RecurrenceFrequency.monthly: 'monthly',
+  RecurrenceFrequency.lastBusinessDay: 'lastBusinessDay',
+};
@@ -0,0 +1,44 @@
+import 'package:centabit/data/models/transaction_filter.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+import 'package:uuid/uuid.dart';
+
+part 'saved_search_model.freezed.dart';
+
+/// A transaction search pinned under a name.
+///
+/// Keeps the whole [TransactionFilter] (search text and filter sheet
+/// criteria), so applying it restores the list exactly. Saved searches are
+/// device-local (not synced).
+///
+/// **Example**:
+/// ```dart
+/// final search = SavedSearchModel.create(
+///   name: 'Big groceries',
+///   filter: TransactionFilter(categoryIds: {'groceries-id'}, minAmount: 100),
+/// );
+/// ```
+@freezed
+abstract class SavedSearchModel with _$SavedSearchModel {
+  const factory SavedSearchModel({
+    required String id,
+    required String name,
+    required TransactionFilter filter,
+    required DateTime createdAt,
+    required DateTime updatedAt,
+  }) = _SavedSearchModel;
+
+  /// Creates a new saved search with auto-generated ID and timestamps.
+  factory SavedSearchModel.create({
+    required String name,
+    required TransactionFilter filter,
+  }) {
+    final now = DateTime.now();
+    return SavedSearchModel(
+      id: const Uuid().v4(),
+      name: name,
+      filter: filter,
+      createdAt: now,
+      updatedAt: now,
+    );
+  }
+}
@@ -0,0 +1,65 @@
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'spending_period_model.freezed.dart';
+
+/// How an ended budget was spent over its period, learned by
+/// `SpendingHistoryService`.
+///
+/// [checkpoints] hold the net amount spent (debits minus credits, in the
+/// budget's currency) by the end of each day something was spent, plus
+/// day 0 and the last day, so the curve can be interpolated anywhere in
+/// the period.
+///
+/// **Example**:
+/// ```dart
+/// final period = SpendingPeriodModel(
+///   budgetId: 'budget-id',
+///   startDate: DateTime(2025, 1, 1),
+///   endDate: DateTime(2025, 1, 30),
+///   totalBudget: 1500,
+///   checkpoints: const [
+///     SpendingCheckpoint(day: 0, spent: 0),
+///     SpendingCheckpoint(day: 10, spent: 700),
+///     SpendingCheckpoint(day: 30, spent: 1450),
+///   ],
+///   updatedAt: DateTime.now(),
+/// );
+/// ```
+@freezed
+abstract class SpendingPeriodModel with _$SpendingPeriodModel {
+  const factory SpendingPeriodModel({
+    /// Budget the curve was learned from
+    required String budgetId,
+
+    /// First day of the budget period
+    required DateTime startDate,
+
+    /// Last day of the budget period
+    required DateTime endDate,
+
+    /// Sum of the budget's allocations, in the budget's currency
+    required double totalBudget,
+
+    /// Cumulative net spending, ordered by day
+    required List<SpendingCheckpoint> checkpoints,
+
+    /// When the curve was last learned
+    required DateTime updatedAt,
+  }) = _SpendingPeriodModel;
+}
+
+/// Extension methods for SpendingPeriodModel
+extension SpendingPeriodModelExtensions on SpendingPeriodModel {
+  /// Days in the period (inclusive), as counted by the BAR calculation
+  int get totalDays => endDate.difference(startDate).inDays + 1;
+
+  /// Input for [SmartBudgetCalculator]
+  HistoricalSpendingPeriod toHistoricalPeriod() {
+    return HistoricalSpendingPeriod(
+      totalDays: totalDays,
+      totalBudget: totalBudget,
+      checkpoints: checkpoints,
+    );
+  }
+}
@@ -0,0 +1,305 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'spending_period_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$SpendingPeriodModel {
+
+/// Budget the curve was learned from
+ String get budgetId;/// First day of the budget period
+ DateTime get startDate;/// Last day of the budget period
+ DateTime get endDate;/// Sum of the budget's allocations, in the budget's currency
+ double get totalBudget;/// Cumulative net spending, ordered by day
+ List<SpendingCheckpoint> get checkpoints;/// When the curve was last learned
+ DateTime get updatedAt;
+/// Create a copy of SpendingPeriodModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$SpendingPeriodModelCopyWith<SpendingPeriodModel> get copyWith => _$SpendingPeriodModelCopyWithImpl<SpendingPeriodModel>(this as SpendingPeriodModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is SpendingPeriodModel&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.totalBudget, totalBudget) || other.totalBudget == totalBudget)&&const DeepCollectionEquality().equals(other.checkpoints, checkpoints)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,budgetId,startDate,endDate,totalBudget,const DeepCollectionEquality().hash(checkpoints),updatedAt);
+
+@override
+String toString() {
+  return 'SpendingPeriodModel(budgetId: $budgetId, startDate: $startDate, endDate: $endDate, totalBudget: $totalBudget, checkpoints: $checkpoints, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $SpendingPeriodModelCopyWith<$Res>  {
+  factory $SpendingPeriodModelCopyWith(SpendingPeriodModel value, $Res Function(SpendingPeriodModel) _then) = _$SpendingPeriodModelCopyWithImpl;
+@useResult
+$Res call({
+ String budgetId, DateTime startDate, DateTime endDate, double totalBudget, List<SpendingCheckpoint> checkpoints, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class _$SpendingPeriodModelCopyWithImpl<$Res>
+    implements $SpendingPeriodModelCopyWith<$Res> {
+  _$SpendingPeriodModelCopyWithImpl(this._self, this._then);
+
+  final SpendingPeriodModel _self;
+  final $Res Function(SpendingPeriodModel) _then;
+
+/// Create a copy of SpendingPeriodModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? budgetId = null,Object? startDate = null,Object? endDate = null,Object? totalBudget = null,Object? checkpoints = null,Object? updatedAt = null,}) {
+  return _then(_self.copyWith(
+budgetId: null == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String,startDate: null == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
+as DateTime,endDate: null == endDate ? _self.endDate : endDate // ignore: cast_nullable_to_non_nullable
+as DateTime,totalBudget: null == totalBudget ? _self.totalBudget : totalBudget // ignore: cast_nullable_to_non_nullable
+as double,checkpoints: null == checkpoints ? _self.checkpoints : checkpoints // ignore: cast_nullable_to_non_nullable
+as List<SpendingCheckpoint>,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [SpendingPeriodModel].
+extension SpendingPeriodModelPatterns on SpendingPeriodModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _SpendingPeriodModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _SpendingPeriodModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _SpendingPeriodModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _SpendingPeriodModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _SpendingPeriodModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _SpendingPeriodModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String budgetId,  DateTime startDate,  DateTime endDate,  double totalBudget,  List<SpendingCheckpoint> checkpoints,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _SpendingPeriodModel() when $default != null:
+return $default(_that.budgetId,_that.startDate,_that.endDate,_that.totalBudget,_that.checkpoints,_that.updatedAt);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String budgetId,  DateTime startDate,  DateTime endDate,  double totalBudget,  List<SpendingCheckpoint> checkpoints,  DateTime updatedAt)  $default,) {final _that = this;
+switch (_that) {
+case _SpendingPeriodModel():
+return $default(_that.budgetId,_that.startDate,_that.endDate,_that.totalBudget,_that.checkpoints,_that.updatedAt);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String budgetId,  DateTime startDate,  DateTime endDate,  double totalBudget,  List<SpendingCheckpoint> checkpoints,  DateTime updatedAt)?  $default,) {final _that = this;
+switch (_that) {
+case _SpendingPeriodModel() when $default != null:
+return $default(_that.budgetId,_that.startDate,_that.endDate,_that.totalBudget,_that.checkpoints,_that.updatedAt);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _SpendingPeriodModel implements SpendingPeriodModel {
+  const _SpendingPeriodModel({required this.budgetId, required this.startDate, required this.endDate, required this.totalBudget, required final  List<SpendingCheckpoint> checkpoints, required this.updatedAt}): _checkpoints = checkpoints;
+  
+
+/// Budget the curve was learned from
+@override final  String budgetId;
+/// First day of the budget period
+@override final  DateTime startDate;
+/// Last day of the budget period
+@override final  DateTime endDate;
+/// Sum of the budget's allocations, in the budget's currency
+@override final  double totalBudget;
+/// Cumulative net spending, ordered by day
+ final  List<SpendingCheckpoint> _checkpoints;
+/// Cumulative net spending, ordered by day
+@override List<SpendingCheckpoint> get checkpoints {
+  if (_checkpoints is EqualUnmodifiableListView) return _checkpoints;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_checkpoints);
+}
+
+/// When the curve was last learned
+@override final  DateTime updatedAt;
+
+/// Create a copy of SpendingPeriodModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$SpendingPeriodModelCopyWith<_SpendingPeriodModel> get copyWith => __$SpendingPeriodModelCopyWithImpl<_SpendingPeriodModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _SpendingPeriodModel&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.totalBudget, totalBudget) || other.totalBudget == totalBudget)&&const DeepCollectionEquality().equals(other._checkpoints, _checkpoints)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,budgetId,startDate,endDate,totalBudget,const DeepCollectionEquality().hash(_checkpoints),updatedAt);
+
+@override
+String toString() {
+  return 'SpendingPeriodModel(budgetId: $budgetId, startDate: $startDate, endDate: $endDate, totalBudget: $totalBudget, checkpoints: $checkpoints, updatedAt: $updatedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$SpendingPeriodModelCopyWith<$Res> implements $SpendingPeriodModelCopyWith<$Res> {
+  factory _$SpendingPeriodModelCopyWith(_SpendingPeriodModel value, $Res Function(_SpendingPeriodModel) _then) = __$SpendingPeriodModelCopyWithImpl;
+@override @useResult
+$Res call({
+ String budgetId, DateTime startDate, DateTime endDate, double totalBudget, List<SpendingCheckpoint> checkpoints, DateTime updatedAt
+});
+
+
+
+
+}
+/// @nodoc
+class __$SpendingPeriodModelCopyWithImpl<$Res>
+    implements _$SpendingPeriodModelCopyWith<$Res> {
+  __$SpendingPeriodModelCopyWithImpl(this._self, this._then);
+
+  final _SpendingPeriodModel _self;
+  final $Res Function(_SpendingPeriodModel) _then;
+
+/// Create a copy of SpendingPeriodModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? budgetId = null,Object? startDate = null,Object? endDate = null,Object? totalBudget = null,Object? checkpoints = null,Object? updatedAt = null,}) {
+  return _then(_SpendingPeriodModel(
+budgetId: null == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String,startDate: null == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
+as DateTime,endDate: null == endDate ? _self.endDate : endDate // ignore: cast_nullable_to_non_nullable
+as DateTime,totalBudget: null == totalBudget ? _self.totalBudget : totalBudget // ignore: cast_nullable_to_non_nullable
+as double,checkpoints: null == checkpoints ? _self._checkpoints : checkpoints // ignore: cast_nullable_to_non_nullable
+as List<SpendingCheckpoint>,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+
+}
+
+// dart format on
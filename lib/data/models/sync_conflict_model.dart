@@ -0,0 +1,21 @@
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'sync_conflict_model.freezed.dart';
+
+/// A record edited on this device and on another one since the last sync
+///
+/// [local] and [remote] are the JSON forms of the two row versions (as
+/// stored by the sync engine), so one model covers every entity type.
+@freezed
+abstract class SyncConflictModel with _$SyncConflictModel {
+  const factory SyncConflictModel({
+    required int id,
+    required SyncEntityType entityType,
+    required String entityId,
+    required Map<String, dynamic> local,
+    required Map<String, dynamic> remote,
+    required List<String> conflictingFields,
+    required DateTime detectedAt,
+  }) = _SyncConflictModel;
+}
@@ -0,0 +1,307 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'sync_conflict_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$SyncConflictModel {
+
+ int get id; SyncEntityType get entityType; String get entityId; Map<String, dynamic> get local; Map<String, dynamic> get remote; List<String> get conflictingFields; DateTime get detectedAt;
+/// Create a copy of SyncConflictModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$SyncConflictModelCopyWith<SyncConflictModel> get copyWith => _$SyncConflictModelCopyWithImpl<SyncConflictModel>(this as SyncConflictModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is SyncConflictModel&&(identical(other.id, id) || other.id == id)&&(identical(other.entityType, entityType) || other.entityType == entityType)&&(identical(other.entityId, entityId) || other.entityId == entityId)&&const DeepCollectionEquality().equals(other.local, local)&&const DeepCollectionEquality().equals(other.remote, remote)&&const DeepCollectionEquality().equals(other.conflictingFields, conflictingFields)&&(identical(other.detectedAt, detectedAt) || other.detectedAt == detectedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,entityType,entityId,const DeepCollectionEquality().hash(local),const DeepCollectionEquality().hash(remote),const DeepCollectionEquality().hash(conflictingFields),detectedAt);
+
+@override
+String toString() {
+  return 'SyncConflictModel(id: $id, entityType: $entityType, entityId: $entityId, local: $local, remote: $remote, conflictingFields: $conflictingFields, detectedAt: $detectedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $SyncConflictModelCopyWith<$Res>  {
+  factory $SyncConflictModelCopyWith(SyncConflictModel value, $Res Function(SyncConflictModel) _then) = _$SyncConflictModelCopyWithImpl;
+@useResult
+$Res call({
+ int id, SyncEntityType entityType, String entityId, Map<String, dynamic> local, Map<String, dynamic> remote, List<String> conflictingFields, DateTime detectedAt
+});
+
+
+
+
+}
+/// @nodoc
+class _$SyncConflictModelCopyWithImpl<$Res>
+    implements $SyncConflictModelCopyWith<$Res> {
+  _$SyncConflictModelCopyWithImpl(this._self, this._then);
+
+  final SyncConflictModel _self;
+  final $Res Function(SyncConflictModel) _then;
+
+/// Create a copy of SyncConflictModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? entityType = null,Object? entityId = null,Object? local = null,Object? remote = null,Object? conflictingFields = null,Object? detectedAt = null,}) {
+  return _then(_self.copyWith(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as int,entityType: null == entityType ? _self.entityType : entityType // ignore: cast_nullable_to_non_nullable
+as SyncEntityType,entityId: null == entityId ? _self.entityId : entityId // ignore: cast_nullable_to_non_nullable
+as String,local: null == local ? _self.local : local // ignore: cast_nullable_to_non_nullable
+as Map<String, dynamic>,remote: null == remote ? _self.remote : remote // ignore: cast_nullable_to_non_nullable
+as Map<String, dynamic>,conflictingFields: null == conflictingFields ? _self.conflictingFields : conflictingFields // ignore: cast_nullable_to_non_nullable
+as List<String>,detectedAt: null == detectedAt ? _self.detectedAt : detectedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [SyncConflictModel].
+extension SyncConflictModelPatterns on SyncConflictModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _SyncConflictModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _SyncConflictModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _SyncConflictModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _SyncConflictModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _SyncConflictModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _SyncConflictModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( int id,  SyncEntityType entityType,  String entityId,  Map<String, dynamic> local,  Map<String, dynamic> remote,  List<String> conflictingFields,  DateTime detectedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _SyncConflictModel() when $default != null:
+return $default(_that.id,_that.entityType,_that.entityId,_that.local,_that.remote,_that.conflictingFields,_that.detectedAt);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( int id,  SyncEntityType entityType,  String entityId,  Map<String, dynamic> local,  Map<String, dynamic> remote,  List<String> conflictingFields,  DateTime detectedAt)  $default,) {final _that = this;
+switch (_that) {
+case _SyncConflictModel():
+return $default(_that.id,_that.entityType,_that.entityId,_that.local,_that.remote,_that.conflictingFields,_that.detectedAt);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( int id,  SyncEntityType entityType,  String entityId,  Map<String, dynamic> local,  Map<String, dynamic> remote,  List<String> conflictingFields,  DateTime detectedAt)?  $default,) {final _that = this;
+switch (_that) {
+case _SyncConflictModel() when $default != null:
+return $default(_that.id,_that.entityType,_that.entityId,_that.local,_that.remote,_that.conflictingFields,_that.detectedAt);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _SyncConflictModel implements SyncConflictModel {
+  const _SyncConflictModel({required this.id, required this.entityType, required this.entityId, required final  Map<String, dynamic> local, required final  Map<String, dynamic> remote, required final  List<String> conflictingFields, required this.detectedAt}): _local = local, _remote = remote, _conflictingFields = conflictingFields;
+  
+
+@override final  int id;
+@override final  SyncEntityType entityType;
+@override final  String entityId;
+ final  Map<String, dynamic> _local;
+@override Map<String, dynamic> get local {
+  if (_local is EqualUnmodifiableMapView) return _local;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableMapView(_local);
+}
+
+ final  Map<String, dynamic> _remote;
+@override Map<String, dynamic> get remote {
+  if (_remote is EqualUnmodifiableMapView) return _remote;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableMapView(_remote);
+}
+
+ final  List<String> _conflictingFields;
+@override List<String> get conflictingFields {
+  if (_conflictingFields is EqualUnmodifiableListView) return _conflictingFields;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_conflictingFields);
+}
+
+@override final  DateTime detectedAt;
+
+/// Create a copy of SyncConflictModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$SyncConflictModelCopyWith<_SyncConflictModel> get copyWith => __$SyncConflictModelCopyWithImpl<_SyncConflictModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _SyncConflictModel&&(identical(other.id, id) || other.id == id)&&(identical(other.entityType, entityType) || other.entityType == entityType)&&(identical(other.entityId, entityId) || other.entityId == entityId)&&const DeepCollectionEquality().equals(other._local, _local)&&const DeepCollectionEquality().equals(other._remote, _remote)&&const DeepCollectionEquality().equals(other._conflictingFields, _conflictingFields)&&(identical(other.detectedAt, detectedAt) || other.detectedAt == detectedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,id,entityType,entityId,const DeepCollectionEquality().hash(_local),const DeepCollectionEquality().hash(_remote),const DeepCollectionEquality().hash(_conflictingFields),detectedAt);
+
+@override
+String toString() {
+  return 'SyncConflictModel(id: $id, entityType: $entityType, entityId: $entityId, local: $local, remote: $remote, conflictingFields: $conflictingFields, detectedAt: $detectedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$SyncConflictModelCopyWith<$Res> implements $SyncConflictModelCopyWith<$Res> {
+  factory _$SyncConflictModelCopyWith(_SyncConflictModel value, $Res Function(_SyncConflictModel) _then) = __$SyncConflictModelCopyWithImpl;
+@override @useResult
+$Res call({
+ int id, SyncEntityType entityType, String entityId, Map<String, dynamic> local, Map<String, dynamic> remote, List<String> conflictingFields, DateTime detectedAt
+});
+
+
+
+
+}
+/// @nodoc
+class __$SyncConflictModelCopyWithImpl<$Res>
+    implements _$SyncConflictModelCopyWith<$Res> {
+  __$SyncConflictModelCopyWithImpl(this._self, this._then);
+
+  final _SyncConflictModel _self;
+  final $Res Function(_SyncConflictModel) _then;
+
+/// Create a copy of SyncConflictModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? entityType = null,Object? entityId = null,Object? local = null,Object? remote = null,Object? conflictingFields = null,Object? detectedAt = null,}) {
+  return _then(_SyncConflictModel(
+id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as int,entityType: null == entityType ? _self.entityType : entityType // ignore: cast_nullable_to_non_nullable
+as SyncEntityType,entityId: null == entityId ? _self.entityId : entityId // ignore: cast_nullable_to_non_nullable
+as String,local: null == local ? _self._local : local // ignore: cast_nullable_to_non_nullable
+as Map<String, dynamic>,remote: null == remote ? _self._remote : remote // ignore: cast_nullable_to_non_nullable
+as Map<String, dynamic>,conflictingFields: null == conflictingFields ? _self._conflictingFields : conflictingFields // ignore: cast_nullable_to_non_nullable
+as List<String>,detectedAt: null == detectedAt ? _self.detectedAt : detectedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+
+}
+
+// dart format on
@@ -0,0 +1,109 @@
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'transaction_filter.freezed.dart';
+part 'transaction_filter.g.dart';
+
+/// Criteria the transaction list is narrowed by, combined with AND.
+///
+/// Applied in the database query (`TransactionLocalSource
+/// .getFilteredPage`), not in memory. Unset criteria match every
+/// transaction, so the default filter lists them all.
+///
+/// Amounts are compared as entered, in each transaction's own currency.
+/// JSON-serializable so saved searches can store it.
+///
+/// **Example**:
+/// ```dart
+/// // Expenses of 50 or more in January, in groceries or dining
+/// final filter = TransactionFilter(
+///   type: TransactionType.debit,
+///   categoryIds: {'groceries-id', 'dining-id'},
+///   minAmount: 50,
+///   startDate: DateTime(2025, 1, 1),
+///   endDate: DateTime(2025, 1, 31),
+/// );
+/// ```
+@freezed
+abstract class TransactionFilter with _$TransactionFilter {
+  const factory TransactionFilter({
+    /// Full-text search in the name, notes and category name (search bar)
+    @Default('') String query,
+
+    /// Debits or credits only (both when null)
+    TransactionType? type,
+
+    /// Any of these categories (all when empty)
+    @Default(<String>{}) Set<String> categoryIds,
+
+    /// Linked to this budget
+    String? budgetId,
+
+    /// Linked to no budget (takes precedence over [budgetId])
+    @Default(false) bool unassignedOnly,
+
+    /// Inclusive amount range
+    double? minAmount,
+    double? maxAmount,
+
+    /// Inclusive date range, whole days
+    DateTime? startDate,
+    DateTime? endDate,
+
+    /// With notes only
+    @Default(false) bool hasNotes,
+  }) = _TransactionFilter;
+
+  factory TransactionFilter.fromJson(Map<String, dynamic> json) =>
+      _$TransactionFilterFromJson(json);
+}
+
+/// A transaction matching a [TransactionFilter]
+///
+/// With a search query, [nameHighlight] is the name with its matched terms
+/// marked (see `SearchHighlight`), and [notesSnippet] the part of the notes
+/// around a match when the notes matched. Both are null otherwise.
+typedef TransactionSearchHit = ({
+  TransactionModel transaction,
+  String? nameHighlight,
+  String? notesSnippet,
+});
+
+/// Where the next page of a filtered list starts (keyset pagination)
+///
+/// Returned with each page: pass it back to get the rows after it. Opaque
+/// to callers; [rank] and [match] are only set by a search, which pages by
+/// relevance rather than by date.
+typedef TransactionCursor = ({
+  DateTime date,
+  String id,
+  double? rank,
+  String? match,
+});
+
+/// One page of a filtered list, and where the next one starts (null on
+/// the last page)
+typedef TransactionPage = ({
+  List<TransactionSearchHit> hits,
+  TransactionCursor? next,
+});
+
+/// Extension methods for TransactionFilter
+extension TransactionFilterExtensions on TransactionFilter {
+  /// Number of criteria set besides the search [TransactionFilter.query]
+  /// (badge on the filter button)
+  int get activeCount => [
+        type != null,
+        categoryIds.isNotEmpty,
+        budgetId != null || unassignedOnly,
+        minAmount != null || maxAmount != null,
+        startDate != null || endDate != null,
+        hasNotes,
+      ].where((isSet) => isSet).length;
+
+  /// Whether any criterion, search included, narrows the list
+  bool get isActive => query.isNotEmpty || activeCount > 0;
+
+  /// This filter without criteria, keeping the search query
+  TransactionFilter get withoutCriteria => TransactionFilter(query: query);
+}
@@ -0,0 +1,327 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'transaction_filter.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+
+/// @nodoc
+mixin _$TransactionFilter {
+
+/// Text searched in the name and the category name (search bar)
+ String get query;/// Debits or credits only (both when null)
+ TransactionType? get type;/// Any of these categories (all when empty)
+ Set<String> get categoryIds;/// Linked to this budget
+ String? get budgetId;/// Linked to no budget (takes precedence over [budgetId])
+ bool get unassignedOnly;/// Inclusive amount range
+ double? get minAmount; double? get maxAmount;/// Inclusive date range, whole days
+ DateTime? get startDate; DateTime? get endDate;/// With notes only
+ bool get hasNotes;
+/// Create a copy of TransactionFilter
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$TransactionFilterCopyWith<TransactionFilter> get copyWith => _$TransactionFilterCopyWithImpl<TransactionFilter>(this as TransactionFilter, _$identity);
+
+  /// Serializes this TransactionFilter to a JSON map.
+  Map<String, dynamic> toJson();
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is TransactionFilter&&(identical(other.query, query) || other.query == query)&&(identical(other.type, type) || other.type == type)&&const DeepCollectionEquality().equals(other.categoryIds, categoryIds)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.unassignedOnly, unassignedOnly) || other.unassignedOnly == unassignedOnly)&&(identical(other.minAmount, minAmount) || other.minAmount == minAmount)&&(identical(other.maxAmount, maxAmount) || other.maxAmount == maxAmount)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.hasNotes, hasNotes) || other.hasNotes == hasNotes));
+}
+
+@JsonKey(includeFromJson: false, includeToJson: false)
+@override
+int get hashCode => Object.hash(runtimeType,query,type,const DeepCollectionEquality().hash(categoryIds),budgetId,unassignedOnly,minAmount,maxAmount,startDate,endDate,hasNotes);
+
+@override
+String toString() {
+  return 'TransactionFilter(query: $query, type: $type, categoryIds: $categoryIds, budgetId: $budgetId, unassignedOnly: $unassignedOnly, minAmount: $minAmount, maxAmount: $maxAmount, startDate: $startDate, endDate: $endDate, hasNotes: $hasNotes)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $TransactionFilterCopyWith<$Res>  {
+  factory $TransactionFilterCopyWith(TransactionFilter value, $Res Function(TransactionFilter) _then) = _$TransactionFilterCopyWithImpl;
+@useResult
+$Res call({
+ String query, TransactionType? type, Set<String> categoryIds, String? budgetId, bool unassignedOnly, double? minAmount, double? maxAmount, DateTime? startDate, DateTime? endDate, bool hasNotes
+});
+
+
+
+
+}
+/// @nodoc
+class _$TransactionFilterCopyWithImpl<$Res>
+    implements $TransactionFilterCopyWith<$Res> {
+  _$TransactionFilterCopyWithImpl(this._self, this._then);
+
+  final TransactionFilter _self;
+  final $Res Function(TransactionFilter) _then;
+
+/// Create a copy of TransactionFilter
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? query = null,Object? type = freezed,Object? categoryIds = null,Object? budgetId = freezed,Object? unassignedOnly = null,Object? minAmount = freezed,Object? maxAmount = freezed,Object? startDate = freezed,Object? endDate = freezed,Object? hasNotes = null,}) {
+  return _then(_self.copyWith(
+query: null == query ? _self.query : query // ignore: cast_nullable_to_non_nullable
+as String,type: freezed == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as TransactionType?,categoryIds: null == categoryIds ? _self.categoryIds : categoryIds // ignore: cast_nullable_to_non_nullable
+as Set<String>,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String?,unassignedOnly: null == unassignedOnly ? _self.unassignedOnly : unassignedOnly // ignore: cast_nullable_to_non_nullable
+as bool,minAmount: freezed == minAmount ? _self.minAmount : minAmount // ignore: cast_nullable_to_non_nullable
+as double?,maxAmount: freezed == maxAmount ? _self.maxAmount : maxAmount // ignore: cast_nullable_to_non_nullable
+as double?,startDate: freezed == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
+as DateTime?,endDate: freezed == endDate ? _self.endDate : endDate // ignore: cast_nullable_to_non_nullable
+as DateTime?,hasNotes: null == hasNotes ? _self.hasNotes : hasNotes // ignore: cast_nullable_to_non_nullable
+as bool,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [TransactionFilter].
+extension TransactionFilterPatterns on TransactionFilter {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _TransactionFilter value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _TransactionFilter() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _TransactionFilter value)  $default,){
+final _that = this;
+switch (_that) {
+case _TransactionFilter():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _TransactionFilter value)?  $default,){
+final _that = this;
+switch (_that) {
+case _TransactionFilter() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String query,  TransactionType? type,  Set<String> categoryIds,  String? budgetId,  bool unassignedOnly,  double? minAmount,  double? maxAmount,  DateTime? startDate,  DateTime? endDate,  bool hasNotes)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _TransactionFilter() when $default != null:
+return $default(_that.query,_that.type,_that.categoryIds,_that.budgetId,_that.unassignedOnly,_that.minAmount,_that.maxAmount,_that.startDate,_that.endDate,_that.hasNotes);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String query,  TransactionType? type,  Set<String> categoryIds,  String? budgetId,  bool unassignedOnly,  double? minAmount,  double? maxAmount,  DateTime? startDate,  DateTime? endDate,  bool hasNotes)  $default,) {final _that = this;
+switch (_that) {
+case _TransactionFilter():
+return $default(_that.query,_that.type,_that.categoryIds,_that.budgetId,_that.unassignedOnly,_that.minAmount,_that.maxAmount,_that.startDate,_that.endDate,_that.hasNotes);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String query,  TransactionType? type,  Set<String> categoryIds,  String? budgetId,  bool unassignedOnly,  double? minAmount,  double? maxAmount,  DateTime? startDate,  DateTime? endDate,  bool hasNotes)?  $default,) {final _that = this;
+switch (_that) {
+case _TransactionFilter() when $default != null:
+return $default(_that.query,_that.type,_that.categoryIds,_that.budgetId,_that.unassignedOnly,_that.minAmount,_that.maxAmount,_that.startDate,_that.endDate,_that.hasNotes);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+@JsonSerializable()
+
+class _TransactionFilter implements TransactionFilter {
+  const _TransactionFilter({this.query = '', this.type, final  Set<String> categoryIds = <String>{}, this.budgetId, this.unassignedOnly = false, this.minAmount, this.maxAmount, this.startDate, this.endDate, this.hasNotes = false}): _categoryIds = categoryIds;
+  factory _TransactionFilter.fromJson(Map<String, dynamic> json) => _$TransactionFilterFromJson(json);
+
+/// Text searched in the name and the category name (search bar)
+@override@JsonKey() final  String query;
+/// Debits or credits only (both when null)
+@override final  TransactionType? type;
+/// Any of these categories (all when empty)
+ final  Set<String> _categoryIds;
+/// Any of these categories (all when empty)
+@override@JsonKey() Set<String> get categoryIds {
+  if (_categoryIds is EqualUnmodifiableSetView) return _categoryIds;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableSetView(_categoryIds);
+}
+
+/// Linked to this budget
+@override final  String? budgetId;
+/// Linked to no budget (takes precedence over [budgetId])
+@override@JsonKey() final  bool unassignedOnly;
+/// Inclusive amount range
+@override final  double? minAmount;
+@override final  double? maxAmount;
+/// Inclusive date range, whole days
+@override final  DateTime? startDate;
+@override final  DateTime? endDate;
+/// With notes only
+@override@JsonKey() final  bool hasNotes;
+
+/// Create a copy of TransactionFilter
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$TransactionFilterCopyWith<_TransactionFilter> get copyWith => __$TransactionFilterCopyWithImpl<_TransactionFilter>(this, _$identity);
+
+@override
+Map<String, dynamic> toJson() {
+  return _$TransactionFilterToJson(this, );
+}
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _TransactionFilter&&(identical(other.query, query) || other.query == query)&&(identical(other.type, type) || other.type == type)&&const DeepCollectionEquality().equals(other._categoryIds, _categoryIds)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.unassignedOnly, unassignedOnly) || other.unassignedOnly == unassignedOnly)&&(identical(other.minAmount, minAmount) || other.minAmount == minAmount)&&(identical(other.maxAmount, maxAmount) || other.maxAmount == maxAmount)&&(identical(other.startDate, startDate) || other.startDate == startDate)&&(identical(other.endDate, endDate) || other.endDate == endDate)&&(identical(other.hasNotes, hasNotes) || other.hasNotes == hasNotes));
+}
+
+@JsonKey(includeFromJson: false, includeToJson: false)
+@override
+int get hashCode => Object.hash(runtimeType,query,type,const DeepCollectionEquality().hash(_categoryIds),budgetId,unassignedOnly,minAmount,maxAmount,startDate,endDate,hasNotes);
+
+@override
+String toString() {
+  return 'TransactionFilter(query: $query, type: $type, categoryIds: $categoryIds, budgetId: $budgetId, unassignedOnly: $unassignedOnly, minAmount: $minAmount, maxAmount: $maxAmount, startDate: $startDate, endDate: $endDate, hasNotes: $hasNotes)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$TransactionFilterCopyWith<$Res> implements $TransactionFilterCopyWith<$Res> {
+  factory _$TransactionFilterCopyWith(_TransactionFilter value, $Res Function(_TransactionFilter) _then) = __$TransactionFilterCopyWithImpl;
+@override @useResult
+$Res call({
+ String query, TransactionType? type, Set<String> categoryIds, String? budgetId, bool unassignedOnly, double? minAmount, double? maxAmount, DateTime? startDate, DateTime? endDate, bool hasNotes
+});
+
+
+
+
+}
+/// @nodoc
+class __$TransactionFilterCopyWithImpl<$Res>
+    implements _$TransactionFilterCopyWith<$Res> {
+  __$TransactionFilterCopyWithImpl(this._self, this._then);
+
+  final _TransactionFilter _self;
+  final $Res Function(_TransactionFilter) _then;
+
+/// Create a copy of TransactionFilter
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? query = null,Object? type = freezed,Object? categoryIds = null,Object? budgetId = freezed,Object? unassignedOnly = null,Object? minAmount = freezed,Object? maxAmount = freezed,Object? startDate = freezed,Object? endDate = freezed,Object? hasNotes = null,}) {
+  return _then(_TransactionFilter(
+query: null == query ? _self.query : query // ignore: cast_nullable_to_non_nullable
+as String,type: freezed == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as TransactionType?,categoryIds: null == categoryIds ? _self._categoryIds : categoryIds // ignore: cast_nullable_to_non_nullable
+as Set<String>,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String?,unassignedOnly: null == unassignedOnly ? _self.unassignedOnly : unassignedOnly // ignore: cast_nullable_to_non_nullable
+as bool,minAmount: freezed == minAmount ? _self.minAmount : minAmount // ignore: cast_nullable_to_non_nullable
+as double?,maxAmount: freezed == maxAmount ? _self.maxAmount : maxAmount // ignore: cast_nullable_to_non_nullable
+as double?,startDate: freezed == startDate ? _self.startDate : startDate // ignore: cast_nullable_to_non_nullable
+as DateTime?,endDate: freezed == endDate ? _self.endDate : endDate // ignore: cast_nullable_to_non_nullable
+as DateTime?,hasNotes: null == hasNotes ? _self.hasNotes : hasNotes // ignore: cast_nullable_to_non_nullable
+as bool,
+  ));
+}
+
+
+}
+
+// dart format on
@@ -0,0 +1,48 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+
+part of 'transaction_filter.dart';
+
+// **************************************************************************
+// JsonSerializableGenerator
+// **************************************************************************
+
+_TransactionFilter _$TransactionFilterFromJson(Map<String, dynamic> json) =>
+    _TransactionFilter(
+      query: json['query'] as String? ?? '',
+      type: $enumDecodeNullable(_$TransactionTypeEnumMap, json['type']),
+      categoryIds:
+          (json['categoryIds'] as List<dynamic>?)
+              ?.map((e) => e as String)
+              .toSet() ??
+          const <String>{},
+      budgetId: json['budgetId'] as String?,
+      unassignedOnly: json['unassignedOnly'] as bool? ?? false,
+      minAmount: (json['minAmount'] as num?)?.toDouble(),
+      maxAmount: (json['maxAmount'] as num?)?.toDouble(),
+      startDate: json['startDate'] == null
+          ? null
+          : DateTime.parse(json['startDate'] as String),
+      endDate: json['endDate'] == null
+          ? null
+          : DateTime.parse(json['endDate'] as String),
+      hasNotes: json['hasNotes'] as bool? ?? false,
+    );
+
+Map<String, dynamic> _$TransactionFilterToJson(_TransactionFilter instance) =>
+    <String, dynamic>{
+      'query': instance.query,
+      'type': _$TransactionTypeEnumMap[instance.type],
+      'categoryIds': instance.categoryIds.toList(),
+      'budgetId': instance.budgetId,
+      'unassignedOnly': instance.unassignedOnly,
+      'minAmount': instance.minAmount,
+      'maxAmount': instance.maxAmount,
+      'startDate': instance.startDate?.toIso8601String(),
+      'endDate': instance.endDate?.toIso8601String(),
+      'hasNotes': instance.hasNotes,
+    };
+
+const _$TransactionTypeEnumMap = {
+  TransactionType.credit: 'credit',
+  TransactionType.debit: 'debit',
+};
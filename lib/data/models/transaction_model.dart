@@ -1,3 +1,4 @@
+import 'package:centabit/data/models/transaction_split_model.dart';
 import 'package:freezed_annotation/freezed_annotation.dart';
 import 'package:uuid/uuid.dart';
 
@@ -22,11 +23,18 @@ abstract class TransactionModel with _$TransactionModel {
     required String id,
     required String name,
     required double amount,
+    @Default('USD') String currencyCode, // ISO 4217 code of [amount]
     String? categoryId,
     String? budgetId,
     required DateTime transactionDate,
     required TransactionType type,
     String? notes,
+    String? recurringId, // Set when materialized from a recurring series
+
+    /// Lines splitting the amount across categories and budgets; empty
+    /// when not split. A split transaction has no [categoryId] or
+    /// [budgetId] of its own: its lines have them.
+    @Default([]) List<TransactionSplitModel> splits,
     required DateTime createdAt,
     required DateTime updatedAt,
   }) = _TransactionModel;
@@ -37,21 +45,25 @@ abstract class TransactionModel with _$TransactionModel {
     required String name,
     required double amount,
     required TransactionType type,
+    String currencyCode = 'USD',
     DateTime? transactionDate,
     String? categoryId,
     String? budgetId,
     String? notes,
+    List<TransactionSplitModel> splits = const [],
   }) {
     final now = DateTime.now();
     return TransactionModel(
       id: const Uuid().v4(),
       name: name,
       amount: amount,
+      currencyCode: currencyCode,
       transactionDate: transactionDate ?? now,
       categoryId: categoryId,
       type: type,
       budgetId: budgetId,
       notes: notes,
+      splits: splits,
       createdAt: now,
       updatedAt: now,
     );
@@ -59,3 +71,24 @@ abstract class TransactionModel with _$TransactionModel {
 }
 
 enum TransactionType { credit, debit }
+
+/// Split lines of a transaction
+extension TransactionSplitExtensions on TransactionModel {
+  /// Whether the amount is split across several lines
+  bool get isSplit => splits.isNotEmpty;
+
+  /// Where the amount goes: the split lines, or one line with the
+  /// transaction's own amount, category and budget
+  ///
+  /// Anything attributing amounts to categories or budgets reads this, so
+  /// split and unsplit transactions are summed the same way.
+  List<TransactionSplitModel> get lines => isSplit
+      ? splits
+      : [
+          TransactionSplitModel(
+            amount: amount,
+            categoryId: categoryId,
+            budgetId: budgetId,
+          ),
+        ];
+}
@@ -15,7 +15,10 @@ T _$identity<T>(T value) => value;
 /// @nodoc
 mixin _$TransactionModel {
 
- String get id; String get name; double get amount; String? get categoryId; String? get budgetId; DateTime get transactionDate; TransactionType get type; String? get notes; DateTime get createdAt; DateTime get updatedAt;
+ String get id; String get name; double get amount; String get currencyCode; String? get categoryId; String? get budgetId; DateTime get transactionDate; TransactionType get type; String? get notes; String? get recurringId;/// Lines splitting the amount across categories and budgets; empty
+/// when not split. A split transaction has no [categoryId] or
+/// [budgetId] of its own: its lines have them.
+ List<TransactionSplitModel> get splits; DateTime get createdAt; DateTime get updatedAt;
 /// Create a copy of TransactionModel
 /// with the given fields replaced by the non-null parameter values.
 @JsonKey(includeFromJson: false, includeToJson: false)
@@ -28,16 +31,16 @@ $TransactionModelCopyWith<TransactionModel> get copyWith => _$TransactionModelCo
 
 @override
 bool operator ==(Object other) {
-  return identical(this, other) || (other.runtimeType == runtimeType&&other is TransactionModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.transactionDate, transactionDate) || other.transactionDate == transactionDate)&&(identical(other.type, type) || other.type == type)&&(identical(other.notes, notes) || other.notes == notes)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is TransactionModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.transactionDate, transactionDate) || other.transactionDate == transactionDate)&&(identical(other.type, type) || other.type == type)&&(identical(other.notes, notes) || other.notes == notes)&&(identical(other.recurringId, recurringId) || other.recurringId == recurringId)&&const DeepCollectionEquality().equals(other.splits, splits)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
 }
 
 @JsonKey(includeFromJson: false, includeToJson: false)
 @override
-int get hashCode => Object.hash(runtimeType,id,name,amount,categoryId,budgetId,transactionDate,type,notes,createdAt,updatedAt);
+int get hashCode => Object.hash(runtimeType,id,name,amount,currencyCode,categoryId,budgetId,transactionDate,type,notes,recurringId,const DeepCollectionEquality().hash(splits),createdAt,updatedAt);
 
 @override
 String toString() {
-  return 'TransactionModel(id: $id, name: $name, amount: $amount, categoryId: $categoryId, budgetId: $budgetId, transactionDate: $transactionDate, type: $type, notes: $notes, createdAt: $createdAt, updatedAt: $updatedAt)';
+  return 'TransactionModel(id: $id, name: $name, amount: $amount, currencyCode: $currencyCode, categoryId: $categoryId, budgetId: $budgetId, transactionDate: $transactionDate, type: $type, notes: $notes, recurringId: $recurringId, splits: $splits, createdAt: $createdAt, updatedAt: $updatedAt)';
 }
 
 
@@ -48,7 +51,7 @@ abstract mixin class $TransactionModelCopyWith<$Res>  {
   factory $TransactionModelCopyWith(TransactionModel value, $Res Function(TransactionModel) _then) = _$TransactionModelCopyWithImpl;
 @useResult
 $Res call({
- String id, String name, double amount, String? categoryId, String? budgetId, DateTime transactionDate, TransactionType type, String? notes, DateTime createdAt, DateTime updatedAt
+ String id, String name, double amount, String currencyCode, String? categoryId, String? budgetId, DateTime transactionDate, TransactionType type, String? notes, String? recurringId, List<TransactionSplitModel> splits, DateTime createdAt, DateTime updatedAt
 });
 
 
@@ -65,17 +68,20 @@ class _$TransactionModelCopyWithImpl<$Res>
 
 /// Create a copy of TransactionModel
 /// with the given fields replaced by the non-null parameter values.
-@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? categoryId = freezed,Object? budgetId = freezed,Object? transactionDate = null,Object? type = null,Object? notes = freezed,Object? createdAt = null,Object? updatedAt = null,}) {
+@pragma('vm:prefer-inline') @override $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? currencyCode = null,Object? categoryId = freezed,Object? budgetId = freezed,Object? transactionDate = null,Object? type = null,Object? notes = freezed,Object? recurringId = freezed,Object? splits = null,Object? createdAt = null,Object? updatedAt = null,}) {
   return _then(_self.copyWith(
 id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
 as String,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
 as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
-as double,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as double,currencyCode: null == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
 as String?,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
 as String?,transactionDate: null == transactionDate ? _self.transactionDate : transactionDate // ignore: cast_nullable_to_non_nullable
 as DateTime,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
 as TransactionType,notes: freezed == notes ? _self.notes : notes // ignore: cast_nullable_to_non_nullable
-as String?,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as String?,recurringId: freezed == recurringId ? _self.recurringId : recurringId // ignore: cast_nullable_to_non_nullable
+as String?,splits: null == splits ? _self.splits : splits // ignore: cast_nullable_to_non_nullable
+as List<TransactionSplitModel>,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
 as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
 as DateTime,
   ));
@@ -162,10 +168,10 @@ return $default(_that);case _:
 /// }
 /// ```
 
-@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  String? categoryId,  String? budgetId,  DateTime transactionDate,  TransactionType type,  String? notes,  DateTime createdAt,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  String currencyCode,  String? categoryId,  String? budgetId,  DateTime transactionDate,  TransactionType type,  String? notes,  String? recurringId,  List<TransactionSplitModel> splits,  DateTime createdAt,  DateTime updatedAt)?  $default,{required TResult orElse(),}) {final _that = this;
 switch (_that) {
 case _TransactionModel() when $default != null:
-return $default(_that.id,_that.name,_that.amount,_that.categoryId,_that.budgetId,_that.transactionDate,_that.type,_that.notes,_that.createdAt,_that.updatedAt);case _:
+return $default(_that.id,_that.name,_that.amount,_that.currencyCode,_that.categoryId,_that.budgetId,_that.transactionDate,_that.type,_that.notes,_that.recurringId,_that.splits,_that.createdAt,_that.updatedAt);case _:
   return orElse();
 
 }
@@ -183,10 +189,10 @@ return $default(_that.id,_that.name,_that.amount,_that.categoryId,_that.budgetId
 /// }
 /// ```
 
-@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  String? categoryId,  String? budgetId,  DateTime transactionDate,  TransactionType type,  String? notes,  DateTime createdAt,  DateTime updatedAt)  $default,) {final _that = this;
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( String id,  String name,  double amount,  String currencyCode,  String? categoryId,  String? budgetId,  DateTime transactionDate,  TransactionType type,  String? notes,  String? recurringId,  List<TransactionSplitModel> splits,  DateTime createdAt,  DateTime updatedAt)  $default,) {final _that = this;
 switch (_that) {
 case _TransactionModel():
-return $default(_that.id,_that.name,_that.amount,_that.categoryId,_that.budgetId,_that.transactionDate,_that.type,_that.notes,_that.createdAt,_that.updatedAt);case _:
+return $default(_that.id,_that.name,_that.amount,_that.currencyCode,_that.categoryId,_that.budgetId,_that.transactionDate,_that.type,_that.notes,_that.recurringId,_that.splits,_that.createdAt,_that.updatedAt);case _:
   throw StateError('Unexpected subclass');
 
 }
@@ -203,10 +209,10 @@ return $default(_that.id,_that.name,_that.amount,_that.categoryId,_that.budgetId
 /// }
 /// ```
 
-@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  String name,  double amount,  String? categoryId,  String? budgetId,  DateTime transactionDate,  TransactionType type,  String? notes,  DateTime createdAt,  DateTime updatedAt)?  $default,) {final _that = this;
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( String id,  String name,  double amount,  String currencyCode,  String? categoryId,  String? budgetId,  DateTime transactionDate,  TransactionType type,  String? notes,  String? recurringId,  List<TransactionSplitModel> splits,  DateTime createdAt,  DateTime updatedAt)?  $default,) {final _that = this;
 switch (_that) {
 case _TransactionModel() when $default != null:
-return $default(_that.id,_that.name,_that.amount,_that.categoryId,_that.budgetId,_that.transactionDate,_that.type,_that.notes,_that.createdAt,_that.updatedAt);case _:
+return $default(_that.id,_that.name,_that.amount,_that.currencyCode,_that.categoryId,_that.budgetId,_that.transactionDate,_that.type,_that.notes,_that.recurringId,_that.splits,_that.createdAt,_that.updatedAt);case _:
   return null;
 
 }
@@ -218,17 +224,32 @@ return $default(_that.id,_that.name,_that.amount,_that.categoryId,_that.budgetId
 @JsonSerializable()
 
 class _TransactionModel implements TransactionModel {
-  const _TransactionModel({required this.id, required this.name, required this.amount, this.categoryId, this.budgetId, required this.transactionDate, required this.type, this.notes, required this.createdAt, required this.updatedAt});
+  const _TransactionModel({required this.id, required this.name, required this.amount, this.currencyCode = 'USD', this.categoryId, this.budgetId, required this.transactionDate, required this.type, this.notes, this.recurringId, final  List<TransactionSplitModel> splits = [], required this.createdAt, required this.updatedAt}): _splits = splits;
   factory _TransactionModel.fromJson(Map<String, dynamic> json) => _$TransactionModelFromJson(json);
 
 @override final  String id;
 @override final  String name;
 @override final  double amount;
+@override@JsonKey() final  String currencyCode;
 @override final  String? categoryId;
 @override final  String? budgetId;
 @override final  DateTime transactionDate;
 @override final  TransactionType type;
 @override final  String? notes;
+@override final  String? recurringId;
+/// Lines splitting the amount across categories and budgets; empty
+/// when not split. A split transaction has no [categoryId] or
+/// [budgetId] of its own: its lines have them.
+ final  List<TransactionSplitModel> _splits;
+/// Lines splitting the amount across categories and budgets; empty
+/// when not split. A split transaction has no [categoryId] or
+/// [budgetId] of its own: its lines have them.
+@override@JsonKey() List<TransactionSplitModel> get splits {
+  if (_splits is EqualUnmodifiableListView) return _splits;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_splits);
+}
+
 @override final  DateTime createdAt;
 @override final  DateTime updatedAt;
 
@@ -245,16 +266,16 @@ Map<String, dynamic> toJson() {
 
 @override
 bool operator ==(Object other) {
-  return identical(this, other) || (other.runtimeType == runtimeType&&other is _TransactionModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.transactionDate, transactionDate) || other.transactionDate == transactionDate)&&(identical(other.type, type) || other.type == type)&&(identical(other.notes, notes) || other.notes == notes)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _TransactionModel&&(identical(other.id, id) || other.id == id)&&(identical(other.name, name) || other.name == name)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId)&&(identical(other.transactionDate, transactionDate) || other.transactionDate == transactionDate)&&(identical(other.type, type) || other.type == type)&&(identical(other.notes, notes) || other.notes == notes)&&(identical(other.recurringId, recurringId) || other.recurringId == recurringId)&&const DeepCollectionEquality().equals(other._splits, _splits)&&(identical(other.createdAt, createdAt) || other.createdAt == createdAt)&&(identical(other.updatedAt, updatedAt) || other.updatedAt == updatedAt));
 }
 
 @JsonKey(includeFromJson: false, includeToJson: false)
 @override
-int get hashCode => Object.hash(runtimeType,id,name,amount,categoryId,budgetId,transactionDate,type,notes,createdAt,updatedAt);
+int get hashCode => Object.hash(runtimeType,id,name,amount,currencyCode,categoryId,budgetId,transactionDate,type,notes,recurringId,const DeepCollectionEquality().hash(_splits),createdAt,updatedAt);
 
 @override
 String toString() {
-  return 'TransactionModel(id: $id, name: $name, amount: $amount, categoryId: $categoryId, budgetId: $budgetId, transactionDate: $transactionDate, type: $type, notes: $notes, createdAt: $createdAt, updatedAt: $updatedAt)';
+  return 'TransactionModel(id: $id, name: $name, amount: $amount, currencyCode: $currencyCode, categoryId: $categoryId, budgetId: $budgetId, transactionDate: $transactionDate, type: $type, notes: $notes, recurringId: $recurringId, splits: $splits, createdAt: $createdAt, updatedAt: $updatedAt)';
 }
 
 
@@ -265,7 +286,7 @@ abstract mixin class _$TransactionModelCopyWith<$Res> implements $TransactionMod
   factory _$TransactionModelCopyWith(_TransactionModel value, $Res Function(_TransactionModel) _then) = __$TransactionModelCopyWithImpl;
 @override @useResult
 $Res call({
- String id, String name, double amount, String? categoryId, String? budgetId, DateTime transactionDate, TransactionType type, String? notes, DateTime createdAt, DateTime updatedAt
+ String id, String name, double amount, String currencyCode, String? categoryId, String? budgetId, DateTime transactionDate, TransactionType type, String? notes, String? recurringId, List<TransactionSplitModel> splits, DateTime createdAt, DateTime updatedAt
 });
 
 
@@ -282,17 +303,20 @@ class __$TransactionModelCopyWithImpl<$Res>
 
 /// Create a copy of TransactionModel
 /// with the given fields replaced by the non-null parameter values.
-@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? categoryId = freezed,Object? budgetId = freezed,Object? transactionDate = null,Object? type = null,Object? notes = freezed,Object? createdAt = null,Object? updatedAt = null,}) {
+@override @pragma('vm:prefer-inline') $Res call({Object? id = null,Object? name = null,Object? amount = null,Object? currencyCode = null,Object? categoryId = freezed,Object? budgetId = freezed,Object? transactionDate = null,Object? type = null,Object? notes = freezed,Object? recurringId = freezed,Object? splits = null,Object? createdAt = null,Object? updatedAt = null,}) {
   return _then(_TransactionModel(
 id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
 as String,name: null == name ? _self.name : name // ignore: cast_nullable_to_non_nullable
 as String,amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
-as double,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as double,currencyCode: null == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
 as String?,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
 as String?,transactionDate: null == transactionDate ? _self.transactionDate : transactionDate // ignore: cast_nullable_to_non_nullable
 as DateTime,type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
 as TransactionType,notes: freezed == notes ? _self.notes : notes // ignore: cast_nullable_to_non_nullable
-as String?,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
+as String?,recurringId: freezed == recurringId ? _self.recurringId : recurringId // ignore: cast_nullable_to_non_nullable
+as String?,splits: null == splits ? _self._splits : splits // ignore: cast_nullable_to_non_nullable
+as List<TransactionSplitModel>,createdAt: null == createdAt ? _self.createdAt : createdAt // ignore: cast_nullable_to_non_nullable
 as DateTime,updatedAt: null == updatedAt ? _self.updatedAt : updatedAt // ignore: cast_nullable_to_non_nullable
 as DateTime,
   ));
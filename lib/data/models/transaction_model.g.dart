@@ -11,11 +11,21 @@ _TransactionModel _$TransactionModelFromJson(Map<String, dynamic> json) =>
       id: json['id'] as String,
       name: json['name'] as String,
       amount: (json['amount'] as num).toDouble(),
+      currencyCode: json['currencyCode'] as String? ?? 'USD',
       categoryId: json['categoryId'] as String?,
       budgetId: json['budgetId'] as String?,
       transactionDate: DateTime.parse(json['transactionDate'] as String),
       type: $enumDecode(_$TransactionTypeEnumMap, json['type']),
       notes: json['notes'] as String?,
+      recurringId: json['recurringId'] as String?,
+      splits:
+          (json['splits'] as List<dynamic>?)
+              ?.map(
+                (e) =>
+                    TransactionSplitModel.fromJson(e as Map<String, dynamic>),
+              )
+              .toList() ??
+          const [],
       createdAt: DateTime.parse(json['createdAt'] as String),
       updatedAt: DateTime.parse(json['updatedAt'] as String),
     );
@@ -25,11 +35,14 @@ Map<String, dynamic> _$TransactionModelToJson(_TransactionModel instance) =>
       'id': instance.id,
       'name': instance.name,
       'amount': instance.amount,
+      'currencyCode': instance.currencyCode,
       'categoryId': instance.categoryId,
       'budgetId': instance.budgetId,
       'transactionDate': instance.transactionDate.toIso8601String(),
       'type': _$TransactionTypeEnumMap[instance.type]!,
       'notes': instance.notes,
+      'recurringId': instance.recurringId,
+      'splits': instance.splits,
       'createdAt': instance.createdAt.toIso8601String(),
       'updatedAt': instance.updatedAt.toIso8601String(),
     };
@@ -0,0 +1,59 @@
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'transaction_split_model.freezed.dart';
+part 'transaction_split_model.g.dart';
+
+/// One line of a split transaction: part of its amount, in a category and
+/// optionally a budget of its own
+///
+/// A receipt covering groceries and household items is one transaction
+/// with two lines. Lines are stored with their transaction (see
+/// `TransactionModel.splits`) and their amounts add up to its amount.
+///
+/// **Example**:
+/// ```dart
+/// final receipt = TransactionModel.create(
+///   name: 'Supermarket',
+///   amount: 80.0,
+///   type: TransactionType.debit,
+///   splits: [
+///     TransactionSplitModel(amount: 55.0, categoryId: groceriesId),
+///     TransactionSplitModel(amount: 25.0, categoryId: householdId),
+///   ],
+/// );
+/// ```
+@freezed
+abstract class TransactionSplitModel with _$TransactionSplitModel {
+  const factory TransactionSplitModel({
+    /// Part of the transaction's amount, in its currency
+    required double amount,
+    String? categoryId,
+    String? budgetId,
+  }) = _TransactionSplitModel;
+
+  factory TransactionSplitModel.fromJson(Map<String, dynamic> json) =>
+      _$TransactionSplitModelFromJson(json);
+}
+
+/// Extension methods for the lines of one transaction
+extension TransactionSplitListExtensions on List<TransactionSplitModel> {
+  /// Largest gap between the lines' sum and the amount put down to rounding
+  static const double tolerance = 0.005;
+
+  /// Throws an [ArgumentError] unless the lines add up to [amount]
+  ///
+  /// No lines (an unsplit transaction) always pass. Every write of a
+  /// transaction checks this: the database totals sum the lines, so
+  /// unbalanced ones would misreport category and budget spending.
+  void checkAddUpTo(double amount) {
+    if (isEmpty) return;
+    final sum = fold<double>(0, (sum, line) => sum + line.amount);
+    if ((sum - amount).abs() >= tolerance) {
+      throw ArgumentError.value(
+        this,
+        'splits',
+        'Split lines add up to $sum, not the transaction amount $amount',
+      );
+    }
+  }
+}
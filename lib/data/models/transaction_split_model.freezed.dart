@@ -0,0 +1,285 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'transaction_split_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+
+/// @nodoc
+mixin _$TransactionSplitModel {
+
+/// Part of the transaction's amount, in its currency
+ double get amount; String? get categoryId; String? get budgetId;
+/// Create a copy of TransactionSplitModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$TransactionSplitModelCopyWith<TransactionSplitModel> get copyWith => _$TransactionSplitModelCopyWithImpl<TransactionSplitModel>(this as TransactionSplitModel, _$identity);
+
+  /// Serializes this TransactionSplitModel to a JSON map.
+  Map<String, dynamic> toJson();
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is TransactionSplitModel&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId));
+}
+
+@JsonKey(includeFromJson: false, includeToJson: false)
+@override
+int get hashCode => Object.hash(runtimeType,amount,categoryId,budgetId);
+
+@override
+String toString() {
+  return 'TransactionSplitModel(amount: $amount, categoryId: $categoryId, budgetId: $budgetId)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $TransactionSplitModelCopyWith<$Res>  {
+  factory $TransactionSplitModelCopyWith(TransactionSplitModel value, $Res Function(TransactionSplitModel) _then) = _$TransactionSplitModelCopyWithImpl;
+@useResult
+$Res call({
+ double amount, String? categoryId, String? budgetId
+});
+
+
+
+
+}
+/// @nodoc
+class _$TransactionSplitModelCopyWithImpl<$Res>
+    implements $TransactionSplitModelCopyWith<$Res> {
+  _$TransactionSplitModelCopyWithImpl(this._self, this._then);
+
+  final TransactionSplitModel _self;
+  final $Res Function(TransactionSplitModel) _then;
+
+/// Create a copy of TransactionSplitModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? amount = null,Object? categoryId = freezed,Object? budgetId = freezed,}) {
+  return _then(_self.copyWith(
+amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String?,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String?,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [TransactionSplitModel].
+extension TransactionSplitModelPatterns on TransactionSplitModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _TransactionSplitModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _TransactionSplitModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _TransactionSplitModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _TransactionSplitModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _TransactionSplitModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _TransactionSplitModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( double amount,  String? categoryId,  String? budgetId)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _TransactionSplitModel() when $default != null:
+return $default(_that.amount,_that.categoryId,_that.budgetId);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( double amount,  String? categoryId,  String? budgetId)  $default,) {final _that = this;
+switch (_that) {
+case _TransactionSplitModel():
+return $default(_that.amount,_that.categoryId,_that.budgetId);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( double amount,  String? categoryId,  String? budgetId)?  $default,) {final _that = this;
+switch (_that) {
+case _TransactionSplitModel() when $default != null:
+return $default(_that.amount,_that.categoryId,_that.budgetId);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+@JsonSerializable()
+
+class _TransactionSplitModel implements TransactionSplitModel {
+  const _TransactionSplitModel({required this.amount, this.categoryId, this.budgetId});
+  factory _TransactionSplitModel.fromJson(Map<String, dynamic> json) => _$TransactionSplitModelFromJson(json);
+
+/// Part of the transaction's amount, in its currency
+@override final  double amount;
+@override final  String? categoryId;
+@override final  String? budgetId;
+
+/// Create a copy of TransactionSplitModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$TransactionSplitModelCopyWith<_TransactionSplitModel> get copyWith => __$TransactionSplitModelCopyWithImpl<_TransactionSplitModel>(this, _$identity);
+
+@override
+Map<String, dynamic> toJson() {
+  return _$TransactionSplitModelToJson(this, );
+}
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _TransactionSplitModel&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.categoryId, categoryId) || other.categoryId == categoryId)&&(identical(other.budgetId, budgetId) || other.budgetId == budgetId));
+}
+
+@JsonKey(includeFromJson: false, includeToJson: false)
+@override
+int get hashCode => Object.hash(runtimeType,amount,categoryId,budgetId);
+
+@override
+String toString() {
+  return 'TransactionSplitModel(amount: $amount, categoryId: $categoryId, budgetId: $budgetId)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$TransactionSplitModelCopyWith<$Res> implements $TransactionSplitModelCopyWith<$Res> {
+  factory _$TransactionSplitModelCopyWith(_TransactionSplitModel value, $Res Function(_TransactionSplitModel) _then) = __$TransactionSplitModelCopyWithImpl;
+@override @useResult
+$Res call({
+ double amount, String? categoryId, String? budgetId
+});
+
+
+
+
+}
+/// @nodoc
+class __$TransactionSplitModelCopyWithImpl<$Res>
+    implements _$TransactionSplitModelCopyWith<$Res> {
+  __$TransactionSplitModelCopyWithImpl(this._self, this._then);
+
+  final _TransactionSplitModel _self;
+  final $Res Function(_TransactionSplitModel) _then;
+
+/// Create a copy of TransactionSplitModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? amount = null,Object? categoryId = freezed,Object? budgetId = freezed,}) {
+  return _then(_TransactionSplitModel(
+amount: null == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double,categoryId: freezed == categoryId ? _self.categoryId : categoryId // ignore: cast_nullable_to_non_nullable
+as String?,budgetId: freezed == budgetId ? _self.budgetId : budgetId // ignore: cast_nullable_to_non_nullable
+as String?,
+  ));
+}
+
+
+}
+
+// dart format on
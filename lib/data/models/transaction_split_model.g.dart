@@ -0,0 +1,23 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+
+part of 'transaction_split_model.dart';
+
+// **************************************************************************
+// JsonSerializableGenerator
+// **************************************************************************
+
+_TransactionSplitModel _$TransactionSplitModelFromJson(
+  Map<String, dynamic> json,
+) => _TransactionSplitModel(
+  amount: (json['amount'] as num).toDouble(),
+  categoryId: json['categoryId'] as String?,
+  budgetId: json['budgetId'] as String?,
+);
+
+Map<String, dynamic> _$TransactionSplitModelToJson(
+  _TransactionSplitModel instance,
+) => <String, dynamic>{
+  'amount': instance.amount,
+  'categoryId': instance.categoryId,
+  'budgetId': instance.budgetId,
+};
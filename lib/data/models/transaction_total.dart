@@ -0,0 +1,45 @@
+import 'package:centabit/data/currency/currency_converter.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+
+/// Sum of the transactions sharing a budget, category, currency and type
+///
+/// Computed by the database (`TransactionRepository.getTotals`), so years
+/// of history are aggregated without loading them. [amount] is in
+/// [currencyCode]: convert before adding totals of different currencies
+/// (see [TransactionTotalsExtensions.sumIn]).
+typedef TransactionTotal = ({
+  String? budgetId,
+  String? categoryId,
+  String currencyCode,
+  TransactionType type,
+  double amount,
+  int count,
+});
+
+/// Extension methods for totals of several groups
+extension TransactionTotalsExtensions on Iterable<TransactionTotal> {
+  /// Sum converted to [currencyCode]; with [net], credits are subtracted
+  /// (spending net of refunds)
+  double sumIn(
+    String currencyCode,
+    CurrencyConverter converter, {
+    bool net = false,
+  }) {
+    return fold(0, (sum, total) {
+      final amount = converter.convert(
+        total.amount,
+        from: total.currencyCode,
+        to: currencyCode,
+      );
+      return net && total.type == TransactionType.credit
+          ? sum - amount
+          : sum + amount;
+    });
+  }
+
+  /// Number of transactions summed
+  int get transactionCount => fold(0, (count, total) => count + total.count);
+
+  /// Currencies the amounts are in
+  Iterable<String> get currencyCodes => map((total) => total.currencyCode);
+}
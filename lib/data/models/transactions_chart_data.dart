@@ -1,3 +1,6 @@
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
+import 'package:centabit/data/models/category_model.dart';
+
 /// View model for budget chart data display.
 ///
 /// This is a denormalized model that combines allocation and transaction data
@@ -58,6 +61,20 @@ class TransactionsChartData {
   /// Example: "cart", "ticket", "car"
   final String categoryIconName;
 
+  /// Color chosen for the category (`#RRGGBB`), null for an automatic one
+  ///
+  /// Resolve with `CategoryColors.of(categoryId, colorHex)`.
+  final String? colorHex;
+
+  /// Parent of the category, when it's a subcategory
+  final String? parentId;
+
+  /// Entries of the subcategories rolled up into this one (see
+  /// [TransactionsChartDataListExtensions.rolledUp])
+  ///
+  /// Their amounts are already included in this entry's.
+  final List<TransactionsChartData> subcategories;
+
   /// Allocated budget amount for this category
   ///
   /// The planned/budgeted amount from [AllocationModel.amount].
@@ -77,6 +94,18 @@ class TransactionsChartData {
   /// **Color**: Typically rendered in `colorScheme.secondary`
   final double transactionAmount;
 
+  /// Currency (ISO 4217 code) of both amounts: the budget's base currency
+  ///
+  /// Transactions in other currencies are converted before summing.
+  final String currencyCode;
+
+  /// Spending pace of this category against its allocation
+  ///
+  /// BAR, projected end-of-period spending and safe daily spend, on the
+  /// same curve as the budget's BAR. Null when the category has no
+  /// allocation.
+  final BARCalculation? pace;
+
   /// Creates chart data for one category.
   ///
   /// All fields are required. If a category has no allocation, use 0.0.
@@ -87,6 +116,11 @@ class TransactionsChartData {
     required this.categoryIconName,
     required this.allocationAmount,
     required this.transactionAmount,
+    this.currencyCode = 'USD',
+    this.pace,
+    this.colorHex,
+    this.parentId,
+    this.subcategories = const [],
   });
 
   /// Calculates the remaining budget for this category.
@@ -141,6 +175,11 @@ class TransactionsChartData {
     return transactionAmount > allocationAmount;
   }
 
+  /// Checks if this category is on pace to end the period overspent.
+  bool isProjectedOverspent() {
+    return pace?.isProjectedOver ?? false;
+  }
+
   /// Returns a string representation for debugging.
   ///
   /// **Example Output**:
@@ -224,6 +263,11 @@ extension TransactionsChartDataListExtensions on List<TransactionsChartData> {
     return where((data) => data.isOverspent()).toList();
   }
 
+  /// Filters to categories on pace to end the period overspent.
+  List<TransactionsChartData> projectedOverspentCategories() {
+    return where((data) => data.isProjectedOverspent()).toList();
+  }
+
   /// Filters to categories with allocated funds (excludes zero allocations).
   ///
   /// Useful for displaying only categories included in the budget.
@@ -268,4 +312,75 @@ extension TransactionsChartDataListExtensions on List<TransactionsChartData> {
     });
     return sorted;
   }
+
+  /// One entry per top-level category, subcategories rolled up into their
+  /// parent
+  ///
+  /// A parent's amounts become its own plus its subcategories', which are
+  /// kept in [TransactionsChartData.subcategories]; [paceOf] recomputes its
+  /// pace from them. A parent without an entry of its own (say, only its
+  /// subcategories are allocated) gets one from [categories]. The totals
+  /// of the result are those of this list.
+  ///
+  /// **Example**:
+  /// ```
+  /// Food 50 + Groceries 300 + Dining 120  →  Food 470 (Groceries, Dining)
+  /// ```
+  List<TransactionsChartData> rolledUp({
+    required List<CategoryModel> categories,
+    required BARCalculation Function(double spent, double allocated) paceOf,
+  }) {
+    final categoriesById = {for (final c in categories) c.id: c};
+    final entriesById = {for (final data in this) data.categoryId: data};
+    final childrenByParent = <String, List<TransactionsChartData>>{};
+    for (final data in this) {
+      final parentId = data.parentId;
+      if (parentId == null) continue;
+      if (!entriesById.containsKey(parentId) &&
+          !categoriesById.containsKey(parentId)) {
+        continue; // Parent deleted: stays top-level
+      }
+      childrenByParent.putIfAbsent(parentId, () => []).add(data);
+    }
+
+    TransactionsChartData rollUp(
+      String parentId,
+      TransactionsChartData? own,
+      List<TransactionsChartData> children,
+    ) {
+      final parent = categoriesById[parentId];
+      final allocated =
+          (own?.allocationAmount ?? 0) + children.totalAllocated();
+      final spent = (own?.transactionAmount ?? 0) + children.totalSpent();
+      return TransactionsChartData(
+        categoryId: parentId,
+        categoryName: own?.categoryName ?? parent!.name,
+        categoryIconName: own?.categoryIconName ?? parent!.iconName,
+        allocationAmount: allocated,
+        transactionAmount: spent,
+        currencyCode: own?.currencyCode ?? children.first.currencyCode,
+        pace: allocated > 0 ? paceOf(spent, allocated) : null,
+        colorHex: own?.colorHex ?? parent?.colorHex,
+        subcategories: children,
+      );
+    }
+
+    final result = <TransactionsChartData>[];
+    final rolled = <String>{};
+    for (final data in this) {
+      final parentId = data.parentId;
+      if (parentId != null && childrenByParent.containsKey(parentId)) {
+        // A subcategory: its parent's entry goes where the first of them was
+        if (!entriesById.containsKey(parentId) && rolled.add(parentId)) {
+          result.add(rollUp(parentId, null, childrenByParent[parentId]!));
+        }
+        continue;
+      }
+      final children = childrenByParent[data.categoryId];
+      result.add(
+        children == null ? data : rollUp(data.categoryId, data, children),
+      );
+    }
+    return result;
+  }
 }
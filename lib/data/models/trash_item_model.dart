@@ -0,0 +1,36 @@
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'trash_item_model.freezed.dart';
+
+/// Kind of record a [TrashItemModel] stands for
+enum TrashItemType { transaction, budget, category, allocation }
+
+/// A soft-deleted record, listed in the trash until restored or purged.
+///
+/// Built by `TrashService` from the deleted rows of each repository, with
+/// what the trash shows of it. An allocation is named after its category,
+/// with its budget as [detail] (either may be deleted too).
+///
+/// **Auto-purge**: items deleted more than the retention period ago
+/// (`AppSettingsModel.trashRetentionDays`) are removed for good at startup.
+@freezed
+abstract class TrashItemModel with _$TrashItemModel {
+  const factory TrashItemModel({
+    required TrashItemType type,
+
+    /// Id of the deleted record
+    required String id,
+    required String title,
+
+    /// Category of a transaction, budget of an allocation
+    String? detail,
+
+    /// Amount of a transaction, budget or allocation, in [currencyCode]
+    double? amount,
+    String? currencyCode,
+
+    /// Date of a transaction, start of a budget
+    DateTime? date,
+    required DateTime deletedAt,
+  }) = _TrashItemModel;
+}
@@ -0,0 +1,300 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'trash_item_model.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$TrashItemModel {
+
+ TrashItemType get type;/// Id of the deleted record
+ String get id; String get title;/// Category of a transaction, budget of an allocation
+ String? get detail;/// Amount of a transaction, budget or allocation, in [currencyCode]
+ double? get amount; String? get currencyCode;/// Date of a transaction, start of a budget
+ DateTime? get date; DateTime get deletedAt;
+/// Create a copy of TrashItemModel
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+$TrashItemModelCopyWith<TrashItemModel> get copyWith => _$TrashItemModelCopyWithImpl<TrashItemModel>(this as TrashItemModel, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is TrashItemModel&&(identical(other.type, type) || other.type == type)&&(identical(other.id, id) || other.id == id)&&(identical(other.title, title) || other.title == title)&&(identical(other.detail, detail) || other.detail == detail)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.date, date) || other.date == date)&&(identical(other.deletedAt, deletedAt) || other.deletedAt == deletedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,type,id,title,detail,amount,currencyCode,date,deletedAt);
+
+@override
+String toString() {
+  return 'TrashItemModel(type: $type, id: $id, title: $title, detail: $detail, amount: $amount, currencyCode: $currencyCode, date: $date, deletedAt: $deletedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class $TrashItemModelCopyWith<$Res>  {
+  factory $TrashItemModelCopyWith(TrashItemModel value, $Res Function(TrashItemModel) _then) = _$TrashItemModelCopyWithImpl;
+@useResult
+$Res call({
+ TrashItemType type, String id, String title, String? detail, double? amount, String? currencyCode, DateTime? date, DateTime deletedAt
+});
+
+
+
+
+}
+/// @nodoc
+class _$TrashItemModelCopyWithImpl<$Res>
+    implements $TrashItemModelCopyWith<$Res> {
+  _$TrashItemModelCopyWithImpl(this._self, this._then);
+
+  final TrashItemModel _self;
+  final $Res Function(TrashItemModel) _then;
+
+/// Create a copy of TrashItemModel
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') @override $Res call({Object? type = null,Object? id = null,Object? title = null,Object? detail = freezed,Object? amount = freezed,Object? currencyCode = freezed,Object? date = freezed,Object? deletedAt = null,}) {
+  return _then(_self.copyWith(
+type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as TrashItemType,id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,title: null == title ? _self.title : title // ignore: cast_nullable_to_non_nullable
+as String,detail: freezed == detail ? _self.detail : detail // ignore: cast_nullable_to_non_nullable
+as String?,amount: freezed == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double?,currencyCode: freezed == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String?,date: freezed == date ? _self.date : date // ignore: cast_nullable_to_non_nullable
+as DateTime?,deletedAt: null == deletedAt ? _self.deletedAt : deletedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+}
+
+
+/// Adds pattern-matching-related methods to [TrashItemModel].
+extension TrashItemModelPatterns on TrashItemModel {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>(TResult Function( _TrashItemModel value)?  $default,{required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _TrashItemModel() when $default != null:
+return $default(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>(TResult Function( _TrashItemModel value)  $default,){
+final _that = this;
+switch (_that) {
+case _TrashItemModel():
+return $default(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>(TResult? Function( _TrashItemModel value)?  $default,){
+final _that = this;
+switch (_that) {
+case _TrashItemModel() when $default != null:
+return $default(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>(TResult Function( TrashItemType type,  String id,  String title,  String? detail,  double? amount,  String? currencyCode,  DateTime? date,  DateTime deletedAt)?  $default,{required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _TrashItemModel() when $default != null:
+return $default(_that.type,_that.id,_that.title,_that.detail,_that.amount,_that.currencyCode,_that.date,_that.deletedAt);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>(TResult Function( TrashItemType type,  String id,  String title,  String? detail,  double? amount,  String? currencyCode,  DateTime? date,  DateTime deletedAt)  $default,) {final _that = this;
+switch (_that) {
+case _TrashItemModel():
+return $default(_that.type,_that.id,_that.title,_that.detail,_that.amount,_that.currencyCode,_that.date,_that.deletedAt);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>(TResult? Function( TrashItemType type,  String id,  String title,  String? detail,  double? amount,  String? currencyCode,  DateTime? date,  DateTime deletedAt)?  $default,) {final _that = this;
+switch (_that) {
+case _TrashItemModel() when $default != null:
+return $default(_that.type,_that.id,_that.title,_that.detail,_that.amount,_that.currencyCode,_that.date,_that.deletedAt);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _TrashItemModel implements TrashItemModel {
+  const _TrashItemModel({required this.type, required this.id, required this.title, this.detail, this.amount, this.currencyCode, this.date, required this.deletedAt});
+  
+
+@override final  TrashItemType type;
+/// Id of the deleted record
+@override final  String id;
+@override final  String title;
+/// Category of a transaction, budget of an allocation
+@override final  String? detail;
+/// Amount of a transaction, budget or allocation, in [currencyCode]
+@override final  double? amount;
+@override final  String? currencyCode;
+/// Date of a transaction, start of a budget
+@override final  DateTime? date;
+@override final  DateTime deletedAt;
+
+/// Create a copy of TrashItemModel
+/// with the given fields replaced by the non-null parameter values.
+@override @JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$TrashItemModelCopyWith<_TrashItemModel> get copyWith => __$TrashItemModelCopyWithImpl<_TrashItemModel>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _TrashItemModel&&(identical(other.type, type) || other.type == type)&&(identical(other.id, id) || other.id == id)&&(identical(other.title, title) || other.title == title)&&(identical(other.detail, detail) || other.detail == detail)&&(identical(other.amount, amount) || other.amount == amount)&&(identical(other.currencyCode, currencyCode) || other.currencyCode == currencyCode)&&(identical(other.date, date) || other.date == date)&&(identical(other.deletedAt, deletedAt) || other.deletedAt == deletedAt));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,type,id,title,detail,amount,currencyCode,date,deletedAt);
+
+@override
+String toString() {
+  return 'TrashItemModel(type: $type, id: $id, title: $title, detail: $detail, amount: $amount, currencyCode: $currencyCode, date: $date, deletedAt: $deletedAt)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$TrashItemModelCopyWith<$Res> implements $TrashItemModelCopyWith<$Res> {
+  factory _$TrashItemModelCopyWith(_TrashItemModel value, $Res Function(_TrashItemModel) _then) = __$TrashItemModelCopyWithImpl;
+@override @useResult
+$Res call({
+ TrashItemType type, String id, String title, String? detail, double? amount, String? currencyCode, DateTime? date, DateTime deletedAt
+});
+
+
+
+
+}
+/// @nodoc
+class __$TrashItemModelCopyWithImpl<$Res>
+    implements _$TrashItemModelCopyWith<$Res> {
+  __$TrashItemModelCopyWithImpl(this._self, this._then);
+
+  final _TrashItemModel _self;
+  final $Res Function(_TrashItemModel) _then;
+
+/// Create a copy of TrashItemModel
+/// with the given fields replaced by the non-null parameter values.
+@override @pragma('vm:prefer-inline') $Res call({Object? type = null,Object? id = null,Object? title = null,Object? detail = freezed,Object? amount = freezed,Object? currencyCode = freezed,Object? date = freezed,Object? deletedAt = null,}) {
+  return _then(_TrashItemModel(
+type: null == type ? _self.type : type // ignore: cast_nullable_to_non_nullable
+as TrashItemType,id: null == id ? _self.id : id // ignore: cast_nullable_to_non_nullable
+as String,title: null == title ? _self.title : title // ignore: cast_nullable_to_non_nullable
+as String,detail: freezed == detail ? _self.detail : detail // ignore: cast_nullable_to_non_nullable
+as String?,amount: freezed == amount ? _self.amount : amount // ignore: cast_nullable_to_non_nullable
+as double?,currencyCode: freezed == currencyCode ? _self.currencyCode : currencyCode // ignore: cast_nullable_to_non_nullable
+as String?,date: freezed == date ? _self.date : date // ignore: cast_nullable_to_non_nullable
+as DateTime?,deletedAt: null == deletedAt ? _self.deletedAt : deletedAt // ignore: cast_nullable_to_non_nullable
+as DateTime,
+  ));
+}
+
+
+}
+
+// dart format on
@@ -0,0 +1,104 @@
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/data/models/recurring_occurrence_model.dart';
+import 'package:centabit/data/models/recurring_transaction_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/recurring_transaction_repository.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+import 'package:uuid/uuid.dart';
+
+/// Turns due occurrences of recurring series into real transactions
+///
+/// Runs at startup, after a profile switch and after a series is created
+/// (see `configureDependencies`/`reloadUserScope`).
+///
+/// **Per series**:
+/// 1. Collect occurrences from `nextOccurrence` up to now (skipped ones
+///    are left out, edited ones carry their own name/amount)
+/// 2. Create a transaction for each, linked to the budget covering its date
+/// 3. Move the series to the following occurrence
+///
+/// Transaction ids are derived from series id + occurrence date (UUID v5),
+/// so running twice (e.g. after a crash between step 2 and 3) never
+/// creates duplicates, and an occurrence the user deleted stays deleted.
+class RecurringTransactionScheduler {
+  final RecurringTransactionRepository _recurringRepository;
+  final TransactionRepository _transactionRepository;
+  final BudgetRepository _budgetRepository;
+
+  RecurringTransactionScheduler(
+    this._recurringRepository,
+    this._transactionRepository,
+    this._budgetRepository,
+  );
+
+  /// Materialize everything due up to [now] (defaults to the current time)
+  ///
+  /// Returns the number of transactions created.
+  Future<int> materializeDue({DateTime? now}) async {
+    final cutoff = now ?? DateTime.now();
+    var created = 0;
+
+    for (final series in await _recurringRepository.getAllSeries()) {
+      final next = series.nextOccurrence;
+      if (next == null || next.isAfter(cutoff)) continue;
+
+      final due = series.occurrencesUntil(cutoff);
+      final occurrences = await _recurringRepository.getOccurrences(
+        series,
+        until: cutoff,
+      );
+      for (final occurrence in occurrences) {
+        if (await _materialize(series, occurrence)) created++;
+      }
+
+      await _recurringRepository.markMaterialized(
+        series.id,
+        until: due.last,
+        nextOccurrence: series.occurrenceAfter(due.last),
+      );
+    }
+
+    if (created > 0) {
+      AppLogger.instance.logWithContext(
+        message: '[RecurringTransactionScheduler] Materialized occurrences',
+        context: {'created': created},
+      );
+    }
+    return created;
+  }
+
+  /// Create the transaction for [occurrence] unless it already exists
+  Future<bool> _materialize(
+    RecurringTransactionModel series,
+    RecurringOccurrenceModel occurrence,
+  ) async {
+    final id = const Uuid().v5(
+      series.id,
+      occurrence.occurrenceDate.toIso8601String(),
+    );
+    if (await _transactionRepository.getTransactionById(id) != null) {
+      return false; // Already materialized (or deleted by the user)
+    }
+
+    final budget = await _budgetRepository.getBudgetCoveringDate(
+      occurrence.occurrenceDate,
+    );
+    final now = DateTime.now();
+    await _transactionRepository.createTransaction(TransactionModel(
+      id: id,
+      name: occurrence.name,
+      amount: occurrence.amount,
+      currencyCode: series.currencyCode,
+      type: occurrence.type,
+      transactionDate: occurrence.occurrenceDate,
+      categoryId: occurrence.categoryId,
+      budgetId: budget?.id,
+      notes: series.notes,
+      recurringId: series.id,
+      createdAt: now,
+      updatedAt: now,
+    ));
+    return true;
+  }
+}
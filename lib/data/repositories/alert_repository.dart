@@ -0,0 +1,278 @@
+import 'dart:async';
+import 'package:centabit/core/logging/interceptors/repository_logger.dart';
+import 'package:centabit/data/local/alert_local_source.dart';
+import 'package:centabit/data/models/alert_model.dart';
+import 'package:centabit/data/models/alert_rule_model.dart';
+import 'package:centabit/data/local/database.dart' as db;
+import 'package:drift/drift.dart';
+
+/// Repository for budget alerts (local only, not synced)
+///
+/// Responsibilities:
+/// 1. Emit rules, inbox alerts and budget mutes as broadcast streams
+/// 2. Transform Drift entities ↔ Domain Models
+/// 3. Record fired alerts once per dedupe key
+/// 4. Rebind to another user's LocalSource when the active profile changes
+///
+/// Evaluating the rules is done by `BudgetAlertService`.
+class AlertRepository with RepositoryLogger {
+  @override
+  String get repositoryName => 'AlertRepository';
+  AlertLocalSource _localSource;
+
+  final _rulesController = StreamController<List<AlertRuleModel>>.broadcast();
+  final _alertsController = StreamController<List<AlertModel>>.broadcast();
+  final _mutesController = StreamController<List<AlertMuteModel>>.broadcast();
+  StreamSubscription? _rulesSubscription;
+  StreamSubscription? _alertsSubscription;
+  StreamSubscription? _mutesSubscription;
+
+  List<AlertRuleModel> _latestRules = [];
+  List<AlertModel> _latestAlerts = [];
+  List<AlertMuteModel> _latestMutes = [];
+
+  AlertRepository(this._localSource) {
+    _subscribeToLocalChanges();
+  }
+
+  /// Public stream of all rules, oldest first
+  Stream<List<AlertRuleModel>> get rulesStream => _rulesController.stream;
+
+  /// Public stream of the inbox (alerts not dismissed), newest first
+  Stream<List<AlertModel>> get alertsStream => _alertsController.stream;
+
+  /// Public stream of all budget mutes
+  Stream<List<AlertMuteModel>> get mutesStream => _mutesController.stream;
+
+  /// Synchronous getters for immediate access
+  List<AlertRuleModel> get rules => _latestRules;
+  List<AlertModel> get alerts => _latestAlerts;
+  List<AlertMuteModel> get mutes => _latestMutes;
+
+  /// Inbox alerts not read yet
+  int get unreadCount => _latestAlerts.where((a) => !a.isRead).length;
+
+  /// Mute of [budgetId], if its alerts are snoozed or muted
+  AlertMuteModel? muteFor(String budgetId) {
+    for (final mute in _latestMutes) {
+      if (mute.budgetId == budgetId) return mute;
+    }
+    return null;
+  }
+
+  /// Subscribe to Drift's reactive queries
+  void _subscribeToLocalChanges() {
+    _rulesSubscription = _localSource.watchAllRules().listen((dbRules) {
+      _latestRules = dbRules.map(_mapRuleToModel).toList();
+      _rulesController.add(_latestRules);
+    });
+    _alertsSubscription = _localSource.watchInbox().listen((dbAlerts) {
+      _latestAlerts = dbAlerts.map(_mapAlertToModel).toList();
+      _alertsController.add(_latestAlerts);
+    });
+    _mutesSubscription = _localSource.watchAllMutes().listen((dbMutes) {
+      _latestMutes = dbMutes.map(_mapMuteToModel).toList();
+      _mutesController.add(_latestMutes);
+    });
+  }
+
+  /// Switch to another user's alerts (active profile changed)
+  void bindUser(AlertLocalSource localSource) {
+    _localSource = localSource;
+    _rulesSubscription?.cancel();
+    _alertsSubscription?.cancel();
+    _mutesSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
+  /// Map Drift entities → Domain models
+  AlertRuleModel _mapRuleToModel(db.AlertRule dbRule) {
+    return AlertRuleModel(
+      id: dbRule.id,
+      type: AlertRuleType.values.byName(dbRule.type),
+      threshold: dbRule.threshold,
+      isEnabled: dbRule.isEnabled,
+      createdAt: dbRule.createdAt,
+      updatedAt: dbRule.updatedAt,
+    );
+  }
+
+  AlertModel _mapAlertToModel(db.Alert dbAlert) {
+    return AlertModel(
+      id: dbAlert.id,
+      ruleId: dbAlert.ruleId,
+      type: AlertRuleType.values.byName(dbAlert.type),
+      dedupeKey: dbAlert.dedupeKey,
+      budgetId: dbAlert.budgetId,
+      budgetName: dbAlert.budgetName,
+      subject: dbAlert.subject,
+      value: dbAlert.value,
+      threshold: dbAlert.threshold,
+      currencyCode: dbAlert.currencyCode,
+      createdAt: dbAlert.createdAt,
+      isRead: dbAlert.isRead,
+      isDismissed: dbAlert.isDismissed,
+    );
+  }
+
+  AlertMuteModel _mapMuteToModel(db.AlertMute dbMute) {
+    return AlertMuteModel(
+      budgetId: dbMute.budgetId,
+      mutedUntil: dbMute.mutedUntil,
+    );
+  }
+
+  // ========================================
+  // Rules
+  // ========================================
+
+  /// Get all rules straight from the database
+  ///
+  /// For the alert service, which may run before [rulesStream] emitted.
+  Future<List<AlertRuleModel>> getRules() async {
+    final dbRules = await _localSource.getAllRules();
+    return dbRules.map(_mapRuleToModel).toList();
+  }
+
+  /// Create or update a rule
+  Future<void> saveRule(AlertRuleModel rule) {
+    return trackRepositoryOperation(
+      operation: 'saveRule',
+      execute: () => _localSource.saveRule(
+        db.AlertRulesCompanion.insert(
+          id: rule.id,
+          userId: _localSource.userId,
+          type: rule.type.name,
+          threshold: rule.threshold,
+          isEnabled: Value(rule.isEnabled),
+          createdAt: rule.createdAt,
+          updatedAt: DateTime.now(),
+        ),
+      ),
+      metadata: {'ruleId': rule.id, 'type': rule.type.name},
+    );
+  }
+
+  /// Delete a rule (alerts it fired stay in the inbox)
+  Future<void> deleteRule(String id) {
+    return trackRepositoryOperation(
+      operation: 'deleteRule',
+      execute: () => _localSource.deleteRule(id),
+      metadata: {'ruleId': id},
+    );
+  }
+
+  // ========================================
+  // Alerts
+  // ========================================
+
+  /// Dedupe keys of every alert already fired (dismissed ones included)
+  Future<Set<String>> getFiredKeys() => _localSource.getFiredKeys();
+
+  /// Record a fired alert
+  ///
+  /// Returns false if an alert with the same dedupe key already fired.
+  Future<bool> recordAlert(AlertModel alert) {
+    return trackRepositoryOperation(
+      operation: 'recordAlert',
+      execute: () => _localSource.insertAlert(
+        db.AlertsCompanion.insert(
+          id: alert.id,
+          userId: _localSource.userId,
+          ruleId: alert.ruleId,
+          type: alert.type.name,
+          dedupeKey: alert.dedupeKey,
+          budgetId: Value(alert.budgetId),
+          budgetName: Value(alert.budgetName),
+          subject: alert.subject,
+          value: alert.value,
+          threshold: alert.threshold,
+          currencyCode: Value(alert.currencyCode),
+          createdAt: alert.createdAt,
+        ),
+      ),
+      metadata: {'dedupeKey': alert.dedupeKey},
+    );
+  }
+
+  /// Mark one alert read
+  Future<void> markRead(String id) {
+    return trackRepositoryOperation(
+      operation: 'markRead',
+      execute: () => _localSource.markRead(id: id),
+      metadata: {'alertId': id},
+    );
+  }
+
+  /// Mark every inbox alert read
+  Future<void> markAllRead() {
+    return trackRepositoryOperation(
+      operation: 'markAllRead',
+      execute: () => _localSource.markRead(),
+    );
+  }
+
+  /// Remove one alert from the inbox
+  Future<void> dismiss(String id) {
+    return trackRepositoryOperation(
+      operation: 'dismiss',
+      execute: () => _localSource.dismiss(id: id),
+      metadata: {'alertId': id},
+    );
+  }
+
+  /// Remove every read alert from the inbox
+  Future<void> dismissRead() {
+    return trackRepositoryOperation(
+      operation: 'dismissRead',
+      execute: () => _localSource.dismiss(),
+    );
+  }
+
+  // ========================================
+  // Mutes
+  // ========================================
+
+  /// Get all budget mutes straight from the database
+  Future<List<AlertMuteModel>> getMutes() async {
+    final dbMutes = await _localSource.getAllMutes();
+    return dbMutes.map(_mapMuteToModel).toList();
+  }
+
+  /// Silence [budgetId]'s alerts until [until], or until unmuted when
+  /// null
+  Future<void> muteBudget(String budgetId, {DateTime? until}) {
+    return trackRepositoryOperation(
+      operation: 'muteBudget',
+      execute: () => _localSource.saveMute(
+        db.AlertMutesCompanion.insert(
+          userId: _localSource.userId,
+          budgetId: budgetId,
+          mutedUntil: Value(until),
+        ),
+      ),
+      metadata: {
+        'budgetId': budgetId,
+        'until': until?.toIso8601String(),
+      },
+    );
+  }
+
+  /// Let [budgetId]'s alerts fire again
+  Future<void> unmuteBudget(String budgetId) {
+    return trackRepositoryOperation(
+      operation: 'unmuteBudget',
+      execute: () => _localSource.deleteMute(budgetId),
+      metadata: {'budgetId': budgetId},
+    );
+  }
+
+  void dispose() {
+    _rulesSubscription?.cancel();
+    _alertsSubscription?.cancel();
+    _mutesSubscription?.cancel();
+    _rulesController.close();
+    _alertsController.close();
+    _mutesController.close();
+  }
+}
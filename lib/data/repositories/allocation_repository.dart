@@ -1,27 +1,39 @@
 import 'dart:async';
+import 'dart:convert';
 import 'package:centabit/core/logging/interceptors/repository_logger.dart';
 import 'package:centabit/data/local/allocation_local_source.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
 import 'package:centabit/data/models/allocation_model.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:centabit/data/sync/sync_operation.dart';
 import 'package:centabit/data/local/database.dart' as db;
 import 'package:drift/drift.dart';
 
-/// Repository for allocation data (local-only for now)
+/// Repository for allocation data (local-first, synced in background)
 ///
 /// Responsibilities:
-/// 1. Coordinate LocalSource (and future RemoteSource)
+/// 1. Coordinate LocalSource and SyncManager (remote side lives in the sync isolate)
 /// 2. Emit broadcast streams (like v0.5 services)
 /// 3. Transform Drift entities ↔ Domain Models
-/// 4. Manage sync queue (stub for now - no API yet)
+/// 4. Record every local write in the sync queue and schedule a sync
+/// 5. Rebind to another user's LocalSources when the active profile changes
 class AllocationRepository with RepositoryLogger {
   @override
   String get repositoryName => 'AllocationRepository';
-  final AllocationLocalSource _localSource;
+  AllocationLocalSource _localSource;
+  SyncQueueLocalSource _syncQueue;
+  final SyncManager _syncManager;
 
   final _allocationsController =
       StreamController<List<AllocationModel>>.broadcast();
   StreamSubscription? _dbSubscription;
 
-  AllocationRepository(this._localSource) {
+  AllocationRepository(
+    this._localSource,
+    this._syncQueue,
+    this._syncManager,
+  ) {
     _subscribeToLocalChanges();
   }
 
@@ -43,6 +55,20 @@ class AllocationRepository with RepositoryLogger {
     });
   }
 
+  /// Switch to another user's data (active profile changed)
+  ///
+  /// Cubits keep their subscriptions: the same [allocationsStream] emits the
+  /// new user's rows.
+  void bindUser(
+    AllocationLocalSource localSource,
+    SyncQueueLocalSource syncQueue,
+  ) {
+    _localSource = localSource;
+    _syncQueue = syncQueue;
+    _dbSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
   /// Map Drift entity → Domain model
   AllocationModel _mapToModel(db.Allocation dbAllocation) {
     return AllocationModel(
@@ -75,7 +101,7 @@ class AllocationRepository with RepositoryLogger {
   Future<void> createAllocation(AllocationModel model) async {
     return trackRepositoryOperation(
       operation: 'createAllocation',
-      execute: () async {
+      execute: () => _localSource.runInTransaction(() async {
         await _localSource.createAllocation(
           db.AllocationsCompanion.insert(
             id: model.id,
@@ -89,8 +115,8 @@ class AllocationRepository with RepositoryLogger {
           ),
         );
 
-        // TODO: When API is ready, trigger background sync in isolate
-      },
+        await _enqueueSync(model.id, SyncOperation.create);
+      }),
       metadata: {'allocationId': model.id, 'budgetId': model.budgetId, 'categoryId': model.categoryId},
     );
   }
@@ -99,29 +125,89 @@ class AllocationRepository with RepositoryLogger {
   Future<void> updateAllocation(AllocationModel model) async {
     return trackRepositoryOperation(
       operation: 'updateAllocation',
-      execute: () async {
+      execute: () => _localSource.runInTransaction(() async {
         final updatedModel = model.withUpdatedTimestamp();
         await _localSource.updateAllocation(_mapToDbModel(updatedModel));
 
-        // TODO: When API is ready, trigger background sync in isolate
-      },
+        await _enqueueSync(model.id, SyncOperation.update);
+      }),
       metadata: {'allocationId': model.id},
     );
   }
 
-  /// Delete allocation (soft delete)
-  Future<void> deleteAllocation(String id) async {
+  /// Delete allocation (soft delete), stamped [at] (now by default)
+  Future<void> deleteAllocation(String id, {DateTime? at}) async {
     return trackRepositoryOperation(
       operation: 'deleteAllocation',
-      execute: () async {
-        await _localSource.deleteAllocation(id);
+      execute: () => _localSource.runInTransaction(() async {
+        await _localSource.deleteAllocation(id, at: at);
 
-        // TODO: When API is ready, trigger background sync in isolate
+        await _enqueueSync(id, SyncOperation.delete);
+      }),
+      metadata: {'allocationId': id},
+    );
+  }
+
+  /// Get the soft-deleted allocations, most recently deleted first
+  Future<List<AllocationModel>> getDeletedAllocations() async {
+    return trackRepositoryOperation(
+      operation: 'getDeletedAllocations',
+      execute: () async {
+        final rows = await _localSource.getDeletedAllocations();
+        return rows.map(_mapToModel).toList();
       },
+    );
+  }
+
+  /// Restore a soft-deleted allocation
+  Future<void> restoreAllocation(String id) async {
+    return trackRepositoryOperation(
+      operation: 'restoreAllocation',
+      execute: () => _localSource.runInTransaction(() async {
+        await _localSource.restoreAllocation(id);
+
+        await _enqueueSync(id, SyncOperation.update);
+      }),
       metadata: {'allocationId': id},
     );
   }
 
+  /// Permanently remove a soft-deleted allocation
+  Future<void> purgeAllocation(String id) async {
+    return trackRepositoryOperation(
+      operation: 'purgeAllocation',
+      execute: () => _localSource.purgeAllocation(id),
+      metadata: {'allocationId': id},
+    );
+  }
+
+  /// Permanently remove the allocations deleted before [cutoff], returning
+  /// how many were removed
+  Future<int> purgeAllocationsDeletedBefore(DateTime cutoff) async {
+    return trackRepositoryOperation(
+      operation: 'purgeAllocationsDeletedBefore',
+      execute: () => _localSource.purgeAllocationsDeletedBefore(cutoff),
+      metadata: {'cutoff': cutoff.toIso8601String()},
+    );
+  }
+
+  /// Record a local change in the sync queue and schedule a sync
+  ///
+  /// The payload is a snapshot of the row after the write, so replaying the
+  /// queue in order reproduces every intermediate state on the server.
+  Future<void> _enqueueSync(String id, SyncOperation operation) async {
+    final row = await _localSource.getAllocationById(id);
+    if (row == null) return;
+
+    await _syncQueue.enqueue(
+      entityType: SyncEntityType.allocation.name,
+      entityId: id,
+      operation: operation.name,
+      payload: jsonEncode(row.toJson()),
+    );
+    _syncManager.scheduleSync();
+  }
+
   /// Get allocation by ID
   Future<AllocationModel?> getAllocationById(String id) async {
     return trackRepositoryOperation(
@@ -134,6 +220,24 @@ class AllocationRepository with RepositoryLogger {
     );
   }
 
+  /// Get allocations for a specific budget from the database
+  ///
+  /// Unlike [getAllocationsForBudget], also works right after startup
+  /// before the first stream emission.
+  Future<List<AllocationModel>> fetchAllocationsForBudget(
+    String budgetId,
+  ) async {
+    return trackRepositoryOperation(
+      operation: 'fetchAllocationsForBudget',
+      execute: () async {
+        final dbAllocations =
+            await _localSource.getAllocationsByBudget(budgetId);
+        return dbAllocations.map(_mapToModel).toList();
+      },
+      metadata: {'budgetId': budgetId},
+    );
+  }
+
   /// Get allocations for a specific budget (synchronous - from cache)
   List<AllocationModel> getAllocationsForBudget(String budgetId) {
     return trackRepositoryOperationSync(
@@ -156,13 +260,19 @@ class AllocationRepository with RepositoryLogger {
     );
   }
 
-  /// Sync stub (ready for future API)
+  /// Sync with the remote backend and wait for the result
+  ///
+  /// Runs a full sync cycle in the sync isolate (all entity types are
+  /// synced together so references stay consistent).
   Future<void> sync() async {
     return trackRepositoryOperation(
       operation: 'sync',
       execute: () async {
-        // TODO: Implement API sync in isolate when backend is ready
-        // For now, this is a stub
+        final status = await _syncManager.syncNow();
+        status.maybeWhen(
+          failed: (error) => throw Exception('Sync failed: $error'),
+          orElse: () {},
+        );
       },
     );
   }
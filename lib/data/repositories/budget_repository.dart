@@ -1,27 +1,39 @@
 import 'dart:async';
+import 'dart:convert';
 import 'package:centabit/core/logging/interceptors/repository_logger.dart';
 import 'package:centabit/data/local/budget_local_source.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
 import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:centabit/data/sync/sync_operation.dart';
 import 'package:centabit/data/local/database.dart' as db;
 import 'package:drift/drift.dart';
 
-/// Repository for budget data (local-only for now)
+/// Repository for budget data (local-first, synced in background)
 ///
 /// Responsibilities:
-/// 1. Coordinate LocalSource (and future RemoteSource)
+/// 1. Coordinate LocalSource and SyncManager (remote side lives in the sync isolate)
 /// 2. Emit broadcast streams (like v0.5 services)
 /// 3. Transform Drift entities ↔ Domain Models
-/// 4. Manage sync queue (stub for now - no API yet)
+/// 4. Record every local write in the sync queue and schedule a sync
+/// 5. Rebind to another user's LocalSources when the active profile changes
 class BudgetRepository with RepositoryLogger {
   @override
   String get repositoryName => 'BudgetRepository';
-  final BudgetLocalSource _localSource;
+  BudgetLocalSource _localSource;
+  SyncQueueLocalSource _syncQueue;
+  final SyncManager _syncManager;
 
   final _budgetsController =
       StreamController<List<BudgetModel>>.broadcast();
   StreamSubscription? _dbSubscription;
 
-  BudgetRepository(this._localSource) {
+  BudgetRepository(
+    this._localSource,
+    this._syncQueue,
+    this._syncManager,
+  ) {
     _subscribeToLocalChanges();
   }
 
@@ -43,12 +55,27 @@ class BudgetRepository with RepositoryLogger {
     });
   }
 
+  /// Switch to another user's data (active profile changed)
+  ///
+  /// Cubits keep their subscriptions: the same [budgetsStream] emits the
+  /// new user's rows.
+  void bindUser(
+    BudgetLocalSource localSource,
+    SyncQueueLocalSource syncQueue,
+  ) {
+    _localSource = localSource;
+    _syncQueue = syncQueue;
+    _dbSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
   /// Map Drift entity → Domain model
   BudgetModel _mapToModel(db.Budget dbBudget) {
     return BudgetModel(
       id: dbBudget.id,
       name: dbBudget.name,
       amount: dbBudget.amount,
+      currencyCode: dbBudget.currencyCode,
       startDate: dbBudget.startDate,
       endDate: dbBudget.endDate,
       createdAt: dbBudget.createdAt,
@@ -63,6 +90,7 @@ class BudgetRepository with RepositoryLogger {
       userId: _localSource.userId,
       name: model.name,
       amount: model.amount,
+      currencyCode: model.currencyCode,
       startDate: model.startDate,
       endDate: model.endDate,
       createdAt: model.createdAt,
@@ -77,13 +105,14 @@ class BudgetRepository with RepositoryLogger {
   Future<void> createBudget(BudgetModel model) async {
     return trackRepositoryOperation(
       operation: 'createBudget',
-      execute: () async {
+      execute: () => _localSource.runInTransaction(() async {
         await _localSource.createBudget(
           db.BudgetsCompanion.insert(
             id: model.id,
             userId: _localSource.userId,
             name: model.name,
             amount: model.amount,
+            currencyCode: Value(model.currencyCode),
             startDate: model.startDate,
             endDate: model.endDate,
             createdAt: model.createdAt,
@@ -92,8 +121,8 @@ class BudgetRepository with RepositoryLogger {
           ),
         );
 
-        // TODO: When API is ready, trigger background sync in isolate
-      },
+        await _enqueueSync(model.id, SyncOperation.create);
+      }),
       metadata: {'budgetId': model.id, 'name': model.name},
     );
   }
@@ -102,29 +131,89 @@ class BudgetRepository with RepositoryLogger {
   Future<void> updateBudget(BudgetModel model) async {
     return trackRepositoryOperation(
       operation: 'updateBudget',
-      execute: () async {
+      execute: () => _localSource.runInTransaction(() async {
         final updatedModel = model.withUpdatedTimestamp();
         await _localSource.updateBudget(_mapToDbModel(updatedModel));
 
-        // TODO: When API is ready, trigger background sync in isolate
-      },
+        await _enqueueSync(model.id, SyncOperation.update);
+      }),
       metadata: {'budgetId': model.id},
     );
   }
 
-  /// Delete budget (soft delete)
-  Future<void> deleteBudget(String id) async {
+  /// Delete budget (soft delete), stamped [at] (now by default)
+  Future<void> deleteBudget(String id, {DateTime? at}) async {
     return trackRepositoryOperation(
       operation: 'deleteBudget',
-      execute: () async {
-        await _localSource.deleteBudget(id);
+      execute: () => _localSource.runInTransaction(() async {
+        await _localSource.deleteBudget(id, at: at);
 
-        // TODO: When API is ready, trigger background sync in isolate
+        await _enqueueSync(id, SyncOperation.delete);
+      }),
+      metadata: {'budgetId': id},
+    );
+  }
+
+  /// Get the soft-deleted budgets, most recently deleted first
+  Future<List<BudgetModel>> getDeletedBudgets() async {
+    return trackRepositoryOperation(
+      operation: 'getDeletedBudgets',
+      execute: () async {
+        final rows = await _localSource.getDeletedBudgets();
+        return rows.map(_mapToModel).toList();
       },
+    );
+  }
+
+  /// Restore a soft-deleted budget
+  Future<void> restoreBudget(String id) async {
+    return trackRepositoryOperation(
+      operation: 'restoreBudget',
+      execute: () => _localSource.runInTransaction(() async {
+        await _localSource.restoreBudget(id);
+
+        await _enqueueSync(id, SyncOperation.update);
+      }),
+      metadata: {'budgetId': id},
+    );
+  }
+
+  /// Permanently remove a soft-deleted budget
+  Future<void> purgeBudget(String id) async {
+    return trackRepositoryOperation(
+      operation: 'purgeBudget',
+      execute: () => _localSource.purgeBudget(id),
       metadata: {'budgetId': id},
     );
   }
 
+  /// Permanently remove the budgets deleted before [cutoff], returning
+  /// how many were removed
+  Future<int> purgeBudgetsDeletedBefore(DateTime cutoff) async {
+    return trackRepositoryOperation(
+      operation: 'purgeBudgetsDeletedBefore',
+      execute: () => _localSource.purgeBudgetsDeletedBefore(cutoff),
+      metadata: {'cutoff': cutoff.toIso8601String()},
+    );
+  }
+
+  /// Record a local change in the sync queue and schedule a sync
+  ///
+  /// The payload is a snapshot of the row after the write, so replaying the
+  /// queue in order reproduces every intermediate state on the server.
+  Future<void> _enqueueSync(String id, SyncOperation operation) async {
+    final row = await _localSource.getBudgetById(id);
+    if (row == null) return;
+
+    await _syncQueue.enqueue(
+      entityType: SyncEntityType.budget.name,
+      entityId: id,
+      operation: operation.name,
+      payload: jsonEncode(row.toJson()),
+    );
+    _syncManager.scheduleSync();
+  }
+
   /// Get budget by ID
   Future<BudgetModel?> getBudgetById(String id) async {
     return trackRepositoryOperation(
@@ -137,6 +226,44 @@ class BudgetRepository with RepositoryLogger {
     );
   }
 
+  /// Get the budget whose period contains [date] (latest start wins)
+  ///
+  /// Reads the database rather than the cache, so it also works right after
+  /// startup before the first stream emission.
+  Future<BudgetModel?> getBudgetCoveringDate(DateTime date) async {
+    return trackRepositoryOperation(
+      operation: 'getBudgetCoveringDate',
+      execute: () async {
+        final dbBudgets = await _localSource.getAllBudgets(); // Newest first
+        for (final dbBudget in dbBudgets) {
+          if (!date.isBefore(dbBudget.startDate) &&
+              !date.isAfter(dbBudget.endDate)) {
+            return _mapToModel(dbBudget);
+          }
+        }
+        return null;
+      },
+      metadata: {'date': date.toIso8601String()},
+    );
+  }
+
+  /// Get the budgets whose period ended before [now], newest first
+  ///
+  /// Reads the database rather than the cache, so it also works right after
+  /// startup before the first stream emission.
+  Future<List<BudgetModel>> getEndedBudgets(DateTime now) async {
+    return trackRepositoryOperation(
+      operation: 'getEndedBudgets',
+      execute: () async {
+        final dbBudgets = await _localSource.getAllBudgets(); // Newest first
+        return dbBudgets
+            .where((dbBudget) => dbBudget.endDate.isBefore(now))
+            .map(_mapToModel)
+            .toList();
+      },
+    );
+  }
+
   /// Get active budgets (synchronous - from cache)
   List<BudgetModel> getActiveBudgets() {
     return trackRepositoryOperationSync(
@@ -147,13 +274,19 @@ class BudgetRepository with RepositoryLogger {
     );
   }
 
-  /// Sync stub (ready for future API)
+  /// Sync with the remote backend and wait for the result
+  ///
+  /// Runs a full sync cycle in the sync isolate (all entity types are
+  /// synced together so references stay consistent).
   Future<void> sync() async {
     return trackRepositoryOperation(
       operation: 'sync',
       execute: () async {
-        // TODO: Implement API sync in isolate when backend is ready
-        // For now, this is a stub
+        final status = await _syncManager.syncNow();
+        status.maybeWhen(
+          failed: (error) => throw Exception('Sync failed: $error'),
+          orElse: () {},
+        );
       },
     );
   }
@@ -0,0 +1,165 @@
+import 'dart:async';
+import 'package:centabit/core/logging/interceptors/repository_logger.dart';
+import 'package:centabit/data/local/budget_template_local_source.dart';
+import 'package:centabit/data/models/allocation_model.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/budget_template_model.dart';
+import 'package:centabit/data/local/database.dart' as db;
+
+/// Repository for budget templates (local only, not synced)
+///
+/// Responsibilities:
+/// 1. Emit templates (with their allocations) as a broadcast stream
+/// 2. Transform Drift entities ↔ Domain Models
+/// 3. Save an existing budget and its allocations as a template
+/// 4. Rebind to another user's LocalSource when the active profile changes
+class BudgetTemplateRepository with RepositoryLogger {
+  @override
+  String get repositoryName => 'BudgetTemplateRepository';
+  BudgetTemplateLocalSource _localSource;
+
+  final _templatesController =
+      StreamController<List<BudgetTemplateModel>>.broadcast();
+  StreamSubscription? _templatesSubscription;
+  StreamSubscription? _allocationsSubscription;
+
+  BudgetTemplateRepository(this._localSource) {
+    _subscribeToLocalChanges();
+  }
+
+  /// Public stream of all templates
+  Stream<List<BudgetTemplateModel>> get templatesStream =>
+      _templatesController.stream;
+
+  /// Synchronous getter for immediate access
+  List<BudgetTemplateModel> get templates => _latestTemplates;
+
+  List<BudgetTemplateModel> _latestTemplates = [];
+  List<db.BudgetTemplate> _latestDbTemplates = [];
+  List<db.BudgetTemplateAllocation> _latestDbAllocations = [];
+
+  /// Subscribe to Drift's reactive queries
+  ///
+  /// Templates and their allocations live in two tables; either one
+  /// changing re-emits the joined models.
+  void _subscribeToLocalChanges() {
+    _templatesSubscription =
+        _localSource.watchAllTemplates().listen((dbTemplates) {
+      _latestDbTemplates = dbTemplates;
+      _emitTemplates();
+    });
+    _allocationsSubscription =
+        _localSource.watchAllAllocations().listen((dbAllocations) {
+      _latestDbAllocations = dbAllocations;
+      _emitTemplates();
+    });
+  }
+
+  void _emitTemplates() {
+    _latestTemplates = _latestDbTemplates.map(_mapToModel).toList();
+    _templatesController.add(_latestTemplates);
+  }
+
+  /// Switch to another user's templates (active profile changed)
+  void bindUser(BudgetTemplateLocalSource localSource) {
+    _localSource = localSource;
+    _templatesSubscription?.cancel();
+    _allocationsSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
+  /// Map Drift entities → Domain model
+  BudgetTemplateModel _mapToModel(db.BudgetTemplate dbTemplate) {
+    return BudgetTemplateModel(
+      id: dbTemplate.id,
+      name: dbTemplate.name,
+      amount: dbTemplate.amount,
+      allocations: _latestDbAllocations
+          .where((a) => a.templateId == dbTemplate.id)
+          .map((a) => BudgetTemplateAllocationModel(
+                id: a.id,
+                categoryId: a.categoryId,
+                amount: a.amount,
+              ))
+          .toList(),
+      createdAt: dbTemplate.createdAt,
+      updatedAt: dbTemplate.updatedAt,
+    );
+  }
+
+  /// Create template with its allocations
+  Future<void> createTemplate(BudgetTemplateModel model) async {
+    return trackRepositoryOperation(
+      operation: 'createTemplate',
+      execute: () async {
+        await _localSource.createTemplate(
+          db.BudgetTemplatesCompanion.insert(
+            id: model.id,
+            userId: _localSource.userId,
+            name: model.name,
+            amount: model.amount,
+            createdAt: model.createdAt,
+            updatedAt: model.updatedAt,
+          ),
+          model.allocations
+              .map((a) => db.BudgetTemplateAllocationsCompanion.insert(
+                    id: a.id,
+                    userId: _localSource.userId,
+                    templateId: model.id,
+                    categoryId: a.categoryId,
+                    amount: a.amount,
+                  ))
+              .toList(),
+        );
+      },
+      metadata: {
+        'templateId': model.id,
+        'allocationCount': model.allocations.length,
+      },
+    );
+  }
+
+  /// Save [budget] and its [allocations] as a template named [name]
+  Future<BudgetTemplateModel> saveBudgetAsTemplate(
+    BudgetModel budget,
+    List<AllocationModel> allocations, {
+    required String name,
+  }) async {
+    final template = BudgetTemplateModel.create(
+      name: name,
+      amount: budget.amount,
+      allocations: allocations
+          .map((a) => BudgetTemplateAllocationModel.create(
+                categoryId: a.categoryId,
+                amount: a.amount,
+              ))
+          .toList(),
+    );
+    await createTemplate(template);
+    return template;
+  }
+
+  /// Rename template
+  Future<void> renameTemplate(String id, String name) async {
+    return trackRepositoryOperation(
+      operation: 'renameTemplate',
+      execute: () => _localSource.renameTemplate(id, name),
+      metadata: {'templateId': id},
+    );
+  }
+
+  /// Delete template and its allocations
+  Future<void> deleteTemplate(String id) async {
+    return trackRepositoryOperation(
+      operation: 'deleteTemplate',
+      execute: () => _localSource.deleteTemplate(id),
+      metadata: {'templateId': id},
+    );
+  }
+
+  void dispose() {
+    _templatesSubscription?.cancel();
+    _allocationsSubscription?.cancel();
+    _templatesController.close();
+  }
+}
@@ -0,0 +1,123 @@
+import 'dart:async';
+import 'package:centabit/core/logging/interceptors/repository_logger.dart';
+import 'package:centabit/data/categorization/categorization_rule_engine.dart';
+import 'package:centabit/data/local/categorization_rule_local_source.dart';
+import 'package:centabit/data/models/categorization_rule_model.dart';
+import 'package:centabit/data/local/database.dart' as db;
+import 'package:drift/drift.dart';
+
+/// Repository for categorization rules (local only, not synced)
+///
+/// Responsibilities:
+/// 1. Emit the rules as a broadcast stream, oldest first
+/// 2. Transform Drift entities ↔ Domain Models
+/// 3. Rebind to another user's LocalSource when the active profile changes
+///
+/// Applying the rules is done by [CategorizationRuleEngine]; every list of
+/// rules loaded is handed to the shared engine's
+/// [CategorizationRuleEngine.compile], so their regexes are ready.
+class CategorizationRuleRepository with RepositoryLogger {
+  @override
+  String get repositoryName => 'CategorizationRuleRepository';
+  CategorizationRuleLocalSource _localSource;
+  final CategorizationRuleEngine _engine;
+
+  final _rulesController =
+      StreamController<List<CategorizationRuleModel>>.broadcast();
+  StreamSubscription? _rulesSubscription;
+
+  List<CategorizationRuleModel> _latestRules = [];
+
+  CategorizationRuleRepository(this._localSource, this._engine) {
+    _subscribeToLocalChanges();
+  }
+
+  /// Public stream of all rules, oldest first
+  Stream<List<CategorizationRuleModel>> get rulesStream =>
+      _rulesController.stream;
+
+  /// Synchronous getter for immediate access
+  List<CategorizationRuleModel> get rules => _latestRules;
+
+  /// Subscribe to Drift's reactive queries
+  void _subscribeToLocalChanges() {
+    _rulesSubscription = _localSource.watchAllRules().listen((dbRules) {
+      _latestRules = dbRules.map(_mapToModel).toList();
+      _engine.compile(_latestRules);
+      _rulesController.add(_latestRules);
+    });
+  }
+
+  /// Switch to another user's rules (active profile changed)
+  void bindUser(CategorizationRuleLocalSource localSource) {
+    _localSource = localSource;
+    _rulesSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
+  /// Map Drift entity → Domain model
+  CategorizationRuleModel _mapToModel(db.CategorizationRule dbRule) {
+    return CategorizationRuleModel(
+      id: dbRule.id,
+      namePattern: dbRule.namePattern,
+      isRegex: dbRule.isRegex,
+      minAmount: dbRule.minAmount,
+      maxAmount: dbRule.maxAmount,
+      categoryId: dbRule.categoryId,
+      budgetId: dbRule.budgetId,
+      rename: dbRule.rename,
+      isEnabled: dbRule.isEnabled,
+      createdAt: dbRule.createdAt,
+      updatedAt: dbRule.updatedAt,
+    );
+  }
+
+  /// Get all rules straight from the database, oldest first
+  ///
+  /// For the statement importer, which may run before [rulesStream]
+  /// emitted.
+  Future<List<CategorizationRuleModel>> getRules() async {
+    final dbRules = await _localSource.getAllRules();
+    final rules = dbRules.map(_mapToModel).toList();
+    _engine.compile(rules);
+    return rules;
+  }
+
+  /// Create or update a rule
+  Future<void> saveRule(CategorizationRuleModel rule) {
+    return trackRepositoryOperation(
+      operation: 'saveRule',
+      execute: () => _localSource.saveRule(
+        db.CategorizationRulesCompanion.insert(
+          id: rule.id,
+          userId: _localSource.userId,
+          namePattern: Value(rule.namePattern),
+          isRegex: Value(rule.isRegex),
+          minAmount: Value(rule.minAmount),
+          maxAmount: Value(rule.maxAmount),
+          categoryId: Value(rule.categoryId),
+          budgetId: Value(rule.budgetId),
+          rename: Value(rule.rename),
+          isEnabled: Value(rule.isEnabled),
+          createdAt: rule.createdAt,
+          updatedAt: DateTime.now(),
+        ),
+      ),
+      metadata: {'ruleId': rule.id},
+    );
+  }
+
+  /// Delete a rule
+  Future<void> deleteRule(String id) {
+    return trackRepositoryOperation(
+      operation: 'deleteRule',
+      execute: () => _localSource.deleteRule(id),
+      metadata: {'ruleId': id},
+    );
+  }
+
+  void dispose() {
+    _rulesSubscription?.cancel();
+    _rulesController.close();
+  }
+}
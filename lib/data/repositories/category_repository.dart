@@ -1,27 +1,39 @@
 import 'dart:async';
+import 'dart:convert';
 import 'package:centabit/core/logging/interceptors/repository_logger.dart';
 import 'package:centabit/data/local/category_local_source.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
 import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:centabit/data/sync/sync_operation.dart';
 import 'package:centabit/data/local/database.dart' as db;
 import 'package:drift/drift.dart';
 
-/// Repository for category data (local-only for now)
+/// Repository for category data (local-first, synced in background)
 ///
 /// Responsibilities:
-/// 1. Coordinate LocalSource (and future RemoteSource)
+/// 1. Coordinate LocalSource and SyncManager (remote side lives in the sync isolate)
 /// 2. Emit broadcast streams (like v0.5 services)
 /// 3. Transform Drift entities ↔ Domain Models
-/// 4. Manage sync queue (stub for now - no API yet)
+/// 4. Record every local write in the sync queue and schedule a sync
+/// 5. Rebind to another user's LocalSources when the active profile changes
 class CategoryRepository with RepositoryLogger {
   @override
   String get repositoryName => 'CategoryRepository';
-  final CategoryLocalSource _localSource;
+  CategoryLocalSource _localSource;
+  SyncQueueLocalSource _syncQueue;
+  final SyncManager _syncManager;
 
   final _categoriesController =
       StreamController<List<CategoryModel>>.broadcast();
   StreamSubscription? _dbSubscription;
 
-  CategoryRepository(this._localSource) {
+  CategoryRepository(
+    this._localSource,
+    this._syncQueue,
+    this._syncManager,
+  ) {
     _subscribeToLocalChanges();
   }
 
@@ -43,12 +55,28 @@ class CategoryRepository with RepositoryLogger {
     });
   }
 
+  /// Switch to another user's data (active profile changed)
+  ///
+  /// Cubits keep their subscriptions: the same [categoriesStream] emits the
+  /// new user's rows.
+  void bindUser(
+    CategoryLocalSource localSource,
+    SyncQueueLocalSource syncQueue,
+  ) {
+    _localSource = localSource;
+    _syncQueue = syncQueue;
+    _dbSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
   /// Map Drift entity → Domain model
   CategoryModel _mapToModel(db.Category dbCategory) {
     return CategoryModel(
       id: dbCategory.id,
       name: dbCategory.name,
       iconName: dbCategory.iconName,
+      colorHex: dbCategory.colorHex.isEmpty ? null : dbCategory.colorHex,
+      parentId: dbCategory.parentId,
       createdAt: dbCategory.createdAt,
       updatedAt: dbCategory.updatedAt,
     );
@@ -61,7 +89,8 @@ class CategoryRepository with RepositoryLogger {
       userId: _localSource.userId,
       name: model.name,
       iconName: model.iconName,
-      colorHex: '#000000', // Default color - CategoryModel doesn't have this yet
+      colorHex: model.colorHex ?? '', // Empty: automatic color
+      parentId: model.parentId,
       createdAt: model.createdAt,
       updatedAt: model.updatedAt,
       isSynced: false,
@@ -74,22 +103,23 @@ class CategoryRepository with RepositoryLogger {
   Future<void> createCategory(CategoryModel model) async {
     return trackRepositoryOperation(
       operation: 'createCategory',
-      execute: () async {
+      execute: () => _localSource.runInTransaction(() async {
         await _localSource.createCategory(
           db.CategoriesCompanion.insert(
             id: model.id,
             userId: _localSource.userId,
             name: model.name,
             iconName: model.iconName,
-            colorHex: '#000000', // Default color
+            colorHex: model.colorHex ?? '',
+            parentId: Value(model.parentId),
             createdAt: model.createdAt,
             updatedAt: model.updatedAt,
             isSynced: const Value(false), // Ready for future API sync
           ),
         );
 
-        // TODO: When API is ready, trigger background sync in isolate
-      },
+        await _enqueueSync(model.id, SyncOperation.create);
+      }),
       metadata: {'categoryId': model.id, 'name': model.name},
     );
   }
@@ -98,29 +128,89 @@ class CategoryRepository with RepositoryLogger {
   Future<void> updateCategory(CategoryModel model) async {
     return trackRepositoryOperation(
       operation: 'updateCategory',
-      execute: () async {
+      execute: () => _localSource.runInTransaction(() async {
         final updatedModel = model.copyWith(updatedAt: DateTime.now());
         await _localSource.updateCategory(_mapToDbModel(updatedModel));
 
-        // TODO: When API is ready, trigger background sync in isolate
-      },
+        await _enqueueSync(model.id, SyncOperation.update);
+      }),
       metadata: {'categoryId': model.id},
     );
   }
 
-  /// Delete category (soft delete)
-  Future<void> deleteCategory(String id) async {
+  /// Delete category (soft delete), stamped [at] (now by default)
+  Future<void> deleteCategory(String id, {DateTime? at}) async {
     return trackRepositoryOperation(
       operation: 'deleteCategory',
-      execute: () async {
-        await _localSource.deleteCategory(id);
+      execute: () => _localSource.runInTransaction(() async {
+        await _localSource.deleteCategory(id, at: at);
 
-        // TODO: When API is ready, trigger background sync in isolate
+        await _enqueueSync(id, SyncOperation.delete);
+      }),
+      metadata: {'categoryId': id},
+    );
+  }
+
+  /// Get the soft-deleted categories, most recently deleted first
+  Future<List<CategoryModel>> getDeletedCategories() async {
+    return trackRepositoryOperation(
+      operation: 'getDeletedCategories',
+      execute: () async {
+        final rows = await _localSource.getDeletedCategories();
+        return rows.map(_mapToModel).toList();
       },
+    );
+  }
+
+  /// Restore a soft-deleted category
+  Future<void> restoreCategory(String id) async {
+    return trackRepositoryOperation(
+      operation: 'restoreCategory',
+      execute: () => _localSource.runInTransaction(() async {
+        await _localSource.restoreCategory(id);
+
+        await _enqueueSync(id, SyncOperation.update);
+      }),
       metadata: {'categoryId': id},
     );
   }
 
+  /// Permanently remove a soft-deleted category
+  Future<void> purgeCategory(String id) async {
+    return trackRepositoryOperation(
+      operation: 'purgeCategory',
+      execute: () => _localSource.purgeCategory(id),
+      metadata: {'categoryId': id},
+    );
+  }
+
+  /// Permanently remove the categories deleted before [cutoff], returning
+  /// how many were removed
+  Future<int> purgeCategoriesDeletedBefore(DateTime cutoff) async {
+    return trackRepositoryOperation(
+      operation: 'purgeCategoriesDeletedBefore',
+      execute: () => _localSource.purgeCategoriesDeletedBefore(cutoff),
+      metadata: {'cutoff': cutoff.toIso8601String()},
+    );
+  }
+
+  /// Record a local change in the sync queue and schedule a sync
+  ///
+  /// The payload is a snapshot of the row after the write, so replaying the
+  /// queue in order reproduces every intermediate state on the server.
+  Future<void> _enqueueSync(String id, SyncOperation operation) async {
+    final row = await _localSource.getCategoryById(id);
+    if (row == null) return;
+
+    await _syncQueue.enqueue(
+      entityType: SyncEntityType.category.name,
+      entityId: id,
+      operation: operation.name,
+      payload: jsonEncode(row.toJson()),
+    );
+    _syncManager.scheduleSync();
+  }
+
   /// Get category by ID
   Future<CategoryModel?> getCategoryById(String id) async {
     return trackRepositoryOperation(
@@ -148,13 +238,19 @@ class CategoryRepository with RepositoryLogger {
     );
   }
 
-  /// Sync stub (ready for future API)
+  /// Sync with the remote backend and wait for the result
+  ///
+  /// Runs a full sync cycle in the sync isolate (all entity types are
+  /// synced together so references stay consistent).
   Future<void> sync() async {
     return trackRepositoryOperation(
       operation: 'sync',
       execute: () async {
-        // TODO: Implement API sync in isolate when backend is ready
-        // For now, this is a stub
+        final status = await _syncManager.syncNow();
+        status.maybeWhen(
+          failed: (error) => throw Exception('Sync failed: $error'),
+          orElse: () {},
+        );
       },
     );
   }
@@ -0,0 +1,140 @@
+import 'dart:async';
+import 'package:centabit/core/logging/interceptors/repository_logger.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/data/currency/currency_converter.dart';
+import 'package:centabit/data/currency/exchange_rate_parser.dart';
+import 'package:centabit/data/local/exchange_rate_local_source.dart';
+import 'package:centabit/data/models/exchange_rate_model.dart';
+import 'package:centabit/data/local/database.dart' as db;
+import 'package:shared_preferences/shared_preferences.dart';
+
+/// Repository for exchange rates and the default currency (local only,
+/// not synced)
+///
+/// Responsibilities:
+/// 1. Emit rates as a broadcast stream, with a [converter] built from them
+/// 2. Transform Drift entities ↔ Domain Models
+/// 3. Save rates entered by hand or imported from a file
+/// 4. Keep the default currency of the active user (SharedPreferences)
+/// 5. Rebind to another user's LocalSource when the active profile changes
+class ExchangeRateRepository with RepositoryLogger {
+  @override
+  String get repositoryName => 'ExchangeRateRepository';
+  ExchangeRateLocalSource _localSource;
+  final SharedPreferences _prefs;
+
+  static const String _defaultCurrencyKeyPrefix = 'default_currency_';
+
+  final _ratesController =
+      StreamController<List<ExchangeRateModel>>.broadcast();
+  StreamSubscription? _dbSubscription;
+
+  ExchangeRateRepository(this._localSource, this._prefs) {
+    _subscribeToLocalChanges();
+  }
+
+  /// Public stream of all rates
+  ///
+  /// Also emits when the default currency changes, so listeners converting
+  /// into it reload.
+  Stream<List<ExchangeRateModel>> get ratesStream => _ratesController.stream;
+
+  /// Synchronous getter for immediate access
+  List<ExchangeRateModel> get rates => _latestRates;
+
+  /// Converter using the current [rates]
+  CurrencyConverter get converter => _converter;
+
+  List<ExchangeRateModel> _latestRates = [];
+  CurrencyConverter _converter = CurrencyConverter.empty();
+
+  /// Currency of new transactions and budgets, and of totals mixing
+  /// several budgets (e.g. the monthly overview)
+  String get defaultCurrency =>
+      _prefs.getString(_defaultCurrencyKey) ??
+      CurrencyFormatter.fallbackCurrency;
+
+  String get _defaultCurrencyKey =>
+      '$_defaultCurrencyKeyPrefix${_localSource.userId}';
+
+  /// Subscribe to Drift's reactive query
+  void _subscribeToLocalChanges() {
+    _dbSubscription = _localSource.watchAllRates().listen((dbRates) {
+      _latestRates = dbRates.map(_mapToModel).toList();
+      _converter = CurrencyConverter(_latestRates);
+      _ratesController.add(_latestRates);
+    });
+  }
+
+  /// Switch to another user's rates (active profile changed)
+  void bindUser(ExchangeRateLocalSource localSource) {
+    _localSource = localSource;
+    _dbSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
+  /// Map Drift entity → Domain model
+  ExchangeRateModel _mapToModel(db.ExchangeRate dbRate) {
+    return ExchangeRateModel(
+      baseCode: dbRate.baseCode,
+      quoteCode: dbRate.quoteCode,
+      rate: dbRate.rate,
+      updatedAt: dbRate.updatedAt,
+    );
+  }
+
+  /// Map Domain model → Drift insert companion
+  db.ExchangeRatesCompanion _mapToInsert(ExchangeRateModel model) {
+    return db.ExchangeRatesCompanion.insert(
+      userId: _localSource.userId,
+      baseCode: model.baseCode,
+      quoteCode: model.quoteCode,
+      rate: model.rate,
+      updatedAt: model.updatedAt,
+    );
+  }
+
+  /// Save the rate of a currency pair (replaces an existing one)
+  Future<void> saveRate(ExchangeRateModel model) async {
+    return trackRepositoryOperation(
+      operation: 'saveRate',
+      execute: () => _localSource.upsertRates([_mapToInsert(model)]),
+      metadata: {'pair': '${model.baseCode}/${model.quoteCode}'},
+    );
+  }
+
+  /// Delete the rate of a currency pair
+  Future<void> deleteRate(String baseCode, String quoteCode) async {
+    return trackRepositoryOperation(
+      operation: 'deleteRate',
+      execute: () => _localSource.deleteRate(baseCode, quoteCode),
+      metadata: {'pair': '$baseCode/$quoteCode'},
+    );
+  }
+
+  /// Save every rate of an exchange rate file (see [ExchangeRateParser])
+  ///
+  /// Returns the number of rates saved. Throws
+  /// [ExchangeRateParseException] (nothing saved) if the file is invalid.
+  Future<int> importRates(String content) async {
+    final imported = const ExchangeRateParser().parse(content);
+    await trackRepositoryOperation(
+      operation: 'importRates',
+      execute: () =>
+          _localSource.upsertRates(imported.map(_mapToInsert).toList()),
+      metadata: {'count': imported.length},
+    );
+    return imported.length;
+  }
+
+  /// Change the default currency of the active user
+  Future<void> setDefaultCurrency(String currencyCode) async {
+    await _prefs.setString(_defaultCurrencyKey, currencyCode);
+    _ratesController.add(_latestRates);
+  }
+
+  void dispose() {
+    _dbSubscription?.cancel();
+    _ratesController.close();
+  }
+}
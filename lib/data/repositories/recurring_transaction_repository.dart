@@ -0,0 +1,332 @@
+import 'dart:async';
+import 'package:centabit/core/logging/interceptors/repository_logger.dart';
+import 'package:centabit/data/local/recurring_transaction_local_source.dart';
+import 'package:centabit/data/models/recurring_occurrence_model.dart';
+import 'package:centabit/data/models/recurring_transaction_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/local/database.dart' as db;
+import 'package:drift/drift.dart';
+
+/// Repository for recurring transaction series (local only, not synced)
+///
+/// Responsibilities:
+/// 1. Emit series as a broadcast stream (also re-emitted when a single
+///    occurrence is skipped or edited)
+/// 2. Transform Drift entities ↔ Domain Models
+/// 3. Apply per-occurrence exceptions ("skip", "edit this one") to the
+///    schedule
+/// 4. Rebind to another user's LocalSource when the active profile changes
+///
+/// Materializing due occurrences into transactions is done by
+/// `RecurringTransactionScheduler`.
+class RecurringTransactionRepository with RepositoryLogger {
+  @override
+  String get repositoryName => 'RecurringTransactionRepository';
+  RecurringTransactionLocalSource _localSource;
+
+  final _seriesController =
+      StreamController<List<RecurringTransactionModel>>.broadcast();
+  StreamSubscription? _seriesSubscription;
+  StreamSubscription? _exceptionsSubscription;
+
+  RecurringTransactionRepository(this._localSource) {
+    _subscribeToLocalChanges();
+  }
+
+  /// Public stream of all series
+  Stream<List<RecurringTransactionModel>> get seriesStream =>
+      _seriesController.stream;
+
+  /// Synchronous getter for immediate access
+  List<RecurringTransactionModel> get series => _latestSeries;
+
+  List<RecurringTransactionModel> _latestSeries = [];
+  List<db.RecurrenceException> _latestExceptions = [];
+
+  /// Subscribe to Drift's reactive queries
+  void _subscribeToLocalChanges() {
+    _seriesSubscription = _localSource.watchAllSeries().listen((dbSeries) {
+      _latestSeries = dbSeries.map(_mapToModel).toList();
+      _seriesController.add(_latestSeries);
+    });
+    _exceptionsSubscription =
+        _localSource.watchAllExceptions().listen((dbExceptions) {
+      _latestExceptions = dbExceptions;
+      _seriesController.add(_latestSeries); // Upcoming occurrences changed
+    });
+  }
+
+  /// Switch to another user's series (active profile changed)
+  void bindUser(RecurringTransactionLocalSource localSource) {
+    _localSource = localSource;
+    _seriesSubscription?.cancel();
+    _exceptionsSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
+  /// Map Drift entity → Domain model
+  RecurringTransactionModel _mapToModel(db.RecurringTransaction dbSeries) {
+    return RecurringTransactionModel(
+      id: dbSeries.id,
+      name: dbSeries.name,
+      amount: dbSeries.amount,
+      currencyCode: dbSeries.currencyCode,
+      type: TransactionType.values.byName(dbSeries.type),
+      categoryId: dbSeries.categoryId,
+      notes: dbSeries.notes,
+      frequency: RecurrenceFrequency.values.byName(dbSeries.frequency),
+      interval: dbSeries.interval,
+      dayOfMonth: dbSeries.dayOfMonth,
+      startDate: dbSeries.startDate,
+      endDate: dbSeries.endDate,
+      nextOccurrence: dbSeries.nextOccurrence,
+      createdAt: dbSeries.createdAt,
+      updatedAt: dbSeries.updatedAt,
+    );
+  }
+
+  /// Map Domain model → Drift entity
+  db.RecurringTransaction _mapToDbModel(RecurringTransactionModel model) {
+    return db.RecurringTransaction(
+      id: model.id,
+      userId: _localSource.userId,
+      name: model.name,
+      amount: model.amount,
+      currencyCode: model.currencyCode,
+      type: model.type.name,
+      categoryId: model.categoryId,
+      notes: model.notes,
+      frequency: model.frequency.name,
+      interval: model.interval,
+      dayOfMonth: model.dayOfMonth,
+      startDate: model.startDate,
+      endDate: model.endDate,
+      nextOccurrence: model.nextOccurrence,
+      createdAt: model.createdAt,
+      updatedAt: model.updatedAt,
+    );
+  }
+
+  /// Create series
+  Future<void> createSeries(RecurringTransactionModel model) async {
+    return trackRepositoryOperation(
+      operation: 'createSeries',
+      execute: () async {
+        await _localSource.createSeries(
+          db.RecurringTransactionsCompanion.insert(
+            id: model.id,
+            userId: _localSource.userId,
+            name: model.name,
+            amount: model.amount,
+            currencyCode: Value(model.currencyCode),
+            type: model.type.name,
+            categoryId: Value(model.categoryId),
+            notes: Value(model.notes),
+            frequency: model.frequency.name,
+            interval: Value(model.interval),
+            dayOfMonth: Value(model.dayOfMonth),
+            startDate: model.startDate,
+            endDate: Value(model.endDate),
+            nextOccurrence: Value(model.nextOccurrence),
+            createdAt: model.createdAt,
+            updatedAt: model.updatedAt,
+          ),
+        );
+      },
+      metadata: {'recurringId': model.id, 'frequency': model.frequency.name},
+    );
+  }
+
+  /// Update series ("edit series")
+  ///
+  /// Affects occurrences that aren't materialized yet. When the schedule
+  /// changed, the next occurrence is recomputed and single-occurrence edits
+  /// are dropped (their dates may no longer exist).
+  Future<void> updateSeries(RecurringTransactionModel model) async {
+    return trackRepositoryOperation(
+      operation: 'updateSeries',
+      execute: () async {
+        final dbExisting = await _localSource.getSeriesById(model.id);
+        if (dbExisting == null) {
+          throw StateError('Recurring transaction not found: ${model.id}');
+        }
+        final existing = _mapToModel(dbExisting);
+
+        var updated = model.copyWith(updatedAt: DateTime.now());
+        final scheduleChanged = existing.frequency != model.frequency ||
+            existing.interval != model.interval ||
+            existing.dayOfMonth != model.dayOfMonth ||
+            existing.startDate != model.startDate ||
+            existing.endDate != model.endDate;
+
+        if (scheduleChanged) {
+          final from = existing.nextOccurrence ?? DateTime.now();
+          updated = updated.copyWith(
+            nextOccurrence: updated.occurrenceOnOrAfter(from),
+          );
+          await _localSource.deleteExceptions(model.id);
+        }
+
+        await _localSource.updateSeries(_mapToDbModel(updated));
+      },
+      metadata: {'recurringId': model.id},
+    );
+  }
+
+  /// Delete series (materialized transactions are kept)
+  Future<void> deleteSeries(String id) async {
+    return trackRepositoryOperation(
+      operation: 'deleteSeries',
+      execute: () => _localSource.deleteSeries(id),
+      metadata: {'recurringId': id},
+    );
+  }
+
+  /// Skip one upcoming occurrence
+  Future<void> skipOccurrence(String recurringId, DateTime occurrenceDate) {
+    return trackRepositoryOperation(
+      operation: 'skipOccurrence',
+      execute: () => _localSource.saveException(
+        db.RecurrenceExceptionsCompanion.insert(
+          userId: _localSource.userId,
+          recurringId: recurringId,
+          occurrenceDate: occurrenceDate,
+          isSkipped: const Value(true),
+        ),
+      ),
+      metadata: {
+        'recurringId': recurringId,
+        'occurrenceDate': occurrenceDate.toIso8601String(),
+      },
+    );
+  }
+
+  /// Change name/amount of one upcoming occurrence ("edit this one")
+  Future<void> editOccurrence(
+    String recurringId,
+    DateTime occurrenceDate, {
+    required String name,
+    required double amount,
+  }) {
+    return trackRepositoryOperation(
+      operation: 'editOccurrence',
+      execute: () => _localSource.saveException(
+        db.RecurrenceExceptionsCompanion.insert(
+          userId: _localSource.userId,
+          recurringId: recurringId,
+          occurrenceDate: occurrenceDate,
+          name: Value(name),
+          amount: Value(amount),
+        ),
+      ),
+      metadata: {
+        'recurringId': recurringId,
+        'occurrenceDate': occurrenceDate.toIso8601String(),
+      },
+    );
+  }
+
+  /// Get all series from the database (not the cache)
+  ///
+  /// Used by the scheduler at startup, before the first stream emission.
+  Future<List<RecurringTransactionModel>> getAllSeries() async {
+    return trackRepositoryOperation(
+      operation: 'getAllSeries',
+      execute: () async {
+        final dbSeries = await _localSource.getAllSeries();
+        return dbSeries.map(_mapToModel).toList();
+      },
+    );
+  }
+
+  /// Occurrences of [series] up to [until], exceptions applied
+  /// (from the database)
+  Future<List<RecurringOccurrenceModel>> getOccurrences(
+    RecurringTransactionModel series, {
+    required DateTime until,
+  }) async {
+    return trackRepositoryOperation(
+      operation: 'getOccurrences',
+      execute: () async {
+        final exceptions = await _localSource.getExceptions(series.id);
+        return _occurrences(series, until, exceptions);
+      },
+      metadata: {'recurringId': series.id},
+    );
+  }
+
+  /// Upcoming occurrences of all series up to [until], soonest first
+  /// (synchronous - from cache)
+  List<RecurringOccurrenceModel> getUpcomingOccurrences({
+    required DateTime until,
+  }) {
+    return trackRepositoryOperationSync(
+      operation: 'getUpcomingOccurrences',
+      execute: () {
+        return [
+          for (final series in _latestSeries)
+            ..._occurrences(series, until, _latestExceptions),
+        ]..sort((a, b) => a.occurrenceDate.compareTo(b.occurrenceDate));
+      },
+    );
+  }
+
+  /// Record that occurrences up to [until] were materialized
+  ///
+  /// Moves the series to [nextOccurrence] (null = finished) and drops the
+  /// exceptions that were applied.
+  Future<void> markMaterialized(
+    String recurringId, {
+    required DateTime until,
+    required DateTime? nextOccurrence,
+  }) async {
+    return trackRepositoryOperation(
+      operation: 'markMaterialized',
+      execute: () async {
+        await _localSource.setNextOccurrence(recurringId, nextOccurrence);
+        await _localSource.deleteExceptions(recurringId, until: until);
+      },
+      metadata: {'recurringId': recurringId},
+    );
+  }
+
+  /// Series values with matching exceptions applied; skipped ones left out
+  List<RecurringOccurrenceModel> _occurrences(
+    RecurringTransactionModel series,
+    DateTime until,
+    List<db.RecurrenceException> exceptions,
+  ) {
+    final occurrences = <RecurringOccurrenceModel>[];
+
+    for (final date in series.occurrencesUntil(until)) {
+      db.RecurrenceException? exception;
+      for (final e in exceptions) {
+        if (e.recurringId == series.id &&
+            e.occurrenceDate.isAtSameMomentAs(date)) {
+          exception = e;
+          break;
+        }
+      }
+      if (exception?.isSkipped ?? false) continue;
+
+      occurrences.add(RecurringOccurrenceModel(
+        recurringId: series.id,
+        occurrenceDate: date,
+        name: exception?.name ?? series.name,
+        amount: exception?.amount ?? series.amount,
+        type: series.type,
+        categoryId: series.categoryId,
+        currencyCode: series.currencyCode,
+        isEdited: exception != null,
+      ));
+    }
+
+    return occurrences;
+  }
+
+  void dispose() {
+    _seriesSubscription?.cancel();
+    _exceptionsSubscription?.cancel();
+    _seriesController.close();
+  }
+}
@@ -0,0 +1,153 @@
+import 'dart:async';
+import 'dart:convert';
+import 'package:centabit/core/logging/interceptors/repository_logger.dart';
+import 'package:centabit/data/local/search_local_source.dart';
+import 'package:centabit/data/models/saved_search_model.dart';
+import 'package:centabit/data/models/transaction_filter.dart';
+import 'package:centabit/data/local/database.dart' as db;
+
+/// Repository for the search bar's history and saved searches (local only,
+/// not synced)
+///
+/// Responsibilities:
+/// 1. Emit recent queries and saved searches as broadcast streams
+/// 2. Transform Drift entities ↔ Domain Models (filters stored as JSON)
+/// 3. Keep the history to the [historyLimit] most recent queries
+/// 4. Rebind to another user's LocalSource when the active profile changes
+class SearchRepository with RepositoryLogger {
+  @override
+  String get repositoryName => 'SearchRepository';
+  SearchLocalSource _localSource;
+
+  /// Recent queries kept per user
+  static const int historyLimit = 10;
+
+  final _historyController = StreamController<List<String>>.broadcast();
+  final _savedSearchesController =
+      StreamController<List<SavedSearchModel>>.broadcast();
+  StreamSubscription? _historySubscription;
+  StreamSubscription? _savedSearchesSubscription;
+
+  List<String> _latestHistory = [];
+  List<SavedSearchModel> _latestSavedSearches = [];
+
+  SearchRepository(this._localSource) {
+    _subscribeToLocalChanges();
+  }
+
+  /// Public stream of the recent queries, newest first
+  Stream<List<String>> get historyStream => _historyController.stream;
+
+  /// Public stream of the saved searches, by name
+  Stream<List<SavedSearchModel>> get savedSearchesStream =>
+      _savedSearchesController.stream;
+
+  /// Synchronous getters for immediate access
+  List<String> get history => _latestHistory;
+  List<SavedSearchModel> get savedSearches => _latestSavedSearches;
+
+  /// Subscribe to Drift's reactive queries
+  void _subscribeToLocalChanges() {
+    _historySubscription = _localSource
+        .watchHistory(limit: historyLimit)
+        .listen((entries) {
+      _latestHistory = entries.map((entry) => entry.query).toList();
+      _historyController.add(_latestHistory);
+    });
+    _savedSearchesSubscription =
+        _localSource.watchSavedSearches().listen((dbSearches) {
+      _latestSavedSearches = dbSearches.map(_mapToModel).toList();
+      _savedSearchesController.add(_latestSavedSearches);
+    });
+  }
+
+  /// Switch to another user's searches (active profile changed)
+  void bindUser(SearchLocalSource localSource) {
+    _localSource = localSource;
+    _historySubscription?.cancel();
+    _savedSearchesSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
+  /// Map Drift entity → Domain model
+  SavedSearchModel _mapToModel(db.SavedSearch dbSearch) {
+    return SavedSearchModel(
+      id: dbSearch.id,
+      name: dbSearch.name,
+      filter: TransactionFilter.fromJson(
+        jsonDecode(dbSearch.filter) as Map<String, dynamic>,
+      ),
+      createdAt: dbSearch.createdAt,
+      updatedAt: dbSearch.updatedAt,
+    );
+  }
+
+  // ========================================
+  // History
+  // ========================================
+
+  /// Record [query] as the most recent search (blank queries are ignored)
+  Future<void> recordQuery(String query) async {
+    final trimmed = query.trim();
+    if (trimmed.isEmpty) return;
+
+    return trackRepositoryOperation(
+      operation: 'recordQuery',
+      execute: () => _localSource.touchQuery(trimmed, keep: historyLimit),
+    );
+  }
+
+  /// Forget one recent query
+  Future<void> removeQuery(String query) {
+    return trackRepositoryOperation(
+      operation: 'removeQuery',
+      execute: () => _localSource.deleteHistory(query: query),
+    );
+  }
+
+  /// Forget every recent query
+  Future<void> clearHistory() {
+    return trackRepositoryOperation(
+      operation: 'clearHistory',
+      execute: () => _localSource.deleteHistory(),
+    );
+  }
+
+  // ========================================
+  // Saved searches
+  // ========================================
+
+  /// Create or update a saved search
+  Future<void> saveSearch(SavedSearchModel search) {
+    return trackRepositoryOperation(
+      operation: 'saveSearch',
+      execute: () => _localSource.saveSearch(
+        db.SavedSearchesCompanion.insert(
+          id: search.id,
+          userId: _localSource.userId,
+          name: search.name,
+          filter: jsonEncode(search.filter.toJson()),
+          createdAt: search.createdAt,
+          updatedAt: DateTime.now(),
+        ),
+      ),
+      metadata: {'searchId': search.id},
+    );
+  }
+
+  /// Delete a saved search
+  Future<void> deleteSavedSearch(String id) {
+    return trackRepositoryOperation(
+      operation: 'deleteSavedSearch',
+      execute: () => _localSource.deleteSavedSearch(id),
+      metadata: {'searchId': id},
+    );
+  }
+
+  void dispose() {
+    _historySubscription?.cancel();
+    _savedSearchesSubscription?.cancel();
+    _historyController.close();
+    _savedSearchesController.close();
+  }
+}
@@ -0,0 +1,90 @@
+import 'dart:async';
+import 'dart:convert';
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/core/logging/interceptors/repository_logger.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/app_settings_model.dart';
+import 'package:shared_preferences/shared_preferences.dart';
+
+/// Repository for the app settings of this device (not synced, shared by
+/// all profiles)
+///
+/// Responsibilities:
+/// 1. Load settings from SharedPreferences (defaults if none or unreadable)
+/// 2. Persist changes and emit them as a broadcast stream
+/// 3. Apply the formatting settings to [CurrencyFormatter] and
+///    [DateFormatter], so every displayed amount and date follows them
+class SettingsRepository with RepositoryLogger {
+  @override
+  String get repositoryName => 'SettingsRepository';
+  final SharedPreferences _prefs;
+
+  static const String _settingsKey = 'app_settings';
+
+  final _settingsController = StreamController<AppSettingsModel>.broadcast();
+
+  late AppSettingsModel _settings;
+
+  SettingsRepository(this._prefs) {
+    _settings = _load();
+    _applyToFormatters(_settings);
+  }
+
+  /// Public stream of settings changes
+  Stream<AppSettingsModel> get settingsStream => _settingsController.stream;
+
+  /// Synchronous getter for immediate access
+  AppSettingsModel get settings => _settings;
+
+  AppSettingsModel _load() {
+    final json = _prefs.getString(_settingsKey);
+    if (json == null) return const AppSettingsModel();
+
+    try {
+      return AppSettingsModel.fromJson(
+        jsonDecode(json) as Map<String, dynamic>,
+      );
+    } catch (e) {
+      // e.g. an option removed since it was saved: start over
+      AppLogger.instance.warning(
+        'Unreadable settings, using defaults',
+        error: e,
+      );
+      return const AppSettingsModel();
+    }
+  }
+
+  /// Save [settings] and apply them
+  Future<void> update(AppSettingsModel settings) async {
+    return trackRepositoryOperation(
+      operation: 'update',
+      execute: () async {
+        await _prefs.setString(_settingsKey, jsonEncode(settings.toJson()));
+        _settings = settings;
+        _applyToFormatters(settings);
+        _settingsController.add(settings);
+      },
+    );
+  }
+
+  /// Restore the default settings
+  Future<void> reset() => update(const AppSettingsModel());
+
+  void _applyToFormatters(AppSettingsModel settings) {
+    CurrencyFormatter.configure(
+      placement: settings.currencyPlacement,
+      display: settings.currencyDisplay,
+      decimalStyle: settings.decimalStyle,
+    );
+    DateFormatter.configure(
+      dateStyle: settings.dateStyle,
+      use24HourTime: settings.use24HourTime,
+      firstDayOfWeek: settings.firstDayOfWeek,
+    );
+  }
+
+  void dispose() {
+    _settingsController.close();
+  }
+}
@@ -0,0 +1,160 @@
+import 'dart:async';
+import 'dart:convert';
+import 'package:centabit/core/logging/interceptors/repository_logger.dart';
+import 'package:centabit/data/local/sync_conflict_local_source.dart';
+import 'package:centabit/data/models/sync_conflict_model.dart';
+import 'package:centabit/data/sync/conflicts/sync_conflict_resolver.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:centabit/data/local/database.dart' as db;
+
+/// Repository for sync conflicts waiting for the user's decision
+///
+/// Responsibilities:
+/// 1. Emit open conflicts as a broadcast stream (conflict review screen)
+/// 2. Apply the user's choice through [SyncConflictResolver]
+/// 3. Remove the resolved conflict and schedule a sync so the held-back
+///    changes are pushed
+/// 4. Rebind to another user's conflicts when the active profile changes
+class SyncConflictRepository with RepositoryLogger {
+  @override
+  String get repositoryName => 'SyncConflictRepository';
+  SyncConflictLocalSource _localSource;
+  SyncConflictResolver _resolver;
+  final SyncManager _syncManager;
+
+  final _conflictsController =
+      StreamController<List<SyncConflictModel>>.broadcast();
+  StreamSubscription? _dbSubscription;
+
+  SyncConflictRepository(
+    this._localSource,
+    this._resolver,
+    this._syncManager,
+  ) {
+    _subscribeToLocalChanges();
+  }
+
+  /// Public stream of open conflicts (newest first)
+  Stream<List<SyncConflictModel>> get conflictsStream =>
+      _conflictsController.stream;
+
+  /// Synchronous getter for immediate access
+  List<SyncConflictModel> get conflicts => _latestConflicts;
+
+  List<SyncConflictModel> _latestConflicts = [];
+
+  /// Subscribe to Drift's reactive queries
+  void _subscribeToLocalChanges() {
+    _dbSubscription = _localSource.watchConflicts().listen((dbConflicts) {
+      final models = dbConflicts.map(_mapToModel).toList();
+      _latestConflicts = models; // Cache for synchronous getter
+      _conflictsController.add(models);
+    });
+  }
+
+  /// Switch to another user's conflicts (active profile changed)
+  void bindUser(
+    SyncConflictLocalSource localSource,
+    SyncConflictResolver resolver,
+  ) {
+    _localSource = localSource;
+    _resolver = resolver;
+    _dbSubscription?.cancel();
+    _subscribeToLocalChanges();
+  }
+
+  /// Map Drift entity → Domain model
+  SyncConflictModel _mapToModel(db.SyncConflict dbConflict) {
+    return SyncConflictModel(
+      id: dbConflict.id,
+      entityType: SyncEntityType.values.byName(dbConflict.entityType),
+      entityId: dbConflict.entityId,
+      local: jsonDecode(dbConflict.localPayload) as Map<String, dynamic>,
+      remote: jsonDecode(dbConflict.remotePayload) as Map<String, dynamic>,
+      conflictingFields:
+          (jsonDecode(dbConflict.conflictingFields) as List<dynamic>)
+              .cast<String>(),
+      detectedAt: dbConflict.detectedAt,
+    );
+  }
+
+  /// Keep this device's version and push it over the server version
+  Future<void> keepMine(int conflictId) async {
+    return trackRepositoryOperation(
+      operation: 'keepMine',
+      execute: () => _resolve(conflictId, (conflict, local) {
+        return _resolver.keepLocal(
+          conflict.entityType,
+          local: local,
+          remote: conflict.remote,
+        );
+      }),
+      metadata: {'conflictId': conflictId},
+    );
+  }
+
+  /// Take the server version and drop this device's changes
+  Future<void> keepTheirs(int conflictId) async {
+    return trackRepositoryOperation(
+      operation: 'keepTheirs',
+      execute: () => _resolve(conflictId, (conflict, _) {
+        return _resolver.keepRemote(
+          conflict.entityType,
+          remote: conflict.remote,
+        );
+      }),
+      metadata: {'conflictId': conflictId},
+    );
+  }
+
+  /// Keep the server version and save this device's version as a copy
+  ///
+  /// Not available when either side deleted the record.
+  Future<void> keepBoth(int conflictId) async {
+    return trackRepositoryOperation(
+      operation: 'keepBoth',
+      execute: () => _resolve(conflictId, (conflict, local) {
+        if (local['isDeleted'] == true || conflict.remote['isDeleted'] == true) {
+          throw StateError('Deleted records cannot be kept twice');
+        }
+        return _resolver.keepBoth(
+          conflict.entityType,
+          local: local,
+          remote: conflict.remote,
+        );
+      }),
+      metadata: {'conflictId': conflictId},
+    );
+  }
+
+  /// Apply a resolution, close the conflict and schedule a sync
+  ///
+  /// Resolutions use the current local row rather than the recorded one, so
+  /// edits made after the conflict was detected aren't lost.
+  Future<void> _resolve(
+    int conflictId,
+    Future<void> Function(
+      SyncConflictModel conflict,
+      Map<String, dynamic> local,
+    )
+    apply,
+  ) async {
+    final dbConflict = await _localSource.getConflictById(conflictId);
+    if (dbConflict == null) return; // Already resolved
+
+    final conflict = _mapToModel(dbConflict);
+    final local =
+        await _resolver.getLocalRecord(conflict.entityType, conflict.entityId) ??
+        conflict.local;
+
+    await apply(conflict, local);
+    await _localSource.deleteConflict(conflictId);
+    _syncManager.scheduleSync();
+  }
+
+  void dispose() {
+    _dbSubscription?.cancel();
+    _conflictsController.close();
+  }
+}
@@ -1,46 +1,106 @@
 import 'dart:async';
+import 'dart:convert';
 import 'package:centabit/core/logging/interceptors/repository_logger.dart';
 import 'package:centabit/data/local/transaction_local_source.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/models/transaction_filter.dart';
 import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/models/transaction_split_model.dart';
+import 'package:centabit/data/models/transaction_total.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:centabit/data/sync/sync_operation.dart';
 import 'package:centabit/data/local/database.dart' as db;
 import 'package:drift/drift.dart';
 
-/// Repository for transaction data (local-only for now)
+/// Repository for transaction data (local-first, synced in background)
 ///
 /// Responsibilities:
-/// 1. Coordinate LocalSource (and future RemoteSource)
-/// 2. Emit broadcast streams (like v0.5 services)
+/// 1. Coordinate LocalSource and SyncManager (remote side lives in the sync isolate)
+/// 2. Emit a broadcast change stream, and streams scoped to a date window
+///    or a budget
 /// 3. Transform Drift entities ↔ Domain Models
-/// 4. Manage sync queue (stub for now - no API yet)
+/// 4. Record every local write in the sync queue and schedule a sync
+/// 5. Rebind to another user's LocalSources when the active profile changes
+///
+/// Unlike the other repositories it keeps no cache: years of history don't
+/// fit in memory, so callers page ([getFilteredPage]), scope their queries
+/// and let SQL aggregate ([getTotals]).
 class TransactionRepository with RepositoryLogger {
   @override
   String get repositoryName => 'TransactionRepository';
-  final TransactionLocalSource _localSource;
+  TransactionLocalSource _localSource;
+  SyncQueueLocalSource _syncQueue;
+  final SyncManager _syncManager;
 
-  final _transactionsController =
-      StreamController<List<TransactionModel>>.broadcast();
+  final _changesController = StreamController<void>.broadcast();
+  final _userController = StreamController<void>.broadcast();
   StreamSubscription? _dbSubscription;
 
-  TransactionRepository(this._localSource) {
+  TransactionRepository(
+    this._localSource,
+    this._syncQueue,
+    this._syncManager,
+  ) {
     _subscribeToLocalChanges();
   }
 
-  /// Public stream (like v0.5 services)
-  Stream<List<TransactionModel>> get transactionsStream =>
-      _transactionsController.stream;
+  /// Emits when transactions change (also when the active profile
+  /// changes): listeners re-run their queries
+  Stream<void> get changesStream => _changesController.stream;
+
+  /// Subscribe to Drift's table updates
+  void _subscribeToLocalChanges() {
+    _dbSubscription = _localSource
+        .watchChanges()
+        .listen((_) => _changesController.add(null));
+  }
 
-  /// Synchronous getter for immediate access (like v0.5 services)
-  List<TransactionModel> get transactions => _latestTransactions;
+  /// Switch to another user's data (active profile changed)
+  ///
+  /// Cubits keep their subscriptions: [changesStream] emits, and the scoped
+  /// streams switch to the new user's rows.
+  void bindUser(
+    TransactionLocalSource localSource,
+    SyncQueueLocalSource syncQueue,
+  ) {
+    _localSource = localSource;
+    _syncQueue = syncQueue;
+    _dbSubscription?.cancel();
+    _subscribeToLocalChanges();
+    _userController.add(null);
+    _changesController.add(null);
+  }
 
-  List<TransactionModel> _latestTransactions = [];
+  /// Stream of [watch] on the current LocalSource, following profile
+  /// switches
+  Stream<List<TransactionModel>> _watchForUser(
+    Stream<List<db.Transaction>> Function(TransactionLocalSource source)
+        watch,
+  ) {
+    late final StreamController<List<TransactionModel>> controller;
+    StreamSubscription? rowsSubscription;
+    StreamSubscription? userSubscription;
 
-  /// Subscribe to Drift's reactive queries
-  void _subscribeToLocalChanges() {
-    _dbSubscription = _localSource.watchAllTransactions().listen((dbTransactions) {
-      final models = dbTransactions.map(_mapToModel).toList();
-      _latestTransactions = models; // Cache for synchronous getter
-      _transactionsController.add(models);
-    });
+    void listen() {
+      rowsSubscription?.cancel();
+      rowsSubscription = watch(_localSource).listen(
+        (rows) => controller.add(rows.map(_mapToModel).toList()),
+        onError: controller.addError,
+      );
+    }
+
+    controller = StreamController<List<TransactionModel>>(
+      onListen: () {
+        listen();
+        userSubscription = _userController.stream.listen((_) => listen());
+      },
+      onCancel: () {
+        rowsSubscription?.cancel();
+        userSubscription?.cancel();
+      },
+    );
+    return controller.stream;
   }
 
   /// Map Drift entity → Domain model
@@ -49,6 +109,7 @@ class TransactionRepository with RepositoryLogger {
       id: dbTransaction.id,
       name: dbTransaction.name,
       amount: dbTransaction.amount,
+      currencyCode: dbTransaction.currencyCode,
       type: TransactionType.values.firstWhere(
         (e) => e.name == dbTransaction.type,
       ),
@@ -56,6 +117,16 @@ class TransactionRepository with RepositoryLogger {
       categoryId: dbTransaction.categoryId,
       budgetId: dbTransaction.budgetId,
       notes: dbTransaction.notes,
+      recurringId: dbTransaction.recurringId,
+      splits: dbTransaction.splits == null
+          ? const []
+          : (jsonDecode(dbTransaction.splits!) as List)
+                .map(
+                  (split) => TransactionSplitModel.fromJson(
+                    split as Map<String, dynamic>,
+                  ),
+                )
+                .toList(),
       createdAt: dbTransaction.createdAt,
       updatedAt: dbTransaction.updatedAt,
     );
@@ -68,11 +139,14 @@ class TransactionRepository with RepositoryLogger {
       userId: _localSource.userId,
       name: model.name,
       amount: model.amount,
+      currencyCode: model.currencyCode,
       type: model.type.name,
       transactionDate: model.transactionDate,
       categoryId: model.categoryId,
       budgetId: model.budgetId,
       notes: model.notes,
+      recurringId: model.recurringId,
+      splits: _encodeSplits(model),
       createdAt: model.createdAt,
       updatedAt: model.updatedAt,
       isSynced: false,
@@ -81,61 +155,162 @@ class TransactionRepository with RepositoryLogger {
     );
   }
 
+  /// Map Domain model → Drift insert companion
+  db.TransactionsCompanion _mapToInsert(TransactionModel model) {
+    return db.TransactionsCompanion.insert(
+      id: model.id,
+      userId: _localSource.userId,
+      name: model.name,
+      amount: model.amount,
+      currencyCode: Value(model.currencyCode),
+      type: model.type.name,
+      transactionDate: model.transactionDate,
+      categoryId: Value(model.categoryId),
+      budgetId: Value(model.budgetId),
+      notes: Value(model.notes),
+      recurringId: Value(model.recurringId),
+      splits: Value(_encodeSplits(model)),
+      createdAt: model.createdAt,
+      updatedAt: model.updatedAt,
+      isSynced: const Value(false), // Ready for future API sync
+    );
+  }
+
+  /// Split lines as stored in the `splits` column: JSON, null when not split
+  ///
+  /// Throws an [ArgumentError] when the lines don't add up to the amount.
+  String? _encodeSplits(TransactionModel model) {
+    if (!model.isSplit) return null;
+    model.splits.checkAddUpTo(model.amount);
+    return jsonEncode([for (final split in model.splits) split.toJson()]);
+  }
+
   /// Create transaction (optimistic update - local only for now)
   Future<void> createTransaction(TransactionModel model) async {
     return trackRepositoryOperation(
       operation: 'createTransaction',
-      execute: () async {
-        await _localSource.createTransaction(
-          db.TransactionsCompanion.insert(
-            id: model.id,
-            userId: _localSource.userId,
-            name: model.name,
-            amount: model.amount,
-            type: model.type.name,
-            transactionDate: model.transactionDate,
-            categoryId: Value(model.categoryId),
-            budgetId: Value(model.budgetId),
-            notes: Value(model.notes),
-            createdAt: model.createdAt,
-            updatedAt: model.updatedAt,
-            isSynced: const Value(false), // Ready for future API sync
-          ),
-        );
+      execute: () => _localSource.runInTransaction(() async {
+        await _localSource.createTransaction(_mapToInsert(model));
 
-        // TODO: When API is ready, trigger background sync in isolate
-      },
+        await _enqueueSync(model.id, SyncOperation.create);
+      }),
       metadata: {'transactionId': model.id, 'type': model.type.name},
     );
   }
 
+  /// Create many transactions at once (statement import)
+  ///
+  /// All rows and their sync queue entries are written in ONE Drift
+  /// transaction: either every transaction is created or none is, and the
+  /// stream emits once.
+  Future<void> createTransactions(List<TransactionModel> models) async {
+    return trackRepositoryOperation(
+      operation: 'createTransactions',
+      execute: () => _localSource.runInTransaction(() async {
+        for (final model in models) {
+          await _localSource.createTransaction(_mapToInsert(model));
+          await _enqueueSync(model.id, SyncOperation.create);
+        }
+      }),
+      metadata: {'count': models.length},
+    );
+  }
+
   /// Update transaction
   Future<void> updateTransaction(TransactionModel model) async {
     return trackRepositoryOperation(
       operation: 'updateTransaction',
-      execute: () async {
+      execute: () => _localSource.runInTransaction(() async {
         final updatedModel = model.copyWith(updatedAt: DateTime.now());
         await _localSource.updateTransaction(_mapToDbModel(updatedModel));
 
-        // TODO: When API is ready, trigger background sync in isolate
-      },
+        await _enqueueSync(model.id, SyncOperation.update);
+      }),
       metadata: {'transactionId': model.id},
     );
   }
 
   /// Delete transaction (soft delete)
-  Future<void> deleteTransaction(String id) async {
+  ///
+  /// [at] stamps the deletion (now by default): rows deleted together
+  /// share it, so the trash can restore them together.
+  Future<void> deleteTransaction(String id, {DateTime? at}) async {
     return trackRepositoryOperation(
       operation: 'deleteTransaction',
-      execute: () async {
-        await _localSource.deleteTransaction(id);
+      execute: () => _localSource.runInTransaction(() async {
+        await _localSource.deleteTransaction(id, at: at);
 
-        // TODO: When API is ready, trigger background sync in isolate
+        await _enqueueSync(id, SyncOperation.delete);
+      }),
+      metadata: {'transactionId': id},
+    );
+  }
+
+  /// Get the soft-deleted transactions, most recently deleted first
+  ///
+  /// A model's `updatedAt` is when it was deleted.
+  Future<List<TransactionModel>> getDeletedTransactions() async {
+    return trackRepositoryOperation(
+      operation: 'getDeletedTransactions',
+      execute: () async {
+        final rows = await _localSource.getDeletedTransactions();
+        return rows.map(_mapToModel).toList();
       },
+    );
+  }
+
+  /// Restore a soft-deleted transaction
+  Future<void> restoreTransaction(String id) async {
+    return trackRepositoryOperation(
+      operation: 'restoreTransaction',
+      execute: () => _localSource.runInTransaction(() async {
+        await _localSource.restoreTransaction(id);
+
+        await _enqueueSync(id, SyncOperation.update);
+      }),
+      metadata: {'transactionId': id},
+    );
+  }
+
+  /// Permanently remove a soft-deleted transaction (local only: the server
+  /// already has, or will get, the deletion)
+  Future<void> purgeTransaction(String id) async {
+    return trackRepositoryOperation(
+      operation: 'purgeTransaction',
+      execute: () => _localSource.purgeTransaction(id),
       metadata: {'transactionId': id},
     );
   }
 
+  /// Permanently remove the transactions deleted before [cutoff], returning
+  /// how many were removed
+  Future<int> purgeTransactionsDeletedBefore(DateTime cutoff) async {
+    return trackRepositoryOperation(
+      operation: 'purgeTransactionsDeletedBefore',
+      execute: () => _localSource.purgeTransactionsDeletedBefore(cutoff),
+      metadata: {'cutoff': cutoff.toIso8601String()},
+    );
+  }
+
+  /// Record a local change in the sync queue and schedule a sync
+  ///
+  /// The payload is a snapshot of the row after the write, so replaying the
+  /// queue in order reproduces every intermediate state on the server.
+  /// Callers run it in the write's Drift transaction: a change that isn't
+  /// queued is rolled back rather than silently never synced.
+  Future<void> _enqueueSync(String id, SyncOperation operation) async {
+    final row = await _localSource.getTransactionById(id);
+    if (row == null) return;
+
+    await _syncQueue.enqueue(
+      entityType: SyncEntityType.transaction.name,
+      entityId: id,
+      operation: operation.name,
+      payload: jsonEncode(row.toJson()),
+    );
+    _syncManager.scheduleSync();
+  }
+
   /// Get transaction by ID
   Future<TransactionModel?> getTransactionById(String id) async {
     return trackRepositoryOperation(
@@ -148,19 +323,220 @@ class TransactionRepository with RepositoryLogger {
     );
   }
 
-  /// Sync stub (ready for future API)
+  /// Get the transactions linked to a budget, oldest first
+  Future<List<TransactionModel>> getTransactionsForBudget(
+    String budgetId,
+  ) async {
+    return trackRepositoryOperation(
+      operation: 'getTransactionsForBudget',
+      execute: () async {
+        final dbTransactions =
+            await _localSource.getTransactionsByBudget(budgetId);
+        return dbTransactions.map(_mapToModel).toList();
+      },
+      metadata: {'budgetId': budgetId},
+    );
+  }
+
+  /// Get the transactions of a category
+  Future<List<TransactionModel>> getTransactionsForCategory(
+    String categoryId,
+  ) async {
+    return trackRepositoryOperation(
+      operation: 'getTransactionsForCategory',
+      execute: () async {
+        final dbTransactions =
+            await _localSource.getTransactionsByCategory(categoryId);
+        return dbTransactions.map(_mapToModel).toList();
+      },
+      metadata: {'categoryId': categoryId},
+    );
+  }
+
+  /// The [limit] newest transactions with a category whose name contains
+  /// one of [words] (letters only), for category suggestions
+  Future<List<TransactionModel>> getCategorizedByNameWords(
+    List<String> words, {
+    int limit = 200,
+  }) async {
+    if (words.isEmpty) return [];
+    return trackRepositoryOperation(
+      operation: 'getCategorizedByNameWords',
+      execute: () async {
+        final dbTransactions = await _localSource.getCategorizedByNameWords(
+          words,
+          limit: limit,
+        );
+        return dbTransactions.map(_mapToModel).toList();
+      },
+    );
+  }
+
+  /// Number of transactions of a category and/or a budget
+  Future<int> countTransactions({String? categoryId, String? budgetId}) {
+    return trackRepositoryOperation(
+      operation: 'countTransactions',
+      execute: () => _localSource.countTransactions(
+        categoryId: categoryId,
+        budgetId: budgetId,
+      ),
+      metadata: {'categoryId': categoryId, 'budgetId': budgetId},
+    );
+  }
+
+  /// Transactions linked to a budget, oldest first, re-emitted when they
+  /// change
+  Stream<List<TransactionModel>> watchTransactionsForBudget(String budgetId) {
+    return _watchForUser(
+      (source) => source.watchTransactionsByBudget(budgetId),
+    );
+  }
+
+  /// Transactions dated on [date]'s day, newest first, re-emitted when
+  /// they change
+  Stream<List<TransactionModel>> watchTransactionsByDate(DateTime date) {
+    return _watchForUser((source) => source.watchTransactionsByDate(date));
+  }
+
+  /// Transactions dated from [start] (inclusive) to [end] (exclusive),
+  /// newest first, re-emitted when they change
+  Stream<List<TransactionModel>> watchTransactionsInRange(
+    DateTime start,
+    DateTime end,
+  ) {
+    return _watchForUser(
+      (source) => source.watchTransactionsInRange(start, end),
+    );
+  }
+
+  /// Get the transactions dated from [start] (inclusive) to [end]
+  /// (exclusive), newest first, of one budget if [budgetId]
+  Future<List<TransactionModel>> getTransactionsInRange(
+    DateTime start,
+    DateTime end, {
+    String? budgetId,
+  }) async {
+    return trackRepositoryOperation(
+      operation: 'getTransactionsInRange',
+      execute: () async {
+        final dbTransactions = await _localSource.getTransactionsInRange(
+          start,
+          end,
+          budgetId: budgetId,
+        );
+        return dbTransactions.map(_mapToModel).toList();
+      },
+      metadata: {'start': '$start', 'end': '$end', 'budgetId': ?budgetId},
+    );
+  }
+
+  /// Get the transactions created at or after [since]
+  Future<List<TransactionModel>> getTransactionsCreatedSince(
+    DateTime since,
+  ) async {
+    return trackRepositoryOperation(
+      operation: 'getTransactionsCreatedSince',
+      execute: () async {
+        final dbTransactions =
+            await _localSource.getTransactionsCreatedSince(since);
+        return dbTransactions.map(_mapToModel).toList();
+      },
+      metadata: {'since': '$since'},
+    );
+  }
+
+  /// Sums per budget, category, currency and type, computed by SQL
+  ///
+  /// Narrowed to the dates from [start] (inclusive) to [end] (exclusive),
+  /// one budget and one type when given.
+  Future<List<TransactionTotal>> getTotals({
+    DateTime? start,
+    DateTime? end,
+    String? budgetId,
+    TransactionType? type,
+  }) async {
+    return trackRepositoryOperation(
+      operation: 'getTotals',
+      execute: () async {
+        final rows = await _localSource.getTotals(
+          start: start,
+          end: end,
+          budgetId: budgetId,
+          type: type?.name,
+        );
+        return [
+          for (final row in rows)
+            (
+              budgetId: row.budgetId,
+              categoryId: row.categoryId,
+              currencyCode: row.currencyCode,
+              type: TransactionType.values.byName(row.type),
+              amount: row.amount,
+              count: row.count,
+            ),
+        ];
+      },
+      metadata: {'budgetId': ?budgetId},
+    );
+  }
+
+  /// Get a page of the transactions matching [filter]: newest first, or
+  /// best match first when it has a search text (highlighted)
+  ///
+  /// Keyset pagination: pass the previous page's `next` as [after]. See
+  /// `TransactionLocalSource.getFilteredPage`, also for [through]. Callers
+  /// re-run it when [changesStream] emits.
+  Future<TransactionPage> getFilteredPage(
+    TransactionFilter filter, {
+    TransactionCursor? after,
+    required int limit,
+    DateTime? through,
+  }) async {
+    return trackRepositoryOperation(
+      operation: 'getFilteredPage',
+      execute: () async {
+        final page = await _localSource.getFilteredPage(
+          filter,
+          after: after,
+          limit: limit,
+          through: through,
+        );
+        return (
+          hits: [
+            for (final hit in page.rows)
+              (
+                transaction: _mapToModel(hit.row),
+                nameHighlight: hit.nameHighlight,
+                notesSnippet: hit.notesSnippet,
+              ),
+          ],
+          next: page.next,
+        );
+      },
+      metadata: {'activeCriteria': filter.activeCount, 'limit': limit},
+    );
+  }
+
+  /// Sync with the remote backend and wait for the result
+  ///
+  /// Runs a full sync cycle in the sync isolate (all entity types are
+  /// synced together so references stay consistent).
   Future<void> sync() async {
     return trackRepositoryOperation(
       operation: 'sync',
       execute: () async {
-        // TODO: Implement API sync in isolate when backend is ready
-        // For now, this is a stub
+        final status = await _syncManager.syncNow();
+        status.maybeWhen(
+          failed: (error) => throw Exception('Sync failed: $error'),
+          orElse: () {},
+        );
       },
     );
   }
 
   void dispose() {
     _dbSubscription?.cancel();
-    _transactionsController.close();
+    _changesController.close();
+    _userController.close();
   }
 }
@@ -0,0 +1,47 @@
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+
+/// How the sync engine settles a row edited both locally and on the server
+enum ConflictStrategy {
+  /// The version with the newer `updatedAt` wins as a whole
+  lastWriterWins,
+
+  /// Fields changed on only one side are combined; fields changed on both
+  /// sides are sent to the user for review
+  fieldLevelMerge,
+
+  /// The server version keeps the original id, the local version is saved
+  /// as a new row
+  keepBoth,
+
+  /// Every conflict is sent to the user for review
+  manual,
+}
+
+/// Conflict strategy configuration, per entity type
+///
+/// Passed to the sync isolate, so it must stay a plain immutable object.
+///
+/// **Example**:
+/// ```dart
+/// const policy = ConflictPolicy(
+///   defaultStrategy: ConflictStrategy.fieldLevelMerge,
+///   overrides: {SyncEntityType.transaction: ConflictStrategy.keepBoth},
+/// );
+/// ```
+class ConflictPolicy {
+  /// Strategy used for entity types without an override
+  final ConflictStrategy defaultStrategy;
+
+  /// Per-entity-type strategies
+  final Map<SyncEntityType, ConflictStrategy> overrides;
+
+  const ConflictPolicy({
+    this.defaultStrategy = ConflictStrategy.fieldLevelMerge,
+    this.overrides = const {},
+  });
+
+  /// Strategy to apply for [entityType]
+  ConflictStrategy strategyFor(SyncEntityType entityType) {
+    return overrides[entityType] ?? defaultStrategy;
+  }
+}
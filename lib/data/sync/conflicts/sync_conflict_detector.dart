@@ -0,0 +1,105 @@
+/// Result of a three-way field merge
+class FieldMergeResult {
+  /// Merged record (fields changed on both sides take the server value)
+  final Map<String, dynamic> merged;
+
+  /// Fields changed differently on both sides
+  final List<String> conflictingFields;
+
+  const FieldMergeResult({
+    required this.merged,
+    required this.conflictingFields,
+  });
+
+  /// Whether the merge needs no user decision
+  bool get isClean => conflictingFields.isEmpty;
+}
+
+/// Detects and merges concurrent edits of the same row
+///
+/// Works on the JSON form of Drift rows, so it applies to every entity type.
+///
+/// **Conflict rule**: A pulled record conflicts with the local row when both
+/// sides changed since the last sync:
+/// - Local: `isSynced == false` (unpushed local edits)
+/// - Remote: `updatedAt` differs from the last agreed snapshot, or - without
+///   a snapshot - is newer than the local `lastSyncedAt`
+class SyncConflictDetector {
+  /// Fields that identify or describe the row rather than hold user data
+  static const metadataFields = {
+    'id',
+    'userId',
+    'createdAt',
+    'updatedAt',
+    'isSynced',
+    'lastSyncedAt',
+  };
+
+  const SyncConflictDetector();
+
+  /// Whether [remote] conflicts with the [local] row
+  ///
+  /// [base] is the last version both sides agreed on (null if unknown).
+  bool isConflict({
+    required Map<String, dynamic> local,
+    required Map<String, dynamic> remote,
+    Map<String, dynamic>? base,
+  }) {
+    if (local['isSynced'] == true) return false; // No local changes
+
+    final remoteUpdatedAt = _toDateTime(remote['updatedAt']);
+    if (base != null) {
+      return remoteUpdatedAt != _toDateTime(base['updatedAt']);
+    }
+
+    final lastSyncedAt = _toDateTime(local['lastSyncedAt']);
+    if (lastSyncedAt == null || remoteUpdatedAt == null) return true;
+    return remoteUpdatedAt.isAfter(lastSyncedAt);
+  }
+
+  /// Fields whose values differ between [local] and [remote]
+  List<String> differingFields(
+    Map<String, dynamic> local,
+    Map<String, dynamic> remote,
+  ) {
+    return {...local.keys, ...remote.keys}
+        .where((field) => !metadataFields.contains(field))
+        .where((field) => local[field] != remote[field])
+        .toList();
+  }
+
+  /// Three-way merge of [local] and [remote] against [base]
+  ///
+  /// Per field:
+  /// - Same value on both sides → kept
+  /// - Changed on one side only → that side's value
+  /// - Changed on both sides (or no base) → conflicting, server value kept
+  FieldMergeResult merge({
+    required Map<String, dynamic> local,
+    required Map<String, dynamic> remote,
+    Map<String, dynamic>? base,
+  }) {
+    final merged = Map<String, dynamic>.of(local);
+    final conflicting = <String>[];
+
+    for (final field in differingFields(local, remote)) {
+      if (base != null && local[field] == base[field]) {
+        merged[field] = remote[field]; // Only the server changed it
+      } else if (base != null && remote[field] == base[field]) {
+        merged[field] = local[field]; // Only this device changed it
+      } else {
+        merged[field] = remote[field];
+        conflicting.add(field);
+      }
+    }
+
+    return FieldMergeResult(merged: merged, conflictingFields: conflicting);
+  }
+
+  /// Drift serializes DateTime as milliseconds since epoch by default
+  DateTime? _toDateTime(Object? value) {
+    if (value is int) return DateTime.fromMillisecondsSinceEpoch(value);
+    if (value is String) return DateTime.tryParse(value);
+    return null;
+  }
+}
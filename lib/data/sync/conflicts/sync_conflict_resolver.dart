@@ -0,0 +1,342 @@
+import 'dart:convert';
+
+import 'package:centabit/data/local/allocation_local_source.dart';
+import 'package:centabit/data/local/budget_local_source.dart';
+import 'package:centabit/data/local/category_local_source.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_conflict_local_source.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/local/sync_snapshot_local_source.dart';
+import 'package:centabit/data/local/transaction_local_source.dart';
+import 'package:centabit/data/models/transaction_split_model.dart';
+import 'package:centabit/data/sync/conflicts/conflict_policy.dart';
+import 'package:centabit/data/sync/conflicts/sync_conflict_detector.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_operation.dart';
+import 'package:drift/drift.dart';
+import 'package:uuid/uuid.dart';
+
+/// What happened to a conflicting row
+enum ConflictOutcome { keptRemote, keptLocal, merged, keptBoth, needsReview }
+
+/// Applies conflict strategies and user decisions to the local database
+///
+/// Used by the SyncEngine inside the sync isolate (automatic strategies) and
+/// by SyncConflictRepository on the main isolate (user decisions from the
+/// conflict review screen).
+///
+/// All records are the JSON form of Drift rows. Every resolution:
+/// - Rewrites the local row
+/// - Replaces the entity's pending SyncQueue entries (so the push phase
+///   sends the resolved version, or nothing when the server version won)
+/// - Stores the server version as the new snapshot (merge base)
+class SyncConflictResolver {
+  final AppDatabase _db;
+  final String userId;
+  final SyncConflictDetector _detector;
+
+  final TransactionLocalSource _transactions;
+  final CategoryLocalSource _categories;
+  final BudgetLocalSource _budgets;
+  final AllocationLocalSource _allocations;
+  final SyncQueueLocalSource _queue;
+  final SyncSnapshotLocalSource _snapshots;
+  final SyncConflictLocalSource _conflicts;
+
+  SyncConflictResolver(
+    AppDatabase database,
+    this.userId, {
+    SyncConflictDetector detector = const SyncConflictDetector(),
+  }) : _db = database,
+       _detector = detector,
+       _transactions = TransactionLocalSource(database, userId),
+       _categories = CategoryLocalSource(database, userId),
+       _budgets = BudgetLocalSource(database, userId),
+       _allocations = AllocationLocalSource(database, userId),
+       _queue = SyncQueueLocalSource(database, userId),
+       _snapshots = SyncSnapshotLocalSource(database, userId),
+       _conflicts = SyncConflictLocalSource(database, userId);
+
+  /// Settle a detected conflict with [strategy]
+  ///
+  /// Returns [ConflictOutcome.needsReview] when the conflict was recorded
+  /// for the user instead (manual strategy or unmergeable fields).
+  Future<ConflictOutcome> resolve({
+    required SyncEntityType entityType,
+    required ConflictStrategy strategy,
+    required Map<String, dynamic> local,
+    required Map<String, dynamic> remote,
+    Map<String, dynamic>? base,
+  }) async {
+    switch (strategy) {
+      case ConflictStrategy.lastWriterWins:
+        return _lastWriterWins(entityType, local, remote);
+
+      case ConflictStrategy.fieldLevelMerge:
+        final result = _detector.merge(local: local, remote: remote, base: base);
+        if (!result.isClean) {
+          await recordConflict(
+            entityType,
+            local: local,
+            remote: remote,
+            conflictingFields: result.conflictingFields,
+          );
+          return ConflictOutcome.needsReview;
+        }
+        await keepMerged(entityType, merged: result.merged, remote: remote);
+        return ConflictOutcome.merged;
+
+      case ConflictStrategy.keepBoth:
+        // A deleted row can't meaningfully be duplicated
+        if (local['isDeleted'] == true || remote['isDeleted'] == true) {
+          return _lastWriterWins(entityType, local, remote);
+        }
+        await keepBoth(entityType, local: local, remote: remote);
+        return ConflictOutcome.keptBoth;
+
+      case ConflictStrategy.manual:
+        await recordConflict(
+          entityType,
+          local: local,
+          remote: remote,
+          conflictingFields: _detector.differingFields(local, remote),
+        );
+        return ConflictOutcome.needsReview;
+    }
+  }
+
+  Future<ConflictOutcome> _lastWriterWins(
+    SyncEntityType entityType,
+    Map<String, dynamic> local,
+    Map<String, dynamic> remote,
+  ) async {
+    final localUpdatedAt = local['updatedAt'] as int;
+    final remoteUpdatedAt = remote['updatedAt'] as int;
+
+    if (remoteUpdatedAt > localUpdatedAt) {
+      await keepRemote(entityType, remote: remote);
+      return ConflictOutcome.keptRemote;
+    }
+    await keepLocal(entityType, local: local, remote: remote);
+    return ConflictOutcome.keptLocal;
+  }
+
+  /// Save a conflict for the review screen
+  ///
+  /// The local row and its queued changes are left untouched; the push
+  /// phase holds them back until the user decides.
+  Future<void> recordConflict(
+    SyncEntityType entityType, {
+    required Map<String, dynamic> local,
+    required Map<String, dynamic> remote,
+    required List<String> conflictingFields,
+  }) {
+    return _conflicts.saveConflict(
+      entityType: entityType.name,
+      entityId: remote['id'] as String,
+      localPayload: jsonEncode(local),
+      remotePayload: jsonEncode(remote),
+      conflictingFields: jsonEncode(conflictingFields),
+    );
+  }
+
+  // ========================================
+  // Resolutions
+  // ========================================
+
+  /// Server version wins: overwrite the local row, drop local changes
+  Future<void> keepRemote(
+    SyncEntityType entityType, {
+    required Map<String, dynamic> remote,
+  }) {
+    return _db.transaction(() async {
+      final id = remote['id'] as String;
+      await _upsertSynced(entityType, _asSyncedRow(remote));
+      await _queue.removeEntriesFor(entityType.name, id);
+      await _snapshots.saveSnapshot(entityType.name, id, jsonEncode(remote));
+    });
+  }
+
+  /// Local version wins: keep the row and push it over the server version
+  Future<void> keepLocal(
+    SyncEntityType entityType, {
+    required Map<String, dynamic> local,
+    required Map<String, dynamic> remote,
+  }) {
+    return _db.transaction(() async {
+      await _requeue(entityType, local, SyncOperation.update);
+      await _snapshots.saveSnapshot(
+        entityType.name,
+        remote['id'] as String,
+        jsonEncode(remote),
+      );
+    });
+  }
+
+  /// Write a merged version locally and push it
+  Future<void> keepMerged(
+    SyncEntityType entityType, {
+    required Map<String, dynamic> merged,
+    required Map<String, dynamic> remote,
+  }) {
+    return _db.transaction(() async {
+      final row = _asUnsyncedRow(merged);
+      await _replace(entityType, row);
+      await _requeue(entityType, row, SyncOperation.update);
+      await _snapshots.saveSnapshot(
+        entityType.name,
+        remote['id'] as String,
+        jsonEncode(remote),
+      );
+    });
+  }
+
+  /// Keep both: the server version takes the original id, the local
+  /// version is saved (and pushed) as a new row
+  ///
+  /// **Note**: Only the row itself is copied - rows referencing the original
+  /// (e.g. allocations of a budget) stay with the server version.
+  Future<void> keepBoth(
+    SyncEntityType entityType, {
+    required Map<String, dynamic> local,
+    required Map<String, dynamic> remote,
+  }) {
+    return _db.transaction(() async {
+      final now = DateTime.now().millisecondsSinceEpoch;
+      final copy = _asUnsyncedRow({
+        ...local,
+        'id': const Uuid().v4(),
+        'createdAt': now,
+      });
+
+      await _insert(entityType, copy);
+      await _queue.enqueue(
+        entityType: entityType.name,
+        entityId: copy['id'] as String,
+        operation: SyncOperation.create.name,
+        payload: jsonEncode(copy),
+      );
+
+      await keepRemote(entityType, remote: remote);
+    });
+  }
+
+  /// Replace the entity's queued changes with a single entry for [row]
+  Future<void> _requeue(
+    SyncEntityType entityType,
+    Map<String, dynamic> row,
+    SyncOperation operation,
+  ) async {
+    final id = row['id'] as String;
+    await _queue.removeEntriesFor(entityType.name, id);
+    await _queue.enqueue(
+      entityType: entityType.name,
+      entityId: id,
+      operation: operation.name,
+      payload: jsonEncode(row),
+    );
+  }
+
+  Map<String, dynamic> _asSyncedRow(Map<String, dynamic> record) {
+    return {
+      ...record,
+      'userId': userId, // CRITICAL: Never trust the server-side userId
+      'isSynced': true,
+      'lastSyncedAt': null,
+    };
+  }
+
+  Map<String, dynamic> _asUnsyncedRow(Map<String, dynamic> record) {
+    return {
+      'lastSyncedAt': null,
+      ...record,
+      'userId': userId, // CRITICAL: Never trust the server-side userId
+      'updatedAt': DateTime.now().millisecondsSinceEpoch,
+      'isSynced': false,
+    };
+  }
+
+  // ========================================
+  // Per-entity row access
+  // ========================================
+
+  /// Current local row (JSON form) for [id], including soft-deleted rows
+  Future<Map<String, dynamic>?> getLocalRecord(
+    SyncEntityType entityType,
+    String id,
+  ) async {
+    final DataClass? row = switch (entityType) {
+      SyncEntityType.category => await _categories.getCategoryById(id),
+      SyncEntityType.budget => await _budgets.getBudgetById(id),
+      SyncEntityType.allocation => await _allocations.getAllocationById(id),
+      SyncEntityType.transaction => await _transactions.getTransactionById(id),
+    };
+    return row?.toJson();
+  }
+
+  Future<void> _upsertSynced(
+    SyncEntityType entityType,
+    Map<String, dynamic> json,
+  ) {
+    return switch (entityType) {
+      SyncEntityType.category =>
+        _categories.upsertSyncedCategory(Category.fromJson(json)),
+      SyncEntityType.budget =>
+        _budgets.upsertSyncedBudget(Budget.fromJson(_withCurrency(json))),
+      SyncEntityType.allocation =>
+        _allocations.upsertSyncedAllocation(Allocation.fromJson(json)),
+      SyncEntityType.transaction =>
+        _transactions.upsertSyncedTransaction(_transactionOf(json)),
+    };
+  }
+
+  Future<void> _replace(SyncEntityType entityType, Map<String, dynamic> json) {
+    return switch (entityType) {
+      SyncEntityType.category =>
+        _categories.updateCategory(Category.fromJson(json)),
+      SyncEntityType.budget =>
+        _budgets.updateBudget(Budget.fromJson(_withCurrency(json))),
+      SyncEntityType.allocation =>
+        _allocations.updateAllocation(Allocation.fromJson(json)),
+      SyncEntityType.transaction =>
+        _transactions.updateTransaction(_transactionOf(json)),
+    };
+  }
+
+  Future<void> _insert(SyncEntityType entityType, Map<String, dynamic> json) {
+    return switch (entityType) {
+      SyncEntityType.category => _categories.createCategory(
+        Category.fromJson(json).toCompanion(false),
+      ),
+      SyncEntityType.budget => _budgets.createBudget(
+        Budget.fromJson(_withCurrency(json)).toCompanion(false),
+      ),
+      SyncEntityType.allocation => _allocations.createAllocation(
+        Allocation.fromJson(json).toCompanion(false),
+      ),
+      SyncEntityType.transaction => _transactions.createTransaction(
+        _transactionOf(json).toCompanion(false),
+      ),
+    };
+  }
+
+  /// Transaction row of [json], refused (ArgumentError) when its split
+  /// lines don't add up to its amount
+  static Transaction _transactionOf(Map<String, dynamic> json) {
+    final row = Transaction.fromJson(_withCurrency(json));
+    final splits = row.splits;
+    if (splits != null) {
+      [
+        for (final line in jsonDecode(splits) as List)
+          TransactionSplitModel.fromJson(line as Map<String, dynamic>),
+      ].checkAddUpTo(row.amount);
+    }
+    return row;
+  }
+
+  /// [json] with the `currencyCode` default, for budget and transaction
+  /// records written before currencies existed (server or snapshots)
+  static Map<String, dynamic> _withCurrency(Map<String, dynamic> json) {
+    return {'currencyCode': 'USD', ...json};
+  }
+}
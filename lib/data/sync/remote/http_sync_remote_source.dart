@@ -0,0 +1,84 @@
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:dio/dio.dart';
+
+/// HTTP implementation of [SyncRemoteSource]
+///
+/// **Endpoints** (relative to [baseUrl]):
+/// - `POST /sync/{entityType}/push` with `{"userId": ..., "records": [...]}`
+/// - `GET  /sync/{entityType}/pull?userId=...&cursor=...`
+///   returning `{"records": [...], "cursor": "..."}`
+///
+/// Works against the production API or any local stand-in server that
+/// implements the same two endpoints.
+class HttpSyncRemoteSource extends SyncRemoteSource {
+  final Dio _dio;
+
+  HttpSyncRemoteSource({
+    required String baseUrl,
+    Duration timeout = const Duration(seconds: 30),
+  }) : _dio = Dio(
+         BaseOptions(
+           baseUrl: baseUrl,
+           connectTimeout: timeout,
+           receiveTimeout: timeout,
+           contentType: Headers.jsonContentType,
+         ),
+       );
+
+  @override
+  Future<void> push({
+    required String userId,
+    required SyncEntityType entityType,
+    required List<Map<String, dynamic>> records,
+  }) async {
+    await _guard(
+      () => _dio.post<void>(
+        '/sync/${entityType.name}/push',
+        data: {'userId': userId, 'records': records},
+      ),
+    );
+  }
+
+  @override
+  Future<SyncPullResult> pull({
+    required String userId,
+    required SyncEntityType entityType,
+    String? cursor,
+  }) async {
+    final response = await _guard(
+      () => _dio.get<Map<String, dynamic>>(
+        '/sync/${entityType.name}/pull',
+        queryParameters: {'userId': userId, 'cursor': ?cursor},
+      ),
+    );
+
+    final body = response.data ?? const {};
+    final records = (body['records'] as List<dynamic>? ?? const [])
+        .cast<Map<String, dynamic>>();
+
+    return SyncPullResult(
+      records: records,
+      cursor: body['cursor'] as String?,
+    );
+  }
+
+  /// Map connectivity errors to [SyncOfflineException]
+  Future<T> _guard<T>(Future<T> Function() request) async {
+    try {
+      return await request();
+    } on DioException catch (e) {
+      switch (e.type) {
+        case DioExceptionType.connectionError:
+        case DioExceptionType.connectionTimeout:
+          throw SyncOfflineException(e.message ?? 'Connection failed');
+        default:
+          rethrow;
+      }
+    }
+  }
+
+  @override
+  Future<void> close() async {
+    _dio.close();
+  }
+}
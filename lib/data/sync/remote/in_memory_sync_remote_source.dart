@@ -0,0 +1,68 @@
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+
+/// In-memory stand-in for the sync backend
+///
+/// Behaves like the real API (per-user storage, monotonically increasing
+/// revision used as the pull cursor) without any network access. For tests
+/// and debug builds without a configured API only: it marks rows synced
+/// that no server has.
+///
+/// **Note**: State lives only as long as the instance. When created inside
+/// the sync isolate it survives between sync runs, but not app restarts.
+class InMemorySyncRemoteSource extends SyncRemoteSource {
+  /// userId → entityType → record id → stored record
+  final Map<String, Map<SyncEntityType, Map<String, _StoredRecord>>> _store =
+      {};
+
+  int _revision = 0;
+
+  @override
+  Future<void> push({
+    required String userId,
+    required SyncEntityType entityType,
+    required List<Map<String, dynamic>> records,
+  }) async {
+    final table = _tableFor(userId, entityType);
+
+    for (final record in records) {
+      final id = record['id'] as String;
+      _revision++;
+      table[id] = _StoredRecord(Map.of(record), _revision);
+    }
+  }
+
+  @override
+  Future<SyncPullResult> pull({
+    required String userId,
+    required SyncEntityType entityType,
+    String? cursor,
+  }) async {
+    final since = cursor != null ? int.tryParse(cursor) ?? 0 : 0;
+    final changed = _tableFor(userId, entityType)
+        .values
+        .where((stored) => stored.revision > since)
+        .toList()
+      ..sort((a, b) => a.revision.compareTo(b.revision));
+
+    return SyncPullResult(
+      records: changed.map((stored) => Map.of(stored.record)).toList(),
+      cursor: _revision.toString(),
+    );
+  }
+
+  Map<String, _StoredRecord> _tableFor(
+    String userId,
+    SyncEntityType entityType,
+  ) {
+    return _store
+        .putIfAbsent(userId, () => {})
+        .putIfAbsent(entityType, () => {});
+  }
+}
+
+class _StoredRecord {
+  final Map<String, dynamic> record;
+  final int revision;
+
+  const _StoredRecord(this.record, this.revision);
+}
@@ -0,0 +1,69 @@
+/// Entity types exchanged with the sync backend
+///
+/// The enum name doubles as the wire identifier (and matches the
+/// `entityType` values stored in the SyncQueue table).
+enum SyncEntityType { category, budget, allocation, transaction }
+
+/// Result of pulling remote changes for one entity type
+class SyncPullResult {
+  /// Records changed on the server since the requested cursor
+  ///
+  /// Each record is the JSON form of the Drift row (without local-only
+  /// sync metadata such as `isSynced` / `lastSyncedAt`).
+  final List<Map<String, dynamic>> records;
+
+  /// Opaque server position to pass to the next [SyncRemoteSource.pull]
+  final String? cursor;
+
+  const SyncPullResult({required this.records, this.cursor});
+}
+
+/// Thrown by a [SyncRemoteSource] when the backend can't be reached
+///
+/// Reported as `SyncStatus.offline()` instead of a failure.
+class SyncOfflineException implements Exception {
+  final String message;
+
+  const SyncOfflineException([this.message = 'Sync backend unreachable']);
+
+  @override
+  String toString() => 'SyncOfflineException: $message';
+}
+
+/// Remote side of the sync engine
+///
+/// Everything the sync engine knows about the backend goes through this
+/// interface, so the real API can be swapped for a local stand-in
+/// ([InMemorySyncRemoteSource]) or an HTTP server ([HttpSyncRemoteSource]).
+///
+/// **Contract**:
+/// - `push` upserts records (soft-deleted rows are sent with `isDeleted: true`)
+/// - `pull` returns every record changed after `cursor` (all records when null)
+/// - Records are always scoped to `userId`
+///
+/// Implementations are created inside the sync isolate, so they must not
+/// depend on Flutter plugins or platform channels.
+abstract class SyncRemoteSource {
+  /// Upload local changes for [entityType]
+  Future<void> push({
+    required String userId,
+    required SyncEntityType entityType,
+    required List<Map<String, dynamic>> records,
+  });
+
+  /// Download remote changes for [entityType] since [cursor]
+  Future<SyncPullResult> pull({
+    required String userId,
+    required SyncEntityType entityType,
+    String? cursor,
+  });
+
+  /// Release any held resources (HTTP clients, sockets, ...)
+  Future<void> close() async {}
+}
+
+/// Creates a [SyncRemoteSource] inside the sync isolate
+///
+/// Passed to [SyncManager] instead of an instance because the remote source
+/// has to be constructed on the isolate that uses it.
+typedef SyncRemoteSourceFactory = SyncRemoteSource Function();
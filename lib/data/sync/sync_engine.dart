@@ -0,0 +1,211 @@
+import 'dart:convert';
+
+import 'package:centabit/data/local/allocation_local_source.dart';
+import 'package:centabit/data/local/budget_local_source.dart';
+import 'package:centabit/data/local/category_local_source.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_conflict_local_source.dart';
+import 'package:centabit/data/local/sync_cursor_local_source.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/local/sync_snapshot_local_source.dart';
+import 'package:centabit/data/local/transaction_local_source.dart';
+import 'package:centabit/data/sync/conflicts/conflict_policy.dart';
+import 'package:centabit/data/sync/conflicts/sync_conflict_detector.dart';
+import 'package:centabit/data/sync/conflicts/sync_conflict_resolver.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_queue_processor.dart';
+
+/// Outcome of a single sync run
+class SyncResult {
+  /// Number of queued local changes uploaded
+  final int pushed;
+
+  /// Number of remote rows written to the local database
+  final int pulled;
+
+  /// Number of queue entries moved to the dead-letter state in this run
+  final int deadLettered;
+
+  /// Number of conflicts waiting for the user (after this run)
+  final int openConflicts;
+
+  const SyncResult({
+    required this.pushed,
+    required this.pulled,
+    this.deadLettered = 0,
+    this.openConflicts = 0,
+  });
+
+  /// Whether the local database was changed by the pull phase
+  bool get hasRemoteChanges => pulled > 0;
+}
+
+/// Bidirectional sync between the local Drift database and a [SyncRemoteSource]
+///
+/// Runs inside the sync isolate (see [SyncManager]) with its own
+/// [AppDatabase] connection, but goes through the same userId-filtered
+/// LocalSources as the repositories.
+///
+/// **Algorithm**:
+/// 1. Pull: for each entity type, fetch records changed since the stored
+///    cursor; apply them, or settle conflicts with local edits through the
+///    [ConflictPolicy]
+/// 2. Push: drain the SyncQueue ([SyncQueueProcessor]) and `markAsSynced`
+///    rows whose queued changes have all been uploaded. Entities with an
+///    open conflict are held back until the user decides.
+///
+/// Pulling first means local edits are compared against the latest server
+/// version before they can overwrite it.
+///
+/// Queue entries are replayed in the order the changes were made, so the
+/// server never sees a row whose references haven't been uploaded yet.
+/// Pulls run parents-first (categories → budgets → allocations →
+/// transactions) for the same reason.
+///
+/// **Pull rules**:
+/// - Unchanged local rows take the server version when it's newer
+/// - Rows with local edits are checked by [SyncConflictDetector]: no
+///   conflict means the local edit is newer and will be pushed; a conflict
+///   is resolved by [SyncConflictResolver] using the entity's strategy
+class SyncEngine {
+  final AppDatabase _db;
+  final SyncRemoteSource _remote;
+  final String userId;
+  final ConflictPolicy conflictPolicy;
+  final SyncConflictDetector _detector;
+
+  final TransactionLocalSource _transactions;
+  final CategoryLocalSource _categories;
+  final BudgetLocalSource _budgets;
+  final AllocationLocalSource _allocations;
+  final SyncCursorLocalSource _cursors;
+  final SyncSnapshotLocalSource _snapshots;
+  final SyncConflictLocalSource _conflicts;
+  final SyncConflictResolver _resolver;
+  final SyncQueueProcessor _queueProcessor;
+
+  SyncEngine({
+    required AppDatabase database,
+    required SyncRemoteSource remote,
+    required this.userId,
+    this.conflictPolicy = const ConflictPolicy(),
+    SyncConflictDetector detector = const SyncConflictDetector(),
+  }) : _db = database,
+       _remote = remote,
+       _detector = detector,
+       _transactions = TransactionLocalSource(database, userId),
+       _categories = CategoryLocalSource(database, userId),
+       _budgets = BudgetLocalSource(database, userId),
+       _allocations = AllocationLocalSource(database, userId),
+       _cursors = SyncCursorLocalSource(database, userId),
+       _snapshots = SyncSnapshotLocalSource(database, userId),
+       _conflicts = SyncConflictLocalSource(database, userId),
+       _resolver = SyncConflictResolver(database, userId, detector: detector),
+       _queueProcessor = SyncQueueProcessor(
+         queue: SyncQueueLocalSource(database, userId),
+         remote: remote,
+       );
+
+  /// Run a full pull + push cycle
+  Future<SyncResult> sync() async {
+    var pulled = 0;
+    for (final entityType in SyncEntityType.values) {
+      pulled += await _pull(entityType);
+    }
+
+    final conflicts = await _conflicts.getConflicts();
+    final pushResult = await _queueProcessor.drain(
+      onPushed: _onPushed,
+      held: {for (final c in conflicts) '${c.entityType}:${c.entityId}'},
+    );
+
+    return SyncResult(
+      pushed: pushResult.pushed,
+      pulled: pulled,
+      deadLettered: pushResult.deadLettered,
+      openConflicts: conflicts.length,
+    );
+  }
+
+  // ========================================
+  // Push
+  // ========================================
+
+  /// The pushed record is now the version both sides agree on
+  Future<void> _onPushed(
+    SyncEntityType entityType,
+    String id,
+    Map<String, dynamic> record,
+  ) async {
+    await _snapshots.saveSnapshot(entityType.name, id, jsonEncode(record));
+    await switch (entityType) {
+      SyncEntityType.category => _categories.markAsSynced(id),
+      SyncEntityType.budget => _budgets.markAsSynced(id),
+      SyncEntityType.allocation => _allocations.markAsSynced(id),
+      SyncEntityType.transaction => _transactions.markAsSynced(id),
+    };
+  }
+
+  // ========================================
+  // Pull
+  // ========================================
+
+  Future<int> _pull(SyncEntityType entityType) async {
+    final cursor = await _cursors.getCursor(entityType.name);
+    final result = await _remote.pull(
+      userId: userId,
+      entityType: entityType,
+      cursor: cursor,
+    );
+
+    var applied = 0;
+    await _db.transaction(() async {
+      for (final record in result.records) {
+        if (await _applyRecord(entityType, record)) applied++;
+      }
+      if (result.cursor != null) {
+        await _cursors.saveCursor(entityType.name, result.cursor!);
+      }
+    });
+
+    return applied;
+  }
+
+  /// Apply a pulled record, returning whether the local row changed
+  Future<bool> _applyRecord(
+    SyncEntityType entityType,
+    Map<String, dynamic> remote,
+  ) async {
+    final id = remote['id'] as String;
+    final local = await _resolver.getLocalRecord(entityType, id);
+
+    // New row, or no local edits: take the server version if it's newer
+    if (local == null || local['isSynced'] == true) {
+      if (local != null &&
+          (remote['updatedAt'] as int) <= (local['updatedAt'] as int)) {
+        return false;
+      }
+      await _resolver.keepRemote(entityType, remote: remote);
+      return true;
+    }
+
+    final snapshot = await _snapshots.getSnapshot(entityType.name, id);
+    final base = snapshot != null
+        ? jsonDecode(snapshot) as Map<String, dynamic>
+        : null;
+
+    if (!_detector.isConflict(local: local, remote: remote, base: base)) {
+      return false; // Server unchanged since last sync - local edit wins
+    }
+
+    final outcome = await _resolver.resolve(
+      entityType: entityType,
+      strategy: conflictPolicy.strategyFor(entityType),
+      local: local,
+      remote: remote,
+      base: base,
+    );
+    return outcome != ConflictOutcome.keptLocal &&
+        outcome != ConflictOutcome.needsReview;
+  }
+}
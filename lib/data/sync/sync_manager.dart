@@ -1,6 +1,13 @@
 import 'dart:async';
+import 'dart:io';
 import 'dart:isolate';
+import 'package:centabit/core/auth/auth_manager.dart';
 import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/sync/conflicts/conflict_policy.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_engine.dart';
 import 'package:centabit/data/sync/sync_status.dart';
 
 /// Manages background sync in isolates
@@ -12,6 +19,9 @@ import 'package:centabit/data/sync/sync_status.dart';
 /// 2. Manage periodic sync timer (every 5 minutes by default)
 /// 3. Communicate sync status via broadcast stream
 /// 4. Handle manual sync triggers
+/// 5. Notify the main isolate's Drift streams about rows changed by a pull
+/// 6. Expose dead-lettered queue entries (changes that repeatedly failed)
+/// 7. Report conflicts that need the user's decision (`needsReview`)
 ///
 /// **Architecture**:
 /// ```
@@ -19,14 +29,28 @@ import 'package:centabit/data/sync/sync_status.dart';
 ///   ├── SyncManager (this class)
 ///   ├── Repositories (local DB reads/writes on main thread)
 ///   └── Spawns background isolate for:
-///       ├── Periodic sync (every 5 minutes)
-///       ├── API calls
-///       └── Expensive operations
+///       ├── Own AppDatabase connection (same SQLite file)
+///       ├── SyncEngine (push unsynced rows, pull remote changes)
+///       └── SyncRemoteSource (API, HTTP stand-in or in-memory)
 /// ```
 ///
+/// **Remote backend**: The isolate builds its [SyncRemoteSource] through
+/// [remoteSourceFactory], chosen from configuration at registration (see
+/// `configureDependencies`). Without one, sync is disabled: changes stay
+/// queued, unsynced, until a build with a backend runs.
+///
+/// **Conflicts**: Concurrent edits from other devices are settled inside
+/// the isolate according to [conflictPolicy]. Conflicts left for the user
+/// are reported as `SyncStatus.needsReview`.
+///
 /// **Usage**:
 /// ```dart
-/// final syncManager = SyncManager();
+/// final syncManager = SyncManager(
+///   database: getIt<AppDatabase>(),
+///   authManager: getIt<AuthManager>(),
+///   syncQueue: getIt<SyncQueueLocalSource>(),
+///   remoteSourceFactory: () => HttpSyncRemoteSource(baseUrl: apiUrl),
+/// );
 /// await syncManager.startPeriodicSync();
 ///
 /// syncManager.statusStream.listen((status) {
@@ -36,16 +60,45 @@ import 'package:centabit/data/sync/sync_status.dart';
 ///     failed: (error) => showSyncError(error),
 ///     idle: () => hideSyncIndicator(),
 ///     offline: () => showOfflineIndicator(),
+///     needsReview: (count) => showConflictBadge(count),
 ///   );
 /// });
 /// ```
 class SyncManager {
+  final AppDatabase _database;
+  final AuthManager _authManager;
+  SyncQueueLocalSource _syncQueue;
+
+  /// Creates the remote backend inside the sync isolate (null: no backend
+  /// configured, sync disabled)
+  final SyncRemoteSourceFactory? remoteSourceFactory;
+
+  /// Conflict strategy per entity type (applied inside the sync isolate)
+  final ConflictPolicy conflictPolicy;
+
   Timer? _periodicSyncTimer;
+  Timer? _debounceTimer;
   Isolate? _syncIsolate;
   SendPort? _syncSendPort;
   ReceivePort? _syncReceivePort;
 
   final _statusController = StreamController<SyncStatus>.broadcast();
+  final _deadLettersController =
+      StreamController<List<SyncQueueData>>.broadcast();
+  StreamSubscription? _deadLettersSubscription;
+  List<SyncQueueData> _latestDeadLetters = [];
+
+  SyncManager({
+    required AppDatabase database,
+    required AuthManager authManager,
+    required SyncQueueLocalSource syncQueue,
+    required this.remoteSourceFactory,
+    this.conflictPolicy = const ConflictPolicy(),
+  }) : _database = database,
+       _authManager = authManager,
+       _syncQueue = syncQueue {
+    _subscribeToDeadLetters();
+  }
 
   /// Stream of sync status updates
   Stream<SyncStatus> get statusStream => _statusController.stream;
@@ -55,6 +108,38 @@ class SyncManager {
   /// Current sync status (synchronous access)
   SyncStatus get currentStatus => _currentStatus;
 
+  /// Whether a sync backend is configured
+  bool get isEnabled => remoteSourceFactory != null;
+
+  /// Queue entries that gave up after repeated failures
+  ///
+  /// Non-empty means some local changes are not on the server; the
+  /// SyncStatusIndicator offers to retry or discard them.
+  Stream<List<SyncQueueData>> get deadLettersStream =>
+      _deadLettersController.stream;
+
+  /// Current dead-lettered entries (synchronous access)
+  List<SyncQueueData> get deadLetters => _latestDeadLetters;
+
+  void _subscribeToDeadLetters() {
+    _deadLettersSubscription = _syncQueue.watchDeadLetters().listen((entries) {
+      _latestDeadLetters = entries;
+      _deadLettersController.add(entries);
+    });
+  }
+
+  /// Switch to another user's queue (active profile changed)
+  ///
+  /// The isolate looks up the user on every run, so only the main-isolate
+  /// queue access has to be rebound. A sync for the new user starts right
+  /// away.
+  void bindUser(SyncQueueLocalSource syncQueue) {
+    _syncQueue = syncQueue;
+    _deadLettersSubscription?.cancel();
+    _subscribeToDeadLetters();
+    triggerSync();
+  }
+
   /// Start periodic sync in background isolate
   ///
   /// **Parameters**:
@@ -69,6 +154,11 @@ class SyncManager {
   Future<void> startPeriodicSync({
     Duration interval = const Duration(minutes: 5),
   }) async {
+    if (!isEnabled) {
+      AppLogger.instance.warning('No sync backend configured, sync disabled');
+      return;
+    }
+
     await _spawnSyncIsolate();
 
     _periodicSyncTimer?.cancel();
@@ -81,11 +171,20 @@ class SyncManager {
   Future<void> _spawnSyncIsolate() async {
     if (_syncIsolate != null) return; // Already spawned
 
+    // Resolved here: path_provider isn't available inside the isolate
+    final databaseFile = await AppDatabase.databaseFile();
+    final handshake = Completer<SendPort>();
+
     _syncReceivePort = ReceivePort();
 
     _syncIsolate = await Isolate.spawn(
       _syncIsolateEntryPoint,
-      _syncReceivePort!.sendPort,
+      _SyncIsolateConfig(
+        mainSendPort: _syncReceivePort!.sendPort,
+        databasePath: databaseFile.path,
+        remoteSourceFactory: remoteSourceFactory!,
+        conflictPolicy: conflictPolicy,
+      ),
     );
 
     // Listen for messages from isolate
@@ -93,6 +192,9 @@ class SyncManager {
       if (message is SendPort) {
         // Initial handshake - save SendPort for communication
         _syncSendPort = message;
+        if (!handshake.isCompleted) handshake.complete(message);
+      } else if (message is SyncResult) {
+        _onSyncResult(message);
       } else if (message is SyncStatus) {
         // Sync status update from isolate
         _currentStatus = message;
@@ -101,12 +203,40 @@ class SyncManager {
     });
 
     // Wait for handshake
-    await Future.delayed(const Duration(milliseconds: 100));
+    await handshake.future;
+  }
+
+  /// Rows written by the isolate's own connection don't reach this
+  /// isolate's Drift stream queries, so refresh them explicitly.
+  void _onSyncResult(SyncResult result) {
+    AppLogger.instance.logWithContext(
+      message: '[SyncManager] Sync completed',
+      context: {
+        'pushed': result.pushed,
+        'pulled': result.pulled,
+        'deadLettered': result.deadLettered,
+        'openConflicts': result.openConflicts,
+      },
+    );
+
+    // Queue entries, snapshots and conflicts are updated on every run
+    _database.markTablesUpdated({
+      _database.syncQueue,
+      _database.syncSnapshots,
+      _database.syncConflicts,
+      if (result.hasRemoteChanges) ...{
+        _database.transactions,
+        _database.categories,
+        _database.budgets,
+        _database.allocations,
+      },
+    });
   }
 
   /// Trigger manual sync
   ///
-  /// Sends sync command to background isolate.
+  /// Sends sync command to background isolate. Ignored by the isolate if a
+  /// sync is already running.
   ///
   /// **Example**:
   /// ```dart
@@ -114,12 +244,58 @@ class SyncManager {
   /// syncManager.triggerSync();
   /// ```
   void triggerSync() {
+    if (!isEnabled) return;
     if (_syncSendPort == null) {
       AppLogger.instance.warning('Sync isolate not ready');
       return;
     }
 
-    _syncSendPort!.send('SYNC');
+    _authManager.getCurrentUserId().then((userId) {
+      _syncSendPort?.send(_SyncRequest(userId));
+    });
+  }
+
+  /// Trigger sync and wait for it to finish
+  ///
+  /// Completes with the resulting `synced`, `needsReview`, `failed` or
+  /// `offline` status.
+  /// Used by the repositories' `sync()` methods.
+  Future<SyncStatus> syncNow() async {
+    if (!isEnabled) return _currentStatus;
+    if (_syncSendPort == null) {
+      AppLogger.instance.warning('Sync isolate not ready');
+      return _currentStatus;
+    }
+
+    final finished = statusStream.firstWhere(
+      (status) => status.maybeWhen(
+        syncing: () => false,
+        idle: () => false,
+        orElse: () => true,
+      ),
+    );
+    triggerSync();
+    return finished;
+  }
+
+  /// Schedule a sync shortly after local changes
+  ///
+  /// Debounced so a burst of writes (e.g. a budget with its allocations)
+  /// results in a single sync run.
+  void scheduleSync({Duration delay = const Duration(seconds: 5)}) {
+    _debounceTimer?.cancel();
+    _debounceTimer = Timer(delay, triggerSync);
+  }
+
+  /// Move dead-lettered changes back into the queue and sync again
+  Future<void> retryDeadLetters() async {
+    await _syncQueue.requeueDeadLetters();
+    triggerSync();
+  }
+
+  /// Give up on dead-lettered changes (local rows are kept as they are)
+  Future<void> discardDeadLetters() async {
+    await _syncQueue.discardDeadLetters();
   }
 
   /// Stop periodic sync and kill isolate
@@ -136,6 +312,7 @@ class SyncManager {
   /// ```
   void stopPeriodicSync() {
     _periodicSyncTimer?.cancel();
+    _debounceTimer?.cancel();
     _syncIsolate?.kill();
     _syncReceivePort?.close();
     _syncIsolate = null;
@@ -145,48 +322,70 @@ class SyncManager {
   /// Dispose resources
   void dispose() {
     stopPeriodicSync();
+    _deadLettersSubscription?.cancel();
     _statusController.close();
+    _deadLettersController.close();
   }
 
   /// Isolate entry point (runs in background)
   ///
   /// This function executes in a separate isolate, isolated from the main UI thread.
-  static void _syncIsolateEntryPoint(SendPort mainSendPort) {
+  /// Opens its own database connection and remote source, which live as
+  /// long as the isolate.
+  static void _syncIsolateEntryPoint(_SyncIsolateConfig config) {
     final receivePort = ReceivePort();
+    final database = AppDatabase.forFile(File(config.databasePath));
+    final remote = config.remoteSourceFactory();
+    var isSyncing = false;
 
     // Send our SendPort to main isolate (handshake)
-    mainSendPort.send(receivePort.sendPort);
+    config.mainSendPort.send(receivePort.sendPort);
 
     // Listen for sync requests from main isolate
-    receivePort.listen((message) {
-      if (message == 'SYNC') {
-        _performSyncInIsolate(mainSendPort);
+    receivePort.listen((message) async {
+      if (message is _SyncRequest && !isSyncing) {
+        isSyncing = true;
+        try {
+          await _performSyncInIsolate(
+            config.mainSendPort,
+            SyncEngine(
+              database: database,
+              remote: remote,
+              userId: message.userId,
+              conflictPolicy: config.conflictPolicy,
+            ),
+          );
+        } finally {
+          isSyncing = false;
+        }
       }
     });
   }
 
   /// Perform actual sync work in isolate
   ///
-  /// TODO: When API is ready:
-  /// 1. Open drift database in isolate
-  /// 2. Query unsynced records
-  /// 3. Call API endpoints
-  /// 4. Update sync status in database
-  /// 5. Send status updates to main isolate
-  static void _performSyncInIsolate(SendPort mainSendPort) {
+  /// 1. Drain the sync queue and pull remote changes ([SyncEngine])
+  /// 2. Report the [SyncResult] so the main isolate can refresh its streams
+  /// 3. Send status updates to main isolate (`needsReview` while conflicts
+  ///    are open)
+  static Future<void> _performSyncInIsolate(
+    SendPort mainSendPort,
+    SyncEngine engine,
+  ) async {
     // Send syncing status
     mainSendPort.send(const SyncStatus.syncing());
 
     try {
-      // TODO: When API is ready, perform actual sync here
-      // For now, just simulate work
-
-      // Simulate network delay
-      Future.delayed(const Duration(seconds: 2), () {
-        mainSendPort.send(
-          SyncStatus.synced(lastSyncTime: DateTime.now()),
-        );
-      });
+      final result = await engine.sync();
+
+      mainSendPort.send(result);
+      mainSendPort.send(
+        result.openConflicts > 0
+            ? SyncStatus.needsReview(conflictCount: result.openConflicts)
+            : SyncStatus.synced(lastSyncTime: DateTime.now()),
+      );
+    } on SyncOfflineException {
+      mainSendPort.send(const SyncStatus.offline());
     } catch (e) {
       mainSendPort.send(
         SyncStatus.failed(error: e.toString()),
@@ -194,3 +393,25 @@ class SyncManager {
     }
   }
 }
+
+/// Startup data handed to the sync isolate
+class _SyncIsolateConfig {
+  final SendPort mainSendPort;
+  final String databasePath;
+  final SyncRemoteSourceFactory remoteSourceFactory;
+  final ConflictPolicy conflictPolicy;
+
+  const _SyncIsolateConfig({
+    required this.mainSendPort,
+    required this.databasePath,
+    required this.remoteSourceFactory,
+    required this.conflictPolicy,
+  });
+}
+
+/// Sync command sent to the isolate (carries the user to sync for)
+class _SyncRequest {
+  final String userId;
+
+  const _SyncRequest(this.userId);
+}
@@ -0,0 +1,4 @@
+/// Kind of local change recorded in the SyncQueue table
+///
+/// The enum name is stored in `SyncQueue.operation`.
+enum SyncOperation { create, update, delete }
@@ -0,0 +1,167 @@
+import 'dart:convert';
+import 'dart:math' as math;
+
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+
+/// Outcome of a single queue drain
+class SyncQueueRunResult {
+  /// Entries pushed and removed from the queue
+  final int pushed;
+
+  /// Entries that failed and will be retried later
+  final int failed;
+
+  /// Entries moved to the dead-letter state during this run
+  final int deadLettered;
+
+  const SyncQueueRunResult({
+    required this.pushed,
+    required this.failed,
+    required this.deadLettered,
+  });
+}
+
+/// Replays the SyncQueue table against a [SyncRemoteSource]
+///
+/// Runs inside the sync isolate as the push phase of [SyncEngine].
+///
+/// **Held entities**: Entries for entities with an open sync conflict are
+/// skipped until the user resolves it.
+///
+/// **Ordering**: Entries are replayed in insertion order. When an entry is
+/// backing off or fails, every later entry for the same entity is held back
+/// for this run so a delete can never overtake the create it belongs to.
+/// Entries for other entities keep flowing.
+///
+/// **Backoff**: After `n` failures an entry waits `baseDelay * 2^(n-1)`
+/// (capped at [maxDelay]) since its last attempt.
+///
+/// **Dead-lettering**: An entry that fails [maxRetries] times (or whose
+/// payload can't be decoded) is a poison entry: it is moved to the
+/// `dead_letter` state and no longer retried until the user requeues it.
+///
+/// **Offline**: [SyncOfflineException] aborts the run without touching
+/// `retryCount` - being offline isn't the entry's fault.
+class SyncQueueProcessor {
+  final SyncQueueLocalSource _queue;
+  final SyncRemoteSource _remote;
+  final int maxRetries;
+  final Duration baseDelay;
+  final Duration maxDelay;
+
+  SyncQueueProcessor({
+    required SyncQueueLocalSource queue,
+    required SyncRemoteSource remote,
+    this.maxRetries = 8,
+    this.baseDelay = const Duration(seconds: 30),
+    this.maxDelay = const Duration(hours: 1),
+  }) : _queue = queue,
+       _remote = remote;
+
+  /// Push every eligible pending entry
+  ///
+  /// [onPushed] is called with the pushed record after an entity's last
+  /// queued change has been uploaded (used to flag the row as synced), in
+  /// the same transaction that removes the entry.
+  ///
+  /// [held] contains `entityType:entityId` keys that must not be pushed.
+  Future<SyncQueueRunResult> drain({
+    required Future<void> Function(
+      SyncEntityType entityType,
+      String entityId,
+      Map<String, dynamic> record,
+    )
+    onPushed,
+    Set<String> held = const {},
+  }) async {
+    final entries = await _queue.getPendingEntries();
+    final blocked = <String>{...held};
+    final now = DateTime.now();
+
+    var pushed = 0;
+    var failed = 0;
+    var deadLettered = 0;
+
+    for (final entry in entries) {
+      final key = '${entry.entityType}:${entry.entityId}';
+      if (blocked.contains(key)) continue;
+
+      if (now.isBefore(nextAttemptAt(entry))) {
+        blocked.add(key);
+        continue;
+      }
+
+      final SyncEntityType entityType;
+      final Map<String, dynamic> payload;
+      try {
+        entityType = SyncEntityType.values.byName(entry.entityType);
+        payload = jsonDecode(entry.payload) as Map<String, dynamic>;
+      } catch (e) {
+        // Can never succeed - dead-letter immediately
+        await _queue.markFailed(entry, error: e.toString(), deadLetter: true);
+        blocked.add(key);
+        deadLettered++;
+        continue;
+      }
+
+      final record = _toRecord(payload);
+      try {
+        await _remote.push(
+          userId: entry.userId,
+          entityType: entityType,
+          records: [record],
+        );
+      } on SyncOfflineException {
+        rethrow;
+      } catch (e) {
+        final isPoison = entry.retryCount + 1 >= maxRetries;
+        await _queue.markFailed(entry, error: e.toString(), deadLetter: isPoison);
+        blocked.add(key);
+        if (isPoison) {
+          deadLettered++;
+        } else {
+          failed++;
+        }
+        continue;
+      }
+
+      // An edit queued between the check and onPushed would be flagged
+      // synced without ever being pushed: the app isolate's writes wait
+      // for this transaction instead
+      await _queue.runInTransaction(() async {
+        await _queue.removeEntry(entry.id);
+        if (!await _queue.hasEntryFor(entry.entityType, entry.entityId)) {
+          await onPushed(entityType, entry.entityId, record);
+        }
+      });
+      pushed++;
+    }
+
+    return SyncQueueRunResult(
+      pushed: pushed,
+      failed: failed,
+      deadLettered: deadLettered,
+    );
+  }
+
+  /// Earliest time [entry] may be retried
+  DateTime nextAttemptAt(SyncQueueData entry) {
+    final lastAttemptAt = entry.lastAttemptAt;
+    if (entry.retryCount == 0 || lastAttemptAt == null) {
+      return entry.createdAt;
+    }
+
+    final factor = math.pow(2, entry.retryCount - 1).toInt();
+    final delay = baseDelay * factor;
+    return lastAttemptAt.add(delay > maxDelay ? maxDelay : delay);
+  }
+
+  /// Strip local-only sync metadata before sending a row to the server
+  Map<String, dynamic> _toRecord(Map<String, dynamic> json) {
+    return Map.of(json)
+      ..remove('isSynced')
+      ..remove('lastSyncedAt');
+  }
+}
@@ -12,6 +12,8 @@ part 'sync_status.freezed.dart';
 /// - `synced`: Successfully completed sync (includes timestamp)
 /// - `failed`: Sync operation failed (includes error message)
 /// - `offline`: Device is offline, sync not possible
+/// - `needsReview`: Sync finished, but some records have conflicting edits
+///   the user has to decide on (conflict review screen)
 ///
 /// **Usage**:
 /// ```dart
@@ -22,6 +24,7 @@ part 'sync_status.freezed.dart';
 ///     synced: (time) => print('Last synced: $time'),
 ///     failed: (error) => print('Sync failed: $error'),
 ///     offline: () => print('Offline'),
+///     needsReview: (count) => print('$count conflicts to review'),
 ///   );
 /// });
 /// ```
@@ -41,4 +44,8 @@ class SyncStatus with _$SyncStatus {
 
   /// Device is offline
   const factory SyncStatus.offline() = _Offline;
+
+  /// Synced, but conflicting edits are waiting for the user
+  const factory SyncStatus.needsReview({required int conflictCount}) =
+      _NeedsReview;
 }
@@ -55,7 +55,7 @@ extension SyncStatusPatterns on SyncStatus {
 /// }
 /// ```
 
-@optionalTypeArgs TResult maybeMap<TResult extends Object?>({TResult Function( _Idle value)?  idle,TResult Function( _Syncing value)?  syncing,TResult Function( _Synced value)?  synced,TResult Function( _Failed value)?  failed,TResult Function( _Offline value)?  offline,required TResult orElse(),}){
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>({TResult Function( _Idle value)?  idle,TResult Function( _Syncing value)?  syncing,TResult Function( _Synced value)?  synced,TResult Function( _Failed value)?  failed,TResult Function( _Offline value)?  offline,TResult Function( _NeedsReview value)?  needsReview,required TResult orElse(),}){
 final _that = this;
 switch (_that) {
 case _Idle() when idle != null:
@@ -63,7 +63,8 @@ return idle(_that);case _Syncing() when syncing != null:
 return syncing(_that);case _Synced() when synced != null:
 return synced(_that);case _Failed() when failed != null:
 return failed(_that);case _Offline() when offline != null:
-return offline(_that);case _:
+return offline(_that);case _NeedsReview() when needsReview != null:
+return needsReview(_that);case _:
   return orElse();
 
 }
@@ -81,7 +82,7 @@ return offline(_that);case _:
 /// }
 /// ```
 
-@optionalTypeArgs TResult map<TResult extends Object?>({required TResult Function( _Idle value)  idle,required TResult Function( _Syncing value)  syncing,required TResult Function( _Synced value)  synced,required TResult Function( _Failed value)  failed,required TResult Function( _Offline value)  offline,}){
+@optionalTypeArgs TResult map<TResult extends Object?>({required TResult Function( _Idle value)  idle,required TResult Function( _Syncing value)  syncing,required TResult Function( _Synced value)  synced,required TResult Function( _Failed value)  failed,required TResult Function( _Offline value)  offline,required TResult Function( _NeedsReview value)  needsReview,}){
 final _that = this;
 switch (_that) {
 case _Idle():
@@ -89,7 +90,8 @@ return idle(_that);case _Syncing():
 return syncing(_that);case _Synced():
 return synced(_that);case _Failed():
 return failed(_that);case _Offline():
-return offline(_that);case _:
+return offline(_that);case _NeedsReview():
+return needsReview(_that);case _:
   throw StateError('Unexpected subclass');
 
 }
@@ -106,7 +108,7 @@ return offline(_that);case _:
 /// }
 /// ```
 
-@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>({TResult? Function( _Idle value)?  idle,TResult? Function( _Syncing value)?  syncing,TResult? Function( _Synced value)?  synced,TResult? Function( _Failed value)?  failed,TResult? Function( _Offline value)?  offline,}){
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>({TResult? Function( _Idle value)?  idle,TResult? Function( _Syncing value)?  syncing,TResult? Function( _Synced value)?  synced,TResult? Function( _Failed value)?  failed,TResult? Function( _Offline value)?  offline,TResult? Function( _NeedsReview value)?  needsReview,}){
 final _that = this;
 switch (_that) {
 case _Idle() when idle != null:
@@ -114,7 +116,8 @@ return idle(_that);case _Syncing() when syncing != null:
 return syncing(_that);case _Synced() when synced != null:
 return synced(_that);case _Failed() when failed != null:
 return failed(_that);case _Offline() when offline != null:
-return offline(_that);case _:
+return offline(_that);case _NeedsReview() when needsReview != null:
+return needsReview(_that);case _:
   return null;
 
 }
@@ -131,14 +134,15 @@ return offline(_that);case _:
 /// }
 /// ```
 
-@optionalTypeArgs TResult maybeWhen<TResult extends Object?>({TResult Function()?  idle,TResult Function()?  syncing,TResult Function( DateTime lastSyncTime)?  synced,TResult Function( String error)?  failed,TResult Function()?  offline,required TResult orElse(),}) {final _that = this;
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>({TResult Function()?  idle,TResult Function()?  syncing,TResult Function( DateTime lastSyncTime)?  synced,TResult Function( String error)?  failed,TResult Function()?  offline,TResult Function( int conflictCount)?  needsReview,required TResult orElse(),}) {final _that = this;
 switch (_that) {
 case _Idle() when idle != null:
 return idle();case _Syncing() when syncing != null:
 return syncing();case _Synced() when synced != null:
 return synced(_that.lastSyncTime);case _Failed() when failed != null:
 return failed(_that.error);case _Offline() when offline != null:
-return offline();case _:
+return offline();case _NeedsReview() when needsReview != null:
+return needsReview(_that.conflictCount);case _:
   return orElse();
 
 }
@@ -156,14 +160,15 @@ return offline();case _:
 /// }
 /// ```
 
-@optionalTypeArgs TResult when<TResult extends Object?>({required TResult Function()  idle,required TResult Function()  syncing,required TResult Function( DateTime lastSyncTime)  synced,required TResult Function( String error)  failed,required TResult Function()  offline,}) {final _that = this;
+@optionalTypeArgs TResult when<TResult extends Object?>({required TResult Function()  idle,required TResult Function()  syncing,required TResult Function( DateTime lastSyncTime)  synced,required TResult Function( String error)  failed,required TResult Function()  offline,required TResult Function( int conflictCount)  needsReview,}) {final _that = this;
 switch (_that) {
 case _Idle():
 return idle();case _Syncing():
 return syncing();case _Synced():
 return synced(_that.lastSyncTime);case _Failed():
 return failed(_that.error);case _Offline():
-return offline();case _:
+return offline();case _NeedsReview():
+return needsReview(_that.conflictCount);case _:
   throw StateError('Unexpected subclass');
 
 }
@@ -180,14 +185,15 @@ return offline();case _:
 /// }
 /// ```
 
-@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>({TResult? Function()?  idle,TResult? Function()?  syncing,TResult? Function( DateTime lastSyncTime)?  synced,TResult? Function( String error)?  failed,TResult? Function()?  offline,}) {final _that = this;
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>({TResult? Function()?  idle,TResult? Function()?  syncing,TResult? Function( DateTime lastSyncTime)?  synced,TResult? Function( String error)?  failed,TResult? Function()?  offline,TResult? Function( int conflictCount)?  needsReview,}) {final _that = this;
 switch (_that) {
 case _Idle() when idle != null:
 return idle();case _Syncing() when syncing != null:
 return syncing();case _Synced() when synced != null:
 return synced(_that.lastSyncTime);case _Failed() when failed != null:
 return failed(_that.error);case _Offline() when offline != null:
-return offline();case _:
+return offline();case _NeedsReview() when needsReview != null:
+return needsReview(_that.conflictCount);case _:
   return null;
 
 }
@@ -423,4 +429,70 @@ String toString() {
 
 
 
+/// @nodoc
+
+
+class _NeedsReview implements SyncStatus {
+  const _NeedsReview({required this.conflictCount});
+  
+
+ final  int conflictCount;
+
+/// Create a copy of SyncStatus
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$NeedsReviewCopyWith<_NeedsReview> get copyWith => __$NeedsReviewCopyWithImpl<_NeedsReview>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _NeedsReview&&(identical(other.conflictCount, conflictCount) || other.conflictCount == conflictCount));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,conflictCount);
+
+@override
+String toString() {
+  return 'SyncStatus.needsReview(conflictCount: $conflictCount)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$NeedsReviewCopyWith<$Res> implements $SyncStatusCopyWith<$Res> {
+  factory _$NeedsReviewCopyWith(_NeedsReview value, $Res Function(_NeedsReview) _then) = __$NeedsReviewCopyWithImpl;
+@useResult
+$Res call({
+ int conflictCount
+});
+
+
+
+
+}
+/// @nodoc
+class __$NeedsReviewCopyWithImpl<$Res>
+    implements _$NeedsReviewCopyWith<$Res> {
+  __$NeedsReviewCopyWithImpl(this._self, this._then);
+
+  final _NeedsReview _self;
+  final $Res Function(_NeedsReview) _then;
+
+/// Create a copy of SyncStatus
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? conflictCount = null,}) {
+  return _then(_NeedsReview(
+conflictCount: null == conflictCount ? _self.conflictCount : conflictCount // ignore: cast_nullable_to_non_nullable
+as int,
+  ));
+}
+
+
+}
+
 // dart format on
@@ -0,0 +1,297 @@
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/repositories/allocation_repository.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/recurring_transaction_repository.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+
+/// What happens to the records of a deleted category or budget
+enum DependentsAction {
+  /// Moved to another category or budget
+  reassign,
+
+  /// Kept, without a category or budget
+  unassign,
+
+  /// Deleted with it (restored with it from the trash)
+  delete,
+}
+
+/// Records referencing a category or budget
+typedef DeletionImpact = ({int transactions, int allocations, int recurring});
+
+/// Deletes categories and budgets together with what references them
+///
+/// Transactions, allocations and recurring series hold the ID of their
+/// category or budget; deleting one alone would leave them pointing at a
+/// deleted row. The user sees the [DeletionImpact] and picks a
+/// [DependentsAction]:
+/// - Transactions are moved to the target, lose the reference, or are
+///   deleted. Only the lines of a split transaction that reference it
+///   change: they move to the target or lose the reference, the
+///   transaction is kept for its other lines.
+/// - Allocations of a category are moved to the target, or deleted (an
+///   allocation needs a category). One moved to a category its budget
+///   already allocates is merged into that allocation.
+/// - Allocations of a budget are always deleted with it
+/// - Recurring series of a category are moved to the target, or lose their
+///   category: they are never deleted, only their future occurrences change
+/// - Subcategories of a category become subcategories of the target when
+///   it can be a parent, top-level categories otherwise
+///
+/// Everything runs in ONE Drift transaction, so a failure changes nothing.
+/// What is deleted shares the category's or budget's deletion time, which
+/// lets `TrashService.restore` bring it back with it.
+class DeletionService {
+  final AppDatabase _db;
+  final TransactionRepository _transactionRepository;
+  final BudgetRepository _budgetRepository;
+  final CategoryRepository _categoryRepository;
+  final AllocationRepository _allocationRepository;
+  final RecurringTransactionRepository _recurringRepository;
+
+  DeletionService(
+    this._db,
+    this._transactionRepository,
+    this._budgetRepository,
+    this._categoryRepository,
+    this._allocationRepository,
+    this._recurringRepository,
+  );
+
+  /// Records referencing category [id]
+  Future<DeletionImpact> impactOfCategory(String id) async {
+    return (
+      transactions:
+          await _transactionRepository.countTransactions(categoryId: id),
+      allocations: _allocationRepository.getAllocationsForCategory(id).length,
+      recurring: _recurringRepository.series
+          .where((series) => series.categoryId == id)
+          .length,
+    );
+  }
+
+  /// Records referencing budget [id]
+  Future<DeletionImpact> impactOfBudget(String id) async {
+    return (
+      transactions:
+          await _transactionRepository.countTransactions(budgetId: id),
+      allocations: _allocationRepository.getAllocationsForBudget(id).length,
+      recurring: 0,
+    );
+  }
+
+  /// Merge category [sourceId] into [targetId]
+  ///
+  /// Everything referencing [sourceId] moves to [targetId], then
+  /// [sourceId] is deleted (see [deleteCategory]).
+  Future<void> mergeCategory(String sourceId, String targetId) {
+    return deleteCategory(
+      sourceId,
+      action: DependentsAction.reassign,
+      targetId: targetId,
+    );
+  }
+
+  /// Delete category [id], and [action] on what references it
+  ///
+  /// [targetId] is the category to move them to, required by
+  /// [DependentsAction.reassign].
+  Future<void> deleteCategory(
+    String id, {
+    required DependentsAction action,
+    String? targetId,
+  }) async {
+    _checkTarget(id, action, targetId);
+    final at = DateTime.now();
+
+    await _db.transaction(() async {
+      final transactions =
+          await _transactionRepository.getTransactionsForCategory(id);
+      for (final transaction in transactions) {
+        if (transaction.isSplit) {
+          final categoryId =
+              action == DependentsAction.reassign ? targetId : null;
+          await _transactionRepository.updateTransaction(
+            transaction.copyWith(
+              splits: [
+                for (final line in transaction.splits)
+                  line.categoryId == id
+                      ? line.copyWith(categoryId: categoryId)
+                      : line,
+              ],
+            ),
+          );
+          continue;
+        }
+        switch (action) {
+          case DependentsAction.reassign:
+            await _transactionRepository.updateTransaction(
+              transaction.copyWith(categoryId: targetId),
+            );
+          case DependentsAction.unassign:
+            await _transactionRepository.updateTransaction(
+              transaction.copyWith(categoryId: null),
+            );
+          case DependentsAction.delete:
+            await _transactionRepository.deleteTransaction(
+              transaction.id,
+              at: at,
+            );
+        }
+      }
+
+      for (final allocation
+          in _allocationRepository.getAllocationsForCategory(id)) {
+        final existing = action == DependentsAction.reassign
+            ? _allocationRepository
+                .getAllocationsForBudget(allocation.budgetId)
+                .where((other) => other.categoryId == targetId)
+                .firstOrNull
+            : null;
+
+        if (action != DependentsAction.reassign) {
+          await _allocationRepository.deleteAllocation(allocation.id, at: at);
+        } else if (existing != null) {
+          await _allocationRepository.updateAllocation(
+            existing.copyWith(amount: existing.amount + allocation.amount),
+          );
+          // Moved before being deleted, so restoring the category doesn't
+          // bring back an amount now counted in [existing]
+          await _allocationRepository.updateAllocation(
+            allocation.copyWith(categoryId: targetId!),
+          );
+          await _allocationRepository.deleteAllocation(allocation.id);
+        } else {
+          await _allocationRepository.updateAllocation(
+            allocation.copyWith(categoryId: targetId!),
+          );
+        }
+      }
+
+      for (final series in _recurringRepository.series) {
+        if (series.categoryId != id) continue;
+        await _recurringRepository.updateSeries(
+          series.copyWith(
+            categoryId: action == DependentsAction.reassign ? targetId : null,
+          ),
+        );
+      }
+
+      await _moveSubcategories(id, action, targetId);
+
+      await _categoryRepository.deleteCategory(id, at: at);
+    });
+
+    AppLogger.instance.logWithContext(
+      message: '[DeletionService] Deleted category',
+      context: {'categoryId': id, 'action': action.name},
+    );
+  }
+
+  /// Delete budget [id] with its allocations, and [action] on its
+  /// transactions
+  ///
+  /// [targetId] is the budget to move them to, required by
+  /// [DependentsAction.reassign].
+  Future<void> deleteBudget(
+    String id, {
+    required DependentsAction action,
+    String? targetId,
+  }) async {
+    _checkTarget(id, action, targetId);
+    final at = DateTime.now();
+
+    await _db.transaction(() async {
+      final transactions =
+          await _transactionRepository.getTransactionsForBudget(id);
+      for (final transaction in transactions) {
+        if (transaction.isSplit) {
+          final budgetId =
+              action == DependentsAction.reassign ? targetId : null;
+          await _transactionRepository.updateTransaction(
+            transaction.copyWith(
+              splits: [
+                for (final line in transaction.splits)
+                  line.budgetId == id
+                      ? line.copyWith(budgetId: budgetId)
+                      : line,
+              ],
+            ),
+          );
+          continue;
+        }
+        switch (action) {
+          case DependentsAction.reassign:
+            await _transactionRepository.updateTransaction(
+              transaction.copyWith(budgetId: targetId),
+            );
+          case DependentsAction.unassign:
+            await _transactionRepository.updateTransaction(
+              transaction.copyWith(budgetId: null),
+            );
+          case DependentsAction.delete:
+            await _transactionRepository.deleteTransaction(
+              transaction.id,
+              at: at,
+            );
+        }
+      }
+
+      // An allocation only means something within its budget
+      for (final allocation
+          in _allocationRepository.getAllocationsForBudget(id)) {
+        await _allocationRepository.deleteAllocation(allocation.id, at: at);
+      }
+
+      await _budgetRepository.deleteBudget(id, at: at);
+    });
+
+    AppLogger.instance.logWithContext(
+      message: '[DeletionService] Deleted budget',
+      context: {'budgetId': id, 'action': action.name},
+    );
+  }
+
+  /// Move the subcategories of [id] under [targetId], when reassigning to a
+  /// category that can be a parent (hierarchies are one level deep), or
+  /// make them top-level
+  ///
+  /// A target that was itself a subcategory of [id] becomes top-level and
+  /// takes its former siblings.
+  Future<void> _moveSubcategories(
+    String id,
+    DependentsAction action,
+    String? targetId,
+  ) async {
+    final subcategories = _categoryRepository.categories
+        .where((category) => category.parentId == id)
+        .toList();
+    if (subcategories.isEmpty) return;
+
+    final target = action == DependentsAction.reassign
+        ? _categoryRepository.getCategoryByIdSync(targetId!)
+        : null;
+    final newParentId =
+        target != null && (target.parentId == null || target.parentId == id)
+        ? target.id
+        : null;
+
+    for (final subcategory in subcategories) {
+      await _categoryRepository.updateCategory(
+        subcategory.copyWith(
+          parentId: subcategory.id == newParentId ? null : newParentId,
+        ),
+      );
+    }
+  }
+
+  void _checkTarget(String id, DependentsAction action, String? targetId) {
+    if (action == DependentsAction.reassign &&
+        (targetId == null || targetId == id)) {
+      throw ArgumentError.value(targetId, 'targetId', 'Invalid target');
+    }
+  }
+}
@@ -0,0 +1,294 @@
+import 'package:centabit/core/logging/app_logger.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/models/trash_item_model.dart';
+import 'package:centabit/data/repositories/allocation_repository.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+
+/// The trash: soft-deleted transactions, budgets, categories and
+/// allocations, until restored or purged
+///
+/// Deleting only flags a row (`isDeleted`), so it can be restored and the
+/// deletion synced. The trash lists those rows ([getItems]), restores them
+/// (synced as an update) or purges them for good (local only: the server
+/// already has, or will get, the deletion from the sync queue).
+///
+/// A budget or category deleted with its records (`DeletionService`) is
+/// restored with them: they were deleted at the same time.
+///
+/// [purgeExpired] runs at startup and after a profile switch (see
+/// `configureDependencies`/`reloadUserScope`), removing what was deleted
+/// more than `AppSettingsModel.trashRetentionDays` ago.
+class TrashService {
+  final AppDatabase _db;
+  final TransactionRepository _transactionRepository;
+  final BudgetRepository _budgetRepository;
+  final CategoryRepository _categoryRepository;
+  final AllocationRepository _allocationRepository;
+
+  TrashService(
+    this._db,
+    this._transactionRepository,
+    this._budgetRepository,
+    this._categoryRepository,
+    this._allocationRepository,
+  );
+
+  /// Everything in the trash, most recently deleted first
+  Future<List<TrashItemModel>> getItems() async {
+    final transactions = await _transactionRepository.getDeletedTransactions();
+    final budgets = await _budgetRepository.getDeletedBudgets();
+    final categories = await _categoryRepository.getDeletedCategories();
+    final allocations = await _allocationRepository.getDeletedAllocations();
+
+    // Names of live and deleted records, for the references
+    final categoryNames = {
+      for (final category in [
+        ..._categoryRepository.categories,
+        ...categories,
+      ])
+        category.id: category.name,
+    };
+    final budgetsById = {
+      for (final budget in [..._budgetRepository.budgets, ...budgets])
+        budget.id: budget,
+    };
+
+    final items = [
+      for (final transaction in transactions)
+        TrashItemModel(
+          type: TrashItemType.transaction,
+          id: transaction.id,
+          title: transaction.name,
+          detail: categoryNames[transaction.categoryId],
+          amount: transaction.amount,
+          currencyCode: transaction.currencyCode,
+          date: transaction.transactionDate,
+          deletedAt: transaction.updatedAt,
+        ),
+      for (final budget in budgets)
+        TrashItemModel(
+          type: TrashItemType.budget,
+          id: budget.id,
+          title: budget.name,
+          amount: budget.amount,
+          currencyCode: budget.currencyCode,
+          date: budget.startDate,
+          deletedAt: budget.updatedAt,
+        ),
+      for (final category in categories)
+        TrashItemModel(
+          type: TrashItemType.category,
+          id: category.id,
+          title: category.name,
+          deletedAt: category.updatedAt,
+        ),
+      for (final allocation in allocations)
+        TrashItemModel(
+          type: TrashItemType.allocation,
+          id: allocation.id,
+          title: categoryNames[allocation.categoryId] ?? allocation.categoryId,
+          detail: budgetsById[allocation.budgetId]?.name,
+          amount: allocation.amount,
+          currencyCode: budgetsById[allocation.budgetId]?.currencyCode,
+          deletedAt: allocation.updatedAt,
+        ),
+    ];
+    items.sort((a, b) => b.deletedAt.compareTo(a.deletedAt));
+    return items;
+  }
+
+  /// Put [item] back where it was
+  Future<void> restore(TrashItemModel item) {
+    return restoreRecord(item.type, item.id);
+  }
+
+  /// Put the deleted record [id] of [type] back where it was, in ONE Drift
+  /// transaction (also undoes a deletion)
+  ///
+  /// - A budget or category comes back with the allocations and
+  ///   transactions referencing it that were deleted at the same time
+  /// - A transaction loses its reference to a category or budget still in
+  ///   the trash
+  /// - An allocation brings its budget and category back first (it means
+  ///   nothing without them)
+  Future<void> restoreRecord(TrashItemType type, String id) {
+    return _db.transaction(() async {
+      // Deletion time of each deleted budget and category
+      final deletedBudgets = {
+        for (final budget in await _budgetRepository.getDeletedBudgets())
+          budget.id: budget.updatedAt,
+      };
+      final deletedCategories = {
+        for (final category in await _categoryRepository.getDeletedCategories())
+          category.id: category.updatedAt,
+      };
+
+      switch (type) {
+        case TrashItemType.transaction:
+          final transaction =
+              await _transactionRepository.getTransactionById(id);
+          if (transaction == null) return;
+          await _restoreTransaction(
+            transaction,
+            deletedBudgets,
+            deletedCategories,
+          );
+        case TrashItemType.budget:
+          final deletedAt = deletedBudgets.remove(id);
+          if (deletedAt == null) return;
+          await _budgetRepository.restoreBudget(id);
+          await _restoreDeletedWith(
+            deletedAt,
+            (budgetId, categoryId) => budgetId == id,
+            deletedBudgets,
+            deletedCategories,
+          );
+        case TrashItemType.category:
+          final deletedAt = deletedCategories.remove(id);
+          if (deletedAt == null) return;
+          await _categoryRepository.restoreCategory(id);
+          await _restoreDeletedWith(
+            deletedAt,
+            (budgetId, categoryId) => categoryId == id,
+            deletedBudgets,
+            deletedCategories,
+          );
+        case TrashItemType.allocation:
+          final allocation = await _allocationRepository.getAllocationById(id);
+          if (allocation == null) return;
+          if (deletedBudgets.containsKey(allocation.budgetId)) {
+            await _budgetRepository.restoreBudget(allocation.budgetId);
+          }
+          if (deletedCategories.containsKey(allocation.categoryId)) {
+            await _categoryRepository.restoreCategory(allocation.categoryId);
+          }
+          await _allocationRepository.restoreAllocation(id);
+      }
+    });
+  }
+
+  /// Restore the allocations and transactions deleted at [deletedAt] that
+  /// [refersTo] the parent restored
+  ///
+  /// An allocation whose other parent is still deleted stays in the trash.
+  Future<void> _restoreDeletedWith(
+    DateTime deletedAt,
+    bool Function(String? budgetId, String? categoryId) refersTo,
+    Map<String, DateTime> deletedBudgets,
+    Map<String, DateTime> deletedCategories,
+  ) async {
+    for (final allocation
+        in await _allocationRepository.getDeletedAllocations()) {
+      if (allocation.updatedAt != deletedAt ||
+          !refersTo(allocation.budgetId, allocation.categoryId) ||
+          deletedBudgets.containsKey(allocation.budgetId) ||
+          deletedCategories.containsKey(allocation.categoryId)) {
+        continue;
+      }
+      await _allocationRepository.restoreAllocation(allocation.id);
+    }
+
+    for (final transaction
+        in await _transactionRepository.getDeletedTransactions()) {
+      if (transaction.updatedAt != deletedAt ||
+          !transaction.lines.any(
+            (line) => refersTo(line.budgetId, line.categoryId),
+          )) {
+        continue;
+      }
+      await _restoreTransaction(transaction, deletedBudgets, deletedCategories);
+    }
+  }
+
+  /// Restore [transaction], dropping references to deleted records (from
+  /// its split lines too)
+  Future<void> _restoreTransaction(
+    TransactionModel transaction,
+    Map<String, DateTime> deletedBudgets,
+    Map<String, DateTime> deletedCategories,
+  ) async {
+    await _transactionRepository.restoreTransaction(transaction.id);
+
+    final budgetDeleted = deletedBudgets.containsKey(transaction.budgetId);
+    final categoryDeleted =
+        deletedCategories.containsKey(transaction.categoryId);
+    final linesChanged = transaction.splits.any(
+      (line) =>
+          deletedBudgets.containsKey(line.budgetId) ||
+          deletedCategories.containsKey(line.categoryId),
+    );
+
+    if (budgetDeleted || categoryDeleted || linesChanged) {
+      await _transactionRepository.updateTransaction(
+        transaction.copyWith(
+          budgetId: budgetDeleted ? null : transaction.budgetId,
+          categoryId: categoryDeleted ? null : transaction.categoryId,
+          splits: [
+            for (final line in transaction.splits)
+              line.copyWith(
+                budgetId: deletedBudgets.containsKey(line.budgetId)
+                    ? null
+                    : line.budgetId,
+                categoryId: deletedCategories.containsKey(line.categoryId)
+                    ? null
+                    : line.categoryId,
+              ),
+          ],
+        ),
+      );
+    }
+  }
+
+  /// Remove [item] for good
+  Future<void> purge(TrashItemModel item) {
+    return switch (item.type) {
+      TrashItemType.transaction =>
+        _transactionRepository.purgeTransaction(item.id),
+      TrashItemType.budget => _budgetRepository.purgeBudget(item.id),
+      TrashItemType.category => _categoryRepository.purgeCategory(item.id),
+      TrashItemType.allocation =>
+        _allocationRepository.purgeAllocation(item.id),
+    };
+  }
+
+  /// Remove [items] for good (the trash as listed, so nothing deleted
+  /// meanwhile goes unseen)
+  Future<void> purgeAll(List<TrashItemModel> items) async {
+    for (final item in items) {
+      await purge(item);
+    }
+  }
+
+  /// Remove what was deleted more than [retentionDays] ago, returning how
+  /// many records were removed
+  ///
+  /// Never throws: a failure is logged and retried on the next run.
+  Future<int> purgeExpired(int retentionDays) async {
+    try {
+      final cutoff = DateTime.now().subtract(Duration(days: retentionDays));
+      final purged = await _transactionRepository
+              .purgeTransactionsDeletedBefore(cutoff) +
+          await _budgetRepository.purgeBudgetsDeletedBefore(cutoff) +
+          await _categoryRepository.purgeCategoriesDeletedBefore(cutoff) +
+          await _allocationRepository.purgeAllocationsDeletedBefore(cutoff);
+
+      if (purged > 0) {
+        AppLogger.instance.logWithContext(
+          message: '[TrashService] Purged expired records',
+          context: {'purged': purged, 'retentionDays': retentionDays},
+        );
+      }
+      return purged;
+    } catch (e, stackTrace) {
+      AppLogger.instance.error(
+        '[TrashService] Failed to purge expired records',
+        error: e,
+        stackTrace: stackTrace,
+      );
+      return 0;
+    }
+  }
+}
@@ -0,0 +1,164 @@
+import 'dart:async';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/alerts/budget_alert_service.dart';
+import 'package:centabit/data/models/alert_model.dart';
+import 'package:centabit/data/models/alert_rule_model.dart';
+import 'package:centabit/data/repositories/alert_repository.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/exchange_rate_repository.dart';
+import 'package:centabit/features/alerts/presentation/cubits/alerts_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the alerts page (inbox and rules).
+///
+/// **Data Flow**:
+/// ```
+/// AlertRepository emits alerts, rules or mutes (or budgets changed)
+///   ↓
+/// Emit AlertsState.ready(alerts, rules, mutes, budgets, currency)
+///   ↓
+/// User reads / dismisses alerts, snoozes a budget or edits a rule
+///   ↓
+/// Repository writes → stream emits → page rebuilt
+/// ```
+///
+/// Rules are evaluated again right after one is saved, so a new rule
+/// doesn't wait for the next transaction change.
+class AlertsCubit extends Cubit<AlertsState> {
+  final AlertRepository _alertRepository;
+  final BudgetRepository _budgetRepository;
+  final ExchangeRateRepository _exchangeRateRepository;
+  final BudgetAlertService _alertService;
+
+  StreamSubscription? _alertsSubscription;
+  StreamSubscription? _rulesSubscription;
+  StreamSubscription? _mutesSubscription;
+  StreamSubscription? _budgetsSubscription;
+
+  AlertsCubit(
+    this._alertRepository,
+    this._budgetRepository,
+    this._exchangeRateRepository,
+    this._alertService,
+  ) : super(const AlertsState.initial()) {
+    _alertsSubscription =
+        _alertRepository.alertsStream.listen((_) => _emitReady());
+    _rulesSubscription =
+        _alertRepository.rulesStream.listen((_) => _emitReady());
+    _mutesSubscription =
+        _alertRepository.mutesStream.listen((_) => _emitReady());
+    _budgetsSubscription =
+        _budgetRepository.budgetsStream.listen((_) => _emitReady());
+
+    // Initial load
+    _emitReady();
+  }
+
+  void _emitReady() {
+    emit(AlertsState.ready(
+      alerts: _alertRepository.alerts,
+      rules: _alertRepository.rules,
+      mutes: _alertRepository.mutes,
+      budgets: _budgetRepository.budgets,
+      defaultCurrency: _exchangeRateRepository.defaultCurrency,
+    ));
+  }
+
+  // ========================================
+  // Inbox
+  // ========================================
+
+  Future<void> markRead(AlertModel alert) {
+    if (alert.isRead) return Future.value();
+    return _run(
+      L10n.current.alertsUpdateFailed,
+      () => _alertRepository.markRead(alert.id),
+    );
+  }
+
+  Future<void> markAllRead() {
+    return _run(L10n.current.alertsUpdateFailed, _alertRepository.markAllRead);
+  }
+
+  Future<void> dismiss(AlertModel alert) {
+    return _run(
+      L10n.current.alertsUpdateFailed,
+      () => _alertRepository.dismiss(alert.id),
+    );
+  }
+
+  /// Clear the read alerts from the inbox
+  Future<void> dismissRead() {
+    return _run(L10n.current.alertsUpdateFailed, _alertRepository.dismissRead);
+  }
+
+  /// Silence [budgetId]'s alerts for [duration], or until unmuted when
+  /// null
+  Future<void> muteBudget(String budgetId, {Duration? duration}) {
+    return _run(
+      L10n.current.alertsUpdateFailed,
+      () => _alertRepository.muteBudget(
+        budgetId,
+        until: duration == null ? null : DateTime.now().add(duration),
+      ),
+    );
+  }
+
+  Future<void> unmuteBudget(String budgetId) {
+    return _run(
+      L10n.current.alertsUpdateFailed,
+      () async {
+        await _alertRepository.unmuteBudget(budgetId);
+        await _alertService.evaluate();
+      },
+    );
+  }
+
+  // ========================================
+  // Rules
+  // ========================================
+
+  /// Save [rule] (new or edited) and evaluate the rules again
+  Future<void> saveRule(AlertRuleModel rule) {
+    return _run(
+      L10n.current.alertsRuleSaveFailed,
+      () async {
+        await _alertRepository.saveRule(rule);
+        await _alertService.evaluate();
+      },
+    );
+  }
+
+  Future<void> setRuleEnabled(AlertRuleModel rule, bool isEnabled) {
+    return saveRule(rule.copyWith(isEnabled: isEnabled));
+  }
+
+  Future<void> deleteRule(AlertRuleModel rule) {
+    return _run(
+      L10n.current.alertsRuleSaveFailed,
+      () => _alertRepository.deleteRule(rule.id),
+    );
+  }
+
+  /// Run an action; on failure show the error, worded by [failure]
+  Future<void> _run(
+    String Function(String error) failure,
+    Future<void> Function() execute,
+  ) async {
+    try {
+      await execute();
+    } catch (e) {
+      emit(AlertsState.error(failure('$e')));
+      _emitReady();
+    }
+  }
+
+  @override
+  Future<void> close() {
+    _alertsSubscription?.cancel();
+    _rulesSubscription?.cancel();
+    _mutesSubscription?.cancel();
+    _budgetsSubscription?.cancel();
+    return super.close();
+  }
+}
@@ -0,0 +1,27 @@
+import 'package:centabit/data/models/alert_model.dart';
+import 'package:centabit/data/models/alert_rule_model.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'alerts_state.freezed.dart';
+
+/// State for the alerts page
+///
+/// Union type states:
+/// - initial: Before the first load
+/// - ready: Inbox (newest first), rules, budget mutes and the budgets
+///   (names of muted budgets), and the currency large-transaction
+///   thresholds are in
+/// - error: Saving a rule or updating the inbox failed with error message
+@freezed
+class AlertsState with _$AlertsState {
+  const factory AlertsState.initial() = _Initial;
+  const factory AlertsState.ready({
+    required List<AlertModel> alerts,
+    required List<AlertRuleModel> rules,
+    required List<AlertMuteModel> mutes,
+    required List<BudgetModel> budgets,
+    required String defaultCurrency,
+  }) = _Ready;
+  const factory AlertsState.error(String message) = _Error;
+}
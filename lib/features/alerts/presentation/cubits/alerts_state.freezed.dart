@@ -0,0 +1,382 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'alerts_state.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$AlertsState {
+
+
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is AlertsState);
+}
+
+
+@override
+int get hashCode => runtimeType.hashCode;
+
+@override
+String toString() {
+  return 'AlertsState()';
+}
+
+
+}
+
+/// @nodoc
+class $AlertsStateCopyWith<$Res>  {
+$AlertsStateCopyWith(AlertsState _, $Res Function(AlertsState) __);
+}
+
+
+/// Adds pattern-matching-related methods to [AlertsState].
+extension AlertsStatePatterns on AlertsState {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>({TResult Function( _Initial value)?  initial,TResult Function( _Ready value)?  ready,TResult Function( _Error value)?  error,required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial(_that);case _Ready() when ready != null:
+return ready(_that);case _Error() when error != null:
+return error(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>({required TResult Function( _Initial value)  initial,required TResult Function( _Ready value)  ready,required TResult Function( _Error value)  error,}){
+final _that = this;
+switch (_that) {
+case _Initial():
+return initial(_that);case _Ready():
+return ready(_that);case _Error():
+return error(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>({TResult? Function( _Initial value)?  initial,TResult? Function( _Ready value)?  ready,TResult? Function( _Error value)?  error,}){
+final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial(_that);case _Ready() when ready != null:
+return ready(_that);case _Error() when error != null:
+return error(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>({TResult Function()?  initial,TResult Function( List<AlertModel> alerts,  List<AlertRuleModel> rules,  List<AlertMuteModel> mutes,  List<BudgetModel> budgets,  String defaultCurrency)?  ready,TResult Function( String message)?  error,required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial();case _Ready() when ready != null:
+return ready(_that.alerts,_that.rules,_that.mutes,_that.budgets,_that.defaultCurrency);case _Error() when error != null:
+return error(_that.message);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>({required TResult Function()  initial,required TResult Function( List<AlertModel> alerts,  List<AlertRuleModel> rules,  List<AlertMuteModel> mutes,  List<BudgetModel> budgets,  String defaultCurrency)  ready,required TResult Function( String message)  error,}) {final _that = this;
+switch (_that) {
+case _Initial():
+return initial();case _Ready():
+return ready(_that.alerts,_that.rules,_that.mutes,_that.budgets,_that.defaultCurrency);case _Error():
+return error(_that.message);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>({TResult? Function()?  initial,TResult? Function( List<AlertModel> alerts,  List<AlertRuleModel> rules,  List<AlertMuteModel> mutes,  List<BudgetModel> budgets,  String defaultCurrency)?  ready,TResult? Function( String message)?  error,}) {final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial();case _Ready() when ready != null:
+return ready(_that.alerts,_that.rules,_that.mutes,_that.budgets,_that.defaultCurrency);case _Error() when error != null:
+return error(_that.message);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _Initial implements AlertsState {
+  const _Initial();
+  
+
+
+
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Initial);
+}
+
+
+@override
+int get hashCode => runtimeType.hashCode;
+
+@override
+String toString() {
+  return 'AlertsState.initial()';
+}
+
+
+}
+
+
+
+
+/// @nodoc
+
+
+class _Ready implements AlertsState {
+  const _Ready({required final  List<AlertModel> alerts, required final  List<AlertRuleModel> rules, required final  List<AlertMuteModel> mutes, required final  List<BudgetModel> budgets, required this.defaultCurrency}): _alerts = alerts, _rules = rules, _mutes = mutes, _budgets = budgets;
+  
+
+ final  List<AlertModel> _alerts;
+ List<AlertModel> get alerts {
+  if (_alerts is EqualUnmodifiableListView) return _alerts;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_alerts);
+}
+
+ final  List<AlertRuleModel> _rules;
+ List<AlertRuleModel> get rules {
+  if (_rules is EqualUnmodifiableListView) return _rules;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_rules);
+}
+
+ final  List<AlertMuteModel> _mutes;
+ List<AlertMuteModel> get mutes {
+  if (_mutes is EqualUnmodifiableListView) return _mutes;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_mutes);
+}
+
+ final  List<BudgetModel> _budgets;
+ List<BudgetModel> get budgets {
+  if (_budgets is EqualUnmodifiableListView) return _budgets;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_budgets);
+}
+
+ final  String defaultCurrency;
+
+/// Create a copy of AlertsState
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$ReadyCopyWith<_Ready> get copyWith => __$ReadyCopyWithImpl<_Ready>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Ready&&const DeepCollectionEquality().equals(other._alerts, _alerts)&&const DeepCollectionEquality().equals(other._rules, _rules)&&const DeepCollectionEquality().equals(other._mutes, _mutes)&&const DeepCollectionEquality().equals(other._budgets, _budgets)&&(identical(other.defaultCurrency, defaultCurrency) || other.defaultCurrency == defaultCurrency));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,const DeepCollectionEquality().hash(_alerts),const DeepCollectionEquality().hash(_rules),const DeepCollectionEquality().hash(_mutes),const DeepCollectionEquality().hash(_budgets),defaultCurrency);
+
+@override
+String toString() {
+  return 'AlertsState.ready(alerts: $alerts, rules: $rules, mutes: $mutes, budgets: $budgets, defaultCurrency: $defaultCurrency)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$ReadyCopyWith<$Res> implements $AlertsStateCopyWith<$Res> {
+  factory _$ReadyCopyWith(_Ready value, $Res Function(_Ready) _then) = __$ReadyCopyWithImpl;
+@useResult
+$Res call({
+ List<AlertModel> alerts, List<AlertRuleModel> rules, List<AlertMuteModel> mutes, List<BudgetModel> budgets, String defaultCurrency
+});
+
+
+
+
+}
+/// @nodoc
+class __$ReadyCopyWithImpl<$Res>
+    implements _$ReadyCopyWith<$Res> {
+  __$ReadyCopyWithImpl(this._self, this._then);
+
+  final _Ready _self;
+  final $Res Function(_Ready) _then;
+
+/// Create a copy of AlertsState
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? alerts = null,Object? rules = null,Object? mutes = null,Object? budgets = null,Object? defaultCurrency = null,}) {
+  return _then(_Ready(
+alerts: null == alerts ? _self._alerts : alerts // ignore: cast_nullable_to_non_nullable
+as List<AlertModel>,rules: null == rules ? _self._rules : rules // ignore: cast_nullable_to_non_nullable
+as List<AlertRuleModel>,mutes: null == mutes ? _self._mutes : mutes // ignore: cast_nullable_to_non_nullable
+as List<AlertMuteModel>,budgets: null == budgets ? _self._budgets : budgets // ignore: cast_nullable_to_non_nullable
+as List<BudgetModel>,defaultCurrency: null == defaultCurrency ? _self.defaultCurrency : defaultCurrency // ignore: cast_nullable_to_non_nullable
+as String,
+  ));
+}
+
+
+}
+
+/// @nodoc
+
+
+class _Error implements AlertsState {
+  const _Error(this.message);
+  
+
+ final  String message;
+
+/// Create a copy of AlertsState
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$ErrorCopyWith<_Error> get copyWith => __$ErrorCopyWithImpl<_Error>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Error&&(identical(other.message, message) || other.message == message));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,message);
+
+@override
+String toString() {
+  return 'AlertsState.error(message: $message)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$ErrorCopyWith<$Res> implements $AlertsStateCopyWith<$Res> {
+  factory _$ErrorCopyWith(_Error value, $Res Function(_Error) _then) = __$ErrorCopyWithImpl;
+@useResult
+$Res call({
+ String message
+});
+
+
+
+
+}
+/// @nodoc
+class __$ErrorCopyWithImpl<$Res>
+    implements _$ErrorCopyWith<$Res> {
+  __$ErrorCopyWithImpl(this._self, this._then);
+
+  final _Error _self;
+  final $Res Function(_Error) _then;
+
+/// Create a copy of AlertsState
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? message = null,}) {
+  return _then(_Error(
+null == message ? _self.message : message // ignore: cast_nullable_to_non_nullable
+as String,
+  ));
+}
+
+
+}
+
+// dart format on
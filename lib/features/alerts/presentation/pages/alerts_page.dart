@@ -0,0 +1,535 @@
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/alerts/budget_alert_service.dart';
+import 'package:centabit/data/models/alert_model.dart';
+import 'package:centabit/data/models/alert_rule_model.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/features/alerts/presentation/cubits/alerts_cubit.dart';
+import 'package:centabit/features/alerts/presentation/cubits/alerts_state.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Budget alerts page.
+///
+/// - Inbox: fired alerts, newest first (unread in bold). Tap marks read,
+///   swipe dismisses; the menu snoozes or mutes the alert's budget.
+/// - Rules: what fires alerts (tap to edit, switch to disable), and the
+///   muted budgets with an unmute action.
+///
+/// **Navigation**:
+/// - Route: `/alerts` (sub-route under dashboard)
+/// - Accessed from: bell in the shared app bar
+class AlertsPage extends StatelessWidget {
+  const AlertsPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<AlertsCubit>(),
+      child: const _AlertsContent(),
+    );
+  }
+}
+
+/// Internal content widget for the alerts page.
+///
+/// Separated from AlertsPage to allow BlocProvider scoping.
+class _AlertsContent extends StatelessWidget {
+  const _AlertsContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return BlocConsumer<AlertsCubit, AlertsState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      buildWhen: (_, current) => current.maybeWhen(
+        error: (_) => false,
+        orElse: () => true,
+      ),
+      builder: (context, state) {
+        final cubit = context.read<AlertsCubit>();
+        final defaultCurrency = state.maybeWhen(
+          ready: (_, __, ___, ____, currency) => currency,
+          orElse: () => CurrencyFormatter.fallbackCurrency,
+        );
+
+        return DefaultTabController(
+          length: 2,
+          child: Scaffold(
+            appBar: AppBar(
+              title: Text(l10n.alertsTitle),
+              leading: IconButton(
+                icon: const Icon(DirectionalIcons.back),
+                onPressed: () => context.pop(),
+              ),
+              actions: [
+                IconButton(
+                  icon: const Icon(TablerIcons.checks),
+                  tooltip: l10n.alertsMarkAllRead,
+                  onPressed: cubit.markAllRead,
+                ),
+                IconButton(
+                  icon: const Icon(TablerIcons.trash),
+                  tooltip: l10n.alertsClearRead,
+                  onPressed: cubit.dismissRead,
+                ),
+              ],
+              bottom: TabBar(
+                tabs: [
+                  Tab(text: l10n.alertsInbox),
+                  Tab(text: l10n.alertsRules),
+                ],
+              ),
+            ),
+            floatingActionButton: FloatingActionButton(
+              tooltip: l10n.alertsAddRule,
+              onPressed: () => _editRule(
+                context,
+                defaultCurrency: defaultCurrency,
+              ),
+              child: const Icon(TablerIcons.plus),
+            ),
+            body: state.maybeWhen(
+              ready: (alerts, rules, mutes, budgets, _) => TabBarView(
+                children: [
+                  _InboxTab(alerts: alerts),
+                  _RulesTab(
+                    rules: rules,
+                    mutes: mutes,
+                    budgets: budgets,
+                    defaultCurrency: defaultCurrency,
+                  ),
+                ],
+              ),
+              orElse: () => const Center(child: CircularProgressIndicator()),
+            ),
+          ),
+        );
+      },
+    );
+  }
+}
+
+/// Fired alerts, newest first
+class _InboxTab extends StatelessWidget {
+  final List<AlertModel> alerts;
+
+  const _InboxTab({required this.alerts});
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    if (alerts.isEmpty) {
+      return Center(
+        child: Padding(
+          padding: EdgeInsets.all(spacing.xl),
+          child: Text(
+            l10n.alertsInboxEmpty,
+            style: theme.textTheme.bodyMedium,
+            textAlign: TextAlign.center,
+          ),
+        ),
+      );
+    }
+
+    return ListView.separated(
+      padding: EdgeInsets.symmetric(vertical: spacing.md),
+      itemCount: alerts.length,
+      separatorBuilder: (_, __) => const Divider(height: 1),
+      itemBuilder: (context, index) => _AlertTile(alert: alerts[index]),
+    );
+  }
+}
+
+/// One fired alert: message, budget and date
+class _AlertTile extends StatelessWidget {
+  final AlertModel alert;
+
+  const _AlertTile({required this.alert});
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final colorScheme = theme.colorScheme;
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.read<AlertsCubit>();
+    final budgetId = alert.budgetId;
+
+    return Dismissible(
+      key: ValueKey(alert.id),
+      onDismissed: (_) => cubit.dismiss(alert),
+      background: Container(color: colorScheme.errorContainer),
+      child: ListTile(
+        leading: Icon(
+          _iconOf(alert.type),
+          color: alert.isRead
+              ? colorScheme.onSurfaceVariant
+              : colorScheme.error,
+        ),
+        title: Text(
+          BudgetAlertService.describe(l10n, alert),
+          style: alert.isRead
+              ? null
+              : const TextStyle(fontWeight: FontWeight.w600),
+        ),
+        subtitle: Text(
+          [
+            if (alert.budgetName != null) alert.budgetName!,
+            DateFormatter.formatDate(alert.createdAt),
+          ].join(' · '),
+        ),
+        onTap: () => cubit.markRead(alert),
+        trailing: PopupMenuButton<_AlertAction>(
+          icon: const Icon(TablerIcons.dotsVertical),
+          onSelected: (action) => switch (action) {
+            _AlertAction.snoozeDay =>
+              cubit.muteBudget(budgetId!, duration: const Duration(days: 1)),
+            _AlertAction.snoozeWeek =>
+              cubit.muteBudget(budgetId!, duration: const Duration(days: 7)),
+            _AlertAction.mute => cubit.muteBudget(budgetId!),
+            _AlertAction.dismiss => cubit.dismiss(alert),
+          },
+          itemBuilder: (_) => [
+            if (budgetId != null) ...[
+              PopupMenuItem(
+                value: _AlertAction.snoozeDay,
+                child: Text(l10n.alertsSnoozeDay),
+              ),
+              PopupMenuItem(
+                value: _AlertAction.snoozeWeek,
+                child: Text(l10n.alertsSnoozeWeek),
+              ),
+              PopupMenuItem(
+                value: _AlertAction.mute,
+                child: Text(l10n.alertsMuteBudget),
+              ),
+            ],
+            PopupMenuItem(
+              value: _AlertAction.dismiss,
+              child: Text(l10n.alertsDismiss),
+            ),
+          ],
+        ),
+      ),
+    );
+  }
+}
+
+enum _AlertAction { snoozeDay, snoozeWeek, mute, dismiss }
+
+/// Rules, then the muted budgets
+class _RulesTab extends StatelessWidget {
+  final List<AlertRuleModel> rules;
+  final List<AlertMuteModel> mutes;
+  final List<BudgetModel> budgets;
+
+  /// Currency large-transaction thresholds are in
+  final String defaultCurrency;
+
+  const _RulesTab({
+    required this.rules,
+    required this.mutes,
+    required this.budgets,
+    required this.defaultCurrency,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.read<AlertsCubit>();
+    final budgetNames = {for (final b in budgets) b.id: b.name};
+
+    return ListView(
+      padding: EdgeInsets.symmetric(vertical: spacing.md),
+      children: [
+        if (rules.isEmpty)
+          Padding(
+            padding: EdgeInsets.symmetric(horizontal: spacing.lg),
+            child: Text(
+              l10n.alertsRulesEmpty,
+              style: theme.textTheme.bodySmall,
+            ),
+          )
+        else
+          for (final rule in rules) ...[
+            ListTile(
+              leading: Icon(_iconOf(rule.type)),
+              title: Text(_describeRule(l10n, rule, defaultCurrency)),
+              trailing: Switch(
+                value: rule.isEnabled,
+                onChanged: (value) => cubit.setRuleEnabled(rule, value),
+              ),
+              onTap: () => _editRule(
+                context,
+                rule: rule,
+                defaultCurrency: defaultCurrency,
+              ),
+            ),
+            const Divider(height: 1),
+          ],
+        if (mutes.isNotEmpty) ...[
+          Padding(
+            padding: EdgeInsetsDirectional.fromSTEB(
+              spacing.lg,
+              spacing.lg,
+              spacing.lg,
+              spacing.sm,
+            ),
+            child: Text(
+              l10n.alertsMutedSection,
+              style: theme.textTheme.titleMedium,
+            ),
+          ),
+          for (final mute in mutes) ...[
+            ListTile(
+              leading: const Icon(TablerIcons.bellOff),
+              title: Text(budgetNames[mute.budgetId] ?? mute.budgetId),
+              subtitle: Text(
+                mute.isMuted
+                    ? l10n.alertsMuted
+                    : l10n.alertsSnoozedUntil(
+                        DateFormatter.formatDate(mute.mutedUntil!),
+                      ),
+              ),
+              trailing: TextButton(
+                onPressed: () => cubit.unmuteBudget(mute.budgetId),
+                child: Text(l10n.alertsUnmute),
+              ),
+            ),
+            const Divider(height: 1),
+          ],
+        ],
+      ],
+    );
+  }
+}
+
+IconData _iconOf(AlertRuleType type) {
+  return switch (type) {
+    AlertRuleType.barAbove => TablerIcons.gauge,
+    AlertRuleType.allocationOverPercent => TablerIcons.chartPie,
+    AlertRuleType.budgetEndingSoon => TablerIcons.calendarDue,
+    AlertRuleType.largeTransaction => TablerIcons.cash,
+  };
+}
+
+/// One-line summary of [rule], e.g. "BAR above 1.20"
+String _describeRule(
+  AppLocalizations l10n,
+  AlertRuleModel rule,
+  String defaultCurrency,
+) {
+  return switch (rule.type) {
+    AlertRuleType.barAbove => l10n.alertRuleBarAbove(
+        CurrencyFormatter.formatNumber(rule.threshold),
+      ),
+    AlertRuleType.allocationOverPercent => l10n.alertRuleAllocationOver(
+        CurrencyFormatter.formatNumber(rule.threshold, decimalDigits: 0),
+      ),
+    AlertRuleType.budgetEndingSoon =>
+      l10n.alertRuleBudgetEnding(rule.threshold.round()),
+    AlertRuleType.largeTransaction => l10n.alertRuleLargeTransaction(
+        CurrencyFormatter.format(rule.threshold, defaultCurrency),
+      ),
+  };
+}
+
+/// Add a rule, or edit [rule], with [_RuleDialog]
+Future<void> _editRule(
+  BuildContext context, {
+  AlertRuleModel? rule,
+  required String defaultCurrency,
+}) async {
+  final cubit = context.read<AlertsCubit>();
+  final result = await showDialog<_RuleResult>(
+    context: context,
+    builder: (_) => _RuleDialog(rule: rule, defaultCurrency: defaultCurrency),
+  );
+  if (result == null) return;
+
+  if (result.delete) {
+    await cubit.deleteRule(rule!);
+  } else if (rule == null) {
+    await cubit.saveRule(
+      AlertRuleModel.create(type: result.type, threshold: result.threshold),
+    );
+  } else {
+    await cubit.saveRule(
+      rule.copyWith(type: result.type, threshold: result.threshold),
+    );
+  }
+}
+
+/// Values returned by [_RuleDialog]
+typedef _RuleResult = ({AlertRuleType type, double threshold, bool delete});
+
+/// Rule type and threshold editor (with a delete action when editing)
+class _RuleDialog extends StatefulWidget {
+  final AlertRuleModel? rule;
+  final String defaultCurrency;
+
+  const _RuleDialog({this.rule, required this.defaultCurrency});
+
+  @override
+  State<_RuleDialog> createState() => _RuleDialogState();
+}
+
+class _RuleDialogState extends State<_RuleDialog> {
+  final _formKey = GlobalKey<FormState>();
+  late final TextEditingController _thresholdController;
+  late AlertRuleType _type;
+
+  @override
+  void initState() {
+    super.initState();
+    _type = widget.rule?.type ?? AlertRuleType.allocationOverPercent;
+    _thresholdController = TextEditingController(
+      text: _formatThreshold(widget.rule?.threshold ?? _type.defaultThreshold),
+    );
+  }
+
+  @override
+  void dispose() {
+    _thresholdController.dispose();
+    super.dispose();
+  }
+
+  /// Threshold as typed (no grouping, no trailing ".0")
+  String _formatThreshold(double value) {
+    return value == value.roundToDouble()
+        ? value.toInt().toString()
+        : value.toString();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final spacing = Theme.of(context).extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final rule = widget.rule;
+
+    return AlertDialog(
+      title: Text(rule == null ? l10n.alertsAddRule : l10n.alertsEditRule),
+      content: Form(
+        key: _formKey,
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          spacing: spacing.sm,
+          children: [
+            DropdownButtonFormField<AlertRuleType>(
+              initialValue: _type,
+              isExpanded: true,
+              decoration: InputDecoration(labelText: l10n.alertsRuleType),
+              items: [
+                for (final type in AlertRuleType.values)
+                  DropdownMenuItem(
+                    value: type,
+                    child: Text(_typeLabel(l10n, type)),
+                  ),
+              ],
+              onChanged: (type) {
+                if (type == null || type == _type) return;
+                setState(() {
+                  _type = type;
+                  _thresholdController.text =
+                      _formatThreshold(type.defaultThreshold);
+                });
+              },
+            ),
+            TextFormField(
+              controller: _thresholdController,
+              decoration: InputDecoration(
+                labelText: _thresholdLabel(l10n, _type),
+              ),
+              keyboardType: const TextInputType.numberWithOptions(
+                decimal: true,
+              ),
+              inputFormatters: [
+                FilteringTextInputFormatter.allow(RegExp(r'^\d*\.?\d*')),
+              ],
+              validator: (value) {
+                final threshold = double.tryParse(value ?? '');
+                return (threshold == null || threshold <= 0)
+                    ? l10n.alertsThresholdInvalid
+                    : null;
+              },
+            ),
+          ],
+        ),
+      ),
+      actions: [
+        if (rule != null)
+          TextButton(
+            onPressed: () => Navigator.pop<_RuleResult>(context, (
+              type: rule.type,
+              threshold: rule.threshold,
+              delete: true,
+            )),
+            child: Text(
+              l10n.delete,
+              style: TextStyle(color: colorScheme.error),
+            ),
+          ),
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: () {
+            if (!(_formKey.currentState?.validate() ?? false)) return;
+            Navigator.pop<_RuleResult>(context, (
+              type: _type,
+              threshold: double.parse(_thresholdController.text),
+              delete: false,
+            ));
+          },
+          child: Text(l10n.save),
+        ),
+      ],
+    );
+  }
+
+  String _typeLabel(AppLocalizations l10n, AlertRuleType type) {
+    return switch (type) {
+      AlertRuleType.barAbove => l10n.alertTypeBarAbove,
+      AlertRuleType.allocationOverPercent => l10n.alertTypeAllocationOver,
+      AlertRuleType.budgetEndingSoon => l10n.alertTypeBudgetEnding,
+      AlertRuleType.largeTransaction => l10n.alertTypeLargeTransaction,
+    };
+  }
+
+  String _thresholdLabel(AppLocalizations l10n, AlertRuleType type) {
+    return switch (type) {
+      AlertRuleType.barAbove => l10n.alertThresholdBar,
+      AlertRuleType.allocationOverPercent => l10n.alertThresholdPercent,
+      AlertRuleType.budgetEndingSoon => l10n.alertThresholdDays,
+      AlertRuleType.largeTransaction =>
+        l10n.alertThresholdAmount(widget.defaultCurrency),
+    };
+  }
+}
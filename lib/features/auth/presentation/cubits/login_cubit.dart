@@ -0,0 +1,40 @@
+import 'package:centabit/core/auth/auth_manager.dart';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/features/auth/presentation/cubits/login_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit driving the sign-in flow on the login page
+///
+/// **Flow**:
+/// 1. `AuthManager.signIn()` runs the identity provider and migrates the
+///    anonymous user's data to the account
+/// 2. [onUserChanged] rebinds the repositories to the new user
+///    (`reloadUserScope`)
+/// 3. Emit success - the page navigates to the dashboard
+class LoginCubit extends Cubit<LoginState> {
+  final AuthManager _authManager;
+
+  /// Called after the current user changed
+  final Future<void> Function() onUserChanged;
+
+  LoginCubit(this._authManager, {required this.onUserChanged})
+      : super(const LoginState.initial());
+
+  /// Sign in with the configured identity provider
+  Future<void> signIn() async {
+    emit(const LoginState.loading());
+
+    try {
+      final identity = await _authManager.signIn();
+      if (identity == null) {
+        emit(const LoginState.initial()); // Cancelled by the user
+        return;
+      }
+
+      await onUserChanged();
+      emit(LoginState.success(displayName: _authManager.displayName));
+    } catch (e) {
+      emit(LoginState.error(L10n.current.loginFailed('$e')));
+    }
+  }
+}
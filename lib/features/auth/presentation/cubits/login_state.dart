@@ -0,0 +1,18 @@
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'login_state.freezed.dart';
+
+/// State for the login page
+///
+/// Union type states:
+/// - initial: Waiting for the user (also after a cancelled sign-in)
+/// - loading: Sign-in, data migration and repository rebinding in progress
+/// - success: Signed in and dependencies rebuilt (triggers navigation)
+/// - error: Sign-in failed with error message
+@freezed
+class LoginState with _$LoginState {
+  const factory LoginState.initial() = _Initial;
+  const factory LoginState.loading() = _Loading;
+  const factory LoginState.success({String? displayName}) = _Success;
+  const factory LoginState.error(String message) = _Error;
+}
@@ -0,0 +1,109 @@
+import 'dart:async';
+import 'package:centabit/core/auth/auth_manager.dart';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/features/auth/presentation/cubits/profiles_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the profiles page (multiple users on one device)
+///
+/// **Data Flow**:
+/// ```
+/// AuthManager emits profiles
+///   ↓
+/// Emit ProfilesState.success(profiles, activeUserId)
+///   ↓
+/// User switches profile
+///   ↓
+/// AuthManager.switchProfile() → onUserChanged() rebinds repositories
+/// ```
+///
+/// Each profile keeps its own data; only deleting a profile removes it.
+class ProfilesCubit extends Cubit<ProfilesState> {
+  final AuthManager _authManager;
+
+  /// Called after the active user changed
+  final Future<void> Function() onUserChanged;
+
+  StreamSubscription? _profilesSubscription;
+
+  ProfilesCubit(this._authManager, {required this.onUserChanged})
+      : super(const ProfilesState.initial()) {
+    _subscribeToStreams();
+  }
+
+  void _subscribeToStreams() {
+    _profilesSubscription = _authManager.profilesStream.listen((_) {
+      _loadProfiles();
+    });
+
+    // Initial load
+    _loadProfiles();
+  }
+
+  Future<void> _loadProfiles() async {
+    try {
+      final activeUserId = await _authManager.getCurrentUserId();
+      emit(ProfilesState.success(
+        profiles: _authManager.profiles,
+        activeUserId: activeUserId,
+      ));
+    } catch (e) {
+      emit(ProfilesState.error(e.toString()));
+    }
+  }
+
+  /// Make [userId] the active profile and rebind all data streams
+  Future<void> switchProfile(String userId) async {
+    emit(const ProfilesState.loading());
+
+    try {
+      await _authManager.switchProfile(userId);
+      await onUserChanged();
+    } catch (e) {
+      emit(ProfilesState.error(L10n.current.profilesSwitchFailed('$e')));
+    }
+    await _loadProfiles();
+  }
+
+  /// Create an empty guest profile and switch to it
+  Future<void> createGuestProfile() async {
+    emit(const ProfilesState.loading());
+
+    try {
+      await _authManager.createAnonymousProfile();
+      await onUserChanged();
+    } catch (e) {
+      emit(ProfilesState.error(L10n.current.profilesCreateFailed('$e')));
+    }
+    await _loadProfiles();
+  }
+
+  /// Rename a profile
+  Future<void> renameProfile(String userId, String name) async {
+    final trimmed = name.trim();
+    if (trimmed.isEmpty) return;
+
+    try {
+      await _authManager.renameProfile(userId, trimmed);
+    } catch (e) {
+      emit(ProfilesState.error(L10n.current.profilesRenameFailed('$e')));
+      await _loadProfiles();
+    }
+  }
+
+  /// Delete a profile and all of its local data (not the active one)
+  Future<void> deleteProfile(String userId) async {
+    try {
+      await _authManager.deleteProfile(userId);
+    } catch (e) {
+      emit(ProfilesState.error(L10n.current.profilesDeleteFailed('$e')));
+      await _loadProfiles();
+    }
+  }
+
+  @override
+  Future<void> close() {
+    _profilesSubscription?.cancel();
+    return super.close();
+  }
+}
@@ -0,0 +1,22 @@
+import 'package:centabit/core/auth/user_profile.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'profiles_state.freezed.dart';
+
+/// State for the profiles page
+///
+/// Union type states:
+/// - initial: Before the first load
+/// - loading: Switching profile (dependencies are being rebound)
+/// - success: Profiles on this device and the active one
+/// - error: Profile action failed with error message
+@freezed
+class ProfilesState with _$ProfilesState {
+  const factory ProfilesState.initial() = _Initial;
+  const factory ProfilesState.loading() = _Loading;
+  const factory ProfilesState.success({
+    required List<UserProfile> profiles,
+    required String activeUserId,
+  }) = _Success;
+  const factory ProfilesState.error(String message) = _Error;
+}
@@ -1,29 +1,79 @@
 import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
 import 'package:flutter_svg/svg.dart';
 import 'package:go_router/go_router.dart';
 
+import '../../../../core/di/injection.dart';
+import '../../../../core/localizations/app_localizations.dart';
 import '../../../../core/router/app_router.dart';
 import '../../../../core/theme/theme_extensions.dart';
 import '../../../../core/theme/tabler_icons.dart';
+import '../cubits/login_cubit.dart';
+import '../cubits/login_state.dart';
 
 /// Login page for user authentication
+///
+/// - "Continue with Google": signs in via [LoginCubit]; the anonymous
+///   user's data moves to the account, then the dashboard opens
+/// - "Continue without account": keeps using the anonymous user
 class LoginPage extends StatelessWidget {
   const LoginPage({super.key});
 
   @override
   Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<LoginCubit>(),
+      child: const _LoginContent(),
+    );
+  }
+}
+
+/// Internal content widget for login page.
+///
+/// Separated from LoginPage to allow BlocProvider scoping.
+class _LoginContent extends StatelessWidget {
+  const _LoginContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+
+    return BlocConsumer<LoginCubit, LoginState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          success: (_) => context.go(AppRouter.dashboard),
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      builder: (context, state) => _buildScaffold(context, state),
+    );
+  }
+
+  Widget _buildScaffold(BuildContext context, LoginState state) {
     final theme = Theme.of(context);
     final colorScheme = theme.colorScheme;
     final customColors = theme.extension<AppCustomColors>()!;
     final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final isLoading = state.maybeWhen(
+      loading: () => true,
+      orElse: () => false,
+    );
 
     return Scaffold(
       body: Container(
         // Gradient background matching the design
         decoration: BoxDecoration(
           gradient: LinearGradient(
-            begin: Alignment.topLeft,
-            end: Alignment.bottomRight,
+            begin: AlignmentDirectional.topStart,
+            end: AlignmentDirectional.bottomEnd,
             colors: [customColors.gradientStart, customColors.gradientEnd],
           ),
         ),
@@ -39,7 +89,7 @@ class LoginPage extends StatelessWidget {
 
                   // Tagline
                   Text(
-                    'Every cent counts.',
+                    l10n.loginTagline,
                     style: theme.textTheme.headlineMedium?.copyWith(color: colorScheme.onSurfaceVariant),
                   ),
 
@@ -49,17 +99,30 @@ class LoginPage extends StatelessWidget {
                   SizedBox(
                     width: double.infinity,
                     child: ElevatedButton.icon(
-                      onPressed: () {
-                        // Navigate to dashboard
-                        context.go(AppRouter.dashboard);
-                      },
-                      icon: const Icon(TablerIcons.login),
-                      label: const Text('Continue with Google'),
+                      onPressed: isLoading
+                          ? null
+                          : () => context.read<LoginCubit>().signIn(),
+                      icon: isLoading
+                          ? const SizedBox(
+                              width: 16,
+                              height: 16,
+                              child: CircularProgressIndicator(strokeWidth: 2),
+                            )
+                          : const Icon(TablerIcons.login),
+                      label: Text(l10n.loginContinueWithGoogle),
                     ),
                   ),
 
                   SizedBox(height: spacing.md),
 
+                  // Anonymous mode (data can be moved to an account later)
+                  TextButton(
+                    onPressed: isLoading
+                        ? null
+                        : () => context.go(AppRouter.dashboard),
+                    child: Text(l10n.loginContinueWithoutAccount),
+                  ),
+
                   // Secondary tagline
                 ],
               ),
@@ -0,0 +1,290 @@
+import 'package:centabit/core/auth/user_profile.dart';
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/features/auth/presentation/cubits/profiles_cubit.dart';
+import 'package:centabit/features/auth/presentation/cubits/profiles_state.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Profiles page.
+///
+/// **Purpose**:
+/// Lets several people (or one person with several accounts) use the app on
+/// the same device. Every profile keeps its own transactions, budgets and
+/// categories; switching only changes which ones are shown.
+///
+/// **Actions**:
+/// - Tap a profile: switch to it (data streams rebind, no restart)
+/// - Rename: change the profile's display name
+/// - Delete: remove the profile and all of its local data (not available
+///   for the active profile)
+/// - New guest profile: start an empty anonymous profile
+/// - Export & backup: export or restore the active profile's data
+/// - Currencies: default currency and exchange rates of the active profile
+///
+/// **Navigation**:
+/// - Route: `/profiles` (sub-route under dashboard)
+/// - Accessed from: shared app bar
+class ProfilesPage extends StatelessWidget {
+  const ProfilesPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<ProfilesCubit>(),
+      child: const _ProfilesContent(),
+    );
+  }
+}
+
+/// Internal content widget for profiles page.
+///
+/// Separated from ProfilesPage to allow BlocProvider scoping.
+class _ProfilesContent extends StatelessWidget {
+  const _ProfilesContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return BlocConsumer<ProfilesCubit, ProfilesState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      builder: (context, state) {
+        return Scaffold(
+          appBar: AppBar(
+            title: Text(l10n.profilesTitle),
+            leading: IconButton(
+              icon: const Icon(DirectionalIcons.back),
+              onPressed: () => context.pop(),
+            ),
+            actions: [
+              IconButton(
+                icon: const Icon(TablerIcons.database),
+                tooltip: l10n.backupTitle,
+                onPressed: () => context.pushNamed('backup'),
+              ),
+              IconButton(
+                icon: const Icon(TablerIcons.coin),
+                tooltip: l10n.exchangeRatesTitle,
+                onPressed: () => context.pushNamed('exchange-rates'),
+              ),
+              IconButton(
+                icon: const Icon(TablerIcons.userPlus),
+                tooltip: l10n.profilesNewGuest,
+                onPressed: state.maybeWhen(
+                  loading: () => null,
+                  orElse: () =>
+                      () => context.read<ProfilesCubit>().createGuestProfile(),
+                ),
+              ),
+            ],
+          ),
+          body: state.when(
+            initial: () => const SizedBox.shrink(),
+            loading: () => const Center(child: CircularProgressIndicator()),
+            success: (profiles, activeUserId) =>
+                _buildProfileList(context, profiles, activeUserId),
+            error: (message) => Center(
+              child: Text(
+                l10n.errorMessage(message),
+                style: TextStyle(color: colorScheme.error),
+              ),
+            ),
+          ),
+        );
+      },
+    );
+  }
+
+  Widget _buildProfileList(
+    BuildContext context,
+    List<UserProfile> profiles,
+    String activeUserId,
+  ) {
+    final spacing = Theme.of(context).extension<AppSpacing>()!;
+
+    return ListView.separated(
+      padding: EdgeInsets.symmetric(vertical: spacing.md),
+      itemCount: profiles.length,
+      separatorBuilder: (_, __) => const Divider(height: 1),
+      itemBuilder: (context, index) {
+        final profile = profiles[index];
+        return _ProfileTile(
+          profile: profile,
+          isActive: profile.userId == activeUserId,
+        );
+      },
+    );
+  }
+}
+
+/// One profile: name, account type and rename/delete actions
+class _ProfileTile extends StatelessWidget {
+  final UserProfile profile;
+  final bool isActive;
+
+  const _ProfileTile({required this.profile, required this.isActive});
+
+  bool get _isGuest => profile.userId.startsWith('anon_');
+
+  /// Profile name, or the localized default when none was given
+  String _label(AppLocalizations l10n) =>
+      profile.name ??
+      (_isGuest ? l10n.profilesGuestName : l10n.profilesAccountName);
+
+  @override
+  Widget build(BuildContext context) {
+    final cubit = context.read<ProfilesCubit>();
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return ListTile(
+      leading: Icon(
+        _isGuest ? TablerIcons.user : TablerIcons.userCircle,
+        color: isActive ? colorScheme.primary : null,
+      ),
+      title: Text(_label(l10n)),
+      subtitle: Text(
+        _isGuest ? l10n.profilesGuestSubtitle : l10n.profilesSignedIn,
+      ),
+      selected: isActive,
+      onTap: isActive ? null : () => cubit.switchProfile(profile.userId),
+      trailing: Row(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          if (isActive) const Icon(TablerIcons.check),
+          IconButton(
+            icon: const Icon(TablerIcons.pencil),
+            tooltip: l10n.rename,
+            onPressed: () async {
+              final name = await showDialog<String>(
+                context: context,
+                builder: (_) => _RenameDialog(initialName: _label(l10n)),
+              );
+              if (name != null) {
+                await cubit.renameProfile(profile.userId, name);
+              }
+            },
+          ),
+          IconButton(
+            icon: const Icon(TablerIcons.trash),
+            tooltip: isActive ? l10n.profilesDeleteActiveHint : l10n.delete,
+            onPressed: isActive
+                ? null
+                : () async {
+                    final confirmed = await _showDeleteConfirmation(context);
+                    if (confirmed == true) {
+                      await cubit.deleteProfile(profile.userId);
+                    }
+                  },
+          ),
+        ],
+      ),
+    );
+  }
+
+  /// Show delete confirmation dialog
+  ///
+  /// Returns Future<bool?> - true if confirmed, false if canceled, null if dismissed
+  Future<bool?> _showDeleteConfirmation(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return showDialog<bool>(
+      context: context,
+      builder: (context) {
+        return AlertDialog(
+          title: Text(l10n.profilesDeleteTitle),
+          content: Text(
+            _isGuest
+                ? l10n.profilesDeleteGuestMessage(_label(l10n))
+                : l10n.profilesDeleteMessage(_label(l10n)),
+          ),
+          actions: [
+            TextButton(
+              onPressed: () => Navigator.pop(context, false),
+              child: Text(
+                l10n.cancel,
+                style: TextStyle(color: colorScheme.onSurface),
+              ),
+            ),
+            TextButton(
+              onPressed: () => Navigator.pop(context, true),
+              child: Text(
+                l10n.delete,
+                style: TextStyle(color: colorScheme.error),
+              ),
+            ),
+          ],
+        );
+      },
+    );
+  }
+}
+
+/// Text field dialog returning the new profile name (null if cancelled)
+class _RenameDialog extends StatefulWidget {
+  final String initialName;
+
+  const _RenameDialog({required this.initialName});
+
+  @override
+  State<_RenameDialog> createState() => _RenameDialogState();
+}
+
+class _RenameDialogState extends State<_RenameDialog> {
+  late final TextEditingController _controller;
+
+  @override
+  void initState() {
+    super.initState();
+    _controller = TextEditingController(text: widget.initialName);
+  }
+
+  @override
+  void dispose() {
+    _controller.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final l10n = AppLocalizations.of(context);
+
+    return AlertDialog(
+      title: Text(l10n.profilesRenameTitle),
+      content: TextField(
+        controller: _controller,
+        autofocus: true,
+        decoration: InputDecoration(labelText: l10n.name),
+        onSubmitted: (value) => Navigator.pop(context, value),
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: () => Navigator.pop(context, _controller.text),
+          child: Text(l10n.save),
+        ),
+      ],
+    );
+  }
+}
@@ -0,0 +1,91 @@
+import 'dart:async';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/backup/backup_archive.dart';
+import 'package:centabit/data/backup/backup_restorer.dart';
+import 'package:centabit/data/backup/data_exporter.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/features/backup/presentation/cubits/data_backup_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the export & backup page.
+///
+/// **Export**: [export] builds the file; the page saves it (file dialog).
+///
+/// **Restore**:
+/// ```
+/// readBackup(file content) → archive (page asks replace or merge)
+///   ↓
+/// restore(archive, mode) → working → restored → ready
+/// ```
+class DataBackupCubit extends Cubit<DataBackupState> {
+  final DataExporter _exporter;
+  final BackupRestorer _restorer;
+  final BudgetRepository _budgetRepository;
+
+  StreamSubscription? _budgetSubscription;
+
+  DataBackupCubit(this._exporter, this._restorer, this._budgetRepository)
+      : super(const DataBackupState.initial()) {
+    _budgetSubscription =
+        _budgetRepository.budgetsStream.listen((_) => _emitReady());
+
+    // Initial load
+    _emitReady();
+  }
+
+  void _emitReady() {
+    final budgets = [..._budgetRepository.budgets]
+      ..sort((a, b) => b.startDate.compareTo(a.startDate));
+    emit(DataBackupState.ready(budgets: budgets));
+  }
+
+  /// Build the export file, or null (error emitted) if it failed
+  Future<ExportFile?> export(ExportFormat format, ExportFilter filter) async {
+    try {
+      return await _exporter.export(format, filter);
+    } catch (e) {
+      _fail(L10n.current.backupExportFailed('$e'));
+      return null;
+    }
+  }
+
+  /// Read a backup file, or null (error emitted) if it isn't one
+  BackupArchive? readBackup(String content) {
+    try {
+      return BackupArchive.decode(content);
+    } on BackupFormatException catch (e) {
+      _fail(e.message);
+      return null;
+    }
+  }
+
+  /// Restore [archive] into the current profile
+  Future<void> restore(BackupArchive archive, RestoreMode mode) async {
+    emit(const DataBackupState.working());
+    try {
+      final summary = await _restorer.restore(archive, mode: mode);
+      emit(DataBackupState.restored(
+        restored: summary.restored,
+        skipped: summary.skipped,
+        removed: summary.removed,
+      ));
+      _emitReady();
+    } on BackupFormatException catch (e) {
+      _fail(e.message);
+    } catch (e) {
+      _fail(L10n.current.backupRestoreFailed('$e'));
+    }
+  }
+
+  /// Show the error, then the page again
+  void _fail(String message) {
+    emit(DataBackupState.error(message));
+    _emitReady();
+  }
+
+  @override
+  Future<void> close() {
+    _budgetSubscription?.cancel();
+    return super.close();
+  }
+}
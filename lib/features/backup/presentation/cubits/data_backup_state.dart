@@ -0,0 +1,28 @@
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'data_backup_state.freezed.dart';
+
+/// State for the export & backup page
+///
+/// Union type states:
+/// - initial: Before the first load
+/// - ready: Budgets to filter the export by (newest first)
+/// - working: Restoring a backup
+/// - restored: Restore finished with its counts (the page shows them, then
+///   the cubit is ready again)
+/// - error: Export or restore failed with error message
+@freezed
+class DataBackupState with _$DataBackupState {
+  const factory DataBackupState.initial() = _Initial;
+  const factory DataBackupState.ready({
+    required List<BudgetModel> budgets,
+  }) = _Ready;
+  const factory DataBackupState.working() = _Working;
+  const factory DataBackupState.restored({
+    required int restored,
+    required int skipped,
+    required int removed,
+  }) = _Restored;
+  const factory DataBackupState.error(String message) = _Error;
+}
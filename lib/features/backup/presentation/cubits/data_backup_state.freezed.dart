@@ -0,0 +1,470 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'data_backup_state.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$DataBackupState {
+
+
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is DataBackupState);
+}
+
+
+@override
+int get hashCode => runtimeType.hashCode;
+
+@override
+String toString() {
+  return 'DataBackupState()';
+}
+
+
+}
+
+/// @nodoc
+class $DataBackupStateCopyWith<$Res>  {
+$DataBackupStateCopyWith(DataBackupState _, $Res Function(DataBackupState) __);
+}
+
+
+/// Adds pattern-matching-related methods to [DataBackupState].
+extension DataBackupStatePatterns on DataBackupState {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>({TResult Function( _Initial value)?  initial,TResult Function( _Ready value)?  ready,TResult Function( _Working value)?  working,TResult Function( _Restored value)?  restored,TResult Function( _Error value)?  error,required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial(_that);case _Ready() when ready != null:
+return ready(_that);case _Working() when working != null:
+return working(_that);case _Restored() when restored != null:
+return restored(_that);case _Error() when error != null:
+return error(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>({required TResult Function( _Initial value)  initial,required TResult Function( _Ready value)  ready,required TResult Function( _Working value)  working,required TResult Function( _Restored value)  restored,required TResult Function( _Error value)  error,}){
+final _that = this;
+switch (_that) {
+case _Initial():
+return initial(_that);case _Ready():
+return ready(_that);case _Working():
+return working(_that);case _Restored():
+return restored(_that);case _Error():
+return error(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>({TResult? Function( _Initial value)?  initial,TResult? Function( _Ready value)?  ready,TResult? Function( _Working value)?  working,TResult? Function( _Restored value)?  restored,TResult? Function( _Error value)?  error,}){
+final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial(_that);case _Ready() when ready != null:
+return ready(_that);case _Working() when working != null:
+return working(_that);case _Restored() when restored != null:
+return restored(_that);case _Error() when error != null:
+return error(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>({TResult Function()?  initial,TResult Function( List<BudgetModel> budgets)?  ready,TResult Function()?  working,TResult Function( int restored,  int skipped,  int removed)?  restored,TResult Function( String message)?  error,required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial();case _Ready() when ready != null:
+return ready(_that.budgets);case _Working() when working != null:
+return working();case _Restored() when restored != null:
+return restored(_that.restored,_that.skipped,_that.removed);case _Error() when error != null:
+return error(_that.message);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>({required TResult Function()  initial,required TResult Function( List<BudgetModel> budgets)  ready,required TResult Function()  working,required TResult Function( int restored,  int skipped,  int removed)  restored,required TResult Function( String message)  error,}) {final _that = this;
+switch (_that) {
+case _Initial():
+return initial();case _Ready():
+return ready(_that.budgets);case _Working():
+return working();case _Restored():
+return restored(_that.restored,_that.skipped,_that.removed);case _Error():
+return error(_that.message);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>({TResult? Function()?  initial,TResult? Function( List<BudgetModel> budgets)?  ready,TResult? Function()?  working,TResult? Function( int restored,  int skipped,  int removed)?  restored,TResult? Function( String message)?  error,}) {final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial();case _Ready() when ready != null:
+return ready(_that.budgets);case _Working() when working != null:
+return working();case _Restored() when restored != null:
+return restored(_that.restored,_that.skipped,_that.removed);case _Error() when error != null:
+return error(_that.message);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _Initial implements DataBackupState {
+  const _Initial();
+  
+
+
+
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Initial);
+}
+
+
+@override
+int get hashCode => runtimeType.hashCode;
+
+@override
+String toString() {
+  return 'DataBackupState.initial()';
+}
+
+
+}
+
+
+
+
+/// @nodoc
+
+
+class _Ready implements DataBackupState {
+  const _Ready({required final  List<BudgetModel> budgets}): _budgets = budgets;
+  
+
+ final  List<BudgetModel> _budgets;
+ List<BudgetModel> get budgets {
+  if (_budgets is EqualUnmodifiableListView) return _budgets;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_budgets);
+}
+
+
+/// Create a copy of DataBackupState
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$ReadyCopyWith<_Ready> get copyWith => __$ReadyCopyWithImpl<_Ready>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Ready&&const DeepCollectionEquality().equals(other._budgets, _budgets));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,const DeepCollectionEquality().hash(_budgets));
+
+@override
+String toString() {
+  return 'DataBackupState.ready(budgets: $budgets)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$ReadyCopyWith<$Res> implements $DataBackupStateCopyWith<$Res> {
+  factory _$ReadyCopyWith(_Ready value, $Res Function(_Ready) _then) = __$ReadyCopyWithImpl;
+@useResult
+$Res call({
+ List<BudgetModel> budgets
+});
+
+
+
+
+}
+/// @nodoc
+class __$ReadyCopyWithImpl<$Res>
+    implements _$ReadyCopyWith<$Res> {
+  __$ReadyCopyWithImpl(this._self, this._then);
+
+  final _Ready _self;
+  final $Res Function(_Ready) _then;
+
+/// Create a copy of DataBackupState
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? budgets = null,}) {
+  return _then(_Ready(
+budgets: null == budgets ? _self._budgets : budgets // ignore: cast_nullable_to_non_nullable
+as List<BudgetModel>,
+  ));
+}
+
+
+}
+
+/// @nodoc
+
+
+class _Working implements DataBackupState {
+  const _Working();
+  
+
+
+
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Working);
+}
+
+
+@override
+int get hashCode => runtimeType.hashCode;
+
+@override
+String toString() {
+  return 'DataBackupState.working()';
+}
+
+
+}
+
+
+
+
+/// @nodoc
+
+
+class _Restored implements DataBackupState {
+  const _Restored({required this.restored, required this.skipped, required this.removed});
+  
+
+ final  int restored;
+ final  int skipped;
+ final  int removed;
+
+/// Create a copy of DataBackupState
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$RestoredCopyWith<_Restored> get copyWith => __$RestoredCopyWithImpl<_Restored>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Restored&&(identical(other.restored, restored) || other.restored == restored)&&(identical(other.skipped, skipped) || other.skipped == skipped)&&(identical(other.removed, removed) || other.removed == removed));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,restored,skipped,removed);
+
+@override
+String toString() {
+  return 'DataBackupState.restored(restored: $restored, skipped: $skipped, removed: $removed)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$RestoredCopyWith<$Res> implements $DataBackupStateCopyWith<$Res> {
+  factory _$RestoredCopyWith(_Restored value, $Res Function(_Restored) _then) = __$RestoredCopyWithImpl;
+@useResult
+$Res call({
+ int restored, int skipped, int removed
+});
+
+
+
+
+}
+/// @nodoc
+class __$RestoredCopyWithImpl<$Res>
+    implements _$RestoredCopyWith<$Res> {
+  __$RestoredCopyWithImpl(this._self, this._then);
+
+  final _Restored _self;
+  final $Res Function(_Restored) _then;
+
+/// Create a copy of DataBackupState
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? restored = null,Object? skipped = null,Object? removed = null,}) {
+  return _then(_Restored(
+restored: null == restored ? _self.restored : restored // ignore: cast_nullable_to_non_nullable
+as int,skipped: null == skipped ? _self.skipped : skipped // ignore: cast_nullable_to_non_nullable
+as int,removed: null == removed ? _self.removed : removed // ignore: cast_nullable_to_non_nullable
+as int,
+  ));
+}
+
+
+}
+
+/// @nodoc
+
+
+class _Error implements DataBackupState {
+  const _Error(this.message);
+  
+
+ final  String message;
+
+/// Create a copy of DataBackupState
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$ErrorCopyWith<_Error> get copyWith => __$ErrorCopyWithImpl<_Error>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Error&&(identical(other.message, message) || other.message == message));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,message);
+
+@override
+String toString() {
+  return 'DataBackupState.error(message: $message)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$ErrorCopyWith<$Res> implements $DataBackupStateCopyWith<$Res> {
+  factory _$ErrorCopyWith(_Error value, $Res Function(_Error) _then) = __$ErrorCopyWithImpl;
+@useResult
+$Res call({
+ String message
+});
+
+
+
+
+}
+/// @nodoc
+class __$ErrorCopyWithImpl<$Res>
+    implements _$ErrorCopyWith<$Res> {
+  __$ErrorCopyWithImpl(this._self, this._then);
+
+  final _Error _self;
+  final $Res Function(_Error) _then;
+
+/// Create a copy of DataBackupState
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? message = null,}) {
+  return _then(_Error(
+null == message ? _self.message : message // ignore: cast_nullable_to_non_nullable
+as String,
+  ));
+}
+
+
+}
+
+// dart format on
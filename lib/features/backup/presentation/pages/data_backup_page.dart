@@ -0,0 +1,296 @@
+import 'dart:convert';
+
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/backup/backup_archive.dart';
+import 'package:centabit/data/backup/backup_restorer.dart';
+import 'package:centabit/data/backup/data_exporter.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/features/backup/presentation/cubits/data_backup_cubit.dart';
+import 'package:centabit/features/backup/presentation/cubits/data_backup_state.dart';
+import 'package:file_picker/file_picker.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Export & backup page.
+///
+/// **Export** (optionally limited to a date range or one budget):
+/// - CSV: zip of transactions, budgets, allocations and categories
+/// - Backup: JSON file that can be restored later or on another device
+///
+/// **Restore**: pick a backup file, then replace the current profile's
+/// data with it or merge it in (filtered backups can only be merged).
+///
+/// **Navigation**:
+/// - Route: `/backup` (sub-route under dashboard)
+/// - Accessed from: Profiles page app bar
+class DataBackupPage extends StatelessWidget {
+  const DataBackupPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<DataBackupCubit>(),
+      child: const _DataBackupContent(),
+    );
+  }
+}
+
+/// Internal content widget for the export & backup page.
+///
+/// Separated from DataBackupPage to allow BlocProvider scoping. Holds the
+/// export filter while the page is open.
+class _DataBackupContent extends StatefulWidget {
+  const _DataBackupContent();
+
+  @override
+  State<_DataBackupContent> createState() => _DataBackupContentState();
+}
+
+class _DataBackupContentState extends State<_DataBackupContent> {
+  DateTimeRange? _range;
+  String? _budgetId;
+
+  ExportFilter get _filter => ExportFilter(
+        from: _range?.start,
+        to: _range?.end,
+        budgetId: _budgetId,
+      );
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return BlocConsumer<DataBackupCubit, DataBackupState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          restored: (restored, skipped, removed) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(
+                  '${l10n.backupRestored(restored)}'
+                  '${skipped > 0 ? l10n.backupRestoredKept(skipped) : ''}'
+                  '${removed > 0 ? l10n.backupRestoredRemoved(removed) : ''}',
+                ),
+              ),
+            );
+          },
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      buildWhen: (_, current) => current.maybeWhen(
+        restored: (_, __, ___) => false,
+        error: (_) => false,
+        orElse: () => true,
+      ),
+      builder: (context, state) {
+        return Scaffold(
+          appBar: AppBar(
+            title: Text(l10n.backupTitle),
+            leading: IconButton(
+              icon: const Icon(DirectionalIcons.back),
+              onPressed: () => context.pop(),
+            ),
+          ),
+          body: state.maybeWhen(
+            ready: (budgets) => _buildContent(context, budgets),
+            orElse: () => const Center(child: CircularProgressIndicator()),
+          ),
+        );
+      },
+    );
+  }
+
+  Widget _buildContent(BuildContext context, List<BudgetModel> budgets) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    // Selected budget may have been deleted meanwhile
+    final budgetId = budgets.any((b) => b.id == _budgetId) ? _budgetId : null;
+
+    return ListView(
+      padding: EdgeInsets.all(spacing.lg),
+      children: [
+        Text(l10n.backupExport, style: theme.textTheme.titleMedium),
+        SizedBox(height: spacing.sm),
+        ListTile(
+          contentPadding: EdgeInsets.zero,
+          leading: const Icon(TablerIcons.calendar),
+          title: Text(
+            _range == null
+                ? l10n.allDates
+                : l10n.dateRange(
+                    DateFormatter.formatDate(_range!.start),
+                    DateFormatter.formatDate(_range!.end),
+                  ),
+          ),
+          trailing: _range == null
+              ? null
+              : IconButton(
+                  icon: const Icon(TablerIcons.x),
+                  tooltip: l10n.allDates,
+                  onPressed: () => setState(() => _range = null),
+                ),
+          onTap: _pickRange,
+        ),
+        DropdownButtonFormField<String?>(
+          initialValue: budgetId,
+          decoration: InputDecoration(labelText: l10n.budget),
+          items: [
+            DropdownMenuItem(value: null, child: Text(l10n.allBudgets)),
+            for (final budget in budgets)
+              DropdownMenuItem(value: budget.id, child: Text(budget.name)),
+          ],
+          onChanged: (value) => setState(() => _budgetId = value),
+        ),
+        SizedBox(height: spacing.md),
+        Row(
+          children: [
+            Expanded(
+              child: OutlinedButton.icon(
+                onPressed: () => _export(ExportFormat.csv),
+                icon: const Icon(TablerIcons.fileSpreadsheet),
+                label: Text(l10n.backupExportCsv),
+              ),
+            ),
+            SizedBox(width: spacing.md),
+            Expanded(
+              child: FilledButton.icon(
+                onPressed: () => _export(ExportFormat.backup),
+                icon: const Icon(TablerIcons.databaseExport),
+                label: Text(l10n.backupExportBackup),
+              ),
+            ),
+          ],
+        ),
+        SizedBox(height: spacing.xl),
+        Text(l10n.backupRestore, style: theme.textTheme.titleMedium),
+        SizedBox(height: spacing.xs),
+        Text(
+          l10n.backupRestoreHint,
+          style: theme.textTheme.bodySmall,
+        ),
+        SizedBox(height: spacing.md),
+        OutlinedButton.icon(
+          onPressed: _restore,
+          icon: const Icon(TablerIcons.databaseImport),
+          label: Text(l10n.backupRestoreBackup),
+        ),
+      ],
+    );
+  }
+
+  Future<void> _pickRange() async {
+    final now = DateTime.now();
+    final range = await showDateRangePicker(
+      context: context,
+      firstDate: DateTime(2000),
+      lastDate: DateTime(now.year + 5),
+      initialDateRange: _range,
+    );
+    if (range != null) setState(() => _range = range);
+  }
+
+  Future<void> _export(ExportFormat format) async {
+    final cubit = context.read<DataBackupCubit>();
+    final file = await cubit.export(format, _filter);
+    if (file == null || !mounted) return;
+    final l10n = AppLocalizations.of(context);
+
+    final path = await FilePicker.platform.saveFile(
+      dialogTitle: l10n.backupSaveExport,
+      fileName: file.fileName,
+      bytes: file.bytes,
+    );
+    if (path == null || !mounted) return;
+
+    ScaffoldMessenger.of(context).showSnackBar(
+      SnackBar(content: Text(l10n.backupSaved(file.fileName))),
+    );
+  }
+
+  Future<void> _restore() async {
+    final cubit = context.read<DataBackupCubit>();
+    final result = await FilePicker.platform.pickFiles(
+      type: FileType.custom,
+      allowedExtensions: const ['json'],
+      withData: true,
+    );
+    final bytes = result?.files.singleOrNull?.bytes;
+    if (bytes == null) return;
+
+    final archive = cubit.readBackup(utf8.decode(bytes, allowMalformed: true));
+    if (archive == null || !mounted) return;
+
+    final mode = await showDialog<RestoreMode>(
+      context: context,
+      builder: (_) => _RestoreDialog(archive: archive),
+    );
+    if (mode != null) await cubit.restore(archive, mode);
+  }
+}
+
+/// Asks how to restore a backup: replace the current data or merge
+class _RestoreDialog extends StatelessWidget {
+  final BackupArchive archive;
+
+  const _RestoreDialog({required this.archive});
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+    final exportedAt = '${DateFormatter.formatDate(archive.exportedAt)} '
+        '${DateFormatter.formatTime(archive.exportedAt)}';
+
+    final modeHint = archive.isPartial
+        ? l10n.backupRestorePartialHint
+        : l10n.backupRestoreModeHint;
+
+    return AlertDialog(
+      title: Text(l10n.backupRestoreTitle),
+      content: Text(
+        '${l10n.backupRestoreSummary(
+          exportedAt,
+          archive.transactions.length,
+          archive.budgets.length,
+          archive.categories.length,
+        )}\n\n$modeHint',
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.of(context).pop(),
+          child: Text(
+            l10n.cancel,
+            style: TextStyle(color: colorScheme.onSurface),
+          ),
+        ),
+        if (!archive.isPartial)
+          TextButton(
+            onPressed: () => Navigator.of(context).pop(RestoreMode.replace),
+            child: Text(
+              l10n.backupReplace,
+              style: TextStyle(color: colorScheme.error),
+            ),
+          ),
+        TextButton(
+          onPressed: () => Navigator.of(context).pop(RestoreMode.merge),
+          child: Text(l10n.backupMerge),
+        ),
+      ],
+    );
+  }
+}
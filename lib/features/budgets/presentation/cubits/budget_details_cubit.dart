@@ -1,11 +1,23 @@
 import 'dart:async';
 
 import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:centabit/core/localizations/l10n.dart';
 import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/history/spending_history_service.dart';
+import 'package:centabit/data/models/allocation_model.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/models/trash_item_model.dart';
+import 'package:centabit/data/repositories/alert_repository.dart';
 import 'package:centabit/data/repositories/allocation_repository.dart';
 import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/budget_template_repository.dart';
 import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/exchange_rate_repository.dart';
 import 'package:centabit/data/repositories/transaction_repository.dart';
+import 'package:centabit/data/trash/deletion_service.dart';
+import 'package:centabit/data/trash/trash_service.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_details_state.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_details_vmodel.dart';
 import 'package:centabit/features/budgets/presentation/cubits/chart_type.dart';
@@ -17,11 +29,27 @@ class BudgetDetailsCubit extends Cubit<BudgetDetailsState> {
   final AllocationRepository _allocationRepository;
   final TransactionRepository _transactionRepository;
   final CategoryRepository _categoryRepository;
+  final BudgetTemplateRepository _templateRepository;
+  final ExchangeRateRepository _exchangeRateRepository;
+  final SpendingHistoryService _spendingHistory;
+  final AlertRepository _alertRepository;
+  final DeletionService _deletionService;
+  final TrashService _trashService;
 
   StreamSubscription? _budgetSubscription;
   StreamSubscription? _allocationSubscription;
   StreamSubscription? _transactionSubscription;
   StreamSubscription? _categorySubscription;
+  StreamSubscription? _exchangeRateSubscription;
+  StreamSubscription? _spendingHistorySubscription;
+  StreamSubscription? _alertMuteSubscription;
+
+  /// Latest transactions linked to the budget (from the database stream)
+  List<TransactionModel> _budgetTransactions = const [];
+
+  /// Set while [deleteBudget] runs: the page closes once it's done, so the
+  /// budget going missing isn't reported
+  bool _isDeleting = false;
 
   ChartType _selectedChartType = ChartType.bar;
 
@@ -48,13 +76,26 @@ class BudgetDetailsCubit extends Cubit<BudgetDetailsState> {
     required AllocationRepository allocationRepository,
     required TransactionRepository transactionRepository,
     required CategoryRepository categoryRepository,
+    required BudgetTemplateRepository templateRepository,
+    required ExchangeRateRepository exchangeRateRepository,
+    required SpendingHistoryService spendingHistoryService,
+    required AlertRepository alertRepository,
+    required DeletionService deletionService,
+    required TrashService trashService,
   })  : _budgetRepository = budgetRepository,
         _allocationRepository = allocationRepository,
         _transactionRepository = transactionRepository,
         _categoryRepository = categoryRepository,
+        _templateRepository = templateRepository,
+        _exchangeRateRepository = exchangeRateRepository,
+        _spendingHistory = spendingHistoryService,
+        _alertRepository = alertRepository,
+        _deletionService = deletionService,
+        _trashService = trashService,
         super(const BudgetDetailsState.initial()) {
+    // The budget's transaction stream emits on subscription, which runs
+    // the first load
     _subscribeToStreams();
-    _loadBudgetDetails();
   }
 
   void _subscribeToStreams() {
@@ -62,13 +103,24 @@ class BudgetDetailsCubit extends Cubit<BudgetDetailsState> {
         _budgetRepository.budgetsStream.listen((_) => _loadBudgetDetails());
     _allocationSubscription = _allocationRepository.allocationsStream
         .listen((_) => _loadBudgetDetails());
-    _transactionSubscription = _transactionRepository.transactionsStream
-        .listen((_) => _loadBudgetDetails());
+    _transactionSubscription = _transactionRepository
+        .watchTransactionsForBudget(budgetId)
+        .listen((transactions) {
+      _budgetTransactions = transactions;
+      _loadBudgetDetails();
+    });
     _categorySubscription = _categoryRepository.categoriesStream
         .listen((_) => _loadBudgetDetails());
+    _exchangeRateSubscription = _exchangeRateRepository.ratesStream
+        .listen((_) => _loadBudgetDetails());
+    _spendingHistorySubscription = _spendingHistory.historyStream
+        .listen((_) => _loadBudgetDetails());
+    _alertMuteSubscription =
+        _alertRepository.mutesStream.listen((_) => _loadBudgetDetails());
   }
 
   Future<void> _loadBudgetDetails() async {
+    if (_isDeleting) return;
     emit(const BudgetDetailsState.loading());
 
     try {
@@ -84,18 +136,15 @@ class BudgetDetailsCubit extends Cubit<BudgetDetailsState> {
 
       final categories = _categoryRepository.categories;
 
-      // Filter transactions - ONLY include explicitly assigned to this budget
-      final transactions = _transactionRepository.transactions.where((t) {
-        // Transaction must be in budget's date range
-        final isInDateRange = !t.transactionDate.isBefore(budget.startDate) &&
+      // Transactions explicitly assigned to this budget, in its date range
+      final transactions = _budgetTransactions.where((t) {
+        return !t.transactionDate.isBefore(budget.startDate) &&
             !t.transactionDate.isAfter(budget.endDate);
-
-        // Transaction must be explicitly linked to this budget
-        final isLinkedToBudget = t.budgetId == budgetId;
-
-        return isInDateRange && isLinkedToBudget;
       }).toList();
 
+      // Spending is summed in the budget's currency
+      final converter = _exchangeRateRepository.converter;
+
       // Build allocation detail view models
       final allocationDetails = allocations.map((allocation) {
         final category = categories.firstWhere(
@@ -103,53 +152,76 @@ class BudgetDetailsCubit extends Cubit<BudgetDetailsState> {
           orElse: () => throw Exception('Category not found'),
         );
 
-        // Transactions for this allocation
-        final allocationTransactions = transactions
-            .where((t) => t.categoryId == allocation.categoryId)
-            .map(
-              (t) => TransactionVModel(
-                id: t.id,
-                name: t.name,
-                amount: t.amount,
-                type: t.type,
-                transactionDate: t.transactionDate,
-                formattedDate:
-                    DateFormatter.formatTransactionDateTime(t.transactionDate),
-                formattedTime: DateFormatter.formatTime(t.transactionDate),
-                categoryId: t.categoryId,
-                categoryName: category.name,
-                categoryIconName: category.iconName,
-                notes: t.notes,
-              ),
-            )
-            .toList();
+        // Transactions for this allocation: of a split transaction, the
+        // lines in this budget and category, for their amount
+        final allocationTransactions = [
+          for (final t in transactions)
+            for (final line in t.lines)
+              if (line.budgetId == budgetId &&
+                  line.categoryId == allocation.categoryId)
+                TransactionVModel(
+                  id: t.id,
+                  name: t.name,
+                  amount: line.amount,
+                  currencyCode: t.currencyCode,
+                  type: t.type,
+                  transactionDate: t.transactionDate,
+                  formattedDate: DateFormatter.formatTransactionDateTime(
+                    t.transactionDate,
+                  ),
+                  formattedTime: DateFormatter.formatTime(t.transactionDate),
+                  categoryId: line.categoryId,
+                  categoryName: category.name,
+                  categoryIconName: category.iconName,
+                  notes: t.notes,
+                ),
+        ];
 
         return AllocationDetailVModel(
           allocation: allocation,
           category: category,
           transactions: allocationTransactions,
+          // Net of refunds: credits are subtracted, as in the budget totals
+          spent: allocationTransactions.fold(0.0, (sum, t) {
+            final amount = converter.convert(
+              t.amount,
+              from: t.currencyCode,
+              to: budget.currencyCode,
+            );
+            return t.type == TransactionType.credit
+                ? sum - amount
+                : sum + amount;
+          }),
         );
       }).toList();
 
       // Build full transaction list (denormalized)
+      CategoryModel? categoryOf(String? id) =>
+          categories.where((c) => c.id == id).firstOrNull;
       final transactionViewModels = transactions.map((t) {
-        final category = categories.firstWhere(
-          (c) => c.id == t.categoryId,
-          orElse: () => throw Exception('Category not found'),
-        );
+        final category = categoryOf(t.categoryId);
         return TransactionVModel(
           id: t.id,
           name: t.name,
           amount: t.amount,
+          currencyCode: t.currencyCode,
           type: t.type,
           transactionDate: t.transactionDate,
           formattedDate:
               DateFormatter.formatTransactionDateTime(t.transactionDate),
           formattedTime: DateFormatter.formatTime(t.transactionDate),
           categoryId: t.categoryId,
-          categoryName: category.name,
-          categoryIconName: category.iconName,
+          categoryName: category?.name,
+          categoryIconName: category?.iconName,
           notes: t.notes,
+          splits: [
+            for (final line in t.splits)
+              (
+                amount: line.amount,
+                categoryName: categoryOf(line.categoryId)?.name,
+                categoryIconName: categoryOf(line.categoryId)?.iconName,
+              ),
+          ],
         );
       }).toList();
 
@@ -161,6 +233,9 @@ class BudgetDetailsCubit extends Cubit<BudgetDetailsState> {
         budget: budget,
         allocations: allocationDetails,
         transactions: transactionViewModels,
+        historicalData: _spendingHistory.historyFor(budget),
+        alertMute: _alertRepository.muteFor(budgetId),
+        categories: categories,
       );
 
       emit(BudgetDetailsState.success(details: viewModel));
@@ -169,12 +244,157 @@ class BudgetDetailsCubit extends Cubit<BudgetDetailsState> {
     }
   }
 
-  Future<void> deleteBudget() async {
+  /// Transactions and allocations of this budget, shown before deleting
+  /// it.
+  Future<DeletionImpact> deletionImpact() {
+    return _deletionService.impactOfBudget(budgetId);
+  }
+
+  /// Budgets this budget's transactions can move to.
+  List<BudgetModel> reassignTargets() {
+    return _budgetRepository.budgets.where((b) => b.id != budgetId).toList();
+  }
+
+  /// Moves this budget and its allocations to the trash, with [action] on
+  /// its transactions ([targetId]: budget they move to).
+  ///
+  /// Returns false (and emits error) if deleting failed.
+  Future<bool> deleteBudget({
+    required DependentsAction action,
+    String? targetId,
+  }) async {
+    _isDeleting = true;
+    try {
+      await _deletionService.deleteBudget(
+        budgetId,
+        action: action,
+        targetId: targetId,
+      );
+      return true;
+    } catch (e) {
+      _isDeleting = false;
+      emit(BudgetDetailsState.error(L10n.current.budgetDeleteFailed('$e')));
+      return false;
+    }
+  }
+
+  /// Undoes [deleteBudget]: the budget comes back with what was deleted
+  /// with it (moved or unassigned transactions stay as they are).
+  ///
+  /// Emits nothing, so it still works from the undo snackbar once the page
+  /// (and this cubit) are closed.
+  Future<void> restoreBudget() {
+    return _trashService.restoreRecord(TrashItemType.budget, budgetId);
+  }
+
+  /// Saves this budget and its allocations as a template named [name].
+  ///
+  /// Returns false (and emits error) if saving failed.
+  Future<bool> saveAsTemplate(String name) async {
+    try {
+      final budget = _budgetRepository.budgets.firstWhere(
+        (b) => b.id == budgetId,
+        orElse: () => throw Exception('Budget not found'),
+      );
+      await _templateRepository.saveBudgetAsTemplate(
+        budget,
+        _allocationRepository.getAllocationsForBudget(budgetId),
+        name: name,
+      );
+      return true;
+    } catch (e) {
+      emit(
+        BudgetDetailsState.error(L10n.current.templateSaveFailed('$e')),
+      );
+      return false;
+    }
+  }
+
+  /// Creates the next period's budget from this one ("roll over").
+  ///
+  /// The new budget covers [BudgetModelExtensions.nextPeriod] and gets a
+  /// copy of every allocation. With [carryOverUnspent], each allocation
+  /// also gets what is left of it in this budget (overspent ones carry
+  /// nothing), and the budget amount grows by the carried total.
+  ///
+  /// Same rollback as budget creation: if an allocation fails, the new
+  /// budget is deleted.
+  ///
+  /// Returns the new budget's ID, or null (and emits error) on failure.
+  Future<String?> rollOver({
+    required String name,
+    required bool carryOverUnspent,
+  }) async {
+    final details = state.maybeWhen(
+      success: (details) => details,
+      orElse: () => null,
+    );
+    if (details == null) return null;
+
+    try {
+      final period = details.budget.nextPeriod();
+
+      double carriedOver(AllocationDetailVModel a) =>
+          carryOverUnspent && a.remaining > 0 ? a.remaining : 0.0;
+      final carriedTotal = details.allocations.fold<double>(
+        0,
+        (sum, a) => sum + carriedOver(a),
+      );
+
+      final budget = BudgetModel.create(
+        name: name,
+        amount: details.budget.amount + carriedTotal,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        currencyCode: details.budget.currencyCode,
+      );
+
+      await _budgetRepository.createBudget(budget);
+
+      try {
+        for (final a in details.allocations) {
+          await _allocationRepository.createAllocation(
+            AllocationModel.create(
+              amount: a.allocation.amount + carriedOver(a),
+              categoryId: a.allocation.categoryId,
+              budgetId: budget.id,
+            ),
+          );
+        }
+      } catch (e) {
+        // Rollback: delete budget if allocations failed
+        await _budgetRepository.deleteBudget(budget.id);
+        throw Exception('Failed to create allocations: $e');
+      }
+
+      return budget.id;
+    } catch (e) {
+      emit(
+        BudgetDetailsState.error(L10n.current.budgetRollOverFailed('$e')),
+      );
+      return null;
+    }
+  }
+
+  /// Silence this budget's alerts for [duration], or until unmuted when
+  /// null
+  Future<void> muteAlerts({Duration? duration}) async {
+    try {
+      await _alertRepository.muteBudget(
+        budgetId,
+        until: duration == null ? null : DateTime.now().add(duration),
+      );
+    } catch (e) {
+      emit(BudgetDetailsState.error(L10n.current.alertsUpdateFailed('$e')));
+    }
+  }
+
+  /// Let this budget's alerts fire again
+  Future<void> unmuteAlerts() async {
     try {
-      await _budgetRepository.deleteBudget(budgetId);
-      // Navigation handled in listener
+      await _alertRepository.unmuteBudget(budgetId);
     } catch (e) {
-      emit(BudgetDetailsState.error('Failed to delete budget: $e'));
+      emit(BudgetDetailsState.error(L10n.current.alertsUpdateFailed('$e')));
     }
   }
 
@@ -186,6 +406,9 @@ class BudgetDetailsCubit extends Cubit<BudgetDetailsState> {
     _allocationSubscription?.cancel();
     _transactionSubscription?.cancel();
     _categorySubscription?.cancel();
+    _exchangeRateSubscription?.cancel();
+    _spendingHistorySubscription?.cancel();
+    _alertMuteSubscription?.cancel();
     return super.close();
   }
 }
@@ -1,4 +1,5 @@
 import 'package:centabit/core/utils/smart_budget_calculator.dart';
+import 'package:centabit/data/models/alert_model.dart';
 import 'package:centabit/data/models/allocation_model.dart';
 import 'package:centabit/data/models/budget_model.dart';
 import 'package:centabit/data/models/category_model.dart';
@@ -11,6 +12,16 @@ class BudgetDetailsVModel {
   final List<AllocationDetailVModel> allocations;
   final List<TransactionVModel> transactions;
 
+  /// Spending curves learned from earlier budgets (see
+  /// `SpendingHistoryService.historyFor`)
+  final List<HistoricalSpendingPeriod> historicalData;
+
+  /// Snooze or mute of this budget's alerts, if any
+  final AlertMuteModel? alertMute;
+
+  /// All categories, for the parents of allocated subcategories
+  final List<CategoryModel> categories;
+
   // Smart BAR calculator instance (shared with Dashboard)
   static final SmartBudgetCalculator _barCalculator = SmartBudgetCalculator();
 
@@ -18,8 +29,14 @@ class BudgetDetailsVModel {
     required this.budget,
     required this.allocations,
     required this.transactions,
+    this.historicalData = const [],
+    this.alertMute,
+    this.categories = const [],
   });
 
+  /// Whether this budget's alerts are silenced right now
+  bool get alertsMuted => alertMute?.isActiveAt(DateTime.now()) ?? false;
+
   // Computed metrics
   double get totalAllocated =>
       allocations.fold(0.0, (sum, a) => sum + a.allocation.amount);
@@ -30,47 +47,44 @@ class BudgetDetailsVModel {
 
   double get unallocated => budget.amount - totalAllocated;
 
+  /// Whether [barValue] expects the user's learned spending pace rather
+  /// than the default front-loaded curve
+  bool get usesLearnedCurve =>
+      historicalData.length >= SmartBudgetCalculator.minHistoricalPeriods;
+
   // BAR calculation using SmartBudgetCalculator (matches Dashboard logic)
   double get barValue {
-    final now = DateTime.now();
-
     // Edge case: No budget allocated
     if (totalAllocated <= 0) return 0.0;
 
-    // Calculate total days in budget period (inclusive)
-    final totalDays = budget.endDate.difference(budget.startDate).inDays + 1;
-
-    // Calculate elapsed days based on current date
-    final int elapsedDays;
-    if (now.isBefore(budget.startDate)) {
-      // Before budget starts
-      elapsedDays = 0;
-    } else if (now.isAfter(budget.endDate)) {
-      // After budget ends
-      elapsedDays = totalDays;
-    } else {
-      // During budget period
-      elapsedDays = now.difference(budget.startDate).inDays + 1;
-    }
-
-    // Use SmartBudgetCalculator with front-loaded curve
-    // This matches the Dashboard calculation exactly
-    final calculation = _barCalculator.calculate(
-      daysElapsed: elapsedDays,
-      totalDays: totalDays,
-      actualSpent: totalSpent,
-      totalBudget: totalAllocated,
-      // historicalData: [], // Future enhancement
-    );
+    return pace.bar;
+  }
 
-    return calculation.bar;
+  /// BAR and end-of-period forecast of the whole budget
+  BARCalculation get pace => _paceOf(totalSpent, totalAllocated);
+
+  /// BAR and end-of-period forecast of one category, on the same curve
+  /// as the budget
+  BARCalculation paceOf(AllocationDetailVModel allocation) =>
+      _paceOf(allocation.spent, allocation.allocation.amount);
+
+  // Uses the learned or front-loaded curve, like the Dashboard
+  BARCalculation _paceOf(double spent, double allocated) {
+    return _barCalculator.calculateForPeriod(
+      startDate: budget.startDate,
+      endDate: budget.endDate,
+      now: DateTime.now(),
+      actualSpent: spent,
+      totalBudget: allocated,
+      historicalData: historicalData,
+    );
   }
 
   // Progress percentage
   double get spentPercentage =>
       budget.amount > 0 ? (totalSpent / budget.amount) * 100 : 0.0;
 
-  // Chart data (for bar/pie charts in Phase 3)
+  // Chart data (for bar/pie charts in Phase 3), subcategories rolled up
   List<TransactionsChartData> get chartData => allocations
       .map(
         (a) => TransactionsChartData(
@@ -79,9 +93,14 @@ class BudgetDetailsVModel {
           categoryIconName: a.category.iconName,
           allocationAmount: a.allocation.amount,
           transactionAmount: a.spent,
+          currencyCode: budget.currencyCode,
+          pace: a.allocation.amount > 0 ? paceOf(a) : null,
+          colorHex: a.category.colorHex,
+          parentId: a.category.parentId,
         ),
       )
-      .toList();
+      .toList()
+      .rolledUp(categories: categories, paceOf: _paceOf);
 }
 
 /// View model for individual allocation with spending details
@@ -90,15 +109,17 @@ class AllocationDetailVModel {
   final CategoryModel category;
   final List<TransactionVModel> transactions;
 
+  /// Sum of [transactions] in the budget's currency (converted with the
+  /// user's exchange rates)
+  final double spent;
+
   const AllocationDetailVModel({
     required this.allocation,
     required this.category,
     required this.transactions,
+    required this.spent,
   });
 
-  double get spent =>
-      transactions.fold(0.0, (sum, t) => sum + t.amount);
-
   double get remaining => allocation.amount - spent;
 
   double get spentPercentage =>
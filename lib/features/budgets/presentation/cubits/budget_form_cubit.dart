@@ -1,11 +1,19 @@
 import 'dart:async';
 
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
+import 'package:centabit/data/history/spending_history_service.dart';
 import 'package:centabit/data/models/allocation_model.dart';
 import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/budget_template_model.dart';
 import 'package:centabit/data/models/category_model.dart';
 import 'package:centabit/data/repositories/allocation_repository.dart';
 import 'package:centabit/data/repositories/budget_repository.dart';
 import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/exchange_rate_repository.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+import 'package:centabit/data/trash/deletion_service.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_form_state.dart';
 import 'package:flutter/widgets.dart';
 import 'package:flutter_bloc/flutter_bloc.dart';
@@ -15,11 +23,12 @@ import 'package:uuid/uuid.dart';
 /// Cubit for budget form (create/edit/delete) with allocation management.
 ///
 /// Manages:
-/// - Budget form fields (name, amount, startDate, endDate)
+/// - Budget form fields (name, amount, currencyCode, startDate, endDate)
 /// - Allocation list (add/edit/delete inline)
 /// - Form validation (name required, dates valid, allocations valid)
 /// - Atomic create/update operations (budget + allocations)
 /// - Category data for allocation dropdowns
+/// - Pace of each allocation while editing an active budget
 ///
 /// **Architecture Pattern**:
 /// - FormBuilder for budget fields
@@ -51,6 +60,13 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
   final BudgetRepository _budgetRepository;
   final AllocationRepository _allocationRepository;
   final CategoryRepository _categoryRepository;
+  final ExchangeRateRepository _exchangeRateRepository;
+  final TransactionRepository _transactionRepository;
+  final SpendingHistoryService _spendingHistory;
+  final DeletionService _deletionService;
+
+  // Smart BAR calculator instance (shared with Dashboard)
+  static final SmartBudgetCalculator _barCalculator = SmartBudgetCalculator();
 
   final GlobalKey<FormBuilderState> formKey;
 
@@ -60,6 +76,11 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
   // Allocation state (not in FormBuilder)
   List<AllocationEditModel> _allocations = [];
 
+  // Budget being edited and its spending by category (in its currency),
+  // for the allocations' pace
+  BudgetModel? _editedBudget;
+  Map<String, double> _spentByCategory = {};
+
   // Counter to force unique states (needed for UI reactivity)
   int _rebuildCounter = 0;
 
@@ -67,6 +88,10 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
     this._budgetRepository,
     this._allocationRepository,
     this._categoryRepository,
+    this._exchangeRateRepository,
+    this._transactionRepository,
+    this._spendingHistory,
+    this._deletionService,
   )   : formKey = GlobalKey<FormBuilderState>(),
         super(const BudgetFormState.initial()) {
     _subscribeToCategories();
@@ -76,6 +101,9 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
   List<CategoryModel> get categories => _categories;
   List<AllocationEditModel> get allocations => _allocations;
 
+  /// Currency preselected for new budgets (the user's default currency)
+  String get defaultCurrency => _exchangeRateRepository.defaultCurrency;
+
   /// Subscribe to category repository stream for dropdown data.
   ///
   /// Immediately initializes with current categories, then listens for updates.
@@ -107,6 +135,7 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
   Future<void> loadExistingAllocations(String budgetId) async {
     final existingAllocations =
         _allocationRepository.getAllocationsForBudget(budgetId);
+    await _loadSpending(budgetId);
 
     _allocations = existingAllocations
         .map((alloc) => AllocationEditModel(
@@ -122,6 +151,80 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
     emit(BudgetFormState.initial(rebuildCounter: _rebuildCounter));
   }
 
+  /// Sums the edited budget's spending by category, like the budget
+  /// details: transactions linked to it, within its period, converted to
+  /// its currency. Summed by the database, per category and currency.
+  Future<void> _loadSpending(String budgetId) async {
+    final budget = _budgetRepository.budgets
+        .where((b) => b.id == budgetId)
+        .firstOrNull;
+    _editedBudget = budget;
+    _spentByCategory = {};
+    if (budget == null) return;
+
+    final totals = await _transactionRepository.getTotals(
+      budgetId: budgetId,
+      start: budget.startDate,
+      // The budget's end date is inclusive
+      end: budget.endDate.add(const Duration(seconds: 1)),
+    );
+
+    final converter = _exchangeRateRepository.converter;
+    for (final total in totals) {
+      final categoryId = total.categoryId;
+      if (categoryId == null) continue;
+      _spentByCategory[categoryId] = (_spentByCategory[categoryId] ?? 0) +
+          converter.convert(
+            total.amount,
+            from: total.currencyCode,
+            to: budget.currencyCode,
+          );
+    }
+  }
+
+  /// BAR and end-of-period forecast of [allocation] at its current amount
+  ///
+  /// Null unless editing a budget that is running, or for an empty
+  /// allocation. Uses the same curve as the Dashboard, so the user sees
+  /// the effect of resizing an allocation before saving.
+  BARCalculation? paceFor(AllocationEditModel allocation) {
+    final budget = _editedBudget;
+    if (budget == null || !budget.isActive() || allocation.amount <= 0) {
+      return null;
+    }
+
+    return _barCalculator.calculateForPeriod(
+      startDate: budget.startDate,
+      endDate: budget.endDate,
+      now: DateTime.now(),
+      actualSpent: _spentByCategory[allocation.categoryId] ?? 0,
+      totalBudget: allocation.amount,
+      historicalData: _spendingHistory.historyFor(budget),
+    );
+  }
+
+  /// Initializes allocation state from a template (create mode).
+  ///
+  /// Called by form modal when initialTemplate is provided. Allocations for
+  /// categories deleted since the template was saved are left out.
+  void loadTemplateAllocations(BudgetTemplateModel template) {
+    final categoryIds = _categories.map((c) => c.id).toSet();
+
+    _allocations = template.allocations
+        .where((alloc) => categoryIds.contains(alloc.categoryId))
+        .map((alloc) => AllocationEditModel(
+              id: const Uuid().v4(), // Temp ID until saved
+              categoryId: alloc.categoryId,
+              amount: alloc.amount,
+              isNew: true,
+            ))
+        .toList();
+
+    // Re-emit state to trigger UI rebuild
+    _rebuildCounter++;
+    emit(BudgetFormState.initial(rebuildCounter: _rebuildCounter));
+  }
+
   /// Adds a new allocation to the list.
   ///
   /// **Parameters**:
@@ -204,7 +307,7 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
   /// **Returns**: Error message or null if valid
   String? validateName(String? value, {String? excludeId}) {
     if (value == null || value.isEmpty) {
-      return 'Budget name is required';
+      return L10n.current.budgetNameRequired;
     }
 
     // Note: Name uniqueness is not strictly required (could have "December 2025"
@@ -219,12 +322,12 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
   /// **Returns**: Error message or null if valid
   String? validateAmount(String? value) {
     if (value == null || value.isEmpty) {
-      return 'Amount is required';
+      return L10n.current.amountRequired;
     }
 
     final amount = double.tryParse(value);
     if (amount == null || amount <= 0) {
-      return 'Amount must be greater than 0';
+      return L10n.current.amountPositive;
     }
 
     return null; // Valid
@@ -242,12 +345,14 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
   String? validateAllocations() {
     // Check if at least one allocation exists
     if (_allocations.isEmpty) {
-      return 'Add at least one allocation';
+      return L10n.current.allocationsRequired;
     }
 
     // Get budget amount from form
     final amountStr = formKey.currentState?.fields['amount']?.value ?? '0';
     final budgetAmount = double.tryParse(amountStr) ?? 0;
+    final String currencyCode =
+        formKey.currentState?.fields['currencyCode']?.value ?? defaultCurrency;
 
     // Calculate total allocated
     final totalAllocated = _allocations.fold<double>(
@@ -257,19 +362,22 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
 
     // Check if total allocated exceeds budget
     if (totalAllocated > budgetAmount) {
-      return 'Total allocations (\$${totalAllocated.toStringAsFixed(2)}) exceed budget (\$${budgetAmount.toStringAsFixed(2)})';
+      return L10n.current.allocationsExceedBudget(
+        CurrencyFormatter.format(totalAllocated, currencyCode),
+        CurrencyFormatter.format(budgetAmount, currencyCode),
+      );
     }
 
     // Check for duplicate categories
     final categoryIds = _allocations.map((a) => a.categoryId).toSet();
     if (categoryIds.length != _allocations.length) {
-      return 'Duplicate categories found. Each category can only be allocated once';
+      return L10n.current.allocationsDuplicateCategory;
     }
 
     // Check all amounts are positive
     final hasNegativeAmount = _allocations.any((a) => a.amount <= 0);
     if (hasNegativeAmount) {
-      return 'All allocation amounts must be greater than 0';
+      return L10n.current.allocationsAmountPositive;
     }
 
     return null; // Valid
@@ -307,6 +415,7 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
       final formData = formKey.currentState!.value;
       final name = formData['name'] as String;
       final amount = double.parse(formData['amount'] as String);
+      final currencyCode = formData['currencyCode'] as String;
       final startDate = formData['startDate'] as DateTime;
       final endDate = formData['endDate'] as DateTime;
 
@@ -316,6 +425,7 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
         amount: amount,
         startDate: startDate,
         endDate: endDate,
+        currencyCode: currencyCode,
       );
 
       // Step 1: Create budget
@@ -339,7 +449,7 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
 
       emit(const BudgetFormState.success());
     } catch (e) {
-      emit(BudgetFormState.error('Failed to create budget: $e'));
+      emit(BudgetFormState.error(L10n.current.budgetCreateFailed('$e')));
     }
   }
 
@@ -377,6 +487,7 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
       final formData = formKey.currentState!.value;
       final name = formData['name'] as String;
       final amount = double.parse(formData['amount'] as String);
+      final currencyCode = formData['currencyCode'] as String;
       final startDate = formData['startDate'] as DateTime;
       final endDate = formData['endDate'] as DateTime;
 
@@ -388,6 +499,7 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
       final updatedBudget = existingBudget.copyWith(
         name: name,
         amount: amount,
+        currencyCode: currencyCode,
         startDate: startDate,
         endDate: endDate,
         updatedAt: DateTime.now(),
@@ -440,23 +552,42 @@ class BudgetFormCubit extends Cubit<BudgetFormState> {
 
       emit(const BudgetFormState.success());
     } catch (e) {
-      emit(BudgetFormState.error('Failed to update budget: $e'));
+      emit(BudgetFormState.error(L10n.current.budgetUpdateFailed('$e')));
     }
   }
 
-  /// Deletes budget (cascades to allocations via repository).
+  /// Transactions and allocations of a budget, shown before deleting it.
+  Future<DeletionImpact> deletionImpact(String budgetId) {
+    return _deletionService.impactOfBudget(budgetId);
+  }
+
+  /// Budgets the transactions of budget [budgetId] can move to.
+  List<BudgetModel> reassignTargets(String budgetId) {
+    return _budgetRepository.budgets.where((b) => b.id != budgetId).toList();
+  }
+
+  /// Deletes budget with its allocations (one Drift transaction).
   ///
   /// **Parameters**:
   /// - `budgetId`: ID of budget to delete
-  Future<void> deleteBudget(String budgetId) async {
+  /// - `action`: what happens to its transactions
+  /// - `targetId`: budget they move to, with [DependentsAction.reassign]
+  Future<void> deleteBudget(
+    String budgetId, {
+    required DependentsAction action,
+    String? targetId,
+  }) async {
     emit(const BudgetFormState.loading());
 
     try {
-      // Repository handles cascade delete of allocations
-      await _budgetRepository.deleteBudget(budgetId);
+      await _deletionService.deleteBudget(
+        budgetId,
+        action: action,
+        targetId: targetId,
+      );
       emit(const BudgetFormState.success());
     } catch (e) {
-      emit(BudgetFormState.error('Failed to delete budget: $e'));
+      emit(BudgetFormState.error(L10n.current.budgetDeleteFailed('$e')));
     }
   }
 
@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/l10n.dart';
 import 'package:centabit/data/models/allocation_model.dart';
 import 'package:centabit/data/models/budget_model.dart';
 import 'package:freezed_annotation/freezed_annotation.dart';
@@ -194,7 +195,7 @@ class BudgetListVModel {
   /// Returns `true` if current date is after endDate.
   bool get isExpired => DateTime.now().isAfter(budget.endDate);
 
-  /// Returns status text for display.
+  /// Returns status text for display, in the app's language.
   ///
   /// **Returns**:
   /// - "Active • X days left" if active
@@ -202,15 +203,11 @@ class BudgetListVModel {
   /// - "Expired • Ended X days ago" if expired
   String get statusText {
     if (isUpcoming) {
-      final days = daysUntilStart;
-      return days == 1 ? 'Upcoming • Starts tomorrow' : 'Upcoming • Starts in $days days';
+      return L10n.current.budgetStatusUpcoming(daysUntilStart);
     } else if (isActive) {
-      final days = daysRemaining;
-      if (days == 0) return 'Active • Last day';
-      return days == 1 ? 'Active • 1 day left' : 'Active • $days days left';
+      return L10n.current.budgetStatusActive(daysRemaining);
     } else {
-      final days = -daysRemaining;
-      return days == 1 ? 'Expired • Ended yesterday' : 'Expired • Ended $days days ago';
+      return L10n.current.budgetStatusExpired(-daysRemaining);
     }
   }
 
@@ -0,0 +1,72 @@
+import 'dart:async';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/repositories/budget_template_repository.dart';
+import 'package:centabit/features/budgets/presentation/cubits/budget_templates_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the budget templates page.
+///
+/// Lists the saved templates and applies rename/delete. Creating a budget
+/// from a template goes through `BudgetFormModal` (prefilled), and saving
+/// a template through the budget details page.
+class BudgetTemplatesCubit extends Cubit<BudgetTemplatesState> {
+  final BudgetTemplateRepository _templateRepository;
+
+  StreamSubscription? _templatesSubscription;
+
+  BudgetTemplatesCubit(this._templateRepository)
+      : super(const BudgetTemplatesState.initial()) {
+    _subscribeToStreams();
+  }
+
+  void _subscribeToStreams() {
+    _templatesSubscription =
+        _templateRepository.templatesStream.listen((_) => _loadTemplates());
+
+    // Initial load
+    _loadTemplates();
+  }
+
+  void _loadTemplates() {
+    emit(const BudgetTemplatesState.loading());
+    emit(BudgetTemplatesState.success(
+      templates: _templateRepository.templates,
+    ));
+  }
+
+  /// Rename a template
+  Future<void> renameTemplate(String id, String name) {
+    return _run(
+      L10n.current.templateRenameFailed,
+      () => _templateRepository.renameTemplate(id, name),
+    );
+  }
+
+  /// Delete a template (budgets created from it are kept)
+  Future<void> deleteTemplate(String id) {
+    return _run(
+      L10n.current.templateDeleteFailed,
+      () => _templateRepository.deleteTemplate(id),
+    );
+  }
+
+  /// Run an action; on failure show the error (worded by [failure]), then
+  /// the list again
+  Future<void> _run(
+    String Function(String error) failure,
+    Future<void> Function() execute,
+  ) async {
+    try {
+      await execute();
+    } catch (e) {
+      emit(BudgetTemplatesState.error(failure('$e')));
+      _loadTemplates();
+    }
+  }
+
+  @override
+  Future<void> close() {
+    _templatesSubscription?.cancel();
+    return super.close();
+  }
+}
@@ -0,0 +1,21 @@
+import 'package:centabit/data/models/budget_template_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'budget_templates_state.freezed.dart';
+
+/// State for the budget templates page
+///
+/// Union type states:
+/// - initial: Before the first load
+/// - loading: Building the template list
+/// - success: Templates sorted by name
+/// - error: Loading or an action failed with error message
+@freezed
+class BudgetTemplatesState with _$BudgetTemplatesState {
+  const factory BudgetTemplatesState.initial() = _Initial;
+  const factory BudgetTemplatesState.loading() = _Loading;
+  const factory BudgetTemplatesState.success({
+    required List<BudgetTemplateModel> templates,
+  }) = _Success;
+  const factory BudgetTemplatesState.error(String message) = _Error;
+}
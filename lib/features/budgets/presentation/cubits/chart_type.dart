@@ -1,3 +1,5 @@
+import 'package:centabit/core/localizations/l10n.dart';
+
 /// Chart type enum for budget details page chart visualization toggle
 enum ChartType {
   /// Bar chart view showing allocations vs transactions side-by-side
@@ -10,9 +12,9 @@ enum ChartType {
   String get label {
     switch (this) {
       case ChartType.bar:
-        return 'Bar';
+        return L10n.current.chartBar;
       case ChartType.pie:
-        return 'Pie';
+        return L10n.current.chartPie;
     }
   }
 }
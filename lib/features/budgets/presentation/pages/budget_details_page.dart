@@ -1,8 +1,11 @@
 import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/router/navigation/nav_scroll_behavior.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
 import 'package:centabit/core/utils/show_modal.dart';
+import 'package:centabit/core/utils/show_undo_snack_bar.dart';
 import 'package:centabit/data/models/budget_model.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_details_cubit.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_details_state.dart';
@@ -12,8 +15,10 @@ import 'package:centabit/features/budgets/presentation/widgets/allocation_detail
 import 'package:centabit/features/budgets/presentation/widgets/allocations_pie_chart.dart';
 import 'package:centabit/features/budgets/presentation/widgets/budget_form_modal.dart';
 import 'package:centabit/features/budgets/presentation/widgets/budget_summary_card.dart';
+import 'package:centabit/features/budgets/presentation/widgets/budget_template_dialogs.dart';
 import 'package:centabit/features/budgets/presentation/widgets/chart_type_toggle.dart';
 import 'package:centabit/features/dashboard/presentation/widgets/budget_bar_chart.dart';
+import 'package:centabit/shared/widgets/delete_dependents_dialog.dart';
 import 'package:centabit/shared/widgets/transaction_tile.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter_bloc/flutter_bloc.dart';
@@ -27,6 +32,10 @@ import 'package:go_router/go_router.dart';
 /// - Recent transactions filtered by budgetId and date range
 /// - Edit budget action (opens form modal)
 /// - Delete budget action (with confirmation dialog)
+/// - Save as template (budget amount + allocations, reusable from the
+///   budget templates page)
+/// - Roll over: create the next period's budget with the same allocations,
+///   optionally carrying unspent amounts forward
 /// - Pull-to-refresh
 /// - Reactive updates via 4-stream subscription
 ///
@@ -95,9 +104,10 @@ class _BudgetDetailsContent extends StatelessWidget {
     BuildContext context,
     BudgetDetailsState state,
   ) {
+    final l10n = AppLocalizations.of(context);
     final budgetName = state.maybeWhen(
       success: (details) => details.budget.name,
-      orElse: () => 'Budget Details',
+      orElse: () => l10n.budgetDetailsTitle,
     );
 
     return AppBar(
@@ -106,6 +116,7 @@ class _BudgetDetailsContent extends StatelessWidget {
         state.maybeWhen(
           success: (details) => IconButton(
             icon: const Icon(TablerIcons.edit),
+            tooltip: l10n.edit,
             onPressed: () => _showEditBudgetModal(context, details.budget),
           ),
           orElse: () => const SizedBox.shrink(),
@@ -113,10 +124,62 @@ class _BudgetDetailsContent extends StatelessWidget {
         state.maybeWhen(
           success: (details) => IconButton(
             icon: const Icon(TablerIcons.trash),
+            tooltip: l10n.delete,
             onPressed: () => _confirmDeleteBudget(context),
           ),
           orElse: () => const SizedBox.shrink(),
         ),
+        state.maybeWhen(
+          success: (details) => PopupMenuButton<_BudgetAction>(
+            icon: const Icon(TablerIcons.dotsVertical),
+            onSelected: (action) => switch (action) {
+              _BudgetAction.saveAsTemplate =>
+                _saveAsTemplate(context, details.budget),
+              _BudgetAction.rollOver => _rollOver(context, details.budget),
+              _BudgetAction.snoozeAlertsDay => context
+                  .read<BudgetDetailsCubit>()
+                  .muteAlerts(duration: const Duration(days: 1)),
+              _BudgetAction.snoozeAlertsWeek => context
+                  .read<BudgetDetailsCubit>()
+                  .muteAlerts(duration: const Duration(days: 7)),
+              _BudgetAction.muteAlerts =>
+                context.read<BudgetDetailsCubit>().muteAlerts(),
+              _BudgetAction.unmuteAlerts =>
+                context.read<BudgetDetailsCubit>().unmuteAlerts(),
+            },
+            itemBuilder: (_) => [
+              PopupMenuItem(
+                value: _BudgetAction.saveAsTemplate,
+                child: Text(l10n.budgetSaveAsTemplate),
+              ),
+              PopupMenuItem(
+                value: _BudgetAction.rollOver,
+                child: Text(l10n.budgetRollOverAction),
+              ),
+              const PopupMenuDivider(),
+              if (details.alertsMuted)
+                PopupMenuItem(
+                  value: _BudgetAction.unmuteAlerts,
+                  child: Text(l10n.alertsUnmute),
+                )
+              else ...[
+                PopupMenuItem(
+                  value: _BudgetAction.snoozeAlertsDay,
+                  child: Text(l10n.alertsSnoozeDay),
+                ),
+                PopupMenuItem(
+                  value: _BudgetAction.snoozeAlertsWeek,
+                  child: Text(l10n.alertsSnoozeWeek),
+                ),
+                PopupMenuItem(
+                  value: _BudgetAction.muteAlerts,
+                  child: Text(l10n.alertsMuteBudget),
+                ),
+              ],
+            ],
+          ),
+          orElse: () => const SizedBox.shrink(),
+        ),
       ],
     );
   }
@@ -130,6 +193,7 @@ class _BudgetDetailsContent extends StatelessWidget {
     final colorScheme = theme.colorScheme;
     final spacing = theme.extension<AppSpacing>()!;
     final radius = theme.extension<AppRadius>()!;
+    final l10n = AppLocalizations.of(context);
 
     return RefreshIndicator(
       onRefresh: cubit.refresh,
@@ -149,7 +213,7 @@ class _BudgetDetailsContent extends StatelessWidget {
                   Row(
                     mainAxisAlignment: MainAxisAlignment.spaceBetween,
                     children: [
-                      _buildSectionHeader(context, 'Breakdown'),
+                      _buildSectionHeader(context, l10n.budgetBreakdown),
                       const ChartTypeToggle(),
                     ],
                   ),
@@ -217,12 +281,22 @@ class _BudgetDetailsContent extends StatelessWidget {
                 ],
 
                 if (details.allocations.isNotEmpty) ...[
-                  _buildSectionHeader(context, 'Allocations Breakdown'),
+                  _buildSectionHeader(
+                    context,
+                    l10n.budgetAllocationsBreakdown,
+                  ),
                   SizedBox(height: spacing.md),
                   ...details.allocations.map(
                     (allocation) => Padding(
                       padding: EdgeInsets.only(bottom: spacing.md),
-                      child: AllocationDetailTile(allocation: allocation),
+                      child: AllocationDetailTile(
+                        allocation: allocation,
+                        currencyCode: details.budget.currencyCode,
+                        // Forecasts only mean something mid-period
+                        pace: details.budget.isActive()
+                            ? details.paceOf(allocation)
+                            : null,
+                      ),
                     ),
                   ),
                 ],
@@ -231,7 +305,7 @@ class _BudgetDetailsContent extends StatelessWidget {
                   SizedBox(height: spacing.lg),
                   _buildSectionHeader(
                     context,
-                    'Recent Transactions (${details.transactions.length})',
+                    l10n.budgetRecentTransactions(details.transactions.length),
                   ),
                   SizedBox(height: spacing.md),
                   ...details.transactions
@@ -268,6 +342,7 @@ class _BudgetDetailsContent extends StatelessWidget {
   Widget _buildErrorContent(BuildContext context, String message) {
     final theme = Theme.of(context);
     final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
 
     return Center(
       child: Padding(
@@ -281,7 +356,7 @@ class _BudgetDetailsContent extends StatelessWidget {
               color: theme.colorScheme.error,
             ),
             SizedBox(height: spacing.md),
-            Text('Error', style: theme.textTheme.titleLarge),
+            Text(l10n.error, style: theme.textTheme.titleLarge),
             SizedBox(height: spacing.sm),
             Text(
               message,
@@ -291,7 +366,7 @@ class _BudgetDetailsContent extends StatelessWidget {
             SizedBox(height: spacing.lg),
             FilledButton(
               onPressed: () => context.pop(),
-              child: const Text('Back to Budgets'),
+              child: Text(l10n.budgetBackToBudgets),
             ),
           ],
         ),
@@ -302,6 +377,7 @@ class _BudgetDetailsContent extends StatelessWidget {
   Widget _buildEmptyState(BuildContext context) {
     final theme = Theme.of(context);
     final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
 
     return Center(
       child: Padding(
@@ -315,10 +391,10 @@ class _BudgetDetailsContent extends StatelessWidget {
               color: theme.colorScheme.onSurface.withOpacity(0.3),
             ),
             SizedBox(height: spacing.md),
-            Text('No Data Yet', style: theme.textTheme.titleMedium),
+            Text(l10n.budgetNoDataTitle, style: theme.textTheme.titleMedium),
             SizedBox(height: spacing.sm),
             Text(
-              'Add allocations and transactions to see details.',
+              l10n.budgetNoDataMessage,
               style: theme.textTheme.bodyMedium?.copyWith(
                 color: theme.colorScheme.onSurface.withOpacity(0.6),
               ),
@@ -345,32 +421,95 @@ class _BudgetDetailsContent extends StatelessWidget {
     // );
   }
 
-  void _confirmDeleteBudget(BuildContext context) {
-    showDialog(
+  Future<void> _saveAsTemplate(BuildContext context, BudgetModel budget) async {
+    final cubit = context.read<BudgetDetailsCubit>();
+    final messenger = ScaffoldMessenger.of(context);
+    final l10n = AppLocalizations.of(context);
+
+    final name = await showDialog<String>(
+      context: context,
+      builder: (_) => TemplateNameDialog(
+        title: l10n.templateSaveTitle,
+        initialName: budget.name,
+        confirmLabel: l10n.save,
+      ),
+    );
+    if (name == null) return;
+
+    if (await cubit.saveAsTemplate(name)) {
+      messenger.showSnackBar(
+        SnackBar(content: Text(l10n.templateSaved(name))),
+      );
+    }
+  }
+
+  Future<void> _rollOver(BuildContext context, BudgetModel budget) async {
+    final cubit = context.read<BudgetDetailsCubit>();
+    final router = GoRouter.of(context);
+    final period = budget.nextPeriod();
+
+    final result = await showDialog<RolloverResult>(
       context: context,
-      builder: (dialogContext) => AlertDialog(
-        title: const Text('Delete Budget'),
-        content: const Text(
-          'Are you sure? This will also delete all allocations.',
+      builder: (_) => RolloverDialog(
+        initialName: budget.name,
+        periodLabel: AppLocalizations.of(context).dateRange(
+          DateFormatter.formatDate(period.startDate),
+          DateFormatter.formatDate(period.endDate),
         ),
-        actions: [
-          TextButton(
-            onPressed: () => Navigator.pop(dialogContext),
-            child: const Text('Cancel'),
-          ),
-          TextButton(
-            onPressed: () {
-              Navigator.pop(dialogContext);
-              context.read<BudgetDetailsCubit>().deleteBudget();
-              context.pop();
-            },
-            style: TextButton.styleFrom(
-              foregroundColor: Theme.of(context).colorScheme.error,
-            ),
-            child: const Text('Delete'),
-          ),
-        ],
       ),
     );
+    if (result == null) return;
+
+    final newBudgetId = await cubit.rollOver(
+      name: result.name,
+      carryOverUnspent: result.carryOverUnspent,
+    );
+    if (newBudgetId != null) {
+      router.pushReplacement('/budgets/$newBudgetId');
+    }
   }
+
+  Future<void> _confirmDeleteBudget(BuildContext context) async {
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.read<BudgetDetailsCubit>();
+
+    final impact = await cubit.deletionImpact();
+    if (!context.mounted) return;
+
+    final choice = await showDeleteDependentsDialog(
+      context,
+      title: l10n.budgetDeleteTitle,
+      impact: impact,
+      targets: {
+        for (final budget in cubit.reassignTargets()) budget.id: budget.name,
+      },
+      reassignLabel: l10n.budgetDeleteReassign,
+      unassignLabel: l10n.budgetDeleteUnassign,
+      choiceCoversAllocations: false,
+      notes: [if (impact.allocations > 0) l10n.budgetDeleteAllocationsNote],
+    );
+    if (choice == null) return;
+
+    // On failure the page stays, showing the error
+    final deleted = await cubit.deleteBudget(
+      action: choice.action,
+      targetId: choice.targetId,
+    );
+    if (!deleted || !context.mounted) return;
+    showUndoSnackBar(
+      context,
+      message: l10n.budgetDeleted,
+      onUndo: cubit.restoreBudget,
+    );
+    context.pop();
+  }
+}
+
+enum _BudgetAction {
+  saveAsTemplate,
+  rollOver,
+  snoozeAlertsDay,
+  snoozeAlertsWeek,
+  muteAlerts,
+  unmuteAlerts,
 }
@@ -0,0 +1,232 @@
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/show_modal.dart';
+import 'package:centabit/data/models/budget_template_model.dart';
+import 'package:centabit/features/budgets/presentation/cubits/budget_templates_cubit.dart';
+import 'package:centabit/features/budgets/presentation/cubits/budget_templates_state.dart';
+import 'package:centabit/features/budgets/presentation/widgets/budget_form_modal.dart';
+import 'package:centabit/features/budgets/presentation/widgets/budget_template_dialogs.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Budget templates page.
+///
+/// **Purpose**:
+/// Lists the templates saved from budgets (budget details → "Save as
+/// template").
+///
+/// **Actions** (per template):
+/// - Tap: create a budget from the template (budget form prefilled with
+///   name, amount and allocations; dates are picked in the form)
+/// - Rename
+/// - Delete: budgets created from the template are kept
+///
+/// **Navigation**:
+/// - Route: `/budget-templates` (sub-route under dashboard)
+/// - Accessed from: Budgets page app bar
+class BudgetTemplatesPage extends StatelessWidget {
+  const BudgetTemplatesPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<BudgetTemplatesCubit>(),
+      child: const _BudgetTemplatesContent(),
+    );
+  }
+}
+
+/// Internal content widget for budget templates page.
+///
+/// Separated from BudgetTemplatesPage to allow BlocProvider scoping.
+class _BudgetTemplatesContent extends StatelessWidget {
+  const _BudgetTemplatesContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return BlocConsumer<BudgetTemplatesCubit, BudgetTemplatesState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      builder: (context, state) {
+        return Scaffold(
+          appBar: AppBar(
+            title: Text(l10n.templatesTitle),
+            leading: IconButton(
+              icon: const Icon(DirectionalIcons.back),
+              onPressed: () => context.pop(),
+            ),
+          ),
+          body: state.when(
+            initial: () => const SizedBox.shrink(),
+            loading: () => const Center(child: CircularProgressIndicator()),
+            success: (templates) => templates.isEmpty
+                ? _buildEmptyContent(context)
+                : _buildTemplateList(context, templates),
+            error: (message) => Center(
+              child: Text(
+                l10n.errorMessage(message),
+                style: TextStyle(color: colorScheme.error),
+              ),
+            ),
+          ),
+        );
+      },
+    );
+  }
+
+  Widget _buildEmptyContent(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return Center(
+      child: Column(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          Icon(
+            TablerIcons.template,
+            size: 48,
+            color: theme.colorScheme.primary,
+          ),
+          SizedBox(height: spacing.md),
+          Text(l10n.templatesEmpty, style: theme.textTheme.titleMedium),
+          SizedBox(height: spacing.xs),
+          Text(
+            l10n.templatesEmptyHint,
+            style: theme.textTheme.bodySmall,
+          ),
+        ],
+      ),
+    );
+  }
+
+  Widget _buildTemplateList(
+    BuildContext context,
+    List<BudgetTemplateModel> templates,
+  ) {
+    final spacing = Theme.of(context).extension<AppSpacing>()!;
+
+    return ListView.separated(
+      padding: EdgeInsets.symmetric(vertical: spacing.md),
+      itemCount: templates.length,
+      separatorBuilder: (_, __) => const Divider(height: 1),
+      itemBuilder: (context, index) =>
+          _TemplateTile(template: templates[index]),
+    );
+  }
+}
+
+/// One template: amount, allocation count and rename/delete actions
+class _TemplateTile extends StatelessWidget {
+  final BudgetTemplateModel template;
+
+  const _TemplateTile({required this.template});
+
+  @override
+  Widget build(BuildContext context) {
+    final cubit = context.read<BudgetTemplatesCubit>();
+    final theme = Theme.of(context);
+    final l10n = AppLocalizations.of(context);
+
+    return ListTile(
+      leading: Icon(TablerIcons.template, color: theme.colorScheme.primary),
+      title: Text(template.name),
+      // Templates have no currency: the budget made from one picks it
+      subtitle: Text(
+        l10n.templateSummary(
+          CurrencyFormatter.formatNumber(template.amount),
+          template.allocations.length,
+        ),
+      ),
+      onTap: () => showModalBottomSheetUtil(
+        context,
+        builder: (_) => BudgetFormModal(initialTemplate: template),
+        modalFractionalHeight: 0.85,
+      ),
+      trailing: Row(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          IconButton(
+            icon: const Icon(TablerIcons.pencil),
+            tooltip: l10n.rename,
+            onPressed: () async {
+              final name = await showDialog<String>(
+                context: context,
+                builder: (_) => TemplateNameDialog(
+                  title: l10n.templateRenameTitle,
+                  initialName: template.name,
+                  confirmLabel: l10n.save,
+                ),
+              );
+              if (name != null) {
+                await cubit.renameTemplate(template.id, name);
+              }
+            },
+          ),
+          IconButton(
+            icon: const Icon(TablerIcons.trash),
+            tooltip: l10n.delete,
+            onPressed: () async {
+              final confirmed = await _showDeleteConfirmation(context);
+              if (confirmed == true) {
+                await cubit.deleteTemplate(template.id);
+              }
+            },
+          ),
+        ],
+      ),
+    );
+  }
+
+  /// Show delete confirmation dialog
+  ///
+  /// Returns Future<bool?> - true if confirmed, false if canceled, null if dismissed
+  Future<bool?> _showDeleteConfirmation(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return showDialog<bool>(
+      context: context,
+      builder: (context) {
+        return AlertDialog(
+          title: Text(l10n.templateDeleteTitle),
+          content: Text(l10n.templateDeleteMessage(template.name)),
+          actions: [
+            TextButton(
+              onPressed: () => Navigator.pop(context, false),
+              child: Text(
+                l10n.cancel,
+                style: TextStyle(color: colorScheme.onSurface),
+              ),
+            ),
+            TextButton(
+              onPressed: () => Navigator.pop(context, true),
+              child: Text(
+                l10n.delete,
+                style: TextStyle(color: colorScheme.error),
+              ),
+            ),
+          ],
+        );
+      },
+    );
+  }
+}
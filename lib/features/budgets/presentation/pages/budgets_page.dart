@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_list_cubit.dart';
@@ -15,6 +16,7 @@ import 'package:go_router/go_router.dart';
 /// - Create new budget button in AppBar
 /// - Pull-to-refresh
 /// - Navigate to budget details on tap
+/// - Budget templates page in AppBar
 /// - Empty state message when no budgets exist
 /// - Loading and error states
 ///
@@ -40,10 +42,19 @@ class _BudgetsView extends StatelessWidget {
 
   @override
   Widget build(BuildContext context) {
+    final l10n = AppLocalizations.of(context);
+
     return Scaffold(
       appBar: sharedAppBar(
         context,
-        title: const Text('Budgets'),
+        title: Text(l10n.budgetsTitle),
+        actions: [
+          IconButton(
+            icon: const Icon(TablerIcons.template),
+            onPressed: () => context.pushNamed('budget-templates'),
+            tooltip: l10n.templatesTitle,
+          ),
+        ],
       ),
       body: BlocBuilder<BudgetListCubit, BudgetListState>(
         builder: (context, state) {
@@ -119,6 +130,7 @@ class _EmptyState extends StatelessWidget {
     final colorScheme = theme.colorScheme;
     final textTheme = theme.textTheme;
     final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
 
     return SingleChildScrollView(
       physics: const AlwaysScrollableScrollPhysics(), // Enables pull-to-refresh
@@ -135,7 +147,7 @@ class _EmptyState extends StatelessWidget {
               ),
               SizedBox(height: spacing.lg),
               Text(
-                'No budgets yet',
+                l10n.budgetsEmpty,
                 style: textTheme.titleLarge?.copyWith(
                   fontWeight: FontWeight.w600,
                   color: colorScheme.onSurface.withValues(alpha: 0.9),
@@ -145,7 +157,7 @@ class _EmptyState extends StatelessWidget {
               Padding(
                 padding: EdgeInsets.symmetric(horizontal: spacing.xl2),
                 child: Text(
-                  'Create your first budget to start tracking spending',
+                  l10n.budgetsEmptyMessage,
                   style: textTheme.bodyMedium?.copyWith(
                     color: colorScheme.onSurface.withValues(alpha: 0.6),
                   ),
@@ -154,7 +166,7 @@ class _EmptyState extends StatelessWidget {
               ),
               SizedBox(height: spacing.xl),
               Text(
-                'Tap the + button above to get started',
+                l10n.budgetsEmptyHint,
                 style: textTheme.bodySmall?.copyWith(
                   color: colorScheme.primary.withValues(alpha: 0.8),
                   fontWeight: FontWeight.w500,
@@ -185,6 +197,7 @@ class _ErrorView extends StatelessWidget {
     final colorScheme = theme.colorScheme;
     final textTheme = theme.textTheme;
     final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
 
     return Center(
       child: Padding(
@@ -199,7 +212,7 @@ class _ErrorView extends StatelessWidget {
             ),
             SizedBox(height: spacing.lg),
             Text(
-              'Error Loading Budgets',
+              l10n.budgetsLoadError,
               style: textTheme.titleLarge?.copyWith(
                 fontWeight: FontWeight.w600,
                 color: colorScheme.error,
@@ -217,7 +230,7 @@ class _ErrorView extends StatelessWidget {
             FilledButton.icon(
               onPressed: () => context.read<BudgetListCubit>().refresh(),
               icon: const Icon(TablerIcons.refresh),
-              label: const Text('Retry'),
+              label: Text(l10n.retry),
             ),
           ],
         ),
@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/utils/show_modal.dart';
 import 'package:centabit/features/budgets/presentation/widgets/budget_form_modal.dart';
@@ -24,7 +25,7 @@ class AddBudgetActionButton extends StatelessWidget {
   Widget build(BuildContext context) {
     return IconButton(
       icon: const Icon(TablerIcons.plus),
-      tooltip: 'Create Budget',
+      tooltip: AppLocalizations.of(context).budgetCreate,
       onPressed: () => _openBudgetForm(context),
     );
   }
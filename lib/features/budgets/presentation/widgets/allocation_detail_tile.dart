@@ -1,14 +1,27 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_details_vmodel.dart';
+import 'package:centabit/shared/widgets/pace_forecast.dart';
 import 'package:flutter/material.dart';
+import 'package:intl/intl.dart';
 
 class AllocationDetailTile extends StatelessWidget {
   final AllocationDetailVModel allocation;
 
+  /// Currency of the budget the allocation belongs to
+  final String currencyCode;
+
+  /// Category's BAR and end-of-period forecast, while the budget runs
+  final BARCalculation? pace;
+
   const AllocationDetailTile({
     super.key,
     required this.allocation,
+    required this.currencyCode,
+    this.pace,
   });
 
   @override
@@ -18,6 +31,7 @@ class AllocationDetailTile extends StatelessWidget {
     final customColors = theme.extension<AppCustomColors>()!;
     final spacing = theme.extension<AppSpacing>()!;
     final radius = theme.extension<AppRadius>()!;
+    final l10n = AppLocalizations.of(context);
 
     final percentage = allocation.spentPercentage;
     final progressColor = _getProgressColor(percentage, colorScheme, customColors);
@@ -54,7 +68,9 @@ class AllocationDetailTile extends StatelessWidget {
 
           // Budgeted amount
           Text(
-            'Budgeted: ${_formatCurrency(allocation.allocation.amount)}',
+            l10n.allocationBudgeted(
+              _formatCurrency(allocation.allocation.amount),
+            ),
             style: theme.textTheme.bodyMedium?.copyWith(
               color: colorScheme.onSurface.withOpacity(0.7),
             ),
@@ -62,7 +78,10 @@ class AllocationDetailTile extends StatelessWidget {
 
           // Spent amount with percentage
           Text(
-            'Spent: ${_formatCurrency(allocation.spent)} (${percentage.toStringAsFixed(0)}%)',
+            l10n.allocationSpent(
+              _formatCurrency(allocation.spent),
+              NumberFormat.percentPattern().format(percentage / 100),
+            ),
             style: theme.textTheme.bodyMedium?.copyWith(
               color: progressColor,
               fontWeight: FontWeight.w500,
@@ -71,7 +90,7 @@ class AllocationDetailTile extends StatelessWidget {
 
           // Remaining amount
           Text(
-            'Remaining: ${_formatCurrency(allocation.remaining)}',
+            l10n.allocationRemaining(_formatCurrency(allocation.remaining)),
             style: theme.textTheme.bodyMedium?.copyWith(
               color: colorScheme.onSurface.withOpacity(0.7),
             ),
@@ -90,9 +109,19 @@ class AllocationDetailTile extends StatelessWidget {
 
           SizedBox(height: spacing.xs),
 
+          // Pace and forecast
+          if (pace != null) ...[
+            PaceForecast(
+              pace: pace!,
+              currencyCode: currencyCode,
+              showBar: true,
+            ),
+            SizedBox(height: spacing.xs),
+          ],
+
           // Transaction count
           Text(
-            '${allocation.transactions.length} transaction${allocation.transactions.length != 1 ? 's' : ''}',
+            l10n.transactionCount(allocation.transactions.length),
             style: theme.textTheme.bodySmall?.copyWith(
               color: colorScheme.onSurface.withOpacity(0.5),
             ),
@@ -113,6 +142,6 @@ class AllocationDetailTile extends StatelessWidget {
   }
 
   String _formatCurrency(double amount) {
-    return '\$${amount.toStringAsFixed(2)}';
+    return CurrencyFormatter.format(amount, currencyCode);
   }
 }
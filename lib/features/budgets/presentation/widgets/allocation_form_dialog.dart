@@ -1,5 +1,7 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
 import 'package:centabit/data/models/category_model.dart';
 import 'package:centabit/shared/widgets/select_dropdown.dart';
 import 'package:flutter/material.dart';
@@ -22,6 +24,7 @@ import 'package:form_builder_validators/form_builder_validators.dart';
 /// - `existingCategoryIds`: Categories already allocated (to exclude from dropdown)
 /// - `initialCategoryId`: Selected category (for edit mode)
 /// - `initialAmount`: Amount value (for edit mode)
+/// - `currencyCode`: Currency of the budget (symbol shown before the amount)
 /// - `onSave`: Callback with (categoryId, amount) when saved
 ///
 /// **Usage** (in BudgetFormModal):
@@ -32,6 +35,7 @@ import 'package:form_builder_validators/form_builder_validators.dart';
 ///   builder: (_) => AllocationFormDialog(
 ///     categories: cubit.categories,
 ///     existingCategoryIds: cubit.allocations.map((a) => a.categoryId).toList(),
+///     currencyCode: 'EUR',
 ///     onSave: (categoryId, amount) => cubit.addAllocation(categoryId, amount),
 ///   ),
 /// );
@@ -44,6 +48,7 @@ import 'package:form_builder_validators/form_builder_validators.dart';
 ///     existingCategoryIds: [...], // Exclude self
 ///     initialCategoryId: allocation.categoryId,
 ///     initialAmount: allocation.amount,
+///     currencyCode: 'EUR',
 ///     onSave: (categoryId, amount) =>
 ///       cubit.updateAllocation(allocation.id, categoryId, amount),
 ///   ),
@@ -54,6 +59,7 @@ class AllocationFormDialog extends StatefulWidget {
   final List<String> existingCategoryIds;
   final String? initialCategoryId;
   final double? initialAmount;
+  final String currencyCode;
   final Function(String categoryId, double amount) onSave;
 
   const AllocationFormDialog({
@@ -62,6 +68,7 @@ class AllocationFormDialog extends StatefulWidget {
     required this.existingCategoryIds,
     this.initialCategoryId,
     this.initialAmount,
+    required this.currencyCode,
     required this.onSave,
   });
 
@@ -78,6 +85,7 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
     final colorScheme = theme.colorScheme;
     final textTheme = theme.textTheme;
     final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
 
     // Filter out already-allocated categories
     final availableCategories = widget.categories
@@ -95,7 +103,9 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
     print('   Edit mode: $isEditMode');
 
     return AlertDialog(
-      title: Text(isEditMode ? 'Edit Allocation' : 'Add Allocation'),
+      title: Text(
+        isEditMode ? l10n.allocationEditTitle : l10n.allocationAddTitle,
+      ),
       content: SizedBox(
         width: double.maxFinite,
         child: FormBuilder(
@@ -111,7 +121,7 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
             children: [
               // Category Dropdown
               Text(
-                'Category',
+                l10n.category,
                 style: textTheme.bodyMedium?.copyWith(
                   fontWeight: FontWeight.w600,
                 ),
@@ -119,7 +129,7 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
               FormBuilderField<String>(
                 name: 'categoryId',
                 validator: FormBuilderValidators.required(
-                  errorText: 'Please select a category',
+                  errorText: l10n.categoryRequired,
                 ),
                 builder: (field) {
                   // In edit mode, include the currently selected category
@@ -144,7 +154,7 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
                         ),
                       ),
                       child: Text(
-                        'No categories available. Create categories first.',
+                        l10n.categoriesNoneAvailable,
                         style: textTheme.bodyMedium?.copyWith(
                           color: colorScheme.onSurface.withValues(alpha: 0.6),
                         ),
@@ -184,7 +194,8 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
                               // Category name
                               Expanded(
                                 child: Text(
-                                  selectedCategory?.name ?? 'Select category',
+                                  selectedCategory?.name ??
+                                      l10n.categorySelect,
                                   style: textTheme.bodyMedium,
                                   overflow: TextOverflow.ellipsis,
                                 ),
@@ -234,8 +245,8 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
                       ),
                       if (field.hasError)
                         Padding(
-                          padding: EdgeInsets.only(
-                            left: spacing.sm,
+                          padding: EdgeInsetsDirectional.only(
+                            start: spacing.sm,
                             top: spacing.xs,
                           ),
                           child: Text(
@@ -252,7 +263,7 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
 
               // Amount Input
               Text(
-                'Amount',
+                l10n.amount,
                 style: textTheme.bodyMedium?.copyWith(
                   fontWeight: FontWeight.w600,
                 ),
@@ -262,8 +273,9 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
                 keyboardType:
                     const TextInputType.numberWithOptions(decimal: true),
                 decoration: InputDecoration(
-                  hintText: 'Enter amount',
-                  prefixText: '\$ ',
+                  hintText: l10n.amountHint,
+                  prefixText:
+                      '${CurrencyFormatter.symbol(widget.currencyCode)} ',
                   contentPadding: const EdgeInsets.symmetric(
                     vertical: 12,
                     horizontal: 16,
@@ -293,13 +305,13 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
                 ),
                 validator: FormBuilderValidators.compose([
                   FormBuilderValidators.required(
-                    errorText: 'Amount is required',
+                    errorText: l10n.amountRequired,
                   ),
                   (value) {
                     if (value == null || value.isEmpty) return null;
                     final amount = double.tryParse(value);
                     if (amount == null || amount <= 0) {
-                      return 'Amount must be greater than 0';
+                      return l10n.amountPositive;
                     }
                     return null;
                   },
@@ -312,11 +324,11 @@ class _AllocationFormDialogState extends State<AllocationFormDialog> {
       actions: [
         TextButton(
           onPressed: () => Navigator.of(context).pop(),
-          child: const Text('Cancel'),
+          child: Text(l10n.cancel),
         ),
         FilledButton(
           onPressed: _handleSave,
-          child: Text(isEditMode ? 'Update' : 'Add'),
+          child: Text(isEditMode ? l10n.update : l10n.add),
         ),
       ],
     );
@@ -1,9 +1,13 @@
 import 'dart:async';
 
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
 import 'package:centabit/data/models/category_model.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_form_cubit.dart';
+import 'package:centabit/shared/widgets/pace_forecast.dart';
 import 'package:flutter/material.dart';
 
 /// Allocation tile widget with inline amount editing.
@@ -14,14 +18,18 @@ import 'package:flutter/material.dart';
 /// **Props**:
 /// - `allocation`: AllocationEditModel with category and amount data
 /// - `categories`: List of categories to find category info
+/// - `currencyCode`: Currency of the budget (symbol shown before the amount)
 /// - `onAmountChanged`: Callback when amount is changed (debounced)
 /// - `onDelete`: Callback when delete button is tapped
+/// - `pace`: BAR and forecast of the allocation (editing an active budget),
+///   shown below the row
 ///
 /// **Usage** (in BudgetFormModal):
 /// ```dart
 /// AllocationTile(
 ///   allocation: allocEditModel,
 ///   categories: cubit.categories,
+///   currencyCode: 'EUR',
 ///   onAmountChanged: (amount) {
 ///     cubit.updateAllocation(allocEditModel.id, allocEditModel.categoryId, amount);
 ///   },
@@ -31,15 +39,19 @@ import 'package:flutter/material.dart';
 class AllocationTile extends StatefulWidget {
   final AllocationEditModel allocation;
   final List<CategoryModel> categories;
+  final String currencyCode;
   final Function(double amount) onAmountChanged;
   final VoidCallback onDelete;
+  final BARCalculation? pace;
 
   const AllocationTile({
     super.key,
     required this.allocation,
     required this.categories,
+    required this.currencyCode,
     required this.onAmountChanged,
     required this.onDelete,
+    this.pace,
   });
 
   @override
@@ -95,13 +107,14 @@ class _AllocationTileState extends State<AllocationTile> {
     final textTheme = theme.textTheme;
     final spacing = theme.extension<AppSpacing>()!;
     final radius = theme.extension<AppRadius>()!;
+    final l10n = AppLocalizations.of(context);
 
     // Find category for this allocation
     final category = widget.categories
         .where((cat) => cat.id == widget.allocation.categoryId)
         .firstOrNull;
 
-    final categoryName = category?.name ?? 'Unknown Category';
+    final categoryName = category?.name ?? l10n.unknownCategory;
     final categoryIcon = category?.iconName ?? 'help';
     final IconData iconData =
         TablerIcons.all[categoryIcon] ?? TablerIcons.category;
@@ -116,98 +129,117 @@ class _AllocationTileState extends State<AllocationTile> {
           width: 1,
         ),
       ),
-      child: Row(
-        crossAxisAlignment: .center,
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
         children: [
-          // Category Icon
-          Container(
-            width: 40,
-            height: 40,
-            decoration: BoxDecoration(
-              color: colorScheme.primary.withValues(alpha: 0.12),
-              borderRadius: BorderRadius.circular(radius.sm),
-            ),
-            child: Icon(iconData, size: 20, color: colorScheme.primary),
-          ),
-          SizedBox(width: spacing.md),
-
-          // Category Name
-          Expanded(
-            flex: 3,
-            child: Text(
-              categoryName,
-              style: textTheme.bodyMedium?.copyWith(
-                fontWeight: FontWeight.w600,
-                color: colorScheme.onSurface.withValues(alpha: 0.9),
-              ),
-              overflow: TextOverflow.ellipsis,
-            ),
-          ),
-
-          SizedBox(width: spacing.sm),
-
-          // INLINE EDITABLE AMOUNT FIELD
-          Expanded(
-            flex: 2,
-            child: Container(
-              constraints: .new(maxHeight: 40),
-              height: 30,
-              child: TextFormField(
-                controller: _amountController,
-                keyboardType: const TextInputType.numberWithOptions(
-                  decimal: true,
+          Row(
+            crossAxisAlignment: .center,
+            children: [
+              // Category Icon
+              Container(
+                width: 40,
+                height: 40,
+                decoration: BoxDecoration(
+                  color: colorScheme.primary.withValues(alpha: 0.12),
+                  borderRadius: BorderRadius.circular(radius.sm),
                 ),
-                textAlign: TextAlign.right,
-                style: textTheme.bodyMedium?.copyWith(
-                  fontWeight: FontWeight.w600,
-                  color: colorScheme.primary,
-                ),
-                decoration: InputDecoration(
-                  isDense: true,
-                  prefixText: '\$',
-                  prefixStyle: textTheme.bodyMedium?.copyWith(
-                    color: colorScheme.onSurface.withValues(alpha: 0.6),
-                  ),
-                  contentPadding: const EdgeInsets.symmetric(
-                    horizontal: 8,
-                    vertical: 4,
+                child: Icon(iconData, size: 20, color: colorScheme.primary),
+              ),
+              SizedBox(width: spacing.md),
+
+              // Category Name
+              Expanded(
+                flex: 3,
+                child: Text(
+                  categoryName,
+                  style: textTheme.bodyMedium?.copyWith(
+                    fontWeight: FontWeight.w600,
+                    color: colorScheme.onSurface.withValues(alpha: 0.9),
                   ),
-                  border: OutlineInputBorder(
-                    borderRadius: BorderRadius.circular(6),
-                    borderSide: BorderSide(
-                      color: colorScheme.onSurface.withValues(alpha: 0.2),
+                  overflow: TextOverflow.ellipsis,
+                ),
+              ),
+
+              SizedBox(width: spacing.sm),
+
+              // INLINE EDITABLE AMOUNT FIELD
+              Expanded(
+                flex: 2,
+                child: Container(
+                  constraints: .new(maxHeight: 40),
+                  height: 30,
+                  child: TextFormField(
+                    controller: _amountController,
+                    keyboardType: const TextInputType.numberWithOptions(
+                      decimal: true,
                     ),
-                  ),
-                  focusedBorder: OutlineInputBorder(
-                    borderRadius: BorderRadius.circular(6),
-                    borderSide: BorderSide(
+                    textAlign: TextAlign.end,
+                    style: textTheme.bodyMedium?.copyWith(
+                      fontWeight: FontWeight.w600,
                       color: colorScheme.primary,
-                      width: 1.5,
                     ),
-                  ),
-                  errorBorder: OutlineInputBorder(
-                    borderRadius: BorderRadius.circular(6),
-                    borderSide: BorderSide(color: colorScheme.error),
+                    decoration: InputDecoration(
+                      isDense: true,
+                      prefixText: CurrencyFormatter.symbol(widget.currencyCode),
+                      prefixStyle: textTheme.bodyMedium?.copyWith(
+                        color: colorScheme.onSurface.withValues(alpha: 0.6),
+                      ),
+                      contentPadding: const EdgeInsets.symmetric(
+                        horizontal: 8,
+                        vertical: 4,
+                      ),
+                      border: OutlineInputBorder(
+                        borderRadius: BorderRadius.circular(6),
+                        borderSide: BorderSide(
+                          color: colorScheme.onSurface.withValues(alpha: 0.2),
+                        ),
+                      ),
+                      focusedBorder: OutlineInputBorder(
+                        borderRadius: BorderRadius.circular(6),
+                        borderSide: BorderSide(
+                          color: colorScheme.primary,
+                          width: 1.5,
+                        ),
+                      ),
+                      errorBorder: OutlineInputBorder(
+                        borderRadius: BorderRadius.circular(6),
+                        borderSide: BorderSide(color: colorScheme.error),
+                      ),
+                    ),
+                    onChanged: _handleAmountChange,
                   ),
                 ),
-                onChanged: _handleAmountChange,
               ),
-            ),
-          ),
 
-          SizedBox(width: spacing.xs),
+              SizedBox(width: spacing.xs),
 
-          // Delete Button
-          IconButton(
-            icon: Icon(
-              TablerIcons.trash,
-              size: 18,
-              color: colorScheme.error.withValues(alpha: 0.8),
-            ),
-            tooltip: 'Delete Allocation',
-            onPressed: widget.onDelete,
-            visualDensity: VisualDensity.compact,
+              // Delete Button
+              IconButton(
+                icon: Icon(
+                  TablerIcons.trash,
+                  size: 18,
+                  color: colorScheme.error.withValues(alpha: 0.8),
+                ),
+                tooltip: l10n.allocationDelete,
+                onPressed: widget.onDelete,
+                visualDensity: VisualDensity.compact,
+              ),
+            ],
           ),
+
+          // Pace and forecast of the allocation (active budget only)
+          if (widget.pace != null)
+            Padding(
+              padding: EdgeInsetsDirectional.only(
+                start: 40 + spacing.md,
+                top: spacing.xs,
+              ),
+              child: PaceForecast(
+                pace: widget.pace!,
+                currencyCode: widget.currencyCode,
+                showBar: true,
+              ),
+            ),
         ],
       ),
     );
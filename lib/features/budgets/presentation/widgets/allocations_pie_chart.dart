@@ -1,6 +1,9 @@
 import 'dart:async';
 
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/category_colors.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
 import 'package:centabit/data/models/transactions_chart_data.dart';
 import 'package:fl_chart/fl_chart.dart';
 import 'package:flutter/material.dart';
@@ -10,7 +13,7 @@ import 'package:flutter/material.dart';
 /// **Features**:
 /// - Pie segments sized by allocation amount
 /// - Touch interaction to highlight segments (1 second duration)
-/// - HSL color generation for distinct, evenly distributed colors
+/// - Each category in its own color (chosen, or stable automatic one)
 /// - Legend showing category breakdown with amounts
 /// - Empty state when no allocations exist
 /// - Smooth animations (300ms)
@@ -151,8 +154,7 @@ class _AllocationsPieChartState extends State<AllocationsPieChart> {
   }
 
   List<PieChartSectionData> _buildSections() {
-    final colorScheme = Theme.of(context).colorScheme;
-    final colors = _generateColors(widget.data.length, colorScheme);
+    final colors = _colors();
 
     return widget.data.asMap().entries.map((entry) {
       final index = entry.key;
@@ -164,7 +166,9 @@ class _AllocationsPieChartState extends State<AllocationsPieChart> {
       return PieChartSectionData(
         color: colors[index],
         value: item.allocationAmount,
-        title: isTouched ? '\$${item.allocationAmount.toStringAsFixed(0)}' : '',
+        title: isTouched
+            ? CurrencyFormatter.format(item.allocationAmount, item.currencyCode)
+            : '',
         radius: radius,
         titleStyle: TextStyle(
           fontSize: fontSize,
@@ -177,8 +181,7 @@ class _AllocationsPieChartState extends State<AllocationsPieChart> {
 
   Widget _buildLegend(BuildContext context) {
     final theme = Theme.of(context);
-    final colorScheme = theme.colorScheme;
-    final colors = _generateColors(widget.data.length, colorScheme);
+    final colors = _colors();
 
     return ListView.separated(
       controller: _scrollController,
@@ -238,7 +241,13 @@ class _AllocationsPieChartState extends State<AllocationsPieChart> {
             const SizedBox(width: 8),
             Expanded(
               child: Text(
-                '${item.categoryName}: \$${item.allocationAmount.toStringAsFixed(2)}',
+                AppLocalizations.of(context).chartLegendEntry(
+                  item.categoryName,
+                  CurrencyFormatter.format(
+                    item.allocationAmount,
+                    item.currencyCode,
+                  ),
+                ),
                 style: theme.textTheme.bodySmall?.copyWith(
                   fontWeight: isSelected ? FontWeight.w600 : FontWeight.normal,
                 ),
@@ -252,16 +261,12 @@ class _AllocationsPieChartState extends State<AllocationsPieChart> {
     );
   }
 
-  /// Generate distinct colors using HSL color space for even distribution
-  ///
-  /// - Hue varies evenly across segments (360° / count)
-  /// - Saturation: 60% for vibrant but not overwhelming colors
-  /// - Lightness: 50% for balanced brightness
-  List<Color> _generateColors(int count, ColorScheme colorScheme) {
-    return List.generate(count, (index) {
-      final hue = (index * 360 / count) % 360;
-      return HSLColor.fromAHSL(1.0, hue, 0.6, 0.5).toColor();
-    });
+  /// Segment colors: each category's, so it looks the same in every budget
+  List<Color> _colors() {
+    return [
+      for (final item in widget.data)
+        CategoryColors.of(item.categoryId, item.colorHex),
+    ];
   }
 
   Widget _buildEmptyState(BuildContext context) {
@@ -279,7 +284,7 @@ class _AllocationsPieChartState extends State<AllocationsPieChart> {
           ),
           const SizedBox(height: 16),
           Text(
-            'No allocations to display',
+            AppLocalizations.of(context).chartNoAllocations,
             style: theme.textTheme.bodyMedium?.copyWith(
               color: colorScheme.onSurface.withValues(alpha: 0.6),
             ),
@@ -1,14 +1,19 @@
 import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
 import 'package:centabit/core/utils/date_formatter.dart';
 import 'package:centabit/core/utils/show_modal.dart';
 import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/budget_template_model.dart';
 import 'package:centabit/data/models/category_model.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_form_cubit.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_form_state.dart';
 import 'package:centabit/features/budgets/presentation/widgets/allocation_tile.dart';
 import 'package:centabit/features/categories/presentation/widgets/category_form_modal.dart';
+import 'package:centabit/shared/widgets/delete_dependents_dialog.dart';
+import 'package:centabit/shared/widgets/form/currency_field.dart';
 import 'package:centabit/shared/widgets/form/custom_text_input.dart';
 import 'package:centabit/shared/widgets/form/form_actions_row.dart';
 import 'package:centabit/shared/widgets/select_dropdown.dart';
@@ -24,6 +29,9 @@ import 'package:form_builder_validators/form_builder_validators.dart';
 /// - Create (initialBudget = null): Creates new budget with allocations
 /// - Edit (initialBudget = existing): Updates existing budget with delete button
 ///
+/// In create mode, [initialTemplate] prefills the name, amount and
+/// allocations from a saved budget template.
+///
 /// **Features**:
 /// - Budget fields: name, amount, startDate, endDate
 /// - Allocation management: add/edit/delete inline with category dropdowns
@@ -42,8 +50,9 @@ import 'package:form_builder_validators/form_builder_validators.dart';
 /// ```
 class BudgetFormModal extends StatelessWidget {
   final BudgetModel? initialBudget; // null = create, non-null = edit
+  final BudgetTemplateModel? initialTemplate; // Create mode only
 
-  const BudgetFormModal({super.key, this.initialBudget});
+  const BudgetFormModal({super.key, this.initialBudget, this.initialTemplate});
 
   @override
   Widget build(BuildContext context) {
@@ -54,6 +63,8 @@ class BudgetFormModal extends StatelessWidget {
           // Load existing allocations if editing
           if (initialBudget != null) {
             cubit.loadExistingAllocations(initialBudget!.id);
+          } else if (initialTemplate != null) {
+            cubit.loadTemplateAllocations(initialTemplate!);
           }
           return cubit;
         },
@@ -70,8 +81,8 @@ class BudgetFormModal extends StatelessWidget {
                   SnackBar(
                     content: Text(
                       initialBudget != null
-                          ? 'Budget updated successfully'
-                          : 'Budget created successfully',
+                          ? AppLocalizations.of(context).budgetUpdated
+                          : AppLocalizations.of(context).budgetCreated,
                     ),
                     backgroundColor: Theme.of(context).colorScheme.primary,
                     duration: const Duration(seconds: 2),
@@ -93,7 +104,10 @@ class BudgetFormModal extends StatelessWidget {
             );
           },
           child: SafeArea(
-            child: _BudgetFormContent(initialBudget: initialBudget),
+            child: _BudgetFormContent(
+              initialBudget: initialBudget,
+              initialTemplate: initialTemplate,
+            ),
           ),
         ),
       ),
@@ -107,14 +121,16 @@ class BudgetFormModal extends StatelessWidget {
 /// Handles submit, cancel, and delete actions.
 class _BudgetFormContent extends StatelessWidget {
   final BudgetModel? initialBudget;
+  final BudgetTemplateModel? initialTemplate;
 
-  const _BudgetFormContent({this.initialBudget});
+  const _BudgetFormContent({this.initialBudget, this.initialTemplate});
 
   @override
   Widget build(BuildContext context) {
     final cubit = context.read<BudgetFormCubit>();
     final theme = Theme.of(context);
     final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
 
     // Default dates: current month if creating new budget
     final now = DateTime.now();
@@ -132,8 +148,12 @@ class _BudgetFormContent extends StatelessWidget {
       child: FormBuilder(
         key: cubit.formKey,
         initialValue: {
-          'name': initialBudget?.name ?? '',
-          'amount': initialBudget?.amount.toStringAsFixed(2) ?? '',
+          'name': initialBudget?.name ?? initialTemplate?.name ?? '',
+          'amount': (initialBudget?.amount ?? initialTemplate?.amount)
+                  ?.toStringAsFixed(2) ??
+              '',
+          'currencyCode':
+              initialBudget?.currencyCode ?? cubit.defaultCurrency,
           'startDate': defaultStartDate,
           'endDate': defaultEndDate,
         },
@@ -148,7 +168,9 @@ class _BudgetFormContent extends StatelessWidget {
                 children: [
                   Expanded(
                     child: Text(
-                      initialBudget != null ? 'Update Budget' : 'Create Budget',
+                      initialBudget != null
+                          ? l10n.budgetUpdate
+                          : l10n.budgetCreate,
                       style: TextStyle(
                         fontSize: 28, // v4's h2
                         fontWeight: FontWeight.w700,
@@ -162,7 +184,7 @@ class _BudgetFormContent extends StatelessWidget {
                         TablerIcons.trash,
                         color: theme.colorScheme.error,
                       ),
-                      tooltip: 'Delete Budget',
+                      tooltip: l10n.budgetDeleteTitle,
                       onPressed: () =>
                           _handleDelete(context, initialBudget!.id),
                     ),
@@ -181,7 +203,7 @@ class _BudgetFormContent extends StatelessWidget {
               // Budget Name
               CustomTextInput(
                 name: 'name',
-                hintText: 'Budget name (e.g., December 2025)',
+                hintText: l10n.budgetNameHint,
                 validator: (value) =>
                     cubit.validateName(value, excludeId: initialBudget?.id),
               ),
@@ -193,8 +215,8 @@ class _BudgetFormContent extends StatelessWidget {
                   decimal: true,
                 ),
                 decoration: InputDecoration(
-                  hintText: 'Total amount',
-                  prefixText: '\$ ',
+                  hintText: l10n.budgetAmountHint,
+                  suffixIcon: const CurrencyField(),
                   contentPadding: const EdgeInsets.symmetric(
                     vertical: 12,
                     horizontal: 16,
@@ -236,7 +258,7 @@ class _BudgetFormContent extends StatelessWidget {
                       spacing: 8,
                       children: [
                         Text(
-                          'Start Date',
+                          l10n.startDate,
                           style: theme.textTheme.bodyMedium?.copyWith(
                             color: theme.colorScheme.onSurface.withValues(
                               alpha: 0.7,
@@ -246,7 +268,7 @@ class _BudgetFormContent extends StatelessWidget {
                         FormBuilderField<DateTime>(
                           name: 'startDate',
                           validator: FormBuilderValidators.required(
-                            errorText: 'Start date is required',
+                            errorText: l10n.startDateRequired,
                           ),
                           builder: (field) {
                             return Container(
@@ -296,7 +318,7 @@ class _BudgetFormContent extends StatelessWidget {
                       spacing: 8,
                       children: [
                         Text(
-                          'End Date',
+                          l10n.endDate,
                           style: theme.textTheme.bodyMedium?.copyWith(
                             color: theme.colorScheme.onSurface.withValues(
                               alpha: 0.7,
@@ -306,7 +328,7 @@ class _BudgetFormContent extends StatelessWidget {
                         FormBuilderField<DateTime>(
                           name: 'endDate',
                           validator: FormBuilderValidators.required(
-                            errorText: 'End date is required',
+                            errorText: l10n.endDateRequired,
                           ),
                           builder: (field) {
                             return Container(
@@ -374,7 +396,7 @@ class _BudgetFormContent extends StatelessWidget {
                     crossAxisAlignment: CrossAxisAlignment.center,
                     children: [
                       Text(
-                        'Allocations',
+                        l10n.allocations,
                         style: theme.textTheme.titleMedium?.copyWith(
                           fontWeight: FontWeight.w600,
                           color: theme.colorScheme.onSurface.withValues(
@@ -403,7 +425,7 @@ class _BudgetFormContent extends StatelessWidget {
                                     ),
                                     SizedBox(width: spacing.xs),
                                     Text(
-                                      'Create a category',
+                                      l10n.categoryCreateFirst,
                                       style: theme.textTheme.bodySmall
                                           ?.copyWith(
                                             color: theme.colorScheme.primary,
@@ -422,7 +444,7 @@ class _BudgetFormContent extends StatelessWidget {
                                     ),
                                     SizedBox(width: spacing.xs),
                                     Text(
-                                      'Create category',
+                                      l10n.categoryCreate,
                                       style: theme.textTheme.bodyMedium
                                           ?.copyWith(
                                             color: theme.colorScheme.primary,
@@ -453,8 +475,8 @@ class _BudgetFormContent extends StatelessWidget {
                                 Expanded(
                                   child: Text(
                                     availableCategories.isEmpty
-                                        ? 'All categories allocated'
-                                        : 'Add an allocation',
+                                        ? l10n.allocationsAllCategories
+                                        : l10n.allocationAdd,
                                     style: theme.textTheme.bodyMedium?.copyWith(
                                       color: availableCategories.isEmpty
                                           ? theme.colorScheme.onSurface
@@ -519,6 +541,10 @@ class _BudgetFormContent extends StatelessWidget {
                 buildWhen: (previous, current) => true, // Always rebuild
                 builder: (context, state) {
                   final allocations = cubit.allocations;
+                  final currencyCode =
+                      cubit.formKey.currentState?.fields['currencyCode']?.value
+                          as String? ??
+                      cubit.defaultCurrency;
 
                   // Empty state
                   if (allocations.isEmpty) {
@@ -535,7 +561,7 @@ class _BudgetFormContent extends StatelessWidget {
                       ),
                       child: Center(
                         child: Text(
-                          'No allocations yet. Tap "Add" to create one.',
+                          l10n.allocationsEmpty,
                           style: theme.textTheme.bodyMedium?.copyWith(
                             color: theme.colorScheme.onSurface.withValues(
                               alpha: 0.6,
@@ -554,6 +580,7 @@ class _BudgetFormContent extends StatelessWidget {
                       return AllocationTile(
                         allocation: allocation,
                         categories: cubit.categories,
+                        currencyCode: currencyCode,
                         onAmountChanged: (amount) {
                           cubit.updateAllocation(
                             allocation.id,
@@ -562,6 +589,7 @@ class _BudgetFormContent extends StatelessWidget {
                           );
                         },
                         onDelete: () => cubit.removeAllocation(allocation.id),
+                        pace: cubit.paceFor(allocation),
                       );
                     }).toList(),
                   );
@@ -583,6 +611,10 @@ class _BudgetFormContent extends StatelessWidget {
                       '0';
                   final budgetAmount = double.tryParse(amountStr) ?? 0;
                   final unallocated = budgetAmount - totalAllocated;
+                  final currencyCode =
+                      cubit.formKey.currentState?.fields['currencyCode']?.value
+                          as String? ??
+                      cubit.defaultCurrency;
 
                   return Container(
                     padding: EdgeInsets.all(spacing.md),
@@ -602,7 +634,7 @@ class _BudgetFormContent extends StatelessWidget {
                           mainAxisAlignment: MainAxisAlignment.spaceBetween,
                           children: [
                             Text(
-                              'Total Budget:',
+                              l10n.budgetTotalLabel,
                               style: theme.textTheme.bodyMedium?.copyWith(
                                 color: theme.colorScheme.onSurface.withValues(
                                   alpha: 0.7,
@@ -610,7 +642,10 @@ class _BudgetFormContent extends StatelessWidget {
                               ),
                             ),
                             Text(
-                              '\$${budgetAmount.toStringAsFixed(2)}',
+                              CurrencyFormatter.format(
+                                budgetAmount,
+                                currencyCode,
+                              ),
                               style: theme.textTheme.bodyMedium?.copyWith(
                                 fontWeight: FontWeight.w600,
                               ),
@@ -621,7 +656,7 @@ class _BudgetFormContent extends StatelessWidget {
                           mainAxisAlignment: MainAxisAlignment.spaceBetween,
                           children: [
                             Text(
-                              'Total Allocated:',
+                              l10n.budgetAllocatedLabel,
                               style: theme.textTheme.bodyMedium?.copyWith(
                                 color: theme.colorScheme.onSurface.withValues(
                                   alpha: 0.7,
@@ -629,7 +664,10 @@ class _BudgetFormContent extends StatelessWidget {
                               ),
                             ),
                             Text(
-                              '\$${totalAllocated.toStringAsFixed(2)}',
+                              CurrencyFormatter.format(
+                                totalAllocated,
+                                currencyCode,
+                              ),
                               style: theme.textTheme.bodyMedium?.copyWith(
                                 fontWeight: FontWeight.w600,
                                 color: totalAllocated > budgetAmount
@@ -644,13 +682,16 @@ class _BudgetFormContent extends StatelessWidget {
                           mainAxisAlignment: MainAxisAlignment.spaceBetween,
                           children: [
                             Text(
-                              'Unallocated:',
+                              l10n.budgetUnallocatedLabel,
                               style: theme.textTheme.bodyMedium?.copyWith(
                                 fontWeight: FontWeight.w600,
                               ),
                             ),
                             Text(
-                              '\$${unallocated.toStringAsFixed(2)}',
+                              CurrencyFormatter.format(
+                                unallocated,
+                                currencyCode,
+                              ),
                               style: theme.textTheme.bodyMedium?.copyWith(
                                 fontWeight: FontWeight.w600,
                                 color: unallocated < 0
@@ -668,7 +709,9 @@ class _BudgetFormContent extends StatelessWidget {
 
               // Form Actions
               FormActionsRow(
-                actionWidget: Text(initialBudget != null ? 'Update' : 'Create'),
+                actionWidget: Text(
+                  initialBudget != null ? l10n.update : l10n.create,
+                ),
                 actionHandler: () => _handleSubmit(context),
                 onCancel: () => Navigator.of(context).pop(),
               ),
@@ -697,32 +740,33 @@ class _BudgetFormContent extends StatelessWidget {
     });
   }
 
-  /// Handle delete with confirmation dialog.
-  void _handleDelete(BuildContext context, String id) {
-    showDialog(
-      context: context,
-      builder: (dialogContext) => AlertDialog(
-        title: const Text('Delete Budget?'),
-        content: const Text(
-          'This will permanently delete the budget and all its allocations. This action cannot be undone.',
-        ),
-        actions: [
-          TextButton(
-            onPressed: () => Navigator.of(dialogContext).pop(),
-            child: const Text('Cancel'),
-          ),
-          TextButton(
-            onPressed: () {
-              Navigator.of(dialogContext).pop();
-              context.read<BudgetFormCubit>().deleteBudget(id);
-            },
-            child: Text(
-              'Delete',
-              style: TextStyle(color: Theme.of(context).colorScheme.error),
-            ),
-          ),
-        ],
-      ),
+  /// Handle delete: confirm, and ask what becomes of the budget's
+  /// transactions.
+  Future<void> _handleDelete(BuildContext context, String id) async {
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.read<BudgetFormCubit>();
+
+    final impact = await cubit.deletionImpact(id);
+    if (!context.mounted) return;
+
+    final choice = await showDeleteDependentsDialog(
+      context,
+      title: l10n.budgetDeleteTitle,
+      impact: impact,
+      targets: {
+        for (final budget in cubit.reassignTargets(id)) budget.id: budget.name,
+      },
+      reassignLabel: l10n.budgetDeleteReassign,
+      unassignLabel: l10n.budgetDeleteUnassign,
+      choiceCoversAllocations: false,
+      notes: [if (impact.allocations > 0) l10n.budgetDeleteAllocationsNote],
+    );
+    if (choice == null) return;
+
+    await cubit.deleteBudget(
+      id,
+      action: choice.action,
+      targetId: choice.targetId,
     );
   }
 
@@ -1,7 +1,11 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_details_vmodel.dart';
 import 'package:flutter/material.dart';
-import 'package:intl/intl.dart';
 
 class BudgetSummaryCard extends StatelessWidget {
   final BudgetDetailsVModel details;
@@ -18,6 +22,7 @@ class BudgetSummaryCard extends StatelessWidget {
     final customColors = theme.extension<AppCustomColors>()!;
     final spacing = theme.extension<AppSpacing>()!;
     final radius = theme.extension<AppRadius>()!;
+    final l10n = AppLocalizations.of(context);
 
     final barValue = details.barValue;
     final barColor = _getBarColor(barValue, colorScheme, customColors);
@@ -33,30 +38,38 @@ class BudgetSummaryCard extends StatelessWidget {
         crossAxisAlignment: CrossAxisAlignment.start,
         children: [
           Text(
-            'Budget Summary',
+            l10n.budgetSummary,
             style: theme.textTheme.titleMedium?.copyWith(
               fontWeight: FontWeight.w600,
             ),
           ),
           SizedBox(height: spacing.md),
 
-          _buildMetricRow(context, 'Total Budget', details.budget.amount),
-          _buildMetricRow(context, 'Allocated', details.totalAllocated),
-          _buildMetricRow(context, 'Spent', details.totalSpent,
+          _buildMetricRow(context, l10n.budgetTotal, details.budget.amount),
+          _buildMetricRow(
+            context,
+            l10n.budgetAllocated,
+            details.totalAllocated,
+          ),
+          _buildMetricRow(context, l10n.budgetSpent, details.totalSpent,
               color: barColor),
-          _buildMetricRow(context, 'Remaining', details.remaining),
+          _buildMetricRow(context, l10n.budgetRemaining, details.remaining),
 
           if (details.unallocated > 0) ...[
             Divider(height: spacing.md * 2),
-            _buildMetricRow(context, 'Unallocated', details.unallocated,
-                color: colorScheme.secondary),
+            _buildMetricRow(
+              context,
+              l10n.budgetUnallocated,
+              details.unallocated,
+              color: colorScheme.secondary,
+            ),
           ],
 
           Divider(height: spacing.md * 2),
 
           // BAR indicator
           Text(
-            'Budget Health (BAR): ${barValue.toStringAsFixed(2)}',
+            l10n.budgetHealth(CurrencyFormatter.formatNumber(barValue)),
             style: theme.textTheme.bodyMedium?.copyWith(
               fontWeight: FontWeight.w500,
             ),
@@ -80,16 +93,21 @@ class BudgetSummaryCard extends StatelessWidget {
           ),
           SizedBox(height: spacing.xs),
           Text(
-            _getBarStatusText(barValue),
+            _getBarStatusText(l10n, barValue),
             style: theme.textTheme.bodySmall?.copyWith(
               color: barColor,
             ),
           ),
+          SizedBox(height: spacing.xs),
+          _buildCurveRow(context, l10n),
 
           // Date range
           SizedBox(height: spacing.md),
           Text(
-            '${_formatDate(details.budget.startDate)} - ${_formatDate(details.budget.endDate)}',
+            l10n.dateRange(
+              _formatDate(details.budget.startDate),
+              _formatDate(details.budget.endDate),
+            ),
             style: theme.textTheme.bodySmall?.copyWith(
               color: colorScheme.onSurface.withOpacity(0.7), // Increased from 0.6 to 0.7
             ),
@@ -126,6 +144,39 @@ class BudgetSummaryCard extends StatelessWidget {
     );
   }
 
+  /// Which spending curve the BAR expects: learned or default
+  Widget _buildCurveRow(BuildContext context, AppLocalizations l10n) {
+    final theme = Theme.of(context);
+    final colorScheme = theme.colorScheme;
+    final spacing = theme.extension<AppSpacing>()!;
+    final color = details.usesLearnedCurve
+        ? colorScheme.primary
+        : colorScheme.onSurface.withValues(alpha: 0.7);
+
+    return Row(
+      spacing: spacing.xs,
+      children: [
+        Icon(
+          details.usesLearnedCurve
+              ? TablerIcons.sparkles
+              : TablerIcons.chartLine,
+          size: 16,
+          color: color,
+        ),
+        Expanded(
+          child: Text(
+            details.usesLearnedCurve
+                ? l10n.barCurveLearned(details.historicalData.length)
+                : l10n.barCurveDefault(
+                    SmartBudgetCalculator.minHistoricalPeriods,
+                  ),
+            style: theme.textTheme.bodySmall?.copyWith(color: color),
+          ),
+        ),
+      ],
+    );
+  }
+
   Color _getBarColor(
     double barValue,
     ColorScheme colorScheme,
@@ -136,13 +187,14 @@ class BudgetSummaryCard extends StatelessWidget {
     return customColors.successDark;
   }
 
-  String _getBarStatusText(double barValue) {
-    if (barValue > 1.0) return 'Overspending - adjust spending pace';
-    if (barValue >= 0.9) return 'Close to budget - monitor carefully';
-    return 'On track - spending within budget';
+  String _getBarStatusText(AppLocalizations l10n, double barValue) {
+    if (barValue > 1.0) return l10n.barStatusOverspending;
+    if (barValue >= 0.9) return l10n.barStatusClose;
+    return l10n.barStatusOnTrack;
   }
 
-  String _formatCurrency(double amount) => '\$${amount.toStringAsFixed(2)}';
+  String _formatCurrency(double amount) =>
+      CurrencyFormatter.format(amount, details.budget.currencyCode);
 
-  String _formatDate(DateTime date) => DateFormat('MMM d, yyyy').format(date);
+  String _formatDate(DateTime date) => DateFormatter.formatDate(date);
 }
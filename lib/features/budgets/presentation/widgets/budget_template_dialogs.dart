@@ -0,0 +1,155 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:flutter/material.dart';
+
+/// Text field dialog returning a template name (null if cancelled)
+///
+/// Used for "Save as template" (budget details) and "Rename" (templates
+/// page).
+class TemplateNameDialog extends StatefulWidget {
+  final String title;
+  final String initialName;
+  final String confirmLabel;
+
+  const TemplateNameDialog({
+    super.key,
+    required this.title,
+    required this.initialName,
+    required this.confirmLabel,
+  });
+
+  @override
+  State<TemplateNameDialog> createState() => _TemplateNameDialogState();
+}
+
+class _TemplateNameDialogState extends State<TemplateNameDialog> {
+  late final TextEditingController _controller;
+
+  @override
+  void initState() {
+    super.initState();
+    _controller = TextEditingController(text: widget.initialName);
+  }
+
+  @override
+  void dispose() {
+    _controller.dispose();
+    super.dispose();
+  }
+
+  void _submit() {
+    final name = _controller.text.trim();
+    if (name.isNotEmpty) Navigator.pop(context, name);
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final l10n = AppLocalizations.of(context);
+
+    return AlertDialog(
+      title: Text(widget.title),
+      content: TextField(
+        controller: _controller,
+        autofocus: true,
+        decoration: InputDecoration(labelText: l10n.templateName),
+        onSubmitted: (_) => _submit(),
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: _submit,
+          child: Text(widget.confirmLabel),
+        ),
+      ],
+    );
+  }
+}
+
+/// Values returned by [RolloverDialog]
+typedef RolloverResult = ({String name, bool carryOverUnspent});
+
+/// Roll-over confirmation: name of the next budget and whether unspent
+/// allocation amounts are carried forward (null if cancelled)
+class RolloverDialog extends StatefulWidget {
+  final String initialName;
+
+  /// Next period, shown so the user knows which dates the budget gets
+  final String periodLabel;
+
+  const RolloverDialog({
+    super.key,
+    required this.initialName,
+    required this.periodLabel,
+  });
+
+  @override
+  State<RolloverDialog> createState() => _RolloverDialogState();
+}
+
+class _RolloverDialogState extends State<RolloverDialog> {
+  late final TextEditingController _controller;
+  bool _carryOverUnspent = false;
+
+  @override
+  void initState() {
+    super.initState();
+    _controller = TextEditingController(text: widget.initialName);
+  }
+
+  @override
+  void dispose() {
+    _controller.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return AlertDialog(
+      title: Text(l10n.budgetRollOverTitle),
+      content: Column(
+        mainAxisSize: MainAxisSize.min,
+        crossAxisAlignment: CrossAxisAlignment.start,
+        spacing: spacing.sm,
+        children: [
+          Text(widget.periodLabel, style: theme.textTheme.bodyMedium),
+          TextField(
+            controller: _controller,
+            autofocus: true,
+            decoration: InputDecoration(labelText: l10n.budgetName),
+          ),
+          SwitchListTile(
+            contentPadding: EdgeInsets.zero,
+            title: Text(l10n.budgetCarryOver),
+            subtitle: Text(l10n.budgetCarryOverSubtitle),
+            value: _carryOverUnspent,
+            onChanged: (value) => setState(() => _carryOverUnspent = value),
+          ),
+        ],
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: () {
+            final name = _controller.text.trim();
+            if (name.isEmpty) return;
+            Navigator.pop<RolloverResult>(
+              context,
+              (name: name, carryOverUnspent: _carryOverUnspent),
+            );
+          },
+          child: Text(l10n.budgetRollOver),
+        ),
+      ],
+    );
+  }
+}
@@ -1,5 +1,8 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_list_state.dart';
 import 'package:flutter/material.dart';
 
@@ -41,6 +44,8 @@ class BudgetTile extends StatelessWidget {
     final spacing = theme.extension<AppSpacing>()!;
     final radius = theme.extension<AppRadius>()!;
 
+    final currencyCode = budget.budget.currencyCode;
+
     // Calculate allocation percentage (clamped to 0-1)
     final allocationProgress = budget.budget.amount > 0
         ? (budget.totalAllocated / budget.budget.amount).clamp(0.0, 1.0)
@@ -88,7 +93,7 @@ class BudgetTile extends StatelessWidget {
                     borderRadius: BorderRadius.circular(radius.sm),
                   ),
                   child: Text(
-                    _getStatusLabel(),
+                    _getStatusLabel(AppLocalizations.of(context)),
                     style: textTheme.bodySmall?.copyWith(
                       fontSize: 11,
                       fontWeight: FontWeight.w600,
@@ -99,7 +104,7 @@ class BudgetTile extends StatelessWidget {
                 SizedBox(width: spacing.xs),
                 // Arrow icon
                 Icon(
-                  TablerIcons.chevronRight,
+                  DirectionalIcons.chevronForward,
                   size: 18,
                   color: colorScheme.onSurface.withValues(alpha: 0.4),
                 ),
@@ -109,7 +114,10 @@ class BudgetTile extends StatelessWidget {
 
             // Amounts: Allocated / Total
             Text(
-              '\$${budget.totalAllocated.toStringAsFixed(2)} / \$${budget.budget.amount.toStringAsFixed(2)}',
+              AppLocalizations.of(context).budgetAllocatedOfTotal(
+                CurrencyFormatter.format(budget.totalAllocated, currencyCode),
+                CurrencyFormatter.format(budget.budget.amount, currencyCode),
+              ),
               style: textTheme.bodyMedium?.copyWith(
                 fontWeight: FontWeight.w500,
                 color: colorScheme.onSurface.withValues(alpha: 0.9),
@@ -146,10 +154,10 @@ class BudgetTile extends StatelessWidget {
   }
 
   /// Gets status label text.
-  String _getStatusLabel() {
-    if (budget.isUpcoming) return 'Upcoming';
-    if (budget.isActive) return 'Active';
-    return 'Expired';
+  String _getStatusLabel(AppLocalizations l10n) {
+    if (budget.isUpcoming) return l10n.budgetUpcoming;
+    if (budget.isActive) return l10n.budgetActive;
+    return l10n.budgetExpired;
   }
 
   /// Gets status badge color.
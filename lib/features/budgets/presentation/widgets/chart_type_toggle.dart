@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_details_cubit.dart';
 import 'package:centabit/features/budgets/presentation/cubits/budget_details_state.dart';
 import 'package:centabit/features/budgets/presentation/cubits/chart_type.dart';
@@ -24,6 +25,7 @@ class ChartTypeToggle extends StatelessWidget {
   @override
   Widget build(BuildContext context) {
     final theme = Theme.of(context);
+    final l10n = AppLocalizations.of(context);
 
     return BlocBuilder<BudgetDetailsCubit, BudgetDetailsState>(
       buildWhen: (previous, current) => true,
@@ -31,16 +33,16 @@ class ChartTypeToggle extends StatelessWidget {
         final cubit = context.read<BudgetDetailsCubit>();
 
         return SegmentedButton<ChartType>(
-          segments: const [
+          segments: [
             ButtonSegment(
               value: ChartType.bar,
-              label: Text('Bar'),
-              icon: Icon(Icons.bar_chart),
+              label: Text(l10n.chartBar),
+              icon: const Icon(Icons.bar_chart),
             ),
             ButtonSegment(
               value: ChartType.pie,
-              label: Text('Pie'),
-              icon: Icon(Icons.pie_chart),
+              label: Text(l10n.chartPie),
+              icon: const Icon(Icons.pie_chart),
             ),
           ],
           selected: {cubit.selectedChartType},
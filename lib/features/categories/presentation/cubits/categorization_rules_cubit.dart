@@ -0,0 +1,87 @@
+import 'dart:async';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/models/categorization_rule_model.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/categorization_rule_repository.dart';
+import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/features/categories/presentation/cubits/categorization_rules_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the categorization rules page.
+///
+/// **Data Flow**:
+/// ```
+/// CategorizationRuleRepository emits rules (or categories/budgets changed)
+///   ↓
+/// Emit CategorizationRulesState.ready(rules, categories, budgets)
+///   ↓
+/// User adds, edits, disables or deletes a rule
+///   ↓
+/// Repository writes → stream emits → page rebuilt
+/// ```
+///
+/// Rules only apply to transactions created or imported afterwards.
+class CategorizationRulesCubit extends Cubit<CategorizationRulesState> {
+  final CategorizationRuleRepository _ruleRepository;
+  final CategoryRepository _categoryRepository;
+  final BudgetRepository _budgetRepository;
+
+  StreamSubscription? _rulesSubscription;
+  StreamSubscription? _categoriesSubscription;
+  StreamSubscription? _budgetsSubscription;
+
+  CategorizationRulesCubit(
+    this._ruleRepository,
+    this._categoryRepository,
+    this._budgetRepository,
+  ) : super(const CategorizationRulesState.initial()) {
+    _rulesSubscription =
+        _ruleRepository.rulesStream.listen((_) => _emitReady());
+    _categoriesSubscription =
+        _categoryRepository.categoriesStream.listen((_) => _emitReady());
+    _budgetsSubscription =
+        _budgetRepository.budgetsStream.listen((_) => _emitReady());
+
+    // Initial load
+    _emitReady();
+  }
+
+  void _emitReady() {
+    emit(CategorizationRulesState.ready(
+      rules: _ruleRepository.rules,
+      categories: _categoryRepository.categories,
+      budgets: _budgetRepository.budgets,
+    ));
+  }
+
+  /// Save [rule], new or edited
+  Future<void> saveRule(CategorizationRuleModel rule) {
+    return _run(() => _ruleRepository.saveRule(rule));
+  }
+
+  Future<void> setRuleEnabled(CategorizationRuleModel rule, bool isEnabled) {
+    return saveRule(rule.copyWith(isEnabled: isEnabled));
+  }
+
+  Future<void> deleteRule(CategorizationRuleModel rule) {
+    return _run(() => _ruleRepository.deleteRule(rule.id));
+  }
+
+  /// Run a write; on failure show the error, then the rules again
+  Future<void> _run(Future<void> Function() execute) async {
+    try {
+      await execute();
+    } catch (e) {
+      emit(CategorizationRulesState.error(L10n.current.ruleSaveFailed('$e')));
+      _emitReady();
+    }
+  }
+
+  @override
+  Future<void> close() {
+    _rulesSubscription?.cancel();
+    _categoriesSubscription?.cancel();
+    _budgetsSubscription?.cancel();
+    return super.close();
+  }
+}
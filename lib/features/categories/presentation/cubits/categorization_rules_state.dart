@@ -0,0 +1,24 @@
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/categorization_rule_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'categorization_rules_state.freezed.dart';
+
+/// State for the categorization rules page
+///
+/// Union type states:
+/// - initial: Before the first load
+/// - ready: Rules in the order they're tried (oldest first), and the
+///   categories and budgets they can set (names, editor choices)
+/// - error: Saving or deleting a rule failed with error message
+@freezed
+class CategorizationRulesState with _$CategorizationRulesState {
+  const factory CategorizationRulesState.initial() = _Initial;
+  const factory CategorizationRulesState.ready({
+    required List<CategorizationRuleModel> rules,
+    required List<CategoryModel> categories,
+    required List<BudgetModel> budgets,
+  }) = _Ready;
+  const factory CategorizationRulesState.error(String message) = _Error;
+}
@@ -1,8 +1,10 @@
 import 'dart:async';
 
+import 'package:centabit/core/localizations/l10n.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/data/models/category_model.dart';
 import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/trash/deletion_service.dart';
 import 'package:centabit/features/categories/presentation/cubits/category_form_state.dart';
 import 'package:flutter/widgets.dart';
 import 'package:flutter_bloc/flutter_bloc.dart';
@@ -13,10 +15,13 @@ import 'package:flutter_form_builder/flutter_form_builder.dart';
 /// Manages:
 /// - Icon search functionality with tags and display names
 /// - Category name validation (required, unique)
-/// - Create/update/delete operations via CategoryRepository
+/// - Create/update operations via CategoryRepository (with color and
+///   parent category)
+/// - Delete and merge via DeletionService (with the records referencing it)
 /// - Reactive updates from repository's categoriesStream
 class CategoryFormCubit extends Cubit<CategoryFormState> {
   final CategoryRepository _categoryRepository;
+  final DeletionService _deletionService;
   final GlobalKey<FormBuilderState> formKey;
 
   StreamSubscription? _categorySubscription;
@@ -52,7 +57,7 @@ class CategoryFormCubit extends Cubit<CategoryFormState> {
     'receipt',
   ];
 
-  CategoryFormCubit(this._categoryRepository)
+  CategoryFormCubit(this._categoryRepository, this._deletionService)
       : formKey = GlobalKey<FormBuilderState>(),
         super(const CategoryFormState.initial()) {
     _subscribeToCategories();
@@ -112,7 +117,7 @@ class CategoryFormCubit extends Cubit<CategoryFormState> {
   /// Validate category name (required, unique)
   String? validateName(String? value, {String? excludeId}) {
     if (value == null || value.isEmpty) {
-      return 'Name is required';
+      return L10n.current.nameRequired;
     }
 
     // Check for duplicate names (case-insensitive), excluding current category if editing
@@ -120,14 +125,37 @@ class CategoryFormCubit extends Cubit<CategoryFormState> {
         c.name.toLowerCase() == value.toLowerCase() && c.id != excludeId);
 
     if (isDuplicate) {
-      return 'Category name already exists';
+      return L10n.current.categoryNameExists;
     }
 
     return null; // Valid
   }
 
+  /// Categories category [id] (null when creating one) can be a
+  /// subcategory of: top-level ones other than itself
+  ///
+  /// Empty when [id] has subcategories, since hierarchies are one level
+  /// deep.
+  List<CategoryModel> parentOptions(String? id) {
+    if (id != null && hasSubcategories(id)) return const [];
+    return _categories.where((c) => c.parentId == null && c.id != id).toList();
+  }
+
+  /// Whether category [id] is the parent of other categories
+  bool hasSubcategories(String id) {
+    return _categories.any((c) => c.parentId == id);
+  }
+
   /// Create new category
-  Future<void> createCategory(String name, String iconName) async {
+  ///
+  /// [colorHex] is null for an automatic color, [parentId] null for a
+  /// top-level category.
+  Future<void> createCategory(
+    String name,
+    String iconName, {
+    String? colorHex,
+    String? parentId,
+  }) async {
     if (!formKey.currentState!.saveAndValidate()) {
       return; // Validation failed
     }
@@ -138,16 +166,24 @@ class CategoryFormCubit extends Cubit<CategoryFormState> {
       final category = CategoryModel.create(
         name: name,
         iconName: iconName,
+        colorHex: colorHex,
+        parentId: parentId,
       );
       await _categoryRepository.createCategory(category);
       emit(const CategoryFormState.success());
     } catch (e) {
-      emit(CategoryFormState.error('Failed to create category: $e'));
+      emit(CategoryFormState.error(L10n.current.categoryCreateFailed('$e')));
     }
   }
 
   /// Update existing category
-  Future<void> updateCategory(String id, String name, String iconName) async {
+  Future<void> updateCategory(
+    String id,
+    String name,
+    String iconName, {
+    String? colorHex,
+    String? parentId,
+  }) async {
     if (!formKey.currentState!.saveAndValidate()) {
       return; // Validation failed
     }
@@ -159,23 +195,56 @@ class CategoryFormCubit extends Cubit<CategoryFormState> {
       final updated = existing.copyWith(
         name: name,
         iconName: iconName,
+        colorHex: colorHex,
+        parentId: parentId,
         updatedAt: DateTime.now(),
       );
       await _categoryRepository.updateCategory(updated);
       emit(const CategoryFormState.success());
     } catch (e) {
-      emit(CategoryFormState.error('Failed to update category: $e'));
+      emit(CategoryFormState.error(L10n.current.categoryUpdateFailed('$e')));
+    }
+  }
+
+  /// Records referencing category [id], shown before deleting it
+  Future<DeletionImpact> deletionImpact(String id) {
+    return _deletionService.impactOfCategory(id);
+  }
+
+  /// Categories the records of category [id] can move to
+  List<CategoryModel> reassignTargets(String id) {
+    return _categories.where((c) => c.id != id).toList();
+  }
+
+  /// Delete category, with [action] on the records referencing it
+  /// ([targetId]: category they move to)
+  Future<void> deleteCategory(
+    String id, {
+    required DependentsAction action,
+    String? targetId,
+  }) async {
+    emit(const CategoryFormState.loading());
+    try {
+      await _deletionService.deleteCategory(
+        id,
+        action: action,
+        targetId: targetId,
+      );
+      emit(const CategoryFormState.success());
+    } catch (e) {
+      emit(CategoryFormState.error(L10n.current.categoryDeleteFailed('$e')));
     }
   }
 
-  /// Delete category
-  Future<void> deleteCategory(String id) async {
+  /// Merge category [id] into [targetId]: its transactions, allocations
+  /// and recurring transactions move there, then it's deleted
+  Future<void> mergeCategory(String id, String targetId) async {
     emit(const CategoryFormState.loading());
     try {
-      await _categoryRepository.deleteCategory(id);
+      await _deletionService.mergeCategory(id, targetId);
       emit(const CategoryFormState.success());
     } catch (e) {
-      emit(CategoryFormState.error('Failed to delete category: $e'));
+      emit(CategoryFormState.error(L10n.current.categoryMergeFailed('$e')));
     }
   }
 
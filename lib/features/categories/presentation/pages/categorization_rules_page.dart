@@ -0,0 +1,227 @@
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/categorization_rule_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/features/categories/presentation/cubits/categorization_rules_cubit.dart';
+import 'package:centabit/features/categories/presentation/cubits/categorization_rules_state.dart';
+import 'package:centabit/features/categories/presentation/widgets/categorization_rule_dialog.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Categorization rules page.
+///
+/// Rules in the order they're tried: what they match, and what they set.
+/// Tap to edit (or delete), switch to disable, + to add. Rules can also be
+/// made from a transaction in its edit form.
+///
+/// **Navigation**:
+/// - Route: `/categorization-rules` (sub-route under dashboard)
+/// - Accessed from: Settings page
+class CategorizationRulesPage extends StatelessWidget {
+  const CategorizationRulesPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<CategorizationRulesCubit>(),
+      child: const _CategorizationRulesContent(),
+    );
+  }
+}
+
+/// Internal content widget for the rules page.
+///
+/// Separated from CategorizationRulesPage to allow BlocProvider scoping.
+class _CategorizationRulesContent extends StatelessWidget {
+  const _CategorizationRulesContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return BlocConsumer<CategorizationRulesCubit, CategorizationRulesState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      buildWhen: (_, current) => current.maybeWhen(
+        error: (_) => false,
+        orElse: () => true,
+      ),
+      builder: (context, state) {
+        return Scaffold(
+          appBar: AppBar(
+            title: Text(l10n.rulesTitle),
+            leading: IconButton(
+              icon: const Icon(DirectionalIcons.back),
+              onPressed: () => context.pop(),
+            ),
+          ),
+          floatingActionButton: state.maybeWhen(
+            ready: (_, categories, budgets) => FloatingActionButton(
+              tooltip: l10n.rulesAdd,
+              onPressed: () => _editRule(
+                context,
+                categories: categories,
+                budgets: budgets,
+              ),
+              child: const Icon(TablerIcons.plus),
+            ),
+            orElse: () => null,
+          ),
+          body: state.maybeWhen(
+            ready: (rules, categories, budgets) => _RuleList(
+              rules: rules,
+              categories: categories,
+              budgets: budgets,
+            ),
+            orElse: () => const Center(child: CircularProgressIndicator()),
+          ),
+        );
+      },
+    );
+  }
+}
+
+/// Rules, oldest (tried first) first
+class _RuleList extends StatelessWidget {
+  final List<CategorizationRuleModel> rules;
+  final List<CategoryModel> categories;
+  final List<BudgetModel> budgets;
+
+  const _RuleList({
+    required this.rules,
+    required this.categories,
+    required this.budgets,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.read<CategorizationRulesCubit>();
+
+    if (rules.isEmpty) {
+      return Center(
+        child: Padding(
+          padding: EdgeInsets.all(spacing.xl),
+          child: Text(
+            l10n.rulesEmpty,
+            style: theme.textTheme.bodyMedium,
+            textAlign: TextAlign.center,
+          ),
+        ),
+      );
+    }
+
+    final categoryNames = {for (final c in categories) c.id: c.name};
+    final budgetNames = {for (final b in budgets) b.id: b.name};
+
+    return ListView.separated(
+      padding: EdgeInsets.symmetric(vertical: spacing.md),
+      itemCount: rules.length,
+      separatorBuilder: (_, __) => const Divider(height: 1),
+      itemBuilder: (context, index) {
+        final rule = rules[index];
+        return ListTile(
+          leading: const Icon(TablerIcons.bolt),
+          title: Text(_describeCondition(l10n, rule)),
+          subtitle: Text(
+            _describeAction(l10n, rule, categoryNames, budgetNames),
+          ),
+          trailing: Switch(
+            value: rule.isEnabled,
+            onChanged: (value) => cubit.setRuleEnabled(rule, value),
+          ),
+          onTap: () => _editRule(
+            context,
+            rule: rule,
+            categories: categories,
+            budgets: budgets,
+          ),
+        );
+      },
+    );
+  }
+}
+
+/// One-line summary of what [rule] matches, e.g. "Name contains
+/// "uber" · 10 to 50"
+String _describeCondition(
+  AppLocalizations l10n,
+  CategorizationRuleModel rule,
+) {
+  final min = rule.minAmount;
+  final max = rule.maxAmount;
+  String amount(double value) => CurrencyFormatter.formatNumber(value);
+
+  return [
+    if (rule.namePattern case final pattern?)
+      rule.isRegex
+          ? l10n.ruleConditionMatches(pattern)
+          : l10n.ruleConditionContains(pattern),
+    if (min != null && max != null)
+      l10n.ruleConditionAmountBetween(amount(min), amount(max))
+    else if (min != null)
+      l10n.ruleConditionAmountAtLeast(amount(min))
+    else if (max != null)
+      l10n.ruleConditionAmountAtMost(amount(max)),
+  ].join(' · ');
+}
+
+/// What [rule] sets, e.g. "→ Transport · Rename to "Uber""
+///
+/// A category or budget deleted since is left out.
+String _describeAction(
+  AppLocalizations l10n,
+  CategorizationRuleModel rule,
+  Map<String, String> categoryNames,
+  Map<String, String> budgetNames,
+) {
+  final parts = [
+    if (categoryNames[rule.categoryId] case final name?) name,
+    if (budgetNames[rule.budgetId] case final name?) name,
+    if (rule.rename case final rename?) l10n.ruleActionRename(rename),
+  ];
+  return '→ ${parts.join(' · ')}';
+}
+
+/// Add a rule, or edit [rule], with the rule dialog
+Future<void> _editRule(
+  BuildContext context, {
+  CategorizationRuleModel? rule,
+  required List<CategoryModel> categories,
+  required List<BudgetModel> budgets,
+}) async {
+  final cubit = context.read<CategorizationRulesCubit>();
+  final result = await showCategorizationRuleDialog(
+    context,
+    rule: rule ?? CategorizationRuleModel.create(),
+    isNew: rule == null,
+    categories: categories,
+    budgets: budgets,
+  );
+  if (result == null) return;
+
+  if (result.delete) {
+    await cubit.deleteRule(result.rule);
+  } else {
+    await cubit.saveRule(result.rule);
+  }
+}
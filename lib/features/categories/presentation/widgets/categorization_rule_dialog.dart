@@ -0,0 +1,255 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/data/categorization/categorization_rule_engine.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/categorization_rule_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+
+/// Values returned by [showCategorizationRuleDialog]: the edited rule, or
+/// the rule to delete
+typedef CategorizationRuleEdit = ({CategorizationRuleModel rule, bool delete});
+
+/// Edits [rule] (conditions and what it sets), completing with the result
+/// or null when cancelled
+///
+/// [isNew] titles the dialog "Add rule" and hides the delete action.
+/// [categories] and [budgets] are offered as the rule's targets; a target
+/// of [rule] not among them starts out unset.
+Future<CategorizationRuleEdit?> showCategorizationRuleDialog(
+  BuildContext context, {
+  required CategorizationRuleModel rule,
+  required bool isNew,
+  required List<CategoryModel> categories,
+  required List<BudgetModel> budgets,
+}) {
+  return showDialog<CategorizationRuleEdit>(
+    context: context,
+    builder: (_) => _CategorizationRuleDialog(
+      rule: rule,
+      isNew: isNew,
+      categories: categories,
+      budgets: budgets,
+    ),
+  );
+}
+
+class _CategorizationRuleDialog extends StatefulWidget {
+  final CategorizationRuleModel rule;
+  final bool isNew;
+  final List<CategoryModel> categories;
+  final List<BudgetModel> budgets;
+
+  const _CategorizationRuleDialog({
+    required this.rule,
+    required this.isNew,
+    required this.categories,
+    required this.budgets,
+  });
+
+  @override
+  State<_CategorizationRuleDialog> createState() =>
+      _CategorizationRuleDialogState();
+}
+
+class _CategorizationRuleDialogState extends State<_CategorizationRuleDialog> {
+  final _formKey = GlobalKey<FormState>();
+  late final TextEditingController _patternController;
+  late final TextEditingController _minController;
+  late final TextEditingController _maxController;
+  late final TextEditingController _renameController;
+  late bool _isRegex;
+  String? _categoryId;
+  String? _budgetId;
+
+  /// Shown when the rule has no condition or sets nothing
+  String? _error;
+
+  @override
+  void initState() {
+    super.initState();
+    final rule = widget.rule;
+    _patternController = TextEditingController(text: rule.namePattern);
+    _minController = TextEditingController(text: _formatAmount(rule.minAmount));
+    _maxController = TextEditingController(text: _formatAmount(rule.maxAmount));
+    _renameController = TextEditingController(text: rule.rename);
+    _isRegex = rule.isRegex;
+    _categoryId = widget.categories.any((c) => c.id == rule.categoryId)
+        ? rule.categoryId
+        : null;
+    _budgetId =
+        widget.budgets.any((b) => b.id == rule.budgetId) ? rule.budgetId : null;
+  }
+
+  @override
+  void dispose() {
+    _patternController.dispose();
+    _minController.dispose();
+    _maxController.dispose();
+    _renameController.dispose();
+    super.dispose();
+  }
+
+  /// Amount as typed (no grouping, no trailing ".0")
+  String _formatAmount(double? value) {
+    if (value == null) return '';
+    return value == value.roundToDouble()
+        ? value.toInt().toString()
+        : value.toString();
+  }
+
+  String? _textOrNull(TextEditingController controller) {
+    final text = controller.text.trim();
+    return text.isEmpty ? null : text;
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final spacing = Theme.of(context).extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    const amountKeyboard = TextInputType.numberWithOptions(decimal: true);
+    final amountFormatters = [
+      FilteringTextInputFormatter.allow(RegExp(r'^\d*\.?\d*')),
+    ];
+
+    return AlertDialog(
+      title: Text(widget.isNew ? l10n.rulesAdd : l10n.rulesEdit),
+      scrollable: true,
+      content: Form(
+        key: _formKey,
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          crossAxisAlignment: CrossAxisAlignment.start,
+          spacing: spacing.sm,
+          children: [
+            TextFormField(
+              controller: _patternController,
+              decoration: InputDecoration(labelText: l10n.ruleNameContains),
+              validator: (value) {
+                final pattern = value?.trim() ?? '';
+                return _isRegex &&
+                        pattern.isNotEmpty &&
+                        !CategorizationRuleEngine.isValidRegex(pattern)
+                    ? l10n.ruleRegexInvalid
+                    : null;
+              },
+            ),
+            CheckboxListTile(
+              value: _isRegex,
+              title: Text(l10n.ruleNameRegex),
+              contentPadding: EdgeInsets.zero,
+              controlAffinity: ListTileControlAffinity.leading,
+              onChanged: (value) => setState(() => _isRegex = value ?? false),
+            ),
+            Row(
+              spacing: spacing.sm,
+              children: [
+                Expanded(
+                  child: TextFormField(
+                    controller: _minController,
+                    decoration: InputDecoration(labelText: l10n.ruleMinAmount),
+                    keyboardType: amountKeyboard,
+                    inputFormatters: amountFormatters,
+                  ),
+                ),
+                Expanded(
+                  child: TextFormField(
+                    controller: _maxController,
+                    decoration: InputDecoration(labelText: l10n.ruleMaxAmount),
+                    keyboardType: amountKeyboard,
+                    inputFormatters: amountFormatters,
+                    validator: (value) {
+                      final min = double.tryParse(_minController.text);
+                      final max = double.tryParse(value ?? '');
+                      return min != null && max != null && min > max
+                          ? l10n.ruleAmountRangeInvalid
+                          : null;
+                    },
+                  ),
+                ),
+              ],
+            ),
+            DropdownButtonFormField<String?>(
+              initialValue: _categoryId,
+              isExpanded: true,
+              decoration: InputDecoration(labelText: l10n.ruleSetCategory),
+              items: [
+                DropdownMenuItem(value: null, child: Text(l10n.ruleNoChange)),
+                for (final category in widget.categories.inHierarchyOrder())
+                  DropdownMenuItem(
+                    value: category.id,
+                    child: Text(category.name),
+                  ),
+              ],
+              onChanged: (id) => setState(() => _categoryId = id),
+            ),
+            DropdownButtonFormField<String?>(
+              initialValue: _budgetId,
+              isExpanded: true,
+              decoration: InputDecoration(labelText: l10n.ruleSetBudget),
+              items: [
+                DropdownMenuItem(value: null, child: Text(l10n.ruleNoChange)),
+                for (final budget in widget.budgets)
+                  DropdownMenuItem(value: budget.id, child: Text(budget.name)),
+              ],
+              onChanged: (id) => setState(() => _budgetId = id),
+            ),
+            TextFormField(
+              controller: _renameController,
+              decoration: InputDecoration(labelText: l10n.ruleRenameTo),
+            ),
+            if (_error != null)
+              Text(_error!, style: TextStyle(color: colorScheme.error)),
+          ],
+        ),
+      ),
+      actions: [
+        if (!widget.isNew)
+          TextButton(
+            onPressed: () => Navigator.pop<CategorizationRuleEdit>(
+              context,
+              (rule: widget.rule, delete: true),
+            ),
+            child: Text(
+              l10n.delete,
+              style: TextStyle(color: colorScheme.error),
+            ),
+          ),
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: () => _save(l10n),
+          child: Text(l10n.save),
+        ),
+      ],
+    );
+  }
+
+  void _save(AppLocalizations l10n) {
+    if (!(_formKey.currentState?.validate() ?? false)) return;
+
+    final rule = widget.rule.copyWith(
+      namePattern: _textOrNull(_patternController),
+      isRegex: _isRegex,
+      minAmount: double.tryParse(_minController.text),
+      maxAmount: double.tryParse(_maxController.text),
+      categoryId: _categoryId,
+      budgetId: _budgetId,
+      rename: _textOrNull(_renameController),
+    );
+    if (!rule.hasCondition || !rule.hasAction) {
+      setState(() {
+        _error = rule.hasCondition
+            ? l10n.ruleActionRequired
+            : l10n.ruleConditionRequired;
+      });
+      return;
+    }
+
+    Navigator.pop<CategorizationRuleEdit>(context, (rule: rule, delete: false));
+  }
+}
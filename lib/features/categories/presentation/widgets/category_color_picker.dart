@@ -0,0 +1,97 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/category_colors.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:flutter/material.dart';
+
+/// Row of selectable category colors
+///
+/// The first swatch is the automatic color ([selectedColorHex] null): the
+/// one charts give the category when none is chosen, derived from
+/// [categoryId] (null while creating, when the swatch only stands for it).
+/// The others are [CategoryColors.palette].
+///
+/// Styling follows `CategoryIconGrid`: 2px borders, onSurface when selected.
+class CategoryColorPicker extends StatelessWidget {
+  final String? categoryId;
+  final String? selectedColorHex;
+  final ValueChanged<String?> onColorSelected;
+
+  const CategoryColorPicker({
+    super.key,
+    this.categoryId,
+    this.selectedColorHex,
+    required this.onColorSelected,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final l10n = AppLocalizations.of(context);
+
+    return Wrap(
+      spacing: 10,
+      runSpacing: 10,
+      children: [
+        Tooltip(
+          message: l10n.categoryColorAutomatic,
+          child: _Swatch(
+            color: CategoryColors.of(categoryId ?? '', null),
+            isSelected: selectedColorHex == null,
+            icon: TablerIcons.wand,
+            alwaysShowIcon: true,
+            onTap: () => onColorSelected(null),
+          ),
+        ),
+        for (final color in CategoryColors.palette)
+          _Swatch(
+            color: color,
+            isSelected: selectedColorHex != null &&
+                CategoryColors.parse(selectedColorHex) == color,
+            icon: TablerIcons.check,
+            onTap: () => onColorSelected(CategoryColors.toHex(color)),
+          ),
+      ],
+    );
+  }
+}
+
+/// One color: a disc, outlined and marked with [icon] when selected
+class _Swatch extends StatelessWidget {
+  final Color color;
+  final bool isSelected;
+  final IconData icon;
+  final bool alwaysShowIcon;
+  final VoidCallback onTap;
+
+  const _Swatch({
+    required this.color,
+    required this.isSelected,
+    required this.icon,
+    this.alwaysShowIcon = false,
+    required this.onTap,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final showIcon = isSelected || alwaysShowIcon;
+
+    return GestureDetector(
+      onTap: onTap,
+      child: Container(
+        width: 32,
+        height: 32,
+        decoration: BoxDecoration(
+          color: color,
+          shape: BoxShape.circle,
+          border: Border.all(
+            color: isSelected
+                ? theme.colorScheme.onSurface
+                : theme.colorScheme.outlineVariant,
+            width: 2,
+          ),
+        ),
+        child: showIcon ? Icon(icon, color: Colors.white, size: 16) : null,
+      ),
+    );
+  }
+}
@@ -1,10 +1,14 @@
 import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/data/models/category_model.dart';
 import 'package:centabit/features/categories/presentation/cubits/category_form_cubit.dart';
 import 'package:centabit/features/categories/presentation/cubits/category_form_state.dart';
+import 'package:centabit/features/categories/presentation/widgets/category_color_picker.dart';
 import 'package:centabit/features/categories/presentation/widgets/category_icon_grid.dart';
 import 'package:centabit/features/categories/presentation/widgets/category_icon_search.dart';
+import 'package:centabit/features/categories/presentation/widgets/merge_category_dialog.dart';
+import 'package:centabit/shared/widgets/delete_dependents_dialog.dart';
 import 'package:centabit/shared/widgets/form/custom_text_input.dart';
 import 'package:centabit/shared/widgets/form/form_actions_row.dart';
 import 'package:flutter/material.dart';
@@ -15,7 +19,11 @@ import 'package:flutter_form_builder/flutter_form_builder.dart';
 ///
 /// Supports two modes via initialValue parameter:
 /// - Create (initialValue = null): Creates new category
-/// - Edit (initialValue = existing): Updates existing category with delete button
+/// - Edit (initialValue = existing): Updates existing category with merge
+///   and delete buttons
+///
+/// Besides name and icon, a category has a color (automatic by default)
+/// and optionally a parent category, which charts roll it up into.
 ///
 /// Uses BlocProvider to scope CategoryFormCubit to modal lifecycle.
 /// BlocListener handles navigation (close on success) and error display.
@@ -60,8 +68,8 @@ class _CategoryFormModalState extends State<CategoryFormModal> {
                   SnackBar(
                     content: Text(
                       widget.initialValue != null
-                          ? 'Category updated successfully'
-                          : 'Category created successfully',
+                          ? AppLocalizations.of(context).categoryUpdated
+                          : AppLocalizations.of(context).categoryCreated,
                     ),
                     backgroundColor: Theme.of(context).colorScheme.primary,
                     duration: const Duration(seconds: 2),
@@ -113,10 +121,19 @@ class _CategoryFormContent extends StatefulWidget {
 }
 
 class _CategoryFormContentState extends State<_CategoryFormContent> {
+  /// Chosen color, null for the automatic one
+  late String? _colorHex = widget.initialValue?.colorHex;
+
+  /// Parent category, null for a top-level one
+  late String? _parentId = widget.initialValue?.parentId;
+
   @override
   Widget build(BuildContext context) {
     final cubit = context.read<CategoryFormCubit>();
     final theme = Theme.of(context);
+    final l10n = AppLocalizations.of(context);
+    final categoryId = widget.initialValue?.id;
+    final parentOptions = cubit.parentOptions(categoryId);
 
     return Padding(
       padding: const EdgeInsets.symmetric(
@@ -144,8 +161,8 @@ class _CategoryFormContentState extends State<_CategoryFormContent> {
                       ).createShader(bounds),
                       child: Text(
                         widget.initialValue != null
-                            ? 'Update Category'
-                            : 'Add Category',
+                            ? l10n.categoryUpdate
+                            : l10n.categoryAdd,
                         style: const TextStyle(
                           fontSize: 28, // v4's h2
                           fontWeight: FontWeight.w700,
@@ -154,12 +171,20 @@ class _CategoryFormContentState extends State<_CategoryFormContent> {
                       ),
                     ),
                   ),
+                  if (categoryId != null &&
+                      cubit.reassignTargets(categoryId).isNotEmpty)
+                    IconButton(
+                      icon: const Icon(TablerIcons.arrowMerge),
+                      tooltip: l10n.categoryMerge,
+                      onPressed: () => _handleMerge(context, categoryId),
+                    ),
                   if (widget.initialValue != null)
                     IconButton(
                       icon: Icon(
                         TablerIcons.trash,
                         color: theme.colorScheme.error,
                       ),
+                      tooltip: l10n.categoryDeleteTitle,
                       onPressed: () =>
                           _handleDelete(context, widget.initialValue!.id),
                     ),
@@ -214,7 +239,7 @@ class _CategoryFormContentState extends State<_CategoryFormContent> {
                   Expanded(
                     child: CustomTextInput(
                       name: 'categoryName',
-                      hintText: 'Category name',
+                      hintText: l10n.categoryName,
                       validator: (value) => cubit.validateName(
                         value,
                         excludeId: widget.initialValue?.id,
@@ -224,10 +249,41 @@ class _CategoryFormContentState extends State<_CategoryFormContent> {
                 ],
               ),
 
+              CategoryColorPicker(
+                categoryId: categoryId,
+                selectedColorHex: _colorHex,
+                onColorSelected: (colorHex) {
+                  setState(() => _colorHex = colorHex);
+                },
+              ),
+
+              // Subcategories can't have subcategories themselves
+              if (parentOptions.isNotEmpty)
+                DropdownButtonFormField<String?>(
+                  initialValue: _validParentId(cubit),
+                  decoration: InputDecoration(
+                    labelText: l10n.categoryParent,
+                  ),
+                  items: [
+                    DropdownMenuItem(
+                      value: null,
+                      child: Text(l10n.categoryParentNone),
+                    ),
+                    for (final parent in parentOptions)
+                      DropdownMenuItem(
+                        value: parent.id,
+                        child: Text(parent.name),
+                      ),
+                  ],
+                  onChanged: (parentId) {
+                    setState(() => _parentId = parentId);
+                  },
+                ),
+
               // Actions
               FormActionsRow(
                 actionWidget: Text(
-                  widget.initialValue != null ? 'Update' : 'Add',
+                  widget.initialValue != null ? l10n.update : l10n.add,
                 ),
                 actionHandler: () => _handleSubmit(context),
                 onCancel: () => Navigator.of(context).pop(),
@@ -244,9 +300,11 @@ class _CategoryFormContentState extends State<_CategoryFormContent> {
     final cubit = context.read<CategoryFormCubit>();
 
     if (widget.selectedIconName == null) {
-      ScaffoldMessenger.of(
-        context,
-      ).showSnackBar(const SnackBar(content: Text('Please select an icon')));
+      ScaffoldMessenger.of(context).showSnackBar(
+        SnackBar(
+          content: Text(AppLocalizations.of(context).categoryIconRequired),
+        ),
+      );
       return;
     }
 
@@ -267,36 +325,79 @@ class _CategoryFormContentState extends State<_CategoryFormContent> {
         widget.initialValue!.id,
         name,
         widget.selectedIconName!,
+        colorHex: _colorHex,
+        parentId: _validParentId(cubit),
       );
     } else {
-      cubit.createCategory(name, widget.selectedIconName!);
+      cubit.createCategory(
+        name,
+        widget.selectedIconName!,
+        colorHex: _colorHex,
+        parentId: _validParentId(cubit),
+      );
     }
   }
 
-  /// Handle delete with confirmation dialog
-  void _handleDelete(BuildContext context, String id) {
-    showDialog(
-      context: context,
-      builder: (dialogContext) => AlertDialog(
-        title: const Text('Delete Category?'),
-        content: const Text('This action cannot be undone.'),
-        actions: [
-          TextButton(
-            onPressed: () => Navigator.of(dialogContext).pop(),
-            child: const Text('Cancel'),
-          ),
-          TextButton(
-            onPressed: () {
-              Navigator.of(dialogContext).pop();
-              context.read<CategoryFormCubit>().deleteCategory(id);
-            },
-            child: Text(
-              'Delete',
-              style: TextStyle(color: Theme.of(context).colorScheme.error),
-            ),
-          ),
-        ],
-      ),
+  /// The chosen parent, unless it can no longer be one (deleted, or
+  /// made a subcategory meanwhile)
+  String? _validParentId(CategoryFormCubit cubit) {
+    final options = cubit.parentOptions(widget.initialValue?.id);
+    return options.any((c) => c.id == _parentId) ? _parentId : null;
+  }
+
+  /// Handle merge: pick the category taking over this one's transactions,
+  /// allocations and recurring transactions
+  Future<void> _handleMerge(BuildContext context, String id) async {
+    final cubit = context.read<CategoryFormCubit>();
+
+    final impact = await cubit.deletionImpact(id);
+    if (!context.mounted) return;
+
+    final targetId = await showMergeCategoryDialog(
+      context,
+      name: widget.initialValue!.name,
+      impact: impact,
+      targets: {
+        for (final category in cubit.reassignTargets(id))
+          category.id: category.name,
+      },
+    );
+    if (targetId == null) return;
+
+    await cubit.mergeCategory(id, targetId);
+  }
+
+  /// Handle delete: confirm, and ask what becomes of the transactions,
+  /// allocations and recurring transactions using the category
+  Future<void> _handleDelete(BuildContext context, String id) async {
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.read<CategoryFormCubit>();
+
+    final impact = await cubit.deletionImpact(id);
+    if (!context.mounted) return;
+
+    final choice = await showDeleteDependentsDialog(
+      context,
+      title: l10n.categoryDeleteTitle,
+      impact: impact,
+      targets: {
+        for (final category in cubit.reassignTargets(id))
+          category.id: category.name,
+      },
+      reassignLabel: l10n.categoryDeleteReassign,
+      unassignLabel: l10n.categoryDeleteUnassign,
+      notes: [
+        if (impact.allocations > 0) l10n.categoryDeleteAllocationsNote,
+        if (impact.recurring > 0) l10n.categoryDeleteRecurringNote,
+        if (cubit.hasSubcategories(id)) l10n.categoryDeleteSubcategoriesNote,
+      ],
+    );
+    if (choice == null) return;
+
+    await cubit.deleteCategory(
+      id,
+      action: choice.action,
+      targetId: choice.targetId,
     );
   }
 
@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:flutter/material.dart';
 
 /// Search input for filtering category icons
@@ -22,7 +23,7 @@ class CategoryIconSearch extends StatelessWidget {
     return TextField(
       onChanged: onSearchChanged,
       decoration: InputDecoration(
-        hintText: 'Search icons...',
+        hintText: AppLocalizations.of(context).categoryIconSearchHint,
         hintStyle: const TextStyle(fontSize: 16),
         contentPadding: const EdgeInsets.symmetric(
           vertical: 12,
@@ -0,0 +1,107 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/data/trash/deletion_service.dart';
+import 'package:flutter/material.dart';
+
+/// Asks which category to merge category [name] into, showing what moves
+/// ([impact])
+///
+/// Completes with the chosen target's ID, or null when cancelled.
+/// [targets] are the categories it can merge into: names by ID.
+Future<String?> showMergeCategoryDialog(
+  BuildContext context, {
+  required String name,
+  required DeletionImpact impact,
+  required Map<String, String> targets,
+}) {
+  return showDialog<String>(
+    context: context,
+    builder: (_) => _MergeCategoryDialog(
+      name: name,
+      impact: impact,
+      targets: targets,
+    ),
+  );
+}
+
+class _MergeCategoryDialog extends StatefulWidget {
+  final String name;
+  final DeletionImpact impact;
+  final Map<String, String> targets;
+
+  const _MergeCategoryDialog({
+    required this.name,
+    required this.impact,
+    required this.targets,
+  });
+
+  @override
+  State<_MergeCategoryDialog> createState() => _MergeCategoryDialogState();
+}
+
+class _MergeCategoryDialogState extends State<_MergeCategoryDialog> {
+  String? _targetId;
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final impact = widget.impact;
+
+    final moved = [
+      if (impact.transactions > 0)
+        l10n.deleteImpactTransactions(impact.transactions),
+      if (impact.allocations > 0)
+        l10n.deleteImpactAllocations(impact.allocations),
+      if (impact.recurring > 0) l10n.deleteImpactRecurring(impact.recurring),
+    ];
+
+    return AlertDialog(
+      title: Text(l10n.categoryMergeTitle(widget.name)),
+      scrollable: true,
+      content: Column(
+        mainAxisSize: MainAxisSize.min,
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          DropdownButton<String>(
+            value: _targetId,
+            isExpanded: true,
+            hint: Text(l10n.deleteChooseTarget),
+            items: [
+              for (final target in widget.targets.entries)
+                DropdownMenuItem(
+                  value: target.key,
+                  child: Text(target.value),
+                ),
+            ],
+            onChanged: (id) => setState(() => _targetId = id),
+          ),
+          SizedBox(height: spacing.sm),
+          if (moved.isNotEmpty) ...[
+            Text(l10n.categoryMergeMoves),
+            SizedBox(height: spacing.xs),
+            for (final line in moved) Text('• $line'),
+            SizedBox(height: spacing.sm),
+          ],
+          Text(
+            l10n.categoryMergeMessage(widget.name),
+            style: theme.textTheme.bodySmall,
+          ),
+        ],
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: _targetId == null
+              ? null
+              : () => Navigator.pop(context, _targetId),
+          child: Text(l10n.categoryMerge),
+        ),
+      ],
+    );
+  }
+}
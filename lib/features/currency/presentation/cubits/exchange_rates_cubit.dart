@@ -0,0 +1,111 @@
+import 'dart:async';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/currency/exchange_rate_parser.dart';
+import 'package:centabit/data/models/exchange_rate_model.dart';
+import 'package:centabit/data/repositories/exchange_rate_repository.dart';
+import 'package:centabit/features/currency/presentation/cubits/exchange_rates_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the exchange rates page.
+///
+/// **Data Flow**:
+/// ```
+/// ExchangeRateRepository emits rates (or the default currency changed)
+///   ↓
+/// Emit ExchangeRatesState.ready(rates, defaultCurrency)
+///   ↓
+/// User saves / deletes a rate, imports a file or picks a currency
+///   ↓
+/// Repository writes → stream emits → list rebuilt
+/// ```
+class ExchangeRatesCubit extends Cubit<ExchangeRatesState> {
+  final ExchangeRateRepository _exchangeRateRepository;
+
+  StreamSubscription? _ratesSubscription;
+
+  ExchangeRatesCubit(this._exchangeRateRepository)
+      : super(const ExchangeRatesState.initial()) {
+    _ratesSubscription =
+        _exchangeRateRepository.ratesStream.listen((_) => _emitReady());
+
+    // Initial load
+    _emitReady();
+  }
+
+  void _emitReady() {
+    emit(ExchangeRatesState.ready(
+      rates: _exchangeRateRepository.rates,
+      defaultCurrency: _exchangeRateRepository.defaultCurrency,
+    ));
+  }
+
+  /// Save the rate of a pair: 1 [baseCode] = [rate] [quoteCode]
+  Future<void> saveRate({
+    required String baseCode,
+    required String quoteCode,
+    required double rate,
+  }) {
+    return _run(
+      L10n.current.exchangeRatesSaveFailed,
+      () => _exchangeRateRepository.saveRate(ExchangeRateModel(
+        baseCode: baseCode,
+        quoteCode: quoteCode,
+        rate: rate,
+        updatedAt: DateTime.now(),
+      )),
+    );
+  }
+
+  /// Delete the rate of a pair
+  Future<void> deleteRate(ExchangeRateModel rate) {
+    return _run(
+      L10n.current.exchangeRatesDeleteFailed,
+      () => _exchangeRateRepository.deleteRate(rate.baseCode, rate.quoteCode),
+    );
+  }
+
+  /// Import a rate file (see [ExchangeRateParser] for the format)
+  Future<void> importRates(String content) async {
+    try {
+      final count = await _exchangeRateRepository.importRates(content);
+      emit(ExchangeRatesState.imported(count));
+      _emitReady();
+    } on ExchangeRateParseException catch (e) {
+      _fail(e.message);
+    } catch (e) {
+      _fail(L10n.current.exchangeRatesImportFailed('$e'));
+    }
+  }
+
+  /// Change the currency of new transactions/budgets and mixed totals
+  Future<void> setDefaultCurrency(String currencyCode) {
+    return _run(
+      L10n.current.exchangeRatesDefaultCurrencyFailed,
+      () => _exchangeRateRepository.setDefaultCurrency(currencyCode),
+    );
+  }
+
+  /// Run an action; on failure show the error, worded by [failure]
+  Future<void> _run(
+    String Function(String error) failure,
+    Future<void> Function() execute,
+  ) async {
+    try {
+      await execute();
+    } catch (e) {
+      _fail(failure('$e'));
+    }
+  }
+
+  /// Show the error, then the page again
+  void _fail(String message) {
+    emit(ExchangeRatesState.error(message));
+    _emitReady();
+  }
+
+  @override
+  Future<void> close() {
+    _ratesSubscription?.cancel();
+    return super.close();
+  }
+}
@@ -0,0 +1,23 @@
+import 'package:centabit/data/models/exchange_rate_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'exchange_rates_state.freezed.dart';
+
+/// State for the exchange rates page
+///
+/// Union type states:
+/// - initial: Before the first load
+/// - ready: Rates (sorted by pair) and the default currency
+/// - imported: A rate file was imported with its count (the page shows it,
+///   then the cubit is ready again)
+/// - error: Saving, deleting or importing failed with error message
+@freezed
+class ExchangeRatesState with _$ExchangeRatesState {
+  const factory ExchangeRatesState.initial() = _Initial;
+  const factory ExchangeRatesState.ready({
+    required List<ExchangeRateModel> rates,
+    required String defaultCurrency,
+  }) = _Ready;
+  const factory ExchangeRatesState.imported(int count) = _Imported;
+  const factory ExchangeRatesState.error(String message) = _Error;
+}
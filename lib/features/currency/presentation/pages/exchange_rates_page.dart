@@ -0,0 +1,403 @@
+import 'dart:convert';
+
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/exchange_rate_model.dart';
+import 'package:centabit/features/currency/presentation/cubits/exchange_rates_cubit.dart';
+import 'package:centabit/features/currency/presentation/cubits/exchange_rates_state.dart';
+import 'package:file_picker/file_picker.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Currencies & exchange rates page.
+///
+/// - Default currency: new transactions/budgets and the monthly overview
+/// - Rates: entered by hand (tap to edit) or imported from a CSV file with
+///   `BASE,QUOTE,RATE` lines. Works offline: amounts are converted with
+///   these rates only.
+///
+/// **Navigation**:
+/// - Route: `/exchange-rates` (sub-route under dashboard)
+/// - Accessed from: Profiles page app bar
+class ExchangeRatesPage extends StatelessWidget {
+  const ExchangeRatesPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<ExchangeRatesCubit>(),
+      child: const _ExchangeRatesContent(),
+    );
+  }
+}
+
+/// Internal content widget for the exchange rates page.
+///
+/// Separated from ExchangeRatesPage to allow BlocProvider scoping.
+class _ExchangeRatesContent extends StatelessWidget {
+  const _ExchangeRatesContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return BlocConsumer<ExchangeRatesCubit, ExchangeRatesState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          imported: (count) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(content: Text(l10n.exchangeRatesImported(count))),
+            );
+          },
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      buildWhen: (_, current) => current.maybeWhen(
+        imported: (_) => false,
+        error: (_) => false,
+        orElse: () => true,
+      ),
+      builder: (context, state) {
+        return Scaffold(
+          appBar: AppBar(
+            title: Text(l10n.exchangeRatesTitle),
+            leading: IconButton(
+              icon: const Icon(DirectionalIcons.back),
+              onPressed: () => context.pop(),
+            ),
+            actions: [
+              IconButton(
+                icon: const Icon(TablerIcons.fileImport),
+                tooltip: l10n.exchangeRatesImport,
+                onPressed: () => _importRates(context),
+              ),
+            ],
+          ),
+          floatingActionButton: FloatingActionButton(
+            tooltip: l10n.exchangeRatesAdd,
+            onPressed: () => _editRate(context),
+            child: const Icon(TablerIcons.plus),
+          ),
+          body: state.maybeWhen(
+            ready: (rates, defaultCurrency) =>
+                _buildContent(context, rates, defaultCurrency),
+            orElse: () => const Center(child: CircularProgressIndicator()),
+          ),
+        );
+      },
+    );
+  }
+
+  Widget _buildContent(
+    BuildContext context,
+    List<ExchangeRateModel> rates,
+    String defaultCurrency,
+  ) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return ListView(
+      padding: EdgeInsets.symmetric(vertical: spacing.md),
+      children: [
+        ListTile(
+          leading: const Icon(TablerIcons.coin),
+          title: Text(l10n.exchangeRatesDefaultCurrency),
+          subtitle: Text(l10n.exchangeRatesDefaultCurrencySubtitle),
+          trailing: DropdownButton<String>(
+            value: defaultCurrency,
+            underline: const SizedBox.shrink(),
+            items: [
+              for (final code in _currencyChoices(defaultCurrency))
+                DropdownMenuItem(value: code, child: Text(code)),
+            ],
+            onChanged: (code) {
+              if (code == null) return;
+              context.read<ExchangeRatesCubit>().setDefaultCurrency(code);
+            },
+          ),
+        ),
+        const Divider(height: 1),
+        Padding(
+          padding: EdgeInsetsDirectional.fromSTEB(
+            spacing.lg,
+            spacing.lg,
+            spacing.lg,
+            spacing.sm,
+          ),
+          child: Text(
+            l10n.exchangeRatesSection,
+            style: theme.textTheme.titleMedium,
+          ),
+        ),
+        if (rates.isEmpty)
+          Padding(
+            padding: EdgeInsets.symmetric(horizontal: spacing.lg),
+            child: Text(
+              l10n.exchangeRatesEmpty,
+              style: theme.textTheme.bodySmall,
+            ),
+          )
+        else
+          for (final rate in rates) ...[
+            _RateTile(rate: rate),
+            const Divider(height: 1),
+          ],
+      ],
+    );
+  }
+
+  Future<void> _importRates(BuildContext context) async {
+    final cubit = context.read<ExchangeRatesCubit>();
+    final result = await FilePicker.platform.pickFiles(
+      type: FileType.custom,
+      allowedExtensions: const ['csv', 'txt'],
+      withData: true,
+    );
+    final bytes = result?.files.singleOrNull?.bytes;
+    if (bytes == null) return;
+
+    await cubit.importRates(utf8.decode(bytes, allowMalformed: true));
+  }
+}
+
+/// Add a rate, or edit [rate], with [_RateDialog]
+Future<void> _editRate(BuildContext context, [ExchangeRateModel? rate]) async {
+  final cubit = context.read<ExchangeRatesCubit>();
+  final result = await showDialog<_RateResult>(
+    context: context,
+    builder: (_) => _RateDialog(rate: rate),
+  );
+  if (result == null) return;
+
+  await cubit.saveRate(
+    baseCode: result.baseCode,
+    quoteCode: result.quoteCode,
+    rate: result.rate,
+  );
+}
+
+/// Common currencies, plus [selected] if it isn't one of them
+List<String> _currencyChoices(String selected) {
+  return [
+    if (!CurrencyFormatter.commonCurrencies.contains(selected)) selected,
+    ...CurrencyFormatter.commonCurrencies,
+  ];
+}
+
+/// One rate: "1 EUR = 1.08 USD", edited on tap
+class _RateTile extends StatelessWidget {
+  final ExchangeRateModel rate;
+
+  const _RateTile({required this.rate});
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return ListTile(
+      leading: Icon(TablerIcons.arrowsExchange, color: colorScheme.primary),
+      // A formula: reads left to right in every locale
+      title: Text(
+        '1 ${rate.baseCode} = ${rate.rate} ${rate.quoteCode}',
+        textDirection: TextDirection.ltr,
+        textAlign: TextAlign.start,
+      ),
+      subtitle: Text(
+        l10n.exchangeRatesUpdated(DateFormatter.formatDate(rate.updatedAt)),
+      ),
+      trailing: IconButton(
+        icon: Icon(TablerIcons.trash, color: colorScheme.error),
+        tooltip: l10n.delete,
+        onPressed: () => _confirmDelete(context),
+      ),
+      onTap: () => _editRate(context, rate),
+    );
+  }
+
+  Future<void> _confirmDelete(BuildContext context) async {
+    final cubit = context.read<ExchangeRatesCubit>();
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    final confirmed = await showDialog<bool>(
+      context: context,
+      builder: (dialogContext) => AlertDialog(
+        title: Text(l10n.exchangeRatesDeleteTitle),
+        content: Text(
+          l10n.exchangeRatesDeleteMessage(
+            '${rate.baseCode}/${rate.quoteCode}',
+          ),
+        ),
+        actions: [
+          TextButton(
+            onPressed: () => Navigator.pop(dialogContext, false),
+            child: Text(
+              l10n.cancel,
+              style: TextStyle(color: colorScheme.onSurface),
+            ),
+          ),
+          TextButton(
+            onPressed: () => Navigator.pop(dialogContext, true),
+            child: Text(
+              l10n.delete,
+              style: TextStyle(color: colorScheme.error),
+            ),
+          ),
+        ],
+      ),
+    );
+    if (confirmed ?? false) await cubit.deleteRate(rate);
+  }
+}
+
+/// Values returned by [_RateDialog]
+typedef _RateResult = ({String baseCode, String quoteCode, double rate});
+
+/// Currency pair and rate editor (pair fixed when editing a rate)
+class _RateDialog extends StatefulWidget {
+  final ExchangeRateModel? rate;
+
+  const _RateDialog({this.rate});
+
+  @override
+  State<_RateDialog> createState() => _RateDialogState();
+}
+
+class _RateDialogState extends State<_RateDialog> {
+  final _formKey = GlobalKey<FormState>();
+  late final TextEditingController _rateController;
+  late String _baseCode;
+  late String _quoteCode;
+
+  bool get _isEditing => widget.rate != null;
+
+  @override
+  void initState() {
+    super.initState();
+    _baseCode = widget.rate?.baseCode ?? 'EUR';
+    _quoteCode = widget.rate?.quoteCode ?? CurrencyFormatter.fallbackCurrency;
+    _rateController = TextEditingController(
+      text: widget.rate?.rate.toString() ?? '',
+    );
+  }
+
+  @override
+  void dispose() {
+    _rateController.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final spacing = Theme.of(context).extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return AlertDialog(
+      title: Text(
+        _isEditing ? l10n.exchangeRatesEditTitle : l10n.exchangeRatesAddTitle,
+      ),
+      content: Form(
+        key: _formKey,
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          spacing: spacing.sm,
+          children: [
+            Row(
+              spacing: spacing.md,
+              children: [
+                Expanded(
+                  child: _buildCurrencyDropdown(
+                    label: l10n.exchangeRatesUnitOf,
+                    value: _baseCode,
+                    onChanged: (code) => setState(() => _baseCode = code),
+                  ),
+                ),
+                Expanded(
+                  child: _buildCurrencyDropdown(
+                    label: l10n.exchangeRatesCosts,
+                    value: _quoteCode,
+                    onChanged: (code) => setState(() => _quoteCode = code),
+                  ),
+                ),
+              ],
+            ),
+            TextFormField(
+              controller: _rateController,
+              autofocus: true,
+              decoration: InputDecoration(
+                labelText: l10n.exchangeRatesRate,
+                helperText: '1 $_baseCode = ? $_quoteCode',
+              ),
+              keyboardType: const TextInputType.numberWithOptions(
+                decimal: true,
+              ),
+              inputFormatters: [
+                FilteringTextInputFormatter.allow(RegExp(r'^\d*\.?\d*')),
+              ],
+              validator: (value) {
+                if (_baseCode == _quoteCode) {
+                  return l10n.exchangeRatesSameCurrency;
+                }
+                final rate = double.tryParse(value ?? '');
+                return (rate == null || rate <= 0)
+                    ? l10n.exchangeRatesRatePositive
+                    : null;
+              },
+            ),
+          ],
+        ),
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: () {
+            if (!(_formKey.currentState?.validate() ?? false)) return;
+            Navigator.pop<_RateResult>(context, (
+              baseCode: _baseCode,
+              quoteCode: _quoteCode,
+              rate: double.parse(_rateController.text),
+            ));
+          },
+          child: Text(l10n.save),
+        ),
+      ],
+    );
+  }
+
+  Widget _buildCurrencyDropdown({
+    required String label,
+    required String value,
+    required ValueChanged<String> onChanged,
+  }) {
+    return DropdownButtonFormField<String>(
+      initialValue: value,
+      decoration: InputDecoration(labelText: label),
+      items: [
+        for (final code in _currencyChoices(value))
+          DropdownMenuItem(value: code, child: Text(code)),
+      ],
+      // The pair identifies the rate: editing changes the rate only
+      onChanged: _isEditing ? null : (code) => onChanged(code!),
+    );
+  }
+}
@@ -1,14 +1,18 @@
 import 'dart:async';
 import 'package:flutter_bloc/flutter_bloc.dart';
 import 'package:centabit/core/utils/smart_budget_calculator.dart';
+import 'package:centabit/data/currency/currency_converter.dart';
+import 'package:centabit/data/history/spending_history_service.dart';
 import 'package:centabit/data/models/allocation_model.dart';
 import 'package:centabit/data/models/budget_model.dart';
 import 'package:centabit/data/models/category_model.dart';
 import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/models/transaction_total.dart';
 import 'package:centabit/data/models/transactions_chart_data.dart';
 import 'package:centabit/data/repositories/allocation_repository.dart';
 import 'package:centabit/data/repositories/budget_repository.dart';
 import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/exchange_rate_repository.dart';
 import 'package:centabit/data/repositories/transaction_repository.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/dashboard_state.dart';
 
@@ -18,6 +22,13 @@ import 'package:centabit/features/dashboard/presentation/cubits/dashboard_state.
 /// categories) to build comprehensive budget reports with BAR calculations
 /// and chart data.
 ///
+/// **Learning**: each budget's BAR uses the spending curves
+/// [SpendingHistoryService] learned from the budgets that ended before it.
+///
+/// **Currencies**: budget pages are computed in the budget's base currency
+/// and the monthly overview in the user's default currency; transactions
+/// in other currencies are converted with the user's exchange rates.
+///
 /// **Architecture Pattern**: MVVM with Cubit
 /// - Replaces v0.4's `DashboardViewModel` (Command pattern)
 /// - Uses stream subscriptions instead of `Command.combineLatest`
@@ -61,6 +72,8 @@ class DashboardCubit extends Cubit<DashboardState> {
   final AllocationRepository _allocationRepository;
   final TransactionRepository _transactionRepository;
   final CategoryRepository _categoryRepository;
+  final ExchangeRateRepository _exchangeRateRepository;
+  final SpendingHistoryService _spendingHistory;
 
   // Smart BAR calculator instance
   final SmartBudgetCalculator _barCalculator = SmartBudgetCalculator();
@@ -70,6 +83,12 @@ class DashboardCubit extends Cubit<DashboardState> {
   StreamSubscription? _allocationSubscription;
   StreamSubscription? _transactionSubscription;
   StreamSubscription? _categorySubscription;
+  StreamSubscription? _exchangeRateSubscription;
+  StreamSubscription? _spendingHistorySubscription;
+
+  // Incremented per load, so a slower earlier load can't overwrite a newer
+  // result
+  int _loadId = 0;
 
   /// Creates dashboard cubit with service dependencies.
   ///
@@ -84,6 +103,8 @@ class DashboardCubit extends Cubit<DashboardState> {
     this._allocationRepository,
     this._transactionRepository,
     this._categoryRepository,
+    this._exchangeRateRepository,
+    this._spendingHistory,
   ) : super(const DashboardState.initial()) {
     _subscribeToStreams();
   }
@@ -95,11 +116,10 @@ class DashboardCubit extends Cubit<DashboardState> {
   /// current data.
   ///
   /// **Performance Note**:
-  /// This recalculates everything on any change. For in-memory data with
-  /// <100 items, this is acceptable. If performance becomes an issue:
-  /// - Add debouncing to prevent rapid successive updates
-  /// - Implement incremental updates (only recalculate changed budgets)
-  /// - Cache last computation
+  /// This recalculates everything on any change. Transaction amounts are
+  /// summed by the database ([TransactionRepository.getTotals]), a few rows
+  /// per budget and category, so a reload costs the same whatever the
+  /// length of the history.
   void _subscribeToStreams() {
     _budgetSubscription = _budgetRepository.budgetsStream.listen((_) {
       _loadDashboardData();
@@ -109,7 +129,7 @@ class DashboardCubit extends Cubit<DashboardState> {
       _loadDashboardData();
     });
 
-    _transactionSubscription = _transactionRepository.transactionsStream.listen((_) {
+    _transactionSubscription = _transactionRepository.changesStream.listen((_) {
       _loadDashboardData();
     });
 
@@ -117,6 +137,18 @@ class DashboardCubit extends Cubit<DashboardState> {
       _loadDashboardData();
     });
 
+    // Rates or default currency changed: converted amounts change too
+    _exchangeRateSubscription =
+        _exchangeRateRepository.ratesStream.listen((_) {
+      _loadDashboardData();
+    });
+
+    // Newly learned spending curves change the expected pace
+    _spendingHistorySubscription =
+        _spendingHistory.historyStream.listen((_) {
+      _loadDashboardData();
+    });
+
     // Initial load
     _loadDashboardData();
   }
@@ -132,7 +164,8 @@ class DashboardCubit extends Cubit<DashboardState> {
   ///
   /// **Error Handling**:
   /// Catches any exceptions and emits error state with message.
-  void _loadDashboardData() {
+  Future<void> _loadDashboardData() async {
+    final loadId = ++_loadId;
     emit(const DashboardState.loading());
 
     try {
@@ -140,18 +173,22 @@ class DashboardCubit extends Cubit<DashboardState> {
       final activeBudgets = _budgetRepository.getActiveBudgets();
 
       // Build a page model for each active budget
-      final budgetPages = activeBudgets.map((budget) {
-        return _buildBudgetPageModel(budget);
-      }).toList();
+      final budgetPages = [
+        for (final budget in activeBudgets)
+          await _buildBudgetPageModel(budget),
+      ];
 
       // Build monthly overview for current calendar month
-      final monthlyOverview = _buildMonthlyOverviewModel(DateTime.now());
+      final monthlyOverview = await _buildMonthlyOverviewModel(DateTime.now());
 
+      // A newer load started meanwhile: its result wins
+      if (loadId != _loadId || isClosed) return;
       emit(DashboardState.success(
         budgetPages: budgetPages,
         monthlyOverview: monthlyOverview,
       ));
     } catch (e) {
+      if (loadId != _loadId || isClosed) return;
       emit(DashboardState.error(e.toString()));
     }
   }
@@ -164,43 +201,59 @@ class DashboardCubit extends Cubit<DashboardState> {
   /// **Aggregates**:
   /// - Budget metadata
   /// - Allocations for this budget
-  /// - Transactions for this budget
+  /// - Transaction totals for this budget, per category, currency and type
   /// - All categories (for chart display)
   ///
   /// **Computes**:
   /// - Chart data (allocations vs transactions per category)
   /// - Total budgeted amount
   /// - Total spent amount
-  /// - BAR value
+  /// - BAR value, projection and safe daily spend, for the budget and for
+  ///   each allocated category
   ///
   /// **Parameters**:
   /// - `budget`: The budget to build data for
   ///
   /// **Returns**: Complete [BudgetPageModel] ready for UI rendering
-  BudgetPageModel _buildBudgetPageModel(BudgetModel budget) {
+  Future<BudgetPageModel> _buildBudgetPageModel(BudgetModel budget) async {
     // Get allocations for this budget
     final allocations = _allocationRepository.getAllocationsForBudget(budget.id);
 
-    // Get transactions - ONLY include explicitly assigned to this budget
-    final transactions = _transactionRepository.transactions.where((t) {
-      // Transaction must be in budget's date range
-      final isInDateRange = !t.transactionDate.isBefore(budget.startDate) &&
-          !t.transactionDate.isAfter(budget.endDate);
-
-      // Transaction must be explicitly linked to this budget
-      final isLinkedToBudget = t.budgetId == budget.id;
-
-      return isInDateRange && isLinkedToBudget;
-    }).toList();
+    // Sum transactions - ONLY those explicitly assigned to this budget,
+    // within its date range (the end date is inclusive)
+    final totals = await _transactionRepository.getTotals(
+      budgetId: budget.id,
+      start: budget.startDate,
+      end: budget.endDate.add(const Duration(seconds: 1)),
+    );
 
     // Get all categories for chart display
     final categories = _categoryRepository.categories;
 
+    // Amounts in the budget's base currency
+    final converter = _exchangeRateRepository.converter;
+
+    // Budget and categories share the expected pace: the curve learned
+    // from earlier budgets, or the default one
+    final historicalData = _spendingHistory.historyFor(budget);
+    final now = DateTime.now();
+    BARCalculation paceOf(double spent, double allocated) => _calculateBAR(
+          totalBudget: allocated,
+          totalSpent: spent,
+          startDate: budget.startDate,
+          endDate: budget.endDate,
+          now: now,
+          historicalData: historicalData,
+        );
+
     // Build chart data combining allocations and transactions
     final chartData = _buildChartData(
       allocations: allocations,
-      transactions: transactions,
+      totals: totals,
       categories: categories,
+      converter: converter,
+      paceOf: paceOf,
+      currencyCode: budget.currencyCode,
     );
 
     // Calculate total budgeted amount (sum of allocations)
@@ -211,32 +264,22 @@ class DashboardCubit extends Cubit<DashboardState> {
 
     // Calculate total spent amount (sum of transactions)
     // Credit transactions reduce spending (income)
-    final totalSpent = transactions.fold<double>(
-      0,
-      (sum, transaction) {
-        if (transaction.type == TransactionType.credit) {
-          return sum - transaction.amount;
-        } else {
-          return sum + transaction.amount;
-        }
-      },
-    );
+    final totalSpent = totals.sumIn(budget.currencyCode, converter, net: true);
 
-    // Calculate BAR (Budget Available Ratio)
-    final barValue = _calculateBAR(
-      totalBudget: totalBudget,
-      totalSpent: totalSpent,
-      startDate: budget.startDate,
-      endDate: budget.endDate,
-      now: DateTime.now(),
-    );
+    // Calculate BAR (Budget Available Ratio) and forecast
+    final pace = paceOf(totalSpent, totalBudget);
 
     return BudgetPageModel(
       budget: budget,
-      barIndexValue: barValue,
+      barIndexValue: pace.bar,
+      pace: pace,
       chartData: chartData,
       totalBudget: totalBudget,
       totalSpent: totalSpent,
+      unconvertedCurrencies: converter.missingRates(
+        totals.currencyCodes,
+        budget.currencyCode,
+      ),
     );
   }
 
@@ -247,15 +290,20 @@ class DashboardCubit extends Cubit<DashboardState> {
   ///
   /// **Algorithm**:
   /// 1. Create map of allocations by category ID
-  /// 2. Create map of transaction totals by category ID
+  /// 2. Sum the transaction totals by category ID, net of credits
   /// 3. For each category, create TransactionsChartData with both amounts
+  ///    (and the category's pace when it has an allocation)
+  /// 4. Roll subcategories up into their parent category
   ///
   /// **Parameters**:
   /// - `allocations`: List of allocations for the budget
-  /// - `transactions`: List of transactions for the budget
+  /// - `totals`: Transaction totals of the budget
   /// - `categories`: All categories (for complete chart)
+  /// - `converter`: Converts the totals to the budget's currency
+  /// - `paceOf`: BAR and forecast of an amount spent out of an allocation
+  /// - `currencyCode`: The budget's currency
   ///
-  /// **Returns**: List of chart data, one per category
+  /// **Returns**: List of chart data, one per top-level category
   ///
   /// **Example**:
   /// ```
@@ -265,8 +313,11 @@ class DashboardCubit extends Cubit<DashboardState> {
   /// ```
   List<TransactionsChartData> _buildChartData({
     required List<AllocationModel> allocations,
-    required List<TransactionModel> transactions,
+    required List<TransactionTotal> totals,
     required List<CategoryModel> categories,
+    required CurrencyConverter converter,
+    required BARCalculation Function(double spent, double allocated) paceOf,
+    required String currencyCode,
   }) {
     // Map allocation amounts by category ID
     final Map<String, double> allocationMap = {
@@ -274,28 +325,36 @@ class DashboardCubit extends Cubit<DashboardState> {
         allocation.categoryId: allocation.amount,
     };
 
-    // Map transaction totals by category ID
+    // Map net spending by category ID (credits are subtracted, like the
+    // budget's totalSpent)
     final Map<String, double> transactionMap = {};
-    for (var transaction in transactions) {
-      if (transaction.categoryId == null) continue;
+    for (var total in totals) {
+      if (total.categoryId == null) continue;
 
-      final categoryId = transaction.categoryId!;
-      final currentTotal = transactionMap[categoryId] ?? 0;
-
-      // Add transaction amount (all are debit in our current sample data)
-      transactionMap[categoryId] = currentTotal + transaction.amount;
+      final categoryId = total.categoryId!;
+      transactionMap[categoryId] = (transactionMap[categoryId] ?? 0) +
+          [total].sumIn(currencyCode, converter, net: true);
     }
 
     // Build chart data for each category
-    return categories.map((category) {
-      return TransactionsChartData(
-        categoryId: category.id,
-        categoryName: category.name,
-        categoryIconName: category.iconName,
-        allocationAmount: allocationMap[category.id] ?? 0,
-        transactionAmount: transactionMap[category.id] ?? 0,
-      );
-    }).toList();
+    return categories
+        .map((category) {
+          final allocated = allocationMap[category.id] ?? 0;
+          final spent = transactionMap[category.id] ?? 0;
+          return TransactionsChartData(
+            categoryId: category.id,
+            categoryName: category.name,
+            categoryIconName: category.iconName,
+            allocationAmount: allocated,
+            transactionAmount: spent,
+            currencyCode: currencyCode,
+            pace: allocated > 0 ? paceOf(spent, allocated) : null,
+            colorHex: category.colorHex,
+            parentId: category.parentId,
+          );
+        })
+        .toList()
+        .rolledUp(categories: categories, paceOf: paceOf);
   }
 
   /// Calculates Budget Adherence Ratio (BAR) using smart calculator.
@@ -322,6 +381,11 @@ class DashboardCubit extends Cubit<DashboardState> {
   /// 50% of time (vs 50% linear). Reflects real spending behavior
   /// where people spend more right after receiving income.
   ///
+  /// **Learned Curve**:
+  /// With enough `historicalData` (see
+  /// [SmartBudgetCalculator.minHistoricalPeriods]), the expected amount
+  /// blends the user's past spending pace (70%) with the curve (30%).
+  ///
   /// **Example**:
   /// ```
   /// Budget: $1500, Period: 30 days
@@ -339,42 +403,28 @@ class DashboardCubit extends Cubit<DashboardState> {
   /// - `startDate`: Budget period start
   /// - `endDate`: Budget period end
   /// - `now`: Current date/time
+  /// - `historicalData`: Periods learned from earlier budgets
   ///
-  /// **Returns**: BAR value from smart calculator
-  double _calculateBAR({
+  /// **Returns**: Full calculation from smart calculator: BAR, projected
+  /// end-of-period spending and safe daily spend
+  BARCalculation _calculateBAR({
     required double totalBudget,
     required double totalSpent,
     required DateTime startDate,
     required DateTime endDate,
     required DateTime now,
+    required List<HistoricalSpendingPeriod> historicalData,
   }) {
-    // Calculate total days in budget period (inclusive)
-    final totalDays = endDate.difference(startDate).inDays + 1;
-
-    // Calculate elapsed days based on current date
-    final int elapsedDays;
-    if (now.isBefore(startDate)) {
-      // Before budget starts
-      elapsedDays = 0;
-    } else if (now.isAfter(endDate)) {
-      // After budget ends
-      elapsedDays = totalDays;
-    } else {
-      // During budget period
-      elapsedDays = now.difference(startDate).inDays + 1;
-    }
-
-    // Use smart calculator with front-loaded curve
-    // TODO: Add historical data when we implement learning feature
-    final calculation = _barCalculator.calculate(
-      daysElapsed: elapsedDays,
-      totalDays: totalDays,
+    // Front-loaded curve, blended with the learned one when there is
+    // enough history
+    return _barCalculator.calculateForPeriod(
+      startDate: startDate,
+      endDate: endDate,
+      now: now,
       actualSpent: totalSpent,
       totalBudget: totalBudget,
-      // historicalData: [], // Future enhancement
+      historicalData: historicalData,
     );
-
-    return calculation.bar;
   }
 
   /// Builds monthly spending overview for current calendar month.
@@ -385,9 +435,9 @@ class DashboardCubit extends Cubit<DashboardState> {
   ///
   /// **Algorithm**:
   /// 1. Calculate month's date range (1st day 00:00 to last day 23:59:59)
-  /// 2. Filter transactions for current month (debit only)
+  /// 2. Sum the month's transactions in SQL (debit only)
   /// 3. Separate budgeted (budgetId != null) vs unassigned (budgetId == null)
-  /// 4. Calculate spending totals for each category
+  /// 4. Calculate spending totals for each group
   /// 5. Calculate percentage vs total budgeted amount
   ///
   /// **Parameters**:
@@ -400,30 +450,34 @@ class DashboardCubit extends Cubit<DashboardState> {
   /// final overview = _buildMonthlyOverviewModel(DateTime(2024, 12, 15));
   /// // Returns data for entire December 2024 (Dec 1 - Dec 31)
   /// ```
-  MonthlyOverviewModel _buildMonthlyOverviewModel(DateTime month) {
+  Future<MonthlyOverviewModel> _buildMonthlyOverviewModel(
+    DateTime month,
+  ) async {
     // Get current month's date range (normalized to full month)
     final monthStart = DateTime(month.year, month.month, 1);
     final monthEnd = DateTime(month.year, month.month + 1, 0, 23, 59, 59);
 
-    // Filter transactions for current month (debit only)
+    // Sum transactions for current month (debit only)
     // Credit transactions are excluded from monthly overview
-    final monthTransactions = _transactionRepository.transactions.where((t) {
-      return !t.transactionDate.isBefore(monthStart) &&
-          !t.transactionDate.isAfter(monthEnd) &&
-          t.type == TransactionType.debit;
-    }).toList();
+    final monthTotals = await _transactionRepository.getTotals(
+      start: monthStart,
+      end: DateTime(month.year, month.month + 1, 1),
+      type: TransactionType.debit,
+    );
+
+    // Amounts in the user's default currency
+    final currencyCode = _exchangeRateRepository.defaultCurrency;
+    final converter = _exchangeRateRepository.converter;
 
     // Separate budgeted vs unassigned transactions
-    final budgetedTransactions =
-        monthTransactions.where((t) => t.budgetId != null).toList();
-    final unassignedTransactions =
-        monthTransactions.where((t) => t.budgetId == null).toList();
+    final budgetedTotals =
+        monthTotals.where((t) => t.budgetId != null).toList();
+    final unassignedTotals =
+        monthTotals.where((t) => t.budgetId == null).toList();
 
     // Calculate spending totals
-    final budgetedSpent =
-        budgetedTransactions.fold<double>(0, (sum, t) => sum + t.amount);
-    final unassignedSpent =
-        unassignedTransactions.fold<double>(0, (sum, t) => sum + t.amount);
+    final budgetedSpent = budgetedTotals.sumIn(currencyCode, converter);
+    final unassignedSpent = unassignedTotals.sumIn(currencyCode, converter);
     final totalSpent = budgetedSpent + unassignedSpent;
 
     // Calculate total budgeted amount for active budgets overlapping this month
@@ -435,7 +489,13 @@ class DashboardCubit extends Cubit<DashboardState> {
 
     final totalBudgetedAmount = activeBudgets.fold<double>(0, (sum, budget) {
       final allocations = _allocationRepository.getAllocationsForBudget(budget.id);
-      return sum + allocations.fold<double>(0, (s, a) => s + a.amount);
+      final allocated = allocations.fold<double>(0, (s, a) => s + a.amount);
+      return sum +
+          converter.convert(
+            allocated,
+            from: budget.currencyCode,
+            to: currencyCode,
+          );
     });
 
     // Calculate percentage of budgeted spending vs total budget
@@ -448,10 +508,11 @@ class DashboardCubit extends Cubit<DashboardState> {
       totalSpent: totalSpent,
       budgetedSpent: budgetedSpent,
       unassignedSpent: unassignedSpent,
-      budgetedCount: budgetedTransactions.length,
-      unassignedCount: unassignedTransactions.length,
+      budgetedCount: budgetedTotals.transactionCount,
+      unassignedCount: unassignedTotals.transactionCount,
       percentageSpent: percentageSpent,
       hasUnassignedSpending: unassignedSpent > 0,
+      currencyCode: currencyCode,
     );
   }
 
@@ -469,8 +530,7 @@ class DashboardCubit extends Cubit<DashboardState> {
   /// )
   /// ```
   Future<void> refresh() {
-    _loadDashboardData();
-    return Future.value();
+    return _loadDashboardData();
   }
 
   /// Cancels all stream subscriptions when cubit is closed.
@@ -483,6 +543,8 @@ class DashboardCubit extends Cubit<DashboardState> {
     _allocationSubscription?.cancel();
     _transactionSubscription?.cancel();
     _categorySubscription?.cancel();
+    _exchangeRateSubscription?.cancel();
+    _spendingHistorySubscription?.cancel();
     return super.close();
   }
 }
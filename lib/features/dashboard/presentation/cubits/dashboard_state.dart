@@ -1,3 +1,4 @@
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
 import 'package:centabit/data/models/budget_model.dart';
 import 'package:centabit/data/models/transactions_chart_data.dart';
 import 'package:freezed_annotation/freezed_annotation.dart';
@@ -141,6 +142,12 @@ class BudgetPageModel {
   /// ```
   final double barIndexValue;
 
+  /// Full pace calculation behind [barIndexValue]
+  ///
+  /// Adds the projected end-of-period spending and how much can still be
+  /// spent per day without going over.
+  final BARCalculation? pace;
+
   /// Chart data for all categories.
   ///
   /// Contains one entry per category with:
@@ -177,15 +184,24 @@ class BudgetPageModel {
   /// ```
   final double totalSpent;
 
+  /// Currencies of this budget's transactions with no exchange rate into
+  /// `budget.currencyCode`
+  ///
+  /// Their amounts are counted 1:1 in [totalSpent], [chartData] and BAR;
+  /// the UI asks for the missing rates.
+  final Set<String> unconvertedCurrencies;
+
   /// Creates a budget page model with all required data.
   ///
   /// All fields are required and must be computed by [DashboardCubit].
   const BudgetPageModel({
     required this.budget,
     required this.barIndexValue,
+    this.pace,
     required this.chartData,
     required this.totalBudget,
     required this.totalSpent,
+    this.unconvertedCurrencies = const {},
   });
 
   /// Calculates remaining budget.
@@ -331,6 +347,11 @@ class MonthlyOverviewModel {
   /// `true` if `unassignedSpent > 0`, used to trigger warning UI.
   final bool hasUnassignedSpending;
 
+  /// Currency (ISO 4217 code) of the amounts: the user's default currency
+  ///
+  /// Transactions and budgets in other currencies are converted into it.
+  final String currencyCode;
+
   /// Creates a monthly overview model.
   ///
   /// All fields are required and must be computed by [DashboardCubit].
@@ -343,6 +364,7 @@ class MonthlyOverviewModel {
     required this.unassignedCount,
     required this.percentageSpent,
     required this.hasUnassignedSpending,
+    required this.currencyCode,
   });
 
   /// Total number of transactions (budgeted + unassigned).
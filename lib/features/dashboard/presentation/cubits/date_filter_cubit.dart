@@ -1,6 +1,7 @@
 import 'dart:async';
 
 import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/transaction_model.dart';
 import 'package:centabit/data/repositories/category_repository.dart';
 import 'package:centabit/data/repositories/transaction_repository.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/date_filter_state.dart';
@@ -19,7 +20,7 @@ import 'package:flutter_bloc/flutter_bloc.dart';
 ///
 /// **Responsibilities**:
 /// 1. Manage selected date
-/// 2. Filter transactions by date (day/month/year match)
+/// 2. Watch the selected day's transactions (a database query of that day)
 /// 3. Denormalize transactions with category data
 /// 4. Format dates for display
 /// 5. React to transaction/category changes
@@ -30,9 +31,9 @@ import 'package:flutter_bloc/flutter_bloc.dart';
 ///   ↓
 /// changeDate(newDate)
 ///   ↓
-/// _filterTransactionsByDate(newDate)
+/// _watchDate(newDate)
 ///   ↓
-/// Filter: transactions where date matches
+/// Query: transactions dated on that day (re-emitted when they change)
 ///   ↓
 /// Denormalize: add category name/icon
 ///   ↓
@@ -66,6 +67,10 @@ class DateFilterCubit extends Cubit<DateFilterState> {
   StreamSubscription? _transactionSubscription;
   StreamSubscription? _categorySubscription;
 
+  // Latest transactions of the watched day
+  DateTime? _watchedDate;
+  List<TransactionModel> _transactionsOnDate = const [];
+
   /// Creates date filter cubit with service dependencies.
   ///
   /// Initializes with today's date and starts listening to service streams.
@@ -93,16 +98,28 @@ class DateFilterCubit extends Cubit<DateFilterState> {
   /// - User adds a new transaction → refilter current date
   /// - User changes a category name → update denormalized data
   void _subscribeToStreams() {
-    _transactionSubscription = _transactionRepository.transactionsStream.listen((_) {
-      _filterTransactionsByDate(state.selectedDate);
-    });
-
     _categorySubscription = _categoryRepository.categoriesStream.listen((_) {
-      _filterTransactionsByDate(state.selectedDate);
+      final date = _watchedDate;
+      if (date != null) _emitTransactions(date, _transactionsOnDate);
     });
 
     // Initial load for today's date
-    _filterTransactionsByDate(state.selectedDate);
+    _watchDate(state.selectedDate);
+  }
+
+  /// Switches the transaction stream to [date]'s day
+  ///
+  /// The stream emits the day's transactions right away, then whenever
+  /// they change.
+  void _watchDate(DateTime date) {
+    _transactionSubscription?.cancel();
+    _transactionSubscription = _transactionRepository
+        .watchTransactionsByDate(date)
+        .listen((transactions) {
+      _watchedDate = date;
+      _transactionsOnDate = transactions;
+      _emitTransactions(date, transactions);
+    });
   }
 
   /// Changes the selected date and filters transactions.
@@ -119,36 +136,27 @@ class DateFilterCubit extends Cubit<DateFilterState> {
   /// ```
   void changeDate(DateTime newDate) {
     final normalizedDate = DateFormatter.normalizeToDay(newDate);
-    _filterTransactionsByDate(normalizedDate);
+    _watchDate(normalizedDate);
   }
 
-  /// Filters transactions by date and denormalizes with category data.
+  /// Denormalizes a day's transactions with category data.
   ///
   /// **Algorithm**:
-  /// 1. Normalize date to 00:00:00 for accurate comparison
-  /// 2. Filter transactions where year/month/day match
-  /// 3. For each transaction:
+  /// 1. For each transaction:
   ///    - Look up category by ID
   ///    - Create TransactionVModel with denormalized data
   ///    - Format date string
-  /// 4. Emit new state
+  /// 2. Emit new state
   ///
-  /// **Pattern**: Same as TransactionListCubit._loadTransactions()
+  /// **Pattern**: Same as TransactionListCubit._toViewModel()
   ///
   /// **Parameters**:
-  /// - `date`: The date to filter by (should be normalized)
-  void _filterTransactionsByDate(DateTime date) {
-    // Get all transactions
-    final allTransactions = _transactionRepository.transactions;
-
-    // Filter by date (year, month, day match)
-    final transactionsOnDate = allTransactions.where((transaction) {
-      final txDate = transaction.transactionDate;
-      return txDate.year == date.year &&
-          txDate.month == date.month &&
-          txDate.day == date.day;
-    }).toList();
-
+  /// - `date`: The day shown (normalized)
+  /// - `transactionsOnDate`: The transactions dated on that day
+  void _emitTransactions(
+    DateTime date,
+    List<TransactionModel> transactionsOnDate,
+  ) {
     // Denormalize with category data (pattern from TransactionListCubit)
     final viewModels = transactionsOnDate.map((transaction) {
       // Look up category if transaction has one
@@ -161,6 +169,7 @@ class DateFilterCubit extends Cubit<DateFilterState> {
         id: transaction.id,
         name: transaction.name,
         amount: transaction.amount,
+        currencyCode: transaction.currencyCode,
         type: transaction.type,
         transactionDate: transaction.transactionDate,
         formattedDate: DateFormatter.formatTransactionDateTime(
@@ -171,6 +180,16 @@ class DateFilterCubit extends Cubit<DateFilterState> {
         categoryName: category?.name,
         categoryIconName: category?.iconName,
         notes: transaction.notes,
+        splits: transaction.splits.map((line) {
+          final category = line.categoryId != null
+              ? _categoryRepository.getCategoryByIdSync(line.categoryId!)
+              : null;
+          return (
+            amount: line.amount,
+            categoryName: category?.name,
+            categoryIconName: category?.iconName,
+          );
+        }).toList(),
       );
     }).toList();
 
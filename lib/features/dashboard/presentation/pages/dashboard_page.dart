@@ -1,4 +1,5 @@
 import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/dashboard_cubit.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/date_filter_cubit.dart';
@@ -100,7 +101,8 @@ class _DashboardView extends StatelessWidget {
           children: [
             _buildWavingHand(),
             SizedBox(width: spacing.sm),
-            const Text('Hi David'), // TODO: User name from settings
+            // TODO: User name from settings
+            Text(AppLocalizations.of(context).dashboardGreeting('David')),
           ],
         ),
       ),
@@ -1,8 +1,11 @@
 import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
 import 'package:centabit/core/utils/date_formatter.dart';
 import 'package:centabit/core/utils/show_modal.dart';
+import 'package:centabit/core/utils/show_undo_snack_bar.dart';
 import 'package:centabit/data/models/transaction_model.dart';
 import 'package:centabit/data/repositories/category_repository.dart';
 import 'package:centabit/data/repositories/transaction_repository.dart';
@@ -32,8 +35,9 @@ import 'package:intl/intl.dart';
 /// - Back navigation: Returns to dashboard
 ///
 /// **Data Source**:
-/// Reads from DashboardCubit (no separate cubit needed).
-/// Filters transactions locally based on month from MonthlyOverviewModel.
+/// Reads the summary from DashboardCubit (no separate cubit needed), and
+/// watches the transactions of the overview's month, which it splits into
+/// budgeted and unassigned debits.
 ///
 /// **Layout**:
 /// ```
@@ -63,9 +67,33 @@ import 'package:intl/intl.dart';
 /// // Navigate from card
 /// context.push('/monthly-overview');
 /// ```
-class MonthlyOverviewDetailPage extends StatelessWidget {
+class MonthlyOverviewDetailPage extends StatefulWidget {
   const MonthlyOverviewDetailPage({super.key});
 
+  @override
+  State<MonthlyOverviewDetailPage> createState() =>
+      _MonthlyOverviewDetailPageState();
+}
+
+class _MonthlyOverviewDetailPageState
+    extends State<MonthlyOverviewDetailPage> {
+  // Transactions of the month shown, watched while the page is open
+  DateTime? _month;
+  Stream<List<TransactionModel>>? _monthTransactions;
+
+  /// Transactions of [month] (a first day), kept across rebuilds
+  Stream<List<TransactionModel>> _watchMonth(DateTime month) {
+    if (month != _month || _monthTransactions == null) {
+      _month = month;
+      _monthTransactions = getIt<TransactionRepository>()
+          .watchTransactionsInRange(
+            month,
+            DateTime(month.year, month.month + 1, 1),
+          );
+    }
+    return _monthTransactions!;
+  }
+
   @override
   Widget build(BuildContext context) {
     return BlocBuilder<DashboardCubit, DashboardState>(
@@ -87,7 +115,7 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
             appBar: _buildAppBar(context, null),
             body: Center(
               child: Text(
-                'Error: $msg',
+                AppLocalizations.of(context).errorMessage(msg),
                 style: TextStyle(
                   color: Theme.of(context).colorScheme.error,
                 ),
@@ -101,14 +129,18 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
 
   /// Builds app bar with month title from current data.
   AppBar _buildAppBar(BuildContext context, MonthlyOverviewModel? overview) {
-    final monthYear = overview != null
-        ? DateFormat('MMMM yyyy').format(overview.month)
-        : 'Monthly';
+    final l10n = AppLocalizations.of(context);
 
     return AppBar(
-      title: Text('$monthYear Breakdown'),
+      title: Text(
+        overview != null
+            ? l10n.monthlyBreakdownTitle(
+                DateFormat.yMMMM().format(overview.month),
+              )
+            : l10n.monthlyBreakdownTitleGeneric,
+      ),
       leading: IconButton(
-        icon: const Icon(TablerIcons.arrowLeft),
+        icon: const Icon(DirectionalIcons.back),
         onPressed: () => context.pop(),
       ),
     );
@@ -120,29 +152,41 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
     MonthlyOverviewModel overview,
   ) {
     final spacing = Theme.of(context).extension<AppSpacing>()!;
-    final transactionRepo = getIt<TransactionRepository>();
-
-    // Filter transactions for current month (debit only)
     final monthStart = DateTime(overview.month.year, overview.month.month, 1);
-    final monthEnd =
-        DateTime(overview.month.year, overview.month.month + 1, 0, 23, 59, 59);
 
-    final monthTransactions = transactionRepo.transactions.where((t) {
-      return !t.transactionDate.isBefore(monthStart) &&
-          !t.transactionDate.isAfter(monthEnd) &&
-          t.type == TransactionType.debit;
-    }).toList();
+    return StreamBuilder<List<TransactionModel>>(
+      stream: _watchMonth(monthStart),
+      builder: (context, snapshot) {
+        final transactions = snapshot.data;
+        if (transactions == null) {
+          return const Center(child: CircularProgressIndicator());
+        }
+        return _buildSections(context, overview, transactions, spacing);
+      },
+    );
+  }
+
+  /// Builds the summary and the budgeted and unassigned sections from the
+  /// month's transactions (newest first).
+  Widget _buildSections(
+    BuildContext context,
+    MonthlyOverviewModel overview,
+    List<TransactionModel> monthTransactions,
+    AppSpacing spacing,
+  ) {
+    final l10n = AppLocalizations.of(context);
 
-    // Separate budgeted vs unassigned
-    final budgetedTxns =
-        monthTransactions.where((t) => t.budgetId != null).toList();
-    final unassignedTxns =
-        monthTransactions.where((t) => t.budgetId == null).toList();
+    // Debit only, like the overview's totals
+    final debits =
+        monthTransactions.where((t) => t.type == TransactionType.debit);
 
-    // Sort by date (newest first)
-    budgetedTxns.sort((a, b) => b.transactionDate.compareTo(a.transactionDate));
-    unassignedTxns
-        .sort((a, b) => b.transactionDate.compareTo(a.transactionDate));
+    // Separate budgeted vs unassigned (a split transaction can be both)
+    final budgetedTxns = debits
+        .where((t) => t.lines.any((line) => line.budgetId != null))
+        .toList();
+    final unassignedTxns = debits
+        .where((t) => t.lines.any((line) => line.budgetId == null))
+        .toList();
 
     return RefreshIndicator(
       onRefresh: () async {
@@ -163,7 +207,7 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
               // Budgeted transactions section
               _buildSection(
                 context,
-                title: 'Budgeted Transactions',
+                title: l10n.monthlyBudgetedTransactions,
                 count: budgetedTxns.length,
                 transactions: budgetedTxns,
                 icon: TablerIcons.wallet,
@@ -175,7 +219,7 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
               // Unassigned transactions section
               _buildSection(
                 context,
-                title: 'Unassigned Transactions',
+                title: l10n.monthlyUnassignedTransactions,
                 count: unassignedTxns.length,
                 transactions: unassignedTxns,
                 icon: TablerIcons.alertTriangle,
@@ -248,7 +292,7 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
             Icon(icon, color: headerColor, size: 24),
             SizedBox(width: spacing.sm),
             Text(
-              '$title ($count)',
+              AppLocalizations.of(context).titleWithCount(title, count),
               style: theme.textTheme.titleMedium?.copyWith(
                 fontWeight: FontWeight.w600,
                 color: headerColor,
@@ -275,7 +319,7 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
       width: double.infinity,
       padding: EdgeInsets.all(spacing.xl),
       child: Text(
-        'No transactions in this category',
+        AppLocalizations.of(context).monthlyNoTransactions,
         textAlign: TextAlign.center,
         style: theme.textTheme.bodyMedium?.copyWith(
           color: theme.colorScheme.onSurface.withValues(alpha: 0.5),
@@ -306,16 +350,23 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
       },
       onDelete: () {
         transactionRepo.deleteTransaction(transaction.id);
+        showUndoSnackBar(
+          context,
+          message: AppLocalizations.of(context).transactionDeleted,
+          onUndo: () => transactionRepo.restoreTransaction(transaction.id),
+        );
       },
       onCopy: () {
         final copy = TransactionModel.create(
           name: transaction.name,
           amount: transaction.amount,
+          currencyCode: transaction.currencyCode,
           type: transaction.type,
           transactionDate: DateTime.now(),
           categoryId: transaction.categoryId,
           budgetId: transaction.budgetId,
           notes: transaction.notes,
+          splits: transaction.splits,
         );
 
         showModalBottomSheetUtil(
@@ -348,6 +399,7 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
       id: txn.id,
       name: txn.name,
       amount: txn.amount,
+      currencyCode: txn.currencyCode,
       type: txn.type,
       transactionDate: txn.transactionDate,
       formattedDate: DateFormatter.formatTransactionDateTime(txn.transactionDate),
@@ -356,6 +408,16 @@ class MonthlyOverviewDetailPage extends StatelessWidget {
       categoryName: category?.name,
       categoryIconName: category?.iconName,
       notes: txn.notes,
+      splits: txn.splits.map((line) {
+        final category = line.categoryId != null
+            ? categoryRepo.getCategoryByIdSync(line.categoryId!)
+            : null;
+        return (
+          amount: line.amount,
+          categoryName: category?.name,
+          categoryIconName: category?.iconName,
+        );
+      }).toList(),
     );
   }
 }
@@ -2,7 +2,9 @@ import 'dart:async';
 
 import 'package:centabit/data/models/transactions_chart_data.dart';
 import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/category_colors.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
 import 'package:fl_chart/fl_chart.dart';
 import 'package:flutter/material.dart';
 
@@ -12,6 +14,11 @@ import 'package:flutter/material.dart';
 /// - Left bar (onSurface color): Budget allocation
 /// - Right bar (secondary color): Actual transactions
 ///
+/// In right-to-left locales the whole chart is mirrored: the Y-axis is on
+/// the right, categories run right to left from it, and the budget bar is
+/// the right one of each pair. fl_chart always lays bars out left to right,
+/// so the categories and rods are reversed instead (see [_orderedData]).
+///
 /// **Ported from v0.4**: `lib/ui/transactions/widgets/budget_chart.dart`
 /// **Adaptations for v0.5**:
 /// - Removed CurrencyViewModel dependency (hardcoded "$" for now)
@@ -24,7 +31,7 @@ import 'package:flutter/material.dart';
 /// 1. **Touch Interaction**: Tap a bar to highlight it temporarily (1 second)
 /// 2. **Tooltips**: Shows category name and amount on hover/tap
 /// 3. **Legend**: Shows color coding for Budget vs Transactions
-/// 4. **Icons**: Category icons as bottom axis labels
+/// 4. **Icons**: Category icons, in the category colors, as bottom axis labels
 /// 5. **Auto-scaling**: Y-axis adjusts to data with 25% buffer
 /// 6. **Animation**: Smooth 500ms animation when data changes
 /// 7. **Horizontal Scroll**: Automatically scrollable when 7+ categories
@@ -79,7 +86,8 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
   /// Null when no bar is touched.
   int? touchedGroupIndex;
 
-  /// Currently touched rod index within group (0=allocation, 1=transaction).
+  /// Currently touched rod index within group (drawing position, see
+  /// [_budgetRodIndex]).
   ///
   /// Null when no bar is touched.
   int? touchedRodIndex;
@@ -96,6 +104,18 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
   /// Timer for auto-hiding tooltip
   Timer? _tooltipTimer;
 
+  bool get _isRtl => Directionality.of(context) == TextDirection.rtl;
+
+  /// [BudgetBarChart.data] in left-to-right drawing order: reversed in
+  /// right-to-left locales, so the first category is next to the Y-axis.
+  /// Group indexes reported by fl_chart index this list.
+  List<TransactionsChartData> get _orderedData =>
+      _isRtl ? widget.data.reversed.toList() : widget.data;
+
+  /// Drawing position of the budget rod in a group (the spending rod is
+  /// the other one): first in reading order, so on the right in RTL
+  int get _budgetRodIndex => _isRtl ? 1 : 0;
+
   @override
   void dispose() {
     _scrollController.dispose();
@@ -168,14 +188,19 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
                                 showTitles: true,
                                 getTitlesWidget: (value, meta) {
                                   final index = value.toInt();
-                                  if (index >= widget.data.length) return Container();
+                                  final data = _orderedData;
+                                  if (index >= data.length) return Container();
 
-                                  final iconName = widget.data[index].categoryIconName;
+                                  final item = data[index];
                                   return SideTitleWidget(
                                     meta: meta,
                                     child: Icon(
-                                      TablerIcons.all[iconName],
+                                      TablerIcons.all[item.categoryIconName],
                                       size: 16,
+                                      color: CategoryColors.of(
+                                        item.categoryId,
+                                        item.colorHex,
+                                      ),
                                     ),
                                   );
                                 },
@@ -200,10 +225,10 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
                 ),
               // Floating tooltip (centered in visible viewport)
               if (tooltipText != null)
-                Positioned(
+                PositionedDirectional(
                   top: 8,
-                  left: 40, // Y-axis width
-                  right: 0,
+                  start: 40, // Y-axis width
+                  end: 0,
                   child: IgnorePointer(
                     child: Align(
                       alignment: Alignment.topCenter,
@@ -250,9 +275,9 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
       children: [
         // Top label
         Padding(
-          padding: const EdgeInsets.only(right: 8),
+          padding: const EdgeInsetsDirectional.only(end: 8),
           child: Text(
-            maxY.toInt().toString(),
+            CurrencyFormatter.formatNumber(maxY, decimalDigits: 0),
             style: TextStyle(
               color: Theme.of(context).colorScheme.onSurface,
               fontWeight: FontWeight.bold,
@@ -262,9 +287,12 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
         ),
         // Middle label
         Padding(
-          padding: const EdgeInsets.only(right: 8),
+          padding: const EdgeInsetsDirectional.only(end: 8),
           child: Text(
-            (maxY - interval).toInt().toString(),
+            CurrencyFormatter.formatNumber(
+              maxY - interval,
+              decimalDigits: 0,
+            ),
             style: TextStyle(
               color: Theme.of(context).colorScheme.onSurface,
               fontWeight: FontWeight.bold,
@@ -274,9 +302,12 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
         ),
         // Second middle label
         Padding(
-          padding: const EdgeInsets.only(right: 8),
+          padding: const EdgeInsetsDirectional.only(end: 8),
           child: Text(
-            (maxY - interval * 2).toInt().toString(),
+            CurrencyFormatter.formatNumber(
+              maxY - interval * 2,
+              decimalDigits: 0,
+            ),
             style: TextStyle(
               color: Theme.of(context).colorScheme.onSurface,
               fontWeight: FontWeight.bold,
@@ -286,9 +317,9 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
         ),
         // Bottom label (0)
         Padding(
-          padding: const EdgeInsets.only(right: 8, bottom: 20), // Extra padding for bottom icons
+          padding: const EdgeInsetsDirectional.only(end: 8, bottom: 20), // Extra padding for bottom icons
           child: Text(
-            '0',
+            CurrencyFormatter.formatNumber(0, decimalDigits: 0),
             style: TextStyle(
               color: Theme.of(context).colorScheme.onSurface,
               fontWeight: FontWeight.bold,
@@ -347,17 +378,21 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
       return;
     }
 
+    final l10n = AppLocalizations.of(context);
     final groupIndex = response!.spot!.touchedBarGroupIndex;
     final rodIndex = response.spot!.touchedRodDataIndex;
-    final categoryName = widget.data[groupIndex].categoryName;
+    final data = _orderedData[groupIndex];
     final amount = response.spot!.touchedRodData.toY;
-    final label = rodIndex == 0 ? 'Budget' : 'Spending';
+    final label = rodIndex == _budgetRodIndex ? l10n.budget : l10n.spending;
 
     setState(() {
       touchedGroupIndex = groupIndex;
       touchedRodIndex = rodIndex;
-      // TODO: Replace hardcoded "$" with currency from settings
-      tooltipText = '$categoryName ($label): \$${amount.toStringAsFixed(2)}';
+      tooltipText = l10n.chartTooltip(
+        data.categoryName,
+        label,
+        CurrencyFormatter.format(amount, data.currencyCode),
+      );
       _tooltipShowTime = DateTime.now(); // Track when shown
     });
 
@@ -405,12 +440,14 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
     return maxVal + (buffer > minBuffer ? buffer : minBuffer);
   }
 
-  /// Builds bar chart groups (one per category).
+  /// Builds bar chart groups (one per category, in [_orderedData] order).
   ///
   /// Each group contains 2 bars:
   /// - Rod 0: Allocation amount (onSurface color)
   /// - Rod 1: Transaction amount (secondary color)
   ///
+  /// (the other way round in right-to-left locales, see [_budgetRodIndex])
+  ///
   /// **Touch Highlighting**:
   /// - Touched bar gets tertiary color border (2px)
   /// - Light mode: tertiary color with 90% opacity
@@ -426,31 +463,35 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
     // Highlight color for touched bars
     final highlightColor = colorScheme.tertiary.withValues(alpha: 0.9);
 
-    return List.generate(widget.data.length, (i) {
-      final d = widget.data[i];
+    final data = _orderedData;
+    final budgetRodIndex = _budgetRodIndex;
+
+    return List.generate(data.length, (i) {
+      final d = data[i];
+      final rods = [
+        // Allocation bar (left, right in RTL)
+        _buildRod(
+          context,
+          d.allocationAmount,
+          colorScheme.onSurface,
+          i,
+          budgetRodIndex,
+          highlightColor,
+        ),
+        // Transaction bar (right, left in RTL)
+        _buildRod(
+          context,
+          d.transactionAmount,
+          colorScheme.secondary,
+          i,
+          1 - budgetRodIndex,
+          highlightColor,
+        ),
+      ];
       return BarChartGroupData(
         x: i,
         barsSpace: 2,
-        barRods: [
-          // Allocation bar (left)
-          _buildRod(
-            context,
-            d.allocationAmount,
-            colorScheme.onSurface,
-            i,
-            0,
-            highlightColor,
-          ),
-          // Transaction bar (right)
-          _buildRod(
-            context,
-            d.transactionAmount,
-            colorScheme.secondary,
-            i,
-            1,
-            highlightColor,
-          ),
-        ],
+        barRods: _isRtl ? rods.reversed.toList() : rods,
       );
     });
   }
@@ -468,7 +509,7 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
   /// - `toY`: Bar height (data value)
   /// - `color`: Bar color (onSurface or secondary)
   /// - `groupIndex`: Category index
-  /// - `rodIndex`: Rod index within group (0=allocation, 1=transaction)
+  /// - `rodIndex`: Drawing position of the rod within its group
   /// - `highlightColor`: Border color when touched
   ///
   /// **Returns**: Configured bar chart rod data
@@ -504,7 +545,7 @@ class _BudgetBarChartState extends State<BudgetBarChart> {
 /// - Transactions (secondary color)
 ///
 /// **Visual Design**:
-/// - Right-aligned
+/// - Aligned to the end (right, left in RTL)
 /// - Circle indicators (12px)
 /// - Bold text labels (12px)
 /// - 16px spacing between items
@@ -531,7 +572,7 @@ class _Legend extends StatelessWidget {
     final colorScheme = Theme.of(context).colorScheme;
 
     return Padding(
-      padding: const EdgeInsets.only(bottom: 16.0, right: 16.0),
+      padding: const EdgeInsetsDirectional.only(bottom: 16.0, end: 16.0),
       child: Row(
         mainAxisAlignment: MainAxisAlignment.end,
         children: [
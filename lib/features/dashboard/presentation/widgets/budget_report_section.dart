@@ -1,10 +1,13 @@
 import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
 import 'package:centabit/data/models/transactions_chart_data.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/dashboard_cubit.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/dashboard_state.dart';
 import 'package:centabit/features/dashboard/presentation/widgets/budget_bar_chart.dart';
+import 'package:centabit/shared/widgets/pace_forecast.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter_bloc/flutter_bloc.dart';
 
@@ -15,6 +18,8 @@ import 'package:flutter_bloc/flutter_bloc.dart';
 /// - BAR (Budget Available Ratio) with info icon and animated value
 /// - Animated progress bar (changes color when BAR > 1.2)
 /// - Bar chart (allocations vs transactions per category)
+/// - Forecast: projected spending, safe daily spend, categories on pace to
+///   overspend
 /// - Page indicators (animated dots)
 ///
 /// **Ported from v0.4**: `lib/ui/budget/budget_report_section.dart`
@@ -147,7 +152,7 @@ class _BudgetReportSectionState extends State<BudgetReportSection> {
 
           // Success state: show budget cards
           success: (budgetPages, monthlyOverview) {
-            const height = 340.0;
+            const height = 380.0;
 
             // Empty state: no budgets or no chart data
             if (budgetPages.isEmpty || budgetPages.first.chartData.isEmpty) {
@@ -196,6 +201,9 @@ class _BudgetReportSectionState extends State<BudgetReportSection> {
                             data: page.chartData,
                             totalBudget: page.totalBudget,
                             totalSpent: page.totalSpent,
+                            currencyCode: page.budget.currencyCode,
+                            unconvertedCurrencies: page.unconvertedCurrencies,
+                            pace: page.budget.isActive() ? page.pace : null,
                           );
                         },
                       ),
@@ -215,7 +223,7 @@ class _BudgetReportSectionState extends State<BudgetReportSection> {
             padding: const EdgeInsets.symmetric(horizontal: 18),
             child: Center(
               child: Text(
-                'Error: $message',
+                AppLocalizations.of(context).errorMessage(message),
                 style: Theme.of(
                   context,
                 ).textTheme.bodyLarge?.copyWith(color: colorScheme.error),
@@ -237,6 +245,7 @@ class _BudgetReportSectionState extends State<BudgetReportSection> {
 /// - Animated progress bar (color changes at threshold)
 /// - Bar chart with allocations vs transactions
 /// - Total spent and remaining amounts
+/// - End-of-period forecast and categories on pace to overspend
 ///
 /// **Ported from v0.4**: Internal `_BudgetPageContent` class
 class _BudgetPageContent extends StatelessWidget {
@@ -257,12 +266,24 @@ class _BudgetPageContent extends StatelessWidget {
   /// Total spent amount (sum of transactions).
   final double totalSpent;
 
+  /// Budget's base currency (all amounts are in it).
+  final String currencyCode;
+
+  /// Transaction currencies counted 1:1 for lack of an exchange rate.
+  final Set<String> unconvertedCurrencies;
+
+  /// Budget's BAR and end-of-period forecast (null when not running).
+  final BARCalculation? pace;
+
   const _BudgetPageContent({
     required this.monthTitle,
     required this.barIndexValue,
     required this.data,
     required this.totalBudget,
     required this.totalSpent,
+    required this.currencyCode,
+    required this.unconvertedCurrencies,
+    this.pace,
   });
 
   /// Shows BAR info dialog with detailed explanation.
@@ -384,7 +405,7 @@ class _BudgetPageContent extends StatelessWidget {
               duration: const Duration(milliseconds: 600),
               builder: (context, value, child) {
                 return Text(
-                  value.toStringAsFixed(3),
+                  CurrencyFormatter.formatNumber(value, decimalDigits: 3),
                   style: theme.textTheme.bodyMedium?.copyWith(
                     fontWeight: FontWeight.bold,
                     color: colorScheme.secondary,
@@ -425,7 +446,7 @@ class _BudgetPageContent extends StatelessWidget {
                     ),
                   ),
                   child: Align(
-                    alignment: Alignment.centerLeft,
+                    alignment: AlignmentDirectional.centerStart,
                     child: FractionallySizedBox(
                       widthFactor: widthFactor,
                       child: Container(
@@ -480,14 +501,38 @@ class _BudgetPageContent extends StatelessWidget {
         Row(
           mainAxisAlignment: .spaceBetween,
           children: [
-            Text(
-              'Spent: \$${totalSpent.toStringAsFixed(2)}',
-              style: theme.textTheme.bodyMedium?.copyWith(
-                color: colorScheme.error,
-              ),
+            Row(
+              spacing: 4,
+              children: [
+                Text(
+                  l10n.budgetSpentAmount(
+                    CurrencyFormatter.format(totalSpent, currencyCode),
+                  ),
+                  style: theme.textTheme.bodyMedium?.copyWith(
+                    color: colorScheme.error,
+                  ),
+                ),
+                if (unconvertedCurrencies.isNotEmpty)
+                  Tooltip(
+                    message: l10n.noExchangeRate(
+                      unconvertedCurrencies.join(', '),
+                      currencyCode,
+                    ),
+                    child: Icon(
+                      TablerIcons.alertTriangle,
+                      size: 16,
+                      color: colorScheme.error,
+                    ),
+                  ),
+              ],
             ),
             Text(
-              'Remaining: \$${(totalBudget - totalSpent).toStringAsFixed(2)}',
+              l10n.budgetRemainingAmount(
+                CurrencyFormatter.format(
+                  totalBudget - totalSpent,
+                  currencyCode,
+                ),
+              ),
               style: theme.textTheme.bodyMedium?.copyWith(
                 color: (totalBudget - totalSpent) >= 0
                     ? colorScheme.primary
@@ -496,7 +541,32 @@ class _BudgetPageContent extends StatelessWidget {
             ),
           ],
         ),
+
+        // FORECAST
+        if (pace != null) ...[
+          const SizedBox(height: 4),
+          PaceForecast(pace: pace!, currencyCode: currencyCode),
+          _buildCategoriesAtRisk(context),
+        ],
       ],
     );
   }
+
+  /// Categories on pace to end the period over their allocation
+  Widget _buildCategoriesAtRisk(BuildContext context) {
+    final theme = Theme.of(context);
+    final atRisk = data.projectedOverspentCategories();
+    if (atRisk.isEmpty) return const SizedBox.shrink();
+
+    return Text(
+      AppLocalizations.of(context).paceCategoriesAtRisk(
+        atRisk.map((c) => c.categoryName).join(', '),
+      ),
+      style: theme.textTheme.bodySmall?.copyWith(
+        color: theme.colorScheme.error,
+      ),
+      maxLines: 1,
+      overflow: TextOverflow.ellipsis,
+    );
+  }
 }
@@ -1,5 +1,8 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/dashboard_state.dart';
 import 'package:centabit/features/dashboard/presentation/widgets/monthly_overview_summary.dart';
 import 'package:flutter/material.dart';
@@ -102,7 +105,7 @@ class _MonthlyOverviewCardState extends State<MonthlyOverviewCard> {
   /// **Interaction**: Tap to toggle expand/collapse state.
   /// **Displays**: Month name on line 1, total amount on line 2 (both states)
   Widget _buildHeader(ThemeData theme, AppSpacing spacing) {
-    final monthYear = DateFormat('MMMM yyyy').format(widget.overview.month);
+    final monthYear = DateFormat.yMMMM().format(widget.overview.month);
 
     return InkWell(
       onTap: () => setState(() => _isExpanded = !_isExpanded),
@@ -140,7 +143,10 @@ class _MonthlyOverviewCardState extends State<MonthlyOverviewCard> {
                   ),
                   SizedBox(height: 2),
                   Text(
-                    '\$${widget.overview.totalSpent.toStringAsFixed(2)}',
+                    CurrencyFormatter.format(
+                      widget.overview.totalSpent,
+                      widget.overview.currencyCode,
+                    ),
                     style: theme.textTheme.headlineSmall?.copyWith(
                       fontWeight: FontWeight.bold,
                       color: theme.colorScheme.onPrimaryContainer,
@@ -205,9 +211,9 @@ class _MonthlyOverviewCardState extends State<MonthlyOverviewCard> {
       width: double.infinity,
       child: FilledButton.icon(
         onPressed: () => context.pushNamed('monthly-overview-detail'),
-        icon: const Icon(TablerIcons.arrowRight, size: 16),
+        icon: const Icon(DirectionalIcons.forward, size: 16),
         label: Text(
-          'View Full Breakdown',
+          AppLocalizations.of(context).monthlyViewBreakdown,
           style: theme.textTheme.bodyMedium?.copyWith(
             fontWeight: FontWeight.w600,
           ),
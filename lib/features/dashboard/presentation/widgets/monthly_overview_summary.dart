@@ -1,7 +1,10 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/dashboard_state.dart';
 import 'package:flutter/material.dart';
+import 'package:intl/intl.dart';
 
 /// Monthly spending overview summary with side-by-side breakdown boxes.
 ///
@@ -40,15 +43,16 @@ class MonthlyOverviewSummary extends StatelessWidget {
   Widget build(BuildContext context) {
     final spacing = Theme.of(context).extension<AppSpacing>()!;
     final customColors = Theme.of(context).extension<AppCustomColors>()!;
+    final l10n = AppLocalizations.of(context);
 
     return Row(
       children: [
-        // Budgeted box (left)
+        // Budgeted box (start)
         Expanded(
           child: _buildBreakdownBox(
             context,
             icon: TablerIcons.trendingUp,
-            label: 'Budgeted',
+            label: l10n.monthlyBudgeted,
             amount: overview.budgetedSpent,
             percentage: overview.budgetedPercentage,
             count: overview.budgetedCount,
@@ -59,12 +63,12 @@ class MonthlyOverviewSummary extends StatelessWidget {
 
         SizedBox(width: spacing.sm),
 
-        // Unassigned box (right)
+        // Unassigned box (end)
         Expanded(
           child: _buildBreakdownBox(
             context,
             icon: TablerIcons.alertTriangle,
-            label: 'Unassigned',
+            label: l10n.monthlyUnassigned,
             amount: overview.unassignedSpent,
             percentage: overview.unassignedPercentage,
             count: overview.unassignedCount,
@@ -86,7 +90,7 @@ class MonthlyOverviewSummary extends StatelessWidget {
   /// │ $XXX.XX              │  Middle: large amount
   /// │ XX.X%                │  Below: percentage
   /// │                      │
-  /// │              X txns  │  Bottom-right: badge
+  /// │              X txns  │  Bottom-end: badge
   /// └──────────────────────┘
   /// ```
   Widget _buildBreakdownBox(
@@ -131,7 +135,7 @@ class MonthlyOverviewSummary extends StatelessWidget {
 
           // Amount (large, bold)
           Text(
-            '\$${amount.toStringAsFixed(2)}',
+            CurrencyFormatter.format(amount, overview.currencyCode),
             style: theme.textTheme.titleLarge?.copyWith(
               fontWeight: FontWeight.bold,
               color: textColor.withAlpha(255),
@@ -142,7 +146,9 @@ class MonthlyOverviewSummary extends StatelessWidget {
 
           // Percentage (smaller, muted)
           Text(
-            '${percentage.toStringAsFixed(1)}%',
+            NumberFormat.decimalPercentPattern(
+              decimalDigits: 1,
+            ).format(percentage / 100),
             style: theme.textTheme.bodySmall?.copyWith(
               color: textColor.withAlpha(180),
             ),
@@ -150,10 +156,10 @@ class MonthlyOverviewSummary extends StatelessWidget {
 
           SizedBox(height: spacing.sm),
 
-          // Transaction count badge (bottom-right)
+          // Transaction count badge (bottom-end)
           if (showCounts)
             Align(
-              alignment: Alignment.centerRight,
+              alignment: AlignmentDirectional.centerEnd,
               child: Container(
                 padding: const EdgeInsets.symmetric(
                   horizontal: 6,
@@ -164,7 +170,7 @@ class MonthlyOverviewSummary extends StatelessWidget {
                   borderRadius: BorderRadius.circular(10),
                 ),
                 child: Text(
-                  '$count txn${count == 1 ? '' : 's'}',
+                  AppLocalizations.of(context).transactionCountShort(count),
                   style: theme.textTheme.bodySmall?.copyWith(
                     fontSize: 10,
                     fontWeight: FontWeight.w500,
@@ -2,6 +2,7 @@ import 'package:centabit/core/di/injection.dart';
 import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
 import 'package:centabit/core/utils/show_modal.dart';
+import 'package:centabit/core/utils/show_undo_snack_bar.dart';
 import 'package:centabit/data/models/transaction_model.dart';
 import 'package:centabit/data/repositories/transaction_repository.dart';
 import 'package:centabit/features/dashboard/presentation/cubits/date_filter_cubit.dart';
@@ -114,10 +115,12 @@ class _ScrollableTransactionListState extends State<ScrollableTransactionList> {
                     .map(
                       (transaction) => TransactionTile(
                         transaction: transaction,
-                        onEdit: () {
-                          final transactionModel = transactionRepository
-                              .transactions
-                              .firstWhere((t) => t.id == transaction.id);
+                        onEdit: () async {
+                          final transactionModel = await transactionRepository
+                              .getTransactionById(transaction.id);
+                          if (transactionModel == null || !context.mounted) {
+                            return;
+                          }
 
                           showModalBottomSheetUtil(
                             context,
@@ -131,18 +134,27 @@ class _ScrollableTransactionListState extends State<ScrollableTransactionList> {
                           transactionRepository.deleteTransaction(
                             transaction.id,
                           );
+                          showUndoSnackBar(
+                            context,
+                            message: l10n.transactionDeleted,
+                            onUndo: () => transactionRepository
+                                .restoreTransaction(transaction.id),
+                          );
                         },
-                        onCopy: () {
-                          final original = transactionRepository.transactions
-                              .firstWhere((t) => t.id == transaction.id);
+                        onCopy: () async {
+                          final original = await transactionRepository
+                              .getTransactionById(transaction.id);
+                          if (original == null || !context.mounted) return;
                           final copy = TransactionModel.create(
                             name: original.name,
                             amount: original.amount,
+                            currencyCode: original.currencyCode,
                             type: original.type,
                             transactionDate: DateTime.now(),
                             categoryId: original.categoryId,
                             budgetId: original.budgetId,
                             notes: original.notes,
+                            splits: original.splits,
                           );
 
                           showModalBottomSheetUtil(
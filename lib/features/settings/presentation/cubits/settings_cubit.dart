@@ -0,0 +1,43 @@
+import 'dart:async';
+import 'package:centabit/data/models/app_settings_model.dart';
+import 'package:centabit/data/repositories/settings_repository.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit exposing the app settings (state = current settings).
+///
+/// Registered as a singleton: MainApp listens to it for the theme mode and
+/// rebuilds every screen when a setting changes (amounts and dates are
+/// formatted at build time); the settings page edits through it.
+///
+/// **Data Flow**:
+/// ```
+/// Settings page → update(copyWith(...))
+///   ↓
+/// SettingsRepository saves, reconfigures formatters, emits
+///   ↓
+/// Emit new settings → MainApp rebuilds
+/// ```
+class SettingsCubit extends Cubit<AppSettingsModel> {
+  final SettingsRepository _settingsRepository;
+
+  StreamSubscription? _settingsSubscription;
+
+  SettingsCubit(this._settingsRepository)
+      : super(_settingsRepository.settings) {
+    _settingsSubscription = _settingsRepository.settingsStream.listen(emit);
+  }
+
+  /// Save changed settings
+  Future<void> update(AppSettingsModel settings) {
+    return _settingsRepository.update(settings);
+  }
+
+  /// Restore the default settings
+  Future<void> reset() => _settingsRepository.reset();
+
+  @override
+  Future<void> close() {
+    _settingsSubscription?.cancel();
+    return super.close();
+  }
+}
@@ -0,0 +1,404 @@
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/app_settings_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/features/settings/presentation/cubits/settings_cubit.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+import 'package:intl/intl.dart';
+
+/// Settings page.
+///
+/// Device-wide preferences, applied as soon as they change:
+/// - Appearance: theme mode, language
+/// - Amounts: currency symbol or code, its placement, number separators
+///   (the default currency and exchange rates are per profile, on the
+///   Currencies page)
+/// - Dates: date order, 12/24-hour time, first day of the week
+/// - Transactions: type preselected in the new transaction form
+/// - Trash: deleted records (restore or purge), how long they are kept
+///
+/// **Navigation**:
+/// - Route: `/settings` (sub-route under dashboard)
+/// - Accessed from: shared app bar
+class SettingsPage extends StatelessWidget {
+  const SettingsPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider.value(
+      value: getIt<SettingsCubit>(),
+      child: const _SettingsContent(),
+    );
+  }
+}
+
+/// Internal content widget for the settings page.
+///
+/// Separated from SettingsPage to allow BlocProvider scoping.
+class _SettingsContent extends StatelessWidget {
+  const _SettingsContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final l10n = AppLocalizations.of(context);
+
+    return Scaffold(
+      appBar: AppBar(
+        title: Text(l10n.settingsTitle),
+        leading: IconButton(
+          icon: const Icon(DirectionalIcons.back),
+          onPressed: () => context.pop(),
+        ),
+      ),
+      body: BlocBuilder<SettingsCubit, AppSettingsModel>(
+        builder: (context, settings) => _buildContent(context, settings),
+      ),
+    );
+  }
+
+  Widget _buildContent(BuildContext context, AppSettingsModel settings) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.read<SettingsCubit>();
+    final now = DateTime.now();
+
+    return ListView(
+      padding: EdgeInsets.symmetric(vertical: spacing.md),
+      children: [
+        _SectionHeader(l10n.settingsAppearance),
+        _SettingTile(
+          icon: TablerIcons.sunMoon,
+          title: l10n.settingsTheme,
+          child: SegmentedButton<ThemeMode>(
+            segments: [
+              ButtonSegment(
+                value: ThemeMode.system,
+                label: Text(l10n.settingsThemeSystem),
+              ),
+              ButtonSegment(
+                value: ThemeMode.light,
+                label: Text(l10n.settingsThemeLight),
+              ),
+              ButtonSegment(
+                value: ThemeMode.dark,
+                label: Text(l10n.settingsThemeDark),
+              ),
+            ],
+            selected: {settings.themeMode},
+            onSelectionChanged: (selection) => cubit.update(
+              settings.copyWith(themeMode: selection.single),
+            ),
+          ),
+        ),
+        ListTile(
+          leading: const Icon(TablerIcons.language),
+          title: Text(l10n.settingsLanguage),
+          trailing: DropdownButton<String?>(
+            value: settings.languageCode,
+            underline: const SizedBox.shrink(),
+            // Shown for the null value (device language)
+            hint: Text(l10n.settingsLanguageDevice),
+            items: [
+              DropdownMenuItem(child: Text(l10n.settingsLanguageDevice)),
+              for (final locale in AppLocalizations.supportedLocales)
+                DropdownMenuItem(
+                  value: locale.languageCode,
+                  child: Text(lookupAppLocalizations(locale).languageName),
+                ),
+            ],
+            onChanged: (code) =>
+                cubit.update(settings.copyWith(languageCode: code)),
+          ),
+        ),
+        _SectionHeader(l10n.settingsAmounts),
+        _SettingTile(
+          icon: TablerIcons.coin,
+          title: l10n.settingsCurrency,
+          subtitle: l10n.settingsCurrencyPreview(
+            CurrencyFormatter.format(-1234.5, 'EUR'),
+          ),
+          child: Wrap(
+            spacing: spacing.sm,
+            runSpacing: spacing.sm,
+            children: [
+              SegmentedButton<CurrencyDisplay>(
+                segments: const [
+                  ButtonSegment(
+                    value: CurrencyDisplay.symbol,
+                    label: Text('€'),
+                  ),
+                  ButtonSegment(
+                    value: CurrencyDisplay.code,
+                    label: Text('EUR'),
+                  ),
+                ],
+                selected: {settings.currencyDisplay},
+                onSelectionChanged: (selection) => cubit.update(
+                  settings.copyWith(currencyDisplay: selection.single),
+                ),
+              ),
+              SegmentedButton<CurrencyPlacement>(
+                segments: [
+                  ButtonSegment(
+                    value: CurrencyPlacement.before,
+                    label: Text(l10n.settingsCurrencyBefore),
+                  ),
+                  ButtonSegment(
+                    value: CurrencyPlacement.after,
+                    label: Text(l10n.settingsCurrencyAfter),
+                  ),
+                ],
+                selected: {settings.currencyPlacement},
+                onSelectionChanged: (selection) => cubit.update(
+                  settings.copyWith(currencyPlacement: selection.single),
+                ),
+              ),
+            ],
+          ),
+        ),
+        ListTile(
+          leading: const Icon(TablerIcons.decimal),
+          title: Text(l10n.settingsNumberFormat),
+          trailing: DropdownButton<DecimalStyle>(
+            value: settings.decimalStyle,
+            underline: const SizedBox.shrink(),
+            items: [
+              DropdownMenuItem(
+                value: DecimalStyle.locale,
+                child: Text(
+                  l10n.settingsLanguageFormat(
+                    NumberFormat.decimalPatternDigits(
+                      decimalDigits: 2,
+                    ).format(1234.56),
+                  ),
+                ),
+              ),
+              const DropdownMenuItem(
+                value: DecimalStyle.pointDecimal,
+                child: Text('1,234.56'),
+              ),
+              const DropdownMenuItem(
+                value: DecimalStyle.commaDecimal,
+                child: Text('1.234,56'),
+              ),
+              const DropdownMenuItem(
+                value: DecimalStyle.spaceComma,
+                child: Text('1 234,56'),
+              ),
+            ],
+            onChanged: (style) {
+              if (style == null) return;
+              cubit.update(settings.copyWith(decimalStyle: style));
+            },
+          ),
+        ),
+        ListTile(
+          leading: const Icon(TablerIcons.arrowsExchange),
+          title: Text(l10n.settingsExchangeRates),
+          subtitle: Text(l10n.settingsExchangeRatesSubtitle),
+          trailing: const Icon(DirectionalIcons.chevronForward),
+          onTap: () => context.pushNamed('exchange-rates'),
+        ),
+        _SectionHeader(l10n.settingsDates),
+        ListTile(
+          leading: const Icon(TablerIcons.calendar),
+          title: Text(l10n.settingsDateFormat),
+          trailing: DropdownButton<DateStyle>(
+            value: settings.dateStyle,
+            underline: const SizedBox.shrink(),
+            items: [
+              DropdownMenuItem(
+                value: DateStyle.locale,
+                child: Text(
+                  l10n.settingsLanguageFormat(DateFormat.yMMMd().format(now)),
+                ),
+              ),
+              DropdownMenuItem(
+                value: DateStyle.monthDayYear,
+                child: Text(DateFormat('MMM d, y').format(now)),
+              ),
+              DropdownMenuItem(
+                value: DateStyle.dayMonthYear,
+                child: Text(DateFormat('d MMM y').format(now)),
+              ),
+              DropdownMenuItem(
+                value: DateStyle.yearMonthDay,
+                child: Text(DateFormat('y-MM-dd').format(now)),
+              ),
+            ],
+            onChanged: (style) {
+              if (style == null) return;
+              cubit.update(settings.copyWith(dateStyle: style));
+            },
+          ),
+        ),
+        SwitchListTile(
+          secondary: const Icon(TablerIcons.clock),
+          title: Text(l10n.settings24HourTime),
+          subtitle: Text(DateFormatter.formatTime(now)),
+          value: settings.use24HourTime,
+          onChanged: (value) =>
+              cubit.update(settings.copyWith(use24HourTime: value)),
+        ),
+        ListTile(
+          leading: const Icon(TablerIcons.calendarWeek),
+          title: Text(l10n.settingsFirstDayOfWeek),
+          trailing: DropdownButton<int>(
+            value: settings.firstDayOfWeek,
+            underline: const SizedBox.shrink(),
+            items: [
+              for (var day = DateTime.monday; day <= DateTime.sunday; day++)
+                DropdownMenuItem(value: day, child: Text(_weekdayName(day))),
+            ],
+            onChanged: (day) {
+              if (day == null) return;
+              cubit.update(settings.copyWith(firstDayOfWeek: day));
+            },
+          ),
+        ),
+        _SectionHeader(l10n.settingsTransactions),
+        _SettingTile(
+          icon: TablerIcons.switchHorizontal,
+          title: l10n.settingsDefaultType,
+          subtitle: l10n.settingsDefaultTypeSubtitle,
+          child: SegmentedButton<TransactionType>(
+            segments: [
+              ButtonSegment(
+                value: TransactionType.debit,
+                label: Text(l10n.debit),
+              ),
+              ButtonSegment(
+                value: TransactionType.credit,
+                label: Text(l10n.credit),
+              ),
+            ],
+            selected: {settings.defaultTransactionType},
+            onSelectionChanged: (selection) => cubit.update(
+              settings.copyWith(defaultTransactionType: selection.single),
+            ),
+          ),
+        ),
+        ListTile(
+          leading: const Icon(TablerIcons.bolt),
+          title: Text(l10n.rulesTitle),
+          subtitle: Text(l10n.settingsRulesSubtitle),
+          trailing: const Icon(DirectionalIcons.chevronForward),
+          onTap: () => context.pushNamed('categorization-rules'),
+        ),
+        _SectionHeader(l10n.trashTitle),
+        ListTile(
+          leading: const Icon(TablerIcons.trash),
+          title: Text(l10n.settingsDeletedItems),
+          subtitle: Text(l10n.settingsDeletedItemsSubtitle),
+          trailing: const Icon(DirectionalIcons.chevronForward),
+          onTap: () => context.pushNamed('trash'),
+        ),
+        ListTile(
+          leading: const Icon(TablerIcons.clockHour4),
+          title: Text(l10n.settingsTrashRetention),
+          trailing: DropdownButton<int>(
+            value: settings.trashRetentionDays,
+            underline: const SizedBox.shrink(),
+            items: [
+              for (final days in AppSettingsModel.trashRetentionChoices)
+                DropdownMenuItem(
+                  value: days,
+                  child: Text(l10n.settingsTrashRetentionDays(days)),
+                ),
+            ],
+            onChanged: (days) {
+              if (days == null) return;
+              cubit.update(settings.copyWith(trashRetentionDays: days));
+            },
+          ),
+        ),
+        SizedBox(height: spacing.lg),
+        Center(
+          child: TextButton(
+            onPressed: cubit.reset,
+            child: Text(l10n.settingsReset),
+          ),
+        ),
+      ],
+    );
+  }
+
+  /// Localized name of [weekday] ([DateTime.monday] … [DateTime.sunday])
+  static String _weekdayName(int weekday) {
+    // 2024-01-01 was a Monday
+    return DateFormat('EEEE').format(DateTime(2024, 1, weekday));
+  }
+}
+
+/// Title above a group of settings
+class _SectionHeader extends StatelessWidget {
+  final String title;
+
+  const _SectionHeader(this.title);
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+
+    return Padding(
+      padding: EdgeInsetsDirectional.fromSTEB(
+        spacing.lg,
+        spacing.lg,
+        spacing.lg,
+        spacing.xs,
+      ),
+      child: Text(
+        title,
+        style: theme.textTheme.titleSmall?.copyWith(
+          color: theme.colorScheme.primary,
+        ),
+      ),
+    );
+  }
+}
+
+/// Setting whose control is too wide for a ListTile's trailing slot: the
+/// control goes below the title
+class _SettingTile extends StatelessWidget {
+  final IconData icon;
+  final String title;
+  final String? subtitle;
+  final Widget child;
+
+  const _SettingTile({
+    required this.icon,
+    required this.title,
+    this.subtitle,
+    required this.child,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final spacing = Theme.of(context).extension<AppSpacing>()!;
+
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.start,
+      children: [
+        ListTile(
+          leading: Icon(icon),
+          title: Text(title),
+          subtitle: subtitle != null ? Text(subtitle!) : null,
+        ),
+        Padding(
+          // Aligned with the ListTile's title
+          padding: EdgeInsetsDirectional.only(start: 72, end: spacing.lg),
+          child: child,
+        ),
+      ],
+    );
+  }
+}
@@ -0,0 +1,91 @@
+import 'dart:async';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/repositories/sync_conflict_repository.dart';
+import 'package:centabit/features/sync/presentation/cubits/sync_conflicts_state.dart';
+
+/// Cubit for the conflict review screen.
+///
+/// Lists records that were edited on this device and on another one, and
+/// applies the user's choice for each of them.
+///
+/// **Data Flow**:
+/// ```
+/// SyncConflictRepository emits conflicts
+///   ↓
+/// Emit SyncConflictsState.success([SyncConflictModel, ...])
+///   ↓
+/// User picks "Keep mine" / "Keep theirs" / "Keep both"
+///   ↓
+/// Repository resolves + schedules sync → conflict disappears from stream
+/// ```
+///
+/// **Usage**:
+/// ```dart
+/// BlocProvider(
+///   create: (_) => getIt<SyncConflictsCubit>(),
+///   child: ConflictReviewPage(),
+/// )
+/// ```
+class SyncConflictsCubit extends Cubit<SyncConflictsState> {
+  final SyncConflictRepository _conflictRepository;
+
+  StreamSubscription? _conflictSubscription;
+
+  SyncConflictsCubit(this._conflictRepository)
+      : super(const SyncConflictsState.initial()) {
+    _subscribeToStreams();
+  }
+
+  void _subscribeToStreams() {
+    _conflictSubscription = _conflictRepository.conflictsStream.listen((_) {
+      _loadConflicts();
+    });
+
+    // Initial load
+    _loadConflicts();
+  }
+
+  void _loadConflicts() {
+    emit(const SyncConflictsState.loading());
+
+    try {
+      emit(SyncConflictsState.success(
+        conflicts: _conflictRepository.conflicts,
+      ));
+    } catch (e) {
+      emit(SyncConflictsState.error(e.toString()));
+    }
+  }
+
+  /// Keep this device's version
+  Future<void> keepMine(int conflictId) {
+    return _resolve(() => _conflictRepository.keepMine(conflictId));
+  }
+
+  /// Keep the other device's version
+  Future<void> keepTheirs(int conflictId) {
+    return _resolve(() => _conflictRepository.keepTheirs(conflictId));
+  }
+
+  /// Keep both versions (this device's becomes a copy)
+  Future<void> keepBoth(int conflictId) {
+    return _resolve(() => _conflictRepository.keepBoth(conflictId));
+  }
+
+  /// Run a resolution; on failure show the error, then the list again
+  Future<void> _resolve(Future<void> Function() resolution) async {
+    try {
+      await resolution();
+    } catch (e) {
+      emit(SyncConflictsState.error(L10n.current.conflictResolveFailed('$e')));
+      _loadConflicts();
+    }
+  }
+
+  @override
+  Future<void> close() {
+    _conflictSubscription?.cancel();
+    return super.close();
+  }
+}
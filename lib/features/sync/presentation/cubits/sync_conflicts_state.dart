@@ -0,0 +1,32 @@
+import 'package:centabit/data/models/sync_conflict_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'sync_conflicts_state.freezed.dart';
+
+/// States for the conflict review screen.
+///
+/// **State Flow**:
+/// ```
+/// initial → loading → success (with open conflicts)
+///                  ↓
+///                error (if loading or a resolution fails)
+/// ```
+@freezed
+abstract class SyncConflictsState with _$SyncConflictsState {
+  /// Initial state before any data is loaded.
+  const factory SyncConflictsState.initial() = _Initial;
+
+  /// Loading state while reading conflicts.
+  const factory SyncConflictsState.loading() = _Loading;
+
+  /// Success state with open conflicts (empty when everything is resolved).
+  const factory SyncConflictsState.success({
+    required List<SyncConflictModel> conflicts,
+  }) = _Success;
+
+  /// Error state when loading or resolving a conflict fails.
+  ///
+  /// **Parameters**:
+  /// - `message`: Human-readable error description
+  const factory SyncConflictsState.error(String message) = _Error;
+}
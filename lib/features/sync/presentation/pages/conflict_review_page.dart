@@ -0,0 +1,276 @@
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/sync_conflict_model.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/features/sync/presentation/cubits/sync_conflicts_cubit.dart';
+import 'package:centabit/features/sync/presentation/cubits/sync_conflicts_state.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Conflict review page.
+///
+/// **Purpose**:
+/// Lists records edited on this device and on another one that the sync
+/// conflict policy couldn't settle automatically, showing both values of
+/// every conflicting field.
+///
+/// **Actions** (per conflict):
+/// - Keep mine: this device's version overwrites the server
+/// - Keep theirs: the server version replaces this device's changes
+/// - Keep both: this device's version is saved as a copy (hidden when
+///   either side deleted the record)
+///
+/// **Navigation**:
+/// - Route: `/sync-conflicts` (sub-route under dashboard)
+/// - Accessed from: SyncStatusIndicator (`needsReview` state)
+/// - Shows an empty state once every conflict is resolved
+class ConflictReviewPage extends StatelessWidget {
+  const ConflictReviewPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<SyncConflictsCubit>(),
+      child: const _ConflictReviewContent(),
+    );
+  }
+}
+
+/// Internal content widget for conflict review page.
+///
+/// Separated from ConflictReviewPage to allow BlocProvider scoping.
+class _ConflictReviewContent extends StatelessWidget {
+  const _ConflictReviewContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return BlocConsumer<SyncConflictsCubit, SyncConflictsState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      builder: (context, state) {
+        return Scaffold(
+          appBar: AppBar(
+            title: Text(l10n.conflictsTitle),
+            leading: IconButton(
+              icon: const Icon(DirectionalIcons.back),
+              onPressed: () => context.pop(),
+            ),
+          ),
+          body: state.when(
+            initial: () => const SizedBox.shrink(),
+            loading: () => const Center(child: CircularProgressIndicator()),
+            success: (conflicts) => conflicts.isEmpty
+                ? _buildEmptyContent(context)
+                : _buildConflictList(context, conflicts),
+            error: (message) => Center(
+              child: Text(
+                l10n.errorMessage(message),
+                style: TextStyle(color: colorScheme.error),
+              ),
+            ),
+          ),
+        );
+      },
+    );
+  }
+
+  Widget _buildEmptyContent(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+
+    return Center(
+      child: Column(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          Icon(
+            TablerIcons.circleCheck,
+            size: 48,
+            color: theme.colorScheme.primary,
+          ),
+          SizedBox(height: spacing.md),
+          Text(
+            AppLocalizations.of(context).conflictsEmpty,
+            style: theme.textTheme.titleMedium,
+          ),
+        ],
+      ),
+    );
+  }
+
+  Widget _buildConflictList(
+    BuildContext context,
+    List<SyncConflictModel> conflicts,
+  ) {
+    final spacing = Theme.of(context).extension<AppSpacing>()!;
+
+    return ListView.separated(
+      padding: EdgeInsets.all(spacing.md),
+      itemCount: conflicts.length,
+      separatorBuilder: (_, __) => SizedBox(height: spacing.md),
+      itemBuilder: (context, index) => _ConflictCard(conflict: conflicts[index]),
+    );
+  }
+}
+
+/// One conflict: record title, field-by-field comparison and actions
+class _ConflictCard extends StatelessWidget {
+  final SyncConflictModel conflict;
+
+  const _ConflictCard({required this.conflict});
+
+  @override
+  Widget build(BuildContext context) {
+    final cubit = context.read<SyncConflictsCubit>();
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final canKeepBoth = conflict.local['isDeleted'] != true &&
+        conflict.remote['isDeleted'] != true;
+
+    return Card(
+      child: Padding(
+        padding: EdgeInsets.all(spacing.md),
+        child: Column(
+          crossAxisAlignment: CrossAxisAlignment.start,
+          children: [
+            Text(_title(l10n), style: theme.textTheme.titleMedium),
+            SizedBox(height: spacing.xs),
+            Text(
+              l10n.conflictDetected(
+                DateFormatter.formatTransactionDateTime(conflict.detectedAt),
+              ),
+              style: theme.textTheme.bodySmall,
+            ),
+            SizedBox(height: spacing.md),
+            Table(
+              columnWidths: const {0: IntrinsicColumnWidth()},
+              defaultVerticalAlignment: TableCellVerticalAlignment.middle,
+              children: [
+                TableRow(
+                  children: [
+                    const SizedBox.shrink(),
+                    _header(
+                      context,
+                      TablerIcons.deviceMobile,
+                      l10n.conflictThisDevice,
+                    ),
+                    _header(
+                      context,
+                      TablerIcons.cloudDownload,
+                      l10n.conflictOtherDevice,
+                    ),
+                  ],
+                ),
+                for (final field in conflict.conflictingFields)
+                  TableRow(
+                    children: [
+                      Padding(
+                        padding: EdgeInsetsDirectional.only(end: spacing.sm),
+                        child: Text(field, style: theme.textTheme.labelMedium),
+                      ),
+                      _cell(
+                        context,
+                        _formatValue(l10n, field, conflict.local[field]),
+                      ),
+                      _cell(
+                        context,
+                        _formatValue(l10n, field, conflict.remote[field]),
+                      ),
+                    ],
+                  ),
+              ],
+            ),
+            SizedBox(height: spacing.md),
+            Wrap(
+              alignment: WrapAlignment.end,
+              spacing: spacing.sm,
+              children: [
+                if (canKeepBoth)
+                  TextButton.icon(
+                    icon: const Icon(TablerIcons.copy, size: 18),
+                    label: Text(l10n.conflictKeepBoth),
+                    onPressed: () => cubit.keepBoth(conflict.id),
+                  ),
+                OutlinedButton(
+                  onPressed: () => cubit.keepTheirs(conflict.id),
+                  child: Text(l10n.conflictKeepTheirs),
+                ),
+                FilledButton(
+                  onPressed: () => cubit.keepMine(conflict.id),
+                  child: Text(l10n.conflictKeepMine),
+                ),
+              ],
+            ),
+          ],
+        ),
+      ),
+    );
+  }
+
+  /// Entity type plus the record's name (allocations have none)
+  String _title(AppLocalizations l10n) {
+    final typeLabel = switch (conflict.entityType) {
+      SyncEntityType.category => l10n.category,
+      SyncEntityType.budget => l10n.budget,
+      SyncEntityType.allocation => l10n.allocation,
+      SyncEntityType.transaction => l10n.transaction,
+    };
+    final name = conflict.local['name'] ?? conflict.remote['name'];
+    return name != null
+        ? l10n.conflictRecordTitle(typeLabel, '$name')
+        : typeLabel;
+  }
+
+  Widget _header(BuildContext context, IconData icon, String label) {
+    final theme = Theme.of(context);
+    return Padding(
+      padding: const EdgeInsets.only(bottom: 8),
+      child: Row(
+        children: [
+          Icon(icon, size: 16, color: theme.colorScheme.primary),
+          const SizedBox(width: 4),
+          Flexible(child: Text(label, style: theme.textTheme.labelLarge)),
+        ],
+      ),
+    );
+  }
+
+  Widget _cell(BuildContext context, String value) {
+    return Padding(
+      padding: const EdgeInsets.symmetric(vertical: 4),
+      child: Text(value, style: Theme.of(context).textTheme.bodyMedium),
+    );
+  }
+
+  /// Human-readable field value (rows store dates as epoch milliseconds)
+  String _formatValue(AppLocalizations l10n, String field, Object? value) {
+    if (value == null) return '—';
+    if (field == 'isDeleted') {
+      return value == true ? l10n.conflictDeleted : l10n.conflictKept;
+    }
+    if (value is int && field.endsWith('Date')) {
+      return DateFormatter.formatTransactionDateTime(
+        DateTime.fromMillisecondsSinceEpoch(value),
+      );
+    }
+    return value.toString();
+  }
+}
@@ -0,0 +1,123 @@
+import 'dart:async';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/models/saved_search_model.dart';
+import 'package:centabit/data/models/transaction_filter.dart';
+import 'package:centabit/data/repositories/search_repository.dart';
+import 'package:centabit/features/transactions/presentation/cubits/saved_searches_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the transactions search history and saved searches.
+///
+/// **Data Flow**:
+/// ```
+/// SearchRepository emits history or saved searches
+///   ↓
+/// Emit SavedSearchesState.ready(history, savedSearches)
+///   ↓
+/// Search bar suggestions list them; the transactions page records a
+/// query when search mode closes, the filter sheet saves a search
+/// ```
+///
+/// Applying a saved search is done by the caller (`TransactionListCubit
+/// .applyFilter` with its filter), so this cubit only stores them.
+class SavedSearchesCubit extends Cubit<SavedSearchesState> {
+  final SearchRepository _searchRepository;
+
+  StreamSubscription? _historySubscription;
+  StreamSubscription? _savedSearchesSubscription;
+
+  SavedSearchesCubit(this._searchRepository)
+    : super(const SavedSearchesState.initial()) {
+    _historySubscription =
+        _searchRepository.historyStream.listen((_) => _emitReady());
+    _savedSearchesSubscription =
+        _searchRepository.savedSearchesStream.listen((_) => _emitReady());
+
+    // Initial load
+    _emitReady();
+  }
+
+  void _emitReady() {
+    emit(SavedSearchesState.ready(
+      history: _searchRepository.history,
+      savedSearches: _searchRepository.savedSearches,
+    ));
+  }
+
+  // ========================================
+  // History
+  // ========================================
+
+  /// Record [query] as the most recent search (blank ones are ignored)
+  Future<void> recordQuery(String query) {
+    return _run(
+      L10n.current.savedSearchUpdateFailed,
+      () => _searchRepository.recordQuery(query),
+    );
+  }
+
+  Future<void> removeQuery(String query) {
+    return _run(
+      L10n.current.savedSearchUpdateFailed,
+      () => _searchRepository.removeQuery(query),
+    );
+  }
+
+  Future<void> clearHistory() {
+    return _run(
+      L10n.current.savedSearchUpdateFailed,
+      _searchRepository.clearHistory,
+    );
+  }
+
+  // ========================================
+  // Saved searches
+  // ========================================
+
+  /// Pin [filter] (search text included) under [name]
+  ///
+  /// Replaces the saved search of the same name, if any. Returns whether
+  /// it was saved.
+  Future<bool> saveSearch(String name, TransactionFilter filter) async {
+    SavedSearchModel? existing;
+    for (final search in _searchRepository.savedSearches) {
+      if (search.name.toLowerCase() == name.toLowerCase()) existing = search;
+    }
+    final search = existing?.copyWith(name: name, filter: filter) ??
+        SavedSearchModel.create(name: name, filter: filter);
+
+    var saved = false;
+    await _run(L10n.current.savedSearchSaveFailed, () async {
+      await _searchRepository.saveSearch(search);
+      saved = true;
+    });
+    return saved;
+  }
+
+  Future<void> deleteSavedSearch(SavedSearchModel search) {
+    return _run(
+      L10n.current.savedSearchUpdateFailed,
+      () => _searchRepository.deleteSavedSearch(search.id),
+    );
+  }
+
+  /// Run an action; on failure show the error, worded by [failure]
+  Future<void> _run(
+    String Function(String error) failure,
+    Future<void> Function() execute,
+  ) async {
+    try {
+      await execute();
+    } catch (e) {
+      emit(SavedSearchesState.error(failure('$e')));
+      _emitReady();
+    }
+  }
+
+  @override
+  Future<void> close() {
+    _historySubscription?.cancel();
+    _savedSearchesSubscription?.cancel();
+    return super.close();
+  }
+}
@@ -0,0 +1,20 @@
+import 'package:centabit/data/models/saved_search_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'saved_searches_state.freezed.dart';
+
+/// State for the search bar suggestions
+///
+/// Union type states:
+/// - initial: Before the first load
+/// - ready: Recent queries (newest first) and saved searches (by name)
+/// - error: Saving or deleting failed with error message
+@freezed
+class SavedSearchesState with _$SavedSearchesState {
+  const factory SavedSearchesState.initial() = _Initial;
+  const factory SavedSearchesState.ready({
+    required List<String> history,
+    required List<SavedSearchModel> savedSearches,
+  }) = _Ready;
+  const factory SavedSearchesState.error(String message) = _Error;
+}
@@ -1,10 +1,21 @@
 import 'dart:async';
 
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/categorization/categorization_rule_engine.dart';
+import 'package:centabit/data/categorization/category_suggester.dart';
 import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/categorization_rule_model.dart';
 import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/recurring_transaction_model.dart';
 import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/models/transaction_split_model.dart';
 import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/recurring/recurring_transaction_scheduler.dart';
+import 'package:centabit/data/repositories/categorization_rule_repository.dart';
 import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/exchange_rate_repository.dart';
+import 'package:centabit/data/repositories/recurring_transaction_repository.dart';
+import 'package:centabit/data/repositories/settings_repository.dart';
 import 'package:centabit/data/repositories/transaction_repository.dart';
 import 'package:centabit/features/transactions/presentation/cubits/transaction_form_state.dart';
 import 'package:flutter/material.dart';
@@ -21,10 +32,27 @@ import 'package:flutter_form_builder/flutter_form_builder.dart';
 /// - Create (initialValue = null): Creates new transaction
 /// - Edit (initialValue = existing): Updates existing transaction
 /// - Copy (initialValue = existing with new ID): Duplicates transaction
+///
+/// In create/copy mode a "Repeat" choice turns the transaction into a
+/// recurring series; its occurrences are materialized by
+/// [RecurringTransactionScheduler] (each linked to the budget covering its
+/// date).
+///
+/// New transactions go through the categorization rules when created
+/// ([CategorizationRuleEngine]); the form also previews them with
+/// [ruleTargetsFor] as the name is typed, and asks [suggestCategory] for
+/// the category of similar past transactions.
 class TransactionFormCubit extends Cubit<TransactionFormState> {
   final TransactionRepository _transactionRepository;
   final BudgetRepository _budgetRepository;
   final CategoryRepository _categoryRepository;
+  final RecurringTransactionRepository _recurringRepository;
+  final RecurringTransactionScheduler _scheduler;
+  final ExchangeRateRepository _exchangeRateRepository;
+  final SettingsRepository _settingsRepository;
+  final CategorizationRuleRepository _ruleRepository;
+  final CategorySuggester _categorySuggester;
+  final CategorizationRuleEngine _ruleEngine;
   final GlobalKey<FormBuilderState> formKey;
 
   // Stream subscriptions for reactive dropdown updates
@@ -39,6 +67,13 @@ class TransactionFormCubit extends Cubit<TransactionFormState> {
     this._transactionRepository,
     this._budgetRepository,
     this._categoryRepository,
+    this._recurringRepository,
+    this._scheduler,
+    this._exchangeRateRepository,
+    this._settingsRepository,
+    this._ruleRepository,
+    this._categorySuggester,
+    this._ruleEngine,
   )   : formKey = GlobalKey<FormBuilderState>(),
         super(const TransactionFormState.initial()) {
     _subscribeToStreams();
@@ -69,9 +104,62 @@ class TransactionFormCubit extends Cubit<TransactionFormState> {
   String? get defaultBudgetId =>
       _activeBudgets.isNotEmpty ? _activeBudgets.first.id : null;
 
+  /// Currency of new transactions (the user's default currency)
+  String get defaultCurrency => _exchangeRateRepository.defaultCurrency;
+
+  /// Type preselected for new transactions (from settings)
+  TransactionType get defaultType =>
+      _settingsRepository.settings.defaultTransactionType;
+
+  /// Category and budget the first categorization rule matching [name] and
+  /// [amount] gives a transaction dated [date], or null when none matches
+  RuleTargets? ruleTargetsFor(String name, double? amount, DateTime date) {
+    final rule = _ruleEngine.match(
+      _ruleRepository.rules,
+      name: name,
+      amount: amount,
+    );
+    if (rule == null) return null;
+
+    return _ruleEngine.targetsOf(
+      rule,
+      date: date,
+      categories: _categories,
+      budgets: _activeBudgets,
+    );
+  }
+
+  /// Category of past transactions named like [name], if one stands out
+  Future<CategoryModel?> suggestCategory(String name) async {
+    try {
+      final categoryId = await _categorySuggester.suggest(name);
+      for (final category in _categories) {
+        if (category.id == categoryId) return category;
+      }
+    } catch (e) {
+      debugPrint('suggestCategory error: $e'); // Only a hint, form works
+    }
+    return null;
+  }
+
+  /// Save a categorization rule made from the transaction being edited
+  ///
+  /// Returns false (and emits the error) if it couldn't be saved.
+  Future<bool> saveRule(CategorizationRuleModel rule) async {
+    try {
+      await _ruleRepository.saveRule(rule);
+      return true;
+    } catch (e) {
+      emit(TransactionFormState.error(L10n.current.ruleSaveFailed('$e')));
+      return false;
+    }
+  }
+
   /// Create new transaction from form data
   ///
   /// Validates form, combines date + time, and calls repository.
+  /// The first matching categorization rule fills in what the form left
+  /// empty, and renames the transaction if it says so.
   /// Emits loading → success/error states.
   Future<void> createTransaction() async {
     if (!_validateForm()) {
@@ -84,11 +172,25 @@ class TransactionFormCubit extends Cubit<TransactionFormState> {
     emit(const TransactionFormState.loading());
 
     try {
-      final transaction = _buildTransactionFromForm(formData);
-      await _transactionRepository.createTransaction(transaction);
+      // A split transaction doesn't repeat (series have no split lines)
+      final isSplit = _splitsFromForm(formData).isNotEmpty;
+      final repeat = formData['repeat'] as RecurrenceFrequency?;
+      if (repeat != null && !isSplit) {
+        await _recurringRepository.createSeries(
+          _buildSeriesFromForm(formData, repeat),
+        );
+        await _scheduler.materializeDue(); // First occurrence if already due
+      } else {
+        final transaction = _buildTransactionFromForm(formData);
+        await _transactionRepository.createTransaction(transaction);
+      }
       emit(const TransactionFormState.success());
     } catch (e, stackTrace) {
-      emit(TransactionFormState.error('Failed to create transaction: ${e.toString()}'));
+      emit(
+        TransactionFormState.error(
+          L10n.current.transactionCreateFailed('$e'),
+        ),
+      );
       // TODO: Log error with AppLogger
       debugPrint('createTransaction error: $e\n$stackTrace');
     }
@@ -107,11 +209,22 @@ class TransactionFormCubit extends Cubit<TransactionFormState> {
     emit(const TransactionFormState.loading());
 
     try {
-      final transaction = _buildTransactionFromForm(formData, id: id);
+      // Fetch existing to preserve createdAt and the series link
+      final existing = await _transactionRepository.getTransactionById(id);
+      if (existing == null) throw StateError('Transaction $id not found');
+
+      final transaction = _buildTransactionFromForm(
+        formData,
+        existing: existing,
+      );
       await _transactionRepository.updateTransaction(transaction);
       emit(const TransactionFormState.success());
     } catch (e, stackTrace) {
-      emit(TransactionFormState.error('Failed to update transaction: ${e.toString()}'));
+      emit(
+        TransactionFormState.error(
+          L10n.current.transactionUpdateFailed('$e'),
+        ),
+      );
       debugPrint('updateTransaction error: $e\n$stackTrace');
     }
   }
@@ -127,7 +240,11 @@ class TransactionFormCubit extends Cubit<TransactionFormState> {
       await _transactionRepository.deleteTransaction(id);
       emit(const TransactionFormState.success());
     } catch (e, stackTrace) {
-      emit(TransactionFormState.error('Failed to delete transaction: ${e.toString()}'));
+      emit(
+        TransactionFormState.error(
+          L10n.current.transactionDeleteFailed('$e'),
+        ),
+      );
       debugPrint('deleteTransaction error: $e\n$stackTrace');
     }
   }
@@ -137,14 +254,20 @@ class TransactionFormCubit extends Cubit<TransactionFormState> {
     return formKey.currentState?.saveAndValidate() ?? false;
   }
 
+  /// Split lines entered in the form (empty when not split)
+  List<TransactionSplitModel> _splitsFromForm(Map<String, dynamic> formData) {
+    return formData['splits'] as List<TransactionSplitModel>? ?? const [];
+  }
+
   /// Build TransactionModel from form data
   ///
   /// Combines date + time fields into single DateTime.
-  /// If [id] provided, creates model with that ID (update mode).
+  /// If [existing] provided, updates that transaction (update mode).
   /// Otherwise uses factory constructor (create mode).
+  /// A split transaction keeps the category and budget of its lines only.
   TransactionModel _buildTransactionFromForm(
     Map<String, dynamic> formData, {
-    String? id,
+    TransactionModel? existing,
   }) {
     final date = formData['date'] as DateTime;
     final time = formData['time'] as TimeOfDay;
@@ -161,43 +284,87 @@ class TransactionFormCubit extends Cubit<TransactionFormState> {
     // Parse form fields
     final name = formData['transactionName'] as String;
     final amount = double.parse(formData['amount'] as String);
+    final currencyCode = formData['currencyCode'] as String;
     final isDebit = formData['isDebit'] as bool? ?? true;
     final type = isDebit ? TransactionType.debit : TransactionType.credit;
-    final categoryId = formData['categoryId'] as String?;
-    final budgetId = formData['budgetId'] as String?;
+    final splits = _splitsFromForm(formData);
+    final isSplit = splits.isNotEmpty;
+    final categoryId = isSplit ? null : _idOrNull(formData['categoryId']);
+    final budgetId = isSplit ? null : _idOrNull(formData['budgetId']);
     final notes = formData['notes'] as String?;
 
-    if (id != null) {
-      // Update mode - fetch existing to preserve createdAt
-      final existing = _transactionRepository.transactions
-          .firstWhere((t) => t.id == id);
-
+    if (existing != null) {
       return TransactionModel(
-        id: id,
+        id: existing.id,
         name: name,
         amount: amount,
+        currencyCode: currencyCode,
         type: type,
         transactionDate: transactionDate,
         categoryId: categoryId,
         budgetId: budgetId,
         notes: notes,
+        recurringId: existing.recurringId,
+        splits: splits,
         createdAt: existing.createdAt,
         updatedAt: DateTime.now(),
       );
     } else {
-      // Create mode - use factory constructor
-      return TransactionModel.create(
-        name: name,
-        amount: amount,
-        type: type,
-        transactionDate: transactionDate,
-        categoryId: categoryId,
-        budgetId: budgetId,
-        notes: notes,
+      // Create mode - use factory constructor, then the rules
+      return _ruleEngine.apply(
+        TransactionModel.create(
+          name: name,
+          amount: amount,
+          currencyCode: currencyCode,
+          type: type,
+          transactionDate: transactionDate,
+          categoryId: categoryId,
+          budgetId: budgetId,
+          notes: notes,
+          splits: splits,
+        ),
+        rules: _ruleRepository.rules,
+        categories: _categories,
+        budgets: _activeBudgets,
       );
     }
   }
 
+  /// Selected ID of a dropdown field, null when none (the category field
+  /// starts out as '')
+  String? _idOrNull(Object? value) {
+    final id = value as String?;
+    return id == null || id.isEmpty ? null : id;
+  }
+
+  /// Build a recurring series from form data
+  ///
+  /// The transaction's date is the first occurrence; monthly series repeat
+  /// on its day of month.
+  RecurringTransactionModel _buildSeriesFromForm(
+    Map<String, dynamic> formData,
+    RecurrenceFrequency frequency,
+  ) {
+    final transaction = _buildTransactionFromForm(formData);
+    final interval =
+        int.tryParse(formData['repeatInterval'] as String? ?? '') ?? 1;
+
+    return RecurringTransactionModel.create(
+      name: transaction.name,
+      amount: transaction.amount,
+      currencyCode: transaction.currencyCode,
+      type: transaction.type,
+      frequency: frequency,
+      interval: interval < 1 ? 1 : interval,
+      dayOfMonth: frequency == RecurrenceFrequency.monthly
+          ? transaction.transactionDate.day
+          : null,
+      startDate: transaction.transactionDate,
+      categoryId: transaction.categoryId,
+      notes: transaction.notes,
+    );
+  }
+
   @override
   Future<void> close() {
     _budgetSubscription?.cancel();
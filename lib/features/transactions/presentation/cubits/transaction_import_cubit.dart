@@ -0,0 +1,138 @@
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/import/csv_statement_parser.dart';
+import 'package:centabit/data/import/ofx_statement_parser.dart';
+import 'package:centabit/data/import/qif_statement_parser.dart';
+import 'package:centabit/data/import/statement_importer.dart';
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/features/transactions/presentation/cubits/transaction_import_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the statement import page.
+///
+/// **Flow**:
+/// ```
+/// loadFile() → format from extension
+///   ↓ CSV                        ↓ OFX / QIF
+/// mapping → applyMapping()       │
+///   ↓                            ↓
+/// preview (toggleCandidate) → importSelected() → done
+/// ```
+///
+/// Errors (unreadable file, wrong mapping) are emitted, then the previous
+/// step is shown again so the user can correct it.
+class TransactionImportCubit extends Cubit<TransactionImportState> {
+  /// Rows shown while mapping CSV columns
+  static const sampleRowCount = 5;
+
+  final StatementImporter _importer;
+
+  String _fileName = '';
+  String _content = '';
+
+  TransactionImportCubit(this._importer)
+      : super(const TransactionImportState.initial());
+
+  /// Read a picked statement file
+  Future<void> loadFile(String fileName, String content) async {
+    _fileName = fileName;
+    _content = content;
+
+    switch (StatementFormat.fromFileName(fileName)) {
+      case StatementFormat.csv:
+        _emitMapping(CsvStatementParser.detectDelimiter(content));
+      case StatementFormat.ofx:
+        await _preview(const OfxStatementParser());
+      case StatementFormat.qif:
+        await _preview(const QifStatementParser());
+      case null:
+        _fail('Unsupported file type: $fileName');
+    }
+  }
+
+  /// Split the CSV sample again with another [delimiter]
+  void changeDelimiter(String delimiter) => _emitMapping(delimiter);
+
+  /// Parse the CSV with the user's column mapping
+  Future<void> applyMapping(CsvColumnMapping mapping) {
+    return _preview(CsvStatementParser(mapping));
+  }
+
+  /// Include/exclude one entry (entries already imported stay excluded)
+  void toggleCandidate(int index) {
+    state.maybeWhen(
+      preview: (fileName, candidates) {
+        final candidate = candidates[index];
+        if (candidate.isAlreadyImported) return;
+
+        emit(TransactionImportState.preview(
+          fileName: fileName,
+          candidates: [...candidates]..[index] =
+              candidate.copyWith(isSelected: !candidate.isSelected),
+        ));
+      },
+      orElse: () {},
+    );
+  }
+
+  /// Create the selected entries' transactions
+  Future<void> importSelected() async {
+    final previous = state;
+    final candidates = previous.maybeWhen(
+      preview: (_, candidates) => candidates,
+      orElse: () => null,
+    );
+    if (candidates == null) return;
+
+    emit(const TransactionImportState.loading());
+    try {
+      final imported = await _importer.import(candidates);
+      emit(TransactionImportState.done(imported));
+    } catch (e) {
+      _fail(L10n.current.importFailed('$e'), restore: previous);
+    }
+  }
+
+  /// Start over with another file
+  void reset() {
+    _fileName = '';
+    _content = '';
+    emit(const TransactionImportState.initial());
+  }
+
+  void _emitMapping(String delimiter) {
+    final rows = CsvStatementParser.readRows(_content, delimiter: delimiter);
+    emit(TransactionImportState.mapping(
+      fileName: _fileName,
+      delimiter: delimiter,
+      sampleRows: rows.take(sampleRowCount).toList(),
+    ));
+  }
+
+  Future<void> _preview(StatementParser parser) async {
+    final previous = state;
+    emit(const TransactionImportState.loading());
+
+    try {
+      final candidates = await _importer.preview(_content, parser);
+      if (candidates.isEmpty) {
+        _fail('No transactions found in $_fileName', restore: previous);
+        return;
+      }
+      emit(TransactionImportState.preview(
+        fileName: _fileName,
+        candidates: candidates,
+      ));
+    } on StatementParseException catch (e) {
+      _fail(e.message, restore: previous);
+    } catch (e) {
+      _fail(L10n.current.importReadFailed(_fileName, '$e'), restore: previous);
+    }
+  }
+
+  /// Show the error, then [restore] (defaults to the current state)
+  void _fail(String message, {TransactionImportState? restore}) {
+    final previous = restore ?? state;
+    emit(TransactionImportState.error(message));
+    emit(previous);
+  }
+}
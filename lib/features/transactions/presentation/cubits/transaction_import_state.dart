@@ -0,0 +1,32 @@
+import 'package:centabit/data/models/import_candidate_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'transaction_import_state.freezed.dart';
+
+/// State for the statement import page
+///
+/// Union type states (in flow order):
+/// - initial: No file picked yet
+/// - loading: Parsing the file or saving transactions
+/// - mapping: CSV picked, user maps its columns ([sampleRows] = first rows
+///   split with [delimiter])
+/// - preview: Parsed entries for review, duplicates flagged
+/// - done: Import finished with the number of transactions created
+/// - error: Parsing or import failed with error message (the previous step
+///   is shown again right after)
+@freezed
+class TransactionImportState with _$TransactionImportState {
+  const factory TransactionImportState.initial() = _Initial;
+  const factory TransactionImportState.loading() = _Loading;
+  const factory TransactionImportState.mapping({
+    required String fileName,
+    required String delimiter,
+    required List<List<String>> sampleRows,
+  }) = _Mapping;
+  const factory TransactionImportState.preview({
+    required String fileName,
+    required List<ImportCandidateModel> candidates,
+  }) = _Preview;
+  const factory TransactionImportState.done(int imported) = _Done;
+  const factory TransactionImportState.error(String message) = _Error;
+}
@@ -0,0 +1,550 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+// coverage:ignore-file
+// ignore_for_file: type=lint
+// ignore_for_file: unused_element, deprecated_member_use, deprecated_member_use_from_same_package, use_function_type_syntax_for_parameters, unnecessary_const, avoid_init_to_null, invalid_override_different_default_values_named, prefer_expression_function_bodies, annotate_overrides, invalid_annotation_target, unnecessary_question_mark
+
+part of 'transaction_import_state.dart';
+
+// **************************************************************************
+// FreezedGenerator
+// **************************************************************************
+
+// dart format off
+T _$identity<T>(T value) => value;
+/// @nodoc
+mixin _$TransactionImportState {
+
+
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is TransactionImportState);
+}
+
+
+@override
+int get hashCode => runtimeType.hashCode;
+
+@override
+String toString() {
+  return 'TransactionImportState()';
+}
+
+
+}
+
+/// @nodoc
+class $TransactionImportStateCopyWith<$Res>  {
+$TransactionImportStateCopyWith(TransactionImportState _, $Res Function(TransactionImportState) __);
+}
+
+
+/// Adds pattern-matching-related methods to [TransactionImportState].
+extension TransactionImportStatePatterns on TransactionImportState {
+/// A variant of `map` that fallback to returning `orElse`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeMap<TResult extends Object?>({TResult Function( _Initial value)?  initial,TResult Function( _Loading value)?  loading,TResult Function( _Mapping value)?  mapping,TResult Function( _Preview value)?  preview,TResult Function( _Done value)?  done,TResult Function( _Error value)?  error,required TResult orElse(),}){
+final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial(_that);case _Loading() when loading != null:
+return loading(_that);case _Mapping() when mapping != null:
+return mapping(_that);case _Preview() when preview != null:
+return preview(_that);case _Done() when done != null:
+return done(_that);case _Error() when error != null:
+return error(_that);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// Callbacks receives the raw object, upcasted.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case final Subclass2 value:
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult map<TResult extends Object?>({required TResult Function( _Initial value)  initial,required TResult Function( _Loading value)  loading,required TResult Function( _Mapping value)  mapping,required TResult Function( _Preview value)  preview,required TResult Function( _Done value)  done,required TResult Function( _Error value)  error,}){
+final _that = this;
+switch (_that) {
+case _Initial():
+return initial(_that);case _Loading():
+return loading(_that);case _Mapping():
+return mapping(_that);case _Preview():
+return preview(_that);case _Done():
+return done(_that);case _Error():
+return error(_that);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `map` that fallback to returning `null`.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case final Subclass value:
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? mapOrNull<TResult extends Object?>({TResult? Function( _Initial value)?  initial,TResult? Function( _Loading value)?  loading,TResult? Function( _Mapping value)?  mapping,TResult? Function( _Preview value)?  preview,TResult? Function( _Done value)?  done,TResult? Function( _Error value)?  error,}){
+final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial(_that);case _Loading() when loading != null:
+return loading(_that);case _Mapping() when mapping != null:
+return mapping(_that);case _Preview() when preview != null:
+return preview(_that);case _Done() when done != null:
+return done(_that);case _Error() when error != null:
+return error(_that);case _:
+  return null;
+
+}
+}
+/// A variant of `when` that fallback to an `orElse` callback.
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return orElse();
+/// }
+/// ```
+
+@optionalTypeArgs TResult maybeWhen<TResult extends Object?>({TResult Function()?  initial,TResult Function()?  loading,TResult Function( String fileName,  String delimiter,  List<List<String>> sampleRows)?  mapping,TResult Function( String fileName,  List<ImportCandidateModel> candidates)?  preview,TResult Function( int imported)?  done,TResult Function( String message)?  error,required TResult orElse(),}) {final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial();case _Loading() when loading != null:
+return loading();case _Mapping() when mapping != null:
+return mapping(_that.fileName,_that.delimiter,_that.sampleRows);case _Preview() when preview != null:
+return preview(_that.fileName,_that.candidates);case _Done() when done != null:
+return done(_that.imported);case _Error() when error != null:
+return error(_that.message);case _:
+  return orElse();
+
+}
+}
+/// A `switch`-like method, using callbacks.
+///
+/// As opposed to `map`, this offers destructuring.
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case Subclass2(:final field2):
+///     return ...;
+/// }
+/// ```
+
+@optionalTypeArgs TResult when<TResult extends Object?>({required TResult Function()  initial,required TResult Function()  loading,required TResult Function( String fileName,  String delimiter,  List<List<String>> sampleRows)  mapping,required TResult Function( String fileName,  List<ImportCandidateModel> candidates)  preview,required TResult Function( int imported)  done,required TResult Function( String message)  error,}) {final _that = this;
+switch (_that) {
+case _Initial():
+return initial();case _Loading():
+return loading();case _Mapping():
+return mapping(_that.fileName,_that.delimiter,_that.sampleRows);case _Preview():
+return preview(_that.fileName,_that.candidates);case _Done():
+return done(_that.imported);case _Error():
+return error(_that.message);case _:
+  throw StateError('Unexpected subclass');
+
+}
+}
+/// A variant of `when` that fallback to returning `null`
+///
+/// It is equivalent to doing:
+/// ```dart
+/// switch (sealedClass) {
+///   case Subclass(:final field):
+///     return ...;
+///   case _:
+///     return null;
+/// }
+/// ```
+
+@optionalTypeArgs TResult? whenOrNull<TResult extends Object?>({TResult? Function()?  initial,TResult? Function()?  loading,TResult? Function( String fileName,  String delimiter,  List<List<String>> sampleRows)?  mapping,TResult? Function( String fileName,  List<ImportCandidateModel> candidates)?  preview,TResult? Function( int imported)?  done,TResult? Function( String message)?  error,}) {final _that = this;
+switch (_that) {
+case _Initial() when initial != null:
+return initial();case _Loading() when loading != null:
+return loading();case _Mapping() when mapping != null:
+return mapping(_that.fileName,_that.delimiter,_that.sampleRows);case _Preview() when preview != null:
+return preview(_that.fileName,_that.candidates);case _Done() when done != null:
+return done(_that.imported);case _Error() when error != null:
+return error(_that.message);case _:
+  return null;
+
+}
+}
+
+}
+
+/// @nodoc
+
+
+class _Initial implements TransactionImportState {
+  const _Initial();
+  
+
+
+
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Initial);
+}
+
+
+@override
+int get hashCode => runtimeType.hashCode;
+
+@override
+String toString() {
+  return 'TransactionImportState.initial()';
+}
+
+
+}
+
+
+
+
+/// @nodoc
+
+
+class _Loading implements TransactionImportState {
+  const _Loading();
+  
+
+
+
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Loading);
+}
+
+
+@override
+int get hashCode => runtimeType.hashCode;
+
+@override
+String toString() {
+  return 'TransactionImportState.loading()';
+}
+
+
+}
+
+
+
+
+/// @nodoc
+
+
+class _Mapping implements TransactionImportState {
+  const _Mapping({required this.fileName, required this.delimiter, required final  List<List<String>> sampleRows}): _sampleRows = sampleRows;
+  
+
+ final  String fileName;
+ final  String delimiter;
+ final  List<List<String>> _sampleRows;
+ List<List<String>> get sampleRows {
+  if (_sampleRows is EqualUnmodifiableListView) return _sampleRows;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_sampleRows);
+}
+
+
+/// Create a copy of TransactionImportState
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$MappingCopyWith<_Mapping> get copyWith => __$MappingCopyWithImpl<_Mapping>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Mapping&&(identical(other.fileName, fileName) || other.fileName == fileName)&&(identical(other.delimiter, delimiter) || other.delimiter == delimiter)&&const DeepCollectionEquality().equals(other._sampleRows, _sampleRows));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,fileName,delimiter,const DeepCollectionEquality().hash(_sampleRows));
+
+@override
+String toString() {
+  return 'TransactionImportState.mapping(fileName: $fileName, delimiter: $delimiter, sampleRows: $sampleRows)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$MappingCopyWith<$Res> implements $TransactionImportStateCopyWith<$Res> {
+  factory _$MappingCopyWith(_Mapping value, $Res Function(_Mapping) _then) = __$MappingCopyWithImpl;
+@useResult
+$Res call({
+ String fileName, String delimiter, List<List<String>> sampleRows
+});
+
+
+
+
+}
+/// @nodoc
+class __$MappingCopyWithImpl<$Res>
+    implements _$MappingCopyWith<$Res> {
+  __$MappingCopyWithImpl(this._self, this._then);
+
+  final _Mapping _self;
+  final $Res Function(_Mapping) _then;
+
+/// Create a copy of TransactionImportState
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? fileName = null,Object? delimiter = null,Object? sampleRows = null,}) {
+  return _then(_Mapping(
+fileName: null == fileName ? _self.fileName : fileName // ignore: cast_nullable_to_non_nullable
+as String,delimiter: null == delimiter ? _self.delimiter : delimiter // ignore: cast_nullable_to_non_nullable
+as String,sampleRows: null == sampleRows ? _self._sampleRows : sampleRows // ignore: cast_nullable_to_non_nullable
+as List<List<String>>,
+  ));
+}
+
+
+}
+
+/// @nodoc
+
+
+class _Preview implements TransactionImportState {
+  const _Preview({required this.fileName, required final  List<ImportCandidateModel> candidates}): _candidates = candidates;
+  
+
+ final  String fileName;
+ final  List<ImportCandidateModel> _candidates;
+ List<ImportCandidateModel> get candidates {
+  if (_candidates is EqualUnmodifiableListView) return _candidates;
+  // ignore: implicit_dynamic_type
+  return EqualUnmodifiableListView(_candidates);
+}
+
+
+/// Create a copy of TransactionImportState
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$PreviewCopyWith<_Preview> get copyWith => __$PreviewCopyWithImpl<_Preview>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Preview&&(identical(other.fileName, fileName) || other.fileName == fileName)&&const DeepCollectionEquality().equals(other._candidates, _candidates));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,fileName,const DeepCollectionEquality().hash(_candidates));
+
+@override
+String toString() {
+  return 'TransactionImportState.preview(fileName: $fileName, candidates: $candidates)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$PreviewCopyWith<$Res> implements $TransactionImportStateCopyWith<$Res> {
+  factory _$PreviewCopyWith(_Preview value, $Res Function(_Preview) _then) = __$PreviewCopyWithImpl;
+@useResult
+$Res call({
+ String fileName, List<ImportCandidateModel> candidates
+});
+
+
+
+
+}
+/// @nodoc
+class __$PreviewCopyWithImpl<$Res>
+    implements _$PreviewCopyWith<$Res> {
+  __$PreviewCopyWithImpl(this._self, this._then);
+
+  final _Preview _self;
+  final $Res Function(_Preview) _then;
+
+/// Create a copy of TransactionImportState
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? fileName = null,Object? candidates = null,}) {
+  return _then(_Preview(
+fileName: null == fileName ? _self.fileName : fileName // ignore: cast_nullable_to_non_nullable
+as String,candidates: null == candidates ? _self._candidates : candidates // ignore: cast_nullable_to_non_nullable
+as List<ImportCandidateModel>,
+  ));
+}
+
+
+}
+
+/// @nodoc
+
+
+class _Done implements TransactionImportState {
+  const _Done(this.imported);
+  
+
+ final  int imported;
+
+/// Create a copy of TransactionImportState
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$DoneCopyWith<_Done> get copyWith => __$DoneCopyWithImpl<_Done>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Done&&(identical(other.imported, imported) || other.imported == imported));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,imported);
+
+@override
+String toString() {
+  return 'TransactionImportState.done(imported: $imported)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$DoneCopyWith<$Res> implements $TransactionImportStateCopyWith<$Res> {
+  factory _$DoneCopyWith(_Done value, $Res Function(_Done) _then) = __$DoneCopyWithImpl;
+@useResult
+$Res call({
+ int imported
+});
+
+
+
+
+}
+/// @nodoc
+class __$DoneCopyWithImpl<$Res>
+    implements _$DoneCopyWith<$Res> {
+  __$DoneCopyWithImpl(this._self, this._then);
+
+  final _Done _self;
+  final $Res Function(_Done) _then;
+
+/// Create a copy of TransactionImportState
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? imported = null,}) {
+  return _then(_Done(
+null == imported ? _self.imported : imported // ignore: cast_nullable_to_non_nullable
+as int,
+  ));
+}
+
+
+}
+
+/// @nodoc
+
+
+class _Error implements TransactionImportState {
+  const _Error(this.message);
+  
+
+ final  String message;
+
+/// Create a copy of TransactionImportState
+/// with the given fields replaced by the non-null parameter values.
+@JsonKey(includeFromJson: false, includeToJson: false)
+@pragma('vm:prefer-inline')
+_$ErrorCopyWith<_Error> get copyWith => __$ErrorCopyWithImpl<_Error>(this, _$identity);
+
+
+
+@override
+bool operator ==(Object other) {
+  return identical(this, other) || (other.runtimeType == runtimeType&&other is _Error&&(identical(other.message, message) || other.message == message));
+}
+
+
+@override
+int get hashCode => Object.hash(runtimeType,message);
+
+@override
+String toString() {
+  return 'TransactionImportState.error(message: $message)';
+}
+
+
+}
+
+/// @nodoc
+abstract mixin class _$ErrorCopyWith<$Res> implements $TransactionImportStateCopyWith<$Res> {
+  factory _$ErrorCopyWith(_Error value, $Res Function(_Error) _then) = __$ErrorCopyWithImpl;
+@useResult
+$Res call({
+ String message
+});
+
+
+
+
+}
+/// @nodoc
+class __$ErrorCopyWithImpl<$Res>
+    implements _$ErrorCopyWith<$Res> {
+  __$ErrorCopyWithImpl(this._self, this._then);
+
+  final _Error _self;
+  final $Res Function(_Error) _then;
+
+/// Create a copy of TransactionImportState
+/// with the given fields replaced by the non-null parameter values.
+@pragma('vm:prefer-inline') $Res call({Object? message = null,}) {
+  return _then(_Error(
+null == message ? _self.message : message // ignore: cast_nullable_to_non_nullable
+as String,
+  ));
+}
+
+
+}
+
+// dart format on
@@ -1,16 +1,35 @@
 import 'dart:async';
+import 'dart:math' as math;
 
 import 'package:centabit/core/logging/app_logger.dart';
 import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_filter.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
 import 'package:centabit/data/repositories/category_repository.dart';
 import 'package:centabit/data/repositories/transaction_repository.dart';
 import 'package:centabit/features/transactions/presentation/cubits/transaction_list_state.dart';
 import 'package:centabit/shared/v_models/transaction_v_model.dart';
 import 'package:flutter_bloc/flutter_bloc.dart';
 
+/// Cubit for the transactions tab.
+///
+/// **Filtering**: the search text and the filter sheet's criteria form one
+/// [TransactionFilter], applied by the database query
+/// (`TransactionRepository.getFilteredPage`). The search text is a
+/// full-text search: results come best match first, with the matched
+/// terms highlighted.
+///
+/// **Pagination**: pages of [_pageSize] are fetched with a keyset cursor
+/// as the list scrolls ([loadNextPage]), so the tab never loads the whole
+/// history. When transactions or categories change, the rows loaded so
+/// far are queried again in one go, keeping the scroll position.
 class TransactionListCubit extends Cubit<TransactionListState> {
   final TransactionRepository _transactionRepository;
   final CategoryRepository _categoryRepository;
+  final BudgetRepository _budgetRepository;
   final _logger = AppLogger.instance;
 
   StreamSubscription? _transactionSubscription;
@@ -19,147 +38,183 @@ class TransactionListCubit extends Cubit<TransactionListState> {
   int _currentPage = 0;
   static const int _pageSize = 20;
 
-  TransactionListCubit(this._transactionRepository, this._categoryRepository)
-    : super(const TransactionListState.initial()) {
+  /// Rows loaded so far, and where the next page starts (null: no more)
+  List<TransactionVModel> _loaded = const [];
+  TransactionCursor? _nextCursor;
+  bool _isLoadingMore = false;
+
+  TransactionFilter _filter = const TransactionFilter();
+  DateTime? _selectedDate;
+
+  /// Incremented per query, so a slower earlier query can't overwrite a
+  /// newer result
+  int _loadId = 0;
+
+  TransactionListCubit(
+    this._transactionRepository,
+    this._categoryRepository,
+    this._budgetRepository,
+  ) : super(const TransactionListState.initial()) {
     _subscribeToStreams();
   }
 
+  /// Filter in effect (also while a query is loading)
+  TransactionFilter get filter => _filter;
+
+  /// Categories offered by the filter sheet
+  List<CategoryModel> get categories => _categoryRepository.categories;
+
+  /// Budgets offered by the filter sheet, most recent first
+  List<BudgetModel> get budgets => [..._budgetRepository.budgets]
+    ..sort((a, b) => b.startDate.compareTo(a.startDate));
+
   void _subscribeToStreams() {
     // Listen to transaction changes
-    _transactionSubscription = _transactionRepository.transactionsStream.listen((
+    _transactionSubscription = _transactionRepository.changesStream.listen((
       _,
     ) {
-      _loadTransactions();
+      _loadTransactions(keepLoaded: true);
     });
 
-    // Listen to category changes (affects denormalization)
+    // Listen to category changes (affects denormalization and search)
     _categorySubscription = _categoryRepository.categoriesStream.listen((_) {
-      _loadTransactions();
+      _loadTransactions(keepLoaded: true);
     });
 
     // Initial load
     _loadTransactions();
   }
 
-  void _loadTransactions() {
-    // Extract current filters from state BEFORE emitting loading
-    String searchQuery = '';
-    DateTime? selectedDate;
-
-    state.maybeWhen(
-      success: (_, _, _, query, date) {
-        searchQuery = query;
-        selectedDate = date;
-      },
-      orElse: () {},
+  /// Query the list from the start
+  ///
+  /// With [keepLoaded] (data changed), as many rows as already loaded are
+  /// fetched, without a loading state, so the list doesn't jump back to
+  /// the top.
+  Future<void> _loadTransactions({bool keepLoaded = false}) async {
+    final loadId = ++_loadId;
+    final limit = keepLoaded ? math.max(_loaded.length, _pageSize) : _pageSize;
+    final isShowingList = state.maybeWhen(
+      success: (_, _, _, _, _) => true,
+      orElse: () => false,
     );
-
-    emit(const TransactionListState.loading());
+    if (!keepLoaded || !isShowingList) {
+      emit(const TransactionListState.loading());
+    }
 
     try {
-
-      // Get all transactions
-      var allTransactions = _transactionRepository.transactions;
-
-      // Apply search filter (if query exists)
-      if (searchQuery.isNotEmpty) {
-        _logger.debug('Filtering ${allTransactions.length} transactions with query: "$searchQuery"');
-        allTransactions = allTransactions.where((tx) {
-          final category = tx.categoryId != null
-              ? _categoryRepository.getCategoryByIdSync(tx.categoryId!)
-              : null;
-
-          final matchesName =
-              tx.name.toLowerCase().contains(searchQuery.toLowerCase());
-          final matchesCategory = category?.name
-                  .toLowerCase()
-                  .contains(searchQuery.toLowerCase()) ??
-              false;
-
-          return matchesName || matchesCategory;
-        }).toList();
-        _logger.debug('After filtering: ${allTransactions.length} transactions');
+      final filter = _filter;
+      if (filter.isActive) {
+        _logger.debug('Filtering transactions with: $filter');
       }
+      final page = await _transactionRepository.getFilteredPage(
+        filter,
+        limit: limit,
+      );
+      if (loadId != _loadId || isClosed) return;
 
-      // Apply pagination on filtered results
-      final startIndex = _currentPage * _pageSize;
-      final endIndex =
-          (startIndex + _pageSize).clamp(0, allTransactions.length);
-
-      if (startIndex >= allTransactions.length && allTransactions.isNotEmpty) {
-        // No more pages
-        List<TransactionVModel> currentTransactions = [];
-        state.maybeWhen(
-          success: (transactions, _, _, _, _) {
-            currentTransactions = transactions;
-          },
-          orElse: () {},
-        );
-
-        emit(
-          TransactionListState.success(
-            transactions: currentTransactions,
-            currentPage: _currentPage,
-            hasMore: false,
-            searchQuery: searchQuery,
-            selectedDate: selectedDate,
-          ),
-        );
-        return;
-      }
+      _loaded = page.hits.map(_toViewModel).toList();
+      _nextCursor = page.next;
+      _currentPage = math.max(0, (_loaded.length / _pageSize).ceil() - 1);
+      _emitLoaded();
+    } catch (e) {
+      if (loadId != _loadId || isClosed) return;
+      emit(TransactionListState.error(e.toString()));
+    }
+  }
 
-      final pageTransactions = allTransactions.isNotEmpty
-          ? allTransactions.sublist(startIndex, endIndex)
-          : <dynamic>[];
-
-      // Denormalize: combine transaction + category data
-      final viewItems = pageTransactions.map((transaction) {
-        final category = transaction.categoryId != null
-            ? _categoryRepository.getCategoryByIdSync(transaction.categoryId!)
-            : null;
-
-        return TransactionVModel(
-          id: transaction.id,
-          name: transaction.name,
-          amount: transaction.amount,
-          type: transaction.type,
-          transactionDate: transaction.transactionDate,
-          formattedDate: DateFormatter.formatTransactionDateTime(
-            transaction.transactionDate,
-          ),
-          formattedTime: DateFormatter.formatTime(transaction.transactionDate),
-          categoryId: transaction.categoryId,
-          categoryName: category?.name,
-          categoryIconName: category?.iconName,
-          notes: transaction.notes,
-        );
-      }).toList();
-
-      final hasMore = endIndex < allTransactions.length;
-
-      emit(
-        TransactionListState.success(
-          transactions: viewItems,
-          currentPage: _currentPage,
-          hasMore: hasMore,
-          searchQuery: searchQuery,
-          selectedDate: selectedDate,
-        ),
+  /// Fetch the rows after the last loaded one and append them
+  ///
+  /// [through] stretches the page to every row dated on or after that day.
+  /// Does nothing on the last page or while a page is loading.
+  Future<void> loadNextPage({DateTime? through}) async {
+    final cursor = _nextCursor;
+    if (cursor == null || _isLoadingMore) return;
+
+    _isLoadingMore = true;
+    final loadId = _loadId;
+    try {
+      final page = await _transactionRepository.getFilteredPage(
+        _filter,
+        after: cursor,
+        limit: _pageSize,
+        through: through,
       );
+      if (loadId != _loadId || isClosed) return;
+
+      _loaded = [..._loaded, ...page.hits.map(_toViewModel)];
+      _nextCursor = page.next;
+      _currentPage++;
+      _emitLoaded();
     } catch (e) {
+      if (loadId != _loadId || isClosed) return;
       emit(TransactionListState.error(e.toString()));
+    } finally {
+      _isLoadingMore = false;
     }
   }
 
-  void loadNextPage() {
-    _currentPage++;
-    _loadTransactions();
+  void _emitLoaded() {
+    if (_filter.isActive) {
+      _logger.debug('After filtering: ${_loaded.length} transactions loaded');
+    }
+    emit(
+      TransactionListState.success(
+        transactions: _loaded,
+        currentPage: _currentPage,
+        hasMore: _nextCursor != null,
+        filter: _filter,
+        selectedDate: _selectedDate,
+      ),
+    );
+  }
+
+  /// Denormalize: combine transaction + category data
+  TransactionVModel _toViewModel(TransactionSearchHit hit) {
+    final transaction = hit.transaction;
+    final category = transaction.categoryId != null
+        ? _categoryRepository.getCategoryByIdSync(transaction.categoryId!)
+        : null;
+
+    return TransactionVModel(
+      id: transaction.id,
+      name: transaction.name,
+      amount: transaction.amount,
+      currencyCode: transaction.currencyCode,
+      type: transaction.type,
+      transactionDate: transaction.transactionDate,
+      formattedDate: DateFormatter.formatTransactionDateTime(
+        transaction.transactionDate,
+      ),
+      formattedTime: DateFormatter.formatTime(transaction.transactionDate),
+      categoryId: transaction.categoryId,
+      categoryName: category?.name,
+      categoryIconName: category?.iconName,
+      notes: transaction.notes,
+      nameHighlight: hit.nameHighlight,
+      notesSnippet: hit.notesSnippet,
+      splits: _toSplitViewModels(transaction),
+    );
+  }
+
+  /// Split lines of [transaction] with their category data
+  List<TransactionSplitVModel> _toSplitViewModels(
+    TransactionModel transaction,
+  ) {
+    return transaction.splits.map((line) {
+      final category = line.categoryId != null
+          ? _categoryRepository.getCategoryByIdSync(line.categoryId!)
+          : null;
+      return (
+        amount: line.amount,
+        categoryName: category?.name,
+        categoryIconName: category?.iconName,
+      );
+    }).toList();
   }
 
   Future<void> refresh() {
     _currentPage = 0;
-    _loadTransactions();
-    return Future.value();
+    return _loadTransactions();
   }
 
   Future<void> deleteTransaction(String id) async {
@@ -167,43 +222,52 @@ class TransactionListCubit extends Cubit<TransactionListState> {
     // Stream will automatically trigger reload
   }
 
-  /// Search transactions by name or category name
+  /// Undo [deleteTransaction] (the transaction comes back from the trash)
+  Future<void> restoreTransaction(String id) async {
+    await _transactionRepository.restoreTransaction(id);
+  }
+
+  /// Search transactions by name, notes or category name (empty clears the
+  /// search, keeping the other criteria)
   void searchTransactions(String query) {
     _logger.debug('searchTransactions called with query: "$query"');
+    applyFilter(_filter.copyWith(query: query));
+  }
 
-    // Reset to page 0 when search changes
-    _currentPage = 0;
-
-    // Update state with new search query first
-    state.maybeWhen(
-      success: (transactions, currentPage, hasMore, _, selectedDate) {
-        emit(TransactionListState.success(
-          transactions: transactions,
-          currentPage: currentPage,
-          hasMore: hasMore,
-          searchQuery: query,
-          selectedDate: selectedDate,
-        ));
-      },
-      orElse: () {},
-    );
+  /// Replace the filter criteria (from the filter sheet)
+  void applyFilter(TransactionFilter filter) {
+    if (filter == _filter) return;
 
-    // Reload with new search query
+    // Reset to page 0 when the filter changes
+    _currentPage = 0;
+    _filter = filter;
     _loadTransactions();
   }
 
   /// Set selected date for scroll-to-date functionality
-  void setSelectedDate(DateTime? date) {
+  ///
+  /// When the date is older than the rows loaded so far (date order only),
+  /// every row down to it is fetched first so the list can scroll there.
+  Future<void> setSelectedDate(DateTime? date) async {
     _logger.debug('setSelectedDate called with date: ${date?.toIso8601String()}');
+    _selectedDate = date;
+
+    final cursor = _nextCursor;
+    if (date != null &&
+        cursor != null &&
+        cursor.rank == null &&
+        !cursor.date.isBefore(DateTime(date.year, date.month, date.day))) {
+      await loadNextPage(through: date);
+    }
 
     // Just update state, don't reload (scroll happens in UI)
     state.maybeWhen(
-      success: (transactions, currentPage, hasMore, searchQuery, _) {
+      success: (transactions, currentPage, hasMore, filter, _) {
         emit(TransactionListState.success(
           transactions: transactions,
           currentPage: currentPage,
           hasMore: hasMore,
-          searchQuery: searchQuery,
+          filter: filter,
           selectedDate: date,
         ));
         _logger.verbose('Emitted new state with selectedDate: $date');
@@ -214,25 +278,9 @@ class TransactionListCubit extends Cubit<TransactionListState> {
     );
   }
 
-  /// Clear all filters
+  /// Clear the filter criteria (keeps the search text)
   void clearFilters() {
-    _currentPage = 0;
-
-    // Clear filters and reload
-    state.maybeWhen(
-      success: (transactions, currentPage, hasMore, _, _) {
-        emit(TransactionListState.success(
-          transactions: transactions,
-          currentPage: currentPage,
-          hasMore: hasMore,
-          searchQuery: '',
-          selectedDate: null,
-        ));
-      },
-      orElse: () {},
-    );
-
-    _loadTransactions();
+    applyFilter(_filter.withoutCriteria);
   }
 
   @override
@@ -1,3 +1,4 @@
+import 'package:centabit/data/models/transaction_filter.dart';
 import 'package:centabit/shared/v_models/transaction_v_model.dart';
 import 'package:freezed_annotation/freezed_annotation.dart';
 
@@ -13,7 +14,7 @@ abstract class TransactionListState with _$TransactionListState {
     required List<TransactionVModel> transactions,
     required int currentPage,
     required bool hasMore,
-    @Default('') String searchQuery,
+    @Default(TransactionFilter()) TransactionFilter filter,
     DateTime? selectedDate,
   }) = _Success;
 
@@ -0,0 +1,131 @@
+import 'dart:async';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/models/recurring_occurrence_model.dart';
+import 'package:centabit/data/models/recurring_transaction_model.dart';
+import 'package:centabit/data/repositories/recurring_transaction_repository.dart';
+import 'package:centabit/features/transactions/presentation/cubits/upcoming_transactions_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the upcoming transactions page.
+///
+/// Lists the occurrences of all recurring series for the next [horizon]
+/// and applies the per-occurrence and per-series actions.
+///
+/// **Data Flow**:
+/// ```
+/// RecurringTransactionRepository emits series (or an exception changed)
+///   ↓
+/// Emit UpcomingTransactionsState.success([RecurringOccurrenceModel, ...])
+///   ↓
+/// User skips / edits this one / edits the series
+///   ↓
+/// Repository writes → stream emits → list rebuilt
+/// ```
+class UpcomingTransactionsCubit extends Cubit<UpcomingTransactionsState> {
+  /// How far ahead occurrences are listed
+  static const horizon = Duration(days: 90);
+
+  final RecurringTransactionRepository _recurringRepository;
+
+  StreamSubscription? _seriesSubscription;
+
+  UpcomingTransactionsCubit(this._recurringRepository)
+      : super(const UpcomingTransactionsState.initial()) {
+    _subscribeToStreams();
+  }
+
+  void _subscribeToStreams() {
+    _seriesSubscription = _recurringRepository.seriesStream.listen((_) {
+      _loadOccurrences();
+    });
+
+    // Initial load
+    _loadOccurrences();
+  }
+
+  void _loadOccurrences() {
+    emit(const UpcomingTransactionsState.loading());
+
+    try {
+      emit(UpcomingTransactionsState.success(
+        occurrences: _recurringRepository.getUpcomingOccurrences(
+          until: DateTime.now().add(horizon),
+        ),
+      ));
+    } catch (e) {
+      emit(UpcomingTransactionsState.error(e.toString()));
+    }
+  }
+
+  /// Series an occurrence belongs to (for "edit series")
+  RecurringTransactionModel? seriesOf(RecurringOccurrenceModel occurrence) {
+    for (final series in _recurringRepository.series) {
+      if (series.id == occurrence.recurringId) return series;
+    }
+    return null;
+  }
+
+  /// Skip one occurrence
+  Future<void> skipOccurrence(RecurringOccurrenceModel occurrence) {
+    return _run(
+      L10n.current.occurrenceSkipFailed,
+      () => _recurringRepository.skipOccurrence(
+        occurrence.recurringId,
+        occurrence.occurrenceDate,
+      ),
+    );
+  }
+
+  /// Change name/amount of one occurrence
+  Future<void> editOccurrence(
+    RecurringOccurrenceModel occurrence, {
+    required String name,
+    required double amount,
+  }) {
+    return _run(
+      L10n.current.occurrenceEditFailed,
+      () => _recurringRepository.editOccurrence(
+        occurrence.recurringId,
+        occurrence.occurrenceDate,
+        name: name,
+        amount: amount,
+      ),
+    );
+  }
+
+  /// Change the whole series (future occurrences)
+  Future<void> updateSeries(RecurringTransactionModel series) {
+    return _run(
+      L10n.current.seriesUpdateFailed,
+      () => _recurringRepository.updateSeries(series),
+    );
+  }
+
+  /// Stop the series (materialized transactions are kept)
+  Future<void> deleteSeries(String recurringId) {
+    return _run(
+      L10n.current.seriesDeleteFailed,
+      () => _recurringRepository.deleteSeries(recurringId),
+    );
+  }
+
+  /// Run an action; on failure show the error, worded by [failure], then
+  /// the list again
+  Future<void> _run(
+    String Function(String error) failure,
+    Future<void> Function() execute,
+  ) async {
+    try {
+      await execute();
+    } catch (e) {
+      emit(UpcomingTransactionsState.error(failure('$e')));
+      _loadOccurrences();
+    }
+  }
+
+  @override
+  Future<void> close() {
+    _seriesSubscription?.cancel();
+    return super.close();
+  }
+}
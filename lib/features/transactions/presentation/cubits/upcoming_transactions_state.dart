@@ -0,0 +1,21 @@
+import 'package:centabit/data/models/recurring_occurrence_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'upcoming_transactions_state.freezed.dart';
+
+/// State for the upcoming (recurring) transactions page
+///
+/// Union type states:
+/// - initial: Before the first load
+/// - loading: Building the occurrence list
+/// - success: Upcoming occurrences, soonest first
+/// - error: Loading or an action failed with error message
+@freezed
+class UpcomingTransactionsState with _$UpcomingTransactionsState {
+  const factory UpcomingTransactionsState.initial() = _Initial;
+  const factory UpcomingTransactionsState.loading() = _Loading;
+  const factory UpcomingTransactionsState.success({
+    required List<RecurringOccurrenceModel> occurrences,
+  }) = _Success;
+  const factory UpcomingTransactionsState.error(String message) = _Error;
+}
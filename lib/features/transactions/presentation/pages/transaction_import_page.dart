@@ -0,0 +1,330 @@
+import 'dart:convert';
+
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/data/models/import_candidate_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/features/transactions/presentation/cubits/transaction_import_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/transaction_import_state.dart';
+import 'package:centabit/features/transactions/presentation/widgets/csv_column_mapping_form.dart';
+import 'package:file_picker/file_picker.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Bank statement import page.
+///
+/// **Steps**:
+/// 1. Pick a CSV, OFX/QFX or QIF file
+/// 2. CSV only: map the columns (date, description, amount, ...)
+/// 3. Review the entries: likely duplicates of existing transactions start
+///    unchecked, entries imported before can't be checked; entries show
+///    the category their categorization rule gives them
+/// 4. Import the checked entries
+///
+/// **Navigation**:
+/// - Route: `/import-transactions` (sub-route under dashboard)
+/// - Accessed from: Transactions page app bar
+class TransactionImportPage extends StatelessWidget {
+  const TransactionImportPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<TransactionImportCubit>(),
+      child: const _TransactionImportContent(),
+    );
+  }
+}
+
+/// Internal content widget for the import page.
+///
+/// Separated from TransactionImportPage to allow BlocProvider scoping.
+class _TransactionImportContent extends StatelessWidget {
+  const _TransactionImportContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+
+    return BlocConsumer<TransactionImportCubit, TransactionImportState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      // The previous step is emitted again right after an error
+      buildWhen: (_, current) =>
+          current.maybeWhen(error: (_) => false, orElse: () => true),
+      builder: (context, state) {
+        final cubit = context.read<TransactionImportCubit>();
+
+        return Scaffold(
+          appBar: AppBar(
+            title: Text(AppLocalizations.of(context).importTitle),
+            leading: IconButton(
+              icon: const Icon(DirectionalIcons.back),
+              onPressed: () => context.pop(),
+            ),
+          ),
+          body: state.maybeWhen(
+            loading: () => const Center(child: CircularProgressIndicator()),
+            mapping: (_, delimiter, sampleRows) => CsvColumnMappingForm(
+              delimiter: delimiter,
+              sampleRows: sampleRows,
+              onDelimiterChanged: cubit.changeDelimiter,
+              onSubmit: cubit.applyMapping,
+            ),
+            preview: (fileName, candidates) =>
+                _buildPreview(context, fileName, candidates),
+            done: (imported) => _buildDone(context, imported),
+            orElse: () => _buildPickFile(context),
+          ),
+        );
+      },
+    );
+  }
+
+  Widget _buildPickFile(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return Center(
+      child: Padding(
+        padding: EdgeInsets.all(spacing.lg),
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          children: [
+            Icon(
+              TablerIcons.fileImport,
+              size: 48,
+              color: theme.colorScheme.primary,
+            ),
+            SizedBox(height: spacing.md),
+            Text(
+              l10n.importPickTitle,
+              style: theme.textTheme.titleMedium,
+            ),
+            SizedBox(height: spacing.xs),
+            Text(
+              l10n.importPickSubtitle,
+              style: theme.textTheme.bodySmall,
+            ),
+            SizedBox(height: spacing.lg),
+            FilledButton.icon(
+              onPressed: () => _pickFile(context),
+              icon: const Icon(TablerIcons.fileUpload),
+              label: Text(l10n.importChooseFile),
+            ),
+          ],
+        ),
+      ),
+    );
+  }
+
+  Future<void> _pickFile(BuildContext context) async {
+    final cubit = context.read<TransactionImportCubit>();
+    final result = await FilePicker.platform.pickFiles(
+      type: FileType.custom,
+      allowedExtensions: StatementFormat.fileExtensions,
+      withData: true,
+    );
+    final file = result?.files.singleOrNull;
+    final bytes = file?.bytes;
+    if (file == null || bytes == null) return;
+
+    await cubit.loadFile(file.name, utf8.decode(bytes, allowMalformed: true));
+  }
+
+  Widget _buildPreview(
+    BuildContext context,
+    String fileName,
+    List<ImportCandidateModel> candidates,
+  ) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.read<TransactionImportCubit>();
+    final selectedCount = candidates.where((c) => c.isSelected).length;
+    final categoryNames = {
+      for (final category in getIt<CategoryRepository>().categories)
+        category.id: category.name,
+    };
+
+    return Column(
+      children: [
+        Padding(
+          padding: EdgeInsets.all(spacing.md),
+          child: Text(
+            l10n.importFileEntries(fileName, candidates.length),
+            style: theme.textTheme.bodySmall,
+          ),
+        ),
+        Expanded(
+          child: ListView.separated(
+            itemCount: candidates.length,
+            separatorBuilder: (_, __) => const Divider(height: 1),
+            itemBuilder: (context, index) => _CandidateTile(
+              candidate: candidates[index],
+              categoryName:
+                  categoryNames[candidates[index].transaction.categoryId],
+              onToggle: () => cubit.toggleCandidate(index),
+            ),
+          ),
+        ),
+        SafeArea(
+          top: false,
+          child: Padding(
+            padding: EdgeInsets.all(spacing.md),
+            child: Row(
+              children: [
+                TextButton(
+                  onPressed: cubit.reset,
+                  child: Text(l10n.importOtherFile),
+                ),
+                const Spacer(),
+                FilledButton(
+                  onPressed: selectedCount == 0 ? null : cubit.importSelected,
+                  child: Text(l10n.importSelected(selectedCount)),
+                ),
+              ],
+            ),
+          ),
+        ),
+      ],
+    );
+  }
+
+  Widget _buildDone(BuildContext context, int imported) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return Center(
+      child: Column(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          Icon(
+            TablerIcons.fileSpreadsheet,
+            size: 48,
+            color: theme.colorScheme.primary,
+          ),
+          SizedBox(height: spacing.md),
+          Text(
+            l10n.importDone(imported),
+            style: theme.textTheme.titleMedium,
+          ),
+          SizedBox(height: spacing.xs),
+          Text(
+            l10n.importDoneHint,
+            style: theme.textTheme.bodySmall,
+          ),
+          SizedBox(height: spacing.lg),
+          FilledButton(
+            onPressed: () => context.pop(),
+            child: Text(l10n.done),
+          ),
+        ],
+      ),
+    );
+  }
+}
+
+/// One statement entry with its category and duplicate flag
+class _CandidateTile extends StatelessWidget {
+  final ImportCandidateModel candidate;
+
+  /// Category given by a categorization rule, if any
+  final String? categoryName;
+  final VoidCallback onToggle;
+
+  const _CandidateTile({
+    required this.candidate,
+    this.categoryName,
+    required this.onToggle,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final l10n = AppLocalizations.of(context);
+    final transaction = candidate.transaction;
+    final isCredit = transaction.type == TransactionType.credit;
+    final duplicateOf = candidate.duplicateOf;
+
+    return CheckboxListTile(
+      value: candidate.isSelected,
+      onChanged: candidate.isAlreadyImported ? null : (_) => onToggle(),
+      controlAffinity: ListTileControlAffinity.leading,
+      title: Text(transaction.name),
+      subtitle: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Text(
+            [
+              _formatDate(transaction.transactionDate),
+              if (categoryName != null) categoryName!,
+            ].join(' · '),
+          ),
+          if (candidate.isAlreadyImported)
+            _buildFlag(theme, l10n.importAlreadyImported)
+          else if (duplicateOf != null)
+            _buildFlag(
+              theme,
+              l10n.importPossibleDuplicate(
+                duplicateOf.name,
+                _formatDate(duplicateOf.transactionDate),
+              ),
+            ),
+        ],
+      ),
+      secondary: Text(
+        "${isCredit ? '+' : '-'}"
+        '${CurrencyFormatter.format(
+          transaction.amount,
+          transaction.currencyCode,
+        )}',
+        textDirection: TextDirection.ltr,
+        style: theme.textTheme.titleSmall,
+      ),
+    );
+  }
+
+  String _formatDate(DateTime date) => DateFormatter.formatHeaderDate(date);
+
+  Widget _buildFlag(ThemeData theme, String text) {
+    return Row(
+      children: [
+        Icon(
+          TablerIcons.alertTriangle,
+          size: 14,
+          color: theme.colorScheme.error,
+        ),
+        const SizedBox(width: 4),
+        Expanded(
+          child: Text(
+            text,
+            style: theme.textTheme.bodySmall?.copyWith(
+              color: theme.colorScheme.error,
+            ),
+          ),
+        ),
+      ],
+    );
+  }
+}
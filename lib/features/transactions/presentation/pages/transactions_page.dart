@@ -2,29 +2,39 @@ import 'dart:async';
 import 'dart:ui';
 
 import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/router/navigation/nav_cubit.dart';
 import 'package:centabit/core/router/navigation/nav_scroll_behavior.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
 import 'package:centabit/core/utils/date_formatter.dart';
 import 'package:centabit/core/utils/show_modal.dart';
+import 'package:centabit/core/utils/show_undo_snack_bar.dart';
 import 'package:centabit/data/models/transaction_model.dart';
 import 'package:centabit/data/repositories/transaction_repository.dart';
+import 'package:centabit/features/transactions/presentation/cubits/saved_searches_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/saved_searches_state.dart';
 import 'package:centabit/features/transactions/presentation/cubits/transaction_list_cubit.dart';
 import 'package:centabit/features/transactions/presentation/cubits/transaction_list_state.dart';
+import 'package:centabit/features/transactions/presentation/widgets/transaction_filter_button.dart';
 import 'package:centabit/features/transactions/presentation/widgets/transaction_form_modal.dart';
+import 'package:centabit/features/transactions/presentation/widgets/transaction_search_suggestions.dart';
 import 'package:centabit/shared/v_models/transaction_v_model.dart';
 import 'package:centabit/shared/widgets/custom_date_picker_icon.dart';
 import 'package:centabit/shared/widgets/shared_app_bar.dart';
 import 'package:centabit/shared/widgets/transaction_tile.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
 import 'package:sticky_grouped_list/sticky_grouped_list.dart';
 
 /// Transactions page displaying a list of all transactions
 ///
 /// Features:
 /// - Search-enabled navigation variant
-/// - Searchable transaction list
+/// - Searchable transaction list, with a filter sheet (type, categories,
+///   budget, amount and date ranges, notes)
+/// - Recent and saved searches suggested in search mode
 /// - Transaction management (delete, edit, copy)
 class TransactionsPage extends StatelessWidget {
   const TransactionsPage({super.key});
@@ -49,8 +59,12 @@ class _TransactionsViewState extends State<_TransactionsView> {
   final GlobalKey<NavScrollWrapperState> _navScrollKey = GlobalKey();
 
   NavCubit? _navCubit; // Store reference to avoid context access in dispose
+  final _savedSearchesCubit = getIt<SavedSearchesCubit>();
   Timer? _programmaticScrollTimer;
 
+  /// Distance from the end of the list at which the next page is fetched
+  static const double _loadMoreExtent = 600;
+
   @override
   void initState() {
     super.initState();
@@ -59,12 +73,26 @@ class _TransactionsViewState extends State<_TransactionsView> {
     WidgetsBinding.instance.addPostFrameCallback((_) {
       if (mounted) {
         _navCubit = context.read<NavCubit>();
+        final cubit = context.read<TransactionListCubit>();
         _navCubit?.setFilterAction(
-          CustomDatePickerIcon(
-            currentDate: DateTime.now(),
-            onDateChanged: (date) {
-              context.read<TransactionListCubit>().setSelectedDate(date);
-            },
+          Row(
+            mainAxisSize: MainAxisSize.min,
+            children: [
+              TransactionFilterButton(
+                cubit: cubit,
+                savedSearchesCubit: _savedSearchesCubit,
+              ),
+              CustomDatePickerIcon(
+                currentDate: DateTime.now(),
+                onDateChanged: cubit.setSelectedDate,
+              ),
+            ],
+          ),
+        );
+        _navCubit?.setSearchSuggestions(
+          TransactionSearchSuggestions(
+            listCubit: cubit,
+            savedSearchesCubit: _savedSearchesCubit,
           ),
         );
       }
@@ -75,6 +103,7 @@ class _TransactionsViewState extends State<_TransactionsView> {
   void dispose() {
     // Clear filter action when leaving page (using stored reference)
     _navCubit?.setFilterAction(null);
+    _navCubit?.setSearchSuggestions(null);
     _programmaticScrollTimer?.cancel();
     super.dispose();
   }
@@ -116,26 +145,62 @@ class _TransactionsViewState extends State<_TransactionsView> {
   @override
   Widget build(BuildContext context) {
     final spacing = Theme.of(context).extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
 
     return Scaffold(
-      appBar: sharedAppBar(context, title: const Text('Transactions')),
+      appBar: sharedAppBar(
+        context,
+        title: Text(l10n.transactionsTitle),
+        actions: [
+          IconButton(
+            icon: const Icon(TablerIcons.calendarRepeat),
+            onPressed: () => context.pushNamed('upcoming'),
+            tooltip: l10n.upcomingTitle,
+          ),
+          IconButton(
+            icon: const Icon(TablerIcons.fileImport),
+            onPressed: () => context.pushNamed('import-transactions'),
+            tooltip: l10n.importAction,
+          ),
+        ],
+      ),
       body: NavScrollWrapper(
         key: _navScrollKey,
         child: BlocBuilder<TransactionListCubit, TransactionListState>(
           builder: (context, state) {
-            return BlocListener<NavCubit, NavState>(
-              listenWhen: (prev, curr) => prev.searchQuery != curr.searchQuery,
-              listener: (context, navState) {
-                // Page receives search query updates from nav bar
-                if (navState.searchQuery.isNotEmpty) {
-                  context.read<TransactionListCubit>().searchTransactions(
-                    navState.searchQuery,
-                  );
-                } else {
-                  // Clear search when query is empty
-                  context.read<TransactionListCubit>().clearFilters();
-                }
-              },
+            return MultiBlocListener(
+              listeners: [
+                BlocListener<NavCubit, NavState>(
+                  listenWhen: (prev, curr) =>
+                      prev.searchQuery != curr.searchQuery,
+                  listener: (context, navState) {
+                    // Page receives search query updates from nav bar (an
+                    // empty query clears the search, keeping the sheet's
+                    // criteria)
+                    context.read<TransactionListCubit>().searchTransactions(
+                      navState.searchQuery,
+                    );
+                  },
+                ),
+                // Record the query in the history when search mode closes
+                BlocListener<NavCubit, NavState>(
+                  listenWhen: (prev, curr) =>
+                      prev.isSearching && !curr.isSearching,
+                  listener: (context, navState) {
+                    _savedSearchesCubit.recordQuery(navState.searchQuery);
+                  },
+                ),
+                BlocListener<SavedSearchesCubit, SavedSearchesState>(
+                  bloc: _savedSearchesCubit,
+                  listener: (context, state) {
+                    state.maybeWhen(
+                      error: (message) => ScaffoldMessenger.of(context)
+                          .showSnackBar(SnackBar(content: Text(message))),
+                      orElse: () {},
+                    );
+                  },
+                ),
+              ],
               child: BlocListener<TransactionListCubit, TransactionListState>(
                 listenWhen: (prev, curr) {
                   DateTime? prevDate;
@@ -167,7 +232,7 @@ class _TransactionsViewState extends State<_TransactionsView> {
                   initial: () => const SizedBox(),
                   loading: () =>
                       const Center(child: CircularProgressIndicator()),
-                  success: (transactions, _, _, _, _) {
+                  success: (transactions, _, hasMore, filter, _) {
                     if (transactions.isEmpty) {
                       return RefreshIndicator(
                         onRefresh: () {
@@ -176,78 +241,124 @@ class _TransactionsViewState extends State<_TransactionsView> {
                             const Duration(milliseconds: 300),
                           );
                         },
-                        child: const Center(child: Text('No transactions yet')),
+                        child: Center(
+                          child: filter.isActive
+                              ? Column(
+                                  mainAxisSize: MainAxisSize.min,
+                                  children: [
+                                    Text(l10n.transactionFiltersNoMatch),
+                                    TextButton(
+                                      onPressed: context
+                                          .read<TransactionListCubit>()
+                                          .clearFilters,
+                                      child: Text(
+                                        l10n.transactionFiltersReset,
+                                      ),
+                                    ),
+                                  ],
+                                )
+                              : Text(l10n.transactionsEmpty),
+                        ),
                       );
                     }
 
-                    return StickyGroupedListView<TransactionVModel, DateTime>(
-                      elements: transactions.toList(),
-                      groupBy: (transaction) => DateFormatter.normalizeToDay(
-                        transaction.transactionDate,
-                      ),
-                      groupSeparatorBuilder: (TransactionVModel transaction) {
-                        final date = DateFormatter.normalizeToDay(
-                          transaction.transactionDate,
-                        );
-                        return _buildDateHeader(context, date, spacing);
+                    // Fetch the next page before the end comes into view
+                    return NotificationListener<ScrollNotification>(
+                      onNotification: (notification) {
+                        if (hasMore &&
+                            notification.metrics.extentAfter <
+                                _loadMoreExtent) {
+                          context.read<TransactionListCubit>().loadNextPage();
+                        }
+                        return false;
                       },
-                      itemBuilder: (context, TransactionVModel transaction) {
-                        return Padding(
-                          padding: EdgeInsets.symmetric(horizontal: spacing.lg),
-                          child: TransactionTile(
-                            transaction: transaction,
-                            onEdit: () {
-                              final transactionModel =
-                                  getIt<TransactionRepository>().transactions
-                                      .firstWhere(
-                                        (t) => t.id == transaction.id,
-                                      );
+                      child: StickyGroupedListView<TransactionVModel, DateTime>(
+                        elements: transactions.toList(),
+                        groupBy: (transaction) => DateFormatter.normalizeToDay(
+                          transaction.transactionDate,
+                        ),
+                        groupSeparatorBuilder: (TransactionVModel transaction) {
+                          final date = DateFormatter.normalizeToDay(
+                            transaction.transactionDate,
+                          );
+                          return _buildDateHeader(context, date, spacing);
+                        },
+                        itemBuilder: (context, TransactionVModel transaction) {
+                          return Padding(
+                            padding: EdgeInsets.symmetric(
+                              horizontal: spacing.lg,
+                            ),
+                            child: TransactionTile(
+                              transaction: transaction,
+                              onEdit: () async {
+                                final transactionModel =
+                                    await getIt<TransactionRepository>()
+                                        .getTransactionById(transaction.id);
+                                if (transactionModel == null ||
+                                    !context.mounted) {
+                                  return;
+                                }
 
-                              showModalBottomSheetUtil(
-                                context,
-                                builder: (_) => TransactionFormModal(
-                                  initialValue: transactionModel,
-                                ),
-                                modalFractionalHeight: 0.78,
-                              );
-                            },
-                            onDelete: () => context
-                                .read<TransactionListCubit>()
-                                .deleteTransaction(transaction.id),
-                            onCopy: () {
-                              final original = getIt<TransactionRepository>()
-                                  .transactions
-                                  .firstWhere((t) => t.id == transaction.id);
-                              final copy = TransactionModel.create(
-                                name: original.name,
-                                amount: original.amount,
-                                type: original.type,
-                                transactionDate: DateTime.now(),
-                                categoryId: original.categoryId,
-                                budgetId: original.budgetId,
-                                notes: original.notes,
-                              );
+                                showModalBottomSheetUtil(
+                                  context,
+                                  builder: (_) => TransactionFormModal(
+                                    initialValue: transactionModel,
+                                  ),
+                                  modalFractionalHeight: 0.78,
+                                );
+                              },
+                              onDelete: () {
+                                final cubit =
+                                    context.read<TransactionListCubit>();
+                                cubit.deleteTransaction(transaction.id);
+                                showUndoSnackBar(
+                                  context,
+                                  message: l10n.transactionDeleted,
+                                  onUndo: () =>
+                                      cubit.restoreTransaction(transaction.id),
+                                );
+                              },
+                              onCopy: () async {
+                                final original =
+                                    await getIt<TransactionRepository>()
+                                        .getTransactionById(transaction.id);
+                                if (original == null || !context.mounted) {
+                                  return;
+                                }
+                                final copy = TransactionModel.create(
+                                  name: original.name,
+                                  amount: original.amount,
+                                  currencyCode: original.currencyCode,
+                                  type: original.type,
+                                  transactionDate: DateTime.now(),
+                                  categoryId: original.categoryId,
+                                  budgetId: original.budgetId,
+                                  notes: original.notes,
+                                  splits: original.splits,
+                                );
 
-                              showModalBottomSheetUtil(
-                                context,
-                                builder: (_) => TransactionFormModal(
-                                  initialValue: copy,
-                                  isCopy: true,
-                                ),
-                                modalFractionalHeight: 0.78,
-                              );
-                            },
-                          ),
-                        );
-                      },
-                      itemScrollController: _scrollController,
-                      floatingHeader: true,
-                      order: StickyGroupedListOrder.DESC,
-                      separator: const SizedBox.shrink(),
-                      padding: EdgeInsets.only(bottom: 120),
+                                showModalBottomSheetUtil(
+                                  context,
+                                  builder: (_) => TransactionFormModal(
+                                    initialValue: copy,
+                                    isCopy: true,
+                                  ),
+                                  modalFractionalHeight: 0.78,
+                                );
+                              },
+                            ),
+                          );
+                        },
+                        itemScrollController: _scrollController,
+                        floatingHeader: true,
+                        order: StickyGroupedListOrder.DESC,
+                        separator: const SizedBox.shrink(),
+                        padding: EdgeInsets.only(bottom: 120),
+                      ),
                     );
                   },
-                  error: (message) => Center(child: Text('Error: $message')),
+                  error: (message) =>
+                      Center(child: Text(l10n.errorMessage(message))),
                 ),
               ),
             );
@@ -0,0 +1,456 @@
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/recurring_occurrence_model.dart';
+import 'package:centabit/data/models/recurring_transaction_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/features/transactions/presentation/cubits/upcoming_transactions_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/upcoming_transactions_state.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Upcoming transactions page.
+///
+/// **Purpose**:
+/// Lists the next occurrences of all recurring series (next 90 days). They
+/// become real transactions once due (`RecurringTransactionScheduler`).
+///
+/// **Actions** (per occurrence):
+/// - Skip: this occurrence is never created
+/// - Edit this one: name/amount of this occurrence only
+/// - Edit series: name/amount/schedule of all future occurrences
+/// - Delete series: stop repeating (existing transactions are kept)
+///
+/// **Navigation**:
+/// - Route: `/upcoming` (sub-route under dashboard)
+/// - Accessed from: Transactions page app bar
+class UpcomingTransactionsPage extends StatelessWidget {
+  const UpcomingTransactionsPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<UpcomingTransactionsCubit>(),
+      child: const _UpcomingTransactionsContent(),
+    );
+  }
+}
+
+/// Internal content widget for upcoming transactions page.
+///
+/// Separated from UpcomingTransactionsPage to allow BlocProvider scoping.
+class _UpcomingTransactionsContent extends StatelessWidget {
+  const _UpcomingTransactionsContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+
+    return BlocConsumer<UpcomingTransactionsCubit, UpcomingTransactionsState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      builder: (context, state) {
+        final l10n = AppLocalizations.of(context);
+
+        return Scaffold(
+          appBar: AppBar(
+            title: Text(l10n.upcomingTitle),
+            leading: IconButton(
+              icon: const Icon(DirectionalIcons.back),
+              onPressed: () => context.pop(),
+            ),
+          ),
+          body: state.when(
+            initial: () => const SizedBox.shrink(),
+            loading: () => const Center(child: CircularProgressIndicator()),
+            success: (occurrences) => occurrences.isEmpty
+                ? _buildEmptyContent(context)
+                : _buildOccurrenceList(context, occurrences),
+            error: (message) => Center(
+              child: Text(
+                l10n.errorMessage(message),
+                style: TextStyle(color: colorScheme.error),
+              ),
+            ),
+          ),
+        );
+      },
+    );
+  }
+
+  Widget _buildEmptyContent(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return Center(
+      child: Column(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          Icon(
+            TablerIcons.calendarRepeat,
+            size: 48,
+            color: theme.colorScheme.primary,
+          ),
+          SizedBox(height: spacing.md),
+          Text(l10n.upcomingEmpty, style: theme.textTheme.titleMedium),
+          SizedBox(height: spacing.xs),
+          Text(
+            l10n.upcomingEmptyHint,
+            style: theme.textTheme.bodySmall,
+          ),
+        ],
+      ),
+    );
+  }
+
+  Widget _buildOccurrenceList(
+    BuildContext context,
+    List<RecurringOccurrenceModel> occurrences,
+  ) {
+    final spacing = Theme.of(context).extension<AppSpacing>()!;
+
+    return ListView.separated(
+      padding: EdgeInsets.symmetric(vertical: spacing.md),
+      itemCount: occurrences.length,
+      separatorBuilder: (_, __) => const Divider(height: 1),
+      itemBuilder: (context, index) =>
+          _OccurrenceTile(occurrence: occurrences[index]),
+    );
+  }
+}
+
+enum _OccurrenceAction { skip, editOne, editSeries, deleteSeries }
+
+/// One upcoming occurrence with its action menu
+class _OccurrenceTile extends StatelessWidget {
+  final RecurringOccurrenceModel occurrence;
+
+  const _OccurrenceTile({required this.occurrence});
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final l10n = AppLocalizations.of(context);
+    final isCredit = occurrence.type == TransactionType.credit;
+
+    return ListTile(
+      leading: Icon(
+        TablerIcons.calendarRepeat,
+        color: theme.colorScheme.primary,
+      ),
+      title: Text(occurrence.name),
+      subtitle: Text(
+        occurrence.isEdited
+            ? l10n.upcomingEdited(
+                DateFormatter.formatTransactionDateTime(
+                  occurrence.occurrenceDate,
+                ),
+              )
+            : DateFormatter.formatTransactionDateTime(
+                occurrence.occurrenceDate,
+              ),
+      ),
+      trailing: Row(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          Text(
+            "${isCredit ? '+' : '-'}"
+            '${CurrencyFormatter.format(
+              occurrence.amount,
+              occurrence.currencyCode,
+            )}',
+            textDirection: TextDirection.ltr,
+            style: theme.textTheme.titleSmall,
+          ),
+          PopupMenuButton<_OccurrenceAction>(
+            icon: const Icon(TablerIcons.dotsVertical),
+            onSelected: (action) => _handleAction(context, action),
+            itemBuilder: (_) => [
+              PopupMenuItem(
+                value: _OccurrenceAction.skip,
+                child: Text(l10n.upcomingSkip),
+              ),
+              PopupMenuItem(
+                value: _OccurrenceAction.editOne,
+                child: Text(l10n.upcomingEditOne),
+              ),
+              PopupMenuItem(
+                value: _OccurrenceAction.editSeries,
+                child: Text(l10n.upcomingEditSeries),
+              ),
+              PopupMenuItem(
+                value: _OccurrenceAction.deleteSeries,
+                child: Text(l10n.upcomingDeleteSeries),
+              ),
+            ],
+          ),
+        ],
+      ),
+    );
+  }
+
+  Future<void> _handleAction(
+    BuildContext context,
+    _OccurrenceAction action,
+  ) async {
+    final cubit = context.read<UpcomingTransactionsCubit>();
+    final l10n = AppLocalizations.of(context);
+
+    switch (action) {
+      case _OccurrenceAction.skip:
+        await cubit.skipOccurrence(occurrence);
+      case _OccurrenceAction.editOne:
+        final result = await showDialog<_EditResult>(
+          context: context,
+          builder: (_) => _EditDialog(
+            title: l10n.upcomingEditOneTitle,
+            name: occurrence.name,
+            amount: occurrence.amount,
+          ),
+        );
+        if (result != null) {
+          await cubit.editOccurrence(
+            occurrence,
+            name: result.name,
+            amount: result.amount,
+          );
+        }
+      case _OccurrenceAction.editSeries:
+        final series = cubit.seriesOf(occurrence);
+        if (series == null) return;
+        final result = await showDialog<_EditResult>(
+          context: context,
+          builder: (_) => _EditDialog(
+            title: l10n.upcomingEditSeriesTitle,
+            name: series.name,
+            amount: series.amount,
+            frequency: series.frequency,
+            interval: series.interval,
+          ),
+        );
+        if (result != null) {
+          await cubit.updateSeries(series.copyWith(
+            name: result.name,
+            amount: result.amount,
+            frequency: result.frequency!,
+            interval: result.interval!,
+            dayOfMonth: result.frequency == RecurrenceFrequency.monthly
+                ? series.dayOfMonth ?? series.startDate.day
+                : null,
+          ));
+        }
+      case _OccurrenceAction.deleteSeries:
+        final confirmed = await _showDeleteConfirmation(context);
+        if (confirmed == true) {
+          await cubit.deleteSeries(occurrence.recurringId);
+        }
+    }
+  }
+
+  /// Show delete confirmation dialog
+  ///
+  /// Returns Future<bool?> - true if confirmed, false if canceled, null if dismissed
+  Future<bool?> _showDeleteConfirmation(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return showDialog<bool>(
+      context: context,
+      builder: (context) {
+        return AlertDialog(
+          title: Text(l10n.upcomingDeleteSeriesTitle),
+          content: Text(l10n.upcomingDeleteSeriesMessage(occurrence.name)),
+          actions: [
+            TextButton(
+              onPressed: () => Navigator.pop(context, false),
+              child: Text(
+                l10n.cancel,
+                style: TextStyle(color: colorScheme.onSurface),
+              ),
+            ),
+            TextButton(
+              onPressed: () => Navigator.pop(context, true),
+              child: Text(
+                l10n.delete,
+                style: TextStyle(color: colorScheme.error),
+              ),
+            ),
+          ],
+        );
+      },
+    );
+  }
+}
+
+/// Values returned by [_EditDialog] (schedule only when editing a series)
+typedef _EditResult = ({
+  String name,
+  double amount,
+  RecurrenceFrequency? frequency,
+  int? interval,
+});
+
+/// Name/amount editor, plus frequency and interval when [frequency] is set
+class _EditDialog extends StatefulWidget {
+  final String title;
+  final String name;
+  final double amount;
+  final RecurrenceFrequency? frequency;
+  final int? interval;
+
+  const _EditDialog({
+    required this.title,
+    required this.name,
+    required this.amount,
+    this.frequency,
+    this.interval,
+  });
+
+  @override
+  State<_EditDialog> createState() => _EditDialogState();
+}
+
+class _EditDialogState extends State<_EditDialog> {
+  final _formKey = GlobalKey<FormState>();
+  late final TextEditingController _nameController;
+  late final TextEditingController _amountController;
+  late final TextEditingController _intervalController;
+  RecurrenceFrequency? _frequency;
+
+  @override
+  void initState() {
+    super.initState();
+    _nameController = TextEditingController(text: widget.name);
+    _amountController = TextEditingController(
+      text: widget.amount.toStringAsFixed(2),
+    );
+    _intervalController = TextEditingController(
+      text: '${widget.interval ?? 1}',
+    );
+    _frequency = widget.frequency;
+  }
+
+  @override
+  void dispose() {
+    _nameController.dispose();
+    _amountController.dispose();
+    _intervalController.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final spacing = Theme.of(context).extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return AlertDialog(
+      title: Text(widget.title),
+      content: Form(
+        key: _formKey,
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          spacing: spacing.sm,
+          children: [
+            TextFormField(
+              controller: _nameController,
+              decoration: InputDecoration(labelText: l10n.name),
+              validator: (value) => (value == null || value.trim().isEmpty)
+                  ? l10n.nameRequired
+                  : null,
+            ),
+            TextFormField(
+              controller: _amountController,
+              decoration: InputDecoration(labelText: l10n.amount),
+              keyboardType: const TextInputType.numberWithOptions(
+                decimal: true,
+              ),
+              inputFormatters: [
+                FilteringTextInputFormatter.allow(RegExp(r'^\d+\.?\d{0,2}')),
+              ],
+              validator: (value) {
+                final amount = double.tryParse(value ?? '');
+                return (amount == null || amount <= 0)
+                    ? l10n.amountPositive
+                    : null;
+              },
+            ),
+            if (_frequency != null) ...[
+              DropdownButtonFormField<RecurrenceFrequency>(
+                initialValue: _frequency,
+                decoration: InputDecoration(labelText: l10n.repeat),
+                items: [
+                  DropdownMenuItem(
+                    value: RecurrenceFrequency.daily,
+                    child: Text(l10n.repeatDaily),
+                  ),
+                  DropdownMenuItem(
+                    value: RecurrenceFrequency.weekly,
+                    child: Text(l10n.repeatWeekly),
+                  ),
+                  DropdownMenuItem(
+                    value: RecurrenceFrequency.monthly,
+                    child: Text(l10n.repeatMonthly),
+                  ),
+                  DropdownMenuItem(
+                    value: RecurrenceFrequency.lastBusinessDay,
+                    child: Text(l10n.repeatLastBusinessDay),
+                  ),
+                ],
+                onChanged: (value) => setState(() => _frequency = value),
+              ),
+              TextFormField(
+                controller: _intervalController,
+                decoration: InputDecoration(labelText: l10n.repeatEvery),
+                keyboardType: TextInputType.number,
+                inputFormatters: [FilteringTextInputFormatter.digitsOnly],
+                validator: (value) {
+                  final interval = int.tryParse(value ?? '');
+                  return (interval == null || interval < 1)
+                      ? l10n.repeatIntervalInvalid
+                      : null;
+                },
+              ),
+            ],
+          ],
+        ),
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: () {
+            if (!(_formKey.currentState?.validate() ?? false)) return;
+            Navigator.pop<_EditResult>(context, (
+              name: _nameController.text.trim(),
+              amount: double.parse(_amountController.text),
+              frequency: _frequency,
+              interval: _frequency != null
+                  ? int.parse(_intervalController.text)
+                  : null,
+            ));
+          },
+          child: Text(l10n.save),
+        ),
+      ],
+    );
+  }
+}
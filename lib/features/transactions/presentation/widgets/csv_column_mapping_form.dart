@@ -0,0 +1,303 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/data/import/csv_statement_parser.dart';
+import 'package:flutter/material.dart';
+
+/// Column mapping step of the CSV import
+///
+/// Shows the first rows of the file and lets the user pick which column
+/// holds the date, description and amount (one signed column or separate
+/// money out/in columns), plus the date and number formats. Columns are
+/// pre-selected from the header titles when they're recognizable.
+class CsvColumnMappingForm extends StatefulWidget {
+  final String delimiter;
+  final List<List<String>> sampleRows;
+  final ValueChanged<String> onDelimiterChanged;
+  final ValueChanged<CsvColumnMapping> onSubmit;
+
+  const CsvColumnMappingForm({
+    super.key,
+    required this.delimiter,
+    required this.sampleRows,
+    required this.onDelimiterChanged,
+    required this.onSubmit,
+  });
+
+  @override
+  State<CsvColumnMappingForm> createState() => _CsvColumnMappingFormState();
+}
+
+class _CsvColumnMappingFormState extends State<CsvColumnMappingForm> {
+  static const _delimiters = [',', ';', '\t'];
+  static const _dateFormats = [
+    'yyyy-MM-dd',
+    'dd/MM/yyyy',
+    'MM/dd/yyyy',
+    'dd.MM.yyyy',
+    'dd-MM-yyyy',
+  ];
+
+  final _formKey = GlobalKey<FormState>();
+  bool _hasHeader = true;
+  bool _separateAmounts = false;
+  int? _dateColumn;
+  int? _nameColumn;
+  int? _amountColumn;
+  int? _debitColumn;
+  int? _creditColumn;
+  int? _notesColumn;
+  String _dateFormat = _dateFormats.first;
+  String _decimalSeparator = '.';
+
+  @override
+  void initState() {
+    super.initState();
+    _guessColumns();
+  }
+
+  @override
+  void didUpdateWidget(CsvColumnMappingForm oldWidget) {
+    super.didUpdateWidget(oldWidget);
+    if (oldWidget.delimiter != widget.delimiter) {
+      _resetColumns();
+      _guessColumns();
+    }
+  }
+
+  int get _columnCount => widget.sampleRows.fold(
+        0,
+        (count, row) => row.length > count ? row.length : count,
+      );
+
+  String _columnLabel(int column) {
+    final header = widget.sampleRows.firstOrNull;
+    if (_hasHeader && header != null && column < header.length) {
+      final title = header[column].trim();
+      if (title.isNotEmpty) return title;
+    }
+    return AppLocalizations.of(context).importColumn(column + 1);
+  }
+
+  String _delimiterLabel(AppLocalizations l10n, String delimiter) {
+    return switch (delimiter) {
+      ';' => l10n.importSeparatorSemicolon,
+      '\t' => l10n.importSeparatorTab,
+      _ => l10n.importSeparatorComma,
+    };
+  }
+
+  void _resetColumns() {
+    _dateColumn = null;
+    _nameColumn = null;
+    _amountColumn = null;
+    _debitColumn = null;
+    _creditColumn = null;
+    _notesColumn = null;
+  }
+
+  /// Pre-select columns whose header title names them
+  void _guessColumns() {
+    final header = widget.sampleRows.firstOrNull;
+    if (header == null) return;
+
+    int? find(List<String> keywords) {
+      for (var i = 0; i < header.length; i++) {
+        final title = header[i].toLowerCase();
+        if (keywords.any(title.contains)) return i;
+      }
+      return null;
+    }
+
+    _dateColumn = find(['date']);
+    _nameColumn = find(['description', 'payee', 'name', 'merchant']);
+    _amountColumn = find(['amount']);
+    _debitColumn = find(['debit', 'withdrawal', 'paid out', 'money out']);
+    _creditColumn = find(['credit', 'deposit', 'paid in', 'money in']);
+    _notesColumn = find(['memo', 'note', 'reference']);
+    _separateAmounts = _amountColumn == null &&
+        (_debitColumn != null || _creditColumn != null);
+  }
+
+  void _submit() {
+    if (!_formKey.currentState!.validate()) return;
+
+    widget.onSubmit(CsvColumnMapping(
+      dateColumn: _dateColumn!,
+      nameColumn: _nameColumn!,
+      amountColumn: _separateAmounts ? null : _amountColumn,
+      debitColumn: _separateAmounts ? _debitColumn : null,
+      creditColumn: _separateAmounts ? _creditColumn : null,
+      notesColumn: _notesColumn,
+      dateFormat: _dateFormat,
+      decimalSeparator: _decimalSeparator,
+      delimiter: widget.delimiter,
+      hasHeader: _hasHeader,
+    ));
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return Form(
+      key: _formKey,
+      child: ListView(
+        padding: EdgeInsets.all(spacing.lg),
+        children: [
+          _buildSampleTable(theme),
+          SizedBox(height: spacing.md),
+          DropdownButtonFormField<String>(
+            initialValue: widget.delimiter,
+            decoration: InputDecoration(labelText: l10n.importSeparator),
+            items: [
+              for (final delimiter in _delimiters)
+                DropdownMenuItem(
+                  value: delimiter,
+                  child: Text(_delimiterLabel(l10n, delimiter)),
+                ),
+            ],
+            onChanged: (value) {
+              if (value != null) widget.onDelimiterChanged(value);
+            },
+          ),
+          SwitchListTile(
+            contentPadding: EdgeInsets.zero,
+            title: Text(l10n.importHasHeader),
+            value: _hasHeader,
+            onChanged: (value) => setState(() => _hasHeader = value),
+          ),
+          _buildColumnField(
+            label: l10n.importColumnDate,
+            value: _dateColumn,
+            onChanged: (column) => _dateColumn = column,
+            isRequired: true,
+          ),
+          _buildColumnField(
+            label: l10n.importColumnDescription,
+            value: _nameColumn,
+            onChanged: (column) => _nameColumn = column,
+            isRequired: true,
+          ),
+          SwitchListTile(
+            contentPadding: EdgeInsets.zero,
+            title: Text(l10n.importSeparateAmounts),
+            value: _separateAmounts,
+            onChanged: (value) => setState(() => _separateAmounts = value),
+          ),
+          if (_separateAmounts) ...[
+            _buildColumnField(
+              label: l10n.importColumnMoneyOut,
+              value: _debitColumn,
+              onChanged: (column) => _debitColumn = column,
+            ),
+            _buildColumnField(
+              label: l10n.importColumnMoneyIn,
+              value: _creditColumn,
+              onChanged: (column) => _creditColumn = column,
+              validator: (_) => (_debitColumn == null && _creditColumn == null)
+                  ? l10n.importPickAmountColumn
+                  : null,
+            ),
+          ] else
+            _buildColumnField(
+              label: l10n.importColumnAmount,
+              value: _amountColumn,
+              onChanged: (column) => _amountColumn = column,
+              isRequired: true,
+            ),
+          _buildColumnField(
+            label: l10n.notesOptional,
+            value: _notesColumn,
+            onChanged: (column) => _notesColumn = column,
+          ),
+          DropdownButtonFormField<String>(
+            initialValue: _dateFormat,
+            decoration: InputDecoration(labelText: l10n.importDateFormat),
+            items: [
+              for (final format in _dateFormats)
+                DropdownMenuItem(value: format, child: Text(format)),
+            ],
+            onChanged: (value) => setState(() => _dateFormat = value!),
+          ),
+          DropdownButtonFormField<String>(
+            initialValue: _decimalSeparator,
+            decoration: InputDecoration(
+              labelText: l10n.importDecimalSeparator,
+            ),
+            items: [
+              DropdownMenuItem(
+                value: '.',
+                child: Text(l10n.importDecimalPoint),
+              ),
+              DropdownMenuItem(
+                value: ',',
+                child: Text(l10n.importDecimalComma),
+              ),
+            ],
+            onChanged: (value) => setState(() => _decimalSeparator = value!),
+          ),
+          SizedBox(height: spacing.lg),
+          FilledButton(
+            onPressed: _submit,
+            child: Text(l10n.importPreview),
+          ),
+        ],
+      ),
+    );
+  }
+
+  /// First rows of the file, so the user can tell the columns apart
+  Widget _buildSampleTable(ThemeData theme) {
+    return SingleChildScrollView(
+      scrollDirection: Axis.horizontal,
+      child: DataTable(
+        headingRowHeight: 32,
+        dataRowMinHeight: 28,
+        dataRowMaxHeight: 32,
+        columns: [
+          for (var column = 0; column < _columnCount; column++)
+            DataColumn(label: Text('${column + 1}')),
+        ],
+        rows: [
+          for (final row in widget.sampleRows)
+            DataRow(cells: [
+              for (var column = 0; column < _columnCount; column++)
+                DataCell(Text(
+                  column < row.length ? row[column] : '',
+                  style: theme.textTheme.bodySmall,
+                )),
+            ]),
+        ],
+      ),
+    );
+  }
+
+  Widget _buildColumnField({
+    required String label,
+    required int? value,
+    required ValueChanged<int?> onChanged,
+    bool isRequired = false,
+    FormFieldValidator<int>? validator,
+  }) {
+    final l10n = AppLocalizations.of(context);
+
+    return DropdownButtonFormField<int>(
+      // Rebuild with the guessed value after the separator changed
+      key: ValueKey('$label-${widget.delimiter}-$_hasHeader'),
+      initialValue: value,
+      decoration: InputDecoration(labelText: label),
+      items: [
+        if (!isRequired)
+          DropdownMenuItem<int>(value: null, child: Text(l10n.none)),
+        for (var column = 0; column < _columnCount; column++)
+          DropdownMenuItem(value: column, child: Text(_columnLabel(column))),
+      ],
+      onChanged: (column) => setState(() => onChanged(column)),
+      validator: validator ??
+          (column) =>
+              (isRequired && column == null) ? l10n.fieldRequired : null,
+    );
+  }
+}
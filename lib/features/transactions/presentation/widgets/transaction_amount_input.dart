@@ -1,4 +1,6 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/shared/widgets/form/currency_field.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter/services.dart';
 import 'package:flutter_form_builder/flutter_form_builder.dart';
@@ -11,6 +13,8 @@ import 'package:form_builder_validators/form_builder_validators.dart';
 /// - Decimal validation (regex: ^\d+\.?\d{0,2})
 /// - TextEditingController + FormBuilderField sync
 /// - Error state color changes
+/// - Currency picker ([CurrencyField], form field `currencyCode`) next to
+///   the label
 ///
 /// Validator: Required + must be > 0
 class TransactionAmountInput extends StatefulWidget {
@@ -56,23 +60,22 @@ class _TransactionAmountInputState extends State<TransactionAmountInput> {
     final textTheme = theme.textTheme;
     final colorScheme = theme.colorScheme;
     final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
 
     return Column(
       crossAxisAlignment: CrossAxisAlignment.start,
       children: [
-        Text(
-          'Amount (USD)', // TODO: Get currency from settings
-        ),
+        Row(children: [Text(l10n.amount), const CurrencyField()]),
         SizedBox(height: spacing.xs),
         FormBuilderField<String>(
           name: 'amount',
           validator: FormBuilderValidators.compose([
-            FormBuilderValidators.required(errorText: 'Amount is required'),
+            FormBuilderValidators.required(errorText: l10n.amountRequired),
             (value) {
               if (value == null || value.isEmpty) return null;
               final amount = double.tryParse(value);
               if (amount == null || amount <= 0) {
-                return 'Amount must be greater than 0';
+                return l10n.amountPositive;
               }
               return null;
             },
@@ -122,7 +125,9 @@ class _TransactionAmountInputState extends State<TransactionAmountInput> {
                         color: colorScheme.onSurface,
                       ),
                       decoration: InputDecoration(
-                        contentPadding: EdgeInsets.only(left: -spacing.xs),
+                        contentPadding: EdgeInsetsDirectional.only(
+                          start: -spacing.xs,
+                        ),
                         fillColor: Colors.transparent,
                         border: InputBorder.none,
                         enabledBorder: .none,
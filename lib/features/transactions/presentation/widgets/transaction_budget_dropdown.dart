@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
 import 'package:centabit/data/models/budget_model.dart';
@@ -23,11 +24,12 @@ class TransactionBudgetDropdown extends StatelessWidget {
     final textTheme = theme.textTheme;
     final spacing = theme.extension<AppSpacing>()!;
     final cubit = context.watch<TransactionFormCubit>();
+    final l10n = AppLocalizations.of(context);
 
     return Row(
       spacing: 40, // v4 exact
       children: [
-        Expanded(flex: 1, child: Text('Budget')),
+        Expanded(flex: 1, child: Text(l10n.budget)),
         Expanded(
           flex: 2,
           child: FormBuilderField<String>(
@@ -38,7 +40,7 @@ class TransactionBudgetDropdown extends StatelessWidget {
               final dropdownItems = [
                 BudgetModel(
                   id: '', // Empty string represents "No Budget"
-                  name: 'No budget selected',
+                  name: l10n.budgetNoneSelected,
                   amount: 0,
                   startDate: DateTime.now(),
                   endDate: DateTime.now(),
@@ -73,7 +75,7 @@ class TransactionBudgetDropdown extends StatelessWidget {
                     children: [
                       Expanded(
                         child: Text(
-                          selectedBudget?.name ?? 'No budget selected',
+                          selectedBudget?.name ?? l10n.budgetNoneSelected,
                           style: textTheme.bodyMedium?.copyWith(
                             fontStyle: selectedBudget == null
                                 ? FontStyle.italic
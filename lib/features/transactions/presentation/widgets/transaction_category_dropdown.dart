@@ -1,6 +1,7 @@
 import 'dart:async';
 
 import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
 import 'package:centabit/core/utils/show_modal.dart';
@@ -20,8 +21,13 @@ import 'package:flutter_form_builder/flutter_form_builder.dart';
 ///
 /// Optional field - category can be null.
 /// Auto-resets if selected category is deleted elsewhere.
+/// Subcategories are listed, indented, under their parent category.
+/// While no category is selected, [suggestion] (the category of past
+/// transactions with a similar name) is offered below as a chip.
 class TransactionCategoryDropdown extends StatefulWidget {
-  const TransactionCategoryDropdown({super.key});
+  final CategoryModel? suggestion;
+
+  const TransactionCategoryDropdown({super.key, this.suggestion});
 
   @override
   State<TransactionCategoryDropdown> createState() =>
@@ -67,11 +73,13 @@ class _TransactionCategoryDropdownState
     final theme = Theme.of(context);
     final textTheme = theme.textTheme;
     final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final suggestion = widget.suggestion;
 
     return Row(
       spacing: 40, // v4 exact
       children: [
-        Expanded(flex: 1, child: Text('Category')),
+        Expanded(flex: 1, child: Text(l10n.category)),
         Expanded(
           flex: 2,
           child: FormBuilderField<String>(
@@ -100,8 +108,8 @@ class _TransactionCategoryDropdownState
                     )
                   : null;
 
-              return SelectDropdown<CategoryModel>(
-                items: _categories,
+              final dropdown = SelectDropdown<CategoryModel>(
+                items: _categories.inHierarchyOrder(),
                 selected: selected,
                 onItemTap: (category) {
                   field.didChange(category?.id);
@@ -112,7 +120,7 @@ class _TransactionCategoryDropdownState
                   children: [
                     Icon(TablerIcons.plus, size: 16),
                     SizedBox(width: spacing.xs),
-                    Text('Create category'),
+                    Text(l10n.categoryCreate),
                   ],
                 ),
                 onActionTap: () => _showCreateCategoryModal(context),
@@ -138,7 +146,7 @@ class _TransactionCategoryDropdownState
                       // Category name
                       Expanded(
                         child: Text(
-                          selectedCategory?.name ?? 'Select category',
+                          selectedCategory?.name ?? l10n.categorySelect,
                           style: textTheme.bodyMedium,
                           overflow: TextOverflow.ellipsis,
                         ),
@@ -153,10 +161,14 @@ class _TransactionCategoryDropdownState
                   );
                 },
                 itemBuilder: (context, category, isSelected) {
+                  final isSubcategory = category.parentId != null &&
+                      _categories.any((c) => c.id == category.parentId);
                   return Padding(
-                    padding: EdgeInsets.symmetric(
-                      horizontal: spacing.md,
-                      vertical: spacing.xs,
+                    padding: EdgeInsetsDirectional.fromSTEB(
+                      isSubcategory ? spacing.xl : spacing.md,
+                      spacing.xs,
+                      spacing.md,
+                      spacing.xs,
                     ),
                     child: Row(
                       children: [
@@ -186,6 +198,20 @@ class _TransactionCategoryDropdownState
                   );
                 },
               );
+              if (suggestion == null || selected != null) return dropdown;
+
+              return Column(
+                crossAxisAlignment: CrossAxisAlignment.start,
+                spacing: spacing.xs,
+                children: [
+                  dropdown,
+                  ActionChip(
+                    avatar: const Icon(TablerIcons.bulb, size: 16),
+                    label: Text(l10n.categorySuggested(suggestion.name)),
+                    onPressed: () => field.didChange(suggestion.id),
+                  ),
+                ],
+              );
             },
           ),
         ),
@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/utils/date_formatter.dart';
 import 'package:cupertino_calendar_picker/cupertino_calendar_picker.dart';
 import 'package:flutter/material.dart';
@@ -22,7 +23,10 @@ class TransactionDatePicker extends StatelessWidget {
     return Row(
       spacing: 40, // v4 exact
       children: [
-        Expanded(flex: 1, child: Text('Transaction date')),
+        Expanded(
+          flex: 1,
+          child: Text(AppLocalizations.of(context).transactionDate),
+        ),
         FormBuilderField<DateTime>(
           name: 'date',
           builder: (field) {
@@ -0,0 +1,59 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/utils/show_modal.dart';
+import 'package:centabit/features/transactions/presentation/cubits/saved_searches_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/transaction_list_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/transaction_list_state.dart';
+import 'package:centabit/features/transactions/presentation/widgets/transaction_filter_sheet.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Nav bar filter action opening [TransactionFilterSheet]
+///
+/// Badged with the number of active criteria. Takes the cubits directly
+/// since NavCubit renders it in the nav bar, outside the page's providers.
+class TransactionFilterButton extends StatelessWidget {
+  final TransactionListCubit cubit;
+  final SavedSearchesCubit savedSearchesCubit;
+
+  const TransactionFilterButton({
+    super.key,
+    required this.cubit,
+    required this.savedSearchesCubit,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return BlocBuilder<TransactionListCubit, TransactionListState>(
+      bloc: cubit,
+      builder: (context, _) {
+        final filter = cubit.filter;
+
+        return IconButton(
+          style: ButtonStyle(
+            backgroundColor: WidgetStatePropertyAll(colorScheme.primary),
+            foregroundColor: WidgetStatePropertyAll(colorScheme.onPrimary),
+          ),
+          icon: Badge(
+            isLabelVisible: filter.isActive,
+            label: Text('${filter.activeCount}'),
+            child: const Icon(TablerIcons.filter),
+          ),
+          tooltip: l10n.transactionFiltersTitle,
+          onPressed: () => showModalBottomSheetUtil(
+            context,
+            builder: (_) => TransactionFilterSheet(
+              cubit: cubit,
+              savedSearchesCubit: savedSearchesCubit,
+              initialFilter: filter,
+            ),
+            modalFractionalHeight: 0.85,
+          ),
+        );
+      },
+    );
+  }
+}
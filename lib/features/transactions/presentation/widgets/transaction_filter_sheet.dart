@@ -0,0 +1,364 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/transaction_filter.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/features/transactions/presentation/cubits/saved_searches_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/transaction_list_cubit.dart';
+import 'package:flutter/material.dart';
+
+/// Bottom sheet editing the transaction list's filter criteria
+///
+/// Edits a draft of the cubit's current filter; nothing changes until
+/// Apply. "Save search" applies the draft and pins it, search text
+/// included, under a name. Takes the cubits directly since the sheet opens
+/// on the root navigator, outside the page's providers.
+class TransactionFilterSheet extends StatefulWidget {
+  final TransactionListCubit cubit;
+  final SavedSearchesCubit savedSearchesCubit;
+  final TransactionFilter initialFilter;
+
+  const TransactionFilterSheet({
+    super.key,
+    required this.cubit,
+    required this.savedSearchesCubit,
+    required this.initialFilter,
+  });
+
+  @override
+  State<TransactionFilterSheet> createState() => _TransactionFilterSheetState();
+}
+
+class _TransactionFilterSheetState extends State<TransactionFilterSheet> {
+  /// Budget dropdown value for "unassigned" (budget ids are never empty)
+  static const _unassigned = '';
+
+  late TransactionFilter _draft;
+  late final TextEditingController _minController;
+  late final TextEditingController _maxController;
+
+  @override
+  void initState() {
+    super.initState();
+    _draft = widget.initialFilter;
+    _minController = TextEditingController(text: _format(_draft.minAmount));
+    _maxController = TextEditingController(text: _format(_draft.maxAmount));
+  }
+
+  @override
+  void dispose() {
+    _minController.dispose();
+    _maxController.dispose();
+    super.dispose();
+  }
+
+  static String _format(double? amount) {
+    if (amount == null) return '';
+    return amount == amount.roundToDouble()
+        ? amount.toStringAsFixed(0)
+        : amount.toString();
+  }
+
+  static double? _parse(String text) =>
+      double.tryParse(text.trim().replaceAll(',', '.'));
+
+  Future<void> _pickRange() async {
+    final now = DateTime.now();
+    final start = _draft.startDate;
+    final end = _draft.endDate;
+    final range = await showDateRangePicker(
+      context: context,
+      firstDate: DateTime(2000),
+      lastDate: DateTime(now.year + 5),
+      initialDateRange: start != null && end != null
+          ? DateTimeRange(start: start, end: end)
+          : null,
+    );
+    if (range == null) return;
+    setState(() {
+      _draft = _draft.copyWith(startDate: range.start, endDate: range.end);
+    });
+  }
+
+  void _reset() {
+    _minController.clear();
+    _maxController.clear();
+    setState(() => _draft = _draft.withoutCriteria);
+  }
+
+  /// The draft with the amounts typed so far
+  TransactionFilter get _filter => _draft.copyWith(
+        minAmount: _parse(_minController.text),
+        maxAmount: _parse(_maxController.text),
+      );
+
+  void _apply() {
+    widget.cubit.applyFilter(_filter);
+    Navigator.of(context).pop();
+  }
+
+  Future<void> _saveSearch() async {
+    final navigator = Navigator.of(context);
+    final messenger = ScaffoldMessenger.of(context);
+    final l10n = AppLocalizations.of(context);
+    final filter = _filter;
+
+    final name = await showDialog<String>(
+      context: context,
+      builder: (_) => _SearchNameDialog(initialName: filter.query),
+    );
+    if (name == null || !mounted) return;
+
+    widget.cubit.applyFilter(filter);
+    navigator.pop();
+    if (await widget.savedSearchesCubit.saveSearch(name, filter)) {
+      messenger.showSnackBar(
+        SnackBar(content: Text(l10n.savedSearchSaved(name))),
+      );
+    }
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final categories = widget.cubit.categories;
+    final budgets = widget.cubit.budgets;
+
+    // Selected budget may have been deleted meanwhile
+    final budgetValue = _draft.unassignedOnly
+        ? _unassigned
+        : budgets.any((b) => b.id == _draft.budgetId)
+        ? _draft.budgetId
+        : null;
+    final hasRange = _draft.startDate != null && _draft.endDate != null;
+
+    return ListView(
+      padding: EdgeInsets.symmetric(horizontal: spacing.xl, vertical: 12),
+      children: [
+        Row(
+          children: [
+            Expanded(
+              child: Text(
+                l10n.transactionFiltersTitle,
+                style: theme.textTheme.headlineSmall?.copyWith(
+                  fontWeight: FontWeight.w700,
+                ),
+              ),
+            ),
+            IconButton(
+              icon: const Icon(TablerIcons.bookmarkPlus),
+              tooltip: l10n.savedSearchSave,
+              onPressed: _saveSearch,
+            ),
+          ],
+        ),
+        SizedBox(height: spacing.lg),
+        SegmentedButton<TransactionType?>(
+          segments: [
+            ButtonSegment(value: null, label: Text(l10n.transactionFilterAll)),
+            ButtonSegment(
+              value: TransactionType.debit,
+              label: Text(l10n.debit),
+            ),
+            ButtonSegment(
+              value: TransactionType.credit,
+              label: Text(l10n.credit),
+            ),
+          ],
+          selected: {_draft.type},
+          onSelectionChanged: (selection) => setState(() {
+            _draft = _draft.copyWith(type: selection.single);
+          }),
+        ),
+        SizedBox(height: spacing.lg),
+        Text(
+          l10n.transactionFilterCategories,
+          style: theme.textTheme.titleSmall,
+        ),
+        SizedBox(height: spacing.sm),
+        if (categories.isEmpty)
+          Text(l10n.categoriesNoneAvailable, style: theme.textTheme.bodySmall)
+        else
+          Wrap(
+            spacing: spacing.sm,
+            runSpacing: spacing.sm,
+            children: [
+              for (final category in categories)
+                FilterChip(
+                  avatar: Icon(
+                    TablerIcons.all[category.iconName] ?? TablerIcons.wallet,
+                    size: 18,
+                  ),
+                  label: Text(category.name),
+                  selected: _draft.categoryIds.contains(category.id),
+                  onSelected: (selected) => setState(() {
+                    final ids = {..._draft.categoryIds};
+                    selected ? ids.add(category.id) : ids.remove(category.id);
+                    _draft = _draft.copyWith(categoryIds: ids);
+                  }),
+                ),
+            ],
+          ),
+        SizedBox(height: spacing.lg),
+        DropdownButtonFormField<String?>(
+          // Keyed by value so Reset shows in the field
+          key: ValueKey(budgetValue),
+          initialValue: budgetValue,
+          decoration: InputDecoration(labelText: l10n.budget),
+          items: [
+            DropdownMenuItem(value: null, child: Text(l10n.allBudgets)),
+            DropdownMenuItem(
+              value: _unassigned,
+              child: Text(l10n.transactionFilterUnassigned),
+            ),
+            for (final budget in budgets)
+              DropdownMenuItem(value: budget.id, child: Text(budget.name)),
+          ],
+          onChanged: (value) => setState(() {
+            _draft = _draft.copyWith(
+              budgetId: value == _unassigned ? null : value,
+              unassignedOnly: value == _unassigned,
+            );
+          }),
+        ),
+        SizedBox(height: spacing.lg),
+        Row(
+          children: [
+            Expanded(
+              child: TextField(
+                controller: _minController,
+                keyboardType: const TextInputType.numberWithOptions(
+                  decimal: true,
+                ),
+                decoration: InputDecoration(
+                  labelText: l10n.transactionFilterMinAmount,
+                ),
+              ),
+            ),
+            SizedBox(width: spacing.md),
+            Expanded(
+              child: TextField(
+                controller: _maxController,
+                keyboardType: const TextInputType.numberWithOptions(
+                  decimal: true,
+                ),
+                decoration: InputDecoration(
+                  labelText: l10n.transactionFilterMaxAmount,
+                ),
+              ),
+            ),
+          ],
+        ),
+        SizedBox(height: spacing.sm),
+        ListTile(
+          contentPadding: EdgeInsets.zero,
+          leading: const Icon(TablerIcons.calendar),
+          title: Text(
+            hasRange
+                ? l10n.dateRange(
+                    DateFormatter.formatDate(_draft.startDate!),
+                    DateFormatter.formatDate(_draft.endDate!),
+                  )
+                : l10n.allDates,
+          ),
+          trailing: hasRange
+              ? IconButton(
+                  icon: const Icon(TablerIcons.x),
+                  tooltip: l10n.allDates,
+                  onPressed: () => setState(() {
+                    _draft = _draft.copyWith(startDate: null, endDate: null);
+                  }),
+                )
+              : null,
+          onTap: _pickRange,
+        ),
+        SwitchListTile(
+          contentPadding: EdgeInsets.zero,
+          secondary: const Icon(TablerIcons.note),
+          title: Text(l10n.transactionFilterHasNotes),
+          value: _draft.hasNotes,
+          onChanged: (value) => setState(() {
+            _draft = _draft.copyWith(hasNotes: value);
+          }),
+        ),
+        SizedBox(height: spacing.lg),
+        Row(
+          children: [
+            Expanded(
+              child: OutlinedButton(
+                onPressed: _reset,
+                child: Text(l10n.transactionFiltersReset),
+              ),
+            ),
+            SizedBox(width: spacing.md),
+            Expanded(
+              child: FilledButton(
+                onPressed: _apply,
+                child: Text(l10n.transactionFiltersApply),
+              ),
+            ),
+          ],
+        ),
+      ],
+    );
+  }
+}
+
+/// Text field dialog returning a saved search name (null if cancelled)
+class _SearchNameDialog extends StatefulWidget {
+  final String initialName;
+
+  const _SearchNameDialog({required this.initialName});
+
+  @override
+  State<_SearchNameDialog> createState() => _SearchNameDialogState();
+}
+
+class _SearchNameDialogState extends State<_SearchNameDialog> {
+  late final TextEditingController _controller;
+
+  @override
+  void initState() {
+    super.initState();
+    _controller = TextEditingController(text: widget.initialName);
+  }
+
+  @override
+  void dispose() {
+    _controller.dispose();
+    super.dispose();
+  }
+
+  void _submit() {
+    final name = _controller.text.trim();
+    if (name.isNotEmpty) Navigator.pop(context, name);
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final l10n = AppLocalizations.of(context);
+
+    return AlertDialog(
+      title: Text(l10n.savedSearchSave),
+      content: TextField(
+        controller: _controller,
+        autofocus: true,
+        decoration: InputDecoration(labelText: l10n.savedSearchName),
+        onSubmitted: (_) => _submit(),
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: _submit,
+          child: Text(l10n.save),
+        ),
+      ],
+    );
+  }
+}
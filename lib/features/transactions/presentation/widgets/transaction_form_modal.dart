@@ -1,12 +1,20 @@
+import 'dart:async';
+
 import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/data/models/categorization_rule_model.dart';
+import 'package:centabit/data/models/category_model.dart';
 import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/features/categories/presentation/widgets/categorization_rule_dialog.dart';
 import 'package:centabit/features/transactions/presentation/cubits/transaction_form_cubit.dart';
 import 'package:centabit/features/transactions/presentation/cubits/transaction_form_state.dart';
 import 'package:centabit/features/transactions/presentation/widgets/transaction_amount_input.dart';
 import 'package:centabit/features/transactions/presentation/widgets/transaction_budget_dropdown.dart';
 import 'package:centabit/features/transactions/presentation/widgets/transaction_category_dropdown.dart';
 import 'package:centabit/features/transactions/presentation/widgets/transaction_date_picker.dart';
+import 'package:centabit/features/transactions/presentation/widgets/transaction_recurrence_picker.dart';
+import 'package:centabit/features/transactions/presentation/widgets/transaction_split_editor.dart';
 import 'package:centabit/features/transactions/presentation/widgets/transaction_time_picker.dart';
 import 'package:centabit/features/transactions/presentation/widgets/transaction_type_switch.dart';
 import 'package:centabit/shared/widgets/form/custom_text_input.dart';
@@ -50,9 +58,10 @@ class TransactionFormModal extends StatelessWidget {
               },
               success: () {
                 // Show success message based on mode
+                final l10n = AppLocalizations.of(context);
                 final message = isCopy || initialValue == null
-                    ? 'Transaction created successfully'
-                    : 'Transaction updated successfully';
+                    ? l10n.transactionCreated
+                    : l10n.transactionUpdated;
 
                 ScaffoldMessenger.of(context).showSnackBar(
                   SnackBar(
@@ -92,16 +101,53 @@ class TransactionFormModal extends StatelessWidget {
 ///
 /// Manages FormBuilder state and composes all field widgets.
 /// Handles submit, cancel, and delete actions.
-class _TransactionFormContent extends StatelessWidget {
+///
+/// A split transaction has no category, budget or recurrence of its own:
+/// those fields are hidden while it's split (kept in the tree, so undoing
+/// the split brings their values back).
+///
+/// When creating, the name and amount typed go through the categorization
+/// rules (after a short pause): a matching rule fills in the category and
+/// budget, unless the user picked a category. Without a rule, the category
+/// of similar past transactions is suggested. When editing, the header
+/// offers to make a rule from the transaction.
+class _TransactionFormContent extends StatefulWidget {
   final TransactionModel? initialValue;
   final bool isCopy;
 
   const _TransactionFormContent({this.initialValue, this.isCopy = false});
 
+  @override
+  State<_TransactionFormContent> createState() =>
+      _TransactionFormContentState();
+}
+
+class _TransactionFormContentState extends State<_TransactionFormContent> {
+  late bool _isSplit = widget.initialValue?.isSplit ?? false;
+
+  /// Name and amount last run through the rules
+  String _categorizedInput = '';
+  Timer? _categorizeTimer;
+
+  /// Category filled in by a rule, which another rule may replace
+  String? _ruleCategoryId;
+  CategoryModel? _suggestion;
+
+  TransactionModel? get initialValue => widget.initialValue;
+  bool get isCopy => widget.isCopy;
+  bool get _isCreating => initialValue == null || isCopy;
+
+  @override
+  void dispose() {
+    _categorizeTimer?.cancel();
+    super.dispose();
+  }
+
   @override
   Widget build(BuildContext context) {
     final cubit = context.read<TransactionFormCubit>();
     final theme = Theme.of(context);
+    final l10n = AppLocalizations.of(context);
 
     // Budget ID logic:
     // - Edit/copy mode: preserve original budget (even if null)
@@ -115,15 +161,20 @@ class _TransactionFormContent extends StatelessWidget {
       ),
       child: FormBuilder(
         key: cubit.formKey,
+        onChanged: () {
+          // Keeps the split lines' remaining amount current
+          if (_isSplit) setState(() {});
+          if (_isCreating) _scheduleCategorize();
+        },
         initialValue: {
           'time': initialValue?.transactionDate != null
               ? TimeOfDay.fromDateTime(initialValue!.transactionDate)
               : TimeOfDay.now(),
           'date': initialValue?.transactionDate ?? DateTime.now(),
-          'isDebit': initialValue == null
-              ? true
-              : (initialValue?.type == TransactionType.debit),
+          'isDebit': (initialValue?.type ?? cubit.defaultType) ==
+              TransactionType.debit,
           'amount': initialValue?.amount.toStringAsFixed(2) ?? '',
+          'currencyCode': initialValue?.currencyCode ?? cubit.defaultCurrency,
           'budgetId': defaultBudgetId,
           'categoryId': initialValue?.categoryId ?? '',
           'transactionName': initialValue?.name ?? '',
@@ -139,7 +190,7 @@ class _TransactionFormContent extends StatelessWidget {
                 children: [
                   Expanded(
                     child: Text(
-                      _getFormTitle(),
+                      _getFormTitle(l10n),
                       style: TextStyle(
                         fontSize: 28, // v4's h2
                         fontWeight: FontWeight.w700,
@@ -149,21 +200,40 @@ class _TransactionFormContent extends StatelessWidget {
                       ),
                     ),
                   ),
-                  // Only show delete button in edit mode (not copy or create)
-                  if (initialValue != null && !isCopy)
+                  // Rule and delete buttons in edit mode (not copy or create)
+                  if (initialValue != null && !isCopy) ...[
+                    IconButton(
+                      icon: const Icon(TablerIcons.bolt),
+                      tooltip: l10n.ruleCreateFromTransaction,
+                      onPressed: () => _handleCreateRule(context),
+                    ),
                     IconButton(
                       icon: Icon(
                         TablerIcons.trash,
                         color: theme.colorScheme.error,
                       ),
+                      tooltip: l10n.delete,
                       onPressed: () => _handleDelete(context, initialValue!.id),
                     ),
+                  ],
                 ],
               ),
               const TransactionTimePicker(),
               const TransactionDatePicker(),
-              const TransactionBudgetDropdown(), // Prominent placement
-              const TransactionCategoryDropdown(),
+              Visibility(
+                visible: !_isSplit,
+                maintainState: true,
+                child: Column(
+                  spacing: 22, // v4 exact
+                  children: [
+                    const TransactionBudgetDropdown(), // Prominent placement
+                    TransactionCategoryDropdown(suggestion: _suggestion),
+                  ],
+                ),
+              ),
+              // Recurrence only when creating (edits apply to one transaction)
+              if ((initialValue == null || isCopy) && !_isSplit)
+                const TransactionRecurrencePicker(),
               Row(
                 spacing: 0, // v4 exact
                 crossAxisAlignment: CrossAxisAlignment.end,
@@ -172,24 +242,29 @@ class _TransactionFormContent extends StatelessWidget {
                   Expanded(flex: 3, child: TransactionTypeSwitch()),
                 ],
               ),
+              TransactionSplitEditor(
+                initialSplits: initialValue?.splits ?? const [],
+                onSplitChanged: (isSplit) =>
+                    setState(() => _isSplit = isSplit),
+              ),
               CustomTextInput(
                 name: 'transactionName',
-                hintText: 'Transaction name',
+                hintText: l10n.transactionName,
                 validator: FormBuilderValidators.required(
-                  errorText: 'Transaction name is required',
+                  errorText: l10n.transactionNameRequired,
                 ),
               ),
-              const CustomTextInput(
+              CustomTextInput(
                 name: 'notes',
-                hintText: 'Notes (optional)',
+                hintText: l10n.notesOptional,
               ),
               FormActionsRow(
                 actionWidget: Text(
                   initialValue == null
-                      ? "Add"
+                      ? l10n.add
                       : isCopy
-                      ? "Copy"
-                      : "Update",
+                      ? l10n.copy
+                      : l10n.update,
                 ),
                 actionHandler: () => _handleSubmit(context),
                 onCancel: () => Navigator.of(context).pop(),
@@ -202,10 +277,10 @@ class _TransactionFormContent extends StatelessWidget {
   }
 
   /// Get form title based on mode
-  String _getFormTitle() {
-    if (isCopy) return 'Copy Transaction';
-    if (initialValue != null) return 'Edit Transaction';
-    return 'Add Transaction';
+  String _getFormTitle(AppLocalizations l10n) {
+    if (isCopy) return l10n.transactionCopyTitle;
+    if (initialValue != null) return l10n.transactionEditTitle;
+    return l10n.transactionAddTitle;
   }
 
   /// Handle form submission (create or update based on mode)
@@ -221,17 +296,104 @@ class _TransactionFormContent extends StatelessWidget {
     }
   }
 
+  /// Run the typed name and amount through the rules once typing pauses
+  void _scheduleCategorize() {
+    final form = context.read<TransactionFormCubit>().formKey.currentState;
+    final values = form?.instantValue ?? const {};
+    final name = (values['transactionName'] as String? ?? '').trim();
+    final amount = double.tryParse(values['amount'] as String? ?? '');
+    final input = '$name|$amount';
+    if (input == _categorizedInput) return;
+
+    _categorizedInput = input;
+    _categorizeTimer?.cancel();
+    _categorizeTimer = Timer(
+      const Duration(milliseconds: 400),
+      () => _categorize(name, amount, input),
+    );
+  }
+
+  /// Fill in the category and budget from the first rule matching [name]
+  /// and [amount], or suggest a category, while the category is free
+  Future<void> _categorize(String name, double? amount, String input) async {
+    final cubit = context.read<TransactionFormCubit>();
+    final form = cubit.formKey.currentState;
+    final categoryField = form?.fields['categoryId'];
+    if (form == null || categoryField == null || _isSplit) return;
+
+    final current = categoryField.value as String?;
+    final isFree = current == null ||
+        current.isEmpty ||
+        current == _ruleCategoryId;
+    if (!isFree || name.isEmpty) {
+      setState(() => _suggestion = null);
+      return;
+    }
+
+    final date = form.instantValue['date'] as DateTime? ?? DateTime.now();
+    final targets = cubit.ruleTargetsFor(name, amount, date);
+    final ruleCategoryId = targets?.categoryId;
+    if (targets?.budgetId case final budgetId?) {
+      form.fields['budgetId']?.didChange(budgetId);
+    }
+    if (ruleCategoryId != null) {
+      categoryField.didChange(ruleCategoryId);
+      setState(() {
+        _ruleCategoryId = ruleCategoryId;
+        _suggestion = null;
+      });
+      return;
+    }
+    if (_ruleCategoryId != null) {
+      categoryField.didChange(null); // The rule no longer matches
+      _ruleCategoryId = null;
+    }
+
+    final suggestion = await cubit.suggestCategory(name);
+    if (!mounted || input != _categorizedInput) return; // Typed since
+    setState(() => _suggestion = suggestion);
+  }
+
+  /// Open the rule editor prefilled from the transaction, then save it
+  Future<void> _handleCreateRule(BuildContext context) async {
+    final cubit = context.read<TransactionFormCubit>();
+    final messenger = ScaffoldMessenger.of(context);
+    final l10n = AppLocalizations.of(context);
+    final values = cubit.formKey.currentState?.instantValue ?? const {};
+    final name = (values['transactionName'] as String? ?? '').trim();
+    final categoryId = values['categoryId'] as String?;
+
+    final result = await showCategorizationRuleDialog(
+      context,
+      rule: CategorizationRuleModel.create(
+        namePattern: name.isEmpty ? null : name,
+        categoryId: _isSplit || categoryId == '' ? null : categoryId,
+        budgetId: _isSplit ? null : values['budgetId'] as String?,
+      ),
+      isNew: true,
+      categories: cubit.categories,
+      budgets: cubit.activeBudgets,
+    );
+    if (result == null) return;
+
+    if (await cubit.saveRule(result.rule)) {
+      messenger.showSnackBar(SnackBar(content: Text(l10n.ruleSaved)));
+    }
+  }
+
   /// Handle delete with confirmation dialog
   void _handleDelete(BuildContext context, String id) {
+    final l10n = AppLocalizations.of(context);
+
     showDialog(
       context: context,
       builder: (dialogContext) => AlertDialog(
-        title: const Text('Delete Transaction?'),
-        content: const Text('This action cannot be undone.'),
+        title: Text(l10n.transactionDeleteTitle),
+        content: Text(l10n.deleteMovesToTrash),
         actions: [
           TextButton(
             onPressed: () => Navigator.of(dialogContext).pop(),
-            child: const Text('Cancel'),
+            child: Text(l10n.cancel),
           ),
           TextButton(
             onPressed: () {
@@ -239,7 +401,7 @@ class _TransactionFormContent extends StatelessWidget {
               context.read<TransactionFormCubit>().deleteTransaction(id);
             },
             child: Text(
-              'Delete',
+              l10n.delete,
               style: TextStyle(color: Theme.of(context).colorScheme.error),
             ),
           ),
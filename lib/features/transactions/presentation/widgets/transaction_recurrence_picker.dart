@@ -0,0 +1,174 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/data/models/recurring_transaction_model.dart';
+import 'package:centabit/shared/widgets/select_dropdown.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+import 'package:flutter_form_builder/flutter_form_builder.dart';
+
+/// Repeat option shown in the dropdown (null frequency = "Never")
+class _RepeatOption {
+  final RecurrenceFrequency? frequency;
+
+  const _RepeatOption(this.frequency);
+
+  String label(AppLocalizations l10n) {
+    return switch (frequency) {
+      null => l10n.repeatNever,
+      RecurrenceFrequency.daily => l10n.repeatDaily,
+      RecurrenceFrequency.weekly => l10n.repeatWeekly,
+      RecurrenceFrequency.monthly => l10n.repeatMonthly,
+      RecurrenceFrequency.lastBusinessDay => l10n.repeatLastBusinessDay,
+    };
+  }
+}
+
+const _repeatOptions = [
+  _RepeatOption(null),
+  _RepeatOption(RecurrenceFrequency.daily),
+  _RepeatOption(RecurrenceFrequency.weekly),
+  _RepeatOption(RecurrenceFrequency.monthly),
+  _RepeatOption(RecurrenceFrequency.lastBusinessDay),
+];
+
+/// Recurrence fields for transaction form (create/copy mode only)
+///
+/// - `repeat`: [RecurrenceFrequency] or null for a one-off transaction
+/// - `repeatInterval`: "every N" days/weeks/months (shown once a frequency
+///   is picked, defaults to 1)
+///
+/// Optional field - controlled mode, values managed by FormBuilder.
+class TransactionRecurrencePicker extends StatelessWidget {
+  const TransactionRecurrencePicker({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final textTheme = theme.textTheme;
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return FormBuilderField<RecurrenceFrequency>(
+      name: 'repeat',
+      validator: null, // Repeat is optional
+      builder: (field) {
+        final selected = _repeatOptions.firstWhere(
+          (option) => option.frequency == field.value,
+        );
+
+        return Column(
+          spacing: spacing.sm,
+          children: [
+            Row(
+              spacing: 40, // Matches budget/category rows
+              children: [
+                Expanded(flex: 1, child: Text(l10n.repeat)),
+                Expanded(
+                  flex: 2,
+                  child: SelectDropdown<_RepeatOption>(
+                    items: _repeatOptions,
+                    selected: selected,
+                    onItemTap: (option) {
+                      if (option != null) field.didChange(option.frequency);
+                    },
+                    buttonBuilder: (context, option) {
+                      return Row(
+                        mainAxisAlignment: MainAxisAlignment.spaceBetween,
+                        children: [
+                          Expanded(
+                            child: Text(
+                              option?.label(l10n) ?? l10n.repeatNever,
+                              style: textTheme.bodyMedium,
+                              overflow: TextOverflow.ellipsis,
+                            ),
+                          ),
+                          Icon(
+                            TablerIcons.chevronDown,
+                            size: 16,
+                            color: theme.colorScheme.onSurface,
+                          ),
+                        ],
+                      );
+                    },
+                    itemBuilder: (context, option, isSelected) {
+                      return Padding(
+                        padding: EdgeInsets.symmetric(
+                          horizontal: spacing.md,
+                          vertical: spacing.xs,
+                        ),
+                        child: Row(
+                          children: [
+                            Icon(
+                              option.frequency == null
+                                  ? TablerIcons.repeatOff
+                                  : TablerIcons.repeat,
+                              size: 18,
+                              color: isSelected
+                                  ? theme.colorScheme.primary
+                                  : theme.colorScheme.onSurface,
+                            ),
+                            SizedBox(width: spacing.xs),
+                            Expanded(
+                              child: Text(
+                                option.label(l10n),
+                                style: textTheme.bodyMedium?.copyWith(
+                                  fontWeight: isSelected
+                                      ? FontWeight.w600
+                                      : FontWeight.w400,
+                                  color: isSelected
+                                      ? theme.colorScheme.primary
+                                      : theme.colorScheme.onSurface,
+                                ),
+                              ),
+                            ),
+                          ],
+                        ),
+                      );
+                    },
+                  ),
+                ),
+              ],
+            ),
+            if (field.value != null)
+              Row(
+                spacing: 40,
+                children: [
+                  Expanded(flex: 1, child: Text(l10n.repeatEvery)),
+                  Expanded(
+                    flex: 2,
+                    child: FormBuilderTextField(
+                      name: 'repeatInterval',
+                      initialValue: '1',
+                      keyboardType: TextInputType.number,
+                      inputFormatters: [FilteringTextInputFormatter.digitsOnly],
+                      decoration: InputDecoration(
+                        isDense: true,
+                        suffixText: _unitLabel(l10n, field.value!),
+                      ),
+                      validator: (value) {
+                        final interval = int.tryParse(value ?? '');
+                        if (interval == null || interval < 1) {
+                          return l10n.repeatIntervalInvalid;
+                        }
+                        return null;
+                      },
+                    ),
+                  ),
+                ],
+              ),
+          ],
+        );
+      },
+    );
+  }
+
+  String _unitLabel(AppLocalizations l10n, RecurrenceFrequency frequency) {
+    return switch (frequency) {
+      RecurrenceFrequency.daily => l10n.repeatUnitDays,
+      RecurrenceFrequency.weekly => l10n.repeatUnitWeeks,
+      RecurrenceFrequency.monthly ||
+      RecurrenceFrequency.lastBusinessDay => l10n.repeatUnitMonths,
+    };
+  }
+}
@@ -0,0 +1,179 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/router/navigation/nav_cubit.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/data/models/saved_search_model.dart';
+import 'package:centabit/features/transactions/presentation/cubits/saved_searches_cubit.dart';
+import 'package:centabit/features/transactions/presentation/cubits/saved_searches_state.dart';
+import 'package:centabit/features/transactions/presentation/cubits/transaction_list_cubit.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Saved and recent searches shown above the nav search bar in search mode
+///
+/// Narrowed to the entries containing the text typed so far. Picking a
+/// recent query searches it again; picking a saved search restores its
+/// whole filter and leaves search mode. Takes the cubits directly since
+/// NavCubit renders it in the nav bar, outside the page's providers.
+class TransactionSearchSuggestions extends StatelessWidget {
+  final TransactionListCubit listCubit;
+  final SavedSearchesCubit savedSearchesCubit;
+
+  const TransactionSearchSuggestions({
+    super.key,
+    required this.listCubit,
+    required this.savedSearchesCubit,
+  });
+
+  void _applySavedSearch(BuildContext context, SavedSearchModel search) {
+    final navCubit = context.read<NavCubit>();
+    listCubit.applyFilter(search.filter);
+    navCubit.updateSearchQuery(search.filter.query);
+    FocusScope.of(context).unfocus();
+    if (navCubit.state.isSearching) navCubit.toggleSearchMode();
+  }
+
+  void _applyQuery(BuildContext context, String query) {
+    context.read<NavCubit>().updateSearchQuery(query);
+    savedSearchesCubit.recordQuery(query);
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final colorScheme = theme.colorScheme;
+    final spacing = theme.extension<AppSpacing>()!;
+    final radius = theme.extension<AppRadius>()!;
+    final l10n = AppLocalizations.of(context);
+    final query = context.select<NavCubit, String>(
+      (cubit) => cubit.state.searchQuery.trim().toLowerCase(),
+    );
+
+    return BlocBuilder<SavedSearchesCubit, SavedSearchesState>(
+      bloc: savedSearchesCubit,
+      buildWhen: (_, curr) => curr.maybeWhen(
+        error: (_) => false,
+        orElse: () => true,
+      ),
+      builder: (context, state) {
+        final (history, savedSearches) = state.maybeWhen(
+          ready: (history, savedSearches) => (history, savedSearches),
+          orElse: () => (const <String>[], const <SavedSearchModel>[]),
+        );
+        final saved = savedSearches.where(
+          (s) =>
+              s.name.toLowerCase().contains(query) ||
+              s.filter.query.toLowerCase().contains(query),
+        );
+        final recent = history.where((q) {
+          final lower = q.toLowerCase();
+          return lower.contains(query) && lower != query;
+        });
+        if (saved.isEmpty && recent.isEmpty) return const SizedBox.shrink();
+
+        return Padding(
+          padding: EdgeInsets.only(bottom: spacing.sm),
+          child: Material(
+            color: colorScheme.surfaceContainerHigh,
+            elevation: 4,
+            borderRadius: BorderRadius.circular(radius.xl),
+            clipBehavior: Clip.antiAlias,
+            child: ConstrainedBox(
+              constraints: const BoxConstraints(maxHeight: 260),
+              child: ListView(
+                shrinkWrap: true,
+                padding: EdgeInsets.symmetric(vertical: spacing.sm),
+                children: [
+                  if (saved.isNotEmpty) ...[
+                    _Header(l10n.savedSearchesTitle),
+                    Padding(
+                      padding: EdgeInsets.symmetric(horizontal: spacing.md),
+                      child: Wrap(
+                        spacing: spacing.xs,
+                        runSpacing: spacing.xs,
+                        children: [
+                          for (final search in saved)
+                            InputChip(
+                              avatar: const Icon(TablerIcons.bookmark),
+                              label: Text(search.name),
+                              onPressed: () =>
+                                  _applySavedSearch(context, search),
+                              onDeleted: () =>
+                                  savedSearchesCubit.deleteSavedSearch(search),
+                              deleteButtonTooltipMessage: l10n.delete,
+                            ),
+                        ],
+                      ),
+                    ),
+                  ],
+                  if (recent.isNotEmpty) ...[
+                    _Header(
+                      l10n.recentSearchesTitle,
+                      action: TextButton(
+                        onPressed: savedSearchesCubit.clearHistory,
+                        child: Text(l10n.recentSearchesClear),
+                      ),
+                    ),
+                    for (final recentQuery in recent)
+                      ListTile(
+                        dense: true,
+                        visualDensity: VisualDensity.compact,
+                        leading: const Icon(TablerIcons.history, size: 18),
+                        title: Text(
+                          recentQuery,
+                          maxLines: 1,
+                          overflow: TextOverflow.ellipsis,
+                        ),
+                        trailing: IconButton(
+                          icon: const Icon(TablerIcons.x, size: 16),
+                          tooltip: l10n.delete,
+                          onPressed: () =>
+                              savedSearchesCubit.removeQuery(recentQuery),
+                        ),
+                        onTap: () => _applyQuery(context, recentQuery),
+                      ),
+                  ],
+                ],
+              ),
+            ),
+          ),
+        );
+      },
+    );
+  }
+}
+
+/// Section title, with an optional action at the end
+class _Header extends StatelessWidget {
+  final String title;
+  final Widget? action;
+
+  const _Header(this.title, {this.action});
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+
+    return Padding(
+      padding: EdgeInsetsDirectional.only(
+        start: spacing.md,
+        end: spacing.xs,
+        bottom: spacing.xs,
+      ),
+      child: Row(
+        children: [
+          Expanded(
+            child: Text(
+              title,
+              style: theme.textTheme.labelMedium?.copyWith(
+                color: theme.colorScheme.onSurfaceVariant,
+              ),
+            ),
+          ),
+          ?action,
+        ],
+      ),
+    );
+  }
+}
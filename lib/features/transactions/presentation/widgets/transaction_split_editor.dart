@@ -0,0 +1,459 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_split_model.dart';
+import 'package:centabit/features/transactions/presentation/cubits/transaction_form_cubit.dart';
+import 'package:centabit/shared/widgets/select_dropdown.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:flutter_form_builder/flutter_form_builder.dart';
+
+/// Split lines field for transaction form (`splits`)
+///
+/// Empty until the user splits the transaction: its amount is then shared
+/// between lines, each with an amount, a category and an optional budget.
+/// The first line starts with the form's amount, category and budget, new
+/// lines with its budget. Removing every line undoes the split.
+/// [onSplitChanged] tells the form to hide its own category and budget
+/// while split.
+///
+/// Validator: every line has a category and an amount above 0, and the
+/// lines add up to the form's `amount`.
+class TransactionSplitEditor extends StatefulWidget {
+  final List<TransactionSplitModel> initialSplits;
+  final ValueChanged<bool> onSplitChanged;
+
+  const TransactionSplitEditor({
+    super.key,
+    this.initialSplits = const [],
+    required this.onSplitChanged,
+  });
+
+  @override
+  State<TransactionSplitEditor> createState() => _TransactionSplitEditorState();
+}
+
+/// A line being edited; [key] keeps its row when lines above are removed
+class _SplitLine {
+  final Key key = UniqueKey();
+  final TextEditingController amount;
+  String? categoryId;
+  String? budgetId;
+
+  _SplitLine({double? amount, this.categoryId, this.budgetId})
+      : amount = TextEditingController(
+          text: amount?.toStringAsFixed(2) ?? '',
+        );
+}
+
+class _TransactionSplitEditorState extends State<TransactionSplitEditor> {
+  late final List<_SplitLine> _lines = [
+    for (final split in widget.initialSplits)
+      _SplitLine(
+        amount: split.amount,
+        categoryId: split.categoryId,
+        budgetId: split.budgetId,
+      ),
+  ];
+  final _formatter = FilteringTextInputFormatter.allow(
+    RegExp(r'^\d+\.?\d{0,2}'),
+  );
+
+  @override
+  void dispose() {
+    for (final line in _lines) {
+      line.amount.dispose();
+    }
+    super.dispose();
+  }
+
+  List<TransactionSplitModel> get _splits => [
+    for (final line in _lines)
+      TransactionSplitModel(
+        amount: double.tryParse(line.amount.text) ?? 0,
+        categoryId: line.categoryId,
+        budgetId: line.budgetId,
+      ),
+  ];
+
+  /// The form's other fields, as currently entered
+  Map<String, dynamic> get _form =>
+      FormBuilder.of(context)?.instantValue ?? const {};
+
+  double get _total => double.tryParse(_form['amount'] as String? ?? '') ?? 0;
+
+  /// Apply [change] to the lines and hand them to [field]
+  void _update(
+    FormFieldState<List<TransactionSplitModel>> field,
+    VoidCallback change,
+  ) {
+    final wasSplit = _lines.isNotEmpty;
+    setState(change);
+    field.didChange(_splits);
+    if (wasSplit != _lines.isNotEmpty) widget.onSplitChanged(!wasSplit);
+  }
+
+  void _split(FormFieldState<List<TransactionSplitModel>> field) {
+    final categoryId = _form['categoryId'] as String?;
+    final budgetId = _form['budgetId'] as String?;
+    _update(field, () {
+      _lines.addAll([
+        _SplitLine(
+          amount: _total > 0 ? _total : null,
+          categoryId: categoryId == null || categoryId.isEmpty
+              ? null
+              : categoryId,
+          budgetId: budgetId,
+        ),
+        _SplitLine(budgetId: budgetId),
+      ]);
+    });
+  }
+
+  void _remove(
+    FormFieldState<List<TransactionSplitModel>> field,
+    _SplitLine line,
+  ) {
+    _update(field, () => _lines.remove(line));
+    // Its text field is only gone after the next frame
+    WidgetsBinding.instance.addPostFrameCallback((_) => line.amount.dispose());
+  }
+
+  String? _validate(List<TransactionSplitModel>? splits) {
+    if (splits == null || splits.isEmpty) return null;
+    final l10n = AppLocalizations.of(context);
+
+    if (splits.any((split) => split.categoryId == null)) {
+      return l10n.transactionSplitCategoryRequired;
+    }
+    if (splits.any((split) => split.amount <= 0)) {
+      return l10n.transactionSplitAmountPositive;
+    }
+    final sum = splits.fold<double>(0, (sum, split) => sum + split.amount);
+    if ((sum - _total).abs() >= TransactionSplitListExtensions.tolerance) {
+      return l10n.transactionSplitSumMismatch;
+    }
+    return null;
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final textTheme = theme.textTheme;
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return FormBuilderField<List<TransactionSplitModel>>(
+      name: 'splits',
+      initialValue: widget.initialSplits,
+      validator: _validate,
+      builder: (field) {
+        if (_lines.isEmpty) {
+          return Align(
+            alignment: AlignmentDirectional.centerStart,
+            child: TextButton.icon(
+              onPressed: () => _split(field),
+              icon: const Icon(TablerIcons.arrowsSplit, size: 18),
+              label: Text(l10n.transactionSplit),
+            ),
+          );
+        }
+
+        final currencyCode = _form['currencyCode'] as String? ??
+            CurrencyFormatter.fallbackCurrency;
+        final remaining = _total -
+            _splits.fold<double>(0, (sum, split) => sum + split.amount);
+
+        return Column(
+          crossAxisAlignment: CrossAxisAlignment.start,
+          spacing: spacing.sm,
+          children: [
+            Row(
+              children: [
+                const Icon(TablerIcons.arrowsSplit, size: 18),
+                SizedBox(width: spacing.xs),
+                Text(l10n.transactionSplitLines),
+              ],
+            ),
+            for (final line in _lines)
+              _buildLine(context, field, line, currencyCode),
+            Row(
+              children: [
+                TextButton.icon(
+                  onPressed: () => _update(
+                    field,
+                    () => _lines.add(
+                      _SplitLine(budgetId: _form['budgetId'] as String?),
+                    ),
+                  ),
+                  icon: const Icon(TablerIcons.plus, size: 16),
+                  label: Text(l10n.transactionSplitAddLine),
+                ),
+                const Spacer(),
+                Text(
+                  l10n.transactionSplitRemaining(
+                    CurrencyFormatter.format(remaining, currencyCode),
+                  ),
+                  style: textTheme.bodySmall?.copyWith(
+                    color: remaining.abs() < 0.005
+                        ? theme.colorScheme.onSurfaceVariant
+                        : theme.colorScheme.error,
+                  ),
+                ),
+              ],
+            ),
+            if (field.errorText != null)
+              Text(
+                field.errorText!,
+                style: textTheme.bodySmall?.copyWith(
+                  color: theme.colorScheme.error,
+                ),
+              ),
+          ],
+        );
+      },
+    );
+  }
+
+  /// One line: category, amount and remove button, its budget below
+  Widget _buildLine(
+    BuildContext context,
+    FormFieldState<List<TransactionSplitModel>> field,
+    _SplitLine line,
+    String currencyCode,
+  ) {
+    final theme = Theme.of(context);
+    final colorScheme = theme.colorScheme;
+    final spacing = theme.extension<AppSpacing>()!;
+    final radius = theme.extension<AppRadius>()!;
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.watch<TransactionFormCubit>();
+
+    return Container(
+      key: line.key,
+      padding: EdgeInsets.all(spacing.sm),
+      decoration: BoxDecoration(
+        borderRadius: BorderRadius.circular(radius.md),
+        border: Border.all(
+          color: colorScheme.onSurface.withValues(alpha: 0.12),
+        ),
+      ),
+      child: Column(
+        spacing: spacing.xs,
+        children: [
+          Row(
+            children: [
+              Expanded(
+                child: _CategorySelect(
+                  categories: cubit.categories,
+                  selectedId: line.categoryId,
+                  onSelected: (id) =>
+                      _update(field, () => line.categoryId = id),
+                ),
+              ),
+              SizedBox(width: spacing.sm),
+              SizedBox(
+                width: 104,
+                child: TextField(
+                  controller: line.amount,
+                  keyboardType: const TextInputType.numberWithOptions(
+                    decimal: true,
+                  ),
+                  inputFormatters: [_formatter],
+                  textAlign: TextAlign.end,
+                  decoration: InputDecoration(
+                    isDense: true,
+                    hintText: '0.00',
+                    prefixText: CurrencyFormatter.symbol(currencyCode),
+                  ),
+                  onChanged: (_) => _update(field, () {}),
+                ),
+              ),
+              IconButton(
+                icon: Icon(
+                  TablerIcons.trash,
+                  size: 18,
+                  color: colorScheme.error.withValues(alpha: 0.8),
+                ),
+                tooltip: l10n.transactionSplitRemoveLine,
+                onPressed: () => _remove(field, line),
+                visualDensity: VisualDensity.compact,
+              ),
+            ],
+          ),
+          _BudgetSelect(
+            budgets: cubit.activeBudgets,
+            selectedId: line.budgetId,
+            onSelected: (id) => _update(field, () => line.budgetId = id),
+          ),
+        ],
+      ),
+    );
+  }
+}
+
+/// Category of a line, subcategories indented under their parent
+class _CategorySelect extends StatelessWidget {
+  final List<CategoryModel> categories;
+  final String? selectedId;
+  final ValueChanged<String?> onSelected;
+
+  const _CategorySelect({
+    required this.categories,
+    required this.selectedId,
+    required this.onSelected,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final textTheme = theme.textTheme;
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    return SelectDropdown<CategoryModel>(
+      items: categories.inHierarchyOrder(),
+      selected: categories.where((c) => c.id == selectedId).firstOrNull,
+      onItemTap: (category) => onSelected(category?.id),
+      buttonBuilder: (context, category) {
+        return Row(
+          children: [
+            if (category != null) ...[
+              Icon(
+                TablerIcons.all[category.iconName] ?? TablerIcons.category,
+                size: 18,
+              ),
+              SizedBox(width: spacing.xs),
+            ],
+            Expanded(
+              child: Text(
+                category?.name ?? l10n.categorySelect,
+                style: textTheme.bodyMedium,
+                overflow: TextOverflow.ellipsis,
+              ),
+            ),
+            const Icon(TablerIcons.chevronDown, size: 16),
+          ],
+        );
+      },
+      itemBuilder: (context, category, isSelected) {
+        final isSubcategory = category.parentId != null &&
+            categories.any((c) => c.id == category.parentId);
+        final color = isSelected
+            ? theme.colorScheme.primary
+            : theme.colorScheme.onSurface;
+        return Padding(
+          padding: EdgeInsetsDirectional.fromSTEB(
+            isSubcategory ? spacing.xl : spacing.md,
+            spacing.xs,
+            spacing.md,
+            spacing.xs,
+          ),
+          child: Row(
+            children: [
+              Icon(
+                TablerIcons.all[category.iconName] ?? TablerIcons.category,
+                size: 18,
+                color: color,
+              ),
+              SizedBox(width: spacing.xs),
+              Expanded(
+                child: Text(
+                  category.name,
+                  style: textTheme.bodyMedium?.copyWith(
+                    fontWeight: isSelected ? FontWeight.w600 : FontWeight.w400,
+                    color: color,
+                  ),
+                ),
+              ),
+            ],
+          ),
+        );
+      },
+    );
+  }
+}
+
+/// Budget of a line, or none (null)
+class _BudgetSelect extends StatelessWidget {
+  final List<BudgetModel> budgets;
+  final String? selectedId;
+  final ValueChanged<String?> onSelected;
+
+  const _BudgetSelect({
+    required this.budgets,
+    required this.selectedId,
+    required this.onSelected,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final textTheme = theme.textTheme;
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final muted = theme.colorScheme.onSurface.withValues(alpha: 150 / 255);
+
+    return SelectDropdown<BudgetModel?>(
+      items: [null, ...budgets],
+      selected: budgets.where((b) => b.id == selectedId).firstOrNull,
+      onItemTap: (budget) => onSelected(budget?.id),
+      buttonBuilder: (context, budget) {
+        return Row(
+          children: [
+            Icon(TablerIcons.wallet, size: 18, color: muted),
+            SizedBox(width: spacing.xs),
+            Expanded(
+              child: Text(
+                budget?.name ?? l10n.budgetNoneSelected,
+                style: textTheme.bodyMedium?.copyWith(
+                  fontStyle: budget == null ? FontStyle.italic : null,
+                  color: budget == null ? muted : null,
+                ),
+                overflow: TextOverflow.ellipsis,
+              ),
+            ),
+            const Icon(TablerIcons.chevronDown, size: 16),
+          ],
+        );
+      },
+      itemBuilder: (context, budget, isSelected) {
+        final color = isSelected
+            ? theme.colorScheme.primary
+            : budget == null
+            ? muted
+            : theme.colorScheme.onSurface;
+        return Padding(
+          padding: EdgeInsets.symmetric(
+            horizontal: spacing.md,
+            vertical: spacing.xs,
+          ),
+          child: Row(
+            children: [
+              Icon(
+                budget == null ? TablerIcons.x : TablerIcons.wallet,
+                size: 18,
+                color: color,
+              ),
+              SizedBox(width: spacing.xs),
+              Expanded(
+                child: Text(
+                  budget?.name ?? l10n.budgetNoneSelected,
+                  style: textTheme.bodyMedium?.copyWith(
+                    fontWeight: isSelected ? FontWeight.w600 : FontWeight.w400,
+                    fontStyle: budget == null ? FontStyle.italic : null,
+                    color: color,
+                  ),
+                ),
+              ),
+            ],
+          ),
+        );
+      },
+    );
+  }
+}
@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:cupertino_calendar_picker/cupertino_calendar_picker.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter_form_builder/flutter_form_builder.dart';
@@ -20,7 +21,10 @@ class TransactionTimePicker extends StatelessWidget {
     return Row(
       spacing: 40, // v4 exact
       children: [
-        Expanded(flex: 1, child: Text('Transaction time')),
+        Expanded(
+          flex: 1,
+          child: Text(AppLocalizations.of(context).transactionTime),
+        ),
         FormBuilderField<TimeOfDay>(
           name: 'time',
           builder: (field) {
@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter_form_builder/flutter_form_builder.dart';
 
@@ -18,7 +19,10 @@ class TransactionTypeSwitch extends StatelessWidget {
 
     return FormBuilderSwitch(
       name: 'isDebit',
-      title: Text('Debit', style: textTheme.bodyLarge?.copyWith()),
+      title: Text(
+        AppLocalizations.of(context).debit,
+        style: textTheme.bodyLarge?.copyWith(),
+      ),
       activeColor: theme.colorScheme.secondary,
       inactiveThumbColor: theme.colorScheme.onSurface,
       activeTrackColor: theme.colorScheme.primary.withValues(alpha: 0.1),
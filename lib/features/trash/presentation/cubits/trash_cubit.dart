@@ -0,0 +1,101 @@
+import 'dart:async';
+import 'package:centabit/core/localizations/l10n.dart';
+import 'package:centabit/data/models/trash_item_model.dart';
+import 'package:centabit/data/repositories/allocation_repository.dart';
+import 'package:centabit/data/repositories/budget_repository.dart';
+import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+import 'package:centabit/data/trash/trash_service.dart';
+import 'package:centabit/features/trash/presentation/cubits/trash_state.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+
+/// Cubit for the trash page.
+///
+/// **Data Flow**:
+/// ```
+/// Transactions, budgets, categories or allocations change
+///   ↓
+/// TrashService.getItems() → Emit TrashState.ready(items)
+///   ↓
+/// User restores or purges an item, or empties the trash
+///   ↓
+/// Repository writes → stream emits → items reloaded
+/// ```
+class TrashCubit extends Cubit<TrashState> {
+  final TrashService _trashService;
+
+  final List<StreamSubscription> _subscriptions = [];
+
+  // Incremented per load, so a slower earlier load can't overwrite a newer
+  // result
+  int _loadId = 0;
+
+  TrashCubit(
+    this._trashService,
+    TransactionRepository transactionRepository,
+    BudgetRepository budgetRepository,
+    CategoryRepository categoryRepository,
+    AllocationRepository allocationRepository,
+  ) : super(const TrashState.initial()) {
+    _subscriptions.addAll([
+      transactionRepository.changesStream.listen((_) => _load()),
+      budgetRepository.budgetsStream.listen((_) => _load()),
+      categoryRepository.categoriesStream.listen((_) => _load()),
+      allocationRepository.allocationsStream.listen((_) => _load()),
+    ]);
+
+    // Initial load
+    _load();
+  }
+
+  Future<void> _load() async {
+    final loadId = ++_loadId;
+    try {
+      final items = await _trashService.getItems();
+      if (loadId != _loadId || isClosed) return;
+      emit(TrashState.ready(items));
+    } catch (e) {
+      if (loadId != _loadId || isClosed) return;
+      emit(TrashState.error(L10n.current.trashLoadFailed('$e')));
+    }
+  }
+
+  /// Put [item] back where it was
+  Future<void> restore(TrashItemModel item) {
+    return _run(() => _trashService.restore(item));
+  }
+
+  /// Remove [item] for good
+  Future<void> purge(TrashItemModel item) {
+    return _run(() => _trashService.purge(item));
+  }
+
+  /// Remove everything listed for good
+  Future<void> emptyTrash() {
+    final items = state.maybeWhen(
+      ready: (items) => items,
+      orElse: () => const <TrashItemModel>[],
+    );
+    return _run(() => _trashService.purgeAll(items));
+  }
+
+  /// Run an action, then reload the items (purging changes no live list,
+  /// so the repository streams may not report it)
+  Future<void> _run(Future<void> Function() execute) async {
+    try {
+      await execute();
+    } catch (e) {
+      if (isClosed) return;
+      emit(TrashState.error(L10n.current.trashUpdateFailed('$e')));
+    }
+    await _load();
+  }
+
+  @override
+  Future<void> close() {
+    for (final subscription in _subscriptions) {
+      subscription.cancel();
+    }
+    return super.close();
+  }
+}
@@ -0,0 +1,17 @@
+import 'package:centabit/data/models/trash_item_model.dart';
+import 'package:freezed_annotation/freezed_annotation.dart';
+
+part 'trash_state.freezed.dart';
+
+/// State for the trash page
+///
+/// Union type states:
+/// - initial: Before the first load
+/// - ready: Deleted records, most recently deleted first
+/// - error: Loading, restoring or purging failed with error message
+@freezed
+class TrashState with _$TrashState {
+  const factory TrashState.initial() = _Initial;
+  const factory TrashState.ready(List<TrashItemModel> items) = _Ready;
+  const factory TrashState.error(String message) = _Error;
+}
@@ -0,0 +1,260 @@
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/directional_icons.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/date_formatter.dart';
+import 'package:centabit/data/models/trash_item_model.dart';
+import 'package:centabit/features/settings/presentation/cubits/settings_cubit.dart';
+import 'package:centabit/features/trash/presentation/cubits/trash_cubit.dart';
+import 'package:centabit/features/trash/presentation/cubits/trash_state.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_bloc/flutter_bloc.dart';
+import 'package:go_router/go_router.dart';
+
+/// Trash page.
+///
+/// Deleted transactions, budgets, categories and allocations, most
+/// recently deleted first. Each can be restored or deleted for good; the
+/// app bar empties the whole trash. Items older than the retention period
+/// (Settings) are purged at startup.
+///
+/// **Navigation**:
+/// - Route: `/trash` (sub-route under dashboard)
+/// - Accessed from: settings page
+class TrashPage extends StatelessWidget {
+  const TrashPage({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return BlocProvider(
+      create: (_) => getIt<TrashCubit>(),
+      child: const _TrashContent(),
+    );
+  }
+}
+
+/// Internal content widget for the trash page.
+///
+/// Separated from TrashPage to allow BlocProvider scoping.
+class _TrashContent extends StatelessWidget {
+  const _TrashContent();
+
+  @override
+  Widget build(BuildContext context) {
+    final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
+
+    return BlocConsumer<TrashCubit, TrashState>(
+      listener: (context, state) {
+        state.whenOrNull(
+          error: (message) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              SnackBar(
+                content: Text(message),
+                backgroundColor: colorScheme.error,
+              ),
+            );
+          },
+        );
+      },
+      buildWhen: (_, current) => current.maybeWhen(
+        error: (_) => false,
+        orElse: () => true,
+      ),
+      builder: (context, state) {
+        final items = state.maybeWhen(
+          ready: (items) => items,
+          orElse: () => null,
+        );
+
+        return Scaffold(
+          appBar: AppBar(
+            title: Text(l10n.trashTitle),
+            leading: IconButton(
+              icon: const Icon(DirectionalIcons.back),
+              onPressed: () => context.pop(),
+            ),
+            actions: [
+              IconButton(
+                icon: const Icon(TablerIcons.trashX),
+                tooltip: l10n.trashEmptyAction,
+                onPressed: items == null || items.isEmpty
+                    ? null
+                    : () => _confirmEmptyTrash(context),
+              ),
+            ],
+          ),
+          body: items == null
+              ? const Center(child: CircularProgressIndicator())
+              : _TrashList(items: items),
+        );
+      },
+    );
+  }
+
+  Future<void> _confirmEmptyTrash(BuildContext context) async {
+    final cubit = context.read<TrashCubit>();
+    final title = AppLocalizations.of(context).trashEmptyTitle;
+    if (await _confirmPurge(context, title)) {
+      await cubit.emptyTrash();
+    }
+  }
+}
+
+/// The deleted items, below how long they are kept
+class _TrashList extends StatelessWidget {
+  final List<TrashItemModel> items;
+
+  const _TrashList({required this.items});
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final retentionDays = getIt<SettingsCubit>().state.trashRetentionDays;
+
+    if (items.isEmpty) {
+      return Center(
+        child: Padding(
+          padding: EdgeInsets.all(spacing.xl),
+          child: Text(
+            l10n.trashEmpty,
+            style: theme.textTheme.bodyMedium,
+            textAlign: TextAlign.center,
+          ),
+        ),
+      );
+    }
+
+    return ListView.separated(
+      padding: EdgeInsets.symmetric(vertical: spacing.md),
+      itemCount: items.length + 1,
+      separatorBuilder: (_, index) =>
+          index == 0 ? const SizedBox.shrink() : const Divider(height: 1),
+      itemBuilder: (context, index) {
+        if (index == 0) {
+          return Padding(
+            padding: EdgeInsetsDirectional.fromSTEB(
+              spacing.lg,
+              0,
+              spacing.lg,
+              spacing.sm,
+            ),
+            child: Text(
+              l10n.trashRetentionNotice(retentionDays),
+              style: theme.textTheme.bodySmall,
+            ),
+          );
+        }
+        return _TrashTile(item: items[index - 1]);
+      },
+    );
+  }
+}
+
+/// One deleted item: what it was, when it was deleted, and its actions
+class _TrashTile extends StatelessWidget {
+  final TrashItemModel item;
+
+  const _TrashTile({required this.item});
+
+  @override
+  Widget build(BuildContext context) {
+    final l10n = AppLocalizations.of(context);
+    final cubit = context.read<TrashCubit>();
+    final amount = item.amount;
+    final currencyCode = item.currencyCode;
+
+    return ListTile(
+      leading: Icon(_iconOf(item.type)),
+      title: Text(item.title),
+      subtitle: Text(
+        [
+          _typeLabel(l10n, item.type),
+          if (item.detail != null) item.detail!,
+          if (item.date != null) DateFormatter.formatDate(item.date!),
+          l10n.trashDeletedOn(DateFormatter.formatDate(item.deletedAt)),
+        ].join(' · '),
+      ),
+      trailing: Row(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          if (amount != null && currencyCode != null)
+            Text(CurrencyFormatter.format(amount, currencyCode)),
+          PopupMenuButton<_TrashAction>(
+            icon: const Icon(TablerIcons.dotsVertical),
+            onSelected: (action) async {
+              switch (action) {
+                case _TrashAction.restore:
+                  await cubit.restore(item);
+                case _TrashAction.purge:
+                  if (await _confirmPurge(context, l10n.trashPurgeTitle)) {
+                    await cubit.purge(item);
+                  }
+              }
+            },
+            itemBuilder: (_) => [
+              PopupMenuItem(
+                value: _TrashAction.restore,
+                child: Text(l10n.trashRestore),
+              ),
+              PopupMenuItem(
+                value: _TrashAction.purge,
+                child: Text(l10n.trashPurge),
+              ),
+            ],
+          ),
+        ],
+      ),
+    );
+  }
+}
+
+enum _TrashAction { restore, purge }
+
+IconData _iconOf(TrashItemType type) {
+  return switch (type) {
+    TrashItemType.transaction => TablerIcons.receipt,
+    TrashItemType.budget => TablerIcons.wallet,
+    TrashItemType.category => TablerIcons.category,
+    TrashItemType.allocation => TablerIcons.chartPie,
+  };
+}
+
+String _typeLabel(AppLocalizations l10n, TrashItemType type) {
+  return switch (type) {
+    TrashItemType.transaction => l10n.trashTypeTransaction,
+    TrashItemType.budget => l10n.trashTypeBudget,
+    TrashItemType.category => l10n.trashTypeCategory,
+    TrashItemType.allocation => l10n.trashTypeAllocation,
+  };
+}
+
+/// Ask before deleting for good, under [title]
+Future<bool> _confirmPurge(BuildContext context, String title) async {
+  final l10n = AppLocalizations.of(context);
+  final confirmed = await showDialog<bool>(
+    context: context,
+    builder: (dialogContext) => AlertDialog(
+      title: Text(title),
+      content: Text(l10n.cannotBeUndone),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(dialogContext, false),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: () => Navigator.pop(dialogContext, true),
+          style: TextButton.styleFrom(
+            foregroundColor: Theme.of(context).colorScheme.error,
+          ),
+          child: Text(l10n.trashPurge),
+        ),
+      ],
+    ),
+  );
+  return confirmed ?? false;
+}
@@ -1,13 +1,15 @@
 import 'package:flutter/material.dart';
 import 'package:flutter_bloc/flutter_bloc.dart';
-import 'package:flutter_localizations/flutter_localizations.dart';
 
 import 'core/di/injection.dart';
 import 'core/localizations/app_localizations.dart';
+import 'core/localizations/l10n.dart';
 import 'core/logging/app_logger.dart';
 import 'core/logging/interceptors/cubit_logger.dart';
 import 'core/router/app_router.dart';
 import 'core/theme/app_theme.dart';
+import 'data/models/app_settings_model.dart';
+import 'features/settings/presentation/cubits/settings_cubit.dart';
 
 void main() async {
   // Ensure Flutter is initialized
@@ -31,6 +33,28 @@ class MainApp extends StatelessWidget {
 
   @override
   Widget build(BuildContext context) {
+    return BlocProvider.value(
+      value: getIt<SettingsCubit>(),
+      child: BlocConsumer<SettingsCubit, AppSettingsModel>(
+        // Amounts and dates are formatted with the settings at build time:
+        // rebuild every screen, not just the ones depending on the theme
+        listener: (context, _) => _rebuildAll(context),
+        builder: (context, settings) => _buildApp(settings),
+      ),
+    );
+  }
+
+  /// Mark every widget below [context] for rebuild
+  static void _rebuildAll(BuildContext context) {
+    void rebuild(Element element) {
+      element.markNeedsBuild();
+      element.visitChildren(rebuild);
+    }
+
+    (context as Element).visitChildren(rebuild);
+  }
+
+  Widget _buildApp(AppSettingsModel settings) {
     return MaterialApp.router(
       title: 'Centabit',
       debugShowCheckedModeBanner: false,
@@ -38,18 +62,21 @@ class MainApp extends StatelessWidget {
       // Theme configuration
       theme: AppTheme.light,
       darkTheme: AppTheme.dark,
-      themeMode: ThemeMode.system,
-
-      // Localization configuration
-      localizationsDelegates: const [
-        AppLocalizations.delegate,
-        GlobalMaterialLocalizations.delegate,
-        GlobalWidgetsLocalizations.delegate,
-        GlobalCupertinoLocalizations.delegate,
-      ],
-      supportedLocales: const [
-        Locale('en', ''), // English
-      ],
+      themeMode: settings.themeMode,
+
+      // Localization configuration (strings in lib/core/localizations/arb)
+      // Null locale: the device language if supported, English otherwise
+      locale: settings.languageCode != null
+          ? Locale(settings.languageCode!)
+          : null,
+      localizationsDelegates: AppLocalizations.localizationsDelegates,
+      supportedLocales: AppLocalizations.supportedLocales,
+      // Cubits and formatters read strings without a context: keep them on
+      // the resolved locale
+      builder: (context, child) {
+        L10n.setLocale(Localizations.localeOf(context));
+        return child!;
+      },
 
       // Router configuration
       routerConfig: AppRouter.router,
@@ -3,12 +3,20 @@ import 'package:centabit/data/models/transaction_model.dart';
 
 part 'transaction_v_model.freezed.dart';
 
+/// A split line as displayed: its amount and category
+typedef TransactionSplitVModel = ({
+  double amount,
+  String? categoryName,
+  String? categoryIconName,
+});
+
 @freezed
 abstract class TransactionVModel with _$TransactionVModel {
   const factory TransactionVModel({
     required String id,
     required String name,
     required double amount,
+    @Default('USD') String currencyCode, // ISO 4217 code of [amount]
     required TransactionType type,
     required DateTime transactionDate,
     required String formattedDate,
@@ -17,5 +25,8 @@ abstract class TransactionVModel with _$TransactionVModel {
     String? categoryName,
     String? categoryIconName,
     String? notes,
+    String? nameHighlight, // Name with search matches marked (SearchHighlight)
+    String? notesSnippet, // Matching part of the notes, marked likewise
+    @Default([]) List<TransactionSplitVModel> splits, // Empty if not split
   }) = _TransactionVModel;
 }
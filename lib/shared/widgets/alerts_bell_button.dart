@@ -0,0 +1,40 @@
+import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/data/models/alert_model.dart';
+import 'package:centabit/data/repositories/alert_repository.dart';
+import 'package:flutter/material.dart';
+import 'package:go_router/go_router.dart';
+
+/// Bell for SharedAppBar opening the alerts page
+///
+/// Badged with the number of unread alerts (no badge when all are read).
+class AlertsBellButton extends StatelessWidget {
+  const AlertsBellButton({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    final alertRepository = getIt<AlertRepository>();
+    final l10n = AppLocalizations.of(context);
+
+    return StreamBuilder<List<AlertModel>>(
+      stream: alertRepository.alertsStream,
+      initialData: alertRepository.alerts,
+      builder: (context, snapshot) {
+        final unread = (snapshot.data ?? const [])
+            .where((alert) => !alert.isRead)
+            .length;
+
+        return IconButton(
+          icon: Badge(
+            isLabelVisible: unread > 0,
+            label: Text('$unread'),
+            child: const Icon(TablerIcons.bell),
+          ),
+          onPressed: () => context.pushNamed('alerts'),
+          tooltip: l10n.alertsTitle,
+        );
+      },
+    );
+  }
+}
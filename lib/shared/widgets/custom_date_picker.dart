@@ -1,3 +1,4 @@
+import 'package:centabit/core/utils/date_formatter.dart';
 import 'package:cupertino_calendar_picker/cupertino_calendar_picker.dart';
 import 'package:flutter/cupertino.dart';
 import 'package:flutter/material.dart';
@@ -28,13 +29,15 @@ class CustomDatePicker extends StatelessWidget {
       onDateTimeChanged: onDateChanged,
 
       mode: CupertinoCalendarMode.date,
+      // 0 = Sunday for the picker, DateTime.sunday (7) for us
+      firstDayOfWeekIndex: DateFormatter.firstDayOfWeek % 7,
       mainColor: Theme.of(context).colorScheme.secondary,
       containerDecoration: PickerContainerDecoration(
         backgroundType: PickerBackgroundType.transparentAndBlured,
         backgroundColor: Theme.of(context).colorScheme.surface.withAlpha(120),
       ),
       formatter:
-          formatter ?? (dateTime) => DateFormat('MMMM yyyy').format(dateTime),
+          formatter ?? (dateTime) => DateFormat.yMMMM().format(dateTime),
       monthPickerDecoration: CalendarMonthPickerDecoration(
         defaultDayStyle: CalendarMonthPickerDefaultDayStyle(
           textStyle: theme.textTheme.bodyMedium!.copyWith(
@@ -1,3 +1,4 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:cupertino_calendar_picker/cupertino_calendar_picker.dart';
 import 'package:flutter/material.dart';
@@ -26,7 +27,7 @@ class CustomDatePickerIcon extends StatelessWidget {
         foregroundColor: WidgetStatePropertyAll(colorScheme.onPrimary),
       ),
       icon: Icon(icon ?? TablerIcons.calendarCode),
-      tooltip: 'Select date',
+      tooltip: AppLocalizations.of(context).selectDate,
       onPressed: () async {
         // Get the RenderBox for positioning
         final RenderBox? renderBox = context.findRenderObject() as RenderBox?;
@@ -0,0 +1,211 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/data/trash/deletion_service.dart';
+import 'package:flutter/material.dart';
+
+/// What the user chose to do with the records of a deleted category or
+/// budget; [targetId] is where they move with [DependentsAction.reassign]
+typedef DependentsChoice = ({DependentsAction action, String? targetId});
+
+/// Confirms deleting a category or budget, showing its [impact] and asking
+/// what becomes of the records referencing it
+///
+/// Completes with null when cancelled. With nothing the choice applies to,
+/// it's a plain confirmation (completing with [DependentsAction.delete]).
+/// [choiceCoversAllocations] is false for a budget, whose allocations are
+/// deleted with it whatever the choice.
+///
+/// **Usage**:
+/// ```dart
+/// final choice = await showDeleteDependentsDialog(
+///   context,
+///   title: l10n.categoryDeleteTitle,
+///   impact: await cubit.deletionImpact(id),
+///   targets: {for (final c in otherCategories) c.id: c.name},
+///   reassignLabel: l10n.categoryDeleteReassign,
+///   unassignLabel: l10n.categoryDeleteUnassign,
+/// );
+/// ```
+Future<DependentsChoice?> showDeleteDependentsDialog(
+  BuildContext context, {
+  required String title,
+  required DeletionImpact impact,
+  required Map<String, String> targets,
+  required String reassignLabel,
+  required String unassignLabel,
+  bool choiceCoversAllocations = true,
+  List<String> notes = const [],
+}) {
+  return showDialog<DependentsChoice>(
+    context: context,
+    builder: (_) => _DeleteDependentsDialog(
+      title: title,
+      impact: impact,
+      targets: targets,
+      reassignLabel: reassignLabel,
+      unassignLabel: unassignLabel,
+      choiceCoversAllocations: choiceCoversAllocations,
+      notes: notes,
+    ),
+  );
+}
+
+class _DeleteDependentsDialog extends StatefulWidget {
+  final String title;
+  final DeletionImpact impact;
+
+  /// Names of the records the dependents can move to, by ID
+  final Map<String, String> targets;
+  final String reassignLabel;
+  final String unassignLabel;
+  final bool choiceCoversAllocations;
+
+  /// Extra lines under the choices (what happens regardless)
+  final List<String> notes;
+
+  const _DeleteDependentsDialog({
+    required this.title,
+    required this.impact,
+    required this.targets,
+    required this.reassignLabel,
+    required this.unassignLabel,
+    required this.choiceCoversAllocations,
+    required this.notes,
+  });
+
+  @override
+  State<_DeleteDependentsDialog> createState() =>
+      _DeleteDependentsDialogState();
+}
+
+class _DeleteDependentsDialogState extends State<_DeleteDependentsDialog> {
+  late DependentsAction _action = widget.targets.isEmpty
+      ? DependentsAction.unassign
+      : DependentsAction.reassign;
+  String? _targetId;
+
+  bool get _hasDependents =>
+      widget.impact.transactions +
+          widget.impact.allocations +
+          widget.impact.recurring >
+      0;
+
+  bool get _hasChoice =>
+      widget.impact.transactions > 0 ||
+      widget.impact.recurring > 0 ||
+      (widget.choiceCoversAllocations && widget.impact.allocations > 0);
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+    final impact = widget.impact;
+
+    final canConfirm = !_hasChoice ||
+        _action != DependentsAction.reassign ||
+        _targetId != null;
+
+    return AlertDialog(
+      title: Text(widget.title),
+      scrollable: true,
+      content: !_hasDependents
+          ? Text(l10n.deleteMovesToTrash)
+          : Column(
+              mainAxisSize: MainAxisSize.min,
+              crossAxisAlignment: CrossAxisAlignment.start,
+              children: [
+                Text(l10n.deleteUsedBy),
+                SizedBox(height: spacing.xs),
+                for (final line in [
+                  if (impact.transactions > 0)
+                    l10n.deleteImpactTransactions(impact.transactions),
+                  if (impact.allocations > 0)
+                    l10n.deleteImpactAllocations(impact.allocations),
+                  if (impact.recurring > 0)
+                    l10n.deleteImpactRecurring(impact.recurring),
+                ])
+                  Text('• $line'),
+                if (_hasChoice) ...[
+                  SizedBox(height: spacing.sm),
+                  RadioGroup<DependentsAction>(
+                    groupValue: _action,
+                    onChanged: (action) {
+                      if (action != null) setState(() => _action = action);
+                    },
+                    child: Column(
+                      mainAxisSize: MainAxisSize.min,
+                      children: [
+                        RadioListTile(
+                          value: DependentsAction.reassign,
+                          enabled: widget.targets.isNotEmpty,
+                          contentPadding: EdgeInsets.zero,
+                          title: Text(widget.reassignLabel),
+                        ),
+                        if (_action == DependentsAction.reassign)
+                          DropdownButton<String>(
+                            value: _targetId,
+                            isExpanded: true,
+                            hint: Text(l10n.deleteChooseTarget),
+                            items: [
+                              for (final target in widget.targets.entries)
+                                DropdownMenuItem(
+                                  value: target.key,
+                                  child: Text(target.value),
+                                ),
+                            ],
+                            onChanged: (id) => setState(() => _targetId = id),
+                          ),
+                        RadioListTile(
+                          value: DependentsAction.unassign,
+                          contentPadding: EdgeInsets.zero,
+                          title: Text(widget.unassignLabel),
+                        ),
+                        RadioListTile(
+                          value: DependentsAction.delete,
+                          contentPadding: EdgeInsets.zero,
+                          title: Text(l10n.deleteDependentsToo),
+                        ),
+                      ],
+                    ),
+                  ),
+                ],
+                for (final note in widget.notes) ...[
+                  SizedBox(height: spacing.xs),
+                  Text(note, style: theme.textTheme.bodySmall),
+                ],
+                SizedBox(height: spacing.sm),
+                Text(
+                  l10n.deleteMovesToTrash,
+                  style: theme.textTheme.bodySmall,
+                ),
+              ],
+            ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: Text(l10n.cancel),
+        ),
+        TextButton(
+          onPressed: canConfirm
+              ? () => Navigator.pop<DependentsChoice>(
+                    context,
+                    _hasChoice
+                        ? (
+                            action: _action,
+                            targetId: _action == DependentsAction.reassign
+                                ? _targetId
+                                : null,
+                          )
+                        : (action: DependentsAction.delete, targetId: null),
+                  )
+              : null,
+          style: TextButton.styleFrom(
+            foregroundColor: theme.colorScheme.error,
+          ),
+          child: Text(l10n.delete),
+        ),
+      ],
+    );
+  }
+}
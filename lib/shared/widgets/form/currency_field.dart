@@ -0,0 +1,68 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:flutter/material.dart';
+import 'package:flutter_form_builder/flutter_form_builder.dart';
+
+/// Compact currency picker for forms
+///
+/// Shows the selected ISO 4217 code ("EUR ▾") and opens a menu of
+/// [CurrencyFormatter.commonCurrencies]. A code outside that list (e.g.
+/// from an import) stays selectable. The initial value comes from the
+/// FormBuilder's `initialValue` map.
+class CurrencyField extends StatelessWidget {
+  const CurrencyField({this.name = 'currencyCode', super.key});
+
+  final String name;
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final colorScheme = theme.colorScheme;
+
+    return FormBuilderField<String>(
+      name: name,
+      builder: (field) {
+        final selected = field.value ?? CurrencyFormatter.fallbackCurrency;
+        final currencies = [
+          if (!CurrencyFormatter.commonCurrencies.contains(selected)) selected,
+          ...CurrencyFormatter.commonCurrencies,
+        ];
+
+        return PopupMenuButton<String>(
+          tooltip: AppLocalizations.of(context).currency,
+          initialValue: selected,
+          onSelected: field.didChange,
+          itemBuilder: (_) => [
+            for (final code in currencies)
+              PopupMenuItem(
+                value: code,
+                child: Text('$code  ${CurrencyFormatter.symbol(code)}'),
+              ),
+          ],
+          child: Padding(
+            padding: const EdgeInsets.symmetric(horizontal: 8, vertical: 4),
+            child: Row(
+              mainAxisSize: MainAxisSize.min,
+              spacing: 4,
+              children: [
+                Text(
+                  selected,
+                  style: theme.textTheme.bodyMedium?.copyWith(
+                    fontWeight: FontWeight.w600,
+                    color: colorScheme.primary,
+                  ),
+                ),
+                Icon(
+                  TablerIcons.chevronDown,
+                  size: 16,
+                  color: colorScheme.primary,
+                ),
+              ],
+            ),
+          ),
+        );
+      },
+    );
+  }
+}
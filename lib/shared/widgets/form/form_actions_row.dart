@@ -1,14 +1,16 @@
 import 'package:flutter/material.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 
 class FormActionsRow extends StatelessWidget {
+  /// Label of the action button ("Add" if null)
   final Widget? actionWidget;
   final void Function() actionHandler;
   final void Function()? onCancel;
 
   const FormActionsRow({
     super.key,
-    this.actionWidget = const Text("Add"),
+    this.actionWidget,
     required this.actionHandler,
     this.onCancel,
   });
@@ -22,7 +24,7 @@ class FormActionsRow extends StatelessWidget {
         Expanded(
           child: ElevatedButton(
             onPressed: actionHandler,
-            child: actionWidget,
+            child: actionWidget ?? Text(AppLocalizations.of(context).add),
           ),
         ),
         IconButton(
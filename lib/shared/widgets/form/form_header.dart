@@ -21,7 +21,7 @@ class FormHeader extends StatelessWidget {
       children: [
         Text(
           headerText,
-          textAlign: TextAlign.left,
+          textAlign: TextAlign.start,
           style: textTheme.headlineLarge?.copyWith(
             color: colorScheme.onSurface,
           ),
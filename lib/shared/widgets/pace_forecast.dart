@@ -0,0 +1,93 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
+import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/smart_budget_calculator.dart';
+import 'package:flutter/material.dart';
+
+/// End-of-period forecast of a budget or one of its categories
+///
+/// Shows, from a [BARCalculation]:
+/// - BAR (optional, when it isn't displayed elsewhere)
+/// - Projected spending at the end of the period, in the error color
+///   with the overspend when it exceeds the allocation
+/// - How much can still be spent per day without going over
+///
+/// Only meaningful while the period runs: callers pass no forecast for
+/// budgets that haven't started or have ended.
+///
+/// **Usage**:
+/// ```dart
+/// PaceForecast(
+///   pace: details.paceOf(allocation),
+///   currencyCode: budget.currencyCode,
+///   showBar: true,
+/// )
+/// ```
+class PaceForecast extends StatelessWidget {
+  final BARCalculation pace;
+
+  /// Currency of the amounts: the budget's
+  final String currencyCode;
+
+  /// Also show the BAR value
+  final bool showBar;
+
+  const PaceForecast({
+    super.key,
+    required this.pace,
+    required this.currencyCode,
+    this.showBar = false,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+    final colorScheme = theme.colorScheme;
+    final customColors = theme.extension<AppCustomColors>()!;
+    final spacing = theme.extension<AppSpacing>()!;
+    final l10n = AppLocalizations.of(context);
+
+    final style = theme.textTheme.bodySmall?.copyWith(
+      color: colorScheme.onSurface.withValues(alpha: 0.7),
+    );
+    final projected = _format(pace.projectedSpent);
+
+    return Wrap(
+      spacing: spacing.md,
+      runSpacing: spacing.xs,
+      children: [
+        if (showBar)
+          Text(
+            l10n.paceBar(CurrencyFormatter.formatNumber(pace.bar)),
+            style: style?.copyWith(
+              color: _barColor(colorScheme, customColors),
+              fontWeight: FontWeight.w500,
+            ),
+          ),
+        Text(
+          pace.isProjectedOver
+              ? l10n.paceProjectedOver(
+                  projected,
+                  _format(pace.projectedOverspend),
+                )
+              : l10n.paceProjected(projected),
+          style: pace.isProjectedOver
+              ? style?.copyWith(color: colorScheme.error)
+              : style,
+        ),
+        Text(l10n.paceSafeDaily(_format(pace.safeDailySpend)), style: style),
+      ],
+    );
+  }
+
+  // Same thresholds as the budget summary card
+  Color _barColor(ColorScheme colorScheme, AppCustomColors customColors) {
+    if (pace.bar > 1.0) return colorScheme.error;
+    if (pace.bar >= 0.9) return customColors.warningDark;
+    return customColors.successDark;
+  }
+
+  String _format(double amount) {
+    return CurrencyFormatter.format(amount, currencyCode);
+  }
+}
@@ -1,6 +1,8 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/router/app_router.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/shared/widgets/alerts_bell_button.dart';
 import 'package:centabit/shared/widgets/sync_status_indicator.dart';
 import 'package:flutter/material.dart';
 import 'package:go_router/go_router.dart';
@@ -13,6 +15,7 @@ AppBar sharedAppBar(
   final theme = Theme.of(context);
   final colorScheme = theme.colorScheme;
   final spacing = theme.extension<AppSpacing>()!;
+  final l10n = AppLocalizations.of(context);
 
   return AppBar(
     toolbarHeight: spacing.xl * 3,
@@ -26,13 +29,28 @@ AppBar sharedAppBar(
       // Custom actions (if provided)
       if (actions != null) ...actions,
       // Standard actions
-      const SyncStatusIndicator(), // Sync status indicator (top-right)
+      const SyncStatusIndicator(), // Sync status indicator (top end)
+      const AlertsBellButton(), // Unread budget alerts
+      IconButton(
+        icon: const Icon(TablerIcons.users),
+        onPressed: () {
+          context.pushNamed('profiles');
+        },
+        tooltip: l10n.profilesTitle,
+      ),
+      IconButton(
+        icon: const Icon(TablerIcons.settings),
+        onPressed: () {
+          context.pushNamed('settings');
+        },
+        tooltip: l10n.settingsTitle,
+      ),
       IconButton(
         icon: const Icon(TablerIcons.logout),
         onPressed: () {
           context.go(AppRouter.login);
         },
-        tooltip: 'Logout',
+        tooltip: l10n.logout,
       ),
     ],
   );
@@ -1,12 +1,16 @@
 import 'package:flutter/material.dart';
+import 'package:go_router/go_router.dart';
 import 'package:centabit/core/di/injection.dart';
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
+import 'package:centabit/data/local/database.dart';
 import 'package:centabit/data/sync/sync_manager.dart';
 import 'package:centabit/data/sync/sync_status.dart';
 
 /// Sync status indicator widget for SharedAppBar
 ///
-/// **Placement**: Top-right of AppBar, next to search/filter actions
+/// **Placement**: End of the AppBar (top-right in left-to-right locales),
+/// next to search/filter actions
 ///
 /// **States**:
 /// - `idle`: Hidden (no indicator)
@@ -14,6 +18,10 @@ import 'package:centabit/data/sync/sync_status.dart';
 /// - `synced`: Cloud checkmark icon (tappable to show last sync time)
 /// - `failed`: Cloud-off icon in red (tappable to show error + retry)
 /// - `offline`: Cloud-off icon (static)
+/// - `needsReview`: Git-merge icon in orange (tappable to open the conflict
+///   review screen)
+/// - Dead-lettered changes: Cloud-exclamation icon in orange, shown instead of
+///   `idle`/`synced` (tappable to retry or discard the stuck changes)
 ///
 /// **Usage**:
 /// ```dart
@@ -31,37 +39,75 @@ class SyncStatusIndicator extends StatelessWidget {
   @override
   Widget build(BuildContext context) {
     final syncManager = getIt<SyncManager>();
+    final l10n = AppLocalizations.of(context);
 
-    return StreamBuilder<SyncStatus>(
-      stream: syncManager.statusStream,
-      initialData: syncManager.currentStatus,
-      builder: (context, snapshot) {
-        final status = snapshot.data ?? const SyncStatus.idle();
+    return StreamBuilder<List<SyncQueueData>>(
+      stream: syncManager.deadLettersStream,
+      initialData: syncManager.deadLetters,
+      builder: (context, deadLetterSnapshot) {
+        final deadLetters = deadLetterSnapshot.data ?? const [];
 
-        return status.when(
-          idle: () => const SizedBox.shrink(), // Hide when idle
-          syncing: () => const Padding(
-            padding: EdgeInsets.all(8.0),
-            child: SizedBox(
-              width: 16,
-              height: 16,
-              child: CircularProgressIndicator(strokeWidth: 2),
-            ),
-          ),
-          synced: (lastSyncTime) => IconButton(
-            icon: const Icon(TablerIcons.cloudCheck, size: 20),
-            onPressed: () => _showSyncInfo(context, lastSyncTime),
-            tooltip: 'Last synced: ${_formatSyncTime(lastSyncTime)}',
-          ),
-          failed: (error) => IconButton(
-            icon: const Icon(TablerIcons.cloudOff, size: 20, color: Colors.red),
-            onPressed: () => _showErrorDialog(context, error),
-            tooltip: 'Sync failed',
-          ),
-          offline: () => const Padding(
-            padding: EdgeInsets.all(8.0),
-            child: Icon(TablerIcons.cloudOff, size: 20),
-          ),
+        return StreamBuilder<SyncStatus>(
+          stream: syncManager.statusStream,
+          initialData: syncManager.currentStatus,
+          builder: (context, snapshot) {
+            final status = snapshot.data ?? const SyncStatus.idle();
+            final deadLetterButton = deadLetters.isEmpty
+                ? null
+                : IconButton(
+                    icon: const Icon(
+                      TablerIcons.cloudExclamation,
+                      size: 20,
+                      color: Colors.orange,
+                    ),
+                    onPressed: () => _showDeadLetterDialog(context, deadLetters),
+                    tooltip: l10n.syncChangesNotSynced(deadLetters.length),
+                  );
+
+            return status.when(
+              // Hide when idle (unless changes are stuck)
+              idle: () => deadLetterButton ?? const SizedBox.shrink(),
+              syncing: () => const Padding(
+                padding: EdgeInsets.all(8.0),
+                child: SizedBox(
+                  width: 16,
+                  height: 16,
+                  child: CircularProgressIndicator(strokeWidth: 2),
+                ),
+              ),
+              synced: (lastSyncTime) =>
+                  deadLetterButton ??
+                  IconButton(
+                    icon: const Icon(TablerIcons.cloudCheck, size: 20),
+                    onPressed: () => _showSyncInfo(context, lastSyncTime),
+                    tooltip: l10n.syncLastSynced(
+                      _formatSyncTime(l10n, lastSyncTime),
+                    ),
+                  ),
+              failed: (error) => IconButton(
+                icon: const Icon(
+                  TablerIcons.cloudOff,
+                  size: 20,
+                  color: Colors.red,
+                ),
+                onPressed: () => _showErrorDialog(context, error),
+                tooltip: l10n.syncFailed,
+              ),
+              offline: () => const Padding(
+                padding: EdgeInsets.all(8.0),
+                child: Icon(TablerIcons.cloudOff, size: 20),
+              ),
+              needsReview: (conflictCount) => IconButton(
+                icon: const Icon(
+                  TablerIcons.gitMerge,
+                  size: 20,
+                  color: Colors.orange,
+                ),
+                onPressed: () => context.pushNamed('sync-conflicts'),
+                tooltip: l10n.syncConflictsToReview(conflictCount),
+              ),
+            );
+          },
         );
       },
     );
@@ -71,24 +117,28 @@ class SyncStatusIndicator extends StatelessWidget {
   ///
   /// **Examples**:
   /// - "Just now" (< 60 seconds)
-  /// - "5m ago" (< 60 minutes)
-  /// - "2h ago" (< 24 hours)
-  /// - "3d ago" (>= 24 hours)
-  String _formatSyncTime(DateTime time) {
+  /// - "5 minutes ago" (< 60 minutes)
+  /// - "2 hours ago" (< 24 hours)
+  /// - "3 days ago" (>= 24 hours)
+  String _formatSyncTime(AppLocalizations l10n, DateTime time) {
     final now = DateTime.now();
     final diff = now.difference(time);
 
-    if (diff.inSeconds < 60) return 'Just now';
-    if (diff.inMinutes < 60) return '${diff.inMinutes}m ago';
-    if (diff.inHours < 24) return '${diff.inHours}h ago';
-    return '${diff.inDays}d ago';
+    if (diff.inSeconds < 60) return l10n.timeJustNow;
+    if (diff.inMinutes < 60) return l10n.timeMinutesAgo(diff.inMinutes);
+    if (diff.inHours < 24) return l10n.timeHoursAgo(diff.inHours);
+    return l10n.timeDaysAgo(diff.inDays);
   }
 
   /// Show sync info snackbar
   void _showSyncInfo(BuildContext context, DateTime lastSyncTime) {
+    final l10n = AppLocalizations.of(context);
+
     ScaffoldMessenger.of(context).showSnackBar(
       SnackBar(
-        content: Text('Last synced: ${_formatSyncTime(lastSyncTime)}'),
+        content: Text(
+          l10n.syncLastSynced(_formatSyncTime(l10n, lastSyncTime)),
+        ),
         duration: const Duration(seconds: 2),
       ),
     );
@@ -96,22 +146,75 @@ class SyncStatusIndicator extends StatelessWidget {
 
   /// Show error dialog with retry option
   void _showErrorDialog(BuildContext context, String error) {
+    final l10n = AppLocalizations.of(context);
+
     showDialog(
       context: context,
       builder: (context) => AlertDialog(
-        title: const Text('Sync Failed'),
+        title: Text(l10n.syncFailedTitle),
         content: Text(error),
         actions: [
           TextButton(
             onPressed: () => Navigator.of(context).pop(),
-            child: const Text('OK'),
+            child: Text(l10n.ok),
           ),
           TextButton(
             onPressed: () {
               Navigator.of(context).pop();
               getIt<SyncManager>().triggerSync(); // Retry sync
             },
-            child: const Text('Retry'),
+            child: Text(l10n.retry),
+          ),
+        ],
+      ),
+    );
+  }
+
+  /// Show dead-lettered changes with retry/discard options
+  void _showDeadLetterDialog(
+    BuildContext context,
+    List<SyncQueueData> deadLetters,
+  ) {
+    final l10n = AppLocalizations.of(context);
+
+    showDialog(
+      context: context,
+      builder: (context) => AlertDialog(
+        title: Text(l10n.syncChangesNotSyncedTitle),
+        content: SingleChildScrollView(
+          child: Column(
+            mainAxisSize: MainAxisSize.min,
+            crossAxisAlignment: CrossAxisAlignment.start,
+            children: [
+              Text(l10n.syncChangesNotSyncedMessage(deadLetters.length)),
+              const SizedBox(height: 12),
+              ...deadLetters.map(
+                (entry) => Padding(
+                  padding: const EdgeInsets.only(bottom: 8),
+                  child: Text(
+                    '${entry.operation} ${entry.entityType}: '
+                    '${entry.lastError ?? l10n.unknownError}',
+                    style: Theme.of(context).textTheme.bodySmall,
+                  ),
+                ),
+              ),
+            ],
+          ),
+        ),
+        actions: [
+          TextButton(
+            onPressed: () {
+              Navigator.of(context).pop();
+              getIt<SyncManager>().discardDeadLetters();
+            },
+            child: Text(l10n.discard),
+          ),
+          TextButton(
+            onPressed: () {
+              Navigator.of(context).pop();
+              getIt<SyncManager>().retryDeadLetters();
+            },
+            child: Text(l10n.retry),
           ),
         ],
       ),
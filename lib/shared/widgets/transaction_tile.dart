@@ -1,5 +1,8 @@
+import 'package:centabit/core/localizations/app_localizations.dart';
 import 'package:centabit/core/theme/tabler_icons.dart';
 import 'package:centabit/core/theme/theme_extensions.dart';
+import 'package:centabit/core/utils/currency_formatter.dart';
+import 'package:centabit/core/utils/search_highlight.dart';
 import 'package:centabit/data/models/transaction_model.dart';
 import 'package:centabit/shared/v_models/transaction_v_model.dart';
 import 'package:flutter/material.dart';
@@ -27,6 +30,7 @@ class TransactionTile extends StatelessWidget {
     final colorScheme = theme.colorScheme;
     final spacing = theme.extension<AppSpacing>()!;
     final radius = theme.extension<AppRadius>()!;
+    final l10n = AppLocalizations.of(context);
     final isCredit = transaction.type == TransactionType.credit;
 
     return Dismissible(
@@ -34,41 +38,15 @@ class TransactionTile extends StatelessWidget {
       direction: DismissDirection.horizontal,
       onDismissed: (direction) {
         if (direction == DismissDirection.endToStart) {
-          // Swipe left → Delete
+          // Swipe towards the start (left in LTR) → Delete (the caller
+          // confirms it, with an undo)
           onDelete?.call();
-          toastification.show(
-            type: ToastificationType.error,
-            title: const Text("Transaction deleted"),
-            style: ToastificationStyle.simple,
-            closeButton: const ToastCloseButton(
-              showType: CloseButtonShowType.none,
-            ),
-            closeOnClick: true,
-            padding: EdgeInsets.symmetric(
-              horizontal: spacing.lg,
-              vertical: spacing.xs,
-            ),
-            autoCloseDuration: const Duration(seconds: 5),
-            backgroundColor: colorScheme.surface,
-            foregroundColor: colorScheme.onSurface,
-            margin: .only(top: spacing.xl4),
-            alignment: .topCenter,
-            animationDuration: Duration(milliseconds: 200),
-            dragToClose: true,
-            borderRadius: BorderRadius.circular(400),
-            applyBlurEffect: true,
-            borderSide: BorderSide(
-              color: colorScheme.secondary.withValues(alpha: 0.5),
-              width: 1,
-            ),
-            context: context,
-          );
         } else if (direction == DismissDirection.startToEnd) {
-          // Swipe right → Copy
+          // Swipe towards the end (right in LTR) → Copy
           onCopy?.call();
           toastification.show(
             type: ToastificationType.success,
-            title: const Text("Transaction copied"),
+            title: Text(l10n.transactionCopied),
             style: ToastificationStyle.simple,
             closeButton: const ToastCloseButton(
               showType: CloseButtonShowType.none,
@@ -104,7 +82,7 @@ class TransactionTile extends StatelessWidget {
           onCopy?.call();
           toastification.show(
             type: ToastificationType.success,
-            title: const Text("Transaction copied"),
+            title: Text(l10n.transactionCopied),
             style: ToastificationStyle.simple,
             closeButton: const ToastCloseButton(
               showType: CloseButtonShowType.none,
@@ -187,7 +165,9 @@ class TransactionTile extends StatelessWidget {
                 child: Padding(
                   padding: EdgeInsets.all(spacing.sm),
                   child: Icon(
-                    _getTablerIcon(transaction.categoryIconName),
+                    transaction.splits.isNotEmpty
+                        ? TablerIcons.arrowsSplit
+                        : _getTablerIcon(transaction.categoryIconName),
                     color: colorScheme.onSurface.withValues(alpha: 0.7), // Increased from 0.6
                     size: spacing.lg + 2,
                   ),
@@ -206,14 +186,51 @@ class TransactionTile extends StatelessWidget {
                         color: colorScheme.onSurface.withValues(alpha: 0.7),
                       ),
                     ),
-                    Text(transaction.name),
+                    _highlighted(
+                      transaction.nameHighlight ?? transaction.name,
+                      theme.textTheme.bodyMedium,
+                      colorScheme,
+                    ),
+                    // Where the search matched the notes
+                    if (transaction.notesSnippet case final snippet?)
+                      _highlighted(
+                        snippet,
+                        theme.textTheme.bodySmall?.copyWith(
+                          color: colorScheme.onSurface.withValues(alpha: 0.7),
+                        ),
+                        colorScheme,
+                        maxLines: 1,
+                      ),
+                    // Split: each line's category and amount
+                    if (transaction.splits.isNotEmpty)
+                      Text(
+                        [
+                          for (final line in transaction.splits)
+                            '${line.categoryName ?? l10n.unknownCategory} '
+                                '${CurrencyFormatter.format(
+                                  line.amount,
+                                  transaction.currencyCode,
+                                )}',
+                        ].join(' · '),
+                        style: theme.textTheme.bodySmall?.copyWith(
+                          color: colorScheme.onSurface.withValues(alpha: 0.7),
+                        ),
+                        maxLines: 2,
+                        overflow: TextOverflow.ellipsis,
+                      ),
                   ],
                 ),
               ),
               SizedBox(width: spacing.lg),
-              // Amount with +/- prefix
+              // Amount with +/- prefix, kept left-to-right so the sign
+              // stays before the number in right-to-left locales
               Text(
-                "${isCredit ? '+' : '-'}\$${transaction.amount.toStringAsFixed(2)}",
+                "${isCredit ? '+' : '-'}"
+                '${CurrencyFormatter.format(
+                  transaction.amount,
+                  transaction.currencyCode,
+                )}',
+                textDirection: TextDirection.ltr,
                 style: theme.textTheme.bodySmall?.copyWith(
                   fontWeight: FontWeight.bold,
                   color: colorScheme.onSurface.withValues(alpha: 0.8),
@@ -228,22 +245,27 @@ class TransactionTile extends StatelessWidget {
 
   /// Show transaction action popup with Edit, Copy, Delete options
   void _showTransactionActionSheet(BuildContext context) {
+    final l10n = AppLocalizations.of(context);
+
     // Get the position of the tile
     final RenderBox renderBox = context.findRenderObject() as RenderBox;
-    final Offset offset = renderBox.localToGlobal(Offset.zero);
+    final RenderBox overlay =
+        Overlay.of(context).context.findRenderObject() as RenderBox;
+    final Offset offset = renderBox.localToGlobal(
+      Offset.zero,
+      ancestor: overlay,
+    );
     final Size size = renderBox.size;
 
-    // Calculate position (show below the tile, or above if not enough space)
+    // Show below the tile (above if not enough space), aligned with its
+    // start edge: the right one in right-to-left locales
     final double top = offset.dy + size.height;
-    final double left = offset.dx;
 
     showMenu<String>(
       context: context,
-      position: RelativeRect.fromLTRB(
-        left,
-        top,
-        left + size.width,
-        top,
+      position: RelativeRect.fromRect(
+        Rect.fromLTWH(offset.dx, top, size.width, 0),
+        Offset.zero & overlay.size,
       ),
       items: [
         PopupMenuItem<String>(
@@ -252,7 +274,7 @@ class TransactionTile extends StatelessWidget {
             children: [
               Icon(TablerIcons.edit, size: 20),
               SizedBox(width: 12),
-              Text('Edit'),
+              Text(l10n.edit),
             ],
           ),
         ),
@@ -262,7 +284,7 @@ class TransactionTile extends StatelessWidget {
             children: [
               Icon(TablerIcons.copy, size: 20),
               SizedBox(width: 12),
-              Text('Copy'),
+              Text(l10n.copy),
             ],
           ),
         ),
@@ -273,7 +295,7 @@ class TransactionTile extends StatelessWidget {
             children: [
               Icon(TablerIcons.trash, size: 20, color: Theme.of(context).colorScheme.error),
               SizedBox(width: 12),
-              Text('Delete', style: TextStyle(color: Theme.of(context).colorScheme.error)),
+              Text(l10n.delete, style: TextStyle(color: Theme.of(context).colorScheme.error)),
             ],
           ),
         ),
@@ -298,27 +320,26 @@ class TransactionTile extends StatelessWidget {
   /// Returns Future<bool?> - true if confirmed, false if canceled, null if dismissed
   Future<bool?> _showDeleteConfirmation(BuildContext context) {
     final colorScheme = Theme.of(context).colorScheme;
+    final l10n = AppLocalizations.of(context);
 
     return showDialog<bool>(
       context: context,
       builder: (context) {
         return AlertDialog(
-          title: const Text('Delete Transaction'),
-          content: const Text(
-            'Are you sure you want to delete this transaction?',
-          ),
+          title: Text(l10n.deleteTransactionTitle),
+          content: Text(l10n.deleteTransactionMessage),
           actions: [
             TextButton(
               onPressed: () => Navigator.pop(context, false),
               child: Text(
-                'Cancel',
+                l10n.cancel,
                 style: TextStyle(color: colorScheme.onSurface),
               ),
             ),
             TextButton(
               onPressed: () => Navigator.pop(context, true),
               child: Text(
-                'Delete',
+                l10n.delete,
                 style: TextStyle(color: colorScheme.error),
               ),
             ),
@@ -328,6 +349,35 @@ class TransactionTile extends StatelessWidget {
     );
   }
 
+  /// [text] with its search matches (see [SearchHighlight]) emphasized
+  Widget _highlighted(
+    String text,
+    TextStyle? style,
+    ColorScheme colorScheme, {
+    int? maxLines,
+  }) {
+    final matchStyle = TextStyle(
+      fontWeight: FontWeight.bold,
+      color: colorScheme.onPrimaryContainer,
+      backgroundColor: colorScheme.primaryContainer,
+    );
+
+    return Text.rich(
+      TextSpan(
+        children: [
+          for (final part in SearchHighlight.split(text))
+            TextSpan(
+              text: part.text,
+              style: part.isMatch ? matchStyle : null,
+            ),
+        ],
+      ),
+      style: style,
+      maxLines: maxLines,
+      overflow: maxLines != null ? TextOverflow.ellipsis : null,
+    );
+  }
+
   IconData _getTablerIcon(String? iconName) {
     if (iconName == null) return TablerIcons.wallet;
     return TablerIcons.all[iconName] ?? TablerIcons.wallet;
@@ -0,0 +1,141 @@
+import 'package:centabit/core/auth/auth_manager.dart';
+import 'package:centabit/core/auth/fake_identity_provider.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+import '../../helpers/test_database.dart';
+
+void main() {
+  late AppDatabase db;
+  late FakeIdentityProvider identityProvider;
+  late AuthManager authManager;
+
+  setUp(() async {
+    db = openTestDatabase();
+    identityProvider = FakeIdentityProvider();
+    authManager = await testAuthManager(
+      db,
+      identityProvider: identityProvider,
+    );
+  });
+
+  tearDown(() => db.close());
+
+  Future<void> insertCategory(String id, String userId) {
+    final at = DateTime(2025, 6, 1);
+    return db.into(db.categories).insert(Category(
+          id: id,
+          userId: userId,
+          name: 'Groceries',
+          iconName: 'cart',
+          colorHex: '',
+          createdAt: at,
+          updatedAt: at,
+          isSynced: false,
+          isDeleted: false,
+        ));
+  }
+
+  Future<String?> ownerOf(String categoryId) async {
+    final row = await (db.select(db.categories)
+          ..where((c) => c.id.equals(categoryId)))
+        .getSingleOrNull();
+    return row?.userId;
+  }
+
+  test('starts with an anonymous profile', () async {
+    final userId = await authManager.getCurrentUserId();
+
+    expect(userId, startsWith('anon_'));
+    expect(authManager.profiles.map((p) => p.userId), [userId]);
+    expect(authManager.isAuthenticated, isFalse);
+  });
+
+  group('signIn', () {
+    test('moves the anonymous data to the account', () async {
+      final anonymousId = await authManager.getCurrentUserId();
+      await insertCategory('cat-1', anonymousId);
+
+      final identity = await authManager.signIn();
+
+      expect(identity?.userId, 'fake_user');
+      expect(await authManager.getCurrentUserId(), 'fake_user');
+      expect(authManager.isAuthenticated, isTrue);
+      expect(await ownerOf('cat-1'), 'fake_user');
+      final entries =
+          await SyncQueueLocalSource(db, 'fake_user').getPendingEntries();
+      expect(entries.single.entityId, 'cat-1');
+    });
+
+    test('replaces the emptied anonymous profile by the account', () async {
+      await authManager.getCurrentUserId();
+
+      await authManager.signIn();
+
+      final profile = authManager.profiles.single;
+      expect((profile.userId, profile.name), ('fake_user', 'Demo User'));
+      expect(authManager.displayName, 'Demo User');
+    });
+
+    test('changes nothing when the user cancels', () async {
+      final anonymousId = await authManager.getCurrentUserId();
+      await insertCategory('cat-1', anonymousId);
+      identityProvider.cancelNextSignIn = true;
+
+      final identity = await authManager.signIn();
+
+      expect(identity, isNull);
+      expect(await authManager.getCurrentUserId(), anonymousId);
+      expect(await ownerOf('cat-1'), anonymousId);
+      expect(authManager.profiles.map((p) => p.userId), [anonymousId]);
+    });
+
+    test('leaves other profiles and their data alone', () async {
+      final firstId = await authManager.getCurrentUserId();
+      await insertCategory('cat-1', firstId);
+      final second = await authManager.createAnonymousProfile();
+      await insertCategory('cat-2', second.userId);
+
+      await authManager.signIn();
+
+      expect(await ownerOf('cat-1'), firstId);
+      expect(await ownerOf('cat-2'), 'fake_user');
+      expect(
+        authManager.profiles.map((p) => p.userId),
+        [firstId, 'fake_user'],
+      );
+    });
+
+    test('does not move the data of a signed-in profile', () async {
+      await authManager.getCurrentUserId();
+      await authManager.signIn();
+      await insertCategory('cat-1', 'fake_user');
+
+      await authManager.signIn();
+
+      expect(await ownerOf('cat-1'), 'fake_user');
+      expect(authManager.profiles, hasLength(1));
+    });
+  });
+
+  group('signOut', () {
+    test("switches to a new anonymous profile, keeping the account's data",
+        () async {
+      final anonymousId = await authManager.getCurrentUserId();
+      await insertCategory('cat-1', anonymousId);
+      await authManager.signIn();
+
+      await authManager.signOut();
+
+      final userId = await authManager.getCurrentUserId();
+      expect(userId, allOf(startsWith('anon_'), isNot(anonymousId)));
+      expect(identityProvider.isSignedIn, isFalse);
+      expect(await ownerOf('cat-1'), 'fake_user');
+      expect(
+        authManager.profiles.map((p) => p.userId),
+        ['fake_user', userId],
+      );
+    });
+  });
+}
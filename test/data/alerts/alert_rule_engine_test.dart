@@ -0,0 +1,206 @@
+import 'package:centabit/data/alerts/alert_rule_engine.dart';
+import 'package:centabit/data/currency/currency_converter.dart';
+import 'package:centabit/data/models/alert_model.dart';
+import 'package:centabit/data/models/alert_rule_model.dart';
+import 'package:centabit/data/models/allocation_model.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  // Day 10 of a 30-day budget
+  final now = DateTime(2025, 6, 10, 12);
+  final createdAt = DateTime(2025, 6, 1);
+  final engine = AlertRuleEngine(clock: () => now);
+
+  final budget = BudgetModel(
+    id: 'budget-1',
+    name: 'June',
+    amount: 1000,
+    startDate: DateTime(2025, 6, 1),
+    endDate: DateTime(2025, 6, 30, 23, 59, 59),
+    createdAt: createdAt,
+    updatedAt: createdAt,
+  );
+  final allocation = AllocationModel(
+    id: 'allocation-1',
+    amount: 1000,
+    categoryId: 'groceries',
+    budgetId: budget.id,
+    createdAt: createdAt,
+    updatedAt: createdAt,
+  );
+  final groceries = CategoryModel(
+    id: 'groceries',
+    name: 'Groceries',
+    iconName: 'shopping-cart',
+    createdAt: createdAt,
+    updatedAt: createdAt,
+  );
+
+  // Alert ids are UUID v5 in the rule id's namespace, so it must be a UUID
+  AlertRuleModel rule(AlertRuleType type, double threshold) {
+    return AlertRuleModel(
+      id: '00000000-0000-4000-8000-00000000000${type.index}',
+      type: type,
+      threshold: threshold,
+      createdAt: createdAt,
+      updatedAt: createdAt,
+    );
+  }
+
+  TransactionModel transaction(
+    String id,
+    double amount, {
+    TransactionType type = TransactionType.debit,
+    DateTime? created,
+  }) {
+    return TransactionModel(
+      id: id,
+      name: id,
+      amount: amount,
+      categoryId: groceries.id,
+      budgetId: budget.id,
+      transactionDate: DateTime(2025, 6, 5),
+      type: type,
+      createdAt: created ?? DateTime(2025, 6, 5),
+      updatedAt: created ?? DateTime(2025, 6, 5),
+    );
+  }
+
+  List<AlertModel> evaluate(
+    AlertRuleModel rule,
+    List<TransactionModel> transactions, {
+    List<AlertMuteModel> mutes = const [],
+  }) {
+    return engine.evaluate(
+      AlertSnapshot(
+        rules: [rule],
+        budgets: [budget],
+        allocations: [allocation],
+        transactions: transactions,
+        categories: [groceries],
+        mutes: mutes,
+        converter: CurrencyConverter.empty(),
+        defaultCurrency: 'USD',
+      ),
+    );
+  }
+
+  group('allocationOverPercent', () {
+    final overPercent = rule(AlertRuleType.allocationOverPercent, 90);
+
+    test('fires once a category passes the threshold', () {
+      final alerts = evaluate(overPercent, [transaction('shop', 950)]);
+
+      expect(alerts, hasLength(1));
+      expect(alerts.single.subject, 'Groceries');
+      expect(alerts.single.value, closeTo(95, 0.001));
+      expect(alerts.single.threshold, 90);
+    });
+
+    test('stays quiet under the threshold', () {
+      expect(evaluate(overPercent, [transaction('shop', 500)]), isEmpty);
+    });
+
+    test('a refund brings spending back under the threshold', () {
+      final alerts = evaluate(overPercent, [
+        transaction('shop', 950),
+        transaction('refund', 200, type: TransactionType.credit),
+      ]);
+
+      expect(alerts, isEmpty);
+    });
+  });
+
+  group('barAbove', () {
+    final barAbove = rule(AlertRuleType.barAbove, 1.2);
+
+    test('fires when spending runs ahead of the period', () {
+      final alerts = evaluate(barAbove, [transaction('shop', 900)]);
+
+      expect(alerts, hasLength(1));
+      expect(alerts.single.budgetId, budget.id);
+      expect(alerts.single.value, greaterThan(1.2));
+    });
+
+    test('a refund brings the pace back under the threshold', () {
+      final alerts = evaluate(barAbove, [
+        transaction('shop', 900),
+        transaction('refund', 850, type: TransactionType.credit),
+      ]);
+
+      expect(alerts, isEmpty);
+    });
+
+    test('muted budgets never fire', () {
+      final alerts = evaluate(
+        barAbove,
+        [transaction('shop', 900)],
+        mutes: [AlertMuteModel(budgetId: budget.id)],
+      );
+
+      expect(alerts, isEmpty);
+    });
+  });
+
+  group('budgetEndingSoon', () {
+    test('fires within threshold days of the end', () {
+      final ending = AlertRuleEngine(clock: () => DateTime(2025, 6, 28, 9));
+
+      final alerts = ending.evaluate(
+        AlertSnapshot(
+          rules: [rule(AlertRuleType.budgetEndingSoon, 3)],
+          budgets: [budget],
+          allocations: [allocation],
+          transactions: const [],
+          categories: [groceries],
+          mutes: const [],
+          converter: CurrencyConverter.empty(),
+          defaultCurrency: 'USD',
+        ),
+      );
+
+      expect(alerts, hasLength(1));
+      expect(alerts.single.value, 2);
+    });
+
+    test('stays quiet earlier in the period', () {
+      expect(evaluate(rule(AlertRuleType.budgetEndingSoon, 3), []), isEmpty);
+    });
+  });
+
+  group('largeTransaction', () {
+    final large = rule(AlertRuleType.largeTransaction, 500);
+
+    test('fires for an expense of at least the threshold', () {
+      final alerts = evaluate(large, [
+        transaction('tv', 600),
+        transaction('coffee', 4),
+      ]);
+
+      expect(alerts.map((a) => a.subject), ['tv']);
+      expect(alerts.single.currencyCode, 'USD');
+    });
+
+    test('ignores credits and expenses from before the rule', () {
+      final alerts = evaluate(large, [
+        transaction('salary', 3000, type: TransactionType.credit),
+        transaction('old', 800, created: DateTime(2025, 5, 20)),
+      ]);
+
+      expect(alerts, isEmpty);
+    });
+  });
+
+  test('the same alert always gets the same id', () {
+    final overPercent = rule(AlertRuleType.allocationOverPercent, 90);
+
+    final first = evaluate(overPercent, [transaction('shop', 950)]);
+    final second = evaluate(overPercent, [transaction('shop', 990)]);
+
+    expect(second.single.id, first.single.id);
+    expect(second.single.dedupeKey, first.single.dedupeKey);
+  });
+}
@@ -0,0 +1,81 @@
+import 'dart:convert';
+
+import 'package:centabit/data/backup/backup_archive.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/models/transaction_split_model.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  final at = DateTime(2025, 6, 1);
+
+  BackupArchive archive() {
+    final category = CategoryModel.create(name: 'Groceries', iconName: 'cart')
+        .copyWith(createdAt: at, updatedAt: at);
+    final transaction = TransactionModel.create(
+      name: 'Supermarket',
+      amount: 80,
+      type: TransactionType.debit,
+      transactionDate: at,
+      splits: [
+        TransactionSplitModel(amount: 55, categoryId: category.id),
+        const TransactionSplitModel(amount: 25, categoryId: 'household'),
+      ],
+    ).copyWith(createdAt: at, updatedAt: at);
+    return BackupArchive(
+      schemaVersion: 15,
+      exportedAt: at,
+      isPartial: true,
+      categories: [category],
+      budgets: const [],
+      allocations: const [],
+      transactions: [transaction],
+    );
+  }
+
+  Map<String, dynamic> encoded() =>
+      jsonDecode(archive().encode()) as Map<String, dynamic>;
+
+  test('reads back what it writes', () {
+    final original = archive();
+
+    final decoded = BackupArchive.decode(original.encode());
+
+    expect(decoded.version, BackupArchive.currentVersion);
+    expect(decoded.schemaVersion, 15);
+    expect(decoded.exportedAt, at);
+    expect(decoded.isPartial, isTrue);
+    expect(decoded.categories, original.categories);
+    expect(decoded.transactions, original.transactions);
+    expect(decoded.entityCount, 2);
+  });
+
+  test('refuses a file written by a newer backup layout', () {
+    final json = encoded()..['version'] = BackupArchive.currentVersion + 1;
+
+    expect(
+      () => BackupArchive.decode(jsonEncode(json)),
+      throwsA(isA<BackupFormatException>()),
+    );
+  });
+
+  test('refuses other files', () {
+    expect(
+      () => BackupArchive.decode('Date,Name,Amount'),
+      throwsA(isA<BackupFormatException>()),
+    );
+    expect(
+      () => BackupArchive.decode(jsonEncode({'app': 'other', 'version': 1})),
+      throwsA(isA<BackupFormatException>()),
+    );
+  });
+
+  test('refuses a damaged backup', () {
+    final json = encoded()..remove('schemaVersion');
+
+    expect(
+      () => BackupArchive.decode(jsonEncode(json)),
+      throwsA(isA<BackupFormatException>()),
+    );
+  });
+}
@@ -0,0 +1,308 @@
+import 'dart:convert';
+
+import 'package:centabit/data/backup/backup_archive.dart';
+import 'package:centabit/data/backup/backup_restorer.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/models/allocation_model.dart';
+import 'package:centabit/data/models/budget_model.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/models/transaction_split_model.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+import '../../helpers/test_database.dart';
+
+void main() {
+  final backupDay = DateTime(2025, 6, 1);
+  late AppDatabase db;
+  late String userId;
+  late SyncManager syncManager;
+  late BackupRestorer restorer;
+
+  setUp(() async {
+    db = openTestDatabase();
+    final authManager = await testAuthManager(db);
+    userId = await authManager.getCurrentUserId();
+    syncManager = await disabledSyncManager(db, userId);
+    restorer = BackupRestorer(db, authManager, syncManager);
+  });
+
+  tearDown(() async {
+    syncManager.dispose();
+    await db.close();
+  });
+
+  CategoryModel category(String id, String name, {DateTime? updatedAt}) {
+    return CategoryModel.create(name: name, iconName: 'cart').copyWith(
+      id: id,
+      createdAt: backupDay,
+      updatedAt: updatedAt ?? backupDay,
+    );
+  }
+
+  BackupArchive archive({
+    List<CategoryModel> categories = const [],
+    List<BudgetModel> budgets = const [],
+    List<AllocationModel> allocations = const [],
+    List<TransactionModel> transactions = const [],
+    int? schemaVersion,
+    bool isPartial = false,
+  }) {
+    return BackupArchive(
+      schemaVersion: schemaVersion ?? db.schemaVersion,
+      exportedAt: backupDay,
+      isPartial: isPartial,
+      categories: categories,
+      budgets: budgets,
+      allocations: allocations,
+      transactions: transactions,
+    );
+  }
+
+  Future<Map<String, Category>> categoryRows() async {
+    final rows = await db.select(db.categories).get();
+    return {for (final row in rows) row.id: row};
+  }
+
+  Future<List<SyncQueueData>> queued() {
+    return SyncQueueLocalSource(db, userId).getPendingEntries();
+  }
+
+  group('checks', () {
+    test('refuses a backup from a newer database schema', () async {
+      await expectLater(
+        restorer.restore(
+          archive(
+            categories: [category('cat-1', 'Groceries')],
+            schemaVersion: db.schemaVersion + 1,
+          ),
+          mode: RestoreMode.merge,
+        ),
+        throwsA(isA<BackupFormatException>()),
+      );
+
+      expect(await categoryRows(), isEmpty);
+    });
+
+    test('refuses to replace the data with a partial backup', () async {
+      await expectLater(
+        restorer.restore(
+          archive(
+            categories: [category('cat-1', 'Groceries')],
+            isPartial: true,
+          ),
+          mode: RestoreMode.replace,
+        ),
+        throwsA(isA<BackupFormatException>()),
+      );
+
+      expect(await categoryRows(), isEmpty);
+    });
+
+    test('writes nothing when a transaction fails its checks', () async {
+      final unbalanced = TransactionModel.create(
+        name: 'Supermarket',
+        amount: 80,
+        type: TransactionType.debit,
+        splits: const [
+          TransactionSplitModel(amount: 55, categoryId: 'cat-1'),
+          TransactionSplitModel(amount: 20, categoryId: 'cat-2'),
+        ],
+      );
+
+      await expectLater(
+        restorer.restore(
+          archive(
+            categories: [category('cat-1', 'Groceries')],
+            transactions: [unbalanced],
+          ),
+          mode: RestoreMode.merge,
+        ),
+        throwsArgumentError,
+      );
+
+      expect(await categoryRows(), isEmpty);
+      expect(await queued(), isEmpty);
+    });
+  });
+
+  test('writes the rows for the active user and queues them', () async {
+    final budget = BudgetModel.create(
+      name: 'June',
+      amount: 500,
+      startDate: backupDay,
+      endDate: DateTime(2025, 6, 30),
+    );
+    final allocation = AllocationModel.create(
+      amount: 200,
+      categoryId: 'cat-1',
+      budgetId: budget.id,
+    );
+    final transaction = TransactionModel.create(
+      name: 'Supermarket',
+      amount: 42,
+      type: TransactionType.debit,
+      categoryId: 'cat-1',
+      budgetId: budget.id,
+    );
+
+    final summary = await restorer.restore(
+      archive(
+        categories: [category('cat-1', 'Groceries')],
+        budgets: [budget],
+        allocations: [allocation],
+        transactions: [transaction],
+      ),
+      mode: RestoreMode.merge,
+    );
+
+    expect(summary, (restored: 4, skipped: 0, removed: 0));
+    final row = (await categoryRows())['cat-1'];
+    expect((row?.userId, row?.isSynced), (userId, false));
+    final entries = await queued();
+    expect(entries.map((e) => e.operation), everyElement('create'));
+    expect(
+      entries.map((e) => e.entityId),
+      ['cat-1', budget.id, allocation.id, transaction.id],
+    );
+  });
+
+  group('replace', () {
+    test('deletes current rows missing from the backup', () async {
+      await restorer.restore(
+        archive(categories: [
+          category('cat-1', 'Food', updatedAt: DateTime(2025, 6, 10)),
+          category('cat-2', 'Travel'),
+        ]),
+        mode: RestoreMode.merge,
+      );
+
+      final summary = await restorer.restore(
+        archive(categories: [category('cat-1', 'Groceries')]),
+        mode: RestoreMode.replace,
+      );
+
+      expect(summary, (restored: 1, skipped: 0, removed: 1));
+      final rows = await categoryRows();
+      // The backup wins, even over a newer edit
+      final groceries = rows['cat-1'];
+      expect((groceries?.name, groceries?.isDeleted), ('Groceries', false));
+      expect(rows['cat-2']?.isDeleted, isTrue);
+      final entries = await queued();
+      expect(entries.last.operation, 'update');
+      expect(
+        entries.where((e) => e.entityId == 'cat-2').last.operation,
+        'delete',
+      );
+    });
+  });
+
+  group('merge', () {
+    test('keeps rows changed since the backup and the others', () async {
+      await restorer.restore(
+        archive(categories: [
+          category('cat-1', 'Food', updatedAt: DateTime(2025, 6, 10)),
+          category('cat-2', 'Travel'),
+        ]),
+        mode: RestoreMode.merge,
+      );
+
+      final summary = await restorer.restore(
+        archive(categories: [
+          category('cat-1', 'Groceries'),
+          category('cat-2', 'Trips', updatedAt: DateTime(2025, 6, 20)),
+          category('cat-3', 'Rent'),
+        ]),
+        mode: RestoreMode.merge,
+      );
+
+      expect(summary, (restored: 2, skipped: 1, removed: 0));
+      final rows = await categoryRows();
+      expect(
+        [for (final id in ['cat-1', 'cat-2', 'cat-3']) rows[id]?.name],
+        ['Food', 'Trips', 'Rent'],
+      );
+    });
+  });
+
+  group('ids of another profile', () {
+    test('are replaced, along with the references to them', () async {
+      await db.into(db.categories).insert(Category(
+            id: 'cat-1',
+            userId: 'other-user',
+            name: 'Theirs',
+            iconName: 'cart',
+            colorHex: '',
+            createdAt: backupDay,
+            updatedAt: backupDay,
+            isSynced: true,
+            isDeleted: false,
+          ));
+      final budget = BudgetModel.create(
+        name: 'June',
+        amount: 500,
+        startDate: backupDay,
+        endDate: DateTime(2025, 6, 30),
+      );
+      final allocation = AllocationModel.create(
+        amount: 200,
+        categoryId: 'cat-1',
+        budgetId: budget.id,
+      );
+      final receipt = TransactionModel.create(
+        name: 'Supermarket',
+        amount: 80,
+        type: TransactionType.debit,
+        splits: const [
+          TransactionSplitModel(amount: 55, categoryId: 'cat-1'),
+          TransactionSplitModel(amount: 25, categoryId: 'cat-2'),
+        ],
+      );
+      final coffee = TransactionModel.create(
+        name: 'Coffee',
+        amount: 4,
+        type: TransactionType.debit,
+        categoryId: 'cat-1',
+      );
+
+      await restorer.restore(
+        archive(
+          categories: [
+            category('cat-1', 'Groceries'),
+            category('cat-2', 'Household'),
+          ],
+          budgets: [budget],
+          allocations: [allocation],
+          transactions: [receipt, coffee],
+        ),
+        mode: RestoreMode.merge,
+      );
+
+      final rows = await categoryRows();
+      final theirs = rows['cat-1'];
+      expect((theirs?.userId, theirs?.name), ('other-user', 'Theirs'));
+      final groceries =
+          rows.values.singleWhere((c) => c.name == 'Groceries');
+      expect(groceries.userId, userId);
+      expect(groceries.id, isNot('cat-1'));
+      // Ids no other profile has are kept
+      expect(rows['cat-2']?.userId, userId);
+
+      final allocationRow = await (db.select(db.allocations)
+            ..where((a) => a.id.equals(allocation.id)))
+          .getSingle();
+      expect(allocationRow.categoryId, groceries.id);
+      final transactions = {
+        for (final row in await db.select(db.transactions).get()) row.id: row,
+      };
+      expect(transactions[coffee.id]?.categoryId, groceries.id);
+      final lines = jsonDecode(transactions[receipt.id]!.splits!) as List;
+      expect(
+        lines.map((line) => (line as Map)['categoryId']),
+        [groceries.id, 'cat-2'],
+      );
+    });
+  });
+}
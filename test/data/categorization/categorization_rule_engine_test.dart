@@ -0,0 +1,79 @@
+import 'package:centabit/data/categorization/categorization_rule_engine.dart';
+import 'package:centabit/data/models/categorization_rule_model.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  late CategorizationRuleEngine engine;
+
+  setUp(() => engine = CategorizationRuleEngine());
+
+  group('match', () {
+    test('tries enabled rules oldest first', () {
+      final disabled = CategorizationRuleModel.create(namePattern: 'coffee')
+          .copyWith(isEnabled: false);
+      final first = CategorizationRuleModel.create(namePattern: 'coffee');
+      final second = CategorizationRuleModel.create(namePattern: 'cof');
+
+      expect(
+        engine.match([disabled, first, second], name: 'Coffee shop'),
+        first,
+      );
+    });
+
+    test('matches regexes case-insensitively', () {
+      final rule = CategorizationRuleModel.create(
+        namePattern: r'^(uber|lyft)\b',
+        isRegex: true,
+      );
+      engine.compile([rule]);
+
+      expect(engine.match([rule], name: 'UBER *TRIP'), rule);
+      expect(engine.match([rule], name: 'Uberti'), isNull);
+    });
+
+    test('never matches an invalid regex', () {
+      final rule = CategorizationRuleModel.create(
+        namePattern: '(coffee',
+        isRegex: true,
+      );
+      engine.compile([rule]);
+
+      expect(engine.match([rule], name: '(coffee'), isNull);
+    });
+
+    test('compiles rules that were not loaded through compile', () {
+      final rule = CategorizationRuleModel.create(
+        namePattern: 'coff?ee',
+        isRegex: true,
+      );
+
+      expect(engine.match([rule], name: 'Cofee'), rule);
+    });
+
+    test('follows a pattern edited between loads', () {
+      final rule = CategorizationRuleModel.create(
+        namePattern: 'tea',
+        isRegex: true,
+      );
+      engine.compile([rule]);
+      final edited = rule.copyWith(namePattern: 'coffee');
+      engine.compile([edited]);
+
+      expect(engine.match([edited], name: 'Green tea'), isNull);
+      expect(engine.match([edited], name: 'Coffee'), edited);
+    });
+
+    test('fails amount ranges while there is no amount', () {
+      final rule = CategorizationRuleModel.create(minAmount: 10);
+
+      expect(engine.match([rule], name: 'Rent'), isNull);
+      expect(engine.match([rule], name: 'Rent', amount: 9.99), isNull);
+      expect(engine.match([rule], name: 'Rent', amount: 10), rule);
+    });
+  });
+
+  test('isValidRegex refuses malformed expressions', () {
+    expect(CategorizationRuleEngine.isValidRegex(r'\d+'), isTrue);
+    expect(CategorizationRuleEngine.isValidRegex('(coffee'), isFalse);
+  });
+}
@@ -0,0 +1,137 @@
+import 'package:centabit/data/import/csv_statement_parser.dart';
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  group('parse', () {
+    test('reads a signed amount column in the mapped format', () {
+      const parser = CsvStatementParser(CsvColumnMapping(
+        dateColumn: 0,
+        nameColumn: 1,
+        amountColumn: 2,
+        notesColumn: 3,
+        dateFormat: 'dd.MM.yyyy',
+        decimalSeparator: ',',
+        delimiter: ';',
+      ));
+
+      final transactions = parser.parse(
+        'Date;Description;Amount;Memo\n'
+        '31.12.2025;Rent;-1.200,00;December\n'
+        '02.01.2026;Salary;2.500,50;\n',
+      );
+
+      expect(transactions, hasLength(2));
+      final rent = transactions.first;
+      expect(rent.transactionDate, DateTime(2025, 12, 31));
+      expect((rent.name, rent.amount), ('Rent', 1200));
+      expect((rent.type, rent.notes), (TransactionType.debit, 'December'));
+      final salary = transactions.last;
+      expect((salary.type, salary.amount), (TransactionType.credit, 2500.5));
+      expect(salary.notes, isNull);
+    });
+
+    test('combines money out and in columns', () {
+      const parser = CsvStatementParser(CsvColumnMapping(
+        dateColumn: 0,
+        nameColumn: 1,
+        debitColumn: 2,
+        creditColumn: 3,
+      ));
+
+      final transactions = parser.parse(
+        'Date,Name,Out,In\n'
+        '2025-06-03,Coffee,4.50,\n'
+        '2025-06-04,Refund,,12.00\n'
+        '2025-06-05,Fee,-1.00,\n',
+      );
+
+      expect(
+        transactions.map((t) => (t.type, t.amount)),
+        [
+          (TransactionType.debit, 4.5),
+          (TransactionType.credit, 12),
+          (TransactionType.debit, 1),
+        ],
+      );
+    });
+
+    test('skips rows without an amount', () {
+      const parser = CsvStatementParser(CsvColumnMapping(
+        dateColumn: 0,
+        nameColumn: 1,
+        amountColumn: 2,
+        hasHeader: false,
+      ));
+
+      final transactions = parser.parse(
+        '2025-06-03,Coffee,-4.50\n'
+        ',Closing balance,\n',
+      );
+
+      expect(transactions.single.name, 'Coffee');
+    });
+
+    test('fails on an unreadable date', () {
+      const parser = CsvStatementParser(CsvColumnMapping(
+        dateColumn: 0,
+        nameColumn: 1,
+        amountColumn: 2,
+      ));
+
+      expect(
+        () => parser.parse('Date,Name,Amount\n03/06/2025,Coffee,-4.50\n'),
+        throwsA(isA<StatementParseException>()),
+      );
+    });
+
+    test('fails on an unreadable amount', () {
+      const parser = CsvStatementParser(CsvColumnMapping(
+        dateColumn: 0,
+        nameColumn: 1,
+        amountColumn: 2,
+      ));
+
+      expect(
+        () => parser.parse('Date,Name,Amount\n2025-06-03,Coffee,n/a\n'),
+        throwsA(isA<StatementParseException>()),
+      );
+    });
+
+    test('fails without an amount column', () {
+      const parser = CsvStatementParser(CsvColumnMapping(
+        dateColumn: 0,
+        nameColumn: 1,
+      ));
+
+      expect(
+        () => parser.parse('Date,Name\n2025-06-03,Coffee\n'),
+        throwsA(isA<StatementParseException>()),
+      );
+    });
+  });
+
+  group('readRows', () {
+    test('handles quotes, line breaks in fields, CRLF and a BOM', () {
+      final rows = CsvStatementParser.readRows(
+        '\uFEFFa,"b, c","say ""hi"""\r\n'
+        '"two\nlines",x,y\r\n'
+        '\r\n',
+      );
+
+      expect(rows, [
+        ['a', 'b, c', 'say "hi"'],
+        ['two\nlines', 'x', 'y'],
+      ]);
+    });
+  });
+
+  group('detectDelimiter', () {
+    test('picks the most frequent delimiter on the first line', () {
+      expect(CsvStatementParser.detectDelimiter('a;b;c\n1,2;3'), ';');
+      expect(CsvStatementParser.detectDelimiter('a\tb\tc'), '\t');
+      expect(CsvStatementParser.detectDelimiter('single'), ',');
+    });
+  });
+}
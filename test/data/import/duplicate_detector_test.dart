@@ -0,0 +1,84 @@
+import 'package:centabit/data/import/duplicate_detector.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  const detector = DuplicateDetector();
+
+  TransactionModel transaction(
+    String name, {
+    double amount = 4.5,
+    TransactionType type = TransactionType.debit,
+    int day = 3,
+  }) {
+    return TransactionModel.create(
+      name: name,
+      amount: amount,
+      type: type,
+      transactionDate: DateTime(2025, 6, day, 9),
+    );
+  }
+
+  group('findDuplicate', () {
+    final recorded = transaction('Starbucks');
+
+    test('matches a noisy statement name posted days later', () {
+      final candidate = transaction('CARD 1234 STARBUCKS SEATTLE', day: 5);
+
+      expect(detector.findDuplicate(candidate, [recorded]), recorded);
+    });
+
+    test('ignores a different amount, type or date', () {
+      final existing = [recorded];
+
+      expect(
+        detector.findDuplicate(transaction('Starbucks', amount: 4.6), existing),
+        isNull,
+      );
+      expect(
+        detector.findDuplicate(
+          transaction('Starbucks', type: TransactionType.credit),
+          existing,
+        ),
+        isNull,
+      );
+      expect(
+        detector.findDuplicate(transaction('Starbucks', day: 6), existing),
+        isNull,
+      );
+    });
+
+    test('ignores an unrelated name', () {
+      expect(
+        detector.findDuplicate(transaction('Bakery'), [recorded]),
+        isNull,
+      );
+    });
+
+    test('picks the closest name', () {
+      final bakery = transaction('Bakery Street');
+      final baker = transaction('Baker Street');
+
+      expect(
+        detector.findDuplicate(transaction('Baker Street'), [bakery, baker]),
+        baker,
+      );
+    });
+  });
+
+  group('nameSimilarity', () {
+    test('ignores case, digits and punctuation', () {
+      expect(DuplicateDetector.nameSimilarity('AMAZON.COM', 'amazon com'), 1);
+    });
+
+    test('is 0 for names without letters', () {
+      expect(DuplicateDetector.nameSimilarity('1234', 'Coffee'), 0);
+    });
+
+    test('scores partly shared names between 0 and 1', () {
+      final score = DuplicateDetector.nameSimilarity('Night', 'Nacht');
+
+      expect(score, closeTo(0.25, 0.001));
+    });
+  });
+}
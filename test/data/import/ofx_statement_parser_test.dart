@@ -0,0 +1,103 @@
+import 'package:centabit/data/import/ofx_statement_parser.dart';
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  const parser = OfxStatementParser();
+
+  // OFX 1.x: SGML, leaf elements aren't closed
+  const sgml = '''
+OFXHEADER:100
+DATA:OFXSGML
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<BANKACCTFROM>
+<ACCTID>12345
+</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250603120000.000[-5:EST]
+<TRNAMT>-4.50
+<FITID>A1
+<NAME>STARBUCKS 1234
+<MEMO>Card purchase
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250605
+<TRNAMT>1500,00
+<FITID>A2
+<PAYEE>ACME PAYROLL
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>
+''';
+
+  test('reads every entry of an SGML statement', () {
+    final transactions = parser.parse(sgml);
+
+    expect(transactions, hasLength(2));
+    final coffee = transactions.first;
+    expect(coffee.transactionDate, DateTime(2025, 6, 3, 12));
+    expect((coffee.type, coffee.amount), (TransactionType.debit, 4.5));
+    expect((coffee.name, coffee.notes), ('STARBUCKS 1234', 'Card purchase'));
+    final salary = transactions.last;
+    expect(salary.transactionDate, DateTime(2025, 6, 5));
+    expect((salary.type, salary.amount), (TransactionType.credit, 1500));
+    expect(salary.name, 'ACME PAYROLL');
+  });
+
+  test('reads XML elements and unescapes them', () {
+    final transactions = parser.parse('''
+<?xml version="1.0"?>
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CCACCTFROM><ACCTID>9876</ACCTID></CCACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<DTPOSTED>20250610</DTPOSTED>
+<TRNAMT>-30.00</TRNAMT>
+<FITID>X1</FITID>
+<NAME>B&amp;Q</NAME>
+</STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>
+''');
+
+    expect(transactions.single.name, 'B&Q');
+    expect(transactions.single.amount, 30);
+  });
+
+  test('derives the same ids when a statement is parsed again', () {
+    final first = parser.parse(sgml).map((t) => t.id).toList();
+    final second = parser.parse(sgml).map((t) => t.id).toList();
+
+    expect(second, first);
+    expect(first.toSet(), hasLength(2));
+  });
+
+  test('derives different ids for the same FITID in another account', () {
+    final other = sgml.replaceFirst('<ACCTID>12345', '<ACCTID>67890');
+
+    expect(parser.parse(other).first.id, isNot(parser.parse(sgml).first.id));
+  });
+
+  test('fails on a file that is not OFX', () {
+    expect(
+      () => parser.parse('Date,Name,Amount\n'),
+      throwsA(isA<StatementParseException>()),
+    );
+  });
+
+  test('fails on an entry without a readable date', () {
+    final broken = sgml.replaceFirst('<DTPOSTED>20250605', '<DTPOSTED>June');
+
+    expect(
+      () => parser.parse(broken),
+      throwsA(isA<StatementParseException>()),
+    );
+  });
+}
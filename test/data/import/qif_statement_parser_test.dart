@@ -0,0 +1,85 @@
+import 'package:centabit/data/import/qif_statement_parser.dart';
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  const parser = QifStatementParser();
+
+  test('reads records and ignores headers and other fields', () {
+    final transactions = parser.parse('''
+!Type:Bank
+D6/3'25
+T-1,234.56
+PLANDLORD
+MJune rent
+LHousing
+^
+D6/5'25
+U1500.00
+PACME PAYROLL
+^
+''');
+
+    expect(transactions, hasLength(2));
+    final rent = transactions.first;
+    expect(rent.transactionDate, DateTime(2025, 6, 3));
+    expect((rent.type, rent.amount), (TransactionType.debit, 1234.56));
+    expect((rent.name, rent.notes), ('LANDLORD', 'June rent'));
+    final salary = transactions.last;
+    expect((salary.type, salary.amount), (TransactionType.credit, 1500));
+  });
+
+  test('reads the whole file day-first when a day is above 12', () {
+    final transactions = parser.parse('''
+D01/12/2025
+T-5
+PBakery
+^
+D31/12/2025
+T-6
+PBakery
+''');
+
+    expect(
+      transactions.map((t) => t.transactionDate),
+      [DateTime(2025, 12, 1), DateTime(2025, 12, 31)],
+    );
+  });
+
+  test('reads ISO dates', () {
+    final transactions = parser.parse('D2025-12-31\nT-5\nPBakery\n^\n');
+
+    expect(transactions.single.transactionDate, DateTime(2025, 12, 31));
+  });
+
+  test('skips records without a date', () {
+    final transactions = parser.parse('''
+!Account
+NChecking
+TBank
+^
+!Type:Bank
+D6/3/2025
+T-5
+PBakery
+^
+''');
+
+    expect(transactions.single.name, 'Bakery');
+  });
+
+  test('fails on an unreadable date', () {
+    expect(
+      () => parser.parse('D13/13/2025\nT-5\n^\n'),
+      throwsA(isA<StatementParseException>()),
+    );
+  });
+
+  test('fails on an unreadable amount', () {
+    expect(
+      () => parser.parse('D6/3/2025\nTfive\n^\n'),
+      throwsA(isA<StatementParseException>()),
+    );
+  });
+}
@@ -0,0 +1,77 @@
+import 'package:centabit/data/import/statement_parser.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  group('StatementFormat.fromFileName', () {
+    test('maps extensions case-insensitively', () {
+      expect(StatementFormat.fromFileName('june.CSV'), StatementFormat.csv);
+      expect(StatementFormat.fromFileName('june.txt'), StatementFormat.csv);
+      expect(StatementFormat.fromFileName('june.qfx'), StatementFormat.ofx);
+      expect(StatementFormat.fromFileName('june.qif'), StatementFormat.qif);
+    });
+
+    test('returns null for other files', () {
+      expect(StatementFormat.fromFileName('june.pdf'), isNull);
+    });
+  });
+
+  group('parseStatementAmount', () {
+    test('reads signed amounts with symbols and separators', () {
+      expect(parseStatementAmount(r'$1,234.56'), 1234.56);
+      expect(parseStatementAmount('-12.50'), -12.5);
+      expect(parseStatementAmount('12.50-'), -12.5);
+      expect(parseStatementAmount('(12.50)'), -12.5);
+      expect(parseStatementAmount('\u{2212}12.50'), -12.5);
+    });
+
+    test('reads decimal commas', () {
+      expect(
+        parseStatementAmount('-1.200,00 €', decimalSeparator: ','),
+        -1200,
+      );
+    });
+
+    test('returns null when there is no number', () {
+      expect(parseStatementAmount(''), isNull);
+      expect(parseStatementAmount('n/a'), isNull);
+    });
+  });
+
+  group('statementTransaction', () {
+    test('turns the sign into the transaction type', () {
+      final date = DateTime(2025, 6, 3);
+
+      final out = statementTransaction(
+        date: date,
+        signedAmount: -20,
+        name: ' Coffee ',
+      );
+      final income = statementTransaction(
+        date: date,
+        signedAmount: 1500,
+        name: 'Salary',
+        notes: '  ',
+      );
+
+      expect(
+        (out.type, out.amount, out.name),
+        (TransactionType.debit, 20, 'Coffee'),
+      );
+      expect((income.type, income.amount), (TransactionType.credit, 1500));
+      expect(income.notes, isNull);
+    });
+
+    test('falls back to a default name and keeps a given id', () {
+      final transaction = statementTransaction(
+        id: 'entry-1',
+        date: DateTime(2025, 6, 3),
+        signedAmount: -5,
+        name: '',
+      );
+
+      expect(transaction.id, 'entry-1');
+      expect(transaction.name, isNotEmpty);
+    });
+  });
+}
@@ -0,0 +1,110 @@
+import 'dart:convert';
+
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/local/user_data_migrator.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+import '../../helpers/test_database.dart';
+
+void main() {
+  const anonymousId = 'anon_1';
+  const accountId = 'google_1';
+  late AppDatabase db;
+  late UserDataMigrator migrator;
+
+  setUp(() {
+    db = openTestDatabase();
+    migrator = UserDataMigrator(db);
+  });
+
+  tearDown(() => db.close());
+
+  Future<void> insertCategory(String id, String userId) {
+    final at = DateTime(2025, 6, 1);
+    return db.into(db.categories).insert(Category(
+          id: id,
+          userId: userId,
+          name: id,
+          iconName: 'cart',
+          colorHex: '',
+          createdAt: at,
+          updatedAt: at,
+          isSynced: true,
+          isDeleted: false,
+        ));
+  }
+
+  Future<Map<String, Category>> categoryRows() async {
+    final rows = await db.select(db.categories).get();
+    return {for (final row in rows) row.id: row};
+  }
+
+  group('migrate', () {
+    test('moves the rows to the account and flags them unsynced', () async {
+      await insertCategory('cat-1', anonymousId);
+      await insertCategory('cat-2', 'anon_2');
+
+      final migrated = await migrator.migrate(
+        fromUserId: anonymousId,
+        toUserId: accountId,
+      );
+
+      expect(migrated, 1);
+      final rows = await categoryRows();
+      final moved = rows['cat-1'];
+      expect((moved?.userId, moved?.isSynced), (accountId, false));
+      final other = rows['cat-2'];
+      expect((other?.userId, other?.isSynced), ('anon_2', true));
+    });
+
+    test('moves queued changes and uploads the other rows', () async {
+      await insertCategory('cat-1', anonymousId);
+      await insertCategory('cat-2', anonymousId);
+      await SyncQueueLocalSource(db, anonymousId).enqueue(
+        entityType: 'category',
+        entityId: 'cat-2',
+        operation: 'update',
+        payload: jsonEncode({'id': 'cat-2', 'userId': anonymousId}),
+      );
+
+      await migrator.migrate(fromUserId: anonymousId, toUserId: accountId);
+
+      expect(
+        await SyncQueueLocalSource(db, anonymousId).getPendingEntries(),
+        isEmpty,
+      );
+      final entries =
+          await SyncQueueLocalSource(db, accountId).getPendingEntries();
+      expect(
+        entries.map((e) => (e.entityId, e.operation)),
+        [('cat-2', 'update'), ('cat-1', 'create')],
+      );
+      for (final entry in entries) {
+        final payload = jsonDecode(entry.payload) as Map<String, dynamic>;
+        expect(payload['userId'], accountId);
+      }
+    });
+  });
+
+  group('deleteUserData', () {
+    test("removes that user's rows only", () async {
+      await insertCategory('cat-1', anonymousId);
+      await insertCategory('cat-2', 'anon_2');
+      await SyncQueueLocalSource(db, anonymousId).enqueue(
+        entityType: 'category',
+        entityId: 'cat-1',
+        operation: 'create',
+        payload: '{}',
+      );
+
+      await migrator.deleteUserData(anonymousId);
+
+      expect((await categoryRows()).keys, ['cat-2']);
+      expect(
+        await SyncQueueLocalSource(db, anonymousId).getPendingEntries(),
+        isEmpty,
+      );
+    });
+  });
+}
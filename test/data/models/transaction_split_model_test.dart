@@ -0,0 +1,39 @@
+import 'package:centabit/data/models/transaction_split_model.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+void main() {
+  group('checkAddUpTo', () {
+    test('accepts lines adding up to the amount', () {
+      const lines = [
+        TransactionSplitModel(amount: 55, categoryId: 'groceries'),
+        TransactionSplitModel(amount: 25, categoryId: 'household'),
+      ];
+
+      expect(() => lines.checkAddUpTo(80), returnsNormally);
+    });
+
+    test('puts sub-cent gaps down to rounding', () {
+      const lines = [
+        TransactionSplitModel(amount: 33.33, categoryId: 'a'),
+        TransactionSplitModel(amount: 33.33, categoryId: 'b'),
+        TransactionSplitModel(amount: 33.33, categoryId: 'c'),
+      ];
+
+      expect(() => lines.checkAddUpTo(99.994), returnsNormally);
+    });
+
+    test('accepts an unsplit transaction', () {
+      expect(() => <TransactionSplitModel>[].checkAddUpTo(42), returnsNormally);
+    });
+
+    test('throws when the lines miss the amount', () {
+      const lines = [
+        TransactionSplitModel(amount: 55, categoryId: 'groceries'),
+        TransactionSplitModel(amount: 20, categoryId: 'household'),
+      ];
+
+      expect(() => lines.checkAddUpTo(80), throwsArgumentError);
+      expect(() => lines.checkAddUpTo(74.99), throwsArgumentError);
+    });
+  });
+}
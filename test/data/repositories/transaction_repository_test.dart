@@ -0,0 +1,111 @@
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/local/transaction_local_source.dart';
+import 'package:centabit/data/models/transaction_model.dart';
+import 'package:centabit/data/models/transaction_split_model.dart';
+import 'package:centabit/data/repositories/transaction_repository.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+import '../../helpers/test_database.dart';
+
+void main() {
+  const userId = 'user-1';
+  late AppDatabase db;
+  late SyncQueueLocalSource syncQueue;
+  late SyncManager syncManager;
+  late TransactionRepository repository;
+
+  setUp(() async {
+    db = openTestDatabase();
+    syncQueue = SyncQueueLocalSource(db, userId);
+    syncManager = await disabledSyncManager(db, userId);
+    repository = TransactionRepository(
+      TransactionLocalSource(db, userId),
+      syncQueue,
+      syncManager,
+    );
+  });
+
+  tearDown(() async {
+    repository.dispose();
+    syncManager.dispose();
+    await db.close();
+  });
+
+  TransactionModel receipt(List<TransactionSplitModel> splits) {
+    return TransactionModel.create(
+      name: 'Supermarket',
+      amount: 80,
+      type: TransactionType.debit,
+      splits: splits,
+    );
+  }
+
+  group('sync queue', () {
+    test('every write is queued with its row', () async {
+      final transaction = TransactionModel.create(
+        name: 'Coffee',
+        amount: 4,
+        type: TransactionType.debit,
+      );
+
+      await repository.createTransaction(transaction);
+      await repository.updateTransaction(transaction.copyWith(amount: 5));
+      await repository.deleteTransaction(transaction.id);
+      await repository.restoreTransaction(transaction.id);
+
+      final entries = await syncQueue.getPendingEntries();
+      expect(
+        entries.map((e) => e.operation),
+        ['create', 'update', 'delete', 'update'],
+      );
+      expect(entries.map((e) => e.entityId).toSet(), {transaction.id});
+    });
+  });
+
+  group('split transactions', () {
+    test('are stored when the lines add up to the amount', () async {
+      final transaction = receipt(const [
+        TransactionSplitModel(amount: 55, categoryId: 'groceries'),
+        TransactionSplitModel(amount: 25, categoryId: 'household'),
+      ]);
+
+      await repository.createTransaction(transaction);
+
+      final stored = await repository.getTransactionById(transaction.id);
+      expect(stored?.splits, transaction.splits);
+    });
+
+    test('are refused on create when the lines miss the amount', () async {
+      final transaction = receipt(const [
+        TransactionSplitModel(amount: 55, categoryId: 'groceries'),
+        TransactionSplitModel(amount: 20, categoryId: 'household'),
+      ]);
+
+      await expectLater(
+        repository.createTransaction(transaction),
+        throwsArgumentError,
+      );
+
+      expect(await repository.getTransactionById(transaction.id), isNull);
+      expect(await syncQueue.getPendingEntries(), isEmpty);
+    });
+
+    test('are refused on update when the lines miss the amount', () async {
+      final transaction = receipt(const [
+        TransactionSplitModel(amount: 55, categoryId: 'groceries'),
+        TransactionSplitModel(amount: 25, categoryId: 'household'),
+      ]);
+      await repository.createTransaction(transaction);
+
+      await expectLater(
+        repository.updateTransaction(transaction.copyWith(amount: 100)),
+        throwsArgumentError,
+      );
+
+      final stored = await repository.getTransactionById(transaction.id);
+      expect(stored?.amount, 80);
+    });
+  });
+}
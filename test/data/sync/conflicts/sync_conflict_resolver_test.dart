@@ -0,0 +1,70 @@
+import 'dart:convert';
+
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/transaction_local_source.dart';
+import 'package:centabit/data/sync/conflicts/sync_conflict_resolver.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+import '../../../helpers/test_database.dart';
+
+void main() {
+  const userId = 'user-1';
+  late AppDatabase db;
+  late SyncConflictResolver resolver;
+
+  setUp(() {
+    db = openTestDatabase();
+    resolver = SyncConflictResolver(db, userId);
+  });
+
+  tearDown(() => db.close());
+
+  Map<String, dynamic> remoteReceipt({required double householdAmount}) {
+    final at = DateTime(2025, 6, 5);
+    return Transaction(
+      id: 'tx-1',
+      userId: userId,
+      name: 'Supermarket',
+      amount: 80,
+      currencyCode: 'USD',
+      type: 'debit',
+      transactionDate: at,
+      splits: jsonEncode([
+        {'amount': 55.0, 'categoryId': 'groceries'},
+        {'amount': householdAmount, 'categoryId': 'household'},
+      ]),
+      createdAt: at,
+      updatedAt: at,
+      isSynced: true,
+      isDeleted: false,
+    ).toJson();
+  }
+
+  group('keepRemote', () {
+    test('writes a pulled split transaction that balances', () async {
+      await resolver.keepRemote(
+        SyncEntityType.transaction,
+        remote: remoteReceipt(householdAmount: 25),
+      );
+
+      final row =
+          await TransactionLocalSource(db, userId).getTransactionById('tx-1');
+      expect(row?.amount, 80);
+    });
+
+    test('refuses a pulled split transaction that does not', () async {
+      await expectLater(
+        resolver.keepRemote(
+          SyncEntityType.transaction,
+          remote: remoteReceipt(householdAmount: 20),
+        ),
+        throwsArgumentError,
+      );
+
+      final row =
+          await TransactionLocalSource(db, userId).getTransactionById('tx-1');
+      expect(row, isNull);
+    });
+  });
+}
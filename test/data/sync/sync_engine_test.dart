@@ -0,0 +1,178 @@
+import 'package:centabit/data/local/category_local_source.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/models/category_model.dart';
+import 'package:centabit/data/repositories/category_repository.dart';
+import 'package:centabit/data/sync/conflicts/conflict_policy.dart';
+import 'package:centabit/data/sync/remote/in_memory_sync_remote_source.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_engine.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+import '../../helpers/test_database.dart';
+
+void main() {
+  const userId = 'user-1';
+  late AppDatabase db;
+  late InMemorySyncRemoteSource remote;
+  late CategoryLocalSource localSource;
+  late SyncQueueLocalSource syncQueue;
+  late SyncManager syncManager;
+  late CategoryRepository categories;
+
+  setUp(() async {
+    db = openTestDatabase();
+    remote = InMemorySyncRemoteSource();
+    localSource = CategoryLocalSource(db, userId);
+    syncQueue = SyncQueueLocalSource(db, userId);
+    syncManager = await disabledSyncManager(db, userId);
+    categories = CategoryRepository(localSource, syncQueue, syncManager);
+  });
+
+  tearDown(() async {
+    categories.dispose();
+    syncManager.dispose();
+    await db.close();
+  });
+
+  SyncEngine engine({ConflictPolicy policy = const ConflictPolicy()}) {
+    return SyncEngine(
+      database: db,
+      remote: remote,
+      userId: userId,
+      conflictPolicy: policy,
+    );
+  }
+
+  Future<Map<String, dynamic>> serverRecord(String id) async {
+    final result = await remote.pull(
+      userId: userId,
+      entityType: SyncEntityType.category,
+    );
+    return result.records.singleWhere((r) => r['id'] == id);
+  }
+
+  /// Another device changes [id] on the server
+  Future<void> editOnServer(String id, Map<String, dynamic> changes) async {
+    await remote.push(
+      userId: userId,
+      entityType: SyncEntityType.category,
+      records: [
+        {...await serverRecord(id), ...changes},
+      ],
+    );
+  }
+
+  /// A category created and synced, with a base snapshot on both sides
+  Future<CategoryModel> syncedCategory() async {
+    final category = CategoryModel.create(name: 'Groceries', iconName: 'cart');
+    await categories.createCategory(category);
+    await engine().sync();
+    return (await categories.getCategoryById(category.id))!;
+  }
+
+  test('pushes local changes and flags the rows synced', () async {
+    final category = CategoryModel.create(name: 'Groceries', iconName: 'cart');
+    await categories.createCategory(category);
+
+    final result = await engine().sync();
+
+    expect(result.pushed, 1);
+    expect((await serverRecord(category.id))['name'], 'Groceries');
+    expect((await localSource.getCategoryById(category.id))?.isSynced, true);
+    expect(await syncQueue.getPendingEntries(), isEmpty);
+  });
+
+  test('pulls rows created on another device once', () async {
+    final at = DateTime(2025, 6, 1);
+    final record = Category(
+      id: 'cat-remote',
+      userId: userId,
+      name: 'Travel',
+      iconName: 'plane',
+      colorHex: '',
+      createdAt: at,
+      updatedAt: at,
+      isSynced: true,
+      isDeleted: false,
+    ).toJson()
+      ..remove('isSynced')
+      ..remove('lastSyncedAt');
+    await remote.push(
+      userId: userId,
+      entityType: SyncEntityType.category,
+      records: [record],
+    );
+
+    final first = await engine().sync();
+    final second = await engine().sync();
+
+    expect(first.pulled, 1);
+    expect(second.pulled, 0);
+    final row = await localSource.getCategoryById('cat-remote');
+    expect(row?.name, 'Travel');
+    expect(row?.isSynced, true);
+  });
+
+  group('conflicts', () {
+    test('edits of different fields are merged and pushed', () async {
+      final category = await syncedCategory();
+      final baseUpdatedAt = (await serverRecord(category.id))['updatedAt'];
+      await editOnServer(category.id, {
+        'name': 'Food',
+        'updatedAt': (baseUpdatedAt as int) + 60000,
+      });
+      await categories.updateCategory(category.copyWith(iconName: 'basket'));
+
+      final result = await engine().sync();
+
+      expect(result.openConflicts, 0);
+      expect(result.pushed, 1);
+      final row = await localSource.getCategoryById(category.id);
+      expect((row?.name, row?.iconName), ('Food', 'basket'));
+      final server = await serverRecord(category.id);
+      expect((server['name'], server['iconName']), ('Food', 'basket'));
+    });
+
+    test('edits of the same field wait for the user', () async {
+      final category = await syncedCategory();
+      final baseUpdatedAt = (await serverRecord(category.id))['updatedAt'];
+      await editOnServer(category.id, {
+        'name': 'Food',
+        'updatedAt': (baseUpdatedAt as int) + 60000,
+      });
+      await categories.updateCategory(category.copyWith(name: 'Shopping'));
+
+      final result = await engine().sync();
+
+      expect(result.openConflicts, 1);
+      expect(result.pushed, 0);
+      final row = await localSource.getCategoryById(category.id);
+      expect(row?.name, 'Shopping');
+      expect((await serverRecord(category.id))['name'], 'Food');
+      expect(await syncQueue.getPendingEntries(), hasLength(1));
+    });
+
+    test('last writer wins drops the older local edit', () async {
+      final category = await syncedCategory();
+      final later = DateTime.now().add(const Duration(days: 1));
+      await categories.updateCategory(category.copyWith(name: 'Shopping'));
+      await editOnServer(category.id, {
+        'name': 'Food',
+        'updatedAt': later.millisecondsSinceEpoch,
+      });
+
+      final result = await engine(
+        policy: const ConflictPolicy(
+          defaultStrategy: ConflictStrategy.lastWriterWins,
+        ),
+      ).sync();
+
+      expect(result.pushed, 0);
+      final row = await localSource.getCategoryById(category.id);
+      expect((row?.name, row?.isSynced), ('Food', true));
+      expect(await syncQueue.getPendingEntries(), isEmpty);
+    });
+  });
+}
@@ -0,0 +1,174 @@
+import 'dart:convert';
+
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/sync/remote/in_memory_sync_remote_source.dart';
+import 'package:centabit/data/sync/remote/sync_remote_source.dart';
+import 'package:centabit/data/sync/sync_queue_processor.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+import '../../helpers/test_database.dart';
+
+/// Backend that refuses every push, or is unreachable when [offline]
+class _FailingRemoteSource extends InMemorySyncRemoteSource {
+  final bool offline;
+
+  _FailingRemoteSource({this.offline = false});
+
+  @override
+  Future<void> push({
+    required String userId,
+    required SyncEntityType entityType,
+    required List<Map<String, dynamic>> records,
+  }) async {
+    if (offline) throw const SyncOfflineException();
+    throw Exception('HTTP 500');
+  }
+}
+
+/// Backend during whose first push the user edits the entity again
+class _EditingRemoteSource extends InMemorySyncRemoteSource {
+  Future<void> Function()? _edit;
+
+  _EditingRemoteSource(Future<void> Function() edit) : _edit = edit;
+
+  @override
+  Future<void> push({
+    required String userId,
+    required SyncEntityType entityType,
+    required List<Map<String, dynamic>> records,
+  }) async {
+    final edit = _edit;
+    _edit = null;
+    await edit?.call();
+    await super.push(
+      userId: userId,
+      entityType: entityType,
+      records: records,
+    );
+  }
+}
+
+void main() {
+  const userId = 'user-1';
+  late AppDatabase db;
+  late SyncQueueLocalSource queue;
+
+  setUp(() {
+    db = openTestDatabase();
+    queue = SyncQueueLocalSource(db, userId);
+  });
+
+  tearDown(() => db.close());
+
+  Future<void> enqueue(String id, {String? payload}) {
+    return queue.enqueue(
+      entityType: SyncEntityType.category.name,
+      entityId: id,
+      operation: 'create',
+      payload: payload ?? jsonEncode({'id': id, 'isSynced': false}),
+    );
+  }
+
+  Future<SyncQueueRunResult> drain(SyncQueueProcessor processor) {
+    return processor.drain(onPushed: (_, _, _) async {});
+  }
+
+  test('pushes entries and strips local sync metadata', () async {
+    final remote = InMemorySyncRemoteSource();
+    final pushedIds = <String>[];
+    await enqueue('cat-1');
+    await enqueue('cat-2');
+
+    final result = await SyncQueueProcessor(queue: queue, remote: remote)
+        .drain(onPushed: (_, id, _) async => pushedIds.add(id));
+
+    expect(result.pushed, 2);
+    expect(pushedIds, ['cat-1', 'cat-2']);
+    expect(await queue.getPendingEntries(), isEmpty);
+    final pulled = await remote.pull(
+      userId: userId,
+      entityType: SyncEntityType.category,
+    );
+    expect(pulled.records, [
+      {'id': 'cat-1'},
+      {'id': 'cat-2'},
+    ]);
+  });
+
+  test('dead-letters an entry after maxRetries failures', () async {
+    final processor = SyncQueueProcessor(
+      queue: queue,
+      remote: _FailingRemoteSource(),
+      maxRetries: 3,
+      baseDelay: Duration.zero,
+    );
+    await enqueue('cat-1');
+
+    final first = await drain(processor);
+    final second = await drain(processor);
+    final third = await drain(processor);
+
+    expect([first.failed, second.failed, third.failed], [1, 1, 0]);
+    expect(third.deadLettered, 1);
+    expect(await queue.getPendingEntries(), isEmpty);
+    final deadLetters = await queue.watchDeadLetters().first;
+    expect(deadLetters.single.entityId, 'cat-1');
+    expect(deadLetters.single.retryCount, 3);
+    expect(deadLetters.single.lastError, contains('HTTP 500'));
+  });
+
+  test('dead-letters an undecodable payload right away', () async {
+    await enqueue('cat-1', payload: 'not json');
+
+    final result = await drain(
+      SyncQueueProcessor(queue: queue, remote: InMemorySyncRemoteSource()),
+    );
+
+    expect(result.deadLettered, 1);
+    expect(await queue.watchDeadLetters().first, hasLength(1));
+  });
+
+  test('backs off before retrying and holds the entity back', () async {
+    final remote = _FailingRemoteSource();
+    final processor = SyncQueueProcessor(queue: queue, remote: remote);
+    await enqueue('cat-1');
+    await enqueue('cat-1');
+
+    final first = await drain(processor);
+    final second = await drain(processor);
+
+    // The later entry waits for the failed one, in both runs
+    expect(first.failed, 1);
+    expect(second.failed, 0);
+    final entries = await queue.getPendingEntries();
+    expect(entries.map((e) => e.retryCount), [1, 0]);
+  });
+
+  test('offline runs leave retry counts alone', () async {
+    final processor = SyncQueueProcessor(
+      queue: queue,
+      remote: _FailingRemoteSource(offline: true),
+    );
+    await enqueue('cat-1');
+
+    await expectLater(drain(processor), throwsA(isA<SyncOfflineException>()));
+
+    final entries = await queue.getPendingEntries();
+    expect(entries.single.retryCount, 0);
+  });
+
+  test('an edit queued while pushing keeps the entity unsynced', () async {
+    final synced = <String>[];
+    final remote = _EditingRemoteSource(() => enqueue('cat-1'));
+    await enqueue('cat-1');
+
+    final result = await SyncQueueProcessor(queue: queue, remote: remote)
+        .drain(onPushed: (_, id, _) async => synced.add(id));
+
+    // The first version went up, but the edit waits for the next run
+    expect(result.pushed, 1);
+    expect(synced, isEmpty);
+    expect(await queue.getPendingEntries(), hasLength(1));
+  });
+}
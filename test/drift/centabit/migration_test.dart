@@ -0,0 +1,136 @@
+// dart format width=80
+// ignore_for_file: unused_local_variable, unused_import
+import 'package:centabit/data/local/database.dart';
+import 'package:drift/drift.dart';
+import 'package:drift_dev/api/migrations_native.dart';
+import 'package:flutter_test/flutter_test.dart';
+
+import 'generated/schema.dart';
+import 'generated/schema_v1.dart' as v1;
+import 'generated/schema_v12.dart' as v12;
+import 'generated/schema_v13.dart' as v13;
+import 'generated/schema_v15.dart' as v15;
+
+void main() {
+  driftRuntimeOptions.dontWarnAboutMultipleDatabases = true;
+  late SchemaVerifier verifier;
+
+  setUpAll(() {
+    verifier = SchemaVerifier(GeneratedHelper());
+  });
+
+  group('simple database migrations', () {
+    // These simple tests verify all possible schema updates with a simple (no
+    // data) migration. This is a quick way to ensure that written database
+    // migrations properly alter the schema.
+    const versions = GeneratedHelper.versions;
+    for (final (i, fromVersion) in versions.indexed) {
+      group('from $fromVersion', () {
+        for (final toVersion in versions.skip(i + 1)) {
+          test('to $toVersion', () async {
+            final schema = await verifier.schemaAt(fromVersion);
+            final db = AppDatabase.forExecutor(schema.newConnection());
+            // The full-text index (v11) isn't part of the Drift schema, so
+            // its tables and triggers are extra entries, not dropped ones
+            await verifier.migrateAndValidate(
+              db,
+              toVersion,
+              validateDropped: false,
+            );
+            await db.close();
+          });
+        }
+      });
+    }
+  });
+
+  test('migration from v1 to v15 keeps existing rows', () async {
+    final createdAt = DateTime(2024, 3, 1);
+    final oldTransactionsData = <v1.TransactionsData>[
+      v1.TransactionsData(
+        id: 'tx-1',
+        userId: 'user-1',
+        name: 'Groceries',
+        amount: 42.5,
+        type: 'debit',
+        transactionDate: createdAt,
+        categoryId: 'cat-1',
+        notes: 'Weekly shop',
+        createdAt: createdAt,
+        updatedAt: createdAt,
+        isSynced: true,
+        isDeleted: false,
+      ),
+    ];
+    final expectedNewTransactionsData = <v15.TransactionsData>[
+      v15.TransactionsData(
+        id: 'tx-1',
+        userId: 'user-1',
+        name: 'Groceries',
+        amount: 42.5,
+        currencyCode: 'USD',
+        type: 'debit',
+        transactionDate: createdAt,
+        categoryId: 'cat-1',
+        notes: 'Weekly shop',
+        createdAt: createdAt,
+        updatedAt: createdAt,
+        isSynced: true,
+        isDeleted: false,
+      ),
+    ];
+
+    await verifier.testWithDataIntegrity(
+      oldSchema: v1.DatabaseAtV1.new,
+      newSchema: v15.DatabaseAtV15.new,
+      openTestedDatabase: AppDatabase.forExecutor,
+      createItems: (batch, oldDb) {
+        batch.insertAll(oldDb.transactions, oldTransactionsData);
+      },
+      validateItems: (newDb) async {
+        expect(
+          expectedNewTransactionsData,
+          await newDb.select(newDb.transactions).get(),
+        );
+      },
+    );
+  });
+
+  test('migration from v12 to v13 clears placeholder colors', () async {
+    final createdAt = DateTime(2024, 3, 1);
+    v12.CategoriesData category(String id, String colorHex) {
+      return v12.CategoriesData(
+        id: id,
+        userId: 'user-1',
+        name: id,
+        iconName: 'tag',
+        colorHex: colorHex,
+        createdAt: createdAt,
+        updatedAt: createdAt,
+        isSynced: false,
+        isDeleted: false,
+      );
+    }
+
+    final oldCategoriesData = <v12.CategoriesData>[
+      category('placeholder', '#000000'),
+      category('chosen', '#FF8800'),
+    ];
+
+    await verifier.testWithDataIntegrity(
+      oldSchema: v12.DatabaseAtV12.new,
+      newSchema: v13.DatabaseAtV13.new,
+      openTestedDatabase: AppDatabase.forExecutor,
+      createItems: (batch, oldDb) {
+        batch.insertAll(oldDb.categories, oldCategoriesData);
+      },
+      validateItems: (newDb) async {
+        final colors = {
+          for (final row in await newDb.select(newDb.categories).get())
+            row.id: row.colorHex,
+        };
+        expect(colors, {'placeholder': '', 'chosen': '#FF8800'});
+      },
+    );
+  });
+}
@@ -0,0 +1,39 @@
+import 'package:centabit/core/auth/auth_manager.dart';
+import 'package:centabit/core/auth/fake_identity_provider.dart';
+import 'package:centabit/data/local/database.dart';
+import 'package:centabit/data/local/sync_queue_local_source.dart';
+import 'package:centabit/data/local/user_data_migrator.dart';
+import 'package:centabit/data/sync/sync_manager.dart';
+import 'package:drift/drift.dart';
+import 'package:drift/native.dart';
+import 'package:shared_preferences/shared_preferences.dart';
+
+/// Fresh in-memory database with the current schema
+AppDatabase openTestDatabase() {
+  driftRuntimeOptions.dontWarnAboutMultipleDatabases = true;
+  return AppDatabase.forExecutor(NativeDatabase.memory());
+}
+
+/// [AuthManager] on empty preferences, signing in with [identityProvider]
+Future<AuthManager> testAuthManager(
+  AppDatabase db, {
+  FakeIdentityProvider? identityProvider,
+}) async {
+  SharedPreferences.setMockInitialValues({});
+  return AuthManager(
+    await SharedPreferences.getInstance(),
+    identityProvider ?? FakeIdentityProvider(),
+    UserDataMigrator(db),
+  );
+}
+
+/// [SyncManager] without a backend, for repositories under test (queued
+/// changes stay in the queue)
+Future<SyncManager> disabledSyncManager(AppDatabase db, String userId) async {
+  return SyncManager(
+    database: db,
+    authManager: await testAuthManager(db),
+    syncQueue: SyncQueueLocalSource(db, userId),
+    remoteSourceFactory: null,
+  );
+}